@@ -0,0 +1,92 @@
+/**
+ * One-time script to replace plaintext passwords with bcrypt hashes in:
+ * - Contractors collection (MONGODB_URI)
+ * - VoiceNoteUsers collection (MONGODB_URI_VT, falls back to MONGODB_URI)
+ *
+ * Logins already re-hash a plaintext password on the next successful login; this script
+ * migrates accounts that have not logged in since. Hashed records are left untouched.
+ *
+ * Run from backend folder:
+ *   node scripts/hash-plaintext-passwords.js            # hash plaintext passwords
+ *   node scripts/hash-plaintext-passwords.js --dry-run  # list accounts that would be hashed, no writes
+ */
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+dotenv.config({ path: path.join(__dirname, '..', '.env') });
+
+import mongoose from 'mongoose';
+import Contractor from '../src/models/Contractor.js';
+import getVoiceNoteUserModel from '../src/models/VoiceNoteUser.js';
+import { closeVoiceNotesConnection } from '../src/db-voice-notes.js';
+import * as passwords from '../src/password-hash.cjs';
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+async function hashCollection(Model, label, describe) {
+  let hashed = 0;
+  let skipped = 0;
+  let empty = 0;
+  const cursor = Model.find({}, { password: 1, contractorId: 1, username: 1 }).lean().cursor();
+  for await (const doc of cursor) {
+    if (doc.password == null || String(doc.password).trim() === '') {
+      empty++;
+      console.warn(`${label}: ${describe(doc)} has no password set`);
+      continue;
+    }
+    if (passwords.isHashed(doc.password)) {
+      skipped++;
+      continue;
+    }
+    if (DRY_RUN) {
+      console.log(`[dry-run] ${label} would hash password: ${describe(doc)}`);
+      hashed++;
+      continue;
+    }
+    // Contractor passwords were compared trimmed before hashing existed
+    const hash = await passwords.hashPassword(String(doc.password).trim());
+    await Model.updateOne(
+      { _id: doc._id, password: doc.password },
+      { $set: { password: hash, passwordChangedAt: new Date() } }
+    );
+    hashed++;
+    console.log(`${label} password hashed: ${describe(doc)}`);
+  }
+  return { hashed, skipped, empty };
+}
+
+async function main() {
+  const mongoUri = process.env.MONGODB_URI;
+  if (!mongoUri) {
+    console.error('MONGODB_URI not set in .env');
+    process.exit(1);
+  }
+
+  if (DRY_RUN) console.log('*** DRY RUN — no changes will be written ***\n');
+  console.log('Connecting to MongoDB...');
+  await mongoose.connect(mongoUri);
+  console.log('MongoDB connected.');
+
+  try {
+    console.log('\n--- Contractors ---');
+    const contractorResult = await hashCollection(Contractor, 'Contractor', (d) => `contractorId=${d.contractorId}`);
+    console.log(`Contractors: ${contractorResult.hashed} hashed, ${contractorResult.skipped} already hashed, ${contractorResult.empty} without password.`);
+
+    console.log('\n--- Voice note users ---');
+    const VoiceNoteUser = await getVoiceNoteUserModel();
+    const voiceResult = await hashCollection(VoiceNoteUser, 'VoiceNoteUser', (d) => `username=${d.username}`);
+    console.log(`Voice note users: ${voiceResult.hashed} hashed, ${voiceResult.skipped} already hashed, ${voiceResult.empty} without password.`);
+  } finally {
+    await closeVoiceNotesConnection();
+    await mongoose.disconnect();
+    console.log('\nMongoDB disconnected. Done.');
+  }
+}
+
+main().catch((err) => {
+  console.error(err);
+  process.exit(1);
+});
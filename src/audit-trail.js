@@ -0,0 +1,208 @@
+/**
+ * Audit trail for writes against the ERP databases (one per plant, see plants.js).
+ * - recordAudit(req, event): appends one AuditEvent (actor, database, entity keys,
+ *   old/new values, outcome). Never throws, so a write is never failed by its audit record;
+ *   when MongoDB is unavailable the event goes to the audit-fallback log channel instead.
+ * - auditContext(req): the request details of an event, kept by work that writes later
+ *   (process-job-queue.js) and passed back as event.context.
+ * - captureBefore(fn): reads the values a route is about to change; a failed read is
+ *   recorded as captureError rather than blocking the write.
+ * - queryAuditEvents(filters): newest-first page for GET /audit/events.
+ */
+import mongoose from 'mongoose';
+import AuditEvent from './models/AuditEvent.js';
+import { createChannelLogger } from './log-store.js';
+
+const logAuditFallback = createChannelLogger('audit-fallback');
+
+const MAX_PAGE_SIZE = 500;
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Who made the request: the authenticated principal plus the ERP UserID from the body.
+ */
+export function auditActor(req) {
+  const body = req?.body || {};
+  const rawUserId = body.UserID ?? body.userId ?? body.userID;
+  const erpUserId = Number(rawUserId);
+  return {
+    role: req?.auth?.role || undefined,
+    sub: req?.auth?.sub != null ? String(req.auth.sub) : undefined,
+    name: req?.auth?.name || undefined,
+    erpUserId: rawUserId != null && Number.isInteger(erpUserId) ? erpUserId : undefined
+  };
+}
+
+/**
+ * Who asked for a write and through which route.
+ */
+export function auditContext(req) {
+  return {
+    actor: auditActor(req),
+    method: req?.method,
+    route: req?.originalUrl?.split('?')[0],
+    ip: req?.ip,
+    userAgent: req?.get?.('User-Agent') || undefined
+  };
+}
+
+/**
+ * @param {Function} fn - async read of the current values
+ * @returns {Promise<{ values: any, captureError?: string }>}
+ */
+export async function captureBefore(fn) {
+  try {
+    return { values: await fn() };
+  } catch (err) {
+    console.warn('[AUDIT] Could not read values before write:', err.message);
+    return { values: null, captureError: err.message || String(err) };
+  }
+}
+
+function appendFallback(doc, reason) {
+  logAuditFallback(`Audit event not stored: ${doc.action}`, { level: 'warn', fallbackReason: reason, auditEvent: doc });
+}
+
+/**
+ * The AuditEvent document recordAudit stores.
+ * @param {import('express').Request|null} req
+ * @param {{ action: string, database: string, entity: string, entityKeys?: Object,
+ *   oldValues?: any, newValues?: any, outcome: 'success'|'failure'|'no-change',
+ *   error?: Error|string, captureError?: string, context?: Object }} event
+ *   context: auditContext() of the original request, used instead of req
+ */
+export function buildAuditEvent(req, event, at = new Date()) {
+  return {
+    action: event.action,
+    database: String(event.database || '').toUpperCase(),
+    entity: event.entity,
+    entityKeys: event.entityKeys ?? null,
+    oldValues: event.oldValues ?? null,
+    newValues: event.newValues ?? null,
+    outcome: event.outcome,
+    error: event.error ? (event.error.message || String(event.error)) : undefined,
+    captureError: event.captureError,
+    ...(event.context || auditContext(req)),
+    at
+  };
+}
+
+/**
+ * @param {import('express').Request|null} req
+ * @param {Object} event - see buildAuditEvent
+ */
+export async function recordAudit(req, event) {
+  const doc = buildAuditEvent(req, event);
+
+  console.log(`[AUDIT] ${doc.action} ${doc.outcome}`, {
+    database: doc.database,
+    entityKeys: doc.entityKeys,
+    actor: doc.actor?.sub || doc.actor?.erpUserId || null
+  });
+
+  if (mongoose.connection.readyState !== 1) {
+    appendFallback(doc, 'store unavailable');
+    return;
+  }
+  try {
+    await AuditEvent.create(doc);
+  } catch (err) {
+    console.error('[AUDIT] Failed to store audit event:', err.message);
+    appendFallback(doc, err.message);
+  }
+}
+
+// Entity keys are stored with their SQL types; query values arrive as strings
+function keyValueCandidates(value) {
+  const n = Number(value);
+  return value !== '' && Number.isFinite(n) ? [value, n] : [value];
+}
+
+function parseDate(value, name) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`Invalid ${name} date`);
+    err.code = 'INVALID_FILTER';
+    throw err;
+  }
+  return d;
+}
+
+/**
+ * The AuditEvent filter and page size for queryAuditEvents.
+ * @param {{ entity?: string, entityKey?: string, entityValue?: string, user?: string,
+ *   database?: string, action?: string, outcome?: string, from?: string, to?: string,
+ *   before?: string, limit?: number|string }} filters
+ *   before: id of the last event of the previous page (events are returned newest first)
+ * @returns {{ query: Object, limit: number }}
+ */
+export function buildAuditQuery(filters = {}) {
+  const query = {};
+  if (filters.entity) query.entity = String(filters.entity);
+  if (filters.database) query.database = String(filters.database).toUpperCase();
+  if (filters.action) query.action = String(filters.action);
+  if (filters.outcome) query.outcome = String(filters.outcome);
+
+  if (filters.entityKey) {
+    const key = String(filters.entityKey);
+    if (!/^[A-Za-z0-9_]+$/.test(key)) {
+      const err = new Error('entityKey must be a column name');
+      err.code = 'INVALID_FILTER';
+      throw err;
+    }
+    query[`entityKeys.${key}`] = filters.entityValue != null && filters.entityValue !== ''
+      ? { $in: keyValueCandidates(String(filters.entityValue)) }
+      : { $exists: true };
+  }
+
+  if (filters.user) {
+    const user = String(filters.user);
+    const erpUserId = Number(user);
+    query.$or = [
+      { 'actor.sub': user },
+      { 'actor.name': user },
+      ...(Number.isInteger(erpUserId) ? [{ 'actor.erpUserId': erpUserId }] : [])
+    ];
+  }
+
+  const from = parseDate(filters.from, 'from');
+  const to = parseDate(filters.to, 'to');
+  if (from || to) {
+    query.at = {};
+    if (from) query.at.$gte = from;
+    if (to) query.at.$lte = to;
+  }
+
+  if (filters.before) {
+    if (!mongoose.isValidObjectId(filters.before)) {
+      const err = new Error('Invalid before cursor');
+      err.code = 'INVALID_FILTER';
+      throw err;
+    }
+    query._id = { $lt: new mongoose.Types.ObjectId(String(filters.before)) };
+  }
+
+  const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE));
+  return { query, limit };
+}
+
+/**
+ * @param {Object} filters - see buildAuditQuery
+ * @returns {Promise<{ events: Object[], nextCursor: string|null }>}
+ */
+export async function queryAuditEvents(filters = {}) {
+  const { query, limit } = buildAuditQuery(filters);
+  const events = await AuditEvent.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+  const hasMore = events.length > limit;
+  const page = hasMore ? events.slice(0, limit) : events;
+  return {
+    events: page,
+    nextCursor: hasMore ? String(page[page.length - 1]._id) : null
+  };
+}
+
+export async function getAuditEvent(id) {
+  if (!mongoose.isValidObjectId(id)) return null;
+  return AuditEvent.findById(id).lean();
+}
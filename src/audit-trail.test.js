@@ -0,0 +1,70 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import { auditActor, auditContext, buildAuditEvent, buildAuditQuery } from './audit-trail.js';
+
+const req = {
+  method: 'POST',
+  originalUrl: '/api/grn/save-delivery-note?debug=1',
+  ip: '10.0.0.7',
+  body: { userId: '42' },
+  auth: { role: 'machine-user', sub: 'tablet-3', name: 'Press floor' },
+  get: (name) => (name === 'User-Agent' ? 'okhttp/4.12' : undefined)
+};
+
+test('events carry the actor and route of the request', () => {
+  const at = new Date('2026-10-19T10:00:00Z');
+  const event = buildAuditEvent(req, {
+    action: 'grn.save-delivery-note',
+    database: 'kol',
+    entity: 'DeliveryNote',
+    entityKeys: { BarcodeNo: 1234 },
+    outcome: 'failure',
+    error: new Error('Timeout')
+  }, at);
+  assert.deepEqual(event, {
+    action: 'grn.save-delivery-note',
+    database: 'KOL',
+    entity: 'DeliveryNote',
+    entityKeys: { BarcodeNo: 1234 },
+    oldValues: null,
+    newValues: null,
+    outcome: 'failure',
+    error: 'Timeout',
+    captureError: undefined,
+    actor: { role: 'machine-user', sub: 'tablet-3', name: 'Press floor', erpUserId: 42 },
+    method: 'POST',
+    route: '/api/grn/save-delivery-note',
+    ip: '10.0.0.7',
+    userAgent: 'okhttp/4.12',
+    at
+  });
+  assert.equal(auditActor({ body: { UserID: 'abc' } }).erpUserId, undefined);
+});
+
+test('queued work is recorded under the context of the request that queued it', () => {
+  const context = auditContext(req);
+  const event = buildAuditEvent(null, { action: 'production.start', database: 'KOL', entity: 'ProductionEntry', outcome: 'success', context });
+  assert.equal(event.route, '/api/grn/save-delivery-note');
+  assert.equal(event.actor.sub, 'tablet-3');
+  assert.equal(buildAuditEvent(null, { action: 'x', outcome: 'success' }).route, undefined);
+});
+
+test('queries match entity keys by string or number and page by cursor', () => {
+  const before = new mongoose.Types.ObjectId().toString();
+  const { query, limit } = buildAuditQuery({
+    entityKey: 'ProductionID', entityValue: '123', user: '42', database: 'ahm', from: '2026-10-01', before, limit: '9999'
+  });
+  assert.deepEqual(query['entityKeys.ProductionID'], { $in: ['123', 123] });
+  assert.deepEqual(query.$or, [{ 'actor.sub': '42' }, { 'actor.name': '42' }, { 'actor.erpUserId': 42 }]);
+  assert.equal(query.database, 'AHM');
+  assert.deepEqual(query.at, { $gte: new Date('2026-10-01') });
+  assert.equal(String(query._id.$lt), before);
+  assert.equal(limit, 500);
+
+  assert.deepEqual(buildAuditQuery({ entityKey: 'VoucherNo' }).query, { 'entityKeys.VoucherNo': { $exists: true } });
+  assert.equal(buildAuditQuery({}).limit, 100);
+  for (const filters of [{ entityKey: 'a.b' }, { from: 'yesterday' }, { before: 'not-an-id' }]) {
+    assert.throws(() => buildAuditQuery(filters), { code: 'INVALID_FILTER' });
+  }
+});
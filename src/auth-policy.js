@@ -0,0 +1,81 @@
+/**
+ * Per-route role requirements for everything mounted under /api (see auth.js).
+ * Rules are checked in order and the first match wins, so specific rules come before
+ * the broad area rules. Anything under /api that no rule matches needs an admin login.
+ *
+ * /auth/login proves only that a username is known to GetMachinesForUser, so a machine-user token
+ * is limited to the machine app's routes (MACHINE_APP_ROLES) and never reaches the ERP screens.
+ */
+import { ROLES, PUBLIC } from './auth.js';
+
+const { ADMIN, MACHINE_USER, CONTRACTOR, PO_ADMIN, PO_USER, VOICE_NOTE, CRM, INTEGRATION } = ROLES;
+
+export const MACHINE_APP_ROLES = [MACHINE_USER, ADMIN];
+export const ERP_ROLES = [ADMIN];
+const PO_MANAGERS = [PO_ADMIN, ADMIN];
+const PO_ROLES = [PO_ADMIN, PO_USER, CONTRACTOR, ADMIN];
+
+// Contractor PO routers are mounted both at /api/contractor-po/<area> and at the legacy /api/<area>
+const po = (area, rest = '(?:/.*)?') => new RegExp(`^/api(?:/contractor-po)?/${area}${rest}$`);
+
+export const ROUTE_POLICY = [
+  // ---- Login flows and health ----
+  { method: 'GET', pattern: /^\/api\/auth\/login$/, roles: PUBLIC },                 // machine user login
+  { method: 'POST', pattern: /^\/api\/auth\/admin-pin$/, roles: PUBLIC },
+  { method: 'POST', pattern: /^\/api\/auth\/logout$/, roles: PUBLIC },
+  { method: 'POST', pattern: /^\/api\/auth\/login-voice-note$/, roles: PUBLIC },
+  { method: 'POST', pattern: /^\/api\/whatsapp\/login$/, roles: PUBLIC },
+  { method: 'POST', pattern: po('auth', '/(?:login|contractor-login)'), roles: PUBLIC },
+  { method: 'POST', pattern: po('auth', '/register'), roles: PO_MANAGERS },
+  { method: 'POST', pattern: po('auth', '/change-password'), roles: [CONTRACTOR] },
+  { method: 'POST', pattern: /^\/api\/auth\/voice-note\/change-password$/, roles: [VOICE_NOTE] },
+  { method: 'GET', pattern: /^\/api\/test-route$/, roles: PUBLIC },
+  { method: 'GET', pattern: /^\/api\/logs\/viewer$/, roles: PUBLIC },                // static page; data calls need admin
+  { method: 'GET', pattern: /^\/api\/(?:openapi\.json|docs)$/, roles: PUBLIC },
+  // Provider callbacks authenticate with WHATSAPP_WEBHOOK_TOKEN (routes-whatsapp-webhook.js)
+  { method: ['GET', 'POST'], pattern: /^\/api\/whatsapp\/webhook\/[^/]+$/, roles: PUBLIC },
+
+  // ---- Administration and diagnostics ----
+  { pattern: /^\/api\/admin(?:\/.*)?$/, roles: [ADMIN] },
+  { pattern: /^\/api\/logs(?:\/.*)?$/, roles: [ADMIN] },
+  { pattern: /^\/api\/(?:debug-routes|test-cloudinary)$/, roles: [ADMIN] },
+  { pattern: /^\/api\/audit(?:\/.*)?$/, roles: [ADMIN] },
+  { method: 'POST', pattern: /^\/api\/voice-note-tool\/users(?:\/[^/]+\/reset-password)?$/, roles: [ADMIN] },
+
+  // ---- Machine app: production entries, code scanning, async job status, floor feed, downtime ----
+  { pattern: /^\/api\/processes(?:\/.*)?$/, roles: MACHINE_APP_ROLES },
+  { method: 'POST', pattern: /^\/api\/(?:qr\/[^/]+|barcode\/decode)$/, roles: MACHINE_APP_ROLES },
+  { method: 'GET', pattern: /^\/api\/machine-floor(?:\/.*)?$/, roles: MACHINE_APP_ROLES },
+  { pattern: /^\/api\/downtime\/(?:reasons|open|close)$/, roles: MACHINE_APP_ROLES },
+  // Must precede the PO /jobs rules, which also match /api/jobs
+  { method: 'GET', pattern: /^\/api\/jobs\/[^/]+\/status$/, roles: MACHINE_APP_ROLES },
+
+  // ---- ERP /jobs routes of routes.js: the job completion and colour screens ----
+  {
+    pattern: /^\/api\/jobs\/(?:complete|reopen|save-color-changes|color-details|items-for-color|details-completion|possible-completed-jobs|search-numbers-completion)(?:\/.*)?$/,
+    roles: ERP_ROLES
+  },
+
+  // ---- Contractor PO ----
+  { method: 'PATCH', pattern: po('bills', '/[^/]+/pay'), roles: PO_MANAGERS },
+  { method: 'DELETE', pattern: po('bills'), roles: PO_MANAGERS },
+  { method: ['POST', 'PUT', 'DELETE'], pattern: po('contractors'), roles: PO_MANAGERS },
+  { method: ['POST', 'PUT', 'DELETE'], pattern: po('operations'), roles: PO_MANAGERS },
+  { method: 'DELETE', pattern: po('jobs'), roles: PO_MANAGERS },
+  { pattern: po('(?:bills|contractors|operations|work|series|summary)'), roles: PO_ROLES },
+  // /jobs/* serves both the contractor PO screens and ERP job lookups
+  { pattern: po('jobs'), roles: PO_ROLES },
+
+  // ---- Voice note tool ----
+  { pattern: /^\/api\/voice-notes(?:\/.*)?$/, roles: [VOICE_NOTE, ADMIN] },
+  { pattern: /^\/api\/voice-note-tool(?:\/.*)?$/, roles: [VOICE_NOTE, ADMIN] },
+
+  // ---- WhatsApp / email intimations (CRM) ----
+  { pattern: /^\/api\/(?:whatsapp|comm)(?:\/.*)?$/, roles: [CRM, ADMIN] },
+
+  // ---- Google Sheets pulls ----
+  { pattern: /^\/api\/google-sheet(?:\/.*)?$/, roles: [INTEGRATION, ADMIN] },
+
+  // ---- Everything else under /api: ERP screens ----
+  { pattern: /^\/api(?:\/.*)?$/, roles: ERP_ROLES }
+];
@@ -0,0 +1,199 @@
+/**
+ * Shared authentication for every /api router.
+ * - signAuthToken(): JWT issued by each login flow (machine user, admin PIN, contractor,
+ *   contractor-po admin, voice-note, WhatsApp CRM). The role claim drives authorization.
+ * - authenticate: reads `Authorization: Bearer <jwt>` (or `X-API-Key` for integrations such as
+ *   Google Sheets) and sets req.auth = { role, sub, name, ... }. It never rejects by itself.
+ * - authorizeByPolicy(): enforces the per-route role table in auth-policy.js.
+ * - requireRole(): the same check for a single route.
+ *
+ * JWT_SECRET is required (jwt-secret.cjs): without it signing throws and every bearer token is rejected.
+ *
+ * AUTH_MODE=monitor lets requests without a token through (logged) while clients roll out
+ * token support; a present token is always verified and its role always enforced.
+ */
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { getJwtSecret } from './jwt-secret.cjs';
+
+export const ROLES = Object.freeze({
+  ADMIN: 'admin',                 // CDC web admin (admin PIN)
+  MACHINE_USER: 'machine-user',   // ERP users logging in through GetMachinesForUser (machine app routes only)
+  CONTRACTOR: 'contractor',       // Contractor PO contractor login
+  PO_ADMIN: 'po-admin',           // Contractor PO User with role admin
+  PO_USER: 'po-user',             // Contractor PO User with role user
+  VOICE_NOTE: 'voice-note',       // Voice note tool users
+  CRM: 'crm',                     // WhatsApp intimation tool users
+  INTEGRATION: 'integration'      // API-key clients (Google Sheets)
+});
+
+export const PUBLIC = 'public';
+
+const TOKEN_TTL = process.env.AUTH_TOKEN_TTL || '24h';
+
+export function getAuthMode() {
+  return (process.env.AUTH_MODE || 'enforce').toLowerCase() === 'monitor' ? 'monitor' : 'enforce';
+}
+
+/**
+ * @param {{ role: string, sub: string|number, name?: string }} principal - plus any extra claims
+ * @returns {string} signed JWT
+ */
+export function signAuthToken(principal, { expiresIn = TOKEN_TTL } = {}) {
+  if (!principal?.role || principal.sub == null) {
+    throw new Error('Token principal requires role and sub');
+  }
+  return jwt.sign({ ...principal, sub: String(principal.sub) }, getJwtSecret(), { expiresIn });
+}
+
+/**
+ * Maps verified claims to a principal. Tokens issued before roles existed are mapped
+ * from their old shape so logged-in clients keep working.
+ */
+export function principalFromClaims(claims) {
+  if (!claims || typeof claims !== 'object') return null;
+  let role = claims.role;
+  if (!role || !Object.values(ROLES).includes(role)) {
+    if (claims.tool === 'voice-note') role = ROLES.VOICE_NOTE;
+    else if (claims.type === 'contractor') role = ROLES.CONTRACTOR;
+    else if (claims.userId) role = ROLES.PO_USER;
+    else return null;
+  }
+  return {
+    ...claims,
+    role,
+    sub: claims.sub ?? claims.userId ?? claims.contractorId ?? claims.username ?? null,
+    name: claims.name ?? claims.username ?? null
+  };
+}
+
+function readBearerToken(req) {
+  const header = req.get('Authorization') || '';
+  const match = header.match(/^Bearer\s+(.+)$/i);
+  if (match) return match[1].trim();
+  // EventSource cannot send headers, so streams may pass the token in the query string
+  if (req.method === 'GET' && /\/stream$/.test(req.path) && req.query?.access_token) {
+    return String(req.query.access_token);
+  }
+  return null;
+}
+
+function matchIntegrationKey(key) {
+  const configured = String(process.env.INTEGRATION_API_KEYS || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean);
+  const given = Buffer.from(String(key));
+  return configured.some(k => {
+    const expected = Buffer.from(k);
+    return expected.length === given.length && crypto.timingSafeEqual(expected, given);
+  });
+}
+
+/**
+ * Populates req.auth from the request credentials. Sets req.authError when a credential
+ * was supplied but is invalid, so the policy check can answer 401.
+ */
+export function authenticate(req, res, next) {
+  req.auth = null;
+  req.authError = null;
+
+  const apiKey = req.get('X-API-Key');
+  if (apiKey) {
+    if (matchIntegrationKey(apiKey)) {
+      req.auth = { role: ROLES.INTEGRATION, sub: 'api-key', name: 'integration' };
+    } else {
+      req.authError = 'Invalid API key';
+    }
+    return next();
+  }
+
+  const token = readBearerToken(req);
+  if (!token) return next();
+
+  let secret;
+  try {
+    secret = getJwtSecret();
+  } catch (err) {
+    console.error(`[AUTH] ${err.message}; bearer tokens are rejected`);
+    req.authError = 'Authentication is not configured';
+    return next();
+  }
+
+  try {
+    const principal = principalFromClaims(jwt.verify(token, secret));
+    if (principal) {
+      req.auth = principal;
+    } else {
+      req.authError = 'Token has no recognised role';
+    }
+  } catch (err) {
+    req.authError = err.name === 'TokenExpiredError' ? 'Token expired' : 'Invalid token';
+  }
+  return next();
+}
+
+function checkAccess(req, roles) {
+  if (roles === PUBLIC) return null;
+  if (req.authError) {
+    return { status: 401, error: req.authError };
+  }
+  if (!req.auth) {
+    if (getAuthMode() === 'monitor') {
+      console.warn(`[AUTH] Unauthenticated request allowed (monitor mode): ${req.method} ${req.originalUrl}`);
+      return null;
+    }
+    return { status: 401, error: 'Authentication required' };
+  }
+  if (!roles.includes(req.auth.role)) {
+    return { status: 403, error: 'Not permitted for this account' };
+  }
+  return null;
+}
+
+/**
+ * Route-level guard: router.post('/x', requireRole(ROLES.ADMIN), handler)
+ */
+export function requireRole(...roles) {
+  const allowed = roles.flat();
+  return (req, res, next) => {
+    const denied = checkAccess(req, allowed);
+    if (denied) {
+      return res.status(denied.status).json({ status: false, error: denied.error });
+    }
+    return next();
+  };
+}
+
+/**
+ * App-level guard driven by an ordered rule table; the first rule whose method and
+ * pattern match req.path decides. Paths outside every rule use defaultRoles.
+ * @param {Array<{ method?: string|string[], pattern: RegExp, roles: string[]|'public' }>} rules
+ */
+export function authorizeByPolicy(rules, { defaultRoles = PUBLIC } = {}) {
+  return (req, res, next) => {
+    const rule = findPolicyRule(rules, req.method, req.path);
+    const denied = checkAccess(req, rule ? rule.roles : defaultRoles);
+    if (denied) {
+      console.warn(`[AUTH] ${denied.status} ${req.method} ${req.originalUrl}`, {
+        role: req.auth?.role || null,
+        sub: req.auth?.sub || null,
+        error: denied.error
+      });
+      return res.status(denied.status).json({ status: false, error: denied.error });
+    }
+    return next();
+  };
+}
+
+export function findPolicyRule(rules, method, path) {
+  const m = String(method || '').toUpperCase();
+  return rules.find(rule => {
+    if (rule.method) {
+      const methods = Array.isArray(rule.method) ? rule.method : [rule.method];
+      // HEAD is answered by GET handlers
+      if (!methods.includes(m) && !(m === 'HEAD' && methods.includes('GET'))) return false;
+    }
+    return rule.pattern.test(path);
+  }) || null;
+}
@@ -0,0 +1,92 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { signAuthToken, authenticate, authorizeByPolicy, findPolicyRule, principalFromClaims, ROLES, PUBLIC } from './auth.js';
+import { ROUTE_POLICY } from './auth-policy.js';
+
+process.env.JWT_SECRET ||= 'test-secret';
+
+function runGuards({ method = 'GET', path, token }) {
+  const headers = token ? { authorization: `Bearer ${token}` } : {};
+  const req = { method, path, originalUrl: path, query: {}, get: (name) => headers[name.toLowerCase()] };
+  const res = {
+    statusCode: 200,
+    body: null,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { this.body = body; return this; }
+  };
+  let passed = false;
+  authenticate(req, res, () => {
+    authorizeByPolicy(ROUTE_POLICY)(req, res, () => { passed = true; });
+  });
+  return { passed, status: res.statusCode };
+}
+
+test('login routes are public', () => {
+  assert.equal(findPolicyRule(ROUTE_POLICY, 'GET', '/api/auth/login').roles, PUBLIC);
+  assert.equal(findPolicyRule(ROUTE_POLICY, 'POST', '/api/contractor-po/auth/contractor-login').roles, PUBLIC);
+  assert.equal(findPolicyRule(ROUTE_POLICY, 'POST', '/api/auth/login').roles, PUBLIC);
+  assert.equal(findPolicyRule(ROUTE_POLICY, 'POST', '/api/whatsapp/webhook/maytapi').roles, PUBLIC);
+  assert.notEqual(findPolicyRule(ROUTE_POLICY, 'POST', '/api/whatsapp/webhook/maytapi/extra').roles, PUBLIC);
+});
+
+test('contractor token cannot mark bills paid', () => {
+  const token = signAuthToken({ role: ROLES.CONTRACTOR, sub: 'c1' });
+  assert.equal(runGuards({ method: 'PATCH', path: '/api/bills/00000001/pay', token }).status, 403);
+  assert.equal(runGuards({ method: 'PATCH', path: '/api/contractor-po/bills/00000001/pay', token }).status, 403);
+  assert.equal(runGuards({ method: 'GET', path: '/api/contractor-po/bills', token }).passed, true);
+});
+
+test('admin routes need the admin role', () => {
+  const machineUser = signAuthToken({ role: ROLES.MACHINE_USER, sub: 7 });
+  const admin = signAuthToken({ role: ROLES.ADMIN, sub: 'admin' });
+  assert.equal(runGuards({ method: 'POST', path: '/api/admin/clear-db-cache', token: machineUser }).status, 403);
+  assert.equal(runGuards({ method: 'POST', path: '/api/admin/clear-db-cache', token: admin }).passed, true);
+  assert.equal(runGuards({ path: '/api/logs/auth' }).status, 401);
+});
+
+test('machine users reach only the machine app routes', () => {
+  const token = signAuthToken({ role: ROLES.MACHINE_USER, sub: 7 });
+  assert.equal(runGuards({ path: '/api/processes/pending', token }).passed, true);
+  assert.equal(runGuards({ method: 'POST', path: '/api/processes/sync', token }).passed, true);
+  assert.equal(runGuards({ method: 'POST', path: '/api/qr/scan-pending', token }).passed, true);
+  assert.equal(runGuards({ method: 'POST', path: '/api/downtime/open', token }).passed, true);
+  assert.equal(runGuards({ path: '/api/jobs/job_1_abc/status', token }).passed, true);
+  assert.equal(runGuards({ path: '/api/processes/pending', token: 'garbage' }).status, 401);
+
+  // A username known to GetMachinesForUser is no credential for the ERP screens
+  const admin = signAuthToken({ role: ROLES.ADMIN, sub: 'admin' });
+  for (const path of ['/api/production/reverse', '/api/schedule/reorder', '/api/grn/save-delivery-note', '/api/downtime/report']) {
+    assert.equal(runGuards({ method: 'POST', path, token }).status, 403, path);
+    assert.equal(runGuards({ method: 'POST', path, token: admin }).passed, true, path);
+  }
+});
+
+test('contractor PO and machine user tokens cannot reach the ERP /jobs writes of the main router', () => {
+  const contractor = signAuthToken({ role: ROLES.CONTRACTOR, sub: 'c1' });
+  const machineUser = signAuthToken({ role: ROLES.MACHINE_USER, sub: 7 });
+  for (const path of ['/api/jobs/save-color-changes', '/api/jobs/complete/J05123', '/api/jobs/reopen/J05123']) {
+    assert.equal(runGuards({ method: 'POST', path, token: contractor }).status, 403, path);
+    assert.equal(runGuards({ method: 'POST', path, token: machineUser }).status, 403, path);
+  }
+  assert.equal(runGuards({ path: '/api/contractor-po/jobs/search/J05123', token: contractor }).passed, true);
+  assert.equal(runGuards({ path: '/api/jobs/search/J05123', token: contractor }).passed, true);
+});
+
+test('maps tokens issued before roles existed', () => {
+  assert.equal(principalFromClaims({ username: 'a', tool: 'voice-note' }).role, ROLES.VOICE_NOTE);
+  assert.equal(principalFromClaims({ type: 'contractor', contractorId: 'C1' }).role, ROLES.CONTRACTOR);
+  assert.equal(principalFromClaims({ userId: 'u1' }).role, ROLES.PO_USER);
+  assert.equal(principalFromClaims({ foo: 1 }), null);
+});
+
+test('without JWT_SECRET no token is signed or accepted', () => {
+  const token = signAuthToken({ role: ROLES.ADMIN, sub: 'admin' });
+  const secret = process.env.JWT_SECRET;
+  delete process.env.JWT_SECRET;
+  try {
+    assert.throws(() => signAuthToken({ role: ROLES.ADMIN, sub: 'admin' }), { code: 'JWT_SECRET_MISSING' });
+    assert.equal(runGuards({ method: 'POST', path: '/api/admin/clear-db-cache', token }).status, 401);
+  } finally {
+    process.env.JWT_SECRET = secret;
+  }
+});
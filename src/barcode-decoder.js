@@ -0,0 +1,309 @@
+/**
+ * Barcode / QR decoding for phone captures of job cards and carton labels (/qr/process, /barcode/decode).
+ * - decodeImage(image, options): tries ZXing (QR, Code 128, EAN-13/8, Code 39, ...) on a series of
+ *   preprocessing passes until the expected code is found: the image as captured, contrast stretched,
+ *   binarized, downscaled, rotated and cropped to the centre and quadrants. Within a pass, a decoded
+ *   code is blanked out and the pass decoded again, so a label with several codes gives all of them.
+ * - Every code comes back with its format and location (bounding box in the original image).
+ * - pickCode(codes, expect): the code the caller wants — a job card number (QR_JOB_CARD_PATTERN), a
+ *   numeric carton barcode (/grn/initiate, /gpn/save-finish-goods) or the first one.
+ *
+ * Passes work on an 8-bit luminance plane { data, width, height }; toSource maps a point of a pass
+ * back to the original image.
+ */
+import zxing from '@zxing/library';
+
+const {
+  QRCodeReader, DataMatrixReader, MultiFormatOneDReader, BarcodeFormat, DecodeHintType, RGBLuminanceSource,
+  BinaryBitmap, HybridBinarizer
+} = zxing;
+
+export const EXPECTATIONS = ['job-card', 'carton', 'any'];
+
+const FORMATS = [
+  BarcodeFormat.QR_CODE, BarcodeFormat.DATA_MATRIX, BarcodeFormat.CODE_128, BarcodeFormat.CODE_39,
+  BarcodeFormat.EAN_13, BarcodeFormat.EAN_8, BarcodeFormat.UPC_A, BarcodeFormat.ITF
+];
+const MAX_SIDE = 1600;
+const MAX_CODES_PER_PASS = 4;
+// Decoding blocks the event loop; later passes are skipped once the budget is spent
+const DEFAULT_TIME_BUDGET_MS = Number(process.env.QR_DECODE_BUDGET_MS) || 4000;
+// Job card content numbers start with a letter and carry digits (e.g. J05123_1); carton barcodes are
+// the numeric BarcodeNo of the ERP (sql Int)
+const JOB_CARD_PATTERN = new RegExp(process.env.QR_JOB_CARD_PATTERN || '^(?=.*\\d)[A-Z][A-Z0-9]*(?:[-/_.][A-Z0-9]+)*$', 'i');
+const CARTON_PATTERN = /^\d{1,10}$/;
+const MAX_SQL_INT = 2147483647;
+
+// ---- Luminance plane operations ----
+
+/** Luminance plane of an RGBA bitmap (Jimp image.bitmap). */
+export function toLuminance({ data, width, height }) {
+  const out = new Uint8ClampedArray(width * height);
+  for (let i = 0, p = 0; i < out.length; i++, p += 4) {
+    out[i] = (data[p] * 306 + data[p + 1] * 601 + data[p + 2] * 117) >> 10;
+  }
+  return { data: out, width, height };
+}
+
+/** Stretches the 1st..99th percentile of the histogram to 0..255 (dim and low-contrast captures). */
+export function stretchContrast(plane) {
+  const histogram = new Uint32Array(256);
+  for (const v of plane.data) histogram[v]++;
+  const cut = plane.data.length * 0.01;
+  let low = 0;
+  let high = 255;
+  for (let sum = 0; low < 255 && (sum += histogram[low]) <= cut; low++);
+  for (let sum = 0; high > 0 && (sum += histogram[high]) <= cut; high--);
+  if (high <= low) return plane;
+  const scale = 255 / (high - low);
+  return { ...plane, data: plane.data.map(v => (v - low) * scale) };
+}
+
+/** Black and white at Otsu's threshold. */
+export function binarize(plane) {
+  const histogram = new Uint32Array(256);
+  for (const v of plane.data) histogram[v]++;
+  const total = plane.data.length;
+  let sumAll = 0;
+  for (let i = 0; i < 256; i++) sumAll += i * histogram[i];
+  let sumBelow = 0;
+  let countBelow = 0;
+  let best = 0;
+  let threshold = 127;
+  for (let t = 0; t < 256; t++) {
+    countBelow += histogram[t];
+    if (!countBelow || countBelow === total) continue;
+    sumBelow += t * histogram[t];
+    const meanBelow = sumBelow / countBelow;
+    const meanAbove = (sumAll - sumBelow) / (total - countBelow);
+    const between = countBelow * (total - countBelow) * (meanBelow - meanAbove) ** 2;
+    if (between > best) {
+      best = between;
+      threshold = t;
+    }
+  }
+  return { ...plane, data: plane.data.map(v => (v > threshold ? 255 : 0)) };
+}
+
+/** Box-filter downscale by an integer factor. */
+export function downscale(plane, factor) {
+  const width = Math.floor(plane.width / factor);
+  const height = Math.floor(plane.height / factor);
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let dy = 0; dy < factor; dy++) {
+        const row = (y * factor + dy) * plane.width + x * factor;
+        for (let dx = 0; dx < factor; dx++) sum += plane.data[row + dx];
+      }
+      out[y * width + x] = sum / (factor * factor);
+    }
+  }
+  return { data: out, width, height };
+}
+
+export function crop(plane, left, top, width, height) {
+  const out = new Uint8ClampedArray(width * height);
+  for (let y = 0; y < height; y++) {
+    out.set(plane.data.subarray((top + y) * plane.width + left, (top + y) * plane.width + left + width), y * width);
+  }
+  return { data: out, width, height };
+}
+
+/**
+ * Rotates by `degrees` around the centre (nearest neighbour, white outside the source).
+ * @returns {{ plane: Object, toSource: (x: number, y: number) => [number, number] }}
+ */
+export function rotate(plane, degrees) {
+  const rad = degrees * Math.PI / 180;
+  const cos = Math.cos(rad);
+  const sin = Math.sin(rad);
+  const width = Math.round(Math.abs(plane.width * cos) + Math.abs(plane.height * sin));
+  const height = Math.round(Math.abs(plane.width * sin) + Math.abs(plane.height * cos));
+  const cx = plane.width / 2;
+  const cy = plane.height / 2;
+  const toSource = (x, y) => {
+    const dx = x - width / 2;
+    const dy = y - height / 2;
+    return [cx + dx * cos + dy * sin, cy - dx * sin + dy * cos];
+  };
+  const out = new Uint8ClampedArray(width * height).fill(255);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const [sx, sy] = toSource(x, y);
+      const ix = Math.floor(sx);
+      const iy = Math.floor(sy);
+      if (ix >= 0 && iy >= 0 && ix < plane.width && iy < plane.height) out[y * width + x] = plane.data[iy * plane.width + ix];
+    }
+  }
+  return { plane: { data: out, width, height }, toSource };
+}
+
+function fillRect(plane, [x0, y0, x1, y1], value) {
+  const left = Math.max(0, Math.floor(x0));
+  const right = Math.min(plane.width - 1, Math.ceil(x1));
+  const top = Math.max(0, Math.floor(y0));
+  const bottom = Math.min(plane.height - 1, Math.ceil(y1));
+  for (let y = top; y <= bottom; y++) plane.data.fill(value, y * plane.width + left, y * plane.width + right + 1);
+}
+
+// ---- Passes ----
+
+/**
+ * Preprocessing passes in the order they are tried; each is built only when it is reached.
+ * @returns {Array<{ name: string, build: () => { plane: Object, toSource: Function } }>}
+ */
+function passesFor(base) {
+  const identity = (x, y) => [x, y];
+  let contrasted;
+  const contrast = () => (contrasted ||= stretchContrast(base));
+  const rotated = (degrees) => () => rotate(contrast(), degrees);
+  const cropped = (fx, fy, fw, fh) => () => {
+    const left = Math.floor(base.width * fx);
+    const top = Math.floor(base.height * fy);
+    return {
+      plane: crop(contrast(), left, top, Math.floor(base.width * fw), Math.floor(base.height * fh)),
+      toSource: (x, y) => [x + left, y + top]
+    };
+  };
+  return [
+    { name: 'original', build: () => ({ plane: base, toSource: identity }) },
+    { name: 'contrast', build: () => ({ plane: contrast(), toSource: identity }) },
+    { name: 'binarized', build: () => ({ plane: binarize(contrast()), toSource: identity }) },
+    { name: 'downscaled', build: () => ({ plane: downscale(contrast(), 2), toSource: (x, y) => [x * 2, y * 2] }) },
+    { name: 'rotated-90', build: rotated(90) },
+    { name: 'rotated-30', build: rotated(30) },
+    { name: 'rotated-330', build: rotated(-30) },
+    { name: 'rotated-45', build: rotated(45) },
+    { name: 'centre', build: cropped(0.2, 0.2, 0.6, 0.6) },
+    { name: 'top-left', build: cropped(0, 0, 0.55, 0.55) },
+    { name: 'top-right', build: cropped(0.45, 0, 0.55, 0.55) },
+    { name: 'bottom-left', build: cropped(0, 0.45, 0.55, 0.55) },
+    { name: 'bottom-right', build: cropped(0.45, 0.45, 0.55, 0.55) }
+  ];
+}
+
+// The format readers are used one by one rather than through MultiFormatReader, which logs every
+// miss of a reader as a warning
+function createReaders(formats) {
+  const hints = new Map();
+  hints.set(DecodeHintType.POSSIBLE_FORMATS, formats);
+  hints.set(DecodeHintType.TRY_HARDER, true);
+  const readers = [];
+  if (formats.includes(BarcodeFormat.QR_CODE)) readers.push(new QRCodeReader());
+  if (formats.includes(BarcodeFormat.DATA_MATRIX)) readers.push(new DataMatrixReader());
+  if (formats.some(f => f !== BarcodeFormat.QR_CODE && f !== BarcodeFormat.DATA_MATRIX)) {
+    readers.push(new MultiFormatOneDReader(hints));
+  }
+  return { readers, hints };
+}
+
+function decodeOnce({ readers, hints }, plane) {
+  const bitmap = new BinaryBitmap(new HybridBinarizer(new RGBLuminanceSource(plane.data, plane.width, plane.height)));
+  for (const reader of readers) {
+    try {
+      return reader.decode(bitmap, hints);
+    } catch {
+      // NotFound / Checksum / Format: this reader sees nothing in the pass
+    } finally {
+      reader.reset();
+    }
+  }
+  return null;
+}
+
+function boundsOf(points) {
+  const xs = points.map(p => p[0]);
+  const ys = points.map(p => p[1]);
+  return [Math.min(...xs), Math.min(...ys), Math.max(...xs), Math.max(...ys)];
+}
+
+/** Every code readable in one pass, blanking each one out before looking for the next. */
+function decodePass(decoder, { plane, toSource }) {
+  const work = { ...plane, data: new Uint8ClampedArray(plane.data) };
+  const found = [];
+  for (let i = 0; i < MAX_CODES_PER_PASS; i++) {
+    const result = decodeOnce(decoder, work);
+    if (!result) break;
+    const points = result.getResultPoints().map(p => [p.getX(), p.getY()]);
+    found.push({ result, points: points.map(([x, y]) => toSource(x, y)) });
+    if (!points.length) break;
+    // Finder patterns / bar ends lie inside the code: pad by a share of its size (1D codes are tall)
+    const [x0, y0, x1, y1] = boundsOf(points);
+    const pad = Math.max(x1 - x0, y1 - y0) * 0.25 + 8;
+    fillRect(work, [x0 - pad, y0 - pad, x1 + pad, y1 + pad], 255);
+  }
+  return found;
+}
+
+function toCode({ result, points }, pass) {
+  const [x0, y0, x1, y1] = points.length ? boundsOf(points) : [0, 0, 0, 0];
+  return {
+    text: result.getText().trim(),
+    format: BarcodeFormat[result.getBarcodeFormat()],
+    location: { x: Math.round(x0), y: Math.round(y0), width: Math.round(x1 - x0), height: Math.round(y1 - y0) },
+    points: points.map(([x, y]) => ({ x: Math.round(x), y: Math.round(y) })),
+    pass
+  };
+}
+
+export function isJobCardNumber(text) {
+  return JOB_CARD_PATTERN.test(String(text || ''));
+}
+
+export function isCartonBarcode(text) {
+  return CARTON_PATTERN.test(String(text || '')) && Number(text) <= MAX_SQL_INT;
+}
+
+/**
+ * @param {Array<{ text: string, format: string }>} codes
+ * @param {'job-card'|'carton'|'any'} expect
+ * @returns {{ code: Object|null, matched: boolean }} matched: the code fits the expected pattern
+ */
+export function pickCode(codes, expect = 'any') {
+  if (expect === 'job-card') {
+    const match = codes.find(c => isJobCardNumber(c.text));
+    if (match) return { code: match, matched: true };
+    return { code: codes.find(c => c.format === 'QR_CODE') || codes[0] || null, matched: false };
+  }
+  if (expect === 'carton') {
+    const match = codes.find(c => c.format !== 'QR_CODE' && isCartonBarcode(c.text)) || codes.find(c => isCartonBarcode(c.text));
+    if (match) return { code: match, matched: true };
+    return { code: codes[0] || null, matched: false };
+  }
+  return { code: codes[0] || null, matched: codes.length > 0 };
+}
+
+/**
+ * @param {{ bitmap: { data: Buffer|Uint8Array, width: number, height: number } }} image - Jimp image
+ * @param {{ expect?: 'job-card'|'carton'|'any', formats?: string[], timeBudgetMs?: number }} [options]
+ *   formats: ZXing format names, e.g. ['QR_CODE']; passes stop once the expected code is found or the
+ *   time budget is spent
+ * @returns {{ codes: Object[], code: Object|null, matched: boolean, passes: string[] }}
+ */
+export function decodeImage(image, { expect = 'any', formats, timeBudgetMs = DEFAULT_TIME_BUDGET_MS } = {}) {
+  const started = Date.now();
+  let base = toLuminance(image.bitmap);
+  let scale = 1;
+  const longSide = Math.max(base.width, base.height);
+  if (longSide > MAX_SIDE) {
+    scale = Math.ceil(longSide / MAX_SIDE);
+    base = downscale(base, scale);
+  }
+
+  const decoder = createReaders(formats ? formats.map(f => BarcodeFormat[f]).filter(f => f !== undefined) : FORMATS);
+  const codes = [];
+  const tried = [];
+  for (const pass of passesFor(base)) {
+    if (tried.length && Date.now() - started > timeBudgetMs) break;
+    tried.push(pass.name);
+    const { plane, toSource } = pass.build();
+    for (const found of decodePass(decoder, { plane, toSource: (x, y) => toSource(x, y).map(v => v * scale) })) {
+      const code = toCode(found, pass.name);
+      if (code.text && !codes.some(c => c.text === code.text && c.format === code.format)) codes.push(code);
+    }
+    if (pickCode(codes, expect).matched) break;
+  }
+  return { codes, ...pickCode(codes, expect), passes: tried };
+}
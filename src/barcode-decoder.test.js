@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import qr from 'qr-image';
+import * as jimp from 'jimp';
+import { decodeImage, pickCode, isJobCardNumber, isCartonBarcode } from './barcode-decoder.js';
+
+const { Jimp } = jimp;
+
+// EAN-8 modules (1 = bar): guard, four L codes, centre guard, four R codes, guard
+const EAN_L = ['0001101', '0011001', '0010011', '0111101', '0100011', '0110001', '0101111', '0111011', '0110111', '0001011'];
+const invert = (bits) => [...bits].map(b => (b === '1' ? '0' : '1')).join('');
+
+function drawEan8(image, digits, left, top, { module = 3, height = 120 } = {}) {
+  const d = [...digits].map(Number);
+  const modules = `101${d.slice(0, 4).map(n => EAN_L[n]).join('')}01010${d.slice(4).map(n => invert(EAN_L[n])).join('')}101`;
+  [...modules].forEach((bit, i) => {
+    if (bit !== '1') return;
+    for (let x = 0; x < module; x++) {
+      for (let y = 0; y < height; y++) image.setPixelColor(0x000000ff, left + i * module + x, top + y);
+    }
+  });
+}
+
+test('finds the QR and the EAN-8 of a carton label with their locations', async () => {
+  const label = new Jimp({ width: 640, height: 360, color: 0xffffffff });
+  label.composite(await Jimp.read(qr.imageSync('J05123_1', { type: 'png', size: 5 })), 20, 20);
+  drawEan8(label, '96385074', 300, 200);
+
+  const carton = decodeImage(label, { expect: 'carton' });
+  assert.equal(carton.matched, true);
+  assert.equal(carton.code.text, '96385074');
+  assert.equal(carton.code.format, 'EAN_8');
+  assert.ok(carton.code.location.x >= 290 && carton.code.location.x <= 320, JSON.stringify(carton.code.location));
+
+  const jobCard = decodeImage(label, { expect: 'job-card' });
+  assert.equal(jobCard.code.text, 'J05123_1');
+  assert.equal(jobCard.code.format, 'QR_CODE');
+  assert.ok(jobCard.code.location.x < 200);
+});
+
+test('reads a rotated, dim capture', async () => {
+  const code = await Jimp.read(qr.imageSync('J07001_2', { type: 'png', size: 5 }));
+  code.rotate(35);
+  const capture = new Jimp({ width: 700, height: 500, color: 0x707070ff });
+  capture.composite(code, 200, 100);
+  capture.brightness(0.5);
+  const result = decodeImage(capture, { expect: 'job-card' });
+  assert.equal(result.matched, true);
+  assert.equal(result.code.text, 'J07001_2');
+});
+
+test('job card and carton patterns decide which code is picked', () => {
+  assert.equal(isJobCardNumber('J05123_1'), true);
+  assert.equal(isJobCardNumber('123456'), false);
+  assert.equal(isCartonBarcode('123456'), true);
+  assert.equal(isCartonBarcode('99999999999'), false);
+  const codes = [{ text: 'https://example.com', format: 'QR_CODE' }, { text: '778899', format: 'CODE_128' }];
+  assert.deepEqual(pickCode(codes, 'carton'), { code: codes[1], matched: true });
+  assert.deepEqual(pickCode(codes, 'job-card'), { code: codes[0], matched: false });
+  assert.deepEqual(pickCode([], 'any'), { code: null, matched: false });
+});
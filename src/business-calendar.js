@@ -0,0 +1,59 @@
+/**
+ * Business hours and holidays for automatic customer messages (intimation scheduler).
+ * - createBusinessCalendar({ hours, days, timeZone, holidays }): hours "10:00-19:00", days as a
+ *   cron weekday field ("1-6" = Monday to Saturday), holidays as YYYY-MM-DD dates in timeZone.
+ * - isOpen(date): inside business hours on a working day that is not a holiday.
+ * - nextOpening(date): `date` when open, else the start of the next business period.
+ */
+import { parseCron, zonedParts, zonedTime } from './cron.js';
+
+function invalidCalendar(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_CALENDAR';
+  return err;
+}
+
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) throw invalidCalendar(`Invalid time "${text}"`);
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+
+export function createBusinessCalendar({ hours = '10:00-19:00', days = '1-6', timeZone = 'Asia/Kolkata', holidays = [] } = {}) {
+  const [openText, closeText] = String(hours).split('-');
+  if (closeText == null) throw invalidCalendar(`Business hours must look like 10:00-19:00, got "${hours}"`);
+  const opensAt = parseClock(openText);
+  const closesAt = parseClock(closeText);
+  if (closesAt <= opensAt) throw invalidCalendar(`Business hours end before they start: "${hours}"`);
+  const weekdays = parseCron(`* * * * ${days}`).weekdays;
+  const holidaySet = new Set(holidays);
+
+  const dateKey = (p) => `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+  const isWorkingDay = (p) => weekdays.has(p.weekday) && !holidaySet.has(dateKey(p));
+
+  function isOpen(date) {
+    const p = zonedParts(date, timeZone);
+    const minute = p.hour * 60 + p.minute;
+    return isWorkingDay(p) && minute >= opensAt && minute < closesAt;
+  }
+
+  function nextOpening(date) {
+    if (isOpen(date)) return date;
+    const now = zonedParts(date, timeZone);
+    const day = new Date(Date.UTC(now.year, now.month - 1, now.day));
+    // Today if it has not opened yet, else the next working day
+    if (now.hour * 60 + now.minute >= opensAt) day.setUTCDate(day.getUTCDate() + 1);
+    for (let i = 0; i < 366; i++) {
+      const p = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate(), weekday: day.getUTCDay() };
+      if (isWorkingDay(p)) {
+        return zonedTime({ ...p, hour: Math.floor(opensAt / 60), minute: opensAt % 60 }, timeZone);
+      }
+      day.setUTCDate(day.getUTCDate() + 1);
+    }
+    throw invalidCalendar('No business day within a year');
+  }
+
+  return { isOpen, nextOpening, timeZone, hours, days, holidays: [...holidaySet].sort() };
+}
@@ -0,0 +1,76 @@
+/**
+ * Consecutive-failure circuit breaker (used per plant database by db.js).
+ * - closed: calls go through; `threshold` failures in a row open it.
+ * - open: calls fail fast until `cooldownMs` has passed, then one trial call is let through (half-open).
+ * - half-open: the trial's success closes the breaker, its failure opens it for another cooldown.
+ */
+export function createCircuitBreaker({ threshold = 3, cooldownMs = 30000, now = Date.now } = {}) {
+  let state = 'closed';
+  let consecutiveFailures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+  let lastError = null;
+  let lastErrorAt = null;
+  let lastSuccessAt = null;
+
+  const iso = (ms) => (ms == null ? null : new Date(ms).toISOString());
+
+  return {
+    get state() {
+      return state;
+    },
+
+    /** Whether a call may go ahead now; moves an open breaker to half-open once the cooldown is over. */
+    allowRequest() {
+      if (state === 'closed') return true;
+      if (state === 'open' && now() - openedAt >= cooldownMs) state = 'half-open';
+      if (state === 'half-open' && !trialInFlight) {
+        trialInFlight = true;
+        return true;
+      }
+      return false;
+    },
+
+    recordSuccess() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+      lastSuccessAt = now();
+    },
+
+    recordFailure(err) {
+      consecutiveFailures += 1;
+      lastError = err?.message || String(err);
+      lastErrorAt = now();
+      trialInFlight = false;
+      if (state === 'half-open' || consecutiveFailures >= threshold) {
+        state = 'open';
+        openedAt = now();
+      }
+    },
+
+    /** Milliseconds until an open breaker lets a trial call through (0 when not open). */
+    retryInMs() {
+      return state === 'open' ? Math.max(0, openedAt + cooldownMs - now()) : 0;
+    },
+
+    reset() {
+      state = 'closed';
+      consecutiveFailures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    snapshot() {
+      return {
+        state,
+        consecutiveFailures,
+        openedAt: iso(openedAt),
+        lastError,
+        lastErrorAt: iso(lastErrorAt),
+        lastSuccessAt: iso(lastSuccessAt)
+      };
+    }
+  };
+}
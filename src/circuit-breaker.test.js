@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createCircuitBreaker } from './circuit-breaker.js';
+
+function clockedBreaker() {
+  let clock = Date.parse('2026-05-01T10:00:00Z');
+  const breaker = createCircuitBreaker({ threshold: 2, cooldownMs: 1000, now: () => clock });
+  return { breaker, advance: (ms) => { clock += ms; } };
+}
+
+test('opens after consecutive failures and fails fast during the cooldown', () => {
+  const { breaker, advance } = clockedBreaker();
+  breaker.recordFailure(new Error('ETIMEOUT'));
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+
+  breaker.recordFailure(new Error('ESOCKET'));
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.allowRequest(), false);
+  advance(400);
+  assert.equal(breaker.retryInMs(), 600);
+  assert.equal(breaker.snapshot().lastError, 'ESOCKET');
+  assert.equal(breaker.snapshot().consecutiveFailures, 2);
+});
+
+test('lets one trial through after the cooldown; success closes it', () => {
+  const { breaker, advance } = clockedBreaker();
+  breaker.recordFailure(new Error('down'));
+  breaker.recordFailure(new Error('down'));
+  advance(1000);
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.state, 'half-open');
+  assert.equal(breaker.allowRequest(), false, 'only one trial at a time');
+
+  breaker.recordSuccess();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+  assert.equal(breaker.snapshot().consecutiveFailures, 0);
+});
+
+test('a failed trial re-opens for another cooldown; reset closes it', () => {
+  const { breaker, advance } = clockedBreaker();
+  breaker.recordFailure(new Error('down'));
+  breaker.recordFailure(new Error('down'));
+  advance(1000);
+  breaker.allowRequest();
+  breaker.recordFailure(new Error('still down'));
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.retryInMs(), 1000);
+
+  breaker.reset();
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.allowRequest(), true);
+});
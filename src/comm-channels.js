@@ -0,0 +1,86 @@
+/**
+ * Delivery channels for customer intimations (used by outbound-messages.js).
+ * - getSenderCredentials(pool, username): the CRM user's Maytapi and SMTP settings
+ *   (comm_get_user_credentials); looked up at delivery time so secrets are never stored with messages.
+ * - sendMessage(channel, msg): one delivery through the provider selected for the channel
+ *   (messaging-providers.js); resolves with the provider's response.
+ * - isTransientDeliveryError(err): whether a failed delivery is worth retrying.
+ * - normalizeINPhone(mobile): E.164 phone number used for recipients and inbound senders.
+ */
+import sql from 'mssql';
+import { getProvider } from './messaging-providers.js';
+
+// Network-level failures (axios / nodemailer / mssql) that usually clear up on their own
+const TRANSIENT_NETWORK_CODES = new Set([
+  'ECONNABORTED', 'ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE',
+  'ECONNECTION', 'ESOCKET', 'EDNS', 'ETIMEOUT', 'ECONNCLOSED', 'ENOTOPEN', 'DB_UNAVAILABLE'
+]);
+
+export async function getSenderCredentials(pool, username) {
+  const result = await pool.request()
+    .input('Username', sql.NVarChar(100), username)
+    .execute('dbo.comm_get_user_credentials');
+  return result.recordset?.[0] || null;
+}
+
+/**
+ * E.164 form of an Indian mobile number as entered in the ERP ("98300 12345", "919830012345", ...);
+ * recipients are stored this way, so inbound WhatsApp senders are matched with it too.
+ */
+export function normalizeINPhone(mobile) {
+  const raw = String(mobile || "").replace(/[^\d]/g, "");
+  if (!raw) return null;
+  if (raw.startsWith("91") && raw.length === 12) return `+${raw}`;
+  if (raw.length === 10) return `+91${raw}`;
+  if (raw.length >= 11) return `+${raw}`;
+  return null;
+}
+
+/** Whether the selected WhatsApp provider can send for this CRM user (see messaging-providers.js). */
+export function hasWhatsAppCredentials(creds) {
+  return getProvider('whatsapp').isConfigured(creds);
+}
+
+export function hasEmailCredentials(creds) {
+  return getProvider('email').isConfigured(creds);
+}
+
+/**
+ * One delivery through the channel's selected provider.
+ * @returns {Promise<Object>} the provider's response
+ */
+export async function sendMessage(channel, { creds, to, subject, text }) {
+  const provider = getProvider(channel);
+  if (!provider.isConfigured(creds)) {
+    const err = new Error(`${channel === 'email' ? 'Email' : 'WhatsApp'} (${provider.name}) is not configured for this user`);
+    err.code = 'NO_CREDENTIALS';
+    throw err;
+  }
+  return provider.send({ creds, to, subject, text });
+}
+
+/** The provider's id of a sent message (receipts and quoted replies refer to it), if it reports one. */
+export function sentMessageIdOf(channel, response) {
+  const id = getProvider(channel).messageIdOf?.(response);
+  return id != null ? String(id) : undefined;
+}
+
+/**
+ * Retry network failures, HTTP 408/429/5xx and SMTP 4xx replies; anything else (bad number,
+ * auth failure, SMTP 5xx, Maytapi refusal, missing credentials) fails for good.
+ */
+export function isTransientDeliveryError(err) {
+  if (!err) return false;
+  const status = err.response?.status;
+  if (status != null) return status === 408 || status === 429 || status >= 500;
+  const smtpCode = Number(err.responseCode);
+  if (Number.isInteger(smtpCode) && smtpCode > 0) return smtpCode >= 400 && smtpCode < 500;
+  return TRANSIENT_NETWORK_CODES.has(err.code);
+}
+
+/** What the provider said about a failed delivery, for the message log. */
+export function providerResponseOf(err) {
+  if (err?.providerResponse) return err.providerResponse;
+  if (typeof err?.response === 'string') return err.response;   // SMTP reply line
+  return err?.response?.data ?? null;
+}
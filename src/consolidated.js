@@ -0,0 +1,120 @@
+/**
+ * Cross-plant fan-out for the consolidated dashboard (routes-consolidated.js).
+ * - Every plant is queried in parallel with its own time limit, so one unreachable site only
+ *   costs its own slot: the other plants' rows come back with a per-plant error entry.
+ * - Rows are tagged with `plant` and aligned to one column list (columns missing at a plant are null).
+ * - Totals are summed per plant and across plants.
+ */
+
+const DEFAULT_PLANT_TIMEOUT_MS = Number(process.env.CONSOLIDATED_PLANT_TIMEOUT_MS) || 30000;
+
+function withTimeout(promise, ms, label) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} did not answer within ${ms} ms`)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs fetchPlant(plant) for every plant in parallel. Never rejects.
+ * @param {Array<Object>} plants - entries from plants.js
+ * @param {(plant: Object) => Promise<Array<Object>>} fetchPlant
+ * @returns {Promise<Array<{ plant: Object, ok: boolean, rows: Array<Object>, error: string|null, durationMs: number }>>}
+ */
+export async function fanOutToPlants(plants, fetchPlant, { timeoutMs = DEFAULT_PLANT_TIMEOUT_MS, now = Date.now } = {}) {
+  return Promise.all(plants.map(async (plant) => {
+    const startedAt = now();
+    try {
+      const rows = await withTimeout(Promise.resolve().then(() => fetchPlant(plant)), timeoutMs, plant.key);
+      return { plant, ok: true, rows: rows || [], error: null, durationMs: now() - startedAt };
+    } catch (err) {
+      console.error(`[CONSOLIDATED] ${plant.key} failed:`, err.message);
+      return { plant, ok: false, rows: [], error: err.message || 'Plant query failed', durationMs: now() - startedAt };
+    }
+  }));
+}
+
+/**
+ * Tags rows with their plant key and gives every row the same columns, in first-seen order.
+ * @returns {{ columns: string[], rows: Array<Object> }}
+ */
+export function alignRows(results) {
+  const columns = ['plant'];
+  const seen = new Set(columns);
+  for (const { rows } of results) {
+    for (const row of rows) {
+      for (const key of Object.keys(row)) {
+        if (!seen.has(key)) {
+          seen.add(key);
+          columns.push(key);
+        }
+      }
+    }
+  }
+  const rows = results.flatMap(({ plant, rows: plantRows }) => plantRows.map((row) => {
+    const aligned = { plant: plant.key };
+    for (const column of columns.slice(1)) aligned[column] = row[column] ?? null;
+    return aligned;
+  }));
+  return { columns, rows };
+}
+
+/**
+ * Sums numeric fields (non-numeric values count as 0); `count` is the number of rows.
+ * groupBy: { name: field } adds { name: { value: { count, ...sums } } }.
+ */
+export function sumRows(rows, fields, groupBy = {}) {
+  const add = (target, row) => {
+    target.count += 1;
+    for (const field of fields) {
+      const value = Number(row[field]);
+      target[field] += Number.isFinite(value) ? value : 0;
+    }
+  };
+  const empty = () => Object.fromEntries([['count', 0], ...fields.map((f) => [f, 0])]);
+
+  const totals = empty();
+  const groups = Object.fromEntries(Object.keys(groupBy).map((name) => [name, {}]));
+  for (const row of rows) {
+    add(totals, row);
+    for (const [name, field] of Object.entries(groupBy)) {
+      const key = String(row[field] ?? 'unknown');
+      groups[name][key] = groups[name][key] || empty();
+      add(groups[name][key], row);
+    }
+  }
+  const round = (t) => {
+    for (const field of fields) t[field] = Math.round(t[field] * 1000) / 1000;
+    return t;
+  };
+  round(totals);
+  for (const group of Object.values(groups)) Object.values(group).forEach(round);
+  return { ...totals, ...groups };
+}
+
+/**
+ * Response body for a consolidated report.
+ * `status` is false only when no plant answered; `partial` is true when some did not.
+ */
+export function consolidate(results, { totals: totalsSpec = { fields: [] } } = {}) {
+  const { fields, groupBy } = totalsSpec;
+  const { columns, rows } = alignRows(results);
+  const answered = results.filter((r) => r.ok);
+  return {
+    status: answered.length > 0,
+    partial: answered.length > 0 && answered.length < results.length,
+    generatedAt: new Date().toISOString(),
+    plants: results.map(({ plant, ok, rows: plantRows, error, durationMs }) => ({
+      plant: plant.key,
+      name: plant.name,
+      status: ok ? 'ok' : 'error',
+      ...(ok ? { totals: sumRows(plantRows, fields, groupBy) } : { error }),
+      durationMs
+    })),
+    ...(answered.length === 0 ? { error: 'No plant returned data' } : {}),
+    totals: sumRows(rows, fields, groupBy),
+    columns,
+    records: rows
+  };
+}
@@ -0,0 +1,69 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { fanOutToPlants, alignRows, sumRows, consolidate } from './consolidated.js';
+
+const KOL = { key: 'KOL', name: 'Kolkata' };
+const AHM = { key: 'AHM', name: 'Ahmedabad' };
+const PUN = { key: 'PUN', name: 'Pune' };
+
+test('fan-out keeps answering plants when one fails or times out', async () => {
+  const results = await fanOutToPlants([KOL, AHM, PUN], async (plant) => {
+    if (plant.key === 'AHM') throw new Error('Failed to connect');
+    if (plant.key === 'PUN') return new Promise(() => {});
+    return [{ amount: 5 }];
+  }, { timeoutMs: 20 });
+
+  assert.deepEqual(results.map((r) => [r.plant.key, r.ok, r.rows.length]), [
+    ['KOL', true, 1],
+    ['AHM', false, 0],
+    ['PUN', false, 0]
+  ]);
+  assert.equal(results[1].error, 'Failed to connect');
+  assert.match(results[2].error, /PUN did not answer within 20 ms/);
+});
+
+test('rows are tagged with their plant and aligned to one column list', () => {
+  const { columns, rows } = alignRows([
+    { plant: KOL, rows: [{ MachineID: 1, Status: 'Running' }] },
+    { plant: AHM, rows: [{ MachineID: 7, Operator: 'A' }] }
+  ]);
+  assert.deepEqual(columns, ['plant', 'MachineID', 'Status', 'Operator']);
+  assert.deepEqual(rows, [
+    { plant: 'KOL', MachineID: 1, Status: 'Running', Operator: null },
+    { plant: 'AHM', MachineID: 7, Status: null, Operator: 'A' }
+  ]);
+});
+
+test('totals sum numeric fields overall and per group', () => {
+  const totals = sumRows([
+    { deliveryAmount: 100.5, transportType: 'local' },
+    { deliveryAmount: '49.5', transportType: 'non local' },
+    { deliveryAmount: null, transportType: 'local' }
+  ], ['deliveryAmount'], { byTransportType: 'transportType' });
+  assert.deepEqual(totals, {
+    count: 3,
+    deliveryAmount: 150,
+    byTransportType: {
+      local: { count: 2, deliveryAmount: 100.5 },
+      'non local': { count: 1, deliveryAmount: 49.5 }
+    }
+  });
+});
+
+test('consolidated body reports partial and failed results', () => {
+  const partial = consolidate([
+    { plant: KOL, ok: true, rows: [{ closingKg: 10 }], error: null, durationMs: 4 },
+    { plant: AHM, ok: false, rows: [], error: 'timeout', durationMs: 30 }
+  ], { totals: { fields: ['closingKg'] } });
+  assert.equal(partial.status, true);
+  assert.equal(partial.partial, true);
+  assert.deepEqual(partial.plants.map((p) => p.status), ['ok', 'error']);
+  assert.deepEqual(partial.plants[0].totals, { count: 1, closingKg: 10 });
+  assert.equal(partial.plants[1].error, 'timeout');
+  assert.deepEqual(partial.totals, { count: 1, closingKg: 10 });
+
+  const failed = consolidate([{ plant: KOL, ok: false, rows: [], error: 'down', durationMs: 1 }]);
+  assert.equal(failed.status, false);
+  assert.equal(failed.partial, false);
+  assert.equal(failed.error, 'No plant returned data');
+});
@@ -4,17 +4,21 @@ const User = require('../models/User');
 const Contractor = require('../models/Contractor');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const passwords = require('../../password-hash.cjs');
+const { getJwtSecret } = require('../../jwt-secret.cjs');
+const { validate, v } = require('../../validation.cjs');
 
 // Contractor login (validated against Contractor collection)
-router.post('/contractor-login', async (req, res) => {
+router.post('/contractor-login', validate({
+  summary: 'Contractor login (contractor ID or name)',
+  body: v.object({
+    contractorIdOrName: v.string({ minLength: 1 }),
+    password: v.string({ minLength: 1, trim: false })
+  })
+}), async (req, res) => {
   try {
-    const { contractorIdOrName, password } = req.body;
+    const { contractorIdOrName: input, password } = req.valid.body;
 
-    if (!contractorIdOrName || !password) {
-      return res.status(400).json({ error: 'Contractor ID/Name and password are required' });
-    }
-
-    const input = String(contractorIdOrName).trim();
     const contractor = await Contractor.findOne({
       isdeleted: 0,
       $or: [
@@ -27,14 +31,36 @@ router.post('/contractor-login', async (req, res) => {
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
-    const storedPassword = contractor.password != null ? String(contractor.password).trim() : '';
-    if (storedPassword === '' || password !== storedPassword) {
+    if (passwords.isLockedOut(contractor)) {
+      return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later or ask an admin to reset the password.' });
+    }
+
+    const { ok, needsUpgrade } = await passwords.verifyPassword(password, contractor.password);
+    if (!ok) {
+      await Contractor.updateOne({ _id: contractor._id }, passwords.failedLoginUpdate());
       return res.status(401).json({ error: 'Invalid credentials' });
     }
 
+    // Clears the failure counter and re-hashes a legacy plaintext password; no match when wrong
+    // guesses made at the same time locked the account
+    const { matchedCount } = await Contractor.updateOne(
+      passwords.unlockedFilter(contractor._id),
+      { $set: await passwords.successfulLoginUpdate(password, needsUpgrade) }
+    );
+    if (!matchedCount) {
+      return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later or ask an admin to reset the password.' });
+    }
+
     const token = jwt.sign(
-      { type: 'contractor', contractorId: contractor.contractorId, id: contractor._id },
-      process.env.JWT_SECRET || 'your-secret-key',
+      {
+        role: 'contractor', // role names: see ROLES in src/auth.js
+        sub: String(contractor._id),
+        name: contractor.name,
+        type: 'contractor',
+        contractorId: contractor.contractorId,
+        id: contractor._id
+      },
+      getJwtSecret(),
       { expiresIn: '24h' }
     );
 
@@ -44,7 +70,8 @@ router.post('/contractor-login', async (req, res) => {
         type: 'contractor',
         contractorId: contractor.contractorId,
         name: contractor.name,
-        id: contractor._id.toString()
+        id: contractor._id.toString(),
+        mustChangePassword: !!contractor.mustChangePassword
       }
     });
   } catch (error) {
@@ -53,15 +80,69 @@ router.post('/contractor-login', async (req, res) => {
   }
 });
 
-// Admin login
-router.post('/login', async (req, res) => {
+// Contractor changes own password (requires contractor token)
+router.post('/change-password', validate({
+  summary: 'Contractor changes their own password',
+  body: v.object({
+    currentPassword: v.string({ minLength: 1, trim: false }),
+    newPassword: v.string({ minLength: 1, trim: false })
+  })
+}), async (req, res) => {
   try {
-    const { userId, passkey } = req.body;
+    const { currentPassword, newPassword } = req.valid.body;
+    if (req.auth?.role !== 'contractor') {
+      return res.status(403).json({ error: 'Only contractors can change their password here' });
+    }
 
-    if (!userId || !passkey) {
-      return res.status(400).json({ error: 'User ID and passkey are required' });
+    const invalid = passwords.validateNewPassword(newPassword);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const contractor = await Contractor.findOne({ _id: req.auth.sub, isdeleted: 0 });
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+    if (passwords.isLockedOut(contractor)) {
+      return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later.' });
     }
 
+    const { ok } = await passwords.verifyPassword(currentPassword, contractor.password);
+    if (!ok) {
+      await Contractor.updateOne({ _id: contractor._id }, passwords.failedLoginUpdate());
+      return res.status(401).json({ error: 'Current password is incorrect' });
+    }
+
+    await Contractor.updateOne(
+      { _id: contractor._id },
+      {
+        $set: {
+          password: await passwords.hashPassword(newPassword),
+          passwordChangedAt: new Date(),
+          mustChangePassword: false,
+          failedLoginCount: 0,
+          lockedUntil: null
+        }
+      }
+    );
+    res.json({ message: 'Password changed successfully' });
+  } catch (error) {
+    console.error('Contractor change password error:', error);
+    res.status(500).json({ error: 'Server error while changing password' });
+  }
+});
+
+// Admin login
+router.post('/login', validate({
+  summary: 'Contractor PO admin login',
+  body: v.object({
+    userId: v.string({ minLength: 1 }),
+    passkey: v.string({ minLength: 1, trim: false })
+  })
+}), async (req, res) => {
+  try {
+    const { userId, passkey } = req.valid.body;
+
     // Find user
     const user = await User.findOne({ userId });
     if (!user) {
@@ -78,8 +159,14 @@ router.post('/login', async (req, res) => {
 
     // Generate token
     const token = jwt.sign(
-      { userId: user.userId, id: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
+      {
+        role: user.role === 'admin' ? 'po-admin' : 'po-user', // role names: see ROLES in src/auth.js
+        sub: user.userId,
+        name: user.name,
+        userId: user.userId,
+        id: user._id
+      },
+      getJwtSecret(),
       { expiresIn: '24h' }
     );
 
@@ -99,13 +186,17 @@ router.post('/login', async (req, res) => {
 });
 
 // Register (for initial setup)
-router.post('/register', async (req, res) => {
+router.post('/register', validate({
+  summary: 'Create a Contractor PO user (initial setup)',
+  body: v.object({
+    userId: v.string({ minLength: 1 }),
+    passkey: v.string({ minLength: 1, trim: false }),
+    name: v.string().optional(),
+    role: v.enum(['admin', 'user']).default('user')
+  })
+}), async (req, res) => {
   try {
-    const { userId, passkey, name, role } = req.body;
-
-    if (!userId || !passkey) {
-      return res.status(400).json({ error: 'User ID and passkey are required' });
-    }
+    const { userId, passkey, name, role } = req.valid.body;
 
     // Check if user exists
     const existingUser = await User.findOne({ userId });
@@ -121,7 +212,7 @@ router.post('/register', async (req, res) => {
       userId,
       passkey: hashedPasskey,
       name: name || userId,
-      role: role || 'user'
+      role
     });
 
     await user.save();
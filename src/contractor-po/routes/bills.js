@@ -6,6 +6,19 @@ const JobopsMaster = require('../models/JobOpsMaster');
 const ContractorWD = require('../models/ContractorWD');
 const Contractor = require('../models/Contractor');
 const mongoose = require('mongoose');
+const { validate, v } = require('../../validation.cjs');
+
+const billNumberParams = v.object({ billNumber: v.string({ minLength: 1 }) });
+const billJobs = v.array(v.object({
+  jobNumber: v.string({ minLength: 1 }),
+  ops: v.array(v.object({
+    opsName: v.string({ minLength: 1 }),
+    qtyBook: v.number({ min: 0 }),
+    rate: v.number({ min: 0 }),
+    qtyCompleted: v.number({ min: 0 }),
+    totalValue: v.number({ min: 0 })
+  }), { minItems: 1 })
+}), { minItems: 1 });
 
 // Helper function to generate next bill number (8-digit, starting from 00000001)
 async function generateNextBillNumber() {
@@ -32,7 +45,7 @@ async function generateNextBillNumber() {
 
 // Get all bills (excluding deleted ones)
 // Handles both new bills (with isDeleted field) and old bills (without isDeleted field)
-router.get('/', async (req, res) => {
+router.get('/', validate({ summary: 'Bills, newest first' }), async (req, res) => {
   try {
     // Query: isDeleted is not 1, OR isDeleted field doesn't exist (for backward compatibility)
     const bills = await Bill.find({
@@ -50,13 +63,12 @@ router.get('/', async (req, res) => {
 
 // Get all bills that contain a given job number (for Print Job page)
 // Must be defined before /:billNumber to avoid "by-job" being treated as billNumber
-router.get('/by-job/:jobNumber', async (req, res) => {
+router.get('/by-job/:jobNumber', validate({
+  summary: 'Bills that contain a job',
+  params: v.object({ jobNumber: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    if (!jobNumber || !String(jobNumber).trim()) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    const searchJob = String(jobNumber).trim();
+    const searchJob = req.valid.params.jobNumber;
     const bills = await Bill.find({
       $or: [
         { isDeleted: { $ne: 1 } },
@@ -74,9 +86,12 @@ router.get('/by-job/:jobNumber', async (req, res) => {
 });
 
 // Get bill by bill number
-router.get('/:billNumber', async (req, res) => {
+router.get('/:billNumber', validate({
+  summary: 'One bill',
+  params: billNumberParams
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
+    const { billNumber } = req.valid.params;
     const bill = await Bill.findOne({ billNumber });
     
     if (!bill) {
@@ -91,68 +106,12 @@ router.get('/:billNumber', async (req, res) => {
 });
 
 // Create new bill
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create a contractor bill',
+  body: v.object({ contractorName: v.string({ minLength: 1 }), jobs: billJobs })
+}), async (req, res) => {
   try {
-    const { contractorName, jobs } = req.body;
-
-    if (!contractorName || !contractorName.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
-
-    if (!jobs || !Array.isArray(jobs) || jobs.length === 0) {
-      return res.status(400).json({ error: 'At least one job is required' });
-    }
-
-    // Validate jobs structure
-    for (const job of jobs) {
-      if (!job.jobNumber || !job.jobNumber.trim()) {
-        return res.status(400).json({ error: 'Each job must have a job number' });
-      }
-      if (!job.ops || !Array.isArray(job.ops) || job.ops.length === 0) {
-        return res.status(400).json({ error: 'Each job must have at least one operation' });
-      }
-
-      for (const op of job.ops) {
-        if (!op.opsName || !op.opsName.trim()) {
-          return res.status(400).json({ 
-            error: 'Each operation must have an operation name (opsName)' 
-          });
-        }
-        if (
-          op.qtyBook === undefined || 
-          op.rate === undefined || 
-          op.qtyCompleted === undefined || 
-          op.totalValue === undefined
-        ) {
-          return res.status(400).json({ 
-            error: 'Each operation must have qtyBook, rate, qtyCompleted, and totalValue' 
-          });
-        }
-
-        // Validate numbers
-        if (
-          isNaN(Number(op.qtyBook)) || 
-          isNaN(Number(op.rate)) || 
-          isNaN(Number(op.qtyCompleted)) || 
-          isNaN(Number(op.totalValue))
-        ) {
-          return res.status(400).json({ 
-            error: 'All operation fields must be valid numbers' 
-          });
-        }
-
-        if (
-          Number(op.qtyBook) < 0 || 
-          Number(op.rate) < 0 || 
-          Number(op.qtyCompleted) < 0 || 
-          Number(op.totalValue) < 0
-        ) {
-          return res.status(400).json({ 
-            error: 'All operation values must be non-negative' 
-          });
-        }
-      }
-    }
+    const { contractorName, jobs } = req.valid.body;
 
     // Generate bill number
     const billNumber = await generateNextBillNumber();
@@ -190,7 +149,7 @@ router.post('/', async (req, res) => {
     // Create bill
     const bill = new Bill({
       billNumber,
-      contractorName: contractorName.trim(),
+      contractorName,
       jobs: jobs.map(job => ({
         jobNumber: job.jobNumber,
         clientName: job.clientName || '',
@@ -198,7 +157,7 @@ router.post('/', async (req, res) => {
         ops: job.ops.map(op => {
           // Save qtyBook and rate as is, no calculations
           return {
-            opsName: op.opsName.trim(),
+            opsName: op.opsName,
             qtyBook: Number(op.qtyBook), // Save qtyBook as is, no calculation
             rate: Number(op.rate), // Save rate (which contains valuePerBook) as is, no calculation
             qtyCompleted: Number(op.qtyCompleted),
@@ -221,10 +180,14 @@ router.post('/', async (req, res) => {
 });
 
 // Update bill
-router.put('/:billNumber', async (req, res) => {
+router.put('/:billNumber', validate({
+  summary: 'Replace the contractor or jobs of a bill',
+  params: billNumberParams,
+  body: v.object({ contractorName: v.string({ minLength: 1 }).optional(), jobs: billJobs.optional() })
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
-    const { contractorName, jobs } = req.body;
+    const { billNumber } = req.valid.params;
+    const { contractorName, jobs } = req.valid.body;
 
     const bill = await Bill.findOne({ billNumber });
     if (!bill) {
@@ -232,40 +195,10 @@ router.put('/:billNumber', async (req, res) => {
     }
 
     if (contractorName !== undefined) {
-      if (!contractorName || !contractorName.trim()) {
-        return res.status(400).json({ error: 'Contractor name cannot be empty' });
-      }
-      bill.contractorName = contractorName.trim();
+      bill.contractorName = contractorName;
     }
 
     if (jobs !== undefined) {
-      if (!Array.isArray(jobs) || jobs.length === 0) {
-        return res.status(400).json({ error: 'At least one job is required' });
-      }
-
-      // Validate jobs structure (same as create)
-      for (const job of jobs) {
-        if (!job.jobNumber || !job.jobNumber.trim()) {
-          return res.status(400).json({ error: 'Each job must have a job number' });
-        }
-        if (!job.ops || !Array.isArray(job.ops) || job.ops.length === 0) {
-          return res.status(400).json({ error: 'Each job must have at least one operation' });
-        }
-
-        for (const op of job.ops) {
-          if (
-            op.qtyBook === undefined || 
-            op.rate === undefined || 
-            op.qtyCompleted === undefined || 
-            op.totalValue === undefined
-          ) {
-            return res.status(400).json({ 
-              error: 'Each operation must have qtyBook, rate, qtyCompleted, and totalValue' 
-            });
-          }
-        }
-      }
-
       // Collect all unique opIds from all jobs
       const allOpIds = [];
       jobs.forEach(job => {
@@ -303,7 +236,7 @@ router.put('/:billNumber', async (req, res) => {
         ops: job.ops.map(op => {
           // Save qtyBook and rate as is, no calculations
           return {
-            opsName: op.opsName.trim(),
+            opsName: op.opsName,
             qtyBook: Number(op.qtyBook), // Save qtyBook as is, no calculation
             rate: Number(op.rate), // Save rate (which contains valuePerBook) as is, no calculation
             qtyCompleted: Number(op.qtyCompleted),
@@ -322,24 +255,25 @@ router.put('/:billNumber', async (req, res) => {
 });
 
 // Edit unpaid bill quantities (completed qty only) and sync JobopsMaster / Contractor_WD
-router.put('/:billNumber/edit-qty', async (req, res) => {
+router.put('/:billNumber/edit-qty', validate({
+  summary: 'Edit completed quantities of an unpaid bill',
+  description: 'Each change is matched to a bill operation by jobNumber, opsName and rate; the quantity difference is applied to JobopsMaster pending and Contractor_WD.',
+  params: billNumberParams,
+  body: v.object({
+    contractorId: v.string({ minLength: 1 }),
+    changes: v.array(v.object({
+      jobNumber: v.string({ minLength: 1 }),
+      opsName: v.string({ minLength: 1 }),
+      rate: v.number().optional(),
+      newQtyCompleted: v.number({ min: 0 })
+    }), { minItems: 1 })
+  })
+}), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const { billNumber } = req.params;
-    const { contractorId, changes } = req.body;
-
-    if (!contractorId || !String(contractorId).trim()) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ error: 'contractorId is required' });
-    }
-
-    if (!Array.isArray(changes) || changes.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ error: 'At least one change is required' });
-    }
+    const { billNumber } = req.valid.params;
+    const { contractorId, changes } = req.valid.body;
 
     // Load existing bill within the transaction
     const bill = await Bill.findOne({ billNumber }).session(session);
@@ -380,23 +314,7 @@ router.put('/:billNumber/edit-qty', async (req, res) => {
 
     // Apply changes to bill in-memory
     for (const change of changes) {
-      const { jobNumber, opsName, rate, newQtyCompleted } = change || {};
-
-      if (!jobNumber || !String(jobNumber).trim()) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: 'Each change must have a jobNumber' });
-      }
-      if (!opsName || !String(opsName).trim()) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: 'Each change must have an opsName' });
-      }
-      if (newQtyCompleted === undefined || newQtyCompleted === null) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: 'Each change must have newQtyCompleted' });
-      }
+      const { jobNumber, opsName, rate, newQtyCompleted } = change;
 
       const key = buildKey(jobNumber, opsName, rate);
       const entry = billOpsMap.get(key);
@@ -408,13 +326,7 @@ router.put('/:billNumber/edit-qty', async (req, res) => {
 
       const { job, op } = entry;
       const oldQty = Number(op.qtyCompleted || 0);
-      const newQty = Number(newQtyCompleted);
-
-      if (!Number.isFinite(newQty) || newQty < 0) {
-        await session.abortTransaction();
-        session.endSession();
-        return res.status(400).json({ error: 'newQtyCompleted must be a non-negative number' });
-      }
+      const newQty = newQtyCompleted;
 
       const delta = newQty - oldQty;
       if (delta === 0) {
@@ -617,15 +529,18 @@ router.put('/:billNumber/edit-qty', async (req, res) => {
 });
 
 // Check if contractor has paid bill with roomRent in last 30 days
-router.get('/check-roomrent/:contractorName', async (req, res) => {
+router.get('/check-roomrent/:contractorName', validate({
+  summary: 'Whether a contractor had a paid bill with room rent in the last 30 days',
+  params: v.object({ contractorName: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { contractorName } = req.params;
+    const { contractorName } = req.valid.params;
     
     const thirtyDaysAgo = new Date();
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
     
     const paidBillWithRoomRent = await Bill.findOne({
-      contractorName: contractorName.trim(),
+      contractorName,
       paymentStatus: 'Yes',
       paymentDate: { $gte: thirtyDaysAgo },
       roomRent: { $gt: 0 },
@@ -643,10 +558,14 @@ router.get('/check-roomrent/:contractorName', async (req, res) => {
 });
 
 // Mark bill as paid
-router.patch('/:billNumber/pay', async (req, res) => {
+router.patch('/:billNumber/pay', validate({
+  summary: 'Mark a bill paid',
+  params: billNumberParams,
+  body: v.object({ roomRent: v.number({ min: 0 }).default(0) })
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
-    const { roomRent } = req.body;
+    const { billNumber } = req.valid.params;
+    const { roomRent } = req.valid.body;
     
     const bill = await Bill.findOne({ billNumber });
     
@@ -656,17 +575,7 @@ router.patch('/:billNumber/pay', async (req, res) => {
     
     bill.paymentStatus = 'Yes';
     bill.paymentDate = new Date();
-    
-    // Set roomRent if provided (default to 0 if not provided)
-    if (roomRent !== undefined && roomRent !== null) {
-      const rentValue = Number(roomRent);
-      if (isNaN(rentValue) || rentValue < 0) {
-        return res.status(400).json({ error: 'roomRent must be a non-negative number' });
-      }
-      bill.roomRent = rentValue;
-    } else {
-      bill.roomRent = 0;
-    }
+    bill.roomRent = roomRent;
     
     await bill.save();
     res.json(bill);
@@ -677,9 +586,12 @@ router.patch('/:billNumber/pay', async (req, res) => {
 });
 
 // Soft delete bill (set isDeleted = 1 and update pending/completed quantities)
-router.delete('/:billNumber', async (req, res) => {
+router.delete('/:billNumber', validate({
+  summary: 'Delete a bill and return its quantities to pending',
+  params: billNumberParams
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
+    const { billNumber } = req.valid.params;
     // Query: billNumber matches AND (isDeleted is not 1 OR isDeleted doesn't exist)
     const bill = await Bill.findOne({
       billNumber,
@@ -1,13 +1,14 @@
 const express = require('express');
 const router = express.Router();
 const Contractor = require('../models/Contractor');
+const passwords = require('../../password-hash.cjs');
+const { validate, v } = require('../../validation.cjs');
 
-function generateSixDigitPassword() {
-  return String(Math.floor(100000 + Math.random() * 900000));
-}
+const contractorParams = v.object({ id: v.objectId() });
+const contractorBody = v.object({ name: v.string({ minLength: 1 }) });
 
 // Get all contractors (only active ones - isdeleted = 0)
-router.get('/', async (req, res) => {
+router.get('/', validate({ summary: 'Active contractors, newest first' }), async (req, res) => {
   try {
     const contractors = await Contractor.find({ isdeleted: 0 }).sort({ creationDate: -1 });
     res.json(contractors);
@@ -18,13 +19,13 @@ router.get('/', async (req, res) => {
 });
 
 // Create new contractor
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create a contractor',
+  description: 'The generated password is returned once, in this response.',
+  body: contractorBody
+}), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
+    const { name } = req.valid.body;
 
     // Generate a unique contractorId
     // Using timestamp + random string to ensure uniqueness
@@ -37,16 +38,19 @@ router.post('/', async (req, res) => {
       existingContractor = await Contractor.findOne({ contractorId });
     } while (existingContractor); // Keep generating until unique
 
+    // Only the hash is stored; the generated password is shown to the admin once, in this response
+    const initialPassword = passwords.generateTemporaryPassword();
     const contractor = new Contractor({
       contractorId,
-      name: name.trim(),
+      name,
       creationDate: new Date(),
-      password: generateSixDigitPassword(),
+      password: await passwords.hashPassword(initialPassword),
+      passwordChangedAt: new Date(),
       isdeleted: 0
     });
 
     await contractor.save();
-    res.status(201).json(contractor);
+    res.status(201).json({ ...contractor.toJSON(), password: initialPassword });
   } catch (error) {
     console.error('Error creating contractor:', error);
     if (error.code === 11000) {
@@ -58,17 +62,15 @@ router.post('/', async (req, res) => {
 });
 
 // Update contractor (only name can be edited)
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate({
+  summary: 'Rename a contractor',
+  params: contractorParams,
+  body: contractorBody
+}), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
-
     const contractor = await Contractor.findByIdAndUpdate(
-      req.params.id,
-      { name: name.trim() },
+      req.valid.params.id,
+      { name: req.valid.body.name },
       { new: true, runValidators: true }
     );
 
@@ -83,11 +85,46 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// Admin password reset: issues a new six digit password (returned once) and clears any lockout
+router.post('/:id/reset-password', validate({
+  summary: 'Reset a contractor password',
+  description: 'Issues a new six digit password (returned once) and clears any lockout.',
+  params: contractorParams
+}), async (req, res) => {
+  try {
+    const temporaryPassword = passwords.generateTemporaryPassword();
+    const contractor = await Contractor.findOneAndUpdate(
+      { _id: req.valid.params.id, isdeleted: 0 },
+      {
+        password: await passwords.hashPassword(temporaryPassword),
+        passwordChangedAt: new Date(),
+        mustChangePassword: true,
+        failedLoginCount: 0,
+        lockedUntil: null
+      },
+      { new: true }
+    );
+
+    if (!contractor) {
+      return res.status(404).json({ error: 'Contractor not found' });
+    }
+
+    console.log(`[CONTRACTOR] Password reset for ${contractor.contractorId} by ${req.auth?.sub || 'unknown'}`);
+    res.json({ message: 'Password reset successfully', contractorId: contractor.contractorId, password: temporaryPassword });
+  } catch (error) {
+    console.error('Error resetting contractor password:', error);
+    res.status(500).json({ error: 'Error resetting contractor password' });
+  }
+});
+
 // Delete contractor (soft delete - set isdeleted = 1)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({
+  summary: 'Delete a contractor (soft delete)',
+  params: contractorParams
+}), async (req, res) => {
   try {
     const contractor = await Contractor.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       { isdeleted: 1 },
       { new: true }
     );
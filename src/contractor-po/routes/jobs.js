@@ -16,11 +16,15 @@ const JobopsMaster = require('../models/JobOpsMaster');
 
 const { getConnection, sql } = require('../config/db');
 
+const { validate, v } = require('../../validation.cjs');
+
+const jobNumberParams = v.object({ jobNumber: v.string({ minLength: 1 }) });
+
 
 
 // Get all jobs
 
-router.get('/', async (req, res) => {
+router.get('/', validate({ summary: 'Jobs, newest first' }), async (req, res) => {
 
   try {
 
@@ -42,11 +46,14 @@ router.get('/', async (req, res) => {
 
 // Search job by number
 
-router.get('/search/:jobNumber', async (req, res) => {
+router.get('/search/:jobNumber', validate({
+  summary: 'Previous operations of a job with the contractor work done on them',
+  params: jobNumberParams
+}), async (req, res) => {
 
   try {
 
-    const { jobNumber } = req.params;
+    const { jobNumber } = req.valid.params;
 
 
 
@@ -281,11 +288,14 @@ router.get('/search/:jobNumber', async (req, res) => {
 
 // Get job by ID
 
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'One job with its operations',
+  params: v.object({ id: v.objectId() })
+}), async (req, res) => {
 
   try {
 
-    const job = await Job.findById(req.params.id);
+    const job = await Job.findById(req.valid.params.id);
 
     if (!job) {
 
@@ -323,19 +333,21 @@ router.get('/:id', async (req, res) => {
 
 // Create new job
 
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create a job',
+  body: v.object({
+    jobNumber: v.string({ minLength: 1 }),
+    clientName: v.string({ minLength: 1 }),
+    jobTitle: v.string({ minLength: 1 }),
+    qty: v.number({ min: 1 }),
+    productCat: v.string().default(''),
+    unitPrice: v.number({ min: 0 }).default(0)
+  })
+}), async (req, res) => {
 
   try {
 
-    const { jobNumber, clientName, jobTitle, qty, productCat, unitPrice } = req.body;
-
-
-
-    if (!jobNumber || !clientName || !jobTitle || !qty) {
-
-      return res.status(400).json({ error: 'Missing required fields' });
-
-    }
+    const { jobNumber, clientName, jobTitle, qty, productCat, unitPrice } = req.valid.body;
 
 
 
@@ -361,9 +373,9 @@ router.post('/', async (req, res) => {
 
       qty,
 
-      productCat: productCat || '',
+      productCat,
 
-      unitPrice: unitPrice || 0
+      unitPrice
 
     });
 
@@ -387,13 +399,18 @@ router.post('/', async (req, res) => {
 
 // Add operations to job (existing JobOperation-based endpoint)
 
-router.post('/:jobId/operations', async (req, res) => {
+router.post('/:jobId/operations', validate({
+  summary: 'Add operations to a job',
+  description: 'Each operation is { operationId, qtyPerBook, rate, ratePerBook }; an operation missing any of them is skipped.',
+  params: v.object({ jobId: v.objectId() }),
+  body: v.object({ operations: v.array(v.object({})) })
+}), async (req, res) => {
 
   try {
 
-    const { jobId } = req.params;
+    const { jobId } = req.valid.params;
 
-    const { operations } = req.body; // Array of { operationId, qtyPerBook, rate, ratePerBook }
+    const { operations } = req.valid.body;
 
 
 
@@ -467,7 +484,17 @@ router.post('/:jobId/operations', async (req, res) => {
 
 // Save Job Ops to JobopsMaster only (no Job / JobOperation)
 
-router.post('/jobopsmaster', async (req, res) => {
+router.post('/jobopsmaster', validate({
+  summary: 'Add operations to a job in JobopsMaster',
+  body: v.object({
+    jobNumber: v.string({ minLength: 1 }),
+    operations: v.array(v.object({}), { minItems: 1 }),
+    qty: v.number({ min: 0 }).default(0).describe('Total job quantity'),
+    clientName: v.string().optional(),
+    jobTitle: v.string().optional(),
+    segmentName: v.string().optional()
+  })
+}), async (req, res) => {
 
   try {
 
@@ -485,15 +512,7 @@ router.post('/jobopsmaster', async (req, res) => {
 
       segmentName
 
-    } = req.body;
-
-
-
-    if (!jobNumber || !operations || !Array.isArray(operations) || operations.length === 0) {
-
-      return res.status(400).json({ error: 'Job number and at least one operation are required' });
-
-    }
+    } = req.valid.body;
 
 
 
@@ -718,7 +737,7 @@ router.post('/jobopsmaster', async (req, res) => {
 
 // Get all job numbers from JobopsMaster
 
-router.get('/jobopsmaster/jobnumbers', async (req, res) => {
+router.get('/jobopsmaster/jobnumbers', validate({ summary: 'Job numbers in JobopsMaster' }), async (req, res) => {
 
   try {
 
@@ -742,13 +761,12 @@ router.get('/jobopsmaster/jobnumbers', async (req, res) => {
 
 // Get a single JobopsMaster document by job number (used for copy-ops in UI)
 // Uses query parameter to safely handle job numbers with special characters like '/'
-router.get('/jobopsmaster/by-job-number', async (req, res) => {
+router.get('/jobopsmaster/by-job-number', validate({
+  summary: 'Operations of a job in JobopsMaster, for copying to another job',
+  query: v.object({ jobNumber: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.query;
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.query;
 
     const jobOpsMaster = await JobopsMaster.findOne({ jobId: jobNumber }).lean();
 
@@ -771,20 +789,17 @@ router.get('/jobopsmaster/by-job-number', async (req, res) => {
 
 // Search job numbers from MSSQL (when 4+ digits entered)
 
-router.get('/search-numbers/:jobNumberPart', async (req, res) => {
+router.get('/search-numbers/:jobNumberPart', validate({
+  summary: 'ERP job numbers containing a fragment',
+  params: v.object({ jobNumberPart: v.string({ minLength: 4 }) })
+}), async (req, res) => {
 
   try {
 
-    const { jobNumberPart } = req.params;
+    const { jobNumberPart } = req.valid.params;
 
     console.log('🔍 [BACKEND] /jobs/search-numbers called with jobNumberPart:', jobNumberPart);
 
-    if (!jobNumberPart || jobNumberPart.length < 4) {
-
-      return res.status(400).json({ error: 'Job number part must be at least 4 characters' });
-
-    }
-
 
 
     const connectionStartTime = Date.now();
@@ -851,19 +866,14 @@ router.get('/search-numbers/:jobNumberPart', async (req, res) => {
 
 // Get job details from MSSQL (when job number selected)
 
-router.get('/details/:jobNumber', async (req, res) => {
+router.get('/details/:jobNumber', validate({
+  summary: 'ERP details of a job',
+  params: jobNumberParams
+}), async (req, res) => {
 
   try {
 
-    const { jobNumber } = req.params;
-
-    
-
-    if (!jobNumber) {
-
-      return res.status(400).json({ error: 'Job number is required' });
-
-    }
+    const { jobNumber } = req.valid.params;
 
 
 
@@ -929,13 +939,12 @@ router.get('/details/:jobNumber', async (req, res) => {
 
 
 // Get job details for update job card app (with ClientName, JobName, OrderQuantity, PODate)
-router.get('/details-update/:jobNumber', async (req, res) => {
+router.get('/details-update/:jobNumber', validate({
+  summary: 'ERP details of a job for the update job card app',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     const connectionStartTime = Date.now();
     const pool = await getConnection();
@@ -992,13 +1001,12 @@ router.get('/details-update/:jobNumber', async (req, res) => {
 
 // Delete an operation from JobopsMaster
 // Use query parameters instead of path params to handle special characters in job numbers
-router.delete('/jobopsmaster/operation', async (req, res) => {
+router.delete('/jobopsmaster/operation', validate({
+  summary: 'Remove an operation no work has been done on from a job',
+  query: v.object({ jobNumber: v.string({ minLength: 1 }), opId: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumber, opId } = req.query;
-
-    if (!jobNumber || !opId) {
-      return res.status(400).json({ error: 'Job number and operation ID are required' });
-    }
+    const { jobNumber, opId } = req.valid.query;
 
     // Find the job in JobopsMaster
     const jobOpsMaster = await JobopsMaster.findOne({ jobId: jobNumber });
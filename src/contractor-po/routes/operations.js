@@ -2,9 +2,24 @@ const express = require('express');
 const router = express.Router();
 const Operation = require('../models/Operation');
 const { getConnection, sql } = require('../config/db');
+const { validate, v } = require('../../validation.cjs');
+
+const operationParams = v.object({ id: v.objectId() });
+// categories is left out: it is a single name or a list, normalized by categoriesOf
+const operationBody = v.object({
+  opsName: v.string({ minLength: 1 }),
+  type: v.string({ minLength: 1 }),
+  ratePerUnit: v.number({ min: 0 }).describe('Rate per unit, rounded to 4 decimals')
+});
+const OPERATION_BODY_DESCRIPTION = 'categories: a category name or a list of names (categorymaster).';
+
+function categoriesOf(categoriesBody) {
+  if (Array.isArray(categoriesBody)) return categoriesBody.map(c => String(c).trim()).filter(Boolean);
+  return categoriesBody != null && categoriesBody !== '' ? [String(categoriesBody).trim()] : [];
+}
 
 // Get distinct category names from MSSQL categorymaster (for dropdown)
-router.get('/categories', async (req, res) => {
+router.get('/categories', validate({ summary: 'Category names from categorymaster' }), async (req, res) => {
   try {
     const pool = await getConnection();
     const result = await pool.request().query('SELECT DISTINCT categoryname FROM categorymaster ORDER BY categoryname');
@@ -20,16 +35,22 @@ router.get('/categories', async (req, res) => {
 
 // Get all operations (only active ones - isdeleted = 0)
 // Query params: search (opsName regex), category (exact match on category field)
-router.get('/', async (req, res) => {
+router.get('/', validate({
+  summary: 'Active operations by name',
+  query: v.object({
+    search: v.string().optional().describe('Part of the operation name (regular expression, case-insensitive)'),
+    category: v.string().optional()
+  })
+}), async (req, res) => {
   try {
-    const { search, category } = req.query;
+    const { search, category } = req.valid.query;
     let query = { isdeleted: 0 };
 
     if (search) {
       query.opsName = { $regex: search, $options: 'i' };
     }
-    if (category != null && String(category).trim() !== '') {
-      query.categories = String(category).trim();
+    if (category) {
+      query.categories = category;
     }
 
     const operations = await Operation.find(query).sort({ opsName: 1 });
@@ -41,9 +62,12 @@ router.get('/', async (req, res) => {
 });
 
 // Get operation by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'An operation by id',
+  params: operationParams
+}), async (req, res) => {
   try {
-    const operation = await Operation.findById(req.params.id);
+    const operation = await Operation.findById(req.valid.params.id);
     if (!operation) {
       return res.status(404).json({ error: 'Operation not found' });
     }
@@ -55,24 +79,14 @@ router.get('/:id', async (req, res) => {
 });
 
 // Create new operation
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Create an operation',
+  description: OPERATION_BODY_DESCRIPTION,
+  body: operationBody
+}), async (req, res) => {
   try {
-    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.body;
-
-    // Validate required fields
-    if (!opsName || !type) {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    // Validate ratePerUnit - must be a number and >= 0
-    if (ratePerUnit === undefined || ratePerUnit === null || ratePerUnit === '') {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    const ratePerUnitNum = parseFloat(Number(ratePerUnit).toFixed(4));
-    if (isNaN(ratePerUnitNum) || ratePerUnitNum < 0) {
-      return res.status(400).json({ error: 'Rate/unit must be a valid number greater than or equal to 0' });
-    }
+    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.valid.body;
+    const ratePerUnitNum = parseFloat(ratePerUnit.toFixed(4));
 
     // Check if operation already exists (only active ones)
     const existingOp = await Operation.findOne({ opsName, isdeleted: 0 });
@@ -80,16 +94,11 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ error: 'Operation already exists' });
     }
 
-    const categories = Array.isArray(categoriesBody)
-      ? categoriesBody.map(c => String(c).trim()).filter(Boolean)
-      : categoriesBody != null && categoriesBody !== ''
-        ? [String(categoriesBody).trim()]
-        : [];
     const operation = new Operation({
       opsName,
       type,
       ratePerUnit: ratePerUnitNum,
-      categories,
+      categories: categoriesOf(categoriesBody),
       isdeleted: 0
     });
 
@@ -102,36 +111,21 @@ router.post('/', async (req, res) => {
 });
 
 // Update operation
-router.put('/:id', async (req, res) => {
+router.put('/:id', validate({
+  summary: 'Change an operation',
+  description: `${OPERATION_BODY_DESCRIPTION} Categories are left as they are when omitted.`,
+  params: operationParams,
+  body: operationBody
+}), async (req, res) => {
   try {
-    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.body;
-    
-    // Validate required fields
-    if (!opsName || !type) {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    // Validate ratePerUnit - must be a number and >= 0
-    if (ratePerUnit === undefined || ratePerUnit === null || ratePerUnit === '') {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    const ratePerUnitNum = parseFloat(Number(ratePerUnit).toFixed(4));
-    if (isNaN(ratePerUnitNum) || ratePerUnitNum < 0) {
-      return res.status(400).json({ error: 'Rate/unit must be a valid number greater than or equal to 0' });
-    }
-
-    const updateFields = { opsName, type, ratePerUnit: ratePerUnitNum };
+    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.valid.body;
+    const updateFields = { opsName, type, ratePerUnit: parseFloat(ratePerUnit.toFixed(4)) };
     if (categoriesBody !== undefined) {
-      updateFields.categories = Array.isArray(categoriesBody)
-        ? categoriesBody.map(c => String(c).trim()).filter(Boolean)
-        : categoriesBody != null && categoriesBody !== ''
-          ? [String(categoriesBody).trim()]
-          : [];
+      updateFields.categories = categoriesOf(categoriesBody);
     }
-    
+
     const operation = await Operation.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       updateFields,
       { new: true, runValidators: true }
     );
@@ -148,10 +142,13 @@ router.put('/:id', async (req, res) => {
 });
 
 // Delete operation (soft delete - set isdeleted = 1)
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', validate({
+  summary: 'Delete an operation (soft delete)',
+  params: operationParams
+}), async (req, res) => {
   try {
     const operation = await Operation.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       { isdeleted: 1 },
       { new: true }
     );
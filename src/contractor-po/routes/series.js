@@ -1,18 +1,16 @@
 const express = require('express');
 const router = express.Router();
 const Series = require('../models/Series');
+const { validate, v } = require('../../validation.cjs');
 
 // Create a new series (save job numbers)
-router.post('/', async (req, res) => {
+router.post('/', validate({
+  summary: 'Save a series of job numbers',
+  description: 'Answers 200 with the existing series when one has exactly these job numbers.',
+  body: v.object({ jobNumbers: v.array(v.string(), { minItems: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumbers } = req.body;
-
-    if (!jobNumbers || !Array.isArray(jobNumbers) || jobNumbers.length === 0) {
-      return res.status(400).json({ error: 'Job numbers array is required and must not be empty' });
-    }
-
-    // Validate that all job numbers are strings
-    const validJobNumbers = jobNumbers.filter(jn => typeof jn === 'string' && jn.trim() !== '').sort();
+    const validJobNumbers = req.valid.body.jobNumbers.filter(jn => jn !== '').sort();
     
     if (validJobNumbers.length === 0) {
       return res.status(400).json({ error: 'At least one valid job number is required' });
@@ -89,7 +87,7 @@ router.post('/', async (req, res) => {
 });
 
 // Get all series
-router.get('/', async (req, res) => {
+router.get('/', validate({ summary: 'All series, newest first' }), async (req, res) => {
   try {
     const series = await Series.find().sort({ createdAt: -1 });
     res.json(series);
@@ -100,13 +98,12 @@ router.get('/', async (req, res) => {
 });
 
 // Search series by job number
-router.get('/search/:jobNumber', async (req, res) => {
+router.get('/search/:jobNumber', validate({
+  summary: 'The newest series containing a job number',
+  params: v.object({ jobNumber: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     // Find all series that contain this job number
     const series = await Series.find({
@@ -135,9 +132,12 @@ router.get('/search/:jobNumber', async (req, res) => {
 });
 
 // Get a specific series by ID
-router.get('/:id', async (req, res) => {
+router.get('/:id', validate({
+  summary: 'A series by id',
+  params: v.object({ id: v.objectId() })
+}), async (req, res) => {
   try {
-    const series = await Series.findById(req.params.id);
+    const series = await Series.findById(req.valid.params.id);
     if (!series) {
       return res.status(404).json({ error: 'Series not found' });
     }
@@ -6,11 +6,17 @@ const JobOperation = require('../models/JobOperation');
 const JobopsMaster = require('../models/JobOpsMaster');
 const Operation = require('../models/Operation');
 const ContractorWD = require('../models/ContractorWD');
+const { validate, v } = require('../../validation.cjs');
+
+const jobNumberParam = v.string({ minLength: 1 });
 
 // Get pending operations from JobOpsMaster by job number
-router.get('/pending/jobopsmaster/:jobNumber', async (req, res) => {
+router.get('/pending/jobopsmaster/:jobNumber', validate({
+  summary: 'Pending operations of a job (JobOpsMaster)',
+  params: v.object({ jobNumber: jobNumberParam })
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
+    const { jobNumber } = req.valid.params;
 
     // Find job in JobOpsMaster
     const jobOpsMaster = await JobopsMaster.findOne({ jobId: jobNumber }).lean();
@@ -83,9 +89,12 @@ router.get('/pending/jobopsmaster/:jobNumber', async (req, res) => {
 });
 
 // Get pending operations for a contractor and job (legacy endpoint)
-router.get('/pending/:contractor/:jobNumber', async (req, res) => {
+router.get('/pending/:contractor/:jobNumber', validate({
+  summary: 'Pending operations of a contractor on a job (legacy)',
+  params: v.object({ contractor: v.string({ minLength: 1 }), jobNumber: jobNumberParam })
+}), async (req, res) => {
   try {
-    const { contractor, jobNumber } = req.params;
+    const { contractor, jobNumber } = req.valid.params;
 
     const job = await Job.findOne({ jobNumber });
     if (!job) {
@@ -120,13 +129,18 @@ router.get('/pending/:contractor/:jobNumber', async (req, res) => {
 });
 
 // Update work done in JobOpsMaster and Contractor_WD
-router.post('/update/jobopsmaster', async (req, res) => {
+router.post('/update/jobopsmaster', validate({
+  summary: 'Record work done by a contractor on a job',
+  description: 'operations: [{ opId, opsName, valuePerBook, qtyToAdd }]. Entries with a missing field, a qtyToAdd '
+    + 'that is not positive, or an opId not in the job are skipped; 400 when none is left.',
+  body: v.object({
+    contractorId: v.string({ minLength: 1 }),
+    jobNumber: jobNumberParam,
+    operations: v.array(v.object({}))
+  })
+}), async (req, res) => {
   try {
-    const { contractorId, jobNumber, operations } = req.body;
-
-    if (!contractorId || !jobNumber || !operations || !Array.isArray(operations)) {
-      return res.status(400).json({ error: 'Missing required fields: contractorId, jobNumber, and operations are required' });
-    }
+    const { contractorId, jobNumber, operations } = req.valid.body;
 
     // Find job in JobOpsMaster
     const jobOpsMaster = await JobopsMaster.findOne({ jobId: jobNumber });
@@ -283,13 +297,17 @@ router.post('/update/jobopsmaster', async (req, res) => {
 });
 
 // Update work done (legacy endpoint)
-router.post('/update', async (req, res) => {
+router.post('/update', validate({
+  summary: 'Record work done by a contractor (legacy)',
+  description: 'operations: [{ jobOperationId, qtyToAdd }]; entries without both are skipped.',
+  body: v.object({
+    contractor: v.string({ minLength: 1 }),
+    jobNumber: jobNumberParam,
+    operations: v.array(v.object({}))
+  })
+}), async (req, res) => {
   try {
-    const { contractor, jobNumber, operations } = req.body;
-
-    if (!contractor || !jobNumber || !operations || !Array.isArray(operations)) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { contractor, jobNumber, operations } = req.valid.body;
 
     const job = await Job.findOne({ jobNumber });
     if (!job) {
@@ -0,0 +1,182 @@
+/**
+ * CRM users of the intimation tool, stored in CrmUsers (models/CrmUser.js) instead of being hard-coded
+ * in the /whatsapp/login route. Admins manage them under /admin/crm-users (routes-crm-users.js).
+ * - authenticateCrmUser(username, password): active user with a password, checked with lockout. A user
+ *   without a password (the seeded users until an admin sets one) gets no session.
+ * - loginPlant(user, requested): plant the session works on; only the user's plants are allowed.
+ * - scopeRowsToPortfolio(user, rows): the pending lists only show the user's clients (ClientLedgerID).
+ * - senderProfile(user, username, creds): {{senderName}} / {{senderPhone}} of the user's messages.
+ * - The store starts with the two users the login accepted before (every client, KOL); they can log in
+ *   once an admin has set their password (PUT /admin/crm-users/:username).
+ */
+import * as passwords from './password-hash.cjs';
+import { isPlantKey } from './plants.js';
+import { assertStoreReady as assertMongoReady, createSeeder, insertSeed } from './mongo-store.js';
+import CrmUser from './models/CrmUser.js';
+
+const LEGACY_USERS = ['Sourav', 'Swarnali'];
+const EDITABLE_FIELDS = ['displayName', 'erpUsername', 'plants', 'defaultPlant', 'senderPhone', 'signature',
+  'clientLedgerIds', 'allClients', 'active'];
+
+function crmUserError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function assertStoreReady() {
+  assertMongoReady('CRM_STORE_UNAVAILABLE', 'CRM user store is unavailable');
+}
+
+const keyOf = (username) => String(username || '').trim().toLowerCase();
+
+const ensureSeeded = createSeeder(async () => {
+  if (await CrmUser.estimatedDocumentCount() > 0) return;
+  await insertSeed(CrmUser, LEGACY_USERS.map(username => ({
+    username, usernameKey: keyOf(username), plants: ['KOL'], allClients: true, createdBy: 'migration'
+  })));
+  console.log(`[CRM-USERS] Seeded ${LEGACY_USERS.join(', ')}`);
+});
+
+export function toCrmUserView(u) {
+  return {
+    username: u.username,
+    displayName: u.displayName,
+    erpUsername: u.erpUsername || u.username,
+    plants: u.plants || [],
+    defaultPlant: u.defaultPlant || u.plants?.[0],
+    senderPhone: u.senderPhone,
+    signature: u.signature,
+    clientLedgerIds: u.clientLedgerIds || [],
+    allClients: Boolean(u.allClients),
+    active: u.active !== false,
+    hasPassword: Boolean(u.password),
+    lastLoginAt: u.lastLoginAt,
+    updatedBy: u.updatedBy,
+    updatedAt: u.updatedAt
+  };
+}
+
+/** Active CRM user by username (case-insensitive), or null. */
+export async function findCrmUser(username) {
+  assertStoreReady();
+  await ensureSeeded();
+  return CrmUser.findOne({ usernameKey: keyOf(username), active: true }).lean();
+}
+
+/**
+ * Throws INVALID_PASSWORD (also for an unknown username, so usernames cannot be probed), PASSWORD_NOT_SET
+ * or ACCOUNT_LOCKED; records the failed attempt.
+ * @returns {Promise<Object>} the user
+ */
+export async function authenticateCrmUser(username, password) {
+  const user = await findCrmUser(username);
+  if (!user) throw crmUserError('INVALID_PASSWORD', 'Invalid username or password');
+  if (!user.password) {
+    throw crmUserError('PASSWORD_NOT_SET', 'No password is set for this user. Ask an admin to set one.');
+  }
+  if (passwords.isLockedOut(user)) {
+    throw crmUserError('ACCOUNT_LOCKED', 'Account locked after repeated failed logins. Try again later or ask an admin.');
+  }
+  const { ok, needsUpgrade } = await passwords.verifyPassword(password, user.password);
+  if (!ok) {
+    await CrmUser.updateOne({ _id: user._id }, passwords.failedLoginUpdate());
+    throw crmUserError('INVALID_PASSWORD', 'Invalid username or password');
+  }
+  const { matchedCount } = await CrmUser.updateOne(passwords.unlockedFilter(user._id),
+    { $set: await passwords.successfulLoginUpdate(password, needsUpgrade) });
+  // Locked by wrong guesses made at the same time
+  if (!matchedCount) throw crmUserError('ACCOUNT_LOCKED', 'Account locked after repeated failed logins. Try again later or ask an admin.');
+  return user;
+}
+
+/** Plant key for the session; throws PLANT_NOT_ALLOWED for a plant outside the user's list. */
+export function loginPlant(user, requested) {
+  const plants = user.plants?.length ? user.plants : ['KOL'];
+  if (!requested) return user.defaultPlant && plants.includes(user.defaultPlant) ? user.defaultPlant : plants[0];
+  const key = String(requested).trim().toUpperCase();
+  if (!plants.includes(key)) throw crmUserError('PLANT_NOT_ALLOWED', `${user.username} has no access to ${key}`);
+  return key;
+}
+
+/** Rows of the user's clients (every row for allClients users). */
+export function scopeRowsToPortfolio(user, rows) {
+  if (!user || user.allClients) return rows;
+  const portfolio = new Set((user.clientLedgerIds || []).map(Number));
+  return rows.filter(r => portfolio.has(Number(r.ClientLedgerID)));
+}
+
+/** Sender fields for the templates: the user's signature and phone, else the ERP name and contact number. */
+export function senderProfile(user, username, creds) {
+  return {
+    senderName: user?.signature || user?.displayName || username,
+    senderPhone: user?.senderPhone || creds?.ContactNo || ''
+  };
+}
+
+/** Name to look the WhatsApp/SMTP credentials up with in comm_get_user_credentials. */
+export function erpUsernameOf(user, username) {
+  return user?.erpUsername || user?.username || username;
+}
+
+function checkPlants(fields) {
+  const invalid = (fields.plants || []).filter(p => !isPlantKey(p));
+  if (invalid.length) throw crmUserError('INVALID_CRM_USER', `Unknown plant ${invalid.join(', ')}`);
+  if (fields.plants && !fields.plants.length) throw crmUserError('INVALID_CRM_USER', 'At least one plant is required');
+}
+
+export async function listCrmUsers() {
+  assertStoreReady();
+  await ensureSeeded();
+  const users = await CrmUser.find({}).sort({ usernameKey: 1 }).lean();
+  return users.map(toCrmUserView);
+}
+
+/** Throws CRM_USER_EXISTS for a taken username and INVALID_CRM_USER for bad plants or a missing or short password. */
+export async function createCrmUser(input, admin) {
+  assertStoreReady();
+  await ensureSeeded();
+  const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => input[f] !== undefined).map(f => [f, input[f]]));
+  checkPlants(fields);
+  const doc = { ...fields, username: input.username.trim(), usernameKey: keyOf(input.username), createdBy: admin, updatedBy: admin };
+  const invalidPassword = passwords.validateNewPassword(input.password);
+  if (invalidPassword) throw crmUserError('INVALID_CRM_USER', invalidPassword);
+  Object.assign(doc, { password: await passwords.hashPassword(input.password), passwordChangedAt: new Date() });
+  try {
+    const created = await CrmUser.create(doc);
+    console.log(`[CRM-USERS] ${doc.username} created`, { admin, plants: created.plants, clients: created.clientLedgerIds.length });
+    return toCrmUserView(created.toObject());
+  } catch (err) {
+    if (err?.code === 11000) throw crmUserError('CRM_USER_EXISTS', 'Username already exists');
+    throw err;
+  }
+}
+
+/**
+ * Partial update; password: new password. A password cannot be removed (the user could not log in).
+ * @returns {Promise<Object|null>} null when the user does not exist
+ */
+export async function updateCrmUser(username, patch, admin) {
+  assertStoreReady();
+  const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => patch[f] !== undefined).map(f => [f, patch[f]]));
+  checkPlants(fields);
+  if (patch.removePassword) throw crmUserError('INVALID_CRM_USER', 'A CRM user must keep a password');
+  const update = { $set: { ...fields, updatedBy: admin } };
+  if (patch.password !== undefined) {
+    const invalidPassword = passwords.validateNewPassword(patch.password);
+    if (invalidPassword) throw crmUserError('INVALID_CRM_USER', invalidPassword);
+    Object.assign(update.$set, {
+      password: await passwords.hashPassword(patch.password), passwordChangedAt: new Date(), failedLoginCount: 0, lockedUntil: null
+    });
+  }
+  const user = await CrmUser.findOneAndUpdate({ usernameKey: keyOf(username) }, update, { new: true }).lean();
+  if (user) console.log(`[CRM-USERS] ${user.username} updated`, { admin, fields: Object.keys(fields) });
+  return user ? toCrmUserView(user) : null;
+}
+
+export async function deleteCrmUser(username, admin) {
+  assertStoreReady();
+  const result = await CrmUser.deleteOne({ usernameKey: keyOf(username) });
+  if (result.deletedCount) console.log(`[CRM-USERS] ${username} deleted`, { admin });
+  return result.deletedCount > 0;
+}
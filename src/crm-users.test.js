@@ -0,0 +1,28 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { loginPlant, scopeRowsToPortfolio, senderProfile, erpUsernameOf } from './crm-users.js';
+
+test('CRM login picks one of the user\'s plants', () => {
+  const user = { username: 'Ritu', plants: ['KOL', 'AHM'], defaultPlant: 'AHM' };
+  assert.equal(loginPlant(user), 'AHM');
+  assert.equal(loginPlant(user, 'kol'), 'KOL');
+  assert.equal(loginPlant({ username: 'Sourav', plants: [] }), 'KOL');
+  assert.throws(() => loginPlant({ username: 'Sourav', plants: ['KOL'] }, 'AHM'), { code: 'PLANT_NOT_ALLOWED' });
+});
+
+test('pending lists are scoped to the client portfolio', () => {
+  const rows = [{ ClientLedgerID: 11 }, { ClientLedgerID: '12' }, { ClientLedgerID: 13 }];
+  assert.deepEqual(scopeRowsToPortfolio({ clientLedgerIds: [12, 13] }, rows).map(r => Number(r.ClientLedgerID)), [12, 13]);
+  assert.equal(scopeRowsToPortfolio({ clientLedgerIds: [] }, rows).length, 0);
+  assert.equal(scopeRowsToPortfolio({ allClients: true }, rows).length, 3);
+  assert.equal(scopeRowsToPortfolio(null, rows).length, 3);
+});
+
+test('sender profile prefers the CRM user\'s signature and phone', () => {
+  const creds = { ContactNo: '9830000000' };
+  assert.deepEqual(senderProfile({ signature: 'Ritu Sen, CRM', senderPhone: '+919830011111' }, 'Ritu', creds),
+    { senderName: 'Ritu Sen, CRM', senderPhone: '+919830011111' });
+  assert.deepEqual(senderProfile(null, 'Sourav', creds), { senderName: 'Sourav', senderPhone: '9830000000' });
+  assert.equal(erpUsernameOf({ username: 'ritu', erpUsername: 'Ritu Sen' }, 'ritu'), 'Ritu Sen');
+  assert.equal(erpUsernameOf(null, 'Sourav'), 'Sourav');
+});
@@ -0,0 +1,128 @@
+/**
+ * Cron expressions evaluated in a time zone (used by the intimation scheduler).
+ * - Five fields: minute hour day-of-month month day-of-week (0-6, Sunday = 0 or 7), each `*`,
+ *   a number, a range `a-b`, a list `a,b` or a step (`a-b/n`, or `/n` after `*`). As in cron,
+ *   when both day fields are restricted a day matching either one matches.
+ * - nextCronTime(expr, after, timeZone): first matching minute strictly after `after`.
+ * - zonedParts(date, timeZone) / zonedTime(parts, timeZone): wall clock <-> instant.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+const MAX_SEARCH_DAYS = 366 * 5;
+
+function invalidCron(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_CRON';
+  return err;
+}
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) throw invalidCron(`Invalid ${name} "${part}"`);
+    const [, , from, to, step] = match;
+    let start = min;
+    let end = max;
+    if (from != null) {
+      start = Number(from);
+      end = to != null ? Number(to) : (step != null ? max : start);
+    }
+    const by = step != null ? Number(step) : 1;
+    if (start < min || end > max || start > end || by < 1) {
+      throw invalidCron(`Invalid ${name} "${part}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += by) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * @returns {{ minutes: Set<number>, hours: Set<number>, days: Set<number>, months: Set<number>,
+ *   weekdays: Set<number>, anyDay: boolean, anyWeekday: boolean }}
+ */
+export function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw invalidCron('A cron expression has 5 fields: minute hour day month weekday');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.delete(7)) weekdays.add(0);
+  return { minutes, hours, days, months, weekdays, anyDay: parts[2] === '*', anyWeekday: parts[4] === '*' };
+}
+
+/** Wall-clock fields of `date` in `timeZone`; weekday 0 = Sunday. */
+export function zonedParts(date, timeZone) {
+  const fields = {};
+  const format = new Intl.DateTimeFormat('en-US', {
+    timeZone, hourCycle: 'h23', year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', weekday: 'short'
+  });
+  for (const { type, value } of format.formatToParts(date)) fields[type] = value;
+  return {
+    year: Number(fields.year),
+    month: Number(fields.month),
+    day: Number(fields.day),
+    hour: Number(fields.hour),
+    minute: Number(fields.minute),
+    weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(fields.weekday)
+  };
+}
+
+/** The instant at which the wall clock in `timeZone` shows the given fields. */
+export function zonedTime({ year, month, day, hour = 0, minute = 0 }, timeZone) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  let instant = wall;
+  // Two passes settle the zone offset, also next to a DST change
+  for (let i = 0; i < 2; i++) {
+    const p = zonedParts(new Date(instant), timeZone);
+    instant += wall - Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute);
+  }
+  return new Date(instant);
+}
+
+function dayMatches(cron, { day, weekday }) {
+  if (cron.anyDay && cron.anyWeekday) return true;
+  if (cron.anyDay) return cron.weekdays.has(weekday);
+  if (cron.anyWeekday) return cron.days.has(day);
+  return cron.days.has(day) || cron.weekdays.has(weekday);
+}
+
+/**
+ * @param {string|Object} expr - cron text or parseCron() result
+ * @returns {Date} the next matching minute after `after`
+ */
+export function nextCronTime(expr, after, timeZone) {
+  const cron = typeof expr === 'string' ? parseCron(expr) : expr;
+  const start = zonedParts(new Date(after.getTime() + 60000), timeZone);
+  // Walk the wall clock as a UTC date; weekday and month lengths come out right this way
+  const cursor = new Date(Date.UTC(start.year, start.month - 1, start.day, start.hour, start.minute));
+  const limit = cursor.getTime() + MAX_SEARCH_DAYS * 24 * 60 * 60 * 1000;
+  while (cursor.getTime() <= limit) {
+    const parts = { month: cursor.getUTCMonth() + 1, day: cursor.getUTCDate(), weekday: cursor.getUTCDay() };
+    if (!cron.months.has(parts.month) || !dayMatches(cron, parts)) {
+      cursor.setUTCDate(cursor.getUTCDate() + 1);
+      cursor.setUTCHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hours.has(cursor.getUTCHours())) {
+      cursor.setUTCHours(cursor.getUTCHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minutes.has(cursor.getUTCMinutes())) {
+      cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+      continue;
+    }
+    const next = zonedTime({
+      year: cursor.getUTCFullYear(), month: parts.month, day: parts.day,
+      hour: cursor.getUTCHours(), minute: cursor.getUTCMinutes()
+    }, timeZone);
+    if (next > after) return next;
+    cursor.setUTCMinutes(cursor.getUTCMinutes() + 1, 0, 0);
+  }
+  throw invalidCron(`Cron "${expr}" never matches`);
+}
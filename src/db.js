@@ -1,10 +1,18 @@
 import sql from 'mssql';
 import dotenv from 'dotenv';
+import { instrumentMssql, hasMetricsToken } from './metrics.js';
+import { getPlant, listPlants, getPlantDatabaseName } from './plants.js';
+import { createCircuitBreaker } from './circuit-breaker.js';
+import { getCurrentRequest } from './request-context.js';
 
 dotenv.config();
 
-// MSSQL connection env: DB_SERVER, DB_PORT, DB_USER, DB_PASSWORD, DB_NAME_KOL (and DB_NAME_AHM for AHM).
-// Optional previous fallbacks: DB_HOST (for server), DB_NAME (for database when DB_NAME_KOL not set).
+// Per-procedure latency and error counts for /metrics
+instrumentMssql(sql);
+
+// MSSQL connection env: DB_SERVER, DB_PORT, DB_USER, DB_PASSWORD. Database names per plant come from
+// the plant registry (plants.js: DB_NAME_<KEY>, e.g. DB_NAME_KOL, DB_NAME_AHM).
+// Optional previous fallbacks: DB_HOST (for server), DB_NAME (for a plant without its own name).
 const serverEnv = process.env.DB_SERVER || process.env.DB_HOST || 'localhost';
 let serverHost = serverEnv;
 let serverPort = Number(process.env.DB_PORT || '');
@@ -21,7 +29,7 @@ if (!serverPort && serverEnv.includes(',')) {
 const sqlConfig = {
 	user: process.env.DB_USER,
 	password: process.env.DB_PASSWORD,
-	database: process.env.DB_NAME || process.env.DB_NAME_KOL,
+	database: process.env.DB_NAME || getPlantDatabaseName(listPlants()[0].key),
 	server: serverHost,
 	...(serverPort ? { port: serverPort } : {}),
 	pool: {
@@ -38,121 +46,109 @@ const sqlConfig = {
 	requestTimeout: 120000  // 2 minutes - artwork pending/completed procs can be slow
 };
 
-// Store multiple pools for different databases
+// Store multiple pools for different databases: dbKey -> Promise<ConnectionPool>
 const pools = new Map();
 
+// Pool health: getPool hands out cached pools without a round trip; a background monitor checks
+// each pool on an interval (DB_HEALTH_INTERVAL_MS) and feeds one circuit breaker per plant.
+// After DB_BREAKER_THRESHOLD failed connects/checks in a row, getPool fails fast with a
+// DB_UNAVAILABLE error (503) for DB_BREAKER_COOLDOWN_MS, then lets one trial connect through.
+const HEALTH_INTERVAL_MS = Number(process.env.DB_HEALTH_INTERVAL_MS) || 30000;
+const HEALTH_CHECK_TIMEOUT_MS = 5000;
+const breakerOptions = {
+	threshold: Number(process.env.DB_BREAKER_THRESHOLD) || 3,
+	cooldownMs: Number(process.env.DB_BREAKER_COOLDOWN_MS) || 30000
+};
+
+// dbKey -> { breaker, pool (once connected), connectMs, latencyMs, lastCheckAt }
+const health = new Map();
+let monitorTimer = null;
+
+function healthFor(dbKey) {
+	if (!health.has(dbKey)) {
+		health.set(dbKey, { breaker: createCircuitBreaker(breakerOptions), pool: null, connectMs: null, latencyMs: null, lastCheckAt: null });
+	}
+	return health.get(dbKey);
+}
+
+function unavailableError(dbKey, breaker) {
+	const retryAfterSeconds = Math.max(1, Math.ceil(breaker.retryInMs() / 1000));
+	const { lastError } = breaker.snapshot();
+	const err = new Error(`${dbKey} database is unavailable${lastError ? ` (${lastError})` : ''}; retry in ${retryAfterSeconds}s`);
+	err.code = 'DB_UNAVAILABLE';
+	err.status = 503;
+	err.database = dbKey;
+	err.retryAfterSeconds = retryAfterSeconds;
+	return err;
+}
+
+function withTimeout(promise, ms, message) {
+	let timer;
+	const timeout = new Promise((_, reject) => {
+		timer = setTimeout(() => reject(new Error(message)), ms);
+	});
+	return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+function dropPool(dbKey, pool) {
+	pools.delete(dbKey);
+	healthFor(dbKey).pool = null;
+	if (pool) {
+		pool.close().catch(err => console.warn(`[DB] Error closing pool for ${dbKey}:`, err));
+	}
+}
+
 export function getPool(database) {
 	const dbKey = (database || '').toUpperCase();
-	console.log('[DB] getPool called', { input: database, normalizedKey: dbKey });
 
-	// Strict validation: require explicit KOL or AHM
-	if (dbKey !== 'KOL' && dbKey !== 'AHM') {
+	// Strict validation: require a plant from the registry
+	if (!getPlant(dbKey)) {
 		throw new Error(`Invalid or missing database selection: ${database}`);
 	}
-	
-	// Return existing pool if available and still connected
+
+	// Cached pools are returned as-is; the health monitor verifies them in the background
 	if (pools.has(dbKey)) {
-		const existingPool = pools.get(dbKey);
-		console.log(`[DB] Reusing existing pool for ${dbKey}`);
-		console.log(`[DB] Current pools in cache:`, Array.from(pools.keys()));
-		return existingPool.then(async pool => {
-			// Check if pool appears connected
-			if (pool && pool.connected) {
-				// Actively verify with a lightweight ping AND check which database we're connected to
-				try {
-					// Use a timeout for the health check to prevent hanging
-					const healthCheckPromise = pool.request().query('SELECT 1');
-					const timeoutPromise = new Promise((_, reject) => 
-						setTimeout(() => reject(new Error('Health check timeout')), 5000)
-					);
-					await Promise.race([healthCheckPromise, timeoutPromise]);
-					
-					// CRITICAL: Verify we're connected to the CORRECT database
-					const dbCheck = await pool.request().query('SELECT DB_NAME() AS currentDb');
-					const actualDbName = dbCheck.recordset[0]?.currentDb;
-					const expectedDbName = dbKey === 'KOL' ? process.env.DB_NAME_KOL : process.env.DB_NAME_AHM;
-					
-					console.log(`[DB] Pool verification for ${dbKey}:`, {
-						requestedKey: dbKey,
-						actualDatabase: actualDbName,
-						expectedDatabase: expectedDbName,
-						match: actualDbName === expectedDbName
-					});
-					
-					// If connected to wrong database, switch to correct one
-					if (actualDbName !== expectedDbName) {
-						console.warn(`[DB] Pool ${dbKey} on wrong database! Expected: ${expectedDbName}, Actual: ${actualDbName}`);
-						console.log(`[DB] Switching to correct database [${expectedDbName}]...`);
-						
-						try {
-							await pool.request().query(`USE [${expectedDbName}]`);
-							
-							// Verify switch was successful
-							const verifyDb = await pool.request().query('SELECT DB_NAME() AS currentDb');
-							const newActualDb = verifyDb.recordset[0]?.currentDb;
-							
-							if (newActualDb !== expectedDbName) {
-								console.error(`[DB] Failed to switch database! Still on: ${newActualDb}`);
-								// Close and recreate pool
-								await pool.close().catch(() => {});
-								pools.delete(dbKey);
-								return getPool(database);
-							}
-							
-							console.log(`[DB] Successfully switched pool ${dbKey} to [${expectedDbName}]`);
-						} catch (switchErr) {
-							console.error(`[DB] Error switching database:`, switchErr);
-							// Close and recreate pool
-							await pool.close().catch(() => {});
-							pools.delete(dbKey);
-							return getPool(database);
-						}
-					}
-					
-					console.log(`[DB] Existing pool for ${dbKey} is healthy and connected to correct database`);
-					return pool;
-				} catch (pingErr) {
-					console.warn(`[DB] Pool for ${dbKey} failed health check, recreating`, { error: String(pingErr) });
-					// Close the bad pool before removing
-					try {
-						await pool.close();
-					} catch (closeErr) {
-						console.warn(`[DB] Error closing bad pool for ${dbKey}:`, closeErr);
-					}
-					pools.delete(dbKey);
-					return getPool(database);
-				}
-			} else {
-				// Pool is disconnected, remove from cache and create new one
-				console.log(`Pool for ${dbKey} is disconnected, creating new connection`);
-				pools.delete(dbKey);
-				return getPool(database); // Recursive call to create new pool
-			}
-		}).catch(err => {
-			console.error(`Error checking pool for ${dbKey}:`, err);
-			pools.delete(dbKey);
-			return getPool(database); // Recursive call to create new pool
-		});
+		return pools.get(dbKey);
 	}
-	
-	// Determine the database name: use DB_NAME_KOL / DB_NAME_AHM (new backend) or fall back to DB_NAME (previous) for KOL
-	let dbName;
-	if (database === 'KOL') {
-		dbName = process.env.DB_NAME_KOL || process.env.DB_NAME;
-	} else if (database === 'AHM') {
-		dbName = process.env.DB_NAME_AHM || process.env.DB_NAME;
+
+	const { breaker } = healthFor(dbKey);
+	if (!breaker.allowRequest()) {
+		const err = unavailableError(dbKey, breaker);
+		const req = getCurrentRequest();
+		if (req) req.databaseUnavailable = err;
+		console.warn(`[DB] ${err.message}`);
+		return Promise.reject(err);
+	}
+
+	return startConnect(dbKey, breaker);
+}
+
+// A failed connect is recorded by connectPool; a configuration error thrown before connecting is
+// recorded here, so a half-open trial is never left pending
+function startConnect(dbKey, breaker) {
+	try {
+		return connectPool(dbKey);
+	} catch (err) {
+		breaker.recordFailure(err);
+		throw err;
 	}
+}
+
+function connectPool(dbKey) {
+	// Determine the database name from the plant registry (DB_NAME_<KEY>, falling back to DB_NAME)
+	const plant = getPlant(dbKey);
+	const dbName = getPlantDatabaseName(dbKey);
+	const state = healthFor(dbKey);
 	
 	// Validate that we have a database name
 	if (!dbName) {
-		throw new Error(`No database name configured for ${database}. Set DB_NAME_KOL (or DB_NAME for KOL) in .env`);
+		throw new Error(`No database name configured for ${dbKey}. Set ${plant.databaseEnv} (or DB_NAME) in .env`);
 	}
 
-	// Validate that KOL and AHM databases are different (prevent accidental same-DB config)
-	const kolDb = process.env.DB_NAME_KOL;
-	const ahmDb = process.env.DB_NAME_AHM;
-	if (kolDb && ahmDb && kolDb === ahmDb) {
-		throw new Error(`KOL and AHM databases cannot be the same (both: ${kolDb}). Please configure DB_NAME_KOL and DB_NAME_AHM with different values.`);
+	// Validate that no two plants point at the same database (prevent accidental same-DB config)
+	const sharing = listPlants().filter(p => p.key !== dbKey && process.env[p.databaseEnv] && getPlantDatabaseName(p.key) === dbName);
+	if (process.env[plant.databaseEnv] && sharing.length > 0) {
+		throw new Error(`${dbKey} and ${sharing[0].key} databases cannot be the same (both: ${dbName}). Please configure ${plant.databaseEnv} and ${sharing[0].databaseEnv} with different values.`);
 	}
 	
 	console.log(`[DB] Creating new database connection`, { 
@@ -160,10 +156,7 @@ export function getPool(database) {
 		dbName, 
 		server: serverHost, 
 		port: serverPort || null,
-		envVars: {
-			DB_NAME_KOL: process.env.DB_NAME_KOL,
-			DB_NAME_AHM: process.env.DB_NAME_AHM
-		}
+		databaseEnv: plant.databaseEnv
 	});
 	
 	// Create new config with the selected database
@@ -172,51 +165,31 @@ export function getPool(database) {
 		database: dbName
 	};
 	
-	// Create new pool for this database
-	const poolPromise = sql.connect(newConfig).then(async pool => {
+	// Create an isolated pool for this database. sql.connect() would hand every plant the same
+	// mssql global pool, so parallel requests to different plants would share one database.
+	const startedAt = Date.now();
+	const poolPromise = new sql.ConnectionPool(newConfig).connect().then(async pool => {
 		console.log(`[DB] Successfully connected`, { dbKey, dbName });
+		pool.databaseKey = dbKey;   // metrics label
 		
-		// CRITICAL: Explicitly switch to the correct database using USE statement
-		// This ensures we're using the right DB even if user's default DB is different
-		try {
-			await pool.request().query(`USE [${dbName}]`);
-			console.log(`[DB] Explicitly switched to database [${dbName}]`);
-			
-			// Verify we're on the correct database
-			const verifyDb = await pool.request().query('SELECT DB_NAME() AS currentDb');
-			const actualDb = verifyDb.recordset[0]?.currentDb;
-			if (actualDb !== dbName) {
-				throw new Error(`Failed to switch to database ${dbName}. Currently on: ${actualDb}`);
-			}
-			console.log(`[DB] Verified connection to correct database`, { expected: dbName, actual: actualDb });
-		} catch (useErr) {
-			console.error(`[DB] Failed to switch to database ${dbName}:`, useErr);
-			throw useErr;
+		// Verify we're on the correct database (the login's default database could differ)
+		const verifyDb = await pool.request().query('SELECT DB_NAME() AS currentDb');
+		const actualDb = verifyDb.recordset[0]?.currentDb;
+		if (actualDb !== dbName) {
+			await pool.close().catch(() => {});
+			throw new Error(`Connected to ${actualDb} instead of ${dbName}`);
 		}
+		state.pool = pool;
+		state.connectMs = Date.now() - startedAt;
+		state.latencyMs = state.connectMs;
+		state.lastCheckAt = new Date().toISOString();
+		state.breaker.recordSuccess();
 		
 		// Handle pool events
 		pool.on('error', err => {
 			console.error(`[DB] Pool error for ${dbKey}:`, err);
-			pools.delete(dbKey);
-			// Try to close the pool
-			pool.close().catch(closeErr => {
-				console.error(`[DB] Error closing pool after error for ${dbKey}:`, closeErr);
-			});
-		});
-		
-		// Auto-cleanup: remove pool after extended idle time
-		// This prevents stale connections from persisting too long
-		const cleanupTimeout = setTimeout(() => {
-			if (pools.has(dbKey)) {
-				console.log(`[DB] Auto-cleanup: closing idle pool for ${dbKey}`);
-				pool.close().catch(err => console.warn(`[DB] Error during auto-cleanup for ${dbKey}:`, err));
-				pools.delete(dbKey);
-			}
-		}, 600000); // 10 minutes of idle time
-		
-		// Clear timeout if pool is manually closed
-		pool.on('close', () => {
-			clearTimeout(cleanupTimeout);
+			state.breaker.recordFailure(err);
+			if (pools.get(dbKey) === poolPromise) dropPool(dbKey, pool);
 		});
 		
 		return pool;
@@ -228,14 +201,154 @@ export function getPool(database) {
 	// Handle pool errors
 	poolPromise.catch(err => {
 		console.error(`[DB] Connection error`, { dbKey, dbName, error: String(err) });
+		state.breaker.recordFailure(err);
 		// Remove failed pool from cache
-		pools.delete(dbKey);
+		if (pools.get(dbKey) === poolPromise) pools.delete(dbKey);
 	});
 	
 	return poolPromise;
 }
 
-// Function to close all database connections
+/**
+ * One health pass: every cached pool runs SELECT DB_NAME() (timed, HEALTH_CHECK_TIMEOUT_MS).
+ * A failed or wrong-database check drops the pool so the next getPool reconnects. Plants whose
+ * breaker is open get a trial connect once the cooldown is over, so they recover without traffic.
+ */
+export async function checkPools() {
+	await Promise.all(listPlants().map(async plant => {
+		const dbKey = plant.key;
+		const state = healthFor(dbKey);
+
+		if (!pools.has(dbKey)) {
+			if (state.breaker.state === 'closed' || !state.breaker.allowRequest()) return;
+			console.log(`[DB] Health monitor: trial connect for ${dbKey}`);
+			try {
+				await startConnect(dbKey, state.breaker);
+			} catch (err) {
+				// recorded by startConnect / connectPool
+			}
+			return;
+		}
+
+		let pool = null;
+		const startedAt = Date.now();
+		try {
+			pool = await pools.get(dbKey);
+			const result = await withTimeout(
+				pool.request().query('SELECT DB_NAME() AS currentDb'),
+				HEALTH_CHECK_TIMEOUT_MS,
+				`Health check timed out after ${HEALTH_CHECK_TIMEOUT_MS} ms`
+			);
+			const actualDb = result.recordset[0]?.currentDb;
+			const expectedDb = getPlantDatabaseName(dbKey);
+			if (actualDb !== expectedDb) {
+				throw new Error(`Pool on ${actualDb} instead of ${expectedDb}`);
+			}
+			state.latencyMs = Date.now() - startedAt;
+			state.lastCheckAt = new Date().toISOString();
+			state.breaker.recordSuccess();
+		} catch (err) {
+			// A failed connect is already recorded and removed by connectPool
+			if (!pool) return;
+			console.warn(`[DB] Health check failed for ${dbKey}, dropping pool:`, err.message);
+			state.lastCheckAt = new Date().toISOString();
+			state.breaker.recordFailure(err);
+			dropPool(dbKey, pool);
+		}
+	}));
+}
+
+export function startPoolHealthMonitor() {
+	if (monitorTimer) return;
+	monitorTimer = setInterval(() => {
+		checkPools().catch(err => console.error('[DB] Health monitor pass failed:', err));
+	}, HEALTH_INTERVAL_MS);
+	monitorTimer.unref();
+	console.log(`[DB] Pool health monitor started (every ${HEALTH_INTERVAL_MS} ms)`);
+}
+
+export function stopPoolHealthMonitor() {
+	if (monitorTimer) clearInterval(monitorTimer);
+	monitorTimer = null;
+}
+
+/**
+ * Per-plant pool and breaker state, for GET /health/deep.
+ */
+export function getPoolStats() {
+	return listPlants().map(plant => {
+		const state = healthFor(plant.key);
+		const { pool } = state;
+		let poolStats = null;
+		if (pools.has(plant.key)) {
+			// A pool still connecting is reported as such instead of being waited for
+			poolStats = pool
+				? { connected: pool.connected, size: pool.size, available: pool.available, pending: pool.pending, borrowed: pool.borrowed }
+				: { connected: false, connecting: true };
+		}
+		return {
+			database: plant.key,
+			name: plant.name,
+			dbName: getPlantDatabaseName(plant.key),
+			pool: poolStats,
+			latencyMs: state.latencyMs,
+			connectMs: state.connectMs,
+			lastCheckAt: state.lastCheckAt,
+			breaker: state.breaker.snapshot(),
+			retryInMs: state.breaker.retryInMs()
+		};
+	});
+}
+
+// Anonymous callers see states and timings only: no database names or driver error text
+function anonymousPoolStats({ dbName, ...stats }) {
+	const { lastError, ...breaker } = stats.breaker;
+	return { ...stats, breaker };
+}
+
+/**
+ * GET /health/deep — 200 while at least one plant database is usable ('ok' or 'degraded'), else 503.
+ * Callers sending METRICS_TOKEN as a bearer token also get dbName and the breaker's lastError, and
+ * may pass ?refresh=1 to run a health pass first; anonymous calls report the last pass.
+ */
+export async function deepHealthHandler(req, res) {
+	try {
+		const detailed = hasMetricsToken(req);
+		if (detailed && req.query.refresh) await checkPools();
+		const databases = detailed ? getPoolStats() : getPoolStats().map(anonymousPoolStats);
+		const open = databases.filter(d => d.breaker.state !== 'closed');
+		const status = open.length === 0 ? 'ok' : open.length < databases.length ? 'degraded' : 'down';
+		return res.status(status === 'down' ? 503 : 200).json({
+			status,
+			checkedAt: new Date().toISOString(),
+			uptimeSeconds: Math.round(process.uptime()),
+			monitorIntervalMs: monitorTimer ? HEALTH_INTERVAL_MS : null,
+			databases
+		});
+	} catch (err) {
+		console.error('[DB] Deep health check failed:', err);
+		return res.status(500).json({ status: 'error', error: 'Failed to collect pool health' });
+	}
+}
+
+/**
+ * Middleware: when getPool failed fast during a request (breaker open), the route's own
+ * generic 500 response is replaced with a 503 that names the unavailable plant.
+ */
+export function databaseUnavailableResponses(req, res, next) {
+	const json = res.json.bind(res);
+	res.json = (body) => {
+		const err = req.databaseUnavailable;
+		if (err && res.statusCode === 500) {
+			res.status(503).set('Retry-After', String(err.retryAfterSeconds));
+			return json({ status: false, error: err.message, code: err.code, database: err.database });
+		}
+		return json(body);
+	};
+	next();
+}
+
+// Function to close all database connections (also closes the breakers, so it doubles as recovery)
 export async function closeAllPools() {
 	const promises = [];
 	for (const [dbKey, poolPromise] of pools) {
@@ -253,14 +366,17 @@ export async function closeAllPools() {
 	
 	await Promise.all(promises);
 	pools.clear();
+	for (const state of health.values()) {
+		state.pool = null;
+		state.breaker.reset();
+	}
 }
 
 // Function to clear pool cache (for logout/session clearing)
 export function clearPoolCache() {
 	console.log('[DB] Clearing pool cache', { poolKeys: Array.from(pools.keys()) });
 	pools.clear();
+	for (const state of health.values()) state.pool = null;
 }
 
 export { sql };
-
-
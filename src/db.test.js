@@ -0,0 +1,25 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+
+// No database names: every connect fails before reaching the server
+for (const name of ['DB_NAME', 'DB_NAME_KOL', 'DB_NAME_AHM']) process.env[name] = '';
+process.env.DB_BREAKER_THRESHOLD = '1';
+process.env.DB_BREAKER_COOLDOWN_MS = '5';
+const { getPool, checkPools, getPoolStats } = await import('./db.js');
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+const kolBreaker = () => getPoolStats().find(s => s.database === 'KOL').breaker;
+
+test('a health-monitor trial that fails before connecting reopens the breaker', async () => {
+  assert.throws(() => getPool('KOL'), /No database name configured for KOL/);
+  assert.equal(kolBreaker().state, 'open');
+
+  await sleep(10);
+  await checkPools();
+  assert.equal(kolBreaker().state, 'open');
+  assert.match(kolBreaker().lastError, /No database name configured/);
+
+  // The next trial is let through once the cooldown is over again
+  await sleep(10);
+  assert.throws(() => getPool('KOL'), /No database name configured for KOL/);
+});
@@ -0,0 +1,403 @@
+/**
+ * Machine downtime events: why a machine stands idle (GetMachineFloorScreenData only knows for how long).
+ * - Operators open an event per MachineID with a reason from DowntimeReasons and close it when the machine
+ *   runs again; a machine has at most one open event. Open events are shown on the floor screens
+ *   (machine-floor-feed.js) and feed the OEE availability loss.
+ * - The reason master starts with power, maintenance, no-material, plate-awaited and changeover; admins
+ *   add, rename or retire reasons under /admin/downtime/reasons.
+ * - downtimeReport totals minutes by machine, reason, shift and/or date; events are cut at the report
+ *   window and at shift boundaries (PLANT_SHIFTS, default A=06:00-14:00,B=14:00-22:00,C=22:00-06:00, in
+ *   the plant's time zone), and open events count up to now.
+ */
+import { getPlant } from './plants.js';
+import { zonedParts, zonedTime } from './cron.js';
+import { assertStoreReady as assertMongoReady, isStoreReady, generateId, findPage, createSeeder, insertSeed } from './mongo-store.js';
+import DowntimeReason from './models/DowntimeReason.js';
+import DowntimeEvent from './models/DowntimeEvent.js';
+
+export const REPORT_GROUPS = ['machine', 'reason', 'shift', 'date'];
+
+const DEFAULT_REASONS = [
+  { code: 'power', label: 'Power failure', planned: false },
+  { code: 'maintenance', label: 'Maintenance', planned: true },
+  { code: 'no-material', label: 'No material', planned: false },
+  { code: 'plate-awaited', label: 'Plate awaited', planned: false },
+  { code: 'changeover', label: 'Changeover', planned: false }
+];
+const DEFAULT_SHIFTS = 'A=06:00-14:00,B=14:00-22:00,C=22:00-06:00';
+const REASON_CODE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+const MAX_REPORT_EVENTS = 20000;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+function downtimeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function assertStoreReady() {
+  assertMongoReady('DOWNTIME_STORE_UNAVAILABLE', 'Downtime store is unavailable');
+}
+
+function timeZoneOf(database) {
+  return getPlant(database)?.timezone || 'Asia/Kolkata';
+}
+
+const pad = (n) => String(n).padStart(2, '0');
+const round1 = (n) => Math.round(n * 10) / 10;
+
+function parseClock(text) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(text).trim());
+  if (!match || Number(match[1]) > 24 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * "A=06:00-14:00,B=14:00-22:00,C=22:00-06:00" -> [{ name, start, end }] in minutes after midnight;
+ * a shift ending at or before its start runs past midnight. Throws INVALID_SHIFTS.
+ */
+export function parseShifts(text = DEFAULT_SHIFTS) {
+  const shifts = String(text).split(',').map(s => s.trim()).filter(Boolean).map(entry => {
+    const match = /^([^=]+)=([^-]+)-(.+)$/.exec(entry);
+    const start = match && parseClock(match[2]);
+    const end = match && parseClock(match[3]);
+    if (start == null || end == null || start === end) {
+      throw downtimeError('INVALID_SHIFTS', `Shift must look like A=06:00-14:00, got "${entry}"`);
+    }
+    return { name: match[1].trim(), start, end };
+  });
+  if (!shifts.length) throw downtimeError('INVALID_SHIFTS', 'No shifts configured');
+  return shifts;
+}
+
+/** The plant's shifts from PLANT_SHIFTS (also used by the OEE report). */
+export function configuredShifts() {
+  return parseShifts(process.env.PLANT_SHIFTS || DEFAULT_SHIFTS);
+}
+
+/**
+ * Splits [start, end) at the shift boundaries.
+ * @returns {{ shift: string|null, date: string, minutes: number }[]} date is the day the shift began;
+ *   time outside every shift has shift null and its own calendar day
+ */
+export function shiftSegments(start, end, shifts, timeZone) {
+  const from = start.getTime();
+  const to = end.getTime();
+  if (to <= from) return [];
+  const segments = [];
+  const first = zonedParts(new Date(from), timeZone);
+  // The day before covers a night shift that began then and is still running at `start`
+  const day = new Date(Date.UTC(first.year, first.month - 1, first.day) - DAY_MS);
+  const lastDay = zonedParts(new Date(to), timeZone);
+  const lastKey = Date.UTC(lastDay.year, lastDay.month - 1, lastDay.day);
+  let covered = 0;
+  for (; day.getTime() <= lastKey; day.setTime(day.getTime() + DAY_MS)) {
+    const p = { year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() };
+    const date = `${p.year}-${pad(p.month)}-${pad(p.day)}`;
+    for (const shift of shifts) {
+      const shiftStart = zonedTime({ ...p, hour: Math.floor(shift.start / 60), minute: shift.start % 60 }, timeZone);
+      const endDay = shift.end <= shift.start ? new Date(day.getTime() + DAY_MS) : day;
+      const shiftEnd = zonedTime({
+        year: endDay.getUTCFullYear(), month: endDay.getUTCMonth() + 1, day: endDay.getUTCDate(),
+        hour: Math.floor(shift.end / 60), minute: shift.end % 60
+      }, timeZone);
+      const overlap = Math.min(to, shiftEnd.getTime()) - Math.max(from, shiftStart.getTime());
+      if (overlap > 0) {
+        segments.push({ shift: shift.name, date, minutes: overlap / MINUTE_MS });
+        covered += overlap;
+      }
+    }
+  }
+  const uncovered = to - from - covered;
+  if (uncovered > MINUTE_MS / 2) {
+    segments.push({ shift: null, date: `${first.year}-${pad(first.month)}-${pad(first.day)}`, minutes: uncovered / MINUTE_MS });
+  }
+  return segments;
+}
+
+/**
+ * Downtime minutes per group of machine / reason / shift / date, inside [from, to).
+ * @param {Object[]} events - DowntimeEvents (open ones have no endedAt)
+ * @param {{ groupBy: string[], from: Date, to: Date, now?: Date, shifts: Object[], timeZone: string }} options
+ * @returns {{ rows: Object[], totals: { events: number, minutes: number, plannedMinutes: number } }}
+ */
+export function summarizeDowntime(events, { groupBy, from, to, now = new Date(), shifts, timeZone }) {
+  const groups = new Map();
+  const counted = new Set();
+  let minutes = 0;
+  let plannedMinutes = 0;
+  for (const event of events) {
+    const start = new Date(Math.max(from.getTime(), new Date(event.startedAt).getTime()));
+    const end = new Date(Math.min(to.getTime(), event.endedAt ? new Date(event.endedAt).getTime() : now.getTime()));
+    const segments = groupBy.some(g => g === 'shift' || g === 'date')
+      ? shiftSegments(start, end, shifts, timeZone)
+      : (end > start ? [{ shift: null, date: null, minutes: (end - start) / MINUTE_MS }] : []);
+    for (const segment of segments) {
+      const key = {};
+      if (groupBy.includes('machine')) key.machineId = event.machineId;
+      if (groupBy.includes('reason')) Object.assign(key, { reasonCode: event.reasonCode, reasonLabel: event.reasonLabel });
+      if (groupBy.includes('shift')) key.shift = segment.shift;
+      if (groupBy.includes('date')) key.date = segment.date;
+      const id = JSON.stringify(key);
+      if (!groups.has(id)) groups.set(id, { ...key, events: new Set(), minutes: 0, plannedMinutes: 0 });
+      const group = groups.get(id);
+      group.events.add(event.eventId);
+      group.minutes += segment.minutes;
+      if (event.planned) group.plannedMinutes += segment.minutes;
+      counted.add(event.eventId);
+      minutes += segment.minutes;
+      if (event.planned) plannedMinutes += segment.minutes;
+    }
+  }
+  const rows = [...groups.values()]
+    .map(g => ({ ...g, events: g.events.size, minutes: round1(g.minutes), plannedMinutes: round1(g.plannedMinutes) }))
+    .sort((a, b) => b.minutes - a.minutes);
+  return { rows, totals: { events: counted.size, minutes: round1(minutes), plannedMinutes: round1(plannedMinutes) } };
+}
+
+const ensureSeeded = createSeeder(async () => {
+  if (await DowntimeReason.estimatedDocumentCount() > 0) return;
+  await insertSeed(DowntimeReason, DEFAULT_REASONS.map((r, i) => ({ ...r, sortOrder: i + 1, createdBy: 'migration' })));
+  console.log(`[DOWNTIME] Seeded reasons ${DEFAULT_REASONS.map(r => r.code).join(', ')}`);
+});
+
+function toReasonView(r) {
+  return {
+    code: r.code,
+    label: r.label,
+    planned: Boolean(r.planned),
+    active: r.active !== false,
+    sortOrder: r.sortOrder ?? 0,
+    updatedBy: r.updatedBy,
+    updatedAt: r.updatedAt
+  };
+}
+
+function toEventView(e, now = new Date()) {
+  const end = e.endedAt ? new Date(e.endedAt) : now;
+  return {
+    eventId: e.eventId,
+    database: e.database,
+    machineId: e.machineId,
+    reasonCode: e.reasonCode,
+    reasonLabel: e.reasonLabel,
+    planned: Boolean(e.planned),
+    open: Boolean(e.open),
+    startedAt: e.startedAt,
+    endedAt: e.endedAt || null,
+    durationMinutes: e.durationMinutes ?? round1(Math.max(0, end - new Date(e.startedAt)) / MINUTE_MS),
+    operator: { userId: e.operatorUserId ?? null, employeeId: e.operatorEmployeeId ?? null, name: e.operatorName || null },
+    notes: e.notes || null,
+    closeNotes: e.closeNotes || null,
+    openedBy: e.openedBy,
+    closedBy: e.closedBy || null
+  };
+}
+
+export async function listReasons({ includeInactive = false } = {}) {
+  assertStoreReady();
+  await ensureSeeded();
+  const reasons = await DowntimeReason.find(includeInactive ? {} : { active: true }).sort({ sortOrder: 1, code: 1 }).lean();
+  return reasons.map(toReasonView);
+}
+
+/** Throws INVALID_DOWNTIME_REASON for a bad code and DOWNTIME_REASON_EXISTS for a taken one. */
+export async function createReason(input, admin) {
+  assertStoreReady();
+  await ensureSeeded();
+  const code = String(input.code).trim().toLowerCase();
+  if (!REASON_CODE_PATTERN.test(code)) {
+    throw downtimeError('INVALID_DOWNTIME_REASON', 'code must be lower-case letters, digits and dashes, e.g. no-material');
+  }
+  try {
+    const reason = await DowntimeReason.create({
+      code, label: input.label, planned: input.planned, active: input.active, sortOrder: input.sortOrder,
+      createdBy: admin, updatedBy: admin
+    });
+    console.log(`[DOWNTIME] Reason ${code} created`, { admin });
+    return toReasonView(reason.toObject());
+  } catch (err) {
+    if (err?.code === 11000) throw downtimeError('DOWNTIME_REASON_EXISTS', `Reason ${code} already exists`);
+    throw err;
+  }
+}
+
+/** @returns {Promise<Object|null>} null when the reason does not exist */
+export async function updateReason(code, patch, admin) {
+  assertStoreReady();
+  const fields = Object.fromEntries(['label', 'planned', 'active', 'sortOrder']
+    .filter(f => patch[f] !== undefined).map(f => [f, patch[f]]));
+  const reason = await DowntimeReason.findOneAndUpdate({ code: String(code).toLowerCase() },
+    { $set: { ...fields, updatedBy: admin } }, { new: true }).lean();
+  if (reason) console.log(`[DOWNTIME] Reason ${reason.code} updated`, { admin, fields: Object.keys(fields) });
+  return reason ? toReasonView(reason) : null;
+}
+
+async function activeReason(code) {
+  await ensureSeeded();
+  const reason = await DowntimeReason.findOne({ code: String(code).toLowerCase(), active: true }).lean();
+  if (!reason) throw downtimeError('UNKNOWN_DOWNTIME_REASON', `Unknown downtime reason ${code}`);
+  return reason;
+}
+
+function eventTime(value, name, now) {
+  if (value == null) return now;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) throw downtimeError('INVALID_DOWNTIME', `Invalid ${name}`);
+  if (d.getTime() > now.getTime() + MINUTE_MS) throw downtimeError('INVALID_DOWNTIME', `${name} is in the future`);
+  return d;
+}
+
+/**
+ * Opens a downtime event for the machine.
+ * Throws UNKNOWN_DOWNTIME_REASON, INVALID_DOWNTIME and DOWNTIME_ALREADY_OPEN (err.event: the open event).
+ * @param {{ database: string, machineId: number, reasonCode: string, operator?: { userId?, employeeId?, name? },
+ *   notes?: string, startedAt?: string }} input - startedAt defaults to now (an idle machine reported late)
+ */
+export async function openDowntime(input, user) {
+  assertStoreReady();
+  const reason = await activeReason(input.reasonCode);
+  const startedAt = eventTime(input.startedAt, 'startedAt', new Date());
+  try {
+    const event = await DowntimeEvent.create({
+      eventId: generateId('dt'),
+      database: input.database,
+      machineId: input.machineId,
+      reasonCode: reason.code,
+      reasonLabel: reason.label,
+      planned: reason.planned,
+      startedAt,
+      operatorUserId: input.operator?.userId,
+      operatorEmployeeId: input.operator?.employeeId,
+      operatorName: input.operator?.name,
+      notes: input.notes,
+      openedBy: user
+    });
+    console.log(`[DOWNTIME] Opened ${event.eventId}`, { database: input.database, machineId: input.machineId, reason: reason.code, user });
+    return toEventView(event.toObject());
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    const open = await DowntimeEvent.findOne({ database: input.database, machineId: input.machineId, open: true }).lean();
+    const conflict = downtimeError('DOWNTIME_ALREADY_OPEN', `Machine ${input.machineId} already has open downtime (${open?.reasonLabel || 'unknown'})`);
+    conflict.event = open ? toEventView(open) : null;
+    throw conflict;
+  }
+}
+
+/**
+ * Closes the machine's open event (or the given eventId). reasonCode corrects the reason on closing.
+ * @returns {Promise<Object|null>} null when there is no open event
+ */
+export async function closeDowntime(input, user) {
+  assertStoreReady();
+  const filter = input.eventId
+    ? { eventId: String(input.eventId), open: true }
+    : { database: input.database, machineId: input.machineId, open: true };
+  const event = await DowntimeEvent.findOne(filter).lean();
+  if (!event) return null;
+  const endedAt = eventTime(input.endedAt, 'endedAt', new Date());
+  if (endedAt < event.startedAt) throw downtimeError('INVALID_DOWNTIME', 'endedAt is before the downtime started');
+  const update = {
+    open: false,
+    endedAt,
+    durationMinutes: round1((endedAt - event.startedAt) / MINUTE_MS),
+    closeNotes: input.notes,
+    closedBy: user
+  };
+  if (input.reasonCode && input.reasonCode !== event.reasonCode) {
+    const reason = await activeReason(input.reasonCode);
+    Object.assign(update, { reasonCode: reason.code, reasonLabel: reason.label, planned: reason.planned });
+  }
+  const closed = await DowntimeEvent.findOneAndUpdate({ eventId: event.eventId, open: true }, { $set: update }, { new: true }).lean();
+  if (!closed) return null;
+  console.log(`[DOWNTIME] Closed ${closed.eventId}`, { machineId: closed.machineId, minutes: closed.durationMinutes, user });
+  return toEventView(closed);
+}
+
+/** The machine's open event for the floor screen; null when there is none or the store is down. */
+export async function findOpenDowntime(database, machineId) {
+  if (!isStoreReady()) return null;
+  const event = await DowntimeEvent.findOne({ database, machineId, open: true }).lean();
+  return event ? toEventView(event) : null;
+}
+
+export async function listOpenDowntime(database, machineIds) {
+  assertStoreReady();
+  const query = { database, open: true };
+  if (machineIds?.length) query.machineId = { $in: machineIds };
+  const events = await DowntimeEvent.find(query).sort({ startedAt: 1 }).lean();
+  return events.map(e => toEventView(e));
+}
+
+function dayStart(dateText, timeZone, name) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(dateText));
+  if (!match) throw downtimeError('INVALID_FILTER', `Invalid ${name} date`);
+  return zonedTime({ year: Number(match[1]), month: Number(match[2]), day: Number(match[3]) }, timeZone);
+}
+
+/**
+ * [start, end) of YYYY-MM-DD dates in the plant's time zone; `to` is inclusive. Throws INVALID_FILTER.
+ * @returns {{ start: Date, end: Date, timeZone: string }}
+ */
+export function reportWindow(database, from, to) {
+  const timeZone = timeZoneOf(database);
+  const start = dayStart(from, timeZone, 'from');
+  const end = new Date(dayStart(to, timeZone, 'to').getTime() + DAY_MS);
+  if (end <= start) throw downtimeError('INVALID_FILTER', 'to is before from');
+  return { start, end, timeZone };
+}
+
+/**
+ * @param {{ database: string, machineId?: number, reasonCode?: string, open?: boolean, from?: string,
+ *   to?: string, before?: string, limit?: number }} filters - before: eventId of the last event of the previous page
+ * @returns {Promise<{ events: Object[], nextCursor: string|null }>} newest first
+ */
+export async function queryDowntime(filters) {
+  assertStoreReady();
+  const query = { database: filters.database };
+  if (filters.machineId != null) query.machineId = filters.machineId;
+  if (filters.reasonCode) query.reasonCode = String(filters.reasonCode);
+  if (filters.open != null) query.open = filters.open;
+  if (filters.from || filters.to) {
+    const timeZone = timeZoneOf(filters.database);
+    query.startedAt = {};
+    if (filters.from) query.startedAt.$gte = dayStart(filters.from, timeZone, 'from');
+    if (filters.to) query.startedAt.$lt = new Date(dayStart(filters.to, timeZone, 'to').getTime() + DAY_MS);
+  }
+  const { docs, nextCursor } = await findPage(DowntimeEvent, query,
+    { idField: 'eventId', before: filters.before, limit: filters.limit });
+  return { events: docs.map(e => toEventView(e)), nextCursor };
+}
+
+/**
+ * Events overlapping [from, to + 1 day) of the plant, open ones included.
+ * @returns {Promise<{ events: Object[], start: Date, end: Date, timeZone: string }>}
+ */
+export async function loadDowntimeWindow({ database, from, to, machineIds }) {
+  assertStoreReady();
+  const { start, end, timeZone } = reportWindow(database, from, to);
+  const query = { database, startedAt: { $lt: end }, $or: [{ open: true }, { endedAt: { $gt: start } }] };
+  if (machineIds?.length) query.machineId = { $in: machineIds };
+  const events = await DowntimeEvent.find(query).sort({ startedAt: 1 }).limit(MAX_REPORT_EVENTS).lean();
+  return { events, start, end, timeZone };
+}
+
+/**
+ * Downtime minutes for the report endpoint.
+ * @param {{ database: string, from: string, to: string, groupBy: string[], machineId?: number, reasonCode?: string }} options
+ */
+export async function downtimeReport({ database, from, to, groupBy, machineId, reasonCode }) {
+  const shifts = configuredShifts();
+  const window = await loadDowntimeWindow({ database, from, to, machineIds: machineId ? [machineId] : null });
+  const events = reasonCode ? window.events.filter(e => e.reasonCode === reasonCode) : window.events;
+  const { rows, totals } = summarizeDowntime(events, {
+    groupBy, from: window.start, to: window.end, shifts, timeZone: window.timeZone
+  });
+  return {
+    from, to, timeZone: window.timeZone, groupBy,
+    shifts: shifts.map(s => ({ name: s.name, start: `${pad(Math.floor(s.start / 60))}:${pad(s.start % 60)}`, end: `${pad(Math.floor(s.end / 60))}:${pad(s.end % 60)}` })),
+    totals,
+    rows
+  };
+}
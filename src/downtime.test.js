@@ -0,0 +1,56 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseShifts, shiftSegments, summarizeDowntime } from './downtime.js';
+
+const TZ = 'Asia/Kolkata';
+const shifts = parseShifts('A=06:00-14:00,B=14:00-22:00,C=22:00-06:00');
+// IST wall clock -> Date
+const ist = (text) => new Date(`${text}+05:30`);
+
+test('shifts parse with a night shift running past midnight', () => {
+  assert.deepEqual(shifts[2], { name: 'C', start: 22 * 60, end: 6 * 60 });
+  for (const bad of ['A=06:00', 'A=6-14', 'A=06:00-06:00', '']) {
+    assert.throws(() => parseShifts(bad), { code: 'INVALID_SHIFTS' });
+  }
+});
+
+test('downtime is split at shift boundaries; the night shift belongs to the day it began', () => {
+  // Monday 21:00 to Tuesday 07:00
+  const segments = shiftSegments(ist('2026-10-19T21:00:00'), ist('2026-10-20T07:00:00'), shifts, TZ);
+  assert.deepEqual(segments, [
+    { shift: 'B', date: '2026-10-19', minutes: 60 },
+    { shift: 'C', date: '2026-10-19', minutes: 480 },
+    { shift: 'A', date: '2026-10-20', minutes: 60 }
+  ]);
+  // Hours outside every shift are kept, without a shift
+  const dayOnly = parseShifts('G=09:00-18:00');
+  assert.deepEqual(shiftSegments(ist('2026-10-19T17:00:00'), ist('2026-10-19T19:30:00'), dayOnly, TZ), [
+    { shift: 'G', date: '2026-10-19', minutes: 60 },
+    { shift: null, date: '2026-10-19', minutes: 90 }
+  ]);
+});
+
+test('report clips events to the window, counts open events up to now and groups them', () => {
+  const events = [
+    { eventId: 'dt_1', machineId: 12, reasonCode: 'power', reasonLabel: 'Power failure',
+      startedAt: ist('2026-10-18T23:00:00'), endedAt: ist('2026-10-19T07:00:00') },
+    { eventId: 'dt_2', machineId: 12, reasonCode: 'maintenance', reasonLabel: 'Maintenance', planned: true,
+      startedAt: ist('2026-10-19T10:00:00'), endedAt: ist('2026-10-19T10:45:00') },
+    { eventId: 'dt_3', machineId: 15, reasonCode: 'power', reasonLabel: 'Power failure',
+      startedAt: ist('2026-10-19T13:30:00') }
+  ];
+  const window = { from: ist('2026-10-19T00:00:00'), to: ist('2026-10-20T00:00:00'), now: ist('2026-10-19T15:00:00'), shifts, timeZone: TZ };
+
+  const byReason = summarizeDowntime(events, { ...window, groupBy: ['reason'] });
+  assert.deepEqual(byReason.rows.map(r => [r.reasonCode, r.events, r.minutes]), [['power', 2, 510], ['maintenance', 1, 45]]);
+  assert.deepEqual(byReason.totals, { events: 3, minutes: 555, plannedMinutes: 45 });
+
+  const byShift = summarizeDowntime(events, { ...window, groupBy: ['machine', 'shift'] });
+  // Machine 12 stopped in Sunday's night shift; only the part after midnight is in the window
+  assert.deepEqual(byShift.rows.map(r => [r.machineId, r.shift, r.minutes]), [
+    [12, 'C', 360],
+    [12, 'A', 105],
+    [15, 'B', 60],
+    [15, 'A', 30]
+  ]);
+});
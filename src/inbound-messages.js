@@ -0,0 +1,190 @@
+/**
+ * Customer WhatsApp replies and delivery receipts from the provider webhooks (routes-whatsapp-webhook.js).
+ * - recordWebhookEvents(provider, events): events parsed by the provider's parseWebhook()
+ *   (messaging-providers.js). Receipts set deliveredAt / readAt / receiptError on the OutboundMessage
+ *   with that providerMessageId; replies are stored in InboundMessages, once per provider message id.
+ * - A reply is matched to the intimation it quotes, else to the latest WhatsApp intimation sent to the
+ *   sender's number within INBOUND_MATCH_DAYS (default 30); it inherits that message's orders and client.
+ * - getOrderThread(id): outbound intimations and inbound replies for one OrderBookingDetailsID, oldest first.
+ * - queryInbound(filters): replies newest first, e.g. the unmatched ones.
+ */
+import InboundMessage from './models/InboundMessage.js';
+import OutboundMessage from './models/OutboundMessage.js';
+import { normalizeINPhone } from './comm-channels.js';
+import { assertStoreReady as assertMongoReady, generateId, findPage } from './mongo-store.js';
+
+const MATCH_WINDOW_MS = (Number(process.env.INBOUND_MATCH_DAYS) || 30) * 24 * 60 * 60 * 1000;
+const MAX_THREAD_ITEMS = 500;
+
+function assertStoreReady() {
+  assertMongoReady('MESSAGE_STORE_UNAVAILABLE', 'Message store is unavailable');
+}
+
+/**
+ * Receipt fields for a status event. Receipts can arrive out of order, so a receipt never clears a
+ * later one; 'read' implies delivered.
+ */
+export function receiptUpdate(status, at, error) {
+  if (status === 'delivered') return { $min: { deliveredAt: at } };
+  if (status === 'read') return { $min: { deliveredAt: at, readAt: at } };
+  if (status === 'failed') return { $set: { receiptError: error || 'Delivery failed' } };
+  return null;
+}
+
+async function recordReceipt(provider, event) {
+  const update = receiptUpdate(event.status, event.at, event.error);
+  if (!update) return 'ignored';
+  const result = await OutboundMessage.updateOne({ providerMessageId: event.providerMessageId, channel: 'whatsapp' }, update);
+  if (!result.matchedCount) return 'unmatched';
+  if (event.status === 'failed') {
+    console.warn(`[INBOUND] ${provider} reports ${event.providerMessageId} failed:`, event.error);
+  }
+  return 'receipt';
+}
+
+async function findRepliedMessage(from, replyTo, at) {
+  if (replyTo) {
+    const quoted = await OutboundMessage.findOne({ providerMessageId: replyTo, channel: 'whatsapp' }).lean();
+    if (quoted) return { message: quoted, matchedBy: 'reply' };
+  }
+  const latest = await OutboundMessage.findOne({
+    channel: 'whatsapp',
+    recipient: from,
+    status: 'sent',
+    sentAt: { $gte: new Date(at.getTime() - MATCH_WINDOW_MS), $lte: at }
+  }).sort({ sentAt: -1 }).lean();
+  return latest ? { message: latest, matchedBy: 'phone' } : null;
+}
+
+async function recordReply(provider, event) {
+  const from = normalizeINPhone(event.from) || String(event.from || '');
+  if (!from) return 'ignored';
+  const at = event.at instanceof Date ? event.at : new Date();
+
+  const match = await findRepliedMessage(from, event.replyTo, at);
+  const doc = {
+    inboundId: generateId('in'),
+    provider,
+    providerMessageId: event.providerMessageId,
+    from,
+    fromName: event.fromName,
+    text: event.text,
+    mediaType: event.mediaType,
+    replyTo: event.replyTo,
+    receivedAt: at,
+    raw: event
+  };
+  if (match) {
+    Object.assign(doc, {
+      outboundMessageId: match.message.messageId,
+      matchedBy: match.matchedBy,
+      kind: match.message.kind,
+      clientLedgerId: match.message.clientLedgerId,
+      clientName: match.message.clientName,
+      orderBookingDetailsIds: match.message.orderBookingDetailsIds
+    });
+  }
+
+  try {
+    await InboundMessage.create(doc);
+  } catch (err) {
+    // The provider delivered the same webhook again
+    if (err?.code === 11000) return 'duplicate';
+    throw err;
+  }
+  console.log(`[INBOUND ${doc.inboundId}] Reply from ${from}`, {
+    provider,
+    matchedBy: doc.matchedBy || null,
+    outboundMessageId: doc.outboundMessageId || null
+  });
+  return match ? 'reply' : 'unmatched-reply';
+}
+
+/**
+ * @param {string} provider - provider name from the webhook URL
+ * @param {Array<Object>} events - from the provider's parseWebhook()
+ * @returns {Promise<Object<string, number>>} count per outcome (receipt, reply, unmatched-reply, ...)
+ */
+export async function recordWebhookEvents(provider, events) {
+  assertStoreReady();
+  const outcomes = {};
+  for (const event of events) {
+    const outcome = event.type === 'status'
+      ? await recordReceipt(provider, event)
+      : event.type === 'message' ? await recordReply(provider, event) : 'ignored';
+    outcomes[outcome] = (outcomes[outcome] || 0) + 1;
+  }
+  return outcomes;
+}
+
+export function toInboundView(m) {
+  return {
+    inboundId: m.inboundId,
+    provider: m.provider,
+    from: m.from,
+    fromName: m.fromName,
+    text: m.text,
+    mediaType: m.mediaType,
+    receivedAt: m.receivedAt,
+    outboundMessageId: m.outboundMessageId,
+    matchedBy: m.matchedBy,
+    kind: m.kind,
+    clientLedgerId: m.clientLedgerId,
+    clientName: m.clientName,
+    orderBookingDetailsIds: m.orderBookingDetailsIds
+  };
+}
+
+/**
+ * Thread entries of both directions, oldest first; outbound ones are placed at sentAt (createdAt
+ * while not yet delivered).
+ */
+export function mergeThread(outbound, inbound) {
+  const entries = [
+    ...outbound.map((m) => ({
+      direction: 'out',
+      at: m.sentAt || m.createdAt,
+      messageId: m.messageId,
+      kind: m.kind,
+      channel: m.channel,
+      recipient: m.recipient,
+      sentBy: m.sentBy,
+      subject: m.subject,
+      text: m.body,
+      status: m.status,
+      deliveredAt: m.deliveredAt,
+      readAt: m.readAt,
+      receiptError: m.receiptError
+    })),
+    ...inbound.map((m) => ({ direction: 'in', at: m.receivedAt, ...toInboundView(m) }))
+  ];
+  return entries.sort((a, b) => new Date(a.at) - new Date(b.at));
+}
+
+export async function getOrderThread(orderBookingDetailsId) {
+  assertStoreReady();
+  const id = Number(orderBookingDetailsId);
+  const [outbound, inbound] = await Promise.all([
+    OutboundMessage.find({ orderBookingDetailsIds: id }).sort({ _id: -1 }).limit(MAX_THREAD_ITEMS).lean(),
+    InboundMessage.find({ orderBookingDetailsIds: id }).sort({ receivedAt: -1 }).limit(MAX_THREAD_ITEMS).lean()
+  ]);
+  return mergeThread(outbound, inbound);
+}
+
+/**
+ * @param {{ from?: string, matched?: boolean, clientLedgerId?: number, orderBookingDetailsId?: number,
+ *   before?: string, limit?: number }} filters - before: inboundId of the last entry of the previous page
+ * @returns {Promise<{ messages: Object[], nextCursor: string|null }>}
+ */
+export async function queryInbound(filters = {}) {
+  assertStoreReady();
+  const query = {};
+  if (filters.from) query.from = normalizeINPhone(filters.from) || String(filters.from);
+  if (filters.matched != null) query.outboundMessageId = { $exists: Boolean(filters.matched) };
+  if (filters.clientLedgerId != null) query.clientLedgerId = Number(filters.clientLedgerId);
+  if (filters.orderBookingDetailsId != null) query.orderBookingDetailsIds = Number(filters.orderBookingDetailsId);
+
+  const { docs, nextCursor } = await findPage(InboundMessage, query,
+    { idField: 'inboundId', before: filters.before, limit: filters.limit });
+  return { messages: docs.map(toInboundView), nextCursor };
+}
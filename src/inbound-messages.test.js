@@ -0,0 +1,52 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findProvider } from './messaging-providers.js';
+import { receiptUpdate, mergeThread } from './inbound-messages.js';
+import { normalizeINPhone } from './comm-channels.js';
+
+test('Maytapi callbacks become replies and receipts; our own messages are skipped', () => {
+  const { parseWebhook } = findProvider('whatsapp', 'maytapi');
+  const [reply] = parseWebhook({
+    type: 'message',
+    user: { id: '919830012345@c.us', name: 'Ravi', phone: '919830012345' },
+    message: { type: 'text', text: 'Please deliver on Monday', id: 'ABC', fromMe: false },
+    timestamp: 1760000000
+  });
+  assert.equal(reply.type, 'message');
+  assert.equal(normalizeINPhone(reply.from), '+919830012345');
+  assert.equal(reply.text, 'Please deliver on Monday');
+  assert.equal(reply.at.toISOString(), new Date(1760000000 * 1000).toISOString());
+
+  assert.deepEqual(parseWebhook({ type: 'message', message: { type: 'text', text: 'x', fromMe: true } }), []);
+  const receipts = parseWebhook({ type: 'ack', data: [{ msgId: 'M1', ackType: 'read', time: 1760000100 }, { msgId: 'M2', ackType: 'unknown' }] });
+  assert.deepEqual(receipts.map((r) => [r.providerMessageId, r.status]), [['M1', 'read']]);
+});
+
+test('Cloud API callbacks carry the quoted message id and failed receipts', () => {
+  const events = findProvider('whatsapp', 'cloud-api').parseWebhook({
+    entry: [{ changes: [{ value: {
+      contacts: [{ wa_id: '919830012345', profile: { name: 'Ravi' } }],
+      messages: [{ from: '919830012345', id: 'wamid.in', timestamp: '1760000000', type: 'text', text: { body: 'ok' }, context: { id: 'wamid.out' } }],
+      statuses: [{ id: 'wamid.out2', status: 'failed', timestamp: '1760000001', errors: [{ title: 'Re-engagement message' }] }]
+    } }] }]
+  });
+  assert.equal(events[0].replyTo, 'wamid.out');
+  assert.equal(events[0].fromName, 'Ravi');
+  assert.deepEqual([events[1].status, events[1].error], ['failed', 'Re-engagement message']);
+});
+
+test('receipts only move timestamps earlier; read implies delivered', () => {
+  const at = new Date('2026-03-05T10:00:00Z');
+  assert.deepEqual(receiptUpdate('read', at), { $min: { deliveredAt: at, readAt: at } });
+  assert.deepEqual(receiptUpdate('failed', at, 'blocked'), { $set: { receiptError: 'blocked' } });
+  assert.equal(receiptUpdate('sent', at), null);
+});
+
+test('threads interleave intimations and replies by time', () => {
+  const thread = mergeThread(
+    [{ messageId: 'msg_1', body: 'New date 10/03', sentAt: new Date('2026-03-05T10:00:00Z'), channel: 'whatsapp' }],
+    [{ inboundId: 'in_1', text: 'Noted', receivedAt: new Date('2026-03-05T11:00:00Z') },
+      { inboundId: 'in_0', text: 'Any update?', receivedAt: new Date('2026-03-04T09:00:00Z') }]
+  );
+  assert.deepEqual(thread.map((e) => `${e.direction}:${e.text}`), ['in:Any update?', 'out:New date 10/03', 'in:Noted']);
+});
@@ -0,0 +1,553 @@
+/**
+ * Automatic intimation sweeps (first intimation, delivery follow-up, material readiness) on a cron
+ * cadence, replacing the pending list the CRM users only saw when they logged in.
+ * - Schedules live in IntimationSchedules; one in-process worker claims due schedules with a lease,
+ *   so a schedule never runs twice at once, and computes the next run from its cron expression in
+ *   the plant's time zone (cron.js).
+ * - Runs only happen in business hours (COMM_BUSINESS_HOURS, default 10:00-19:00) on working days
+ *   (COMM_BUSINESS_DAYS, default 1-6 = Monday to Saturday) that are not CommHolidays; a run falling
+ *   outside them is moved to the next opening.
+ * - A sweep reads the pending orders (comm_pending_first_intimation / comm_pending_delivery_followup for
+ *   today - lookbackDays .. today), leaves out orders that already have a message of the kind (queued,
+ *   awaiting approval, rejected, sent or failed recently), groups the rest by client and, per the
+ *   client's preference (ClientCommPreferences, else the schedule's defaultMode), sends at once,
+ *   queues for approval (outbound-messages.js approveMessages) or skips the client.
+ * - Every run is recorded in IntimationRuns with counts sent / failed / skipped / awaiting approval.
+ */
+import os from 'os';
+import sql from 'mssql';
+import { getPool } from './db.js';
+import { getPlant } from './plants.js';
+import { nextCronTime, parseCron, zonedParts } from './cron.js';
+import { createBusinessCalendar } from './business-calendar.js';
+import { getSenderCredentials } from './comm-channels.js';
+import { groupRowsByClient, buildClientGroup } from './intimations.js';
+import { getActiveTemplate } from './message-templates.js';
+import { findCrmUser, senderProfile, erpUsernameOf } from './crm-users.js';
+import { queueMessages, deliverMessages } from './outbound-messages.js';
+import { assertStoreReady as assertMongoReady, isStoreReady, generateId, findPage } from './mongo-store.js';
+import IntimationSchedule from './models/IntimationSchedule.js';
+import IntimationRun from './models/IntimationRun.js';
+import ClientCommPreference from './models/ClientCommPreference.js';
+import CommHoliday from './models/CommHoliday.js';
+import OutboundMessage from './models/OutboundMessage.js';
+
+export const SCHEDULE_KINDS = ['first-intimation', 'delivery-followup', 'material-readiness'];
+export const CLIENT_MODES = ['auto', 'approval', 'off'];
+
+const POLL_INTERVAL_MS = 30000;
+const LEASE_MS = 15 * 60 * 1000;
+const ID_CHUNK_SIZE = 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// comm_pending_delivery_followup also backs the 2nd intimation screen, which looks back 120 days
+const DEFAULT_LOOKBACK_DAYS = { 'first-intimation': 14, 'delivery-followup': 120, 'material-readiness': 120 };
+
+const PENDING_PROCEDURE = {
+  'first-intimation': 'dbo.comm_pending_first_intimation',
+  'delivery-followup': 'dbo.comm_pending_delivery_followup',
+  'material-readiness': 'dbo.comm_pending_delivery_followup'
+};
+const DETAILS_PROCEDURE = {
+  'first-intimation': 'dbo.comm_first_intimation_details_by_ids',
+  'delivery-followup': 'dbo.comm_pending_delivery_followup_by_ids',
+  'material-readiness': 'dbo.comm_pending_delivery_followup_by_ids'
+};
+
+// Readiness the ERP already holds for an order (DispatchSchedule); the CRM screen enters it by hand
+const READINESS_COLUMNS = {
+  readyForDispatchDate: ['Ready For Dispatch Date', 'ReadyForDispatchDate', 'Ready Date'],
+  noOfCarton: ['No Of Carton', 'NoOfCarton', 'No of Cartons'],
+  qtyPerCarton: ['Qty Per Carton', 'QtyPerCarton', 'Qty/Carton']
+};
+
+const workerId = `${os.hostname()}:${process.pid}`;
+let pollTimer = null;
+let ticking = false;
+let stopped = true;
+
+function assertStoreReady() {
+  assertMongoReady('SCHEDULER_STORE_UNAVAILABLE', 'Scheduler store is unavailable');
+}
+
+function schedulerError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+function timeZoneOf(schedule) {
+  return getPlant(schedule.database)?.timezone || 'Asia/Kolkata';
+}
+
+async function loadCalendar(timeZone) {
+  const holidays = await CommHoliday.find({}, { date: 1 }).lean();
+  return createBusinessCalendar({
+    hours: process.env.COMM_BUSINESS_HOURS || undefined,
+    days: process.env.COMM_BUSINESS_DAYS || undefined,
+    timeZone,
+    holidays: holidays.map(h => h.date)
+  });
+}
+
+/** The client's mode for a kind: per-kind override, else the client's mode, else the schedule default. */
+export function resolveClientMode(preference, kind, defaultMode) {
+  const kinds = preference?.kinds instanceof Map ? Object.fromEntries(preference.kinds) : preference?.kinds;
+  return kinds?.[kind] || preference?.mode || defaultMode;
+}
+
+/** Readiness values from a follow-up row, or null unless all three are present. */
+export function readinessFromRow(row) {
+  const pick = (columns) => columns.map(c => row[c]).find(v => v != null && v !== '');
+  const readiness = {
+    readyForDispatchDate: pick(READINESS_COLUMNS.readyForDispatchDate),
+    noOfCarton: Number(pick(READINESS_COLUMNS.noOfCarton) || 0),
+    qtyPerCarton: Number(pick(READINESS_COLUMNS.qtyPerCarton) || 0)
+  };
+  return readiness.readyForDispatchDate && readiness.noOfCarton && readiness.qtyPerCarton ? readiness : null;
+}
+
+/**
+ * Decides per client what a sweep does with the orders not handled yet.
+ * @param {{ kind: string, rows: Object[], preferences: Map<number, Object>, defaultMode: string }} input
+ * @returns {{ clients: Array<{ clientLedgerId: number, rows: Object[], mode: string, language?: string }>,
+ *   skipped: Object<string, number> }}
+ */
+export function planSweep({ kind, rows, preferences, defaultMode }) {
+  const skipped = {};
+  const skip = (reason, n = 1) => { skipped[reason] = (skipped[reason] || 0) + n; };
+
+  const eligible = rows.filter(r => {
+    if (kind === 'material-readiness' && !readinessFromRow(r)) {
+      skip('no-readiness-data');
+      return false;
+    }
+    return true;
+  });
+
+  const clients = [];
+  for (const [clientLedgerId, clientRows] of groupRowsByClient(eligible).entries()) {
+    const preference = preferences.get(clientLedgerId);
+    const mode = resolveClientMode(preference, kind, defaultMode);
+    if (mode === 'off') {
+      skip('client-off', clientRows.length);
+      continue;
+    }
+    clients.push({ clientLedgerId, rows: clientRows, mode, language: preference?.language });
+  }
+  return { clients, skipped };
+}
+
+/** Orders of `ids` that already have a message of the kind, with the reason to leave them out. */
+async function findHandledOrders(kind, ids, repeatAfterDays) {
+  const recent = new Date(Date.now() - repeatAfterDays * DAY_MS);
+  const messages = await OutboundMessage.find({
+    kind,
+    orderBookingDetailsIds: { $in: ids },
+    $or: [
+      { status: { $in: ['awaiting-approval', 'pending', 'processing', 'rejected'] } },
+      // first intimation and readiness go out once; the follow-up again after repeatAfterDays
+      kind === 'delivery-followup' ? { status: 'sent', sentAt: { $gte: recent } } : { status: 'sent' },
+      { status: 'failed', updatedAt: { $gte: recent } }
+    ]
+  }, { orderBookingDetailsIds: 1, status: 1 }).lean();
+
+  const reasons = {
+    'awaiting-approval': 'awaiting-approval', pending: 'already-queued', processing: 'already-queued',
+    rejected: 'rejected', sent: 'already-sent', failed: 'recently-failed'
+  };
+  const wanted = new Set(ids);
+  const handled = new Map();
+  for (const m of messages) {
+    for (const id of m.orderBookingDetailsIds) {
+      if (wanted.has(id) && !handled.has(id)) handled.set(id, reasons[m.status]);
+    }
+  }
+  return handled;
+}
+
+function dateWindow(lookbackDays, timeZone) {
+  const format = (d) => {
+    const p = zonedParts(d, timeZone);
+    return `${p.year}-${String(p.month).padStart(2, '0')}-${String(p.day).padStart(2, '0')}`;
+  };
+  const now = new Date();
+  return { startDate: format(new Date(now.getTime() - lookbackDays * DAY_MS)), endDate: format(now) };
+}
+
+async function fetchPendingIds(pool, kind, { startDate, endDate }) {
+  const result = await pool.request()
+    .input('StartDate', sql.VarChar(10), startDate)
+    .input('EndDate', sql.VarChar(10), endDate)
+    .query(`EXEC ${PENDING_PROCEDURE[kind]} @StartDate, @EndDate`);
+  const ids = (result.recordset || []).map(r => Number(r.OrderBookingDetailsID)).filter(Boolean);
+  return [...new Set(ids)];
+}
+
+async function fetchDetailRows(pool, kind, ids) {
+  const rows = [];
+  for (let i = 0; i < ids.length; i += ID_CHUNK_SIZE) {
+    const tvp = new sql.Table('dbo.IdList');
+    tvp.columns.add('Id', sql.Int, { nullable: false });
+    ids.slice(i, i + ID_CHUNK_SIZE).forEach(id => tvp.rows.add(id));
+    const result = await pool.request().input('Ids', tvp).execute(DETAILS_PROCEDURE[kind]);
+    rows.push(...(result.recordset || []));
+  }
+  return rows;
+}
+
+/**
+ * One sweep of a schedule. Messages are queued as one batch (auto clients pending, approval clients
+ * awaiting-approval); auto ones get their first delivery attempt before the run is closed.
+ */
+async function sweep(schedule, runId, dryRun) {
+  const { kind } = schedule;
+  const counts = { orders: 0, clients: 0, skipped: 0, messages: 0, sent: 0, failed: 0, retrying: 0, awaitingApproval: 0 };
+
+  const pool = await getPool(schedule.database);
+  const crmUser = await findCrmUser(schedule.sendAs);
+  const creds = await getSenderCredentials(pool, erpUsernameOf(crmUser, schedule.sendAs));
+  if (!creds) throw schedulerError('NO_CREDENTIALS', `Credentials not found for ${schedule.sendAs}`);
+
+  const ids = await fetchPendingIds(pool, kind, dateWindow(schedule.lookbackDays, timeZoneOf(schedule)));
+  counts.orders = ids.length;
+  if (!ids.length) return { counts, skipped: {} };
+
+  // handled: orders left out before the details are read, with the reason
+  const handled = await findHandledOrders(kind, ids, schedule.repeatAfterDays);
+  const rows = await fetchDetailRows(pool, kind, ids.filter(id => !handled.has(id)));
+  const returned = new Set(rows.map(r => Number(r.OrderBookingDetailsID)));
+  for (const id of ids) {
+    if (!handled.has(id) && !returned.has(id)) handled.set(id, 'not-eligible');
+  }
+
+  const ledgerIds = [...new Set(rows.map(r => Number(r.ClientLedgerID)))];
+  const preferences = new Map((await ClientCommPreference.find({ clientLedgerId: { $in: ledgerIds } }).lean())
+    .map(p => [p.clientLedgerId, p]));
+  const plan = planSweep({ kind, rows, preferences, defaultMode: schedule.defaultMode });
+  for (const reason of handled.values()) plan.skipped[reason] = (plan.skipped[reason] || 0) + 1;
+
+  const templates = new Map();
+  const templateFor = async (language) => {
+    if (!templates.has(language)) templates.set(language, await getActiveTemplate(kind, language));
+    return templates.get(language);
+  };
+
+  const { senderName, senderPhone } = senderProfile(crmUser, schedule.sendAs, creds);
+  const groups = [];
+  for (const client of plan.clients) {
+    const template = await templateFor(client.language || schedule.language);
+    const readinessById = kind === 'material-readiness'
+      ? new Map(client.rows.map(r => [Number(r.OrderBookingDetailsID), readinessFromRow(r)]))
+      : undefined;
+    const group = buildClientGroup(kind, client.clientLedgerId, client.rows, {
+      template, senderName, senderPhone, creds, requireCredentials: true, readinessById
+    });
+    if (!group.messages.length) {
+      plan.skipped['no-recipients'] = (plan.skipped['no-recipients'] || 0) + client.rows.length;
+      continue;
+    }
+    groups.push({ ...group, awaitingApproval: client.mode === 'approval', template: { language: template.language, version: template.version } });
+  }
+
+  counts.skipped = Object.values(plan.skipped).reduce((a, b) => a + b, 0);
+  counts.clients = groups.length;
+  counts.messages = groups.reduce((n, g) => n + g.messages.length, 0);
+  if (dryRun || !groups.length) return { counts, skipped: plan.skipped };
+
+  const { batchId, messages: queued } = await queueMessages({
+    kind, database: schedule.database, sentBy: schedule.sendAs, runId, groups
+  });
+  const delivered = await deliverMessages(queued.filter(m => m.status === 'pending').map(m => m.messageId));
+  counts.sent = delivered.filter(m => m.status === 'sent').length;
+  counts.failed = delivered.filter(m => m.status === 'failed').length;
+  counts.retrying = delivered.filter(m => m.status === 'pending' || m.status === 'processing').length;
+  counts.awaitingApproval = queued.filter(m => m.status === 'awaiting-approval').length;
+  return { counts, skipped: plan.skipped, batchId };
+}
+
+async function runSchedule(schedule, { trigger, triggeredBy, dryRun = false }) {
+  const run = await IntimationRun.create({
+    runId: generateId('run'),
+    scheduleId: schedule.scheduleId,
+    scheduleName: schedule.name,
+    kind: schedule.kind,
+    trigger,
+    triggeredBy,
+    dryRun
+  });
+  console.log(`[SCHEDULER ${run.runId}] ${schedule.kind} sweep "${schedule.name}" started`, { trigger, dryRun });
+  try {
+    const { counts, skipped, batchId } = await sweep(schedule, run.runId, dryRun);
+    await IntimationRun.updateOne({ runId: run.runId }, {
+      $set: { status: 'completed', finishedAt: new Date(), counts, skipped, batchId }
+    });
+    console.log(`[SCHEDULER ${run.runId}] Completed`, counts);
+  } catch (err) {
+    console.error(`[SCHEDULER ${run.runId}] Failed:`, err);
+    await IntimationRun.updateOne({ runId: run.runId }, {
+      $set: { status: 'failed', finishedAt: new Date(), error: err.message }
+    });
+  }
+  return IntimationRun.findOne({ runId: run.runId }).lean();
+}
+
+function leaseFilter(now) {
+  return { $or: [{ lockedUntil: null }, { lockedUntil: { $lt: now } }] };
+}
+
+function releaseLease(scheduleId, fields = {}) {
+  return IntimationSchedule.updateOne(
+    { scheduleId, lockedBy: workerId },
+    { $set: fields, $unset: { lockedBy: '', lockedUntil: '' } }
+  );
+}
+
+async function runDueSchedule() {
+  const now = new Date();
+  const schedule = await IntimationSchedule.findOneAndUpdate(
+    { enabled: true, nextRunAt: { $lte: now }, ...leaseFilter(now) },
+    { $set: { lockedBy: workerId, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+    { sort: { nextRunAt: 1 }, new: true }
+  ).lean();
+  if (!schedule) return false;
+
+  const timeZone = timeZoneOf(schedule);
+  try {
+    const calendar = await loadCalendar(timeZone);
+    if (!calendar.isOpen(now)) {
+      const opening = calendar.nextOpening(now);
+      console.log(`[SCHEDULER] "${schedule.name}" is due outside business hours; moved to ${opening.toISOString()}`);
+      await releaseLease(schedule.scheduleId, { nextRunAt: opening });
+      return true;
+    }
+    const run = await runSchedule(schedule, { trigger: 'schedule' });
+    await releaseLease(schedule.scheduleId, {
+      lastRunAt: now,
+      lastRunId: run.runId,
+      nextRunAt: nextCronTime(schedule.cron, new Date(), timeZone)
+    });
+  } catch (err) {
+    // Keep the schedule alive: try again at its next cron time
+    console.error(`[SCHEDULER] "${schedule.name}" could not run:`, err);
+    await releaseLease(schedule.scheduleId, { nextRunAt: nextCronTime(schedule.cron, new Date(), timeZone) });
+  }
+  return true;
+}
+
+async function runWorkerTick() {
+  if (stopped || ticking || !isStoreReady()) return;
+  ticking = true;
+  try {
+    while (!stopped && await runDueSchedule()) { /* next due schedule */ }
+  } catch (err) {
+    console.error('[SCHEDULER] Worker tick failed:', err);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startIntimationScheduler() {
+  if (pollTimer) return;
+  stopped = false;
+  pollTimer = setInterval(runWorkerTick, POLL_INTERVAL_MS);
+  pollTimer.unref?.();
+  console.log(`[SCHEDULER] Intimation scheduler started (${workerId})`);
+}
+
+export function stopIntimationScheduler() {
+  stopped = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
+
+/**
+ * Runs a schedule now. Outside business hours only with force (or as a dry run, which queues nothing).
+ * @returns {Promise<Object|null>} the run, or null when the schedule does not exist
+ */
+export async function runScheduleNow(scheduleId, { user, dryRun = false, force = false } = {}) {
+  assertStoreReady();
+  const existing = await IntimationSchedule.findOne({ scheduleId }).lean();
+  if (!existing) return null;
+
+  if (!dryRun && !force) {
+    const calendar = await loadCalendar(timeZoneOf(existing));
+    if (!calendar.isOpen(new Date())) {
+      throw schedulerError('OUTSIDE_BUSINESS_HOURS',
+        `Outside business hours; the next opening is ${calendar.nextOpening(new Date()).toISOString()} (use force to run anyway)`);
+    }
+  }
+
+  const now = new Date();
+  const schedule = await IntimationSchedule.findOneAndUpdate(
+    { scheduleId, ...leaseFilter(now) },
+    { $set: { lockedBy: workerId, lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+    { new: true }
+  ).lean();
+  if (!schedule) throw schedulerError('SCHEDULE_RUNNING', 'The schedule is running right now');
+  try {
+    return await runSchedule(schedule, { trigger: 'manual', triggeredBy: user, dryRun });
+  } finally {
+    await releaseLease(scheduleId, dryRun ? {} : { lastRunAt: now });
+  }
+}
+
+// ---- Schedules, holidays and client preferences (routes-comm-schedules.js) ----
+
+function nextRunFor(schedule) {
+  return schedule.enabled ? nextCronTime(schedule.cron, new Date(), timeZoneOf(schedule)) : null;
+}
+
+export function toScheduleView(s) {
+  return {
+    scheduleId: s.scheduleId,
+    name: s.name,
+    kind: s.kind,
+    database: s.database,
+    cron: s.cron,
+    enabled: s.enabled,
+    sendAs: s.sendAs,
+    language: s.language,
+    lookbackDays: s.lookbackDays,
+    repeatAfterDays: s.repeatAfterDays,
+    defaultMode: s.defaultMode,
+    nextRunAt: s.nextRunAt,
+    lastRunAt: s.lastRunAt,
+    lastRunId: s.lastRunId,
+    running: Boolean(s.lockedUntil && new Date(s.lockedUntil) > new Date()),
+    createdBy: s.createdBy,
+    updatedBy: s.updatedBy,
+    updatedAt: s.updatedAt
+  };
+}
+
+export async function listSchedules() {
+  assertStoreReady();
+  const schedules = await IntimationSchedule.find({}).sort({ createdAt: 1 }).lean();
+  return schedules.map(toScheduleView);
+}
+
+/** Throws INVALID_CRON for a bad expression. */
+export async function createSchedule(input, user) {
+  assertStoreReady();
+  parseCron(input.cron);
+  const schedule = {
+    scheduleId: generateId('sch'),
+    name: input.name,
+    kind: input.kind,
+    database: input.database || 'KOL',
+    cron: input.cron,
+    enabled: input.enabled ?? true,
+    sendAs: input.sendAs,
+    language: input.language || 'en',
+    lookbackDays: input.lookbackDays ?? DEFAULT_LOOKBACK_DAYS[input.kind],
+    repeatAfterDays: input.repeatAfterDays ?? 7,
+    defaultMode: input.defaultMode || 'approval',
+    createdBy: user,
+    updatedBy: user
+  };
+  schedule.nextRunAt = nextRunFor(schedule);
+  const doc = await IntimationSchedule.create(schedule);
+  console.log(`[SCHEDULER] Schedule "${schedule.name}" created`, { scheduleId: schedule.scheduleId, cron: schedule.cron, user });
+  return toScheduleView(doc.toObject());
+}
+
+const EDITABLE_FIELDS = ['name', 'cron', 'enabled', 'sendAs', 'language', 'lookbackDays', 'repeatAfterDays', 'defaultMode'];
+
+/** @returns {Promise<Object|null>} null when the schedule does not exist */
+export async function updateSchedule(scheduleId, patch, user) {
+  assertStoreReady();
+  const existing = await IntimationSchedule.findOne({ scheduleId }).lean();
+  if (!existing) return null;
+  const fields = Object.fromEntries(EDITABLE_FIELDS.filter(f => patch[f] !== undefined).map(f => [f, patch[f]]));
+  if (fields.cron) parseCron(fields.cron);
+  const merged = { ...existing, ...fields };
+  const doc = await IntimationSchedule.findOneAndUpdate(
+    { scheduleId },
+    { $set: { ...fields, updatedBy: user, nextRunAt: nextRunFor(merged) } },
+    { new: true }
+  ).lean();
+  console.log(`[SCHEDULER] Schedule "${doc.name}" updated`, { scheduleId, fields: Object.keys(fields), user });
+  return toScheduleView(doc);
+}
+
+export async function deleteSchedule(scheduleId, user) {
+  assertStoreReady();
+  const result = await IntimationSchedule.deleteOne({ scheduleId });
+  if (result.deletedCount) console.log(`[SCHEDULER] Schedule ${scheduleId} deleted`, { user });
+  return result.deletedCount > 0;
+}
+
+/**
+ * @param {{ scheduleId?: string, before?: string, limit?: number }} filters - before: runId cursor
+ * @returns {Promise<{ runs: Object[], nextCursor: string|null }>}
+ */
+export async function listRuns(filters = {}) {
+  assertStoreReady();
+  const query = {};
+  if (filters.scheduleId) query.scheduleId = String(filters.scheduleId);
+  const { docs, nextCursor } = await findPage(IntimationRun, query, {
+    idField: 'runId',
+    before: filters.before,
+    limit: filters.limit,
+    projection: { _id: 1, runId: 1, scheduleId: 1, scheduleName: 1, kind: 1, trigger: 1, triggeredBy: 1,
+      dryRun: 1, status: 1, startedAt: 1, finishedAt: 1, counts: 1, skipped: 1, batchId: 1, error: 1 }
+  });
+  return { runs: docs.map(({ _id, ...run }) => run), nextCursor };
+}
+
+export async function listHolidays() {
+  assertStoreReady();
+  const holidays = await CommHoliday.find({}).sort({ date: 1 }).lean();
+  return holidays.map(h => ({ date: h.date, name: h.name, createdBy: h.createdBy }));
+}
+
+export async function addHoliday(date, name, user) {
+  assertStoreReady();
+  await CommHoliday.updateOne({ date }, { $set: { name, createdBy: user } }, { upsert: true });
+  console.log(`[SCHEDULER] Holiday ${date} added`, { name, user });
+  return { date, name };
+}
+
+export async function removeHoliday(date) {
+  assertStoreReady();
+  const result = await CommHoliday.deleteOne({ date });
+  return result.deletedCount > 0;
+}
+
+function toPreferenceView(p) {
+  return {
+    clientLedgerId: p.clientLedgerId,
+    clientName: p.clientName,
+    mode: p.mode,
+    kinds: p.kinds instanceof Map ? Object.fromEntries(p.kinds) : (p.kinds || {}),
+    language: p.language,
+    updatedBy: p.updatedBy,
+    updatedAt: p.updatedAt
+  };
+}
+
+export async function listClientPreferences() {
+  assertStoreReady();
+  const preferences = await ClientCommPreference.find({}).sort({ clientName: 1 }).lean();
+  return preferences.map(toPreferenceView);
+}
+
+export async function setClientPreference(clientLedgerId, { mode, kinds, language, clientName }, user) {
+  assertStoreReady();
+  const doc = await ClientCommPreference.findOneAndUpdate(
+    { clientLedgerId },
+    { $set: { mode, kinds: Object.fromEntries(Object.entries(kinds || {}).filter(([, m]) => m)), language, clientName, updatedBy: user } },
+    { upsert: true, new: true }
+  ).lean();
+  console.log(`[SCHEDULER] Client ${clientLedgerId} preference set to ${mode}`, { kinds, language, user });
+  return toPreferenceView(doc);
+}
+
+export async function deleteClientPreference(clientLedgerId) {
+  assertStoreReady();
+  const result = await ClientCommPreference.deleteOne({ clientLedgerId });
+  return result.deletedCount > 0;
+}
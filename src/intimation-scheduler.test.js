@@ -0,0 +1,59 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseCron, nextCronTime } from './cron.js';
+import { createBusinessCalendar } from './business-calendar.js';
+import { planSweep, resolveClientMode, readinessFromRow } from './intimation-scheduler.js';
+
+test('cron expressions run at the next matching minute in the plant time zone', () => {
+  // 2026-10-19 is a Monday; 10:30 IST = 05:00 UTC
+  const after = new Date('2026-10-19T04:00:00Z');
+  assert.equal(nextCronTime('30 10 * * 1-6', after, 'Asia/Kolkata').toISOString(), '2026-10-19T05:00:00.000Z');
+  assert.equal(nextCronTime('30 10 * * 1-6', new Date('2026-10-19T05:00:00Z'), 'Asia/Kolkata').toISOString(),
+    '2026-10-20T05:00:00.000Z');
+  // Saturday 10:30 -> the next run is Monday
+  assert.equal(nextCronTime('30 10 * * 1-6', new Date('2026-10-24T05:00:00Z'), 'Asia/Kolkata').toISOString(),
+    '2026-10-26T05:00:00.000Z');
+  assert.equal(nextCronTime('0 */4 * * *', after, 'UTC').toISOString(), '2026-10-19T08:00:00.000Z');
+  assert.deepEqual([...parseCron('0 9 * * 7').weekdays], [0]);
+
+  for (const bad of ['* * * *', '60 * * * *', '* * * * mon', '5-1 * * * *']) {
+    assert.throws(() => parseCron(bad), { code: 'INVALID_CRON' });
+  }
+});
+
+test('business calendar skips nights, Sundays and holidays', () => {
+  const calendar = createBusinessCalendar({ timeZone: 'Asia/Kolkata', holidays: ['2026-10-20'] });
+  assert.equal(calendar.isOpen(new Date('2026-10-19T05:00:00Z')), true);   // Mon 10:30
+  assert.equal(calendar.isOpen(new Date('2026-10-19T14:00:00Z')), false);  // Mon 19:30
+  // Monday evening -> Tuesday is a holiday -> Wednesday 10:00
+  assert.equal(calendar.nextOpening(new Date('2026-10-19T14:00:00Z')).toISOString(), '2026-10-21T04:30:00.000Z');
+  // Sunday -> Monday 10:00
+  assert.equal(calendar.nextOpening(new Date('2026-10-25T06:00:00Z')).toISOString(), '2026-10-26T04:30:00.000Z');
+  assert.throws(() => createBusinessCalendar({ hours: '19:00-10:00' }), { code: 'INVALID_CALENDAR' });
+});
+
+test('sweep plan follows the client preference and needs readiness data', () => {
+  const row = (id, client, extra = {}) => ({ OrderBookingDetailsID: id, ClientLedgerID: client, ...extra });
+  const preferences = new Map([
+    [2, { clientLedgerId: 2, mode: 'off' }],
+    [3, { clientLedgerId: 3, mode: 'approval', kinds: { 'first-intimation': 'auto' }, language: 'bn' }]
+  ]);
+  const plan = planSweep({
+    kind: 'first-intimation',
+    rows: [row(10, 1), row(11, 2), row(12, 3), row(13, 1)],
+    preferences,
+    defaultMode: 'approval'
+  });
+  assert.deepEqual(plan.clients.map(c => [c.clientLedgerId, c.rows.length, c.mode, c.language]),
+    [[1, 2, 'approval', undefined], [3, 1, 'auto', 'bn']]);
+  assert.deepEqual(plan.skipped, { 'client-off': 1 });
+  assert.equal(resolveClientMode(preferences.get(3), 'delivery-followup', 'auto'), 'approval');
+
+  const ready = { ReadyForDispatchDate: '2026-10-25', NoOfCarton: 4, QtyPerCarton: 250 };
+  assert.deepEqual(readinessFromRow(ready), { readyForDispatchDate: '2026-10-25', noOfCarton: 4, qtyPerCarton: 250 });
+  const readiness = planSweep({
+    kind: 'material-readiness', rows: [row(20, 1, ready), row(21, 1)], preferences: new Map(), defaultMode: 'auto'
+  });
+  assert.deepEqual(readiness.clients.map(c => c.rows.map(r => r.OrderBookingDetailsID)), [[20]]);
+  assert.deepEqual(readiness.skipped, { 'no-readiness-data': 1 });
+});
@@ -0,0 +1,85 @@
+/**
+ * Builds the per-client message groups of an intimation from ERP order rows; shared by the CRM send
+ * routes (routes.js) and the intimation scheduler, and handed to queueMessages() (outbound-messages.js).
+ * - groupRowsByClient(rows): Map ClientLedgerID -> rows, in row order.
+ * - recipientsOf(kind, row): E.164 phone numbers and email addresses from the kind's contact columns.
+ * - buildClientGroup(kind, clientLedgerId, rows, options): rendered texts (message-templates.js),
+ *   one WhatsApp per number and one email with every address.
+ */
+import { renderIntimation } from './message-templates.js';
+import { normalizeINPhone, hasWhatsAppCredentials, hasEmailCredentials } from './comm-channels.js';
+
+// comm_first_intimation_details_by_ids has the concern person's contacts; the follow-up procedures
+// (comm_pending_delivery_followup*) the dispatch contact's, with the concern columns as fallback
+const FOLLOWUP_COLUMNS = {
+  email: ['Contact Email', 'ContactEmail', 'Concern Email', 'ConcernEmail'],
+  phone: ['Contact phone', 'Contactphone', 'Concern Mobile No', 'ConcernMobileNo']
+};
+const RECIPIENT_COLUMNS = {
+  'first-intimation': { email: ['Concern Email'], phone: ['Concern Mobile No'] },
+  'material-readiness': { email: ['Contact Email'], phone: ['Contact phone'] },
+  'delivery-date-update': FOLLOWUP_COLUMNS,
+  'delivery-followup': FOLLOWUP_COLUMNS
+};
+
+export function splitCsv(str) {
+  return String(str || "").split(",").map(s => s.trim()).filter(Boolean);
+}
+
+function firstValue(row, columns) {
+  for (const column of columns) {
+    if (row[column]) return row[column];
+  }
+  return "";
+}
+
+export function groupRowsByClient(rows) {
+  const byClient = new Map();
+  for (const r of rows) {
+    const ledgerId = Number(r.ClientLedgerID);
+    if (!byClient.has(ledgerId)) byClient.set(ledgerId, []);
+    byClient.get(ledgerId).push(r);
+  }
+  return byClient;
+}
+
+/** @returns {{ phones: string[], emails: string[] }} */
+export function recipientsOf(kind, row) {
+  const columns = RECIPIENT_COLUMNS[kind];
+  return {
+    phones: splitCsv(firstValue(row, columns.phone)).map(normalizeINPhone).filter(Boolean),
+    emails: splitCsv(firstValue(row, columns.email))
+  };
+}
+
+/**
+ * @param {string} kind
+ * @param {number} clientLedgerId
+ * @param {Array<Object>} clientRows
+ * @param {{ template: Object, senderName: string, senderPhone?: string, creds?: Object,
+ *   requireCredentials?: boolean, readinessById?: Map, newDateById?: Map }} options
+ *   requireCredentials: leave out channels the sender cannot use instead of letting them fail
+ * @returns {{ clientLedgerId: number, clientName: string, orderBookingDetailsIds: number[], rows: Object[],
+ *   context?: Object, messages: Array<{ channel: string, recipient: string, subject?: string, body: string }> }}
+ */
+export function buildClientGroup(kind, clientLedgerId, clientRows, options) {
+  const { template, creds, requireCredentials = false, readinessById } = options;
+  const { clientName, whatsapp, emailSubject, emailBody } = renderIntimation(template, clientRows, options);
+  const { phones, emails } = recipientsOf(kind, clientRows[0]);
+
+  const messages = [];
+  if (!requireCredentials || hasWhatsAppCredentials(creds)) {
+    phones.forEach(to => messages.push({ channel: "whatsapp", recipient: to, body: whatsapp }));
+  }
+  if (emails.length && (!requireCredentials || hasEmailCredentials(creds))) {
+    messages.push({ channel: "email", recipient: emails.join(","), subject: emailSubject, body: emailBody });
+  }
+
+  const orderBookingDetailsIds = clientRows.map(r => Number(r.OrderBookingDetailsID));
+  const group = { clientLedgerId, clientName, orderBookingDetailsIds, rows: clientRows, messages };
+  // DispatchSchedule is updated per order once a message is delivered (readiness values differ per order)
+  if (kind === 'material-readiness') {
+    group.context = { readiness: Object.fromEntries(orderBookingDetailsIds.map(id => [id, readinessById.get(id)])) };
+  }
+  return group;
+}
@@ -0,0 +1,297 @@
+/**
+ * Print-ready job card labels (GET /job-card/labels in routes-job-card.js), so a damaged traveler can be
+ * reprinted without the ERP client.
+ * - A label carries the job card QR (qr-image) or a Code 128 barcode of the JobCardContentNo, both read
+ *   back by barcode-decoder.js, with the job number, client, job, component, form number and quantity.
+ * - LABEL_LAYOUTS: A4 label sheets (300 dpi) and thermal rolls (203 dpi, one label per page).
+ *   startPosition skips the labels already used on a partly printed A4 sheet.
+ * - Pages are drawn with Jimp one at a time (an A4 page is a ~35 MB RGBA bitmap); the PDF wraps one
+ *   lossless grayscale image per page.
+ */
+import zlib from 'node:zlib';
+import qr from 'qr-image';
+import { Jimp, loadFont, measureText } from 'jimp';
+import * as fonts from 'jimp/fonts';
+
+// originMm: top-left corner of the first label; pitchMm: distance between label corners
+export const LABEL_LAYOUTS = {
+  'a4-2x7': {
+    description: 'A4 sheet, 2 x 7 labels of 99.1 x 38.1 mm (L7163)',
+    pageMm: [210, 297], labelMm: [99.1, 38.1], columns: 2, rows: 7, originMm: [4.65, 15.15], pitchMm: [101.6, 38.1], dpi: 300
+  },
+  'a4-2x4': {
+    description: 'A4 sheet, 2 x 4 labels of 99.1 x 67.7 mm (L7165)',
+    pageMm: [210, 297], labelMm: [99.1, 67.7], columns: 2, rows: 4, originMm: [4.65, 13.1], pitchMm: [101.6, 67.7], dpi: 300
+  },
+  'a4-3x8': {
+    description: 'A4 sheet, 3 x 8 labels of 63.5 x 33.9 mm (L7159)',
+    pageMm: [210, 297], labelMm: [63.5, 33.9], columns: 3, rows: 8, originMm: [6.5, 12.9], pitchMm: [66, 33.9], dpi: 300
+  },
+  'thermal-100x50': {
+    description: 'Thermal roll, 100 x 50 mm labels (203 dpi)',
+    pageMm: [100, 50], labelMm: [100, 50], columns: 1, rows: 1, originMm: [0, 0], pitchMm: [100, 50], dpi: 203
+  },
+  'thermal-100x150': {
+    description: 'Thermal roll, 100 x 150 mm (4 x 6 in) labels (203 dpi)',
+    pageMm: [100, 150], labelMm: [100, 150], columns: 1, rows: 1, originMm: [0, 0], pitchMm: [100, 150], dpi: 203
+  }
+};
+
+export const SYMBOLOGIES = ['qr', 'code128'];
+
+const PADDING_MM = 2;
+const QUIET_MODULES = 2;
+const FONT_SIZES = [16, 32, 64, 128];
+
+// Code 128 bar/space widths by symbol value; 103-105 are the start codes, 106 the stop
+const CODE128_PATTERNS = [
+  '212222', '222122', '222221', '121223', '121322', '131222', '122213', '122312', '132212', '221213',
+  '221312', '231212', '112232', '122132', '122231', '113222', '123122', '123221', '223211', '221132',
+  '221231', '213212', '223112', '312131', '311222', '321122', '321221', '312212', '322112', '322211',
+  '212123', '212321', '232121', '111323', '131123', '131321', '112313', '132113', '132311', '211313',
+  '231113', '231311', '112133', '112331', '132131', '113123', '113321', '133121', '313121', '211331',
+  '231131', '213113', '213311', '213131', '311123', '311321', '331121', '312113', '312311', '332111',
+  '314111', '221411', '431111', '111224', '111422', '121124', '121421', '141122', '141221', '112214',
+  '112412', '122114', '122411', '142112', '142211', '241211', '221114', '413111', '241112', '134111',
+  '111242', '121142', '121241', '114212', '124112', '124211', '411212', '421112', '421211', '212141',
+  '214121', '412121', '111143', '111341', '131141', '114113', '114311', '411113', '411311', '113141',
+  '114131', '311141', '411131', '211412', '211214', '211232', '2331112'
+];
+const CODE128_START_B = 104;
+const CODE128_STOP = 106;
+
+function labelError(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_LABEL_REQUEST';
+  return err;
+}
+
+/**
+ * Code 128 (code set B) of printable ASCII text as module widths, bar first.
+ * @returns {number[]}
+ */
+export function code128Widths(text) {
+  const values = [...String(text)].map(ch => {
+    const value = ch.charCodeAt(0) - 32;
+    if (value < 0 || value > 94) throw labelError(`Code 128 cannot encode ${JSON.stringify(ch)}`);
+    return value;
+  });
+  const checksum = values.reduce((sum, value, i) => sum + value * (i + 1), CODE128_START_B) % 103;
+  return [CODE128_START_B, ...values, checksum, CODE128_STOP]
+    .flatMap(value => [...CODE128_PATTERNS[value]].map(Number));
+}
+
+const fontCache = new Map();
+
+async function fontOfSize(size) {
+  if (!fontCache.has(size)) fontCache.set(size, loadFont(fonts[`SANS_${size}_BLACK`]));
+  return fontCache.get(size);
+}
+
+const mmToPx = (mm, dpi) => Math.round(mm / 25.4 * dpi);
+
+function fillRect(image, x, y, width, height) {
+  const { data, width: imageWidth, height: imageHeight } = image.bitmap;
+  const x1 = Math.min(imageWidth, x + width);
+  const y1 = Math.min(imageHeight, y + height);
+  for (let row = Math.max(0, y); row < y1; row++) {
+    for (let col = Math.max(0, x); col < x1; col++) {
+      const i = (row * imageWidth + col) * 4;
+      data[i] = data[i + 1] = data[i + 2] = 0;
+      data[i + 3] = 255;
+    }
+  }
+}
+
+// QR of the text in the largest whole-module square that fits `side`; returns the width drawn
+function drawQr(image, text, x, y, side) {
+  const matrix = qr.matrix(text, 'M');
+  const module = Math.floor(side / (matrix.length + 2 * QUIET_MODULES));
+  if (module < 1) throw labelError('Label is too small for the QR code');
+  const offset = QUIET_MODULES * module;
+  matrix.forEach((row, r) => row.forEach((dark, c) => {
+    if (dark) fillRect(image, x + offset + c * module, y + offset + r * module, module, module);
+  }));
+  return (matrix.length + 2 * QUIET_MODULES) * module;
+}
+
+function drawCode128(image, text, x, y, width, height) {
+  const widths = code128Widths(text);
+  const modules = widths.reduce((a, b) => a + b, 0) + 20;
+  const module = Math.floor(width / modules);
+  if (module < 1) throw labelError(`Label is too narrow for the barcode of ${text}`);
+  let cursor = x + Math.floor((width - (modules - 20) * module) / 2);
+  widths.forEach((w, i) => {
+    if (i % 2 === 0) fillRect(image, cursor, y, w * module, height);
+    cursor += w * module;
+  });
+}
+
+function fitText(font, text, maxWidth) {
+  let fitted = String(text);
+  if (measureText(font, fitted) <= maxWidth) return fitted;
+  while (fitted.length > 1 && measureText(font, `${fitted}...`) > maxWidth) fitted = fitted.slice(0, -1);
+  return `${fitted.trimEnd()}...`;
+}
+
+function labelLines(label) {
+  const job = [label.jobNumber && `Job ${label.jobNumber}`, label.formNo && `Form ${label.formNo}`].filter(Boolean);
+  return [job.join('  '), label.client, label.jobName, label.component, label.quantity && `Qty ${label.quantity}`]
+    .filter(Boolean);
+}
+
+// Title font twice the body font, the largest pair whose lines fit the text height
+async function pickFonts(lineCount, textHeight) {
+  let sizes = [FONT_SIZES[0], FONT_SIZES[1]];
+  for (let i = 0; i + 1 < FONT_SIZES.length; i++) {
+    if (FONT_SIZES[i + 1] * 1.15 + lineCount * FONT_SIZES[i] * 1.15 <= textHeight) sizes = [FONT_SIZES[i], FONT_SIZES[i + 1]];
+  }
+  const [body, title] = await Promise.all(sizes.map(fontOfSize));
+  return { body, title };
+}
+
+async function drawLabel(image, label, box, symbology, dpi) {
+  const pad = mmToPx(PADDING_MM, dpi);
+  const x = box.x + pad;
+  const y = box.y + pad;
+  const width = box.width - 2 * pad;
+  const height = box.height - 2 * pad;
+  const lines = labelLines(label);
+
+  let textX = x;
+  let textWidth = width;
+  let textHeight = height;
+  if (symbology === 'qr') {
+    const side = Math.min(height, Math.floor(width * 0.45));
+    const drawn = drawQr(image, label.jobCardContentNo, x, y + Math.floor((height - side) / 2), side);
+    textX = x + drawn + pad;
+    textWidth = width - drawn - pad;
+  } else {
+    const barHeight = Math.floor(height * 0.35);
+    drawCode128(image, label.jobCardContentNo, x, y + height - barHeight, width, barHeight);
+    textHeight = height - barHeight - pad;
+  }
+
+  const { body, title } = await pickFonts(lines.length, textHeight);
+  let cursor = y;
+  image.print({ font: title, x: textX, y: cursor, text: fitText(title, label.jobCardContentNo, textWidth) });
+  cursor += Math.round(title.common.lineHeight * 1.05);
+  for (const line of lines) {
+    if (cursor + body.common.lineHeight > y + textHeight) break;
+    image.print({ font: body, x: textX, y: cursor, text: fitText(body, line, textWidth) });
+    cursor += Math.round(body.common.lineHeight * 1.05);
+  }
+}
+
+function layoutSpec(layout, startPosition) {
+  const spec = LABEL_LAYOUTS[layout];
+  if (!spec) throw labelError(`layout must be one of ${Object.keys(LABEL_LAYOUTS).join(', ')}`);
+  const perPage = spec.columns * spec.rows;
+  if (!Number.isInteger(startPosition) || startPosition < 1 || startPosition > perPage) {
+    throw labelError(`startPosition must be between 1 and ${perPage} for ${layout}`);
+  }
+  return { spec, perPage };
+}
+
+/** Number of pages `labelCount` labels fill, the first placed at startPosition. */
+export function labelPageCount(labelCount, { layout = 'a4-2x7', startPosition = 1 } = {}) {
+  const { perPage } = layoutSpec(layout, startPosition);
+  return Math.ceil((startPosition - 1 + labelCount) / perPage);
+}
+
+/**
+ * One label page as a Jimp image; only that page's labels are drawn.
+ * @param {Object[]} labels - { jobCardContentNo, jobNumber, client, jobName, component, formNo, quantity }
+ * @param {{ layout?: string, symbology?: string, startPosition?: number, page?: number }} [options] - page from 1
+ */
+export async function renderLabelPage(labels, { layout = 'a4-2x7', symbology = 'qr', startPosition = 1, page = 1 } = {}) {
+  const { spec, perPage } = layoutSpec(layout, startPosition);
+  if (!SYMBOLOGIES.includes(symbology)) throw labelError(`symbology must be one of ${SYMBOLOGIES.join(', ')}`);
+  const pageCount = labelPageCount(labels.length, { layout, startPosition });
+  if (!Number.isInteger(page) || page < 1 || page > pageCount) throw labelError(`page must be between 1 and ${pageCount}`);
+
+  const px = (mm) => mmToPx(mm, spec.dpi);
+  const image = new Jimp({ width: px(spec.pageMm[0]), height: px(spec.pageMm[1]), color: 0xffffffff });
+  const firstSlot = (page - 1) * perPage;
+  const skipped = startPosition - 1;
+  for (let slot = Math.max(firstSlot, skipped); slot < firstSlot + perPage && slot - skipped < labels.length; slot++) {
+    const position = slot % perPage;
+    const box = {
+      x: px(spec.originMm[0] + (position % spec.columns) * spec.pitchMm[0]),
+      y: px(spec.originMm[1] + Math.floor(position / spec.columns) * spec.pitchMm[1]),
+      width: px(spec.labelMm[0]),
+      height: px(spec.labelMm[1])
+    };
+    await drawLabel(image, labels[slot - skipped], box, symbology, spec.dpi);
+  }
+  return image;
+}
+
+// Deflated 8-bit grayscale pixels of a page, so its RGBA bitmap can be dropped
+function grayPage(image) {
+  const { data, width, height } = image.bitmap;
+  const gray = Buffer.alloc(width * height);
+  for (let i = 0; i < gray.length; i++) gray[i] = data[i * 4];
+  return { width, height, pixels: zlib.deflateSync(gray) };
+}
+
+/**
+ * PDF of every label page, one full-page grayscale image per page sized to the layout's page. Pages are
+ * drawn one at a time and only their deflated pixels are kept.
+ * @param {Object[]} labels - as for renderLabelPage
+ * @param {{ layout?: string, symbology?: string, startPosition?: number }} [options]
+ * @returns {Promise<Buffer>}
+ */
+export async function renderLabelsPdf(labels, { layout = 'a4-2x7', symbology = 'qr', startPosition = 1 } = {}) {
+  const pageCount = labelPageCount(labels.length, { layout, startPosition });
+  const pages = [];
+  for (let page = 1; page <= pageCount; page++) {
+    pages.push(grayPage(await renderLabelPage(labels, { layout, symbology, startPosition, page })));
+  }
+  return pagesToPdf(pages, layout);
+}
+
+// PDF of grayPage() images
+function pagesToPdf(pages, layout) {
+  const spec = LABEL_LAYOUTS[layout];
+  const [pageWidth, pageHeight] = spec.pageMm.map(mm => +(mm / 25.4 * 72).toFixed(2));
+  const objects = [];
+  const addObject = (parts) => {
+    objects.push(parts);
+    return objects.length;
+  };
+  const catalogId = addObject(null);
+  const pagesId = addObject(null);
+  const pageIds = pages.map(({ width, height, pixels }) => {
+    const imageId = addObject([
+      `<< /Type /XObject /Subtype /Image /Width ${width} /Height ${height} /ColorSpace /DeviceGray ` +
+        `/BitsPerComponent 8 /Filter /FlateDecode /Length ${pixels.length} >>\nstream\n`,
+      pixels,
+      '\nendstream'
+    ]);
+    const content = `q ${pageWidth} 0 0 ${pageHeight} 0 0 cm /Im0 Do Q`;
+    const contentId = addObject([`<< /Length ${content.length} >>\nstream\n${content}\nendstream`]);
+    return addObject([
+      `<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${pageWidth} ${pageHeight}] ` +
+        `/Resources << /XObject << /Im0 ${imageId} 0 R >> >> /Contents ${contentId} 0 R >>`
+    ]);
+  });
+  objects[catalogId - 1] = [`<< /Type /Catalog /Pages ${pagesId} 0 R >>`];
+  objects[pagesId - 1] = [`<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`];
+
+  const chunks = [Buffer.from('%PDF-1.4\n')];
+  let length = chunks[0].length;
+  const offsets = objects.map((parts, i) => {
+    const offset = length;
+    for (const part of [`${i + 1} 0 obj\n`, ...parts, '\nendobj\n']) {
+      const chunk = Buffer.isBuffer(part) ? part : Buffer.from(part, 'latin1');
+      chunks.push(chunk);
+      length += chunk.length;
+    }
+    return offset;
+  });
+  const xref = [`xref\n0 ${objects.length + 1}\n`, '0000000000 65535 f \n',
+    ...offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`)].join('');
+  chunks.push(Buffer.from(`${xref}trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${length}\n%%EOF\n`));
+  return Buffer.concat(chunks);
+}
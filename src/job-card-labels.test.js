@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { code128Widths, renderLabelPage, renderLabelsPdf, labelPageCount, LABEL_LAYOUTS } from './job-card-labels.js';
+import { decodeImage } from './barcode-decoder.js';
+
+const label = {
+  jobCardContentNo: 'J05123_1',
+  jobNumber: 'J05123',
+  client: 'Acme Pharma Ltd',
+  jobName: 'Paracetamol 500 mg carton',
+  component: 'Outer carton',
+  formNo: '2',
+  quantity: '25000'
+};
+
+test('code 128 symbols are 11 modules with a 13 module stop', () => {
+  const widths = code128Widths('J05123_1');
+  // start + 8 characters + checksum, then the stop
+  assert.equal(widths.length, 10 * 6 + 7);
+  assert.equal(widths.reduce((a, b) => a + b, 0), 10 * 11 + 13);
+  assert.throws(() => code128Widths('J05é'), { code: 'INVALID_LABEL_REQUEST' });
+});
+
+test('printed QR and Code 128 labels decode back to the job card number', async () => {
+  for (const symbology of ['qr', 'code128']) {
+    const page = await renderLabelPage([label], { layout: 'thermal-100x50', symbology });
+    const { code, matched } = decodeImage(page, { expect: 'job-card' });
+    assert.equal(code?.text, 'J05123_1', symbology);
+    assert.equal(code.format, symbology === 'qr' ? 'QR_CODE' : 'CODE_128');
+    assert.equal(matched, true);
+  }
+});
+
+test('sheet layouts start at the requested position and fill whole pages', async () => {
+  const { columns, rows } = LABEL_LAYOUTS['a4-3x8'];
+  const labels = Array.from({ length: columns * rows }, () => label);
+  assert.equal(labelPageCount(labels.length, { layout: 'a4-3x8', startPosition: 23 }), 2);
+  assert.equal(labelPageCount(2, { layout: 'a4-3x8', startPosition: 23 }), 1);
+  const page = await renderLabelPage(labels, { layout: 'a4-3x8', startPosition: 23, page: 2 });
+  assert.equal(page.bitmap.width, 2480);
+  await assert.rejects(renderLabelPage(labels, { layout: 'a4-3x8', startPosition: 23, page: 3 }), { code: 'INVALID_LABEL_REQUEST' });
+  await assert.rejects(renderLabelPage([label], { layout: 'a4-3x8', startPosition: 25 }), { code: 'INVALID_LABEL_REQUEST' });
+  await assert.rejects(renderLabelPage([label], { layout: 'a5' }), { code: 'INVALID_LABEL_REQUEST' });
+
+  const pdf = (await renderLabelsPdf(labels, { layout: 'a4-3x8', startPosition: 23 })).toString('latin1');
+  assert.match(pdf, /^%PDF-1\.4/);
+  assert.match(pdf, /\/Count 2/);
+  assert.match(pdf, /\/MediaBox \[0 0 595\.28 841\.89\]/);
+  const startxref = Number(pdf.match(/startxref\n(\d+)/)[1]);
+  assert.equal(pdf.slice(startxref, startxref + 4), 'xref');
+});
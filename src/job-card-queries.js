@@ -767,3 +767,17 @@ GROUP BY IM.ItemCode, IM.ItemName, IM.ManufecturerItemCode, IM.ItemSize, IM.Size
          JC.PlanType
 ORDER BY JM.SequenceNo;
 `;
+
+/**
+ * Job booking number of a job card content number (the JobCardContentNo printed on the traveler QR).
+ * Parameters: @JobCardContentNo, @CompanyID
+ */
+export const JobNumberByContentNoQuery = `
+SELECT TOP 1 JB.JobBookingNo
+FROM JobBookingJobCardContents JBC
+INNER JOIN JobBookingJobCard JB ON JB.JobBookingID = JBC.JobBookingID AND JB.CompanyID = JBC.CompanyID
+WHERE JBC.JobCardContentNo = @JobCardContentNo
+  AND JBC.CompanyID = @CompanyID
+  AND ISNULL(JB.IsDeletedTransaction, 0) = 0
+  AND ISNULL(JBC.IsDeletedTransaction, 0) = 0
+`;
@@ -0,0 +1,16 @@
+/**
+ * The JWT signing secret, shared by auth.js and the CommonJS Contractor PO login routes.
+ * Kept as .cjs so both module systems load it. There is no fallback: without JWT_SECRET no token
+ * is signed or accepted (server.js refuses to start).
+ */
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    const err = new Error('JWT_SECRET is not set');
+    err.code = 'JWT_SECRET_MISSING';
+    throw err;
+  }
+  return secret;
+}
+
+module.exports = { getJwtSecret };
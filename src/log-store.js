@@ -0,0 +1,378 @@
+/**
+ * Structured JSONL log channels under logs/ (qr, process-start, auth, ...).
+ * - createChannelLogger(channel): returns log(message, extra) that appends
+ *   { ts, level, message, requestId, user, ...extra } to logs/<channel>.log. The level comes
+ *   from extra.level, else 'error' when extra.error is set, 'warn' for extra.statusWarning.
+ * - Rotation: the active file is renamed to <channel>.<YYYYMMDD-HHmmss-SSS>.log when it passes
+ *   LOG_MAX_FILE_MB (default 10) or on the first write of a new UTC day.
+ * - Retention: rotated files older than LOG_RETENTION_DAYS (default 14), or beyond
+ *   LOG_MAX_FILES per channel (default 30), are deleted at rotation time.
+ * - queryLogs(channel, filters): newest-first page read backwards in chunks across the
+ *   active and rotated files; nextCursor resumes where the page stopped.
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { getRequestContext } from './request-context.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const READ_CHUNK_BYTES = 64 * 1024;
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 2000;
+const MAX_SCANNED_LINES = 200000;   // per request, so a narrow filter cannot read forever
+const CHANNEL_PATTERN = /^[a-z0-9][a-z0-9-]{0,40}$/;
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+function invalidFilter(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_FILTER';
+  return err;
+}
+
+function utcDay(date) {
+  return date.toISOString().slice(0, 10);
+}
+
+function rotationStamp(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace('T', '-').replace('.', '-').slice(0, 19);
+}
+
+function levelOf(extra) {
+  if (extra.level && LEVELS.includes(extra.level)) return extra.level;
+  if (extra.error) return 'error';
+  if (extra.statusWarning) return 'warn';
+  return 'info';
+}
+
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const position = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof position?.f === 'string' && Number.isInteger(position.o) && position.o >= 0) return position;
+  } catch (_) {
+    // fall through
+  }
+  throw invalidFilter('Invalid cursor');
+}
+
+/**
+ * Yields { text, start, end } for each line of the file, last line first. start/end are the
+ * byte positions of the line, so reading can resume before (start) or including (end) it.
+ */
+async function* readLinesBackward(filePath, endOffset) {
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    const size = (await handle.stat()).size;
+    let position = Math.min(endOffset ?? size, size);
+    let carry = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      await handle.read(chunk, 0, length, position);
+      const data = carry.length ? Buffer.concat([chunk, carry]) : chunk;
+
+      let lineEnd = data.length;
+      let newline = data.lastIndexOf(0x0a, lineEnd - 1);
+      while (newline !== -1) {
+        if (lineEnd > newline + 1) {
+          yield { text: data.subarray(newline + 1, lineEnd).toString('utf8'), start: position + newline + 1, end: position + lineEnd };
+        }
+        lineEnd = newline;
+        newline = lineEnd > 0 ? data.lastIndexOf(0x0a, lineEnd - 1) : -1;
+      }
+      carry = data.subarray(0, lineEnd);
+    }
+    if (carry.length) {
+      yield { text: carry.toString('utf8'), start: 0, end: carry.length };
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+function pickFirst(...values) {
+  return values.find(v => v !== undefined && v !== null && v !== '');
+}
+
+// Older entries carry ids inside body/parameters/normalized rather than at the top level
+function entryProductionId(entry) {
+  return pickFirst(
+    entry.productionId, entry.ProductionID,
+    entry.parameters?.ProductionID, entry.normalized?.ProductionID, entry.body?.ProductionID
+  );
+}
+
+function entryUsers(entry) {
+  return [
+    entry.user, entry.userId, entry.username, entry.UserID,
+    entry.body?.UserID, entry.body?.userId, entry.body?.username,
+    entry.normalized?.UserID, entry.parameters?.UserID
+  ].filter(v => v !== undefined && v !== null && v !== '').map(String);
+}
+
+function buildFilter(filters) {
+  const minLevel = filters.level ? LEVELS.indexOf(String(filters.level)) : -1;
+  if (filters.level && minLevel === -1) {
+    throw invalidFilter(`level must be one of ${LEVELS.join(', ')}`);
+  }
+  const parseTime = (value, name) => {
+    if (value == null || value === '') return null;
+    const t = new Date(value).getTime();
+    if (Number.isNaN(t)) throw invalidFilter(`Invalid ${name} time`);
+    return t;
+  };
+  const from = parseTime(filters.from, 'from');
+  const to = parseTime(filters.to, 'to');
+  const route = filters.route ? String(filters.route) : null;
+  const user = filters.user ? String(filters.user) : null;
+  const productionId = filters.productionId ? String(filters.productionId) : null;
+  const requestId = filters.requestId ? String(filters.requestId) : null;
+  const text = filters.q ? String(filters.q).toLowerCase() : null;
+
+  return {
+    from,
+    matches(entry, ts) {
+      if (minLevel > 0 && LEVELS.indexOf(entry.level || 'info') < minLevel) return false;
+      if (to != null && ts != null && ts > to) return false;
+      if (route && !String(entry.route || '').startsWith(route)) return false;
+      if (requestId && entry.requestId !== requestId) return false;
+      if (productionId && String(entryProductionId(entry) ?? '') !== productionId) return false;
+      if (user && !entryUsers(entry).includes(user)) return false;
+      if (text && !String(entry.message || '').toLowerCase().includes(text)) return false;
+      return true;
+    }
+  };
+}
+
+/**
+ * @param {{ dir: string, maxFileBytes?: number, retentionDays?: number, maxFiles?: number,
+ *   now?: () => Date }} options
+ */
+export function createLogStore({
+  dir,
+  maxFileBytes = (Number(process.env.LOG_MAX_FILE_MB) || 10) * 1024 * 1024,
+  retentionDays = Number(process.env.LOG_RETENTION_DAYS) || 14,
+  maxFiles = Number(process.env.LOG_MAX_FILES) || 30,
+  now = () => new Date()
+}) {
+  const channels = new Map();   // channel -> { size, day } of the active file
+
+  const activeFile = (channel) => path.join(dir, `${channel}.log`);
+
+  function rotatedFiles(channel) {
+    const prefix = `${channel}.`;
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (_) {
+      return [];
+    }
+    // <channel>.<stamp>.log; the stamp sorts chronologically, newest first here
+    return names
+      .filter(n => n.startsWith(prefix) && n.endsWith('.log') && /^\d{8}-\d{6}-\d{3}$/.test(n.slice(prefix.length, -4)))
+      .sort()
+      .reverse();
+  }
+
+  function pruneRotated(channel) {
+    const cutoff = now().getTime() - retentionDays * 24 * 60 * 60 * 1000;
+    rotatedFiles(channel).forEach((name, index) => {
+      const file = path.join(dir, name);
+      try {
+        if (index >= maxFiles || fs.statSync(file).mtimeMs < cutoff) {
+          fs.unlinkSync(file);
+        }
+      } catch (e) {
+        console.error(`[LOGS] Failed to prune ${name}:`, e.message);
+      }
+    });
+  }
+
+  function channelState(channel) {
+    let state = channels.get(channel);
+    if (!state) {
+      state = { size: 0, day: utcDay(now()) };
+      try {
+        const stat = fs.statSync(activeFile(channel));
+        state = { size: stat.size, day: utcDay(stat.mtime) };
+      } catch (_) {
+        // no active file yet
+      }
+      channels.set(channel, state);
+    }
+    return state;
+  }
+
+  function rotateIfNeeded(channel, incomingBytes) {
+    const state = channelState(channel);
+    const today = utcDay(now());
+    if (state.size === 0 || (state.day === today && state.size + incomingBytes <= maxFileBytes)) {
+      state.day = today;
+      return;
+    }
+    const target = path.join(dir, `${channel}.${rotationStamp(now())}.log`);
+    try {
+      fs.renameSync(activeFile(channel), target);
+    } catch (e) {
+      if (e.code !== 'ENOENT') throw e;
+    }
+    channels.set(channel, { size: 0, day: today });
+    pruneRotated(channel);
+  }
+
+  function append(channel, message, extra = {}) {
+    try {
+      const context = getRequestContext();
+      const entry = {
+        ts: now().toISOString(),
+        level: levelOf(extra),
+        message,
+        ...(context ? { requestId: context.requestId, ...(context.user != null ? { user: context.user } : {}) } : {}),
+        ...extra
+      };
+      const line = JSON.stringify(entry) + '\n';
+      const bytes = Buffer.byteLength(line);
+      fs.mkdirSync(dir, { recursive: true });
+      rotateIfNeeded(channel, bytes);
+      fs.appendFileSync(activeFile(channel), line);
+      channelState(channel).size += bytes;
+    } catch (e) {
+      // Best effort; don't crash the app on logging failure
+      console.error(`Failed to write ${channel} log entry:`, e);
+    }
+  }
+
+  function channel(name) {
+    if (!CHANNEL_PATTERN.test(name)) {
+      throw new Error(`Invalid log channel name: ${name}`);
+    }
+    channelState(name);
+    return (message, extra) => append(name, message, extra);
+  }
+
+  function channelFiles(name) {
+    const files = [];
+    if (fs.existsSync(activeFile(name))) files.push(`${name}.log`);
+    return files.concat(rotatedFiles(name));
+  }
+
+  function listChannels() {
+    let names = [];
+    try {
+      names = fs.readdirSync(dir);
+    } catch (_) {
+      // no logs yet
+    }
+    const found = new Set(channels.keys());
+    for (const n of names) {
+      const m = n.match(/^([a-z0-9][a-z0-9-]{0,40})\.(?:\d{8}-\d{6}-\d{3}\.)?log$/);
+      if (m) found.add(m[1]);
+    }
+    return Array.from(found).sort().map(name => {
+      const files = channelFiles(name).map(file => {
+        const stat = fs.statSync(path.join(dir, file));
+        return { file, bytes: stat.size, modifiedAt: stat.mtime.toISOString() };
+      });
+      return { channel: name, files, totalBytes: files.reduce((sum, f) => sum + f.bytes, 0) };
+    });
+  }
+
+  // A cursor names the file it was read from; if that file has since been rotated,
+  // follow it by inode to its new name.
+  function resolveCursorFile(name, position) {
+    const files = channelFiles(name);
+    const byName = files.indexOf(position.f);
+    if (position.i == null) return byName;
+    for (let idx = 0; idx < files.length; idx++) {
+      try {
+        if (fs.statSync(path.join(dir, files[idx])).ino === position.i) return idx;
+      } catch (_) {
+        // file pruned meanwhile
+      }
+    }
+    return -1;
+  }
+
+  /**
+   * @param {string} name - channel
+   * @param {{ level?: string, route?: string, user?: string, productionId?: string,
+   *   requestId?: string, q?: string, from?: string, to?: string, limit?: number|string,
+   *   cursor?: string }} filters
+   * @param {(entry: Object) => void} [onEntry] - called per matching entry as it is read
+   * @returns {Promise<{ entries: Object[], nextCursor: string|null, scanned: number }>}
+   */
+  async function queryLogs(name, filters = {}, onEntry) {
+    if (!CHANNEL_PATTERN.test(String(name || ''))) {
+      throw invalidFilter('Invalid log channel');
+    }
+    const limit = Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(filters.limit, 10) || DEFAULT_PAGE_SIZE));
+    const filter = buildFilter(filters);
+    const files = channelFiles(name);
+
+    let fileIndex = 0;
+    let endOffset;
+    if (filters.cursor) {
+      const position = decodeCursor(filters.cursor);
+      fileIndex = resolveCursorFile(name, position);
+      if (fileIndex === -1) {
+        throw invalidFilter('Cursor refers to a log file that no longer exists');
+      }
+      endOffset = position.o;
+    }
+
+    const entries = [];
+    let scanned = 0;
+    for (; fileIndex < files.length; fileIndex++, endOffset = undefined) {
+      const file = path.join(dir, files[fileIndex]);
+      let ino;
+      try {
+        ino = fs.statSync(file).ino;
+      } catch (_) {
+        continue;   // pruned while reading
+      }
+      for await (const { text, end } of readLinesBackward(file, endOffset)) {
+        // Resuming at `end` re-reads this line first
+        const resumeHere = () => encodeCursor({ f: files[fileIndex], i: ino, o: end });
+        if (scanned >= MAX_SCANNED_LINES) {
+          return { entries, nextCursor: resumeHere(), scanned };
+        }
+        scanned++;
+        let entry;
+        try {
+          entry = JSON.parse(text);
+        } catch (_) {
+          entry = { raw: text, parseError: true };
+        }
+        const ts = entry.ts ? new Date(entry.ts).getTime() : null;
+        if (filter.from != null && ts != null && ts < filter.from) {
+          // Files are read newest first, so nothing older can match
+          return { entries, nextCursor: null, scanned };
+        }
+        if (!filter.matches(entry, ts)) continue;
+        if (entries.length === limit) {
+          // The next page starts with this entry
+          return { entries, nextCursor: resumeHere(), scanned };
+        }
+        entries.push(entry);
+        if (onEntry) onEntry(entry);
+      }
+    }
+    return { entries, nextCursor: null, scanned };
+  }
+
+  return { channel, listChannels, queryLogs };
+}
+
+const logStore = createLogStore({ dir: path.join(__dirname, '..', 'logs') });
+
+export function createChannelLogger(channel) {
+  return logStore.channel(channel);
+}
+
+export const listLogChannels = () => logStore.listChannels();
+export const queryLogs = (channel, filters, onEntry) => logStore.queryLogs(channel, filters, onEntry);
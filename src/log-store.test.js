@@ -0,0 +1,68 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createLogStore } from './log-store.js';
+
+function tempDir() {
+  return fs.mkdtempSync(path.join(os.tmpdir(), 'cdc-logs-'));
+}
+
+test('rotates by size and pages newest first across files', async () => {
+  const dir = tempDir();
+  let clock = Date.parse('2026-03-01T08:00:00Z');
+  const store = createLogStore({ dir, maxFileBytes: 400, now: () => new Date(clock) });
+  const log = store.channel('process-start');
+  for (let i = 1; i <= 12; i++) {
+    clock += 1000;
+    log(`entry ${i}`, { route: '/processes/start', productionId: i });
+  }
+  assert.ok(store.listChannels()[0].files.length > 1, 'expected rotated files');
+
+  const seen = [];
+  let cursor;
+  do {
+    const page = await store.queryLogs('process-start', { limit: 5, cursor });
+    seen.push(...page.entries.map(e => e.productionId));
+    cursor = page.nextCursor;
+  } while (cursor);
+  assert.deepEqual(seen, [12, 11, 10, 9, 8, 7, 6, 5, 4, 3, 2, 1]);
+});
+
+test('rotates on a new day and applies filters', async () => {
+  const dir = tempDir();
+  let clock = Date.parse('2026-03-01T23:59:00Z');
+  const store = createLogStore({ dir, now: () => new Date(clock) });
+  const log = store.channel('auth');
+  log('Login ok', { route: '/auth/login', user: '17' });
+  clock = Date.parse('2026-03-02T00:01:00Z');
+  log('Login failed', { route: '/auth/login', user: '17', error: 'bad password' });
+  log('Logout', { route: '/auth/logout', user: '18' });
+
+  assert.equal(store.listChannels()[0].files.length, 2);
+
+  const errors = await store.queryLogs('auth', { level: 'error' });
+  assert.deepEqual(errors.entries.map(e => e.message), ['Login failed']);
+
+  const byUser = await store.queryLogs('auth', { user: '17', route: '/auth/login' });
+  assert.deepEqual(byUser.entries.map(e => e.message), ['Login failed', 'Login ok']);
+
+  const sinceMidnight = await store.queryLogs('auth', { from: '2026-03-02T00:00:00Z' });
+  assert.deepEqual(sinceMidnight.entries.map(e => e.message), ['Logout', 'Login failed']);
+
+  await assert.rejects(store.queryLogs('auth', { level: 'loud' }), { code: 'INVALID_FILTER' });
+});
+
+test('prunes rotated files beyond maxFiles', () => {
+  const dir = tempDir();
+  let clock = Date.parse('2026-03-01T08:00:00Z');
+  const store = createLogStore({ dir, maxFileBytes: 10, maxFiles: 2, now: () => new Date(clock) });
+  const log = store.channel('qr');
+  for (let i = 0; i < 6; i++) {
+    clock += 1000;
+    log('decoded', { i });
+  }
+  const files = fs.readdirSync(dir).filter(f => f.startsWith('qr.'));
+  assert.equal(files.length, 3); // active + 2 rotated
+});
@@ -0,0 +1,125 @@
+/**
+ * Read-through cache for slow master-data lookups (dropdown lists such as transporters, client
+ * names, machines, artwork users).
+ * - Entries are keyed `<lookup>:<plant>[:<params>]` and expire after the lookup's own TTL
+ *   (default LOOKUP_CACHE_TTL_MS, 10 min). Concurrent misses for one key share a single load;
+ *   failed loads are not cached.
+ * - invalidate(lookup, plant) drops a lookup for one plant or all plants. Write routes of this service
+ *   call invalidateLookup() for the lookups they change: raw-qc/item-types (QC parameter add/change/
+ *   delete) and inventory-summary/client-names (/inventory-summary/po-noclient-update-client).
+ * - grn/transporters, job-card/sales-persons, job-card/client-names, schedule/machines and
+ *   artwork/users have no write path here: they change in the ERP or through the ledger sync script,
+ *   and show up after their TTL or after the admin routes (/admin/lookup-cache/invalidate,
+ *   /admin/clear-db-cache) drop them.
+ * - sendCachedLookup() answers with an ETag computed once per load, so a client that sends
+ *   If-None-Match gets 304 without the body being rebuilt or re-sent.
+ * LOOKUP_CACHE_DISABLED=1 bypasses the cache (every request loads).
+ */
+import crypto from 'crypto';
+
+const DEFAULT_TTL_MS = Number(process.env.LOOKUP_CACHE_TTL_MS) || 10 * 60 * 1000;
+const CACHE_DISABLED = process.env.LOOKUP_CACHE_DISABLED === '1';
+
+/** Cache key for a lookup; `plant` is a plant key (or null for plant-independent lookups). */
+export function lookupKey(lookup, plant, params = '') {
+  return [lookup, plant || '*', params].filter((part) => part !== '').join(':');
+}
+
+/** Weak ETag for a JSON body. */
+export function etagFor(body) {
+  const hash = crypto.createHash('sha1').update(JSON.stringify(body)).digest('base64url');
+  return `W/"${hash}"`;
+}
+
+export function createLookupCache({ defaultTtlMs = DEFAULT_TTL_MS, disabled = false, now = Date.now } = {}) {
+  const entries = new Map();
+  const inFlight = new Map();
+  let hits = 0;
+  let misses = 0;
+
+  const isFresh = (entry) => entry && entry.expiresAt > now();
+
+  return {
+    /**
+     * Cached { body, etag, cachedAt, hit } for key, calling load() on a miss or after expiry.
+     * @param {string} key - from lookupKey()
+     * @param {() => Promise<any>} load
+     */
+    async getOrLoad(key, load, { ttlMs = defaultTtlMs } = {}) {
+      const entry = entries.get(key);
+      if (!disabled && isFresh(entry)) {
+        hits += 1;
+        return { ...entry, hit: true };
+      }
+      misses += 1;
+      if (inFlight.has(key)) return { ...(await inFlight.get(key)), hit: false };
+
+      const pending = Promise.resolve().then(load).then((body) => {
+        const loaded = { body, etag: etagFor(body), cachedAt: now(), expiresAt: now() + ttlMs };
+        if (!disabled) entries.set(key, loaded);
+        return loaded;
+      }).finally(() => inFlight.delete(key));
+      inFlight.set(key, pending);
+      return { ...(await pending), hit: false };
+    },
+
+    /** Drops `lookup` for one plant, or for every plant when plant is omitted. Returns how many entries went. */
+    invalidate(lookup, plant) {
+      const base = plant ? lookupKey(lookup, plant) : lookup;
+      let removed = 0;
+      for (const key of [...entries.keys()]) {
+        if (key === base || key.startsWith(`${base}:`)) {
+          entries.delete(key);
+          removed += 1;
+        }
+      }
+      return removed;
+    },
+
+    clear() {
+      const removed = entries.size;
+      entries.clear();
+      return removed;
+    },
+
+    stats() {
+      const at = now();
+      return {
+        disabled,
+        hits,
+        misses,
+        entries: [...entries].map(([key, entry]) => ({
+          key,
+          cachedAt: new Date(entry.cachedAt).toISOString(),
+          expiresInMs: Math.max(0, entry.expiresAt - at),
+          etag: entry.etag
+        }))
+      };
+    }
+  };
+}
+
+/** The process-wide cache used by the lookup routes. */
+export const lookupCache = createLookupCache({ disabled: CACHE_DISABLED });
+
+/**
+ * Sends a cached lookup body: 304 when the request's If-None-Match matches, otherwise the JSON
+ * body with its ETag. Load errors are thrown so each route keeps its own error response.
+ * @param {{ lookup: string, plant?: string|null, params?: string, ttlMs?: number }} spec
+ * @param {() => Promise<any>} load - builds the response body
+ */
+export async function sendCachedLookup(req, res, { lookup, plant = null, params = '', ttlMs }, load) {
+  const cached = await lookupCache.getOrLoad(lookupKey(lookup, plant, params), load, { ttlMs });
+  res.set('ETag', cached.etag);
+  res.set('Cache-Control', 'private, no-cache');
+  res.set('X-Cache', cached.hit ? 'HIT' : 'MISS');
+  if (req.fresh) return res.status(304).end();
+  return res.json(cached.body);
+}
+
+/** Invalidation hook for write paths: drops `lookup` for `plant` (all plants when omitted). */
+export function invalidateLookup(lookup, plant) {
+  const removed = lookupCache.invalidate(lookup, plant);
+  if (removed > 0) console.log(`[LOOKUP-CACHE] invalidated ${lookup}${plant ? ` (${plant})` : ''}: ${removed} entr${removed === 1 ? 'y' : 'ies'}`);
+  return removed;
+}
@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createLookupCache, lookupKey, etagFor } from './lookup-cache.js';
+
+function clockedCache() {
+  let clock = Date.parse('2026-05-01T10:00:00Z');
+  const cache = createLookupCache({ defaultTtlMs: 1000, now: () => clock });
+  return { cache, advance: (ms) => { clock += ms; } };
+}
+
+test('serves from cache until the TTL runs out; concurrent misses share one load', async () => {
+  const { cache, advance } = clockedCache();
+  let loads = 0;
+  const load = async () => {
+    loads += 1;
+    return { status: true, transporters: [{ ledgerId: loads }] };
+  };
+  const key = lookupKey('grn/transporters', 'KOL');
+
+  const [first, second] = await Promise.all([cache.getOrLoad(key, load), cache.getOrLoad(key, load)]);
+  assert.equal(loads, 1);
+  assert.equal(first.hit, false);
+  assert.equal(second.etag, first.etag);
+
+  advance(999);
+  assert.equal((await cache.getOrLoad(key, load)).hit, true);
+  advance(1);
+  const reloaded = await cache.getOrLoad(key, load);
+  assert.equal(reloaded.hit, false);
+  assert.equal(loads, 2);
+  assert.notEqual(reloaded.etag, first.etag);
+  assert.equal(etagFor(reloaded.body), reloaded.etag);
+});
+
+test('per-key TTLs and failed loads are not cached', async () => {
+  const { cache, advance } = clockedCache();
+  await cache.getOrLoad('schedule/machines:KOL', async () => [1], { ttlMs: 5000 });
+  advance(2000);
+  assert.equal((await cache.getOrLoad('schedule/machines:KOL', async () => [2])).hit, true);
+
+  await assert.rejects(cache.getOrLoad('raw-qc/item-types:AHM', async () => { throw new Error('down'); }), /down/);
+  const retried = await cache.getOrLoad('raw-qc/item-types:AHM', async () => ({ status: true, data: [] }));
+  assert.equal(retried.hit, false);
+});
+
+test('invalidation drops one plant or every plant of a lookup', async () => {
+  const { cache } = clockedCache();
+  const load = async () => [];
+  for (const key of [
+    lookupKey('job-card/client-names', 'KOL'),
+    lookupKey('job-card/client-names', 'AHM'),
+    lookupKey('job-card/sales-persons', 'KOL'),
+    lookupKey('artwork/users', null)
+  ]) await cache.getOrLoad(key, load);
+
+  assert.equal(cache.invalidate('job-card/client-names', 'KOL'), 1);
+  assert.deepEqual(cache.stats().entries.map((e) => e.key), ['job-card/client-names:AHM', 'job-card/sales-persons:KOL', 'artwork/users:*']);
+  assert.equal(cache.invalidate('job-card/client-names'), 1);
+  assert.equal(cache.invalidate('artwork/users'), 1);
+  assert.equal(cache.clear(), 1);
+});
@@ -0,0 +1,249 @@
+/**
+ * Server-push feed for the machine floor screens.
+ * Screens subscribe to one or more MachineIDs (see routes-machine-floor-stream.js).
+ * GetMachineFloorScreenData is called once per watched machine, not once per screen:
+ * - when a production start/complete/cancel/reverse goes through this backend
+ * - on a periodic refresh (MACHINE_FLOOR_REFRESH_MS, default 30s) for idle minutes etc.
+ * Subscribers receive a snapshot on connect and deltas (changed fields only) afterwards.
+ * Rows carry the machine's open downtime event (downtime.js) as Downtime, so the screens show why it is idle.
+ */
+import { getPool, sql } from './db.js';
+import { findOpenDowntime } from './downtime.js';
+
+const REFRESH_INTERVAL_MS = Number(process.env.MACHINE_FLOOR_REFRESH_MS) || 30000;
+
+// `${database}:${machineId}` -> { database, machineId, data, subscribers: Set<fn> }
+const watched = new Map();
+let refreshTimer = null;
+
+function watchKey(database, machineId) {
+  return `${database}:${machineId}`;
+}
+
+function normalizeBoolean(value) {
+  if (typeof value === 'boolean') return value;
+  if (typeof value === 'number') return value === 1;
+  if (typeof value === 'string') {
+    const trimmed = value.trim().toLowerCase();
+    return trimmed === '1' || trimmed === 'true' || trimmed === 'yes';
+  }
+  return false;
+}
+
+/**
+ * Maps a GetMachineFloorScreenData row to the shape the floor screens expect.
+ */
+export function normalizeMachineFloorRow(raw, machineIdNum) {
+  return {
+    MachineID: raw.MachineID ?? raw.machineid ?? machineIdNum,
+    MachineName: raw.MachineName ?? raw.machinename ?? null,
+    MachineStatus: raw.MachineStatus ?? raw.machinestatus ?? null,
+    IsRunning: normalizeBoolean(raw.IsRunning ?? raw.isrunning),
+    CurrentJobNumber: raw.CurrentJobNumber ?? raw.currentjobnumber ?? null,
+    CurrentJobName: raw.CurrentJobName ?? raw.currentjobname ?? null,
+    CurrentJobStartedAt: raw.CurrentJobStartedAt ?? raw.currentjobstartedat ?? null,
+    RunningSinceMinutes: raw.RunningSinceMinutes ?? raw.runningsinceminutes ?? null,
+    PlanQty: raw.PlanQty ?? raw.planqty ?? null,
+    ProducedQty: raw.ProducedQty ?? raw.producedqty ?? null,
+    RemainingQty: raw.RemainingQty ?? raw.remainingqty ?? null,
+    MachineSpeedUPM: raw.MachineSpeedUPM ?? raw.machinespeedupm ?? null,
+    ChangeOverMinutes: raw.ChangeOverMinutes ?? raw.changeoverminutes ?? null,
+    TargetMinutesToFinish: raw.TargetMinutesToFinish ?? raw.targetminutestofinish ?? null,
+    TargetFinishAt: raw.TargetFinishAt ?? raw.targetfinishat ?? null,
+    IsBehindSchedule: normalizeBoolean(raw.IsBehindSchedule ?? raw.isbehindschedule),
+    StatusColor: raw.StatusColor ?? raw.statuscolor ?? null,
+    LastCompletedJobNumber: raw.LastCompletedJobNumber ?? raw.lastcompletedjobnumber ?? null,
+    LastCompletedJobName: raw.LastCompletedJobName ?? raw.lastcompletedjobname ?? null,
+    LastCompletedAt: raw.LastCompletedAt ?? raw.lastcompletedat ?? null,
+    IdleSinceMinutes: raw.IdleSinceMinutes ?? raw.idlesinceminutes ?? null,
+    BacklogJobsOnMachine: raw.BacklogJobsOnMachine ?? raw.backlogjobsonmachine ?? null,
+    BacklogJobsForProcess: raw.BacklogJobsForProcess ?? raw.backlogjobsforprocess ?? null
+  };
+}
+
+/**
+ * Open downtime of the machine for a floor screen row: { eventId, reasonCode, reasonLabel, planned, startedAt,
+ * operator, notes } or null. A downtime store failure leaves it null rather than failing the screen.
+ */
+export async function machineDowntimeField(database, machineIdNum) {
+  try {
+    const event = await findOpenDowntime(database, machineIdNum);
+    if (!event) return null;
+    const { eventId, reasonCode, reasonLabel, planned, startedAt, operator, notes } = event;
+    return { eventId, reasonCode, reasonLabel, planned, startedAt, operator, notes };
+  } catch (err) {
+    console.warn(`[MACHINE-FLOOR-FEED] Downtime lookup failed for ${database}:${machineIdNum}:`, err.message);
+    return null;
+  }
+}
+
+/**
+ * Runs GetMachineFloorScreenData for one machine.
+ * @returns {Promise<Object|null>} normalized row, or null when the procedure returns nothing
+ */
+export async function fetchMachineFloorData(database, machineIdNum) {
+  const pool = await getPool(database);
+  const result = await pool.request()
+    .input('MachineID', sql.Int, machineIdNum)
+    .execute('GetMachineFloorScreenData');
+  const raw = result.recordset?.[0];
+  if (!raw) return null;
+  return { ...normalizeMachineFloorRow(raw, machineIdNum), Downtime: await machineDowntimeField(database, machineIdNum) };
+}
+
+// Dates and nested objects (Downtime) compare by value
+function comparable(value) {
+  if (value instanceof Date) return value.toISOString();
+  if (value && typeof value === 'object') return JSON.stringify(value);
+  return value;
+}
+
+/**
+ * Fields of next whose value differs from previous (the delta sent to subscribers); next itself
+ * when there is nothing to compare with.
+ */
+export function diffFields(previous, next) {
+  if (!previous || !next) return next;
+  const changes = {};
+  for (const key of Object.keys(next)) {
+    const a = comparable(previous[key]);
+    const b = comparable(next[key]);
+    if (a !== b) changes[key] = next[key];
+  }
+  return changes;
+}
+
+function publish(entry, message) {
+  for (const send of entry.subscribers) {
+    try {
+      send(message);
+    } catch (err) {
+      console.warn('[MACHINE-FLOOR-FEED] Subscriber send failed:', err.message);
+    }
+  }
+}
+
+async function refreshEntry(entry, reason) {
+  try {
+    const next = await fetchMachineFloorData(entry.database, entry.machineId);
+    const changes = diffFields(entry.data, next);
+    entry.data = next;
+    entry.lastError = null;
+    if (changes && Object.keys(changes).length > 0) {
+      publish(entry, { event: 'delta', data: { MachineID: entry.machineId, reason, changes, at: new Date().toISOString() } });
+    }
+  } catch (err) {
+    console.error(`[MACHINE-FLOOR-FEED] Refresh failed for ${entry.database}:${entry.machineId}:`, err.message);
+    if (entry.lastError !== err.message) {
+      entry.lastError = err.message;
+      publish(entry, { event: 'feed-error', data: { MachineID: entry.machineId, error: 'Failed to refresh machine floor data' } });
+    }
+  }
+}
+
+async function refreshAll() {
+  for (const entry of Array.from(watched.values())) {
+    await refreshEntry(entry, 'periodic');
+  }
+}
+
+function ensureRefreshTimer() {
+  if (!refreshTimer && watched.size > 0) {
+    refreshTimer = setInterval(refreshAll, REFRESH_INTERVAL_MS);
+  } else if (refreshTimer && watched.size === 0) {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+  }
+}
+
+/**
+ * Registers a subscriber for the given machines and sends it a snapshot of each.
+ * @param {string} database - plant key (plants.js)
+ * @param {number[]} machineIds
+ * @param {(message: { event: string, data: Object }) => void} send
+ * @returns {Promise<() => void>} unsubscribe
+ */
+export async function subscribeMachineFloor(database, machineIds, send) {
+  const entries = machineIds.map(machineId => {
+    const key = watchKey(database, machineId);
+    if (!watched.has(key)) {
+      watched.set(key, { database, machineId, data: null, lastError: null, subscribers: new Set() });
+    }
+    const entry = watched.get(key);
+    entry.subscribers.add(send);
+    return entry;
+  });
+  ensureRefreshTimer();
+
+  for (const entry of entries) {
+    // First subscriber for a machine loads it; later ones reuse the cached row
+    if (!entry.data) {
+      try {
+        entry.data = await fetchMachineFloorData(database, entry.machineId);
+      } catch (err) {
+        console.error(`[MACHINE-FLOOR-FEED] Snapshot failed for ${database}:${entry.machineId}:`, err.message);
+        send({ event: 'feed-error', data: { MachineID: entry.machineId, error: 'Failed to fetch machine floor data' } });
+        continue;
+      }
+    }
+    send({ event: 'snapshot', data: { MachineID: entry.machineId, data: entry.data, at: new Date().toISOString() } });
+  }
+
+  return () => {
+    for (const entry of entries) {
+      entry.subscribers.delete(send);
+      if (entry.subscribers.size === 0) {
+        watched.delete(watchKey(entry.database, entry.machineId));
+      }
+    }
+    ensureRefreshTimer();
+  };
+}
+
+async function findMachineForProduction(database, productionId) {
+  const pool = await getPool(database);
+  const result = await pool.request()
+    .input('ProductionID', sql.Int, productionId)
+    .query('SELECT TOP 1 MachineID FROM dbo.ProductionEntry WHERE ProductionID = @ProductionID');
+  const machineId = Number(result.recordset?.[0]?.MachineID);
+  return Number.isInteger(machineId) ? machineId : null;
+}
+
+/**
+ * Called after a production start/complete/cancel/reverse succeeds. Refreshes the affected
+ * machine (or, when it cannot be resolved, every watched machine of that database) and pushes
+ * deltas. Never throws and does nothing when no screen is subscribed.
+ * @param {{ database: string, type: string, machineId?: number, productionId?: number }} event
+ */
+export function notifyProductionEvent({ database, type, machineId, productionId }) {
+  const db = String(database || '').toUpperCase();
+  const hasWatchers = Array.from(watched.values()).some(e => e.database === db);
+  if (!hasWatchers) return;
+
+  setImmediate(async () => {
+    try {
+      let resolvedMachineId = Number.isInteger(machineId) ? machineId : null;
+      if (resolvedMachineId === null && Number.isInteger(productionId)) {
+        resolvedMachineId = await findMachineForProduction(db, productionId).catch(() => null);
+      }
+
+      const targets = Array.from(watched.values()).filter(e =>
+        e.database === db && (resolvedMachineId === null || e.machineId === resolvedMachineId)
+      );
+      for (const entry of targets) {
+        await refreshEntry(entry, type);
+      }
+    } catch (err) {
+      console.error('[MACHINE-FLOOR-FEED] Production event refresh failed:', err);
+    }
+  });
+}
+
+export function getMachineFloorFeedStats() {
+  return Array.from(watched.values()).map(e => ({
+    database: e.database,
+    machineId: e.machineId,
+    subscribers: e.subscribers.size,
+    lastError: e.lastError
+  }));
+}
@@ -0,0 +1,40 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeMachineFloorRow, diffFields } from './machine-floor-feed.js';
+
+test('floor rows are normalized whatever the column casing', () => {
+  const row = normalizeMachineFloorRow({
+    machinename: 'Heidelberg CD 102', IsRunning: 1, isbehindschedule: 'Yes', PlanQty: 12000, producedqty: 4000
+  }, 12);
+  assert.equal(row.MachineID, 12);
+  assert.equal(row.MachineName, 'Heidelberg CD 102');
+  assert.equal(row.IsRunning, true);
+  assert.equal(row.IsBehindSchedule, true);
+  assert.deepEqual([row.PlanQty, row.ProducedQty, row.RemainingQty], [12000, 4000, null]);
+
+  assert.equal(normalizeMachineFloorRow({ MachineID: 15 }, 12).MachineID, 15);
+  for (const value of [0, '0', 'false', ' no ', null, undefined]) {
+    assert.equal(normalizeMachineFloorRow({ IsRunning: value }, 12).IsRunning, false, `IsRunning ${value}`);
+  }
+  assert.equal(normalizeMachineFloorRow({ IsRunning: ' TRUE ' }, 12).IsRunning, true);
+});
+
+test('deltas carry only the changed fields', () => {
+  const startedAt = new Date('2026-10-19T06:30:00Z');
+  const previous = {
+    MachineID: 12, IsRunning: true, ProducedQty: 4000, CurrentJobStartedAt: startedAt,
+    Downtime: null
+  };
+  const next = {
+    ...previous,
+    ProducedQty: 4500,
+    // Same instant, new Date object: unchanged
+    CurrentJobStartedAt: new Date(startedAt.getTime()),
+    Downtime: { eventId: 'd1', reasonCode: 'PAPER', startedAt: '2026-10-19T07:00:00Z' }
+  };
+  assert.deepEqual(diffFields(previous, next), { ProducedQty: 4500, Downtime: next.Downtime });
+  assert.deepEqual(diffFields(next, { ...next, Downtime: { ...next.Downtime } }), {});
+  assert.deepEqual(diffFields(next, { ...next, Downtime: null }), { Downtime: null });
+  // First fetch: the whole row is the snapshot
+  assert.equal(diffFields(null, next), next);
+});
@@ -0,0 +1,386 @@
+/**
+ * Customer intimation texts (WhatsApp, email subject, email body) as editable templates.
+ * - Templates use {{placeholders}}: clientName, contactName, senderName, senderPhone, companyName
+ *   and orderLines; orderLine formats one order (jobName, orderQty, jobCardNo and the
+ *   kind's date/carton fields) and the formatted orders are joined into {{orderLines}}.
+ * - Versions are stored per kind and language in MongoDB (MessageTemplates). Saving adds a version;
+ *   any version can be made active again. Without a stored version the built-in English texts
+ *   below are used, and a language without its own version falls back to English.
+ * - renderIntimation(): the texts for one client's orders; used by the send routes in routes.js
+ *   and by the preview endpoint, so a preview shows exactly what would be sent.
+ */
+import { assertStoreReady as assertMongoReady, isStoreReady } from './mongo-store.js';
+import MessageTemplate from './models/MessageTemplate.js';
+
+export const TEMPLATE_KINDS = ['first-intimation', 'material-readiness', 'delivery-date-update', 'delivery-followup'];
+export const TEMPLATE_LANGUAGES = { en: 'English', bn: 'Bengali', hi: 'Hindi' };
+export const DEFAULT_LANGUAGE = 'en';
+
+const COMPANY_NAME = process.env.COMPANY_NAME || 'CDC Printers Pvt Ltd';
+const MESSAGE_PLACEHOLDERS = ['clientName', 'contactName', 'senderName', 'senderPhone', 'companyName', 'orderLines'];
+const PLACEHOLDER_PATTERN = /\{\{\s*([A-Za-z]+)\s*\}\}/g;
+
+export function fmtDate(d) {
+  if (!d) return "";
+  const dt = new Date(d);
+  if (Number.isNaN(dt.getTime())) return String(d);
+  return dt.toLocaleDateString("en-GB");
+}
+
+const signature = (closing) => `${closing}
+{{senderName}}
+Customer Relationship Manager
+{{companyName}}
+{{senderPhone}}`;
+
+// comm_pending_delivery_followup(_by_ids) rows; newDateById holds dates entered on the CRM screen
+function followupLineValues(r, { newDateById } = {}) {
+  // The procedure's 3rd column is the job number and its 5th the job name
+  const columnNames = Object.keys(r);
+  const jobNumberColumn = columnNames[2];
+  const jobNameColumn = columnNames[4];
+  const orderQtyColumn = columnNames.find((key) => {
+    const keyLower = key.toLowerCase();
+    return keyLower.includes('order') && keyLower.includes('qty');
+  });
+  const updatedDate = newDateById?.get(Number(r.OrderBookingDetailsID)) || r["Committed Delivery Date"] ||
+    r["CommittedDeliveryDate"] || r["Final Delivery Date"] || r.FinalDeliveryDate;
+  return {
+    jobName: jobNameColumn && r[jobNameColumn] ? String(r[jobNameColumn]) : "",
+    orderQty: orderQtyColumn && r[orderQtyColumn] ? String(r[orderQtyColumn]) : "",
+    jobCardNo: jobNumberColumn && r[jobNumberColumn] ? String(r[jobNumberColumn]) : "",
+    deliveryDate: fmtDate(updatedDate)
+  };
+}
+
+/**
+ * Per kind: the order-line placeholders, how a result row fills them, and the built-in English texts.
+ * lineValues(row, extras) — extras: { readinessById } (material-readiness) or { newDateById }
+ * (delivery-date-update), both keyed by OrderBookingDetailsID.
+ * delivery-followup is only sent by the intimation scheduler (intimation-scheduler.js).
+ */
+const KINDS = {
+  // comm_first_intimation_details_by_ids
+  'first-intimation': {
+    linePlaceholders: ['jobName', 'orderQty', 'jobCardNo', 'deliveryDate'],
+    lineValues: (r) => ({
+      jobName: r["Job Name"],
+      orderQty: r["Order Qty"],
+      jobCardNo: r["Job Card No"] || "",
+      deliveryDate: fmtDate(r["Final Delivery Date"])
+    }),
+    builtIn: {
+      whatsapp: `Dear {{contactName}},
+
+Warm greetings from {{companyName}} 😊
+
+Your order(s) have been planned in our system. Details below:
+
+{{orderLines}}
+
+${signature('—')}`,
+      emailSubject: 'Order Planned & Delivery Commitment | {{clientName}}',
+      emailBody: `Dear {{contactName}},
+
+Warm greetings from {{companyName}}.
+
+Your order(s) have been planned in our system. Details below:
+
+{{orderLines}}
+
+${signature('Regards,')}`,
+      orderLine: `• Item: {{jobName}}
+  Qty: {{orderQty}}
+  Job No: {{jobCardNo}}
+  Committed Delivery: {{deliveryDate}}`
+    }
+  },
+
+  // comm_pending_delivery_followup_by_ids + readiness entered on the CRM screen
+  'material-readiness': {
+    linePlaceholders: ['jobName', 'orderQty', 'jobCardNo', 'readyDate', 'cartons', 'qtyPerCarton'],
+    lineValues: (r, { readinessById } = {}) => {
+      const rd = readinessById?.get(Number(r.OrderBookingDetailsID)) || {};
+      return {
+        jobName: r["JobName"] || "",
+        orderQty: r["Order Qty"],
+        jobCardNo: r["JobCard Num"] || "",
+        readyDate: fmtDate(rd.readyForDispatchDate),
+        cartons: rd.noOfCarton,
+        qtyPerCarton: rd.qtyPerCarton
+      };
+    },
+    builtIn: {
+      whatsapp: `Dear {{contactName}},
+
+Warm greetings from {{companyName}} 😊
+
+Your material is ready and planned for dispatch as per details below:
+
+{{orderLines}}
+
+For any coordination required, please reply here.
+
+${signature('—')}`,
+      emailSubject: 'Material Ready for Dispatch | {{clientName}}',
+      emailBody: `Dear {{contactName}},
+
+Warm greetings from {{companyName}}.
+
+Your material is ready and planned for dispatch as per details below:
+
+{{orderLines}}
+
+For any coordination required, please reply to this email.
+
+${signature('Regards,')}`,
+      orderLine: `• Item: {{jobName}}
+  Qty: {{orderQty}}
+  Job No: {{jobCardNo}}
+  Ready Date: {{readyDate}}
+  Cartons: {{cartons}}
+  Qty/Carton: {{qtyPerCarton}}`
+    }
+  },
+
+  // Second intimation: comm_pending_delivery_followup_by_ids with the new committed dates
+  'delivery-date-update': {
+    linePlaceholders: ['jobName', 'orderQty', 'jobCardNo', 'deliveryDate'],
+    lineValues: followupLineValues,
+    builtIn: {
+      whatsapp: `Dear {{contactName}},
+
+Warm greetings from {{companyName}} 😊
+
+We regret to inform you that due to unforeseen circumstances, we will not be able to deliver the below jobs within the committed timeframe. Please find the updated committed delivery dates below:
+
+{{orderLines}}
+
+${signature('—')}`,
+      emailSubject: 'Updated Delivery Schedule | {{clientName}}',
+      emailBody: `Dear {{contactName}},
+
+Warm greetings from {{companyName}}.
+
+We regret to inform you that due to unforeseen circumstances, we will not be able to deliver the below jobs within the committed timeframe. Please find the updated committed delivery dates below:
+
+{{orderLines}}
+
+${signature('Regards,')}`,
+      orderLine: `• Item: {{jobName}}
+  Qty: {{orderQty}}
+  Job No: {{jobCardNo}}
+  Updated Committed Delivery: {{deliveryDate}}`
+    }
+  },
+
+  // Reminder of the committed delivery dates, sent by the intimation scheduler
+  'delivery-followup': {
+    linePlaceholders: ['jobName', 'orderQty', 'jobCardNo', 'deliveryDate'],
+    lineValues: followupLineValues,
+    builtIn: {
+      whatsapp: `Dear {{contactName}},
+
+Warm greetings from {{companyName}} 😊
+
+Please find below the committed delivery schedule of your pending order(s):
+
+{{orderLines}}
+
+For any coordination required, please reply here.
+
+${signature('—')}`,
+      emailSubject: 'Delivery Schedule of Pending Orders | {{clientName}}',
+      emailBody: `Dear {{contactName}},
+
+Warm greetings from {{companyName}}.
+
+Please find below the committed delivery schedule of your pending order(s):
+
+{{orderLines}}
+
+For any coordination required, please reply to this email.
+
+${signature('Regards,')}`,
+      orderLine: `• Item: {{jobName}}
+  Qty: {{orderQty}}
+  Job No: {{jobCardNo}}
+  Committed Delivery: {{deliveryDate}}`
+    }
+  }
+};
+
+function invalidTemplate(message) {
+  const err = new Error(message);
+  err.code = 'INVALID_TEMPLATE';
+  return err;
+}
+
+/** Placeholders a kind accepts: { message: [...], orderLine: [...] }. */
+export function placeholdersFor(kind) {
+  return { message: MESSAGE_PLACEHOLDERS, orderLine: KINDS[kind].linePlaceholders };
+}
+
+/** Replaces {{name}} with values[name]; missing values render as ''. */
+export function renderTemplate(text, values) {
+  return String(text).replace(PLACEHOLDER_PATTERN, (_, name) => (values[name] == null ? '' : String(values[name])));
+}
+
+/**
+ * Checks a template before it is saved: all four texts present, only known placeholders,
+ * and {{orderLines}} in the WhatsApp text and the email body. Throws INVALID_TEMPLATE.
+ */
+export function validateTemplate(kind, template) {
+  if (!KINDS[kind]) throw invalidTemplate(`Unknown template kind ${kind}`);
+  const allowed = placeholdersFor(kind);
+  for (const field of ['whatsapp', 'emailSubject', 'emailBody', 'orderLine']) {
+    const text = template[field];
+    if (typeof text !== 'string' || !text.trim()) throw invalidTemplate(`${field} is required`);
+    const names = field === 'orderLine' ? allowed.orderLine : allowed.message.filter((n) => field !== 'emailSubject' || n !== 'orderLines');
+    for (const [, name] of text.matchAll(PLACEHOLDER_PATTERN)) {
+      if (!names.includes(name)) {
+        throw invalidTemplate(`${field}: unknown placeholder {{${name}}} (allowed: ${names.join(', ')})`);
+      }
+    }
+  }
+  for (const field of ['whatsapp', 'emailBody']) {
+    if (!/\{\{\s*orderLines\s*\}\}/.test(template[field])) throw invalidTemplate(`${field} must contain {{orderLines}}`);
+  }
+}
+
+/**
+ * Texts for one client's orders.
+ * @param {{ kind: string, whatsapp: string, emailSubject: string, emailBody: string, orderLine: string }} template
+ * @param {Array<Object>} clientRows - result rows of one client
+ * @param {{ senderName: string, senderPhone?: string, readinessById?: Map, newDateById?: Map }} context
+ * @returns {{ clientName: string, contactName: string, whatsapp: string, emailSubject: string, emailBody: string }}
+ */
+export function renderIntimation(template, clientRows, context) {
+  const kind = KINDS[template.kind];
+  const first = clientRows[0] || {};
+  const clientName = first["Client Name"] || first["ClientName"] || "";
+  const contactName = String(first["Contact Person"] || first["ContactPerson"] || "").split(",")[0].trim() || clientName;
+  const orderLines = clientRows
+    .map((row) => renderTemplate(template.orderLine, kind.lineValues(row, context)))
+    .join("\n\n");
+  const values = {
+    clientName,
+    contactName,
+    senderName: context.senderName,
+    senderPhone: context.senderPhone || "",
+    companyName: COMPANY_NAME,
+    orderLines
+  };
+  return {
+    clientName,
+    contactName,
+    whatsapp: renderTemplate(template.whatsapp, values).trim(),
+    emailSubject: renderTemplate(template.emailSubject, values).trim(),
+    emailBody: renderTemplate(template.emailBody, values).trim()
+  };
+}
+
+export function builtInTemplate(kind) {
+  return { kind, language: DEFAULT_LANGUAGE, version: 0, builtIn: true, ...KINDS[kind].builtIn };
+}
+
+function assertStoreReady() {
+  assertMongoReady('TEMPLATE_STORE_UNAVAILABLE', 'Template store is unavailable');
+}
+
+export function toTemplateView(doc) {
+  return {
+    kind: doc.kind,
+    language: doc.language,
+    version: doc.version,
+    builtIn: doc.builtIn || undefined,
+    active: doc.builtIn ? undefined : doc.active,
+    whatsapp: doc.whatsapp,
+    emailSubject: doc.emailSubject,
+    emailBody: doc.emailBody,
+    orderLine: doc.orderLine,
+    note: doc.note,
+    createdBy: doc.createdBy,
+    createdAt: doc.createdAt,
+    activatedBy: doc.activatedBy,
+    activatedAt: doc.activatedAt
+  };
+}
+
+/**
+ * The template used for sending: the active stored version for the language, else the active
+ * English version, else the built-in English texts (also when MongoDB is unavailable).
+ */
+export async function getActiveTemplate(kind, language = DEFAULT_LANGUAGE) {
+  if (isStoreReady()) {
+    const languages = language === DEFAULT_LANGUAGE ? [language] : [language, DEFAULT_LANGUAGE];
+    for (const lang of languages) {
+      const doc = await MessageTemplate.findOne({ kind, language: lang, active: true }).lean();
+      if (doc) return doc;
+    }
+  }
+  return builtInTemplate(kind);
+}
+
+/** Active template per kind and language (what a send would use), for GET /comm/templates. */
+export async function listActiveTemplates() {
+  assertStoreReady();
+  const active = await MessageTemplate.find({ active: true }).lean();
+  const result = [];
+  for (const kind of TEMPLATE_KINDS) {
+    for (const language of Object.keys(TEMPLATE_LANGUAGES)) {
+      const own = active.find((t) => t.kind === kind && t.language === language);
+      const fallback = active.find((t) => t.kind === kind && t.language === DEFAULT_LANGUAGE) || builtInTemplate(kind);
+      result.push({ kind, language, usesFallback: !own, template: toTemplateView(own || fallback) });
+    }
+  }
+  return result;
+}
+
+export async function listTemplateVersions(kind, language) {
+  assertStoreReady();
+  const versions = await MessageTemplate.find({ kind, language }).sort({ version: -1 }).lean();
+  return versions.map(toTemplateView);
+}
+
+async function activate(kind, language, version, user) {
+  await MessageTemplate.updateMany({ kind, language, active: true, version: { $ne: version } }, { $set: { active: false } });
+  return MessageTemplate.findOneAndUpdate(
+    { kind, language, version },
+    { $set: { active: true, activatedAt: new Date(), activatedBy: user } },
+    { new: true }
+  ).lean();
+}
+
+/**
+ * Saves a new version (validated) and, unless activate is false, makes it the one used for sending.
+ * @returns {Promise<Object>} the saved version
+ */
+export async function saveTemplateVersion(kind, language, { whatsapp, emailSubject, emailBody, orderLine, note, activate: makeActive = true }, user) {
+  validateTemplate(kind, { whatsapp, emailSubject, emailBody, orderLine });
+  assertStoreReady();
+  for (let tries = 0; ; tries++) {
+    const latest = await MessageTemplate.findOne({ kind, language }).sort({ version: -1 }).lean();
+    try {
+      const doc = await MessageTemplate.create({
+        kind, language, version: (latest?.version || 0) + 1, whatsapp, emailSubject, emailBody, orderLine, note, createdBy: user
+      });
+      console.log(`[TEMPLATES] Saved ${kind}/${language} v${doc.version}`, { user, activate: makeActive });
+      return toTemplateView(makeActive ? await activate(kind, language, doc.version, user) : doc.toObject());
+    } catch (err) {
+      // Another save took the same version number
+      if (err?.code === 11000 && tries < 3) continue;
+      throw err;
+    }
+  }
+}
+
+/** Makes an existing version the active one (rollback). Returns null when the version does not exist. */
+export async function activateTemplateVersion(kind, language, version, user) {
+  assertStoreReady();
+  const exists = await MessageTemplate.exists({ kind, language, version });
+  if (!exists) return null;
+  const doc = await activate(kind, language, version, user);
+  console.log(`[TEMPLATES] Activated ${kind}/${language} v${version}`, { user });
+  return toTemplateView(doc);
+}
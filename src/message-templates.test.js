@@ -0,0 +1,39 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { renderTemplate, validateTemplate, renderIntimation, builtInTemplate } from './message-templates.js';
+
+test('placeholders are replaced; missing values render empty', () => {
+  assert.equal(renderTemplate('Dear {{ contactName }}, {{clientName}}{{senderPhone}}', { contactName: 'Ravi', clientName: 'ACME' }), 'Dear Ravi, ACME');
+});
+
+test('templates need {{orderLines}} and may only use the kind\'s placeholders', () => {
+  const template = builtInTemplate('material-readiness');
+  assert.doesNotThrow(() => validateTemplate('material-readiness', template));
+
+  assert.throws(() => validateTemplate('material-readiness', { ...template, whatsapp: 'Hello {{contactName}}' }),
+    { code: 'INVALID_TEMPLATE', message: /whatsapp must contain \{\{orderLines\}\}/ });
+  assert.throws(() => validateTemplate('material-readiness', { ...template, orderLine: '{{jobName}} {{deliveryDate}}' }),
+    { code: 'INVALID_TEMPLATE', message: /unknown placeholder \{\{deliveryDate\}\}/ });
+  assert.throws(() => validateTemplate('first-intimation', { ...template, emailSubject: ' ' }), { code: 'INVALID_TEMPLATE' });
+});
+
+test('built-in first intimation renders one line per order with the sender signature', () => {
+  const rows = [
+    { "Client Name": 'ACME', "Contact Person": 'Ravi, Sunil', "Job Name": 'Carton A', "Order Qty": 5000, "Job Card No": 'J-1', "Final Delivery Date": '2026-03-05' },
+    { "Client Name": 'ACME', "Contact Person": 'Ravi, Sunil', "Job Name": 'Carton B', "Order Qty": 200, "Final Delivery Date": null }
+  ];
+  const out = renderIntimation(builtInTemplate('first-intimation'), rows, { senderName: 'asha', senderPhone: '98300' });
+
+  assert.equal(out.emailSubject, 'Order Planned & Delivery Commitment | ACME');
+  assert.match(out.whatsapp, /^Dear Ravi,\n/);
+  assert.match(out.whatsapp, /• Item: Carton A\n {2}Qty: 5000\n {2}Job No: J-1\n {2}Committed Delivery: 05\/03\/2026\n\n• Item: Carton B/);
+  assert.match(out.emailBody, /Regards,\nasha\nCustomer Relationship Manager\n.+\n98300$/);
+});
+
+test('delivery date update reads job no/name by column position and uses the new date', () => {
+  const row = { OrderBookingDetailsID: 7, ClientLedgerID: 1, 'JobCard Num': 'J-9', 'Client Name': 'ACME', JobName: 'Label', 'Order Qty': 10 };
+  const out = renderIntimation(builtInTemplate('delivery-date-update'), [row], {
+    senderName: 'asha', newDateById: new Map([[7, '2026-04-01']])
+  });
+  assert.match(out.whatsapp, /• Item: Label\n {2}Qty: 10\n {2}Job No: J-9\n {2}Updated Committed Delivery: 01\/04\/2026/);
+});
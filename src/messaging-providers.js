@@ -0,0 +1,323 @@
+/**
+ * Messaging providers behind the intimation channels (see comm-channels.js).
+ * A provider is { description, isConfigured(creds), send({ creds, to, subject?, text }) }; send resolves
+ * with the provider's response (stored on the message attempt) and throws on failure, with
+ * err.response.status for HTTP errors so isTransientDeliveryError() can classify it.
+ * WhatsApp providers may add messageIdOf(response) (the provider's id of a sent message) and
+ * parseWebhook(body) for their inbound callbacks (see inbound-messages.js), returning events:
+ *   { type: 'message', providerMessageId, from, fromName, text, mediaType, replyTo, at }
+ *   { type: 'status', providerMessageId, status: 'sent'|'delivered'|'read'|'failed', error, at }
+ * - whatsapp: maytapi (the CRM user's ProductID/PhoneID/ApiKey from comm_get_user_credentials),
+ *   cloud-api (Meta WhatsApp Cloud API, one company number from WHATSAPP_CLOUD_* env), sandbox
+ * - email: smtp (the CRM user's SMTP settings), sandbox
+ * - sandbox never contacts anyone: the message goes to the console and logs/messaging-sandbox.log.
+ * The provider is chosen per environment with WHATSAPP_PROVIDER / EMAIL_PROVIDER, read at send time.
+ * Unset, it is maytapi / smtp when NODE_ENV=production and sandbox everywhere else, so a staging or
+ * local run never messages customers by accident.
+ * registerProvider() adds another implementation (e.g. an SMS gateway) without touching the callers.
+ */
+import crypto from 'crypto';
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+import { createChannelLogger } from './log-store.js';
+
+const PROVIDER_ENV = { whatsapp: 'WHATSAPP_PROVIDER', email: 'EMAIL_PROVIDER' };
+const PRODUCTION_PROVIDER = { whatsapp: 'maytapi', email: 'smtp' };
+const CLOUD_API_VERSION = process.env.WHATSAPP_CLOUD_API_VERSION || 'v20.0';
+
+const logSandbox = createChannelLogger('messaging-sandbox');
+
+const providers = { whatsapp: new Map(), email: new Map() };
+
+/**
+ * @param {'whatsapp'|'email'} channel
+ * @param {string} name - value of WHATSAPP_PROVIDER / EMAIL_PROVIDER selecting it
+ * @param {{ description: string, isConfigured: (creds: Object) => boolean,
+ *   send: (msg: { creds: Object, to: string, subject?: string, text: string }) => Promise<any> }} provider
+ */
+export function registerProvider(channel, name, provider) {
+  if (!providers[channel]) throw new Error(`Unknown messaging channel ${channel}`);
+  providers[channel].set(name, { name, channel, ...provider });
+}
+
+/** A provider by name (inbound webhooks name theirs in the URL), or null. */
+export function findProvider(channel, name) {
+  return providers[channel]?.get(String(name).toLowerCase()) || null;
+}
+
+export function providerNames(channel) {
+  return [...providers[channel].keys()];
+}
+
+function defaultProviderName(channel) {
+  return process.env.NODE_ENV === 'production' ? PRODUCTION_PROVIDER[channel] : 'sandbox';
+}
+
+/** The provider selected for the channel; throws UNKNOWN_PROVIDER when the env names none. */
+export function getProvider(channel) {
+  const name = (process.env[PROVIDER_ENV[channel]] || defaultProviderName(channel)).trim().toLowerCase();
+  const provider = providers[channel]?.get(name);
+  if (!provider) {
+    const err = new Error(`${PROVIDER_ENV[channel]}=${name} is not a known ${channel} provider (${providerNames(channel).join(', ')})`);
+    err.code = 'UNKNOWN_PROVIDER';
+    throw err;
+  }
+  return provider;
+}
+
+function unixTime(seconds) {
+  const n = Number(seconds);
+  return Number.isFinite(n) && n > 0 ? new Date(n < 1e12 ? n * 1000 : n) : new Date();
+}
+
+// "919830012345@c.us" -> "919830012345"
+function chatNumber(chatId) {
+  return String(chatId || '').split('@')[0];
+}
+
+function previewOf(text) {
+  return text ? text.substring(0, 50) + '...' : 'EMPTY';
+}
+
+/**
+ * Maytapi answers 200 with { success: false, message } when it refuses a message; that is thrown
+ * as an error with code MAYTAPI_REJECTED.
+ */
+async function sendWhatsAppMaytapi({ creds, to, text }) {
+  const { ProductID: productId, PhoneID: phoneId, ApiKey: apiKey } = creds;
+  const url = `https://api.maytapi.com/api/${productId}/${phoneId}/sendMessage`;
+  const payload = { to_number: to, type: "text", message: text };
+
+  console.log('[WHATSAPP] Sending message:', {
+    url,
+    toNumber: to,
+    productId,
+    phoneId,
+    apiKeyPreview: apiKey ? `${apiKey.substring(0, 8)}...` : 'MISSING',
+    textPreview: previewOf(text)
+  });
+
+  let response;
+  try {
+    response = await axios.post(url, payload, {
+      headers: {
+        "Content-Type": "application/json",
+        "x-maytapi-key": apiKey
+      },
+      timeout: 20000
+    });
+  } catch (err) {
+    console.error('[WHATSAPP] Request failed:', {
+      status: err.response?.status,
+      statusText: err.response?.statusText,
+      data: err.response?.data,
+      message: err.message
+    });
+    throw err;
+  }
+
+  console.log('[WHATSAPP] Response:', {
+    status: response.status,
+    statusText: response.statusText,
+    data: response.data
+  });
+
+  if (response.data && response.data.success === false) {
+    const err = new Error(response.data.message || 'Maytapi rejected the message');
+    err.code = 'MAYTAPI_REJECTED';
+    err.providerResponse = response.data;
+    throw err;
+  }
+  return response.data;
+}
+
+const MAYTAPI_ACK_STATUS = { sent: 'sent', delivered: 'delivered', read: 'read', played: 'read', failed: 'failed' };
+
+/** Maytapi webhook: type "message" (incoming, and our own with fromMe) or "ack" (receipts). */
+function parseMaytapiWebhook(body) {
+  if (body?.type === 'ack') {
+    return (Array.isArray(body.data) ? body.data : [])
+      .filter((ack) => ack?.msgId && MAYTAPI_ACK_STATUS[ack.ackType])
+      .map((ack) => ({
+        type: 'status',
+        providerMessageId: String(ack.msgId),
+        status: MAYTAPI_ACK_STATUS[ack.ackType],
+        at: unixTime(ack.time)
+      }));
+  }
+  if (body?.type === 'message' && body.message && !body.message.fromMe) {
+    const m = body.message;
+    return [{
+      type: 'message',
+      providerMessageId: m.id != null ? String(m.id) : undefined,
+      from: body.user?.phone || chatNumber(body.user?.id || body.conversation),
+      fromName: body.user?.name,
+      text: m.type === 'text' ? m.text : (m.caption || ''),
+      mediaType: m.type === 'text' ? undefined : m.type,
+      replyTo: m.quoted?.id ? String(m.quoted.id) : undefined,
+      at: unixTime(body.timestamp)
+    }];
+  }
+  return [];
+}
+
+/** Cloud API webhook: entry[].changes[].value with messages[] and statuses[]. */
+function parseCloudApiWebhook(body) {
+  const events = [];
+  for (const entry of body?.entry || []) {
+    for (const change of entry.changes || []) {
+      const value = change.value || {};
+      const names = new Map((value.contacts || []).map((c) => [c.wa_id, c.profile?.name]));
+      for (const m of value.messages || []) {
+        events.push({
+          type: 'message',
+          providerMessageId: m.id,
+          from: m.from,
+          fromName: names.get(m.from),
+          text: m.type === 'text' ? m.text?.body : (m[m.type]?.caption || m.button?.text || m.interactive?.button_reply?.title || ''),
+          mediaType: m.type === 'text' ? undefined : m.type,
+          replyTo: m.context?.id,
+          at: unixTime(m.timestamp)
+        });
+      }
+      for (const st of value.statuses || []) {
+        events.push({
+          type: 'status',
+          providerMessageId: st.id,
+          status: st.status,
+          error: st.errors?.[0] ? (st.errors[0].message || st.errors[0].title) : undefined,
+          at: unixTime(st.timestamp)
+        });
+      }
+    }
+  }
+  return events;
+}
+
+/**
+ * Sandbox webhook for local testing, one event per call:
+ * { "from": "9830012345", "text": "...", "replyTo"? } or { "messageId": "sandbox-...", "status": "read" }
+ */
+function parseSandboxWebhook(body) {
+  if (body?.status && body.messageId) {
+    return [{ type: 'status', providerMessageId: String(body.messageId), status: body.status, at: new Date() }];
+  }
+  if (body?.from) {
+    return [{
+      type: 'message',
+      providerMessageId: `sandbox-in-${crypto.randomUUID()}`,
+      from: String(body.from),
+      fromName: body.name,
+      text: body.text || '',
+      replyTo: body.replyTo,
+      at: new Date()
+    }];
+  }
+  return [];
+}
+
+/**
+ * Free-form text is only delivered inside the 24 hour window after the customer last wrote to the
+ * number; outside it Meta answers 400 (not retried).
+ */
+async function sendWhatsAppCloudApi({ to, text }) {
+  const phoneNumberId = process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID;
+  const url = `https://graph.facebook.com/${CLOUD_API_VERSION}/${phoneNumberId}/messages`;
+  console.log('[WHATSAPP] Sending message (Cloud API):', { phoneNumberId, toNumber: to, textPreview: previewOf(text) });
+  try {
+    const response = await axios.post(url, {
+      messaging_product: 'whatsapp',
+      to: String(to).replace(/^\+/, ''),
+      type: 'text',
+      text: { body: text }
+    }, {
+      headers: { Authorization: `Bearer ${process.env.WHATSAPP_CLOUD_TOKEN}` },
+      timeout: 20000
+    });
+    return response.data;
+  } catch (err) {
+    console.error('[WHATSAPP] Cloud API request failed:', {
+      status: err.response?.status,
+      error: err.response?.data?.error?.message,
+      message: err.message
+    });
+    throw err;
+  }
+}
+
+/**
+ * @returns {Promise<{ messageId: string, accepted: string[], rejected: string[], response: string }>}
+ */
+async function sendEmailSMTP({ creds, to, subject, text }) {
+  const port = Number(creds.SMTPServerPort);
+  const transporter = nodemailer.createTransport({
+    host: creds.SMTPServer,
+    port: port,
+    secure: port === 465,  // Only use secure for port 465
+    auth: creds.SMTPAuthenticate
+      ? { user: creds.SMTPUserName, pass: creds.SMTPUserPassword }
+      : undefined,
+    tls: {
+      rejectUnauthorized: false  // Allow self-signed certs
+    }
+  });
+
+  const fromEmail = creds.EmailID || creds.SMTPUserName;
+
+  const info = await transporter.sendMail({
+    from: fromEmail,
+    to,
+    subject,
+    text
+  });
+  return {
+    messageId: info.messageId,
+    accepted: info.accepted,
+    rejected: info.rejected,
+    response: info.response
+  };
+}
+
+function sandboxProvider(channel) {
+  return {
+    description: 'Writes messages to logs/messaging-sandbox.log instead of sending them',
+    isConfigured: () => true,
+    async send({ creds, to, subject, text }) {
+      const id = `sandbox-${crypto.randomUUID()}`;
+      const from = channel === 'email' ? (creds?.EmailID || creds?.SMTPUserName) : creds?.PhoneID;
+      console.log(`[SANDBOX] ${channel} to ${to} not sent (${id}):`, subject || previewOf(text));
+      logSandbox(`${channel} message`, { level: 'info', id, channel, from, to, subject, text });
+      return { sandbox: true, id, channel, to };
+    }
+  };
+}
+
+registerProvider('whatsapp', 'maytapi', {
+  description: 'Maytapi, with the CRM user\'s ProductID / PhoneID / ApiKey',
+  isConfigured: (creds) => Boolean(creds?.ProductID && creds?.ApiKey && creds?.PhoneID),
+  send: sendWhatsAppMaytapi,
+  messageIdOf: (response) => response?.data?.msgId,
+  parseWebhook: parseMaytapiWebhook
+});
+
+registerProvider('whatsapp', 'cloud-api', {
+  description: 'WhatsApp Cloud API, company number from WHATSAPP_CLOUD_PHONE_NUMBER_ID / WHATSAPP_CLOUD_TOKEN',
+  isConfigured: () => Boolean(process.env.WHATSAPP_CLOUD_PHONE_NUMBER_ID && process.env.WHATSAPP_CLOUD_TOKEN),
+  send: sendWhatsAppCloudApi,
+  messageIdOf: (response) => response?.messages?.[0]?.id,
+  parseWebhook: parseCloudApiWebhook
+});
+
+registerProvider('whatsapp', 'sandbox', {
+  ...sandboxProvider('whatsapp'),
+  messageIdOf: (response) => response?.id,
+  parseWebhook: parseSandboxWebhook
+});
+
+registerProvider('email', 'smtp', {
+  description: 'SMTP, with the CRM user\'s server settings',
+  isConfigured: (creds) => Boolean(creds?.SMTPServer && creds?.SMTPUserName && creds?.SMTPUserPassword),
+  send: sendEmailSMTP
+});
+
+registerProvider('email', 'sandbox', sandboxProvider('email'));
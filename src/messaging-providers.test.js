@@ -0,0 +1,48 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { getProvider, providerNames, registerProvider } from './messaging-providers.js';
+import { sendMessage, hasWhatsAppCredentials } from './comm-channels.js';
+
+function withEnv(name, value, fn) {
+  const previous = process.env[name];
+  if (value == null) delete process.env[name];
+  else process.env[name] = value;
+  return Promise.resolve().then(fn).finally(() => {
+    if (previous == null) delete process.env[name];
+    else process.env[name] = previous;
+  });
+}
+
+test('providers are selected per environment, the sandbox unless in production', async () => {
+  await withEnv('WHATSAPP_PROVIDER', null, () => withEnv('NODE_ENV', null, () => {
+    assert.equal(getProvider('whatsapp').name, 'sandbox');
+    assert.equal(getProvider('email').name, 'sandbox');
+  }));
+  await withEnv('WHATSAPP_PROVIDER', null, () => withEnv('NODE_ENV', 'production', () => {
+    assert.equal(getProvider('whatsapp').name, 'maytapi');
+    assert.equal(getProvider('email').name, 'smtp');
+  }));
+  await withEnv('WHATSAPP_PROVIDER', ' Maytapi ', () => assert.equal(getProvider('whatsapp').name, 'maytapi'));
+  await withEnv('EMAIL_PROVIDER', 'carrier-pigeon', () => assert.throws(() => getProvider('email'), { code: 'UNKNOWN_PROVIDER' }));
+  assert.deepEqual(providerNames('whatsapp'), ['maytapi', 'cloud-api', 'sandbox']);
+});
+
+test('sendMessage refuses a provider that is not configured for the user', async () => {
+  await withEnv('WHATSAPP_PROVIDER', 'maytapi', async () => {
+    assert.equal(hasWhatsAppCredentials({ ProductID: 'p', PhoneID: '1' }), false);
+    await assert.rejects(sendMessage('whatsapp', { creds: { ProductID: 'p' }, to: '+919800000000', text: 'hi' }), { code: 'NO_CREDENTIALS' });
+  });
+});
+
+test('registered providers receive the message', async () => {
+  const sent = [];
+  registerProvider('whatsapp', 'test-gateway', {
+    description: 'test',
+    isConfigured: () => true,
+    send: async (msg) => { sent.push(msg); return { id: 'g-1' }; }
+  });
+  await withEnv('WHATSAPP_PROVIDER', 'test-gateway', async () => {
+    assert.deepEqual(await sendMessage('whatsapp', { creds: {}, to: '+919800000000', text: 'hi' }), { id: 'g-1' });
+  });
+  assert.equal(sent[0].to, '+919800000000');
+});
@@ -0,0 +1,220 @@
+/**
+ * In-process metrics exposed in Prometheus text format on GET /metrics.
+ * - cdc_http_request_duration_seconds{method,route,status}: latency per Express route
+ *   (route is the matched path pattern, e.g. /api/processes/pending/:machineId)
+ * - cdc_http_request_errors_total{method,route,status}: responses with status >= 500
+ * - cdc_sql_duration_seconds{database,procedure}: time per stored procedure; ad-hoc
+ *   request.query() calls are grouped as procedure="(query)"
+ * - cdc_sql_errors_total{database,procedure}
+ * Set METRICS_TOKEN to require `Authorization: Bearer <token>` on /metrics; the same token unlocks
+ * the detailed GET /health/deep (see db.js).
+ */
+import crypto from 'crypto';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 180];
+
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(names, values, extra = '') {
+  const parts = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function formatNumber(n) {
+  if (n === Infinity) return '+Inf';
+  return Number.isInteger(n) ? String(n) : String(Number(n.toPrecision(12)));
+}
+
+export function createRegistry() {
+  const metrics = [];
+
+  function histogram(name, help, labelNames, buckets = DEFAULT_BUCKETS) {
+    const series = new Map();   // label values joined -> { values, counts, sum, count }
+    const metric = {
+      observe(labelValues, seconds) {
+        const key = JSON.stringify(labelValues);
+        let s = series.get(key);
+        if (!s) {
+          s = { values: labelValues, counts: new Array(buckets.length).fill(0), sum: 0, count: 0 };
+          series.set(key, s);
+        }
+        for (let i = 0; i < buckets.length; i++) {
+          if (seconds <= buckets[i]) s.counts[i]++;
+        }
+        s.sum += seconds;
+        s.count++;
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+        for (const s of series.values()) {
+          buckets.forEach((le, i) => {
+            lines.push(`${name}_bucket${formatLabels(labelNames, s.values, `le="${formatNumber(le)}"`)} ${s.counts[i]}`);
+          });
+          lines.push(`${name}_bucket${formatLabels(labelNames, s.values, 'le="+Inf"')} ${s.count}`);
+          lines.push(`${name}_sum${formatLabels(labelNames, s.values)} ${formatNumber(s.sum)}`);
+          lines.push(`${name}_count${formatLabels(labelNames, s.values)} ${s.count}`);
+        }
+        return lines.join('\n');
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function counter(name, help, labelNames) {
+    const series = new Map();
+    const metric = {
+      inc(labelValues, by = 1) {
+        const key = JSON.stringify(labelValues);
+        const s = series.get(key) || { values: labelValues, value: 0 };
+        s.value += by;
+        series.set(key, s);
+      },
+      render() {
+        const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+        for (const s of series.values()) {
+          lines.push(`${name}${formatLabels(labelNames, s.values)} ${formatNumber(s.value)}`);
+        }
+        return lines.join('\n');
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function gauge(name, help, read) {
+    const metric = {
+      render() {
+        return [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`, `${name} ${formatNumber(read())}`].join('\n');
+      }
+    };
+    metrics.push(metric);
+    return metric;
+  }
+
+  function render() {
+    return metrics.map(m => m.render()).join('\n') + '\n';
+  }
+
+  return { histogram, counter, gauge, render };
+}
+
+const registry = createRegistry();
+
+const httpDuration = registry.histogram(
+  'cdc_http_request_duration_seconds', 'HTTP request latency by route', ['method', 'route', 'status']
+);
+const httpErrors = registry.counter(
+  'cdc_http_request_errors_total', 'HTTP responses with status 500 or above', ['method', 'route', 'status']
+);
+const sqlDuration = registry.histogram(
+  'cdc_sql_duration_seconds', 'MSSQL stored procedure and query latency', ['database', 'procedure']
+);
+const sqlErrors = registry.counter(
+  'cdc_sql_errors_total', 'MSSQL stored procedure and query failures', ['database', 'procedure']
+);
+registry.gauge('cdc_process_uptime_seconds', 'Seconds since the server process started', () => process.uptime());
+registry.gauge('cdc_process_resident_memory_bytes', 'Resident memory size', () => process.memoryUsage().rss);
+
+/**
+ * Route pattern for labels; the raw URL would create one series per id.
+ */
+export function routeLabel(req) {
+  if (req.route?.path) {
+    const routePath = typeof req.route.path === 'string' ? req.route.path : String(req.route.path);
+    return `${req.baseUrl || ''}${routePath}`;
+  }
+  return 'unmatched';
+}
+
+/**
+ * Middleware: times every request and records it when the response finishes.
+ */
+export function httpMetrics(req, res, next) {
+  const start = process.hrtime.bigint();
+  res.on('finish', () => {
+    const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+    const labels = [req.method, routeLabel(req), String(res.statusCode)];
+    httpDuration.observe(labels, seconds);
+    if (res.statusCode >= 500) httpErrors.inc(labels);
+  });
+  next();
+}
+
+function databaseLabel(request) {
+  // Requests run on a pool, or on a transaction whose parent is the pool
+  const owner = request.parent;
+  return owner?.databaseKey || owner?.parent?.databaseKey || owner?.config?.database || 'unknown';
+}
+
+function timed(request, procedure, run) {
+  const start = process.hrtime.bigint();
+  const labels = [databaseLabel(request), procedure];
+  const done = (failed) => {
+    sqlDuration.observe(labels, Number(process.hrtime.bigint() - start) / 1e9);
+    if (failed) sqlErrors.inc(labels);
+  };
+  let result;
+  try {
+    result = run();
+  } catch (err) {
+    done(true);
+    throw err;
+  }
+  if (result && typeof result.then === 'function') {
+    result.then(() => done(false), () => done(true));
+  }
+  return result;
+}
+
+let mssqlInstrumented = false;
+
+/**
+ * Wraps mssql Request#execute and #query (promise form) to time every call.
+ * @param {import('mssql')} sql
+ */
+export function instrumentMssql(sql) {
+  if (mssqlInstrumented) return;
+  mssqlInstrumented = true;
+  const proto = sql.Request.prototype;
+  const originalExecute = proto.execute;
+  const originalQuery = proto.query;
+
+  proto.execute = function (procedure, callback) {
+    if (typeof callback === 'function') return originalExecute.call(this, procedure, callback);
+    return timed(this, String(procedure).replace(/^dbo\./i, ''), () => originalExecute.call(this, procedure));
+  };
+  proto.query = function (command, ...rest) {
+    // Tagged-template and callback forms are passed through untimed
+    if (typeof command !== 'string' || typeof rest[rest.length - 1] === 'function') {
+      return originalQuery.call(this, command, ...rest);
+    }
+    return timed(this, '(query)', () => originalQuery.call(this, command, ...rest));
+  };
+}
+
+function tokenMatches(given, expected) {
+  const a = Buffer.from(String(given));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/** Whether the request sends METRICS_TOKEN as its bearer token; false while the token is unset. */
+export function hasMetricsToken(req) {
+  const token = process.env.METRICS_TOKEN;
+  const match = (req.get('Authorization') || '').match(/^Bearer\s+(.+)$/i);
+  return Boolean(token && match && tokenMatches(match[1].trim(), token));
+}
+
+/**
+ * GET /metrics handler.
+ */
+export function metricsHandler(req, res) {
+  if (process.env.METRICS_TOKEN && !hasMetricsToken(req)) {
+    return res.status(401).type('text/plain').send('Unauthorized\n');
+  }
+  return res.type('text/plain; version=0.0.4').send(registry.render());
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createRegistry, routeLabel, hasMetricsToken } from './metrics.js';
+
+test('renders cumulative histogram buckets and counters', () => {
+  const registry = createRegistry();
+  const h = registry.histogram('t_duration_seconds', 'test latency', ['procedure'], [0.1, 1]);
+  const c = registry.counter('t_errors_total', 'test errors', ['procedure']);
+  h.observe(['GetPendingProcesses_ForMachineAndContent'], 0.05);
+  h.observe(['GetPendingProcesses_ForMachineAndContent'], 0.5);
+  h.observe(['GetPendingProcesses_ForMachineAndContent'], 3);
+  c.inc(['Say "hi"']);
+
+  const text = registry.render();
+  assert.match(text, /# TYPE t_duration_seconds histogram/);
+  assert.match(text, /t_duration_seconds_bucket\{procedure="GetPendingProcesses_ForMachineAndContent",le="0.1"\} 1/);
+  assert.match(text, /t_duration_seconds_bucket\{procedure="GetPendingProcesses_ForMachineAndContent",le="1"\} 2/);
+  assert.match(text, /t_duration_seconds_bucket\{procedure="GetPendingProcesses_ForMachineAndContent",le="\+Inf"\} 3/);
+  assert.match(text, /t_duration_seconds_sum\{procedure="GetPendingProcesses_ForMachineAndContent"\} 3.55/);
+  assert.match(text, /t_errors_total\{procedure="Say \\"hi\\""\} 1/);
+});
+
+test('labels requests by route pattern, not raw URL', () => {
+  assert.equal(routeLabel({ baseUrl: '/api', route: { path: '/processes/pending/:machineId' } }), '/api/processes/pending/:machineId');
+  assert.equal(routeLabel({ baseUrl: '' }), 'unmatched');
+});
+
+test('METRICS_TOKEN is checked as a bearer token', () => {
+  const request = (authorization) => ({ get: (name) => (name === 'Authorization' ? authorization : undefined) });
+  const previous = process.env.METRICS_TOKEN;
+  try {
+    delete process.env.METRICS_TOKEN;
+    assert.equal(hasMetricsToken(request('Bearer anything')), false);
+    process.env.METRICS_TOKEN = 's3cret';
+    assert.equal(hasMetricsToken(request('Bearer s3cret')), true);
+    assert.equal(hasMetricsToken(request('bearer  s3cret ')), true);
+    assert.equal(hasMetricsToken(request('Bearer s3cre')), false);
+    assert.equal(hasMetricsToken(request(undefined)), false);
+  } finally {
+    if (previous == null) delete process.env.METRICS_TOKEN;
+    else process.env.METRICS_TOKEN = previous;
+  }
+});
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+// AuditEvents collection (append-only)
+// One document per write against an ERP database (KOL/AHM), recorded by audit-trail.js.
+//  - action: what was done, e.g. 'production.reverse', 'schedule.change-machine'
+//  - entity / entityKeys: the MSSQL row(s) touched, e.g. 'ProductionEntry' { ProductionID: 123 }
+//  - oldValues / newValues: values before and after the write (oldValues is null when
+//    the route cannot read them cheaply, captureError says why when the read failed)
+//  - outcome: 'success', 'failure' (database error) or 'no-change' (nothing was updated)
+// Updates and deletes are rejected by the middleware below.
+
+const actorSchema = new mongoose.Schema({
+  role: { type: String },
+  sub: { type: String },
+  name: { type: String },
+  erpUserId: { type: Number },   // UserID sent in the request body (ERP user), when present
+}, { _id: false });
+
+const auditEventSchema = new mongoose.Schema({
+  action: {
+    type: String,
+    required: true,
+  },
+  database: {
+    type: String,
+    required: true,
+  },
+  entity: {
+    type: String,
+    required: true,
+  },
+  entityKeys: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  oldValues: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  newValues: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  outcome: {
+    type: String,
+    enum: ['success', 'failure', 'no-change'],
+    required: true,
+  },
+  error: {
+    type: String,
+  },
+  captureError: {
+    type: String,
+  },
+  actor: {
+    type: actorSchema,
+    default: () => ({}),
+  },
+  method: {
+    type: String,
+  },
+  route: {
+    type: String,
+  },
+  ip: {
+    type: String,
+  },
+  userAgent: {
+    type: String,
+  },
+  at: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  collection: 'AuditEvents',
+  versionKey: false,
+});
+
+auditEventSchema.index({ at: -1 });
+auditEventSchema.index({ entity: 1, at: -1 });
+auditEventSchema.index({ database: 1, at: -1 });
+auditEventSchema.index({ 'actor.sub': 1, at: -1 });
+auditEventSchema.index({ 'actor.erpUserId': 1, at: -1 });
+
+function rejectChange(next) {
+  next(new Error('AuditEvents is append-only'));
+}
+
+auditEventSchema.pre([
+  'updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+  'deleteOne', 'deleteMany', 'findOneAndDelete',
+], rejectChange);
+
+auditEventSchema.pre('save', function (next) {
+  if (!this.isNew) return rejectChange(next);
+  return next();
+});
+
+export default mongoose.model('AuditEvent', auditEventSchema);
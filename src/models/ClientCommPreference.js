@@ -0,0 +1,39 @@
+import mongoose from 'mongoose';
+
+// ClientCommPreferences collection
+// How the intimation scheduler treats one client (ERP ClientLedgerID).
+//  - mode: auto (send at once) | approval (queue for a CRM user) | off (never send automatically)
+//  - kinds: per-kind override of mode, e.g. { "delivery-followup": "off" }
+//  - language: template language for the client's messages (en | bn | hi)
+// Manual sends from the CRM screen are not affected.
+
+const clientCommPreferenceSchema = new mongoose.Schema({
+  clientLedgerId: {
+    type: Number,
+    required: true,
+    unique: true,
+  },
+  clientName: {
+    type: String,
+  },
+  mode: {
+    type: String,
+    enum: ['auto', 'approval', 'off'],
+    required: true,
+  },
+  kinds: {
+    type: Map,
+    of: { type: String, enum: ['auto', 'approval', 'off'] },
+  },
+  language: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+}, {
+  collection: 'ClientCommPreferences',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+export default mongoose.model('ClientCommPreference', clientCommPreferenceSchema);
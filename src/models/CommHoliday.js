@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+// CommHolidays collection
+// Days the intimation scheduler sends nothing (in addition to the non-working weekdays).
+//  - date: YYYY-MM-DD in the plant's time zone
+
+const commHolidaySchema = new mongoose.Schema({
+  date: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+  },
+  createdBy: {
+    type: String,
+  },
+}, {
+  collection: 'CommHolidays',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+export default mongoose.model('CommHoliday', commHolidaySchema);
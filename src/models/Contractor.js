@@ -21,11 +21,31 @@ const contractorSchema = new mongoose.Schema({
     type: Date,
     default: Date.now,
   },
+  // bcrypt hash (legacy records may still hold plaintext until the next login)
   password: {
     type: String,
     trim: true,
     default: '',
   },
+  failedLoginCount: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  // Set by an admin password reset; the app should ask for a new password
+  mustChangePassword: {
+    type: Boolean,
+    default: false,
+  },
   isdeleted: {
     type: Number,
     default: 0,
@@ -33,6 +53,15 @@ const contractorSchema = new mongoose.Schema({
   },
 }, {
   collection: 'Contractor',
+  toJSON: {
+    // Never send password hashes or lockout counters to clients
+    transform(doc, ret) {
+      delete ret.password;
+      delete ret.failedLoginCount;
+      delete ret.lockedUntil;
+      return ret;
+    },
+  },
 });
 
 export default mongoose.model('Contractor', contractorSchema);
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// CrmUsers collection
+// CRM users of the WhatsApp / email intimation tool (POST /whatsapp/login), managed under /admin/crm-users.
+//  - usernameKey: lower-cased username for lookups; username keeps the spelling shown in the tool
+//  - erpUsername: name passed to comm_get_user_credentials for the WhatsApp/SMTP credentials (default username)
+//  - plants: plant keys the user may log in to; defaultPlant when the login names none
+//  - senderPhone / signature: {{senderPhone}} / {{senderName}} in the message templates
+//  - clientLedgerIds: the user's client portfolio; allClients: sees every client (supervisors)
+//  - password: bcrypt hash (password-hash.cjs); users without one (the seeded users) cannot log in
+
+const crmUserSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  usernameKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  displayName: {
+    type: String,
+  },
+  erpUsername: {
+    type: String,
+  },
+  plants: {
+    type: [String],
+    default: ['KOL'],
+  },
+  defaultPlant: {
+    type: String,
+  },
+  senderPhone: {
+    type: String,
+  },
+  signature: {
+    type: String,
+  },
+  clientLedgerIds: {
+    type: [Number],
+    default: [],
+  },
+  allClients: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  password: {
+    type: String,
+  },
+  failedLoginCount: {
+    type: Number,
+    default: 0,
+  },
+  lockedUntil: {
+    type: Date,
+    default: null,
+  },
+  lastLoginAt: {
+    type: Date,
+  },
+  passwordChangedAt: {
+    type: Date,
+  },
+  createdBy: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+}, {
+  collection: 'CrmUsers',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+export default mongoose.model('CrmUser', crmUserSchema);
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// DowntimeEvents collection
+// Why a machine stood idle: opened and closed by the operator per MachineID (downtime.js).
+//  - open: true until the event is closed; a machine has at most one open event per plant
+//  - reasonLabel / planned: copied from DowntimeReasons when the event is opened or its reason changed
+//  - operator*: the operator named by the floor app; openedBy / closedBy: the logged-in user
+//  - durationMinutes: set when the event is closed
+
+const downtimeEventSchema = new mongoose.Schema({
+  eventId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  database: {
+    type: String,
+    required: true,
+  },
+  machineId: {
+    type: Number,
+    required: true,
+  },
+  reasonCode: {
+    type: String,
+    required: true,
+  },
+  reasonLabel: {
+    type: String,
+  },
+  planned: {
+    type: Boolean,
+    default: false,
+  },
+  open: {
+    type: Boolean,
+    default: true,
+  },
+  startedAt: {
+    type: Date,
+    required: true,
+  },
+  endedAt: {
+    type: Date,
+  },
+  durationMinutes: {
+    type: Number,
+  },
+  operatorUserId: {
+    type: Number,
+  },
+  operatorEmployeeId: {
+    type: Number,
+  },
+  operatorName: {
+    type: String,
+  },
+  notes: {
+    type: String,
+  },
+  closeNotes: {
+    type: String,
+  },
+  openedBy: {
+    type: String,
+  },
+  closedBy: {
+    type: String,
+  },
+}, {
+  collection: 'DowntimeEvents',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+downtimeEventSchema.index(
+  { database: 1, machineId: 1 },
+  { unique: true, partialFilterExpression: { open: true } }
+);
+downtimeEventSchema.index({ database: 1, startedAt: -1 });
+
+export default mongoose.model('DowntimeEvent', downtimeEventSchema);
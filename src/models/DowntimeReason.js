@@ -0,0 +1,42 @@
+import mongoose from 'mongoose';
+
+// DowntimeReasons collection
+// Reason master of machine downtime events (downtime.js), managed under /admin/downtime/reasons.
+//  - code: kebab-case key operators send, e.g. no-material; label: text shown on the floor screens
+//  - planned: planned stops (e.g. scheduled maintenance) are left out of the availability loss in OEE
+//  - active: inactive reasons stay on old events but cannot be used for new ones
+
+const downtimeReasonSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  label: {
+    type: String,
+    required: true,
+  },
+  planned: {
+    type: Boolean,
+    default: false,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  sortOrder: {
+    type: Number,
+    default: 0,
+  },
+  createdBy: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+}, {
+  collection: 'DowntimeReasons',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+export default mongoose.model('DowntimeReason', downtimeReasonSchema);
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+// InboundMessages collection
+// WhatsApp messages customers send to the CRM numbers, received by the provider webhook
+// (see inbound-messages.js) and matched to the intimation they answer.
+//  - inboundId: public id, also the /comm/inbound page cursor
+//  - provider + providerMessageId: the provider's id; repeated webhook deliveries are stored once
+//  - from: sender as E.164 (normalizeINPhone)
+//  - outboundMessageId: the OutboundMessage replied to; matchedBy: 'reply' (quoted message) or
+//    'phone' (latest intimation sent to the number); unset when nothing matched
+//  - orderBookingDetailsIds / clientLedgerId / kind: copied from the matched message
+//  - raw: the webhook event as received
+
+const inboundMessageSchema = new mongoose.Schema({
+  inboundId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  provider: {
+    type: String,
+    required: true,
+  },
+  providerMessageId: {
+    type: String,
+  },
+  from: {
+    type: String,
+    required: true,
+  },
+  fromName: {
+    type: String,
+  },
+  text: {
+    type: String,
+  },
+  mediaType: {
+    type: String,
+  },
+  replyTo: {
+    type: String,
+  },
+  receivedAt: {
+    type: Date,
+    required: true,
+  },
+  outboundMessageId: {
+    type: String,
+  },
+  matchedBy: {
+    type: String,
+    enum: ['reply', 'phone'],
+  },
+  kind: {
+    type: String,
+  },
+  clientLedgerId: {
+    type: Number,
+  },
+  clientName: {
+    type: String,
+  },
+  orderBookingDetailsIds: {
+    type: [Number],
+    index: true,
+  },
+  raw: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, {
+  collection: 'InboundMessages',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+inboundMessageSchema.index(
+  { provider: 1, providerMessageId: 1 },
+  { unique: true, partialFilterExpression: { providerMessageId: { $type: 'string' } } }
+);
+inboundMessageSchema.index({ from: 1, receivedAt: -1 });
+
+export default mongoose.model('InboundMessage', inboundMessageSchema);
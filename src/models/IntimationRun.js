@@ -0,0 +1,79 @@
+import mongoose from 'mongoose';
+
+// IntimationRuns collection
+// History of intimation scheduler runs (one document per sweep, see intimation-scheduler.js).
+//  - trigger: schedule (cron) | manual (POST /comm/schedules/:scheduleId/run); dryRun: nothing queued
+//  - counts.orders: pending orders found; counts.skipped: orders left out, with the reasons in skipped
+//  - counts.messages: messages built (queued, or only counted on a dry run)
+//  - counts.sent / failed / retrying / awaitingApproval: messages, after the first delivery attempt
+//  - batchId: the OutboundMessages batch the run created
+
+const intimationRunSchema = new mongoose.Schema({
+  runId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scheduleId: {
+    type: String,
+    required: true,
+  },
+  scheduleName: {
+    type: String,
+  },
+  kind: {
+    type: String,
+    required: true,
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    required: true,
+  },
+  triggeredBy: {
+    type: String,
+  },
+  dryRun: {
+    type: Boolean,
+    default: false,
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running',
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  counts: {
+    orders: { type: Number, default: 0 },
+    clients: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 },
+    messages: { type: Number, default: 0 },
+    sent: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    retrying: { type: Number, default: 0 },
+    awaitingApproval: { type: Number, default: 0 },
+  },
+  // orders left out per reason, e.g. { "already-queued": 3, "client-off": 1 }
+  skipped: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  batchId: {
+    type: String,
+  },
+  error: {
+    type: String,
+  },
+}, {
+  collection: 'IntimationRuns',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+intimationRunSchema.index({ scheduleId: 1, startedAt: -1 });
+
+export default mongoose.model('IntimationRun', intimationRunSchema);
@@ -0,0 +1,89 @@
+import mongoose from 'mongoose';
+
+// IntimationSchedules collection
+// Automatic intimation sweeps run by intimation-scheduler.js.
+//  - kind: first-intimation | delivery-followup | material-readiness
+//  - cron: five-field cron expression in the plant's time zone (see cron.js)
+//  - sendAs: CRM user whose name, phone and credentials the messages go out with
+//  - lookbackDays: window passed to the pending-orders procedure (today - lookbackDays .. today)
+//  - repeatAfterDays: delivery-followup only; an order is reminded again after this many days
+//  - defaultMode: auto | approval | off for clients without their own preference (ClientCommPreference)
+//  - nextRunAt / lockedBy / lockedUntil: the worker's due time and lease (see ProcessJob)
+
+const intimationScheduleSchema = new mongoose.Schema({
+  scheduleId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  name: {
+    type: String,
+    required: true,
+  },
+  kind: {
+    type: String,
+    required: true,
+    enum: ['first-intimation', 'delivery-followup', 'material-readiness'],
+  },
+  database: {
+    type: String,
+    default: 'KOL',
+  },
+  cron: {
+    type: String,
+    required: true,
+  },
+  enabled: {
+    type: Boolean,
+    default: true,
+  },
+  sendAs: {
+    type: String,
+    required: true,
+  },
+  language: {
+    type: String,
+    default: 'en',
+  },
+  lookbackDays: {
+    type: Number,
+    default: 14,
+  },
+  repeatAfterDays: {
+    type: Number,
+    default: 7,
+  },
+  defaultMode: {
+    type: String,
+    enum: ['auto', 'approval', 'off'],
+    default: 'approval',
+  },
+  createdBy: {
+    type: String,
+  },
+  updatedBy: {
+    type: String,
+  },
+  nextRunAt: {
+    type: Date,
+  },
+  lastRunAt: {
+    type: Date,
+  },
+  lastRunId: {
+    type: String,
+  },
+  lockedBy: {
+    type: String,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+}, {
+  collection: 'IntimationSchedules',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+intimationScheduleSchema.index({ enabled: 1, nextRunAt: 1 });
+
+export default mongoose.model('IntimationSchedule', intimationScheduleSchema);
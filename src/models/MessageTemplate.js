@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+// MessageTemplates collection
+// Versions of the customer intimation texts edited by the CRM (see message-templates.js).
+// Saving a template adds a new version; old versions are kept so a change can be rolled back.
+//  - kind: first-intimation | material-readiness | delivery-date-update
+//  - language: en | bn | hi
+//  - version: 1, 2, ... per kind + language
+//  - whatsapp / emailSubject / emailBody: texts with {{placeholders}}
+//  - orderLine: format of one order in {{orderLines}}
+//  - active: the version used for sending (at most one per kind + language)
+
+const messageTemplateSchema = new mongoose.Schema({
+  kind: {
+    type: String,
+    required: true,
+  },
+  language: {
+    type: String,
+    required: true,
+  },
+  version: {
+    type: Number,
+    required: true,
+  },
+  whatsapp: {
+    type: String,
+    required: true,
+  },
+  emailSubject: {
+    type: String,
+    required: true,
+  },
+  emailBody: {
+    type: String,
+    required: true,
+  },
+  orderLine: {
+    type: String,
+    required: true,
+  },
+  note: {
+    type: String,
+  },
+  active: {
+    type: Boolean,
+    default: false,
+  },
+  createdBy: {
+    type: String,
+  },
+  activatedAt: {
+    type: Date,
+  },
+  activatedBy: {
+    type: String,
+  },
+}, {
+  collection: 'MessageTemplates',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+messageTemplateSchema.index({ kind: 1, language: 1, version: 1 }, { unique: true });
+messageTemplateSchema.index({ kind: 1, language: 1, active: 1 });
+
+export default mongoose.model('MessageTemplate', messageTemplateSchema);
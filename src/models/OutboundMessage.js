@@ -0,0 +1,193 @@
+import mongoose from 'mongoose';
+
+// OutboundMessages collection
+// One document per customer intimation delivery (one WhatsApp number or one email), written
+// before it is sent and updated by the delivery worker in outbound-messages.js.
+//  - messageId: public id used by /comm/messages/:messageId
+//  - kind: first-intimation | material-readiness | delivery-date-update | delivery-followup
+//  - batchId: one per send request; groupId: one per client within the batch (ERP sent flags
+//    are set per group)
+//  - recipient: E.164 phone number (whatsapp) or comma-separated addresses (email)
+//  - body / subject: the text exactly as rendered for the client
+//  - context: kind-specific data needed to mark the orders as sent in the ERP
+//  - attempts: one entry per delivery attempt, with the provider's response
+//  - resendOf: messageId this one re-sends
+//  - template: language and version of the message template used (see MessageTemplate)
+//  - runId: intimation scheduler run that created the message (see IntimationRun)
+//  - status awaiting-approval: created by the scheduler for a client whose messages need a CRM
+//    user's approval; approval makes it pending, rejection ends it as rejected
+
+const attemptSubSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  outcome: {
+    type: String,
+    enum: ['running', 'sent', 'retry', 'failed'],
+    default: 'running',
+  },
+  error: {
+    type: String,
+  },
+  errorCode: {
+    type: String,
+  },
+  // messaging provider that handled the attempt (maytapi, cloud-api, smtp, sandbox, ...)
+  provider: {
+    type: String,
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+}, { _id: false });
+
+const outboundMessageSchema = new mongoose.Schema({
+  messageId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  batchId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  groupId: {
+    type: String,
+    required: true,
+    index: true,
+  },
+  kind: {
+    type: String,
+    required: true,
+  },
+  channel: {
+    type: String,
+    required: true,
+    enum: ['whatsapp', 'email'],
+  },
+  database: {
+    type: String,
+    required: true,
+  },
+  sentBy: {
+    type: String,
+    required: true,
+  },
+  recipient: {
+    type: String,
+    required: true,
+  },
+  subject: {
+    type: String,
+  },
+  body: {
+    type: String,
+    required: true,
+  },
+  clientLedgerId: {
+    type: Number,
+  },
+  clientName: {
+    type: String,
+  },
+  orderBookingDetailsIds: {
+    type: [Number],
+    index: true,
+  },
+  context: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  resendOf: {
+    type: String,
+  },
+  runId: {
+    type: String,
+    index: true,
+  },
+  approval: {
+    decision: { type: String, enum: ['approved', 'rejected'] },
+    by: { type: String },
+    at: { type: Date },
+    reason: { type: String },
+  },
+  // Template the text was rendered from (version 0 = built-in texts)
+  template: {
+    language: { type: String },
+    version: { type: Number },
+  },
+  status: {
+    type: String,
+    enum: ['awaiting-approval', 'pending', 'processing', 'sent', 'failed', 'rejected'],
+    default: 'pending',
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  attempts: [attemptSubSchema],
+  // Earliest time the worker may pick the message up (pushed forward on retry backoff)
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Lease held by the worker delivering the message (see ProcessJob)
+  lockedBy: {
+    type: String,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  providerResponse: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  lastError: {
+    type: String,
+  },
+  sentAt: {
+    type: Date,
+  },
+  // Provider's id of the delivered message; WhatsApp receipts and quoted replies refer to it
+  providerMessageId: {
+    type: String,
+  },
+  // Receipts from the provider webhook (see inbound-messages.js)
+  deliveredAt: {
+    type: Date,
+  },
+  readAt: {
+    type: Date,
+  },
+  receiptError: {
+    type: String,
+  },
+  // ERP sent flags already set for this message's group when it was delivered
+  erpMarked: {
+    sentEmail: { type: Boolean },
+    sentWhatsapp: { type: Boolean },
+    at: { type: Date },
+    error: { type: String },
+  },
+}, {
+  collection: 'OutboundMessages',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+outboundMessageSchema.index({ status: 1, nextRunAt: 1 });
+outboundMessageSchema.index({ clientLedgerId: 1, createdAt: -1 });
+outboundMessageSchema.index({ providerMessageId: 1 }, { sparse: true });
+outboundMessageSchema.index({ recipient: 1, sentAt: -1 });
+
+export default mongoose.model('OutboundMessage', outboundMessageSchema);
@@ -0,0 +1,126 @@
+import mongoose from 'mongoose';
+
+// ProcessJobs collection
+// Durable queue behind /processes/start-async, /complete-async and /cancel-async.
+//  - jobId (public id returned to the app and polled via /jobs/:jobId/status)
+//  - type: start | complete | cancel
+//  - database: KOL | AHM
+//  - requestData: normalized stored procedure parameters
+//  - idempotencyKey: optional client key; one job per key
+//  - auditContext: actor, route and IP of the queueing request, for the audit record of the outcome
+//  - attempts: one entry per execution attempt (history shown on status polls)
+
+const attemptSubSchema = new mongoose.Schema({
+  attempt: {
+    type: Number,
+    required: true,
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: {
+    type: Date,
+  },
+  outcome: {
+    type: String,
+    enum: ['running', 'succeeded', 'retry', 'failed', 'reconciled'],
+    default: 'running',
+  },
+  error: {
+    type: String,
+  },
+  errorCode: {
+    type: String,
+  },
+}, { _id: false });
+
+const processJobSchema = new mongoose.Schema({
+  jobId: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['start', 'complete', 'cancel'],
+  },
+  database: {
+    type: String,
+    required: true,
+  },
+  requestData: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  idempotencyKey: {
+    type: String,
+    trim: true,
+  },
+  auditContext: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'completed', 'failed'],
+    default: 'pending',
+    index: true,
+  },
+  attemptCount: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+  },
+  attempts: [attemptSubSchema],
+  // Earliest time the worker may pick the job up (pushed forward on retry backoff)
+  nextRunAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // Lease held by the worker that claimed the job; an expired lease means the
+  // process died mid-attempt and the job can be reclaimed.
+  lockedBy: {
+    type: String,
+  },
+  lockedUntil: {
+    type: Date,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  productionId: {
+    type: Number,
+  },
+  statusWarning: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  startedAt: {
+    type: Date,
+  },
+  completedAt: {
+    type: Date,
+  },
+  // Set once the job finishes; MongoDB TTL removes the document afterwards.
+  expiresAt: {
+    type: Date,
+  },
+}, {
+  collection: 'ProcessJobs',
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' },
+});
+
+// Keys are scoped per plant and job type. Partial rather than sparse: a sparse compound index would
+// still index (and clash on) jobs without a key, as database and type are always set.
+processJobSchema.index({ database: 1, type: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } });
+processJobSchema.index({ status: 1, nextRunAt: 1 });
+processJobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('ProcessJob', processJobSchema);
@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// ProcessSyncEvents collection
+// One document per offline shop-floor event replayed through /processes/sync.
+//  - clientEventId: id generated on the device; unique per database so a re-sent batch
+//    never runs the same start/complete/cancel twice
+//  - clientTimestamp: when the operator performed the action on the device
+//  - productionId: ProductionID created (start) or acted on (complete/cancel)
+
+const processSyncEventSchema = new mongoose.Schema({
+  database: {
+    type: String,
+    required: true,
+  },
+  clientEventId: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  deviceId: {
+    type: String,
+    trim: true,
+  },
+  type: {
+    type: String,
+    required: true,
+    enum: ['start', 'complete', 'cancel'],
+  },
+  clientTimestamp: {
+    type: Date,
+  },
+  requestData: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  status: {
+    type: String,
+    enum: ['applied', 'rejected', 'failed'],
+    required: true,
+  },
+  productionId: {
+    type: Number,
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  statusWarning: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  error: {
+    type: String,
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  collection: 'ProcessSyncEvents',
+  timestamps: true,
+});
+
+processSyncEventSchema.index({ database: 1, clientEventId: 1 }, { unique: true });
+
+export default mongoose.model('ProcessSyncEvent', processSyncEventSchema);
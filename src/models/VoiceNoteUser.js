@@ -9,17 +9,45 @@ const voiceNoteUserSchema = new mongoose.Schema({
     trim: true,
     lowercase: true
   },
+  // bcrypt hash (legacy records may still hold plaintext until the next login)
   password: {
     type: String,
     required: true
-    // Storing as plain text as per user requirement
+  },
+  failedLoginCount: {
+    type: Number,
+    default: 0
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  passwordChangedAt: {
+    type: Date
+  },
+  // Set by an admin password reset; the app should ask for a new password
+  mustChangePassword: {
+    type: Boolean,
+    default: false
   },
   createdAt: {
     type: Date,
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: {
+    // Never send password hashes or lockout counters to clients
+    transform(doc, ret) {
+      delete ret.password;
+      delete ret.failedLoginCount;
+      delete ret.lockedUntil;
+      return ret;
+    }
+  }
 });
 
 // Create model using the voice notes connection
@@ -0,0 +1,79 @@
+/**
+ * Helpers shared by the MongoDB stores (downtime, inbound/outbound messages, intimation scheduler,
+ * CRM users, message templates). Each store keeps its own error codes and messages.
+ * - isStoreReady() / assertStoreReady(code, message): the default mongoose connection is open.
+ * - generateId(prefix): public id of a stored document, e.g. msg_1760850000000_3f9a1c2b.
+ * - findPage(Model, query, options): newest-first page continuing after a `before` cursor.
+ * - createSeeder(seed) / insertSeed(Model, docs): seed a collection once per process; a duplicate key
+ *   from another instance seeding at the same time is ignored.
+ */
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+
+export const MAX_PAGE_SIZE = 500;
+export const DEFAULT_PAGE_SIZE = 100;
+
+export function storeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+export function generateId(prefix) {
+  return `${prefix}_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`;
+}
+
+export function isStoreReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+export function assertStoreReady(code, message) {
+  if (!isStoreReady()) throw storeError(code, message);
+}
+
+/** Requested page size, 1..MAX_PAGE_SIZE (DEFAULT_PAGE_SIZE when missing or invalid). */
+export function pageSize(limit) {
+  return Math.min(MAX_PAGE_SIZE, Math.max(1, parseInt(limit, 10) || DEFAULT_PAGE_SIZE));
+}
+
+/**
+ * Newest-first page of Model documents matching query. The cursor is the idField of the last
+ * document of the previous page; an unknown cursor throws INVALID_FILTER.
+ * @param {{ idField: string, before?: string, limit?: number, projection?: Object }} options
+ * @returns {Promise<{ docs: Object[], nextCursor: string|null }>} lean documents
+ */
+export async function findPage(Model, query, { idField, before, limit, projection }) {
+  const filter = { ...query };
+  if (before) {
+    const cursor = await Model.findOne({ [idField]: String(before) }, { _id: 1 }).lean();
+    if (!cursor) throw storeError('INVALID_FILTER', 'Invalid before cursor');
+    filter._id = { $lt: cursor._id };
+  }
+  const size = pageSize(limit);
+  const docs = await Model.find(filter, projection).sort({ _id: -1 }).limit(size + 1).lean();
+  const hasMore = docs.length > size;
+  const page = hasMore ? docs.slice(0, size) : docs;
+  return { docs: page, nextCursor: hasMore ? page[page.length - 1][idField] : null };
+}
+
+/**
+ * Wraps seed() so it runs once per process: later calls share the first call's promise.
+ * A failed seed is tried again on the next call.
+ */
+export function createSeeder(seed) {
+  let seeding = null;
+  return () => {
+    seeding ||= seed().catch(err => {
+      seeding = null;
+      throw err;
+    });
+    return seeding;
+  };
+}
+
+/** Inserts the seed documents, ignoring the ones another instance inserted at the same time. */
+export async function insertSeed(Model, docs) {
+  await Model.insertMany(docs, { ordered: false }).catch(err => {
+    if (err?.code !== 11000) throw err;
+  });
+}
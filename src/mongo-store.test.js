@@ -0,0 +1,61 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pageSize, findPage, createSeeder, insertSeed, generateId, MAX_PAGE_SIZE, DEFAULT_PAGE_SIZE } from './mongo-store.js';
+
+// Lean query chain over docs with numeric _ids; records the last find filter
+function fakeModel(docs) {
+  const model = {
+    findOne: (filter) => ({ lean: async () => docs.find(d => d.eventId === filter.eventId) || null }),
+    find: (filter) => {
+      model.lastFilter = filter;
+      let rows = docs.filter(d => !filter._id || d._id < filter._id.$lt);
+      const chain = {
+        sort: () => { rows = [...rows].sort((a, b) => b._id - a._id); return chain; },
+        limit: (n) => { rows = rows.slice(0, n); return chain; },
+        lean: async () => rows
+      };
+      return chain;
+    }
+  };
+  return model;
+}
+
+test('page sizes are clamped', () => {
+  assert.equal(pageSize(undefined), DEFAULT_PAGE_SIZE);
+  assert.equal(pageSize('abc'), DEFAULT_PAGE_SIZE);
+  assert.equal(pageSize(-3), 1);
+  assert.equal(pageSize('25'), 25);
+  assert.equal(pageSize(10000), MAX_PAGE_SIZE);
+  assert.match(generateId('dt'), /^dt_\d+_[0-9a-f]{8}$/);
+});
+
+test('pages run newest first and continue after the before cursor', async () => {
+  const Model = fakeModel([1, 2, 3, 4, 5].map(n => ({ _id: n, eventId: `dt_${n}`, database: 'KOL' })));
+  const first = await findPage(Model, { database: 'KOL' }, { idField: 'eventId', limit: 2 });
+  assert.deepEqual(first.docs.map(d => d.eventId), ['dt_5', 'dt_4']);
+  assert.equal(first.nextCursor, 'dt_4');
+
+  const last = await findPage(Model, { database: 'KOL' }, { idField: 'eventId', before: 'dt_2', limit: 2 });
+  assert.deepEqual(last.docs.map(d => d.eventId), ['dt_1']);
+  assert.equal(last.nextCursor, null);
+  assert.deepEqual(Model.lastFilter, { database: 'KOL', _id: { $lt: 2 } });
+
+  await assert.rejects(findPage(Model, {}, { idField: 'eventId', before: 'dt_9' }),
+    { code: 'INVALID_FILTER', message: 'Invalid before cursor' });
+});
+
+test('seeding runs once, retries after a failure and ignores duplicate keys', async () => {
+  let calls = 0;
+  const seed = createSeeder(async () => {
+    calls += 1;
+    if (calls === 1) throw new Error('connection reset');
+  });
+  await assert.rejects(seed(), /connection reset/);
+  await Promise.all([seed(), seed()]);
+  await seed();
+  assert.equal(calls, 2);
+
+  const duplicate = Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+  await insertSeed({ insertMany: async () => { throw duplicate; } }, [{}]);
+  await assert.rejects(insertSeed({ insertMany: async () => { throw new Error('timeout'); } }, [{}]), /timeout/);
+});
@@ -0,0 +1,450 @@
+/**
+ * OEE (overall equipment effectiveness) per machine, shift, day and process from the ERP production records.
+ * - Planned time: the plant's shifts (PLANT_SHIFTS, see downtime.js) minus planned downtime events
+ *   (e.g. maintenance). Unplanned downtime is reported as a loss but stays in planned time.
+ * - Availability = run time / planned time. Run time is the union of the machine's ProductionEntry
+ *   FromTime-ToTime intervals; an entry still running counts up to now.
+ * - Performance = ideal time / run time of entries on machines with a rated speed, where ideal time is
+ *   (ProductionQuantity + WastageQuantity) / MachineSpeedUPM (units per minute, GetMachineFloorScreenData).
+ *   Machines without a speed have no performance (and so no OEE).
+ * - Quality = good / total, good being ProductionQuantity less the QC rejections recorded through
+ *   SaveProcessInspection (numeric results of parameters named like "reject"). Rejections of a job and
+ *   process are shared between its production entries in the window by quantity.
+ * - OEE = availability x performance x quality.
+ * Production outside every shift has planned time equal to its run time. Entries are cut at the window
+ * and at shift boundaries; quantities are shared between the pieces by time.
+ */
+import { getPool, sql } from './db.js';
+import { zonedParts, zonedTime } from './cron.js';
+import { configuredShifts, shiftSegments, reportWindow, loadDowntimeWindow } from './downtime.js';
+import { normalizeMachineFloorRow } from './machine-floor-feed.js';
+
+export const OEE_GROUPS = ['machine', 'shift', 'date', 'process'];
+export const TREND_INTERVALS = ['day', 'week', 'shift'];
+
+const MAX_WINDOW_DAYS = 92;
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * MINUTE_MS;
+
+const PRODUCTION_QUERY = `
+SELECT
+    PE.ProductionID,
+    PE.MachineID,
+    MM.MachineName,
+    PE.ProcessID,
+    PM.ProcessName,
+    PE.JobBookingID,
+    PE.FromTime,
+    PE.ToTime,
+    ISNULL(PE.ProductionQuantity, 0) AS ProductionQuantity,
+    ISNULL(PE.WastageQuantity, 0) AS WastageQuantity
+FROM dbo.ProductionEntry PE
+LEFT JOIN dbo.MachineMaster MM
+    ON MM.MachineID = PE.MachineID
+LEFT JOIN dbo.ProcessMaster PM
+    ON PM.ProcessID = PE.ProcessID
+WHERE
+    PE.FromTime < @To
+    AND (PE.ToTime IS NULL OR PE.ToTime > @From)
+`;
+
+// Rejected quantity per job and process from the QC inspections saved in the window
+const REJECTION_QUERY = `
+SELECT
+    m.JobBookingID,
+    m.ProcessID,
+    SUM(TRY_CAST(d.Result AS DECIMAL(18,4))) AS RejectedQty
+FROM dbo.ProductionEntryProcessInspectionMain m
+JOIN dbo.ProductionEntryProcessInspectionDetail d
+    ON d.TransactionID = m.TransactionID
+    AND ISNULL(d.IsDeletedTransaction, 0) = 0
+WHERE
+    ISNULL(m.IsDeletedTransaction, 0) = 0
+    AND d.ParameterName LIKE N'%reject%'
+    AND m.CreatedDate >= @From
+    AND m.CreatedDate < @To
+GROUP BY
+    m.JobBookingID,
+    m.ProcessID
+`;
+
+function oeeError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const round4 = (n) => Math.round(n * 10000) / 10000;
+const ratio = (a, b) => (b > 0 ? round4(a / b) : null);
+
+// ERP datetimes are plant wall-clock digits, which the driver reads and writes as UTC
+function toErpTime(date, timeZone) {
+  const p = zonedParts(date, timeZone);
+  return new Date(Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute) + (date.getTime() % MINUTE_MS));
+}
+
+function fromErpTime(value, timeZone) {
+  if (value == null) return null;
+  const wall = new Date(value);
+  const instant = zonedTime({
+    year: wall.getUTCFullYear(), month: wall.getUTCMonth() + 1, day: wall.getUTCDate(),
+    hour: wall.getUTCHours(), minute: wall.getUTCMinutes()
+  }, timeZone);
+  return new Date(instant.getTime() + (wall.getTime() % MINUTE_MS));
+}
+
+function mergeIntervals(intervals) {
+  const merged = [];
+  for (const [start, end] of [...intervals].sort((a, b) => a[0] - b[0])) {
+    const last = merged[merged.length - 1];
+    if (last && start <= last[1]) last[1] = Math.max(last[1], end);
+    else merged.push([start, end]);
+  }
+  return merged;
+}
+
+const slotKey = (date, shift) => `${date}|${shift ?? ''}`;
+
+/**
+ * Shares each job/process rejection between the window's production entries of that job and process
+ * by quantity (equally when none has a quantity).
+ * @returns {{ rejectedByProduction: Map<number, number>, unattributed: number }}
+ */
+export function attributeRejections(productions, rejections) {
+  const byJobProcess = new Map();
+  for (const p of productions) {
+    const key = `${p.jobBookingId}|${p.processId}`;
+    if (!byJobProcess.has(key)) byJobProcess.set(key, []);
+    byJobProcess.get(key).push(p);
+  }
+  const rejectedByProduction = new Map();
+  let unattributed = 0;
+  for (const r of rejections) {
+    const quantity = Number(r.quantity) || 0;
+    if (quantity <= 0) continue;
+    const entries = byJobProcess.get(`${r.jobBookingId}|${r.processId}`);
+    if (!entries) {
+      unattributed += quantity;
+      continue;
+    }
+    const total = entries.reduce((sum, p) => sum + p.quantity, 0);
+    for (const p of entries) {
+      const share = total > 0 ? p.quantity / total : 1 / entries.length;
+      rejectedByProduction.set(p.productionId, (rejectedByProduction.get(p.productionId) || 0) + quantity * share);
+    }
+  }
+  return { rejectedByProduction, unattributed };
+}
+
+/**
+ * Splits the window into machine x shift slots (and the processes run in them) with their minutes and
+ * quantities. summarizeOee and trendOee turn these into ratios.
+ * @param {{ productions: Object[], downtime: Object[], rejections: Object[], speeds: Object, shifts: Object[],
+ *   timeZone: string, from: Date, to: Date, now?: Date, machineIds?: number[] }} input - productions:
+ *   { productionId, machineId, machineName, processId, processName, jobBookingId, start, end (null while
+ *   running), quantity, wastage }; rejections: { jobBookingId, processId, quantity }; speeds: MachineID ->
+ *   units per minute (null when unknown); machineIds: machines to report even without production or downtime
+ * @returns {{ entries: Object[], unattributedRejections: number }}
+ */
+export function buildOeeEntries({ productions, downtime, rejections, speeds, shifts, timeZone, from, to, now = new Date(), machineIds }) {
+  const windowStart = from.getTime();
+  const windowEnd = Math.min(to.getTime(), now.getTime());
+  const { rejectedByProduction, unattributed } = attributeRejections(productions, rejections);
+  const machines = new Map();
+  const machineOf = (machineId) => {
+    if (!machines.has(machineId)) machines.set(machineId, { machineId, machineName: null, slots: new Map(), runs: [] });
+    return machines.get(machineId);
+  };
+  const slotOf = (machine, date, shift) => {
+    const key = slotKey(date, shift);
+    if (!machine.slots.has(key)) {
+      machine.slots.set(key, {
+        date, shift, shiftMinutes: 0, plannedDowntime: 0, unplannedDowntime: 0, run: 0, processes: new Map()
+      });
+    }
+    return machine.slots.get(key);
+  };
+  const clip = (start, end) => [Math.max(windowStart, start), Math.min(windowEnd, end)];
+
+  for (const machineId of machineIds || []) machineOf(machineId);
+  const calendar = windowEnd > windowStart
+    ? shiftSegments(new Date(windowStart), new Date(windowEnd), shifts, timeZone).filter(s => s.shift != null)
+    : [];
+
+  for (const p of productions) {
+    const machine = machineOf(p.machineId);
+    machine.machineName ||= p.machineName || null;
+    const start = new Date(p.start).getTime();
+    const end = p.end ? new Date(p.end).getTime() : now.getTime();
+    const [clipStart, clipEnd] = clip(start, end);
+    if (clipEnd < clipStart || (clipEnd === clipStart && (start < windowStart || start >= windowEnd))) continue;
+    // An entry booked with the same from and to time still carries its quantities
+    const pieces = clipEnd > clipStart
+      ? shiftSegments(new Date(clipStart), new Date(clipEnd), shifts, timeZone)
+      : shiftSegments(new Date(clipStart), new Date(clipStart + 1), shifts, timeZone).map(s => ({ ...s, minutes: 0 }));
+    const duration = (end - start) / MINUTE_MS;
+    const speed = Number(speeds?.[p.machineId]) > 0 ? Number(speeds[p.machineId]) : null;
+    const rejected = rejectedByProduction.get(p.productionId) || 0;
+    if (clipEnd > clipStart) machine.runs.push([clipStart, clipEnd]);
+    for (const piece of pieces) {
+      const share = duration > 0 ? piece.minutes / duration : 1 / pieces.length;
+      const slot = slotOf(machine, piece.date, piece.shift);
+      const processKey = p.processId ?? null;
+      if (!slot.processes.has(processKey)) {
+        slot.processes.set(processKey, {
+          processId: processKey, processName: p.processName || null, ownRun: 0, total: 0, good: 0, rejected: 0,
+          wastage: 0, ideal: 0, ratedRun: 0
+        });
+      }
+      const proc = slot.processes.get(processKey);
+      const total = (p.quantity + p.wastage) * share;
+      proc.ownRun += piece.minutes;
+      proc.total += total;
+      proc.good += Math.max(0, p.quantity - rejected) * share;
+      proc.rejected += Math.min(rejected, p.quantity) * share;
+      proc.wastage += p.wastage * share;
+      if (speed) {
+        proc.ideal += total / speed;
+        proc.ratedRun += piece.minutes;
+      }
+    }
+  }
+
+  for (const event of downtime) {
+    if (machineIds?.length && !machineIds.includes(event.machineId)) continue;
+    const machine = machineOf(event.machineId);
+    const [start, end] = clip(new Date(event.startedAt).getTime(), event.endedAt ? new Date(event.endedAt).getTime() : now.getTime());
+    if (end <= start) continue;
+    for (const piece of shiftSegments(new Date(start), new Date(end), shifts, timeZone)) {
+      // Downtime outside every shift takes no planned time
+      if (piece.shift == null) continue;
+      const slot = slotOf(machine, piece.date, piece.shift);
+      if (event.planned) slot.plannedDowntime += piece.minutes;
+      else slot.unplannedDowntime += piece.minutes;
+    }
+  }
+
+  const entries = [];
+  for (const machine of machines.values()) {
+    for (const segment of calendar) slotOf(machine, segment.date, segment.shift).shiftMinutes += segment.minutes;
+    for (const [start, end] of mergeIntervals(machine.runs)) {
+      for (const piece of shiftSegments(new Date(start), new Date(end), shifts, timeZone)) {
+        slotOf(machine, piece.date, piece.shift).run += piece.minutes;
+      }
+    }
+    for (const slot of machine.slots.values()) {
+      const planned = slot.shift == null ? slot.run : Math.max(0, slot.shiftMinutes - slot.plannedDowntime);
+      const processes = slot.processes.size ? [...slot.processes.values()] : [{ processId: null, processName: null, ownRun: 0 }];
+      const ownRun = processes.reduce((sum, p) => sum + p.ownRun, 0);
+      for (const proc of processes) {
+        const share = ownRun > 0 ? proc.ownRun / ownRun : 1 / processes.length;
+        entries.push({
+          machineId: machine.machineId,
+          machineName: machine.machineName,
+          date: slot.date,
+          shift: slot.shift,
+          processId: proc.processId,
+          processName: proc.processName,
+          plannedMinutes: planned * share,
+          runMinutes: slot.run * share,
+          plannedDowntimeMinutes: slot.plannedDowntime * share,
+          unplannedDowntimeMinutes: slot.unplannedDowntime * share,
+          totalQty: proc.total || 0,
+          goodQty: proc.good || 0,
+          rejectedQty: proc.rejected || 0,
+          wastageQty: proc.wastage || 0,
+          idealMinutes: proc.ideal || 0,
+          ratedRunMinutes: proc.ratedRun || 0
+        });
+      }
+    }
+  }
+  return { entries, unattributedRejections: round1(unattributed) };
+}
+
+function emptyTotals() {
+  return {
+    plannedMinutes: 0, runMinutes: 0, plannedDowntimeMinutes: 0, unplannedDowntimeMinutes: 0,
+    totalQty: 0, goodQty: 0, rejectedQty: 0, wastageQty: 0, idealMinutes: 0, ratedRunMinutes: 0
+  };
+}
+
+function addTotals(sum, entry) {
+  for (const field of Object.keys(sum)) sum[field] += entry[field];
+  return sum;
+}
+
+function withMetrics(sum) {
+  const availability = ratio(sum.runMinutes, sum.plannedMinutes);
+  const performance = ratio(sum.idealMinutes, sum.ratedRunMinutes);
+  const quality = ratio(sum.goodQty, sum.totalQty);
+  const oee = availability == null || performance == null || quality == null
+    ? null
+    : round4(availability * performance * quality);
+  const rounded = Object.fromEntries(Object.entries(sum).map(([field, value]) => [field, round1(value)]));
+  return { ...rounded, availability, performance, quality, oee };
+}
+
+function compareKeys(a, b) {
+  for (const field of Object.keys(a)) {
+    if (a[field] === b[field]) continue;
+    if (a[field] == null) return 1;
+    if (b[field] == null) return -1;
+    return String(a[field]).localeCompare(String(b[field]), undefined, { numeric: true });
+  }
+  return 0;
+}
+
+function aggregate(entries, keyOf) {
+  const groups = new Map();
+  const totals = emptyTotals();
+  for (const entry of entries) {
+    const key = keyOf(entry);
+    const id = JSON.stringify(key);
+    if (!groups.has(id)) groups.set(id, { key, sum: emptyTotals() });
+    addTotals(groups.get(id).sum, entry);
+    addTotals(totals, entry);
+  }
+  const rows = [...groups.values()]
+    .sort((a, b) => compareKeys(a.key, b.key))
+    .map(({ key, sum }) => ({ ...key, ...withMetrics(sum) }));
+  return { rows, totals: withMetrics(totals) };
+}
+
+/**
+ * OEE per group of machine / shift / date / process (in that column order), with overall totals.
+ * @param {Object[]} entries - from buildOeeEntries
+ * @param {string[]} groupBy - OEE_GROUPS
+ */
+export function summarizeOee(entries, groupBy) {
+  return aggregate(entries, (e) => {
+    const key = {};
+    if (groupBy.includes('date')) key.date = e.date;
+    if (groupBy.includes('shift')) key.shift = e.shift;
+    if (groupBy.includes('machine')) Object.assign(key, { machineId: e.machineId, machineName: e.machineName });
+    if (groupBy.includes('process')) Object.assign(key, { processId: e.processId, processName: e.processName });
+    return key;
+  });
+}
+
+// Monday of the week of a YYYY-MM-DD date
+function weekStart(date) {
+  const day = new Date(`${date}T00:00:00Z`);
+  return new Date(day.getTime() - ((day.getUTCDay() + 6) % 7) * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * OEE per day, week (starting Monday) or shift, oldest first.
+ * @param {Object[]} entries - from buildOeeEntries
+ * @param {string} interval - TREND_INTERVALS
+ */
+export function trendOee(entries, interval) {
+  return aggregate(entries, (e) => {
+    if (interval === 'week') return { week: weekStart(e.date) };
+    if (interval === 'shift') return { date: e.date, shift: e.shift };
+    return { date: e.date };
+  });
+}
+
+async function fetchMachineSpeeds(database, machineIds) {
+  const pool = await getPool(database);
+  const speeds = {};
+  // One machine at a time, like the floor feed refresh
+  for (const machineId of machineIds) {
+    try {
+      const result = await pool.request().input('MachineID', sql.Int, machineId).execute('GetMachineFloorScreenData');
+      const raw = result.recordset?.[0];
+      const speed = raw ? Number(normalizeMachineFloorRow(raw, machineId).MachineSpeedUPM) : NaN;
+      speeds[machineId] = speed > 0 ? speed : null;
+    } catch (err) {
+      console.warn(`[OEE] Speed lookup failed for ${database}:${machineId}:`, err.message);
+      speeds[machineId] = null;
+    }
+  }
+  return speeds;
+}
+
+/**
+ * Loads the production, QC rejections, downtime and machine speeds of [from, to] (YYYY-MM-DD, plant time
+ * zone) and builds the OEE entries. A downtime store that is down leaves downtime out (downtimeAvailable: false).
+ * Throws INVALID_FILTER.
+ */
+async function loadOee({ database, from, to, machineIds, processId, now = new Date() }) {
+  const { start, end, timeZone } = reportWindow(database, from, to);
+  if (end - start > MAX_WINDOW_DAYS * DAY_MS) {
+    throw oeeError('INVALID_FILTER', `The window is limited to ${MAX_WINDOW_DAYS} days`);
+  }
+  const shifts = configuredShifts();
+  const queryEnd = new Date(Math.min(end.getTime(), now.getTime()));
+  const pool = await getPool(database);
+  const [productionResult, rejectionResult] = await Promise.all([
+    pool.request()
+      .input('From', sql.DateTime, toErpTime(start, timeZone))
+      .input('To', sql.DateTime, toErpTime(queryEnd, timeZone))
+      .query(PRODUCTION_QUERY),
+    pool.request()
+      .input('From', sql.DateTime, toErpTime(start, timeZone))
+      .input('To', sql.DateTime, toErpTime(queryEnd, timeZone))
+      .query(REJECTION_QUERY)
+  ]);
+  const productions = (productionResult.recordset || [])
+    .filter(r => r.MachineID != null && (!machineIds?.length || machineIds.includes(r.MachineID)))
+    .map(r => ({
+      productionId: r.ProductionID,
+      machineId: r.MachineID,
+      machineName: r.MachineName || null,
+      processId: r.ProcessID ?? null,
+      processName: r.ProcessName || null,
+      jobBookingId: r.JobBookingID ?? null,
+      start: fromErpTime(r.FromTime, timeZone),
+      end: fromErpTime(r.ToTime, timeZone),
+      quantity: Number(r.ProductionQuantity) || 0,
+      wastage: Number(r.WastageQuantity) || 0
+    }));
+  const rejections = (rejectionResult.recordset || []).map(r => ({
+    jobBookingId: r.JobBookingID ?? null, processId: r.ProcessID ?? null, quantity: Number(r.RejectedQty) || 0
+  }));
+
+  let downtime = [];
+  let downtimeAvailable = true;
+  try {
+    downtime = (await loadDowntimeWindow({ database, from, to, machineIds })).events;
+  } catch (err) {
+    if (err.code !== 'DOWNTIME_STORE_UNAVAILABLE') throw err;
+    downtimeAvailable = false;
+  }
+
+  const reported = new Set([...(machineIds || []), ...productions.map(p => p.machineId), ...downtime.map(e => e.machineId)]);
+  const speeds = await fetchMachineSpeeds(database, [...reported]);
+  const { entries, unattributedRejections } = buildOeeEntries({
+    productions, downtime, rejections, speeds, shifts, timeZone, from: start, to: end, now, machineIds
+  });
+  return {
+    entries: processId != null ? entries.filter(e => e.processId === processId) : entries,
+    timeZone,
+    downtimeAvailable,
+    unattributedRejections,
+    machinesWithoutSpeed: [...reported].filter(id => speeds[id] == null).sort((a, b) => a - b)
+  };
+}
+
+/**
+ * OEE report for GET /oee/report and the Google Sheet variant.
+ * @param {{ database: string, from: string, to: string, groupBy: string[], machineIds?: number[], processId?: number }} options
+ */
+export async function oeeReport({ groupBy, ...options }) {
+  const { entries, ...context } = await loadOee(options);
+  const { rows, totals } = summarizeOee(entries, groupBy);
+  return { from: options.from, to: options.to, groupBy, ...context, totals, rows };
+}
+
+/**
+ * OEE trend for GET /oee/trend.
+ * @param {{ database: string, from: string, to: string, interval: string, machineIds?: number[], processId?: number }} options
+ */
+export async function oeeTrend({ interval, ...options }) {
+  const { entries, ...context } = await loadOee(options);
+  const { rows, totals } = trendOee(entries, interval);
+  return { from: options.from, to: options.to, interval, ...context, totals, rows };
+}
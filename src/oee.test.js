@@ -0,0 +1,99 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildOeeEntries, summarizeOee, trendOee, attributeRejections } from './oee.js';
+import { parseShifts } from './downtime.js';
+
+const TZ = 'Asia/Kolkata';
+const shifts = parseShifts('A=06:00-14:00,B=14:00-22:00,C=22:00-06:00');
+// IST wall clock -> Date
+const ist = (text) => new Date(`${text}+05:30`);
+const round4 = (n) => Math.round(n * 10000) / 10000;
+
+const production = (fields) => ({
+  machineName: 'Heidelberg CD 102', processId: 7, processName: 'Printing', jobBookingId: 501, wastage: 0, ...fields
+});
+
+// Monday 19 October, shift A only (06:00-14:00)
+const window = { shifts, timeZone: TZ, from: ist('2026-10-19T06:00:00'), to: ist('2026-10-19T14:00:00'), now: ist('2026-10-20T00:00:00') };
+
+test('availability, performance and quality of a shift', () => {
+  const { entries } = buildOeeEntries({
+    ...window,
+    productions: [
+      production({ productionId: 1, machineId: 12, start: ist('2026-10-19T06:30:00'), end: ist('2026-10-19T10:30:00'), quantity: 9000, wastage: 600 }),
+      production({ productionId: 2, machineId: 12, start: ist('2026-10-19T11:00:00'), end: ist('2026-10-19T13:00:00'), quantity: 4400, wastage: 400 })
+    ],
+    downtime: [
+      { machineId: 12, planned: true, startedAt: ist('2026-10-19T10:30:00'), endedAt: ist('2026-10-19T11:00:00') },
+      { machineId: 12, planned: false, startedAt: ist('2026-10-19T13:00:00'), endedAt: ist('2026-10-19T14:00:00') }
+    ],
+    rejections: [{ jobBookingId: 501, processId: 7, quantity: 400 }],
+    speeds: { 12: 50 }
+  });
+  const { rows, totals } = summarizeOee(entries, ['machine', 'shift']);
+  assert.equal(rows.length, 1);
+  assert.deepEqual(
+    [totals.plannedMinutes, totals.runMinutes, totals.plannedDowntimeMinutes, totals.unplannedDowntimeMinutes],
+    [450, 360, 30, 60]
+  );
+  // 360 of 450 planned minutes; 14400 units at 50/min ideally take 288 minutes; 13000 of 14400 are good
+  assert.equal(totals.availability, 0.8);
+  assert.equal(totals.performance, 0.8);
+  assert.equal(totals.quality, 0.9028);
+  assert.equal(totals.oee, round4(0.8 * 0.8 * 0.9028));
+  assert.equal(totals.rejectedQty, 400);
+});
+
+test('rejections are shared by quantity; unknown jobs are reported apart', () => {
+  const productions = [
+    production({ productionId: 1, machineId: 12, quantity: 3000 }),
+    production({ productionId: 2, machineId: 15, quantity: 1000 })
+  ];
+  const { rejectedByProduction, unattributed } = attributeRejections(productions, [
+    { jobBookingId: 501, processId: 7, quantity: 200 },
+    { jobBookingId: 999, processId: 7, quantity: 35 }
+  ]);
+  assert.deepEqual([...rejectedByProduction], [[1, 150], [2, 50]]);
+  assert.equal(unattributed, 35);
+});
+
+test('processes share the slot by run time; machines without a speed have no performance', () => {
+  const { entries } = buildOeeEntries({
+    ...window,
+    productions: [
+      production({ productionId: 1, machineId: 15, start: ist('2026-10-19T06:00:00'), end: ist('2026-10-19T09:00:00'), quantity: 1000 }),
+      production({ productionId: 2, machineId: 15, processId: 9, processName: 'Lamination', start: ist('2026-10-19T09:00:00'), end: ist('2026-10-19T10:00:00'), quantity: 500 })
+    ],
+    downtime: [],
+    rejections: [],
+    speeds: {},
+    machineIds: [15, 20]
+  });
+  const { rows } = summarizeOee(entries, ['machine', 'process']);
+  assert.deepEqual(rows.map(r => [r.machineId, r.processName, r.plannedMinutes, r.runMinutes, r.availability, r.performance, r.oee]), [
+    [15, 'Printing', 360, 180, 0.5, null, null],
+    [15, 'Lamination', 120, 60, 0.5, null, null],
+    // A listed machine that never ran is idle for the whole shift
+    [20, null, 480, 0, 0, null, null]
+  ]);
+});
+
+test('trend buckets run by day and by week starting Monday', () => {
+  const { entries } = buildOeeEntries({
+    ...window,
+    from: ist('2026-10-18T06:00:00'),
+    to: ist('2026-10-19T14:00:00'),
+    productions: [
+      production({ productionId: 1, machineId: 12, start: ist('2026-10-18T08:00:00'), end: ist('2026-10-18T09:00:00'), quantity: 100 }),
+      production({ productionId: 2, machineId: 12, start: ist('2026-10-19T08:00:00'), end: ist('2026-10-19T09:00:00'), quantity: 100 })
+    ],
+    downtime: [],
+    rejections: [],
+    speeds: { 12: 2 }
+  });
+  assert.deepEqual(trendOee(entries, 'day').rows.map(r => [r.date, r.runMinutes, r.performance]), [
+    ['2026-10-18', 60, 0.8333],
+    ['2026-10-19', 60, 0.8333]
+  ]);
+  assert.deepEqual(trendOee(entries, 'week').rows.map(r => r.week), ['2026-10-12', '2026-10-19']);
+});
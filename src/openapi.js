@@ -0,0 +1,202 @@
+/**
+ * OpenAPI 3 document built from the mounted routers.
+ * - Every route of every router in the mount list becomes an operation (first registration of a
+ *   method + path wins, as in Express).
+ * - Routes with a validate() middleware (validation.js) contribute summary, parameters and the
+ *   JSON request body from their schemas; the others are listed with their path parameters only.
+ * - Required roles come from the route policy table (auth-policy.js) and are shown as x-roles
+ *   plus the matching security scheme.
+ * - GET /api/openapi.json serves the document, GET /api/docs an interactive viewer (api-docs.html).
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { PUBLIC, ROLES, findPolicyRule } from './auth.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+
+/**
+ * '/jobs/:jobId/status' -> { path: '/jobs/{jobId}/status', params: ['jobId'] }
+ * Express 5 optional segments ('{/:id}') are flattened and wildcards ('*rest') become parameters.
+ */
+export function toOpenApiPath(expressPath) {
+  const params = [];
+  const converted = expressPath
+    .replace(/[{}]/g, '')
+    .replace(/[:*]([A-Za-z0-9_]+)/g, (_, name) => {
+      params.push(name);
+      return `{${name}}`;
+    });
+  return { path: converted, params };
+}
+
+function joinPath(base, routePath) {
+  if (routePath === '/') return base;
+  return `${base.replace(/\/$/, '')}${routePath}`;
+}
+
+function operationId(method, openApiPath) {
+  return `${method}_${openApiPath.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_|_$/g, '')}`;
+}
+
+function tagFor(fullPath) {
+  const segments = fullPath.replace(/^\/api\/?/, '').split('/');
+  return segments[0] === 'contractor-po' && segments[1] ? `contractor-po/${segments[1]}` : (segments[0] || 'api');
+}
+
+function objectParameters(schema, location) {
+  if (!schema) return [];
+  const json = schema.toJSONSchema();
+  return Object.entries(json.properties || {}).map(([name, property]) => {
+    const { description, ...rest } = property;
+    return {
+      name,
+      in: location,
+      required: location === 'path' || (json.required || []).includes(name),
+      ...(description ? { description } : {}),
+      schema: rest
+    };
+  });
+}
+
+function securityFor(roles) {
+  if (roles === PUBLIC) return [];
+  const schemes = [{ bearerAuth: [] }];
+  if (roles.includes(ROLES.INTEGRATION)) schemes.push({ apiKey: [] });
+  return schemes;
+}
+
+function buildOperation({ method, fullPath, openApiPath, pathParams, spec, policy, legacy }) {
+  // A sample URL stands in for the path parameters when looking up the policy rule
+  const samplePath = openApiPath.replace(/\{[^}]+\}/g, 'x');
+  const rule = findPolicyRule(policy, method.toUpperCase(), samplePath);
+  const roles = rule ? rule.roles : PUBLIC;
+
+  const declaredPathParams = objectParameters(spec.params, 'path');
+  const parameters = [
+    ...pathParams.map(name => declaredPathParams.find(p => p.name === name)
+      || { name, in: 'path', required: true, schema: { type: 'string' } }),
+    ...objectParameters(spec.query, 'query')
+  ];
+  const validated = Boolean(spec.params || spec.query || spec.body);
+
+  const responses = { 200: { description: 'Success' } };
+  if (validated) {
+    responses[400] = { description: 'Invalid input', content: { 'application/json': { schema: { $ref: '#/components/schemas/ValidationError' } } } };
+  }
+  if (roles !== PUBLIC) {
+    responses[401] = { $ref: '#/components/responses/Unauthorized' };
+    responses[403] = { $ref: '#/components/responses/Forbidden' };
+  }
+
+  return {
+    operationId: operationId(method, openApiPath),
+    tags: spec.tags || [tagFor(fullPath)],
+    ...(spec.summary ? { summary: spec.summary } : {}),
+    ...(spec.description ? { description: spec.description } : {}),
+    ...(legacy ? { deprecated: true } : {}),
+    ...(parameters.length ? { parameters } : {}),
+    ...(spec.body ? {
+      requestBody: { required: true, content: { 'application/json': { schema: spec.body.toJSONSchema() } } }
+    } : {}),
+    responses,
+    security: securityFor(roles),
+    'x-roles': roles === PUBLIC ? [] : roles
+  };
+}
+
+/**
+ * @param {{ mounts: Array<{ path: string, router: import('express').Router, legacy?: boolean }>,
+ *   policy: Array<Object>, info?: Object }} options
+ */
+export function buildOpenApiDocument({ mounts, policy, info = {} }) {
+  const paths = {};
+  for (const { path: base, router, legacy = false } of mounts) {
+    for (const layer of router.stack || []) {
+      const route = layer.route;
+      if (!route) continue;
+      const spec = route.stack.map(l => l.handle?.apiSchema).find(Boolean) || {};
+      // Regex routes are only listed when their validate() spec names a path
+      const routePath = spec.path || (typeof route.path === 'string' ? route.path : null);
+      if (!routePath) continue;
+
+      const fullPath = joinPath(base, routePath);
+      const { path: openApiPath, params: pathParams } = toOpenApiPath(fullPath);
+      for (const method of HTTP_METHODS.filter(m => route.methods[m])) {
+        paths[openApiPath] = paths[openApiPath] || {};
+        if (paths[openApiPath][method]) continue;
+        paths[openApiPath][method] = buildOperation({ method, fullPath, openApiPath, pathParams, spec, policy, legacy });
+      }
+    }
+  }
+
+  return {
+    openapi: '3.0.3',
+    info: { title: 'CDC backend API', version: '1.0.0', ...info },
+    servers: [{ url: '/' }],
+    paths,
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', bearerFormat: 'JWT', description: 'Token returned by any login route' },
+        apiKey: { type: 'apiKey', in: 'header', name: 'X-API-Key', description: 'Google Sheets integration key' }
+      },
+      schemas: {
+        ValidationError: {
+          type: 'object',
+          properties: {
+            status: { type: 'boolean', enum: [false] },
+            error: { type: 'string' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  in: { type: 'string', enum: ['params', 'query', 'body'] },
+                  path: { type: 'string' },
+                  message: { type: 'string' }
+                }
+              }
+            }
+          }
+        },
+        Error: {
+          type: 'object',
+          properties: { status: { type: 'boolean', enum: [false] }, error: { type: 'string' } }
+        }
+      },
+      responses: {
+        Unauthorized: { description: 'Missing, invalid or expired credentials', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } },
+        Forbidden: { description: 'Role not allowed for this route', content: { 'application/json': { schema: { $ref: '#/components/schemas/Error' } } } }
+      }
+    }
+  };
+}
+
+/**
+ * GET /api/openapi.json handler. The document is built on first request, after every
+ * router has registered its routes.
+ */
+export function openApiHandler(options) {
+  let document = null;
+  return (req, res) => {
+    try {
+      document = document || buildOpenApiDocument(options);
+      return res.json(document);
+    } catch (err) {
+      console.error('[OPENAPI] Building the document failed:', err);
+      return res.status(500).json({ status: false, error: 'Failed to build API document' });
+    }
+  };
+}
+
+/**
+ * GET /api/docs handler.
+ */
+export function apiDocsPage(req, res) {
+  const pagePath = path.join(__dirname, '..', 'api-docs.html');
+  if (!fs.existsSync(pagePath)) {
+    return res.status(404).send('API docs page not found');
+  }
+  return res.sendFile(pagePath);
+}
@@ -0,0 +1,65 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { Router } from 'express';
+import { buildOpenApiDocument, toOpenApiPath } from './openapi.js';
+import { validate, v } from './validation.js';
+import { PUBLIC, ROLES } from './auth.js';
+
+test('converts Express paths', () => {
+  assert.deepEqual(toOpenApiPath('/api/jobs/:jobId/status'), { path: '/api/jobs/{jobId}/status', params: ['jobId'] });
+  assert.deepEqual(toOpenApiPath('/api/files/*rest'), { path: '/api/files/{rest}', params: ['rest'] });
+});
+
+test('documents every mounted route with schemas, roles and legacy mounts', () => {
+  const main = Router();
+  main.post('/schedule/reorder', validate({
+    summary: 'Save order',
+    query: v.object({ database: v.database().optional() }),
+    body: v.object({ machineId: v.integer() })
+  }), (req, res) => res.json({}));
+  main.get('/auth/login', (req, res) => res.json({}));
+  main.get(/^\/audio\/(.+)\/all$/, validate({ path: '/audio/:jobNumber/all' }), (req, res) => res.json({}));
+  main.get(/^\/undocumented\/(.+)$/, (req, res) => res.json({}));
+
+  const po = Router();
+  po.get('/', (req, res) => res.json([]));
+  po.delete('/:id', (req, res) => res.json({}));
+
+  const policy = [
+    { method: 'GET', pattern: /^\/api\/auth\/login$/, roles: PUBLIC },
+    { method: 'DELETE', pattern: /^\/api(?:\/contractor-po)?\/jobs(?:\/.*)?$/, roles: [ROLES.PO_ADMIN] },
+    { pattern: /^\/api(?:\/.*)?$/, roles: [ROLES.MACHINE_USER, ROLES.ADMIN] }
+  ];
+  const doc = buildOpenApiDocument({
+    mounts: [
+      { path: '/api', router: main },
+      { path: '/api/contractor-po/jobs', router: po },
+      { path: '/api/jobs', router: po, legacy: true }
+    ],
+    policy
+  });
+
+  assert.deepEqual(Object.keys(doc.paths).sort(), [
+    '/api/audio/{jobNumber}/all',
+    '/api/auth/login',
+    '/api/contractor-po/jobs',
+    '/api/contractor-po/jobs/{id}',
+    '/api/jobs',
+    '/api/jobs/{id}',
+    '/api/schedule/reorder'
+  ]);
+
+  const reorder = doc.paths['/api/schedule/reorder'].post;
+  assert.equal(reorder.summary, 'Save order');
+  assert.equal(reorder.tags[0], 'schedule');
+  assert.deepEqual(reorder.parameters.map(p => [p.name, p.in, p.required]), [['database', 'query', false]]);
+  assert.deepEqual(reorder.requestBody.content['application/json'].schema.required, ['machineId']);
+  assert.ok(reorder.responses[400]);
+  assert.deepEqual(reorder['x-roles'], [ROLES.MACHINE_USER, ROLES.ADMIN]);
+
+  assert.deepEqual(doc.paths['/api/auth/login'].get.security, []);
+  assert.deepEqual(doc.paths['/api/jobs/{id}'].delete['x-roles'], [ROLES.PO_ADMIN]);
+  assert.equal(doc.paths['/api/jobs/{id}'].delete.deprecated, true);
+  assert.equal(doc.paths['/api/contractor-po/jobs/{id}'].delete.deprecated, undefined);
+  assert.equal(doc.paths['/api/contractor-po/jobs'].get.tags[0], 'contractor-po/jobs');
+});
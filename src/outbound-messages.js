@@ -0,0 +1,534 @@
+/**
+ * Outbound customer messages (WhatsApp and email, see messaging-providers.js) for the CRM intimation routes.
+ * - queueMessages(): persists every rendered message in the MongoDB OutboundMessages collection
+ *   before anything is sent, so the log shows exactly what each client was (or was not) sent.
+ * - deliverMessages(): first delivery attempt inline, so the CRM screen sees the outcome at once.
+ * - A single in-process worker retries transient failures (network, provider 5xx/429, SMTP 4xx)
+ *   with exponential backoff and picks up messages left behind by a restart.
+ * - When a client's message is delivered the ERP sent flags for its orders are set
+ *   (comm_mark_first_intimation_sent / comm_mark_readiness_message_sent), once per new channel.
+ * - queryMessages / getMessage / resendMessage back the /comm/messages history API.
+ */
+import os from 'os';
+import sql from 'mssql';
+import { getPool } from './db.js';
+import { findCrmUser, erpUsernameOf } from './crm-users.js';
+import OutboundMessage from './models/OutboundMessage.js';
+import { isTransientSqlError } from './process-job-queue.js';
+import { getSenderCredentials, sendMessage, sentMessageIdOf, isTransientDeliveryError, providerResponseOf } from './comm-channels.js';
+import { getProvider } from './messaging-providers.js';
+import { assertStoreReady as assertMongoReady, isStoreReady, generateId, findPage } from './mongo-store.js';
+
+const POLL_INTERVAL_MS = 5000;
+const LEASE_MS = 2 * 60 * 1000;           // one provider call, 20s timeout
+const RETRY_BASE_DELAY_MS = 30000;
+const RETRY_MAX_DELAY_MS = 30 * 60 * 1000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+export const MESSAGE_STATUSES = ['awaiting-approval', 'pending', 'processing', 'sent', 'failed', 'rejected'];
+
+const workerId = `${os.hostname()}:${process.pid}`;
+let pollTimer = null;
+let ticking = false;
+let stopped = true;
+
+function assertStoreReady() {
+  assertMongoReady('MESSAGE_STORE_UNAVAILABLE', 'Message store is unavailable');
+}
+
+function idList(ids) {
+  const tvp = new sql.Table('dbo.IdList');
+  tvp.columns.add('Id', sql.Int, { nullable: false });
+  ids.forEach((id) => tvp.rows.add(Number(id)));
+  return tvp;
+}
+
+// ERP sent flags per message kind; kinds without an entry (delivery-date-update) set none
+const ERP_MARKERS = {
+  'first-intimation': async (pool, { orderBookingDetailsIds, sentEmail, sentWhatsapp, sentBy }) => {
+    await pool.request()
+      .input('OrderBookingDetailsIds', idList(orderBookingDetailsIds))
+      .input('SentEmail', sql.Bit, sentEmail ? 1 : 0)
+      .input('SentWhatsapp', sql.Bit, sentWhatsapp ? 1 : 0)
+      .input('SentByUser', sql.NVarChar(100), sentBy)
+      .execute('dbo.comm_mark_first_intimation_sent');
+  },
+  // Readiness values differ per order, so one call per order
+  'material-readiness': async (pool, { orderBookingDetailsIds, sentEmail, sentWhatsapp, context }) => {
+    for (const id of orderBookingDetailsIds) {
+      const rd = context?.readiness?.[id];
+      if (!rd) continue;
+      await pool.request()
+        .input('OrderBookingDetailsIds', idList([id]))
+        .input('ReadyForDispatchDate', sql.DateTime, new Date(rd.readyForDispatchDate))
+        .input('NoOfCarton', sql.Int, rd.noOfCarton)
+        .input('QtyPerCarton', sql.Int, rd.qtyPerCarton)
+        .input('SentEmail', sql.Bit, sentEmail ? 1 : 0)
+        .input('SentWhatsapp', sql.Bit, sentWhatsapp ? 1 : 0)
+        .execute('dbo.comm_mark_readiness_message_sent');
+    }
+  }
+};
+
+/**
+ * Exponential backoff with +/-20% jitter: 30s, 1m, 2m ... capped at 30 minutes.
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ */
+export function computeDeliveryRetryDelayMs(attempt, random = Math.random) {
+  const exp = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+  const jitter = exp * 0.2 * (random() * 2 - 1);
+  return Math.round(exp + jitter);
+}
+
+/**
+ * ERP flags to set for a client group, or null when the flags already set cover every channel
+ * delivered so far. Flags are never lowered: a later call carries every delivered channel.
+ * @param {Array<Object>} groupMessages - all messages of one groupId
+ */
+export function erpFlagsToMark(groupMessages) {
+  const sent = groupMessages.filter((m) => m.status === 'sent');
+  const flags = {
+    sentEmail: sent.some((m) => m.channel === 'email'),
+    sentWhatsapp: sent.some((m) => m.channel === 'whatsapp')
+  };
+  const marked = groupMessages.filter((m) => m.erpMarked?.at);
+  const markedEmail = marked.some((m) => m.erpMarked.sentEmail);
+  const markedWhatsapp = marked.some((m) => m.erpMarked.sentWhatsapp);
+  if ((!flags.sentEmail || markedEmail) && (!flags.sentWhatsapp || markedWhatsapp)) return null;
+  return flags;
+}
+
+/**
+ * Per-channel outcome for a set of messages: 'sent' if any was delivered, 'pending' while one is
+ * still queued for a retry, 'failed' otherwise, null when the channel was not used.
+ * @returns {{ email: string|null, whatsapp: string|null }}
+ */
+export function summarizeChannels(messages) {
+  const channelStatus = (channel) => {
+    const list = messages.filter((m) => m.channel === channel);
+    if (!list.length) return null;
+    if (list.some((m) => m.status === 'sent')) return 'sent';
+    if (list.some((m) => m.status === 'pending' || m.status === 'processing')) return 'pending';
+    return 'failed';
+  };
+  return { email: channelStatus('email'), whatsapp: channelStatus('whatsapp') };
+}
+
+/** Short form of a message for the send routes' responses. */
+export function toMessageSummary(message) {
+  return {
+    messageId: message.messageId,
+    channel: message.channel,
+    recipient: message.recipient,
+    clientLedgerId: message.clientLedgerId,
+    status: message.status,
+    lastError: message.lastError || undefined,
+    nextRunAt: message.status === 'pending' ? message.nextRunAt : undefined
+  };
+}
+
+/**
+ * Public view of a message for the history API.
+ */
+export function toMessageView(message) {
+  return {
+    messageId: message.messageId,
+    batchId: message.batchId,
+    groupId: message.groupId,
+    kind: message.kind,
+    channel: message.channel,
+    database: message.database,
+    sentBy: message.sentBy,
+    recipient: message.recipient,
+    subject: message.subject,
+    body: message.body,
+    clientLedgerId: message.clientLedgerId,
+    clientName: message.clientName,
+    orderBookingDetailsIds: message.orderBookingDetailsIds,
+    resendOf: message.resendOf,
+    template: message.template?.language ? message.template : undefined,
+    runId: message.runId,
+    status: message.status,
+    approval: message.approval?.decision ? message.approval : undefined,
+    attemptCount: message.attemptCount,
+    maxAttempts: message.maxAttempts,
+    nextRunAt: message.status === 'pending' ? message.nextRunAt : undefined,
+    lastError: message.lastError,
+    providerResponse: message.providerResponse,
+    sentAt: message.sentAt,
+    deliveredAt: message.deliveredAt,
+    readAt: message.readAt,
+    receiptError: message.receiptError,
+    erpMarked: message.erpMarked?.at || message.erpMarked?.error ? message.erpMarked : undefined,
+    attempts: (message.attempts || []).map((a) => ({
+      attempt: a.attempt,
+      outcome: a.outcome,
+      error: a.error,
+      errorCode: a.errorCode,
+      provider: a.provider,
+      providerResponse: a.providerResponse,
+      startedAt: a.startedAt,
+      finishedAt: a.finishedAt
+    })),
+    createdAt: message.createdAt
+  };
+}
+
+/**
+ * Persists one batch of rendered messages (status pending, or awaiting-approval for groups with
+ * awaitingApproval set). Nothing is sent yet.
+ * @param {{ kind: string, database: string, sentBy: string, template?: { language: string, version: number },
+ *   runId?: string, groups: Array<{ clientLedgerId?: number, awaitingApproval?: boolean,
+ *   clientName?: string, orderBookingDetailsIds: number[], context?: Object, template?: Object,
+ *   messages: Array<{ channel: 'whatsapp'|'email', recipient: string, subject?: string, body: string }> }> }} batch
+ *   A group's template (language differs per client in scheduled runs) takes precedence over the batch's.
+ * @returns {Promise<{ batchId: string, groupIds: string[], messages: Object[] }>} groupIds in the order of `groups`
+ */
+export async function queueMessages({ kind, database, sentBy, template, runId, groups }) {
+  assertStoreReady();
+  const batchId = generateId('batch');
+  const groupIds = groups.map(() => generateId('grp'));
+  const docs = groups.flatMap((group, i) => {
+    const groupId = groupIds[i];
+    return group.messages.map((m) => ({
+      messageId: generateId('msg'),
+      batchId,
+      groupId,
+      kind,
+      channel: m.channel,
+      database,
+      sentBy,
+      recipient: m.recipient,
+      subject: m.subject,
+      body: m.body,
+      clientLedgerId: group.clientLedgerId != null ? Number(group.clientLedgerId) : undefined,
+      clientName: group.clientName,
+      orderBookingDetailsIds: group.orderBookingDetailsIds.map(Number),
+      context: group.context,
+      template: group.template || template,
+      runId,
+      status: group.awaitingApproval ? 'awaiting-approval' : 'pending',
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      nextRunAt: new Date()
+    }));
+  });
+  const created = docs.length ? await OutboundMessage.insertMany(docs) : [];
+  console.log(`[OUTBOUND ${batchId}] Queued ${created.length} ${kind} message(s)`, { sentBy, groups: groups.length });
+  return { batchId, groupIds, messages: created.map((doc) => doc.toObject()) };
+}
+
+/**
+ * Makes the first delivery attempt for the given (pending) messages right away and returns
+ * their state afterwards. Failures are left to the worker's retries, never thrown.
+ */
+export async function deliverMessages(messageIds) {
+  assertStoreReady();
+  for (const messageId of messageIds) {
+    try {
+      const claimed = await claimMessage({ messageId, status: 'pending' });
+      if (claimed) await processClaimedMessage(claimed);
+    } catch (err) {
+      console.error(`[OUTBOUND ${messageId}] Inline delivery failed:`, err);
+    }
+  }
+  const messages = await OutboundMessage.find({ messageId: { $in: messageIds } }).lean();
+  const order = new Map(messageIds.map((id, i) => [id, i]));
+  return messages.sort((a, b) => order.get(a.messageId) - order.get(b.messageId));
+}
+
+function claimMessage(filter) {
+  const now = new Date();
+  return OutboundMessage.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      },
+      $inc: { attemptCount: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  ).lean();
+}
+
+/**
+ * Claims the next due message: pending ones whose backoff elapsed, or processing ones whose
+ * lease expired (the previous worker died mid-attempt).
+ */
+function claimNextMessage() {
+  const now = new Date();
+  return claimMessage({
+    $or: [
+      { status: 'pending', nextRunAt: { $lte: now } },
+      { status: 'processing', lockedUntil: { $lt: now } }
+    ]
+  });
+}
+
+async function finishAttempt(message, outcome, fields, error, providerResponse) {
+  const attemptFields = {
+    'attempts.$[a].outcome': outcome,
+    'attempts.$[a].finishedAt': new Date(),
+    'attempts.$[a].providerResponse': providerResponse ?? null
+  };
+  if (error) {
+    attemptFields['attempts.$[a].error'] = error.message || String(error);
+    attemptFields['attempts.$[a].errorCode'] = error.code != null ? String(error.code) : undefined;
+  }
+  await OutboundMessage.updateOne(
+    { messageId: message.messageId, lockedBy: workerId },
+    { $set: { ...fields, ...attemptFields }, $unset: { lockedBy: '', lockedUntil: '' } },
+    { arrayFilters: [{ 'a.attempt': message.attemptCount }] }
+  );
+}
+
+function providerNameFor(channel) {
+  try {
+    return getProvider(channel).name;
+  } catch {
+    return undefined;   // UNKNOWN_PROVIDER fails the attempt in sendMessage
+  }
+}
+
+async function markGroupSent(pool, message) {
+  const marker = ERP_MARKERS[message.kind];
+  if (!marker) return;
+  const group = await OutboundMessage.find({ groupId: message.groupId }).lean();
+  const flags = erpFlagsToMark(group);
+  if (!flags) return;
+  try {
+    await marker(pool, { ...message, ...flags });
+    await OutboundMessage.updateOne({ messageId: message.messageId }, { $set: { erpMarked: { ...flags, at: new Date() } } });
+  } catch (err) {
+    console.error(`[OUTBOUND ${message.messageId}] Failed to set ERP sent flags:`, err);
+    await OutboundMessage.updateOne({ messageId: message.messageId }, { $set: { 'erpMarked.error': err.message } });
+  }
+}
+
+async function processClaimedMessage(message) {
+  const attempt = message.attemptCount;
+
+  // A previous attempt that never recorded an outcome was cut off (restart or crash)
+  await OutboundMessage.updateOne(
+    { messageId: message.messageId },
+    {
+      $set: {
+        'attempts.$[r].outcome': 'retry',
+        'attempts.$[r].finishedAt': new Date(),
+        'attempts.$[r].error': 'Interrupted (worker restarted)'
+      }
+    },
+    { arrayFilters: [{ 'r.outcome': 'running' }] }
+  );
+  await OutboundMessage.updateOne(
+    { messageId: message.messageId },
+    { $push: { attempts: { attempt, startedAt: new Date(), outcome: 'running', provider: providerNameFor(message.channel) } } }
+  );
+
+  console.log(`[OUTBOUND ${message.messageId}] Attempt ${attempt}/${message.maxAttempts}: ${message.kind} ${message.channel} to ${message.recipient}`);
+
+  let pool;
+  try {
+    pool = await getPool(message.database);
+    // sentBy is the CRM username; its ERP name may differ (crm-users.js)
+    const creds = await getSenderCredentials(pool, erpUsernameOf(await findCrmUser(message.sentBy), message.sentBy));
+    if (!creds) {
+      const err = new Error(`Credentials not found for ${message.sentBy}`);
+      err.code = 'NO_CREDENTIALS';
+      throw err;
+    }
+    const providerResponse = await sendMessage(message.channel, {
+      creds,
+      to: message.recipient,
+      subject: message.subject,
+      text: message.body
+    });
+    console.log(`[OUTBOUND ${message.messageId}] ✅ Sent`);
+    await finishAttempt(message, 'sent', {
+      status: 'sent',
+      providerResponse,
+      providerMessageId: sentMessageIdOf(message.channel, providerResponse),
+      lastError: null,
+      sentAt: new Date()
+    }, null, providerResponse);
+  } catch (error) {
+    const providerResponse = providerResponseOf(error);
+    const transient = isTransientDeliveryError(error) || isTransientSqlError(error);
+    if (transient && attempt < message.maxAttempts) {
+      const delay = computeDeliveryRetryDelayMs(attempt);
+      console.warn(`[OUTBOUND ${message.messageId}] Transient failure on attempt ${attempt}, retrying in ${delay}ms:`, error.message);
+      await finishAttempt(message, 'retry', {
+        status: 'pending',
+        lastError: error.message,
+        providerResponse,
+        nextRunAt: new Date(Date.now() + delay)
+      }, error, providerResponse);
+      return;
+    }
+    console.error(`[OUTBOUND ${message.messageId}] Failed:`, error.message);
+    await finishAttempt(message, 'failed', {
+      status: 'failed',
+      lastError: error.message,
+      providerResponse
+    }, error, providerResponse);
+    return;
+  }
+
+  await markGroupSent(pool, message);
+}
+
+function parseDate(value, name) {
+  if (value == null || value === '') return null;
+  const d = new Date(value);
+  if (Number.isNaN(d.getTime())) {
+    const err = new Error(`Invalid ${name} date`);
+    err.code = 'INVALID_FILTER';
+    throw err;
+  }
+  return d;
+}
+
+/**
+ * @param {{ orderBookingDetailsId?: number, clientLedgerId?: number, channel?: string, kind?: string,
+ *   status?: string, sentBy?: string, recipient?: string, batchId?: string, from?: string, to?: string,
+ *   before?: string, limit?: number }} filters
+ *   before: messageId of the last message of the previous page (messages are returned newest first)
+ * @returns {Promise<{ messages: Object[], nextCursor: string|null }>}
+ */
+export async function queryMessages(filters = {}) {
+  assertStoreReady();
+  const query = {};
+  if (filters.orderBookingDetailsId != null) query.orderBookingDetailsIds = Number(filters.orderBookingDetailsId);
+  if (filters.clientLedgerId != null) query.clientLedgerId = Number(filters.clientLedgerId);
+  for (const field of ['channel', 'kind', 'status', 'sentBy', 'recipient', 'batchId']) {
+    if (filters[field]) query[field] = String(filters[field]);
+  }
+
+  const from = parseDate(filters.from, 'from');
+  const to = parseDate(filters.to, 'to');
+  if (from || to) {
+    query.createdAt = {};
+    if (from) query.createdAt.$gte = from;
+    if (to) query.createdAt.$lte = to;
+  }
+
+  const { docs, nextCursor } = await findPage(OutboundMessage, query,
+    { idField: 'messageId', before: filters.before, limit: filters.limit });
+  return { messages: docs.map(toMessageView), nextCursor };
+}
+
+export async function getMessage(messageId) {
+  assertStoreReady();
+  const message = await OutboundMessage.findOne({ messageId: String(messageId) }).lean();
+  return message ? toMessageView(message) : null;
+}
+
+/**
+ * Approves messages awaiting approval (by id or whole batch) and makes the first delivery attempt.
+ * @returns {Promise<Object[]>} the approved messages after the attempt; others are left untouched
+ */
+export async function approveMessages({ messageIds, batchId }, user) {
+  assertStoreReady();
+  const filter = { status: 'awaiting-approval', ...(batchId ? { batchId } : { messageId: { $in: messageIds.map(String) } }) };
+  const ids = (await OutboundMessage.find(filter, { messageId: 1 }).lean()).map(m => m.messageId);
+  if (!ids.length) return [];
+  await OutboundMessage.updateMany(
+    { messageId: { $in: ids }, status: 'awaiting-approval' },
+    { $set: { status: 'pending', nextRunAt: new Date(), approval: { decision: 'approved', by: user, at: new Date() } } }
+  );
+  console.log(`[OUTBOUND] ${ids.length} message(s) approved`, { user, batchId });
+  return (await deliverMessages(ids)).map(toMessageView);
+}
+
+/** Rejects messages awaiting approval; they are never sent. @returns {Promise<number>} count rejected */
+export async function rejectMessages({ messageIds, batchId }, user, reason) {
+  assertStoreReady();
+  const filter = { status: 'awaiting-approval', ...(batchId ? { batchId } : { messageId: { $in: messageIds.map(String) } }) };
+  const result = await OutboundMessage.updateMany(filter, {
+    $set: { status: 'rejected', approval: { decision: 'rejected', by: user, at: new Date(), reason } }
+  });
+  console.log(`[OUTBOUND] ${result.modifiedCount} message(s) rejected`, { user, batchId });
+  return result.modifiedCount;
+}
+
+/**
+ * Why a message may not be resent, or null. Messages a scheduled run queued for approval go out
+ * through approveMessages only, and rejected ones not at all.
+ */
+export function resendRefusal(original) {
+  if (original.status === 'awaiting-approval') return 'Message is awaiting approval; approve it instead of resending';
+  if (original.status === 'rejected') return 'Message was rejected and cannot be resent';
+  return null;
+}
+
+/**
+ * Sends a logged message again as a new message (same body, recipient and client group) and
+ * makes its first attempt inline. Throws RESEND_NOT_ALLOWED (see resendRefusal).
+ * @param {{ sentBy?: string }} options - CRM user whose credentials to send with (default: original sender)
+ * @returns {Promise<Object|null>} the new message, or null when messageId is unknown
+ */
+export async function resendMessage(messageId, { sentBy } = {}) {
+  assertStoreReady();
+  const original = await OutboundMessage.findOne({ messageId: String(messageId) }).lean();
+  if (!original) return null;
+  const refusal = resendRefusal(original);
+  if (refusal) {
+    const err = new Error(refusal);
+    err.code = 'RESEND_NOT_ALLOWED';
+    throw err;
+  }
+  const copy = await OutboundMessage.create({
+    messageId: generateId('msg'),
+    batchId: generateId('batch'),
+    groupId: original.groupId,
+    kind: original.kind,
+    channel: original.channel,
+    database: original.database,
+    sentBy: sentBy || original.sentBy,
+    recipient: original.recipient,
+    subject: original.subject,
+    body: original.body,
+    clientLedgerId: original.clientLedgerId,
+    clientName: original.clientName,
+    orderBookingDetailsIds: original.orderBookingDetailsIds,
+    context: original.context,
+    template: original.template,
+    resendOf: original.messageId,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    nextRunAt: new Date()
+  });
+  console.log(`[OUTBOUND ${copy.messageId}] Resend of ${original.messageId}`, { sentBy: copy.sentBy });
+  const [delivered] = await deliverMessages([copy.messageId]);
+  return toMessageView(delivered);
+}
+
+async function runWorkerTick() {
+  if (stopped || ticking || !isStoreReady()) return;
+  ticking = true;
+  try {
+    let message;
+    while (!stopped && (message = await claimNextMessage())) {
+      await processClaimedMessage(message);
+    }
+  } catch (err) {
+    console.error('[OUTBOUND] Worker tick failed:', err);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startOutboundMessageWorker() {
+  if (!stopped) return;
+  stopped = false;
+  pollTimer = setInterval(runWorkerTick, POLL_INTERVAL_MS);
+  console.log(`[OUTBOUND] Message delivery worker started (${workerId})`);
+}
+
+export function stopOutboundMessageWorker() {
+  stopped = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
@@ -0,0 +1,53 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { computeDeliveryRetryDelayMs, erpFlagsToMark, summarizeChannels, resendRefusal } from './outbound-messages.js';
+import { isTransientDeliveryError, providerResponseOf } from './comm-channels.js';
+
+test('retries network failures, provider 5xx/429 and SMTP 4xx only', () => {
+  assert.equal(isTransientDeliveryError({ code: 'ECONNABORTED', message: 'timeout of 20000ms exceeded' }), true);
+  assert.equal(isTransientDeliveryError({ response: { status: 503, data: {} } }), true);
+  assert.equal(isTransientDeliveryError({ response: { status: 429, data: {} } }), true);
+  assert.equal(isTransientDeliveryError({ responseCode: 421, response: '421 Try again later' }), true);
+
+  assert.equal(isTransientDeliveryError({ response: { status: 400, data: { message: 'invalid number' } } }), false);
+  assert.equal(isTransientDeliveryError({ responseCode: 550, response: '550 Mailbox unavailable' }), false);
+  assert.equal(isTransientDeliveryError({ code: 'MAYTAPI_REJECTED' }), false);
+  assert.equal(providerResponseOf({ responseCode: 550, response: '550 Mailbox unavailable' }), '550 Mailbox unavailable');
+});
+
+test('delivery backoff grows from 30 seconds to a 30 minute cap', () => {
+  const noJitter = () => 0.5;
+  assert.equal(computeDeliveryRetryDelayMs(1, noJitter), 30000);
+  assert.equal(computeDeliveryRetryDelayMs(3, noJitter), 120000);
+  assert.equal(computeDeliveryRetryDelayMs(10, noJitter), 30 * 60 * 1000);
+});
+
+test('channel summary: any delivery counts as sent, queued retries as pending', () => {
+  assert.deepEqual(summarizeChannels([
+    { channel: 'whatsapp', status: 'failed' },
+    { channel: 'whatsapp', status: 'sent' },
+    { channel: 'email', status: 'pending' }
+  ]), { email: 'pending', whatsapp: 'sent' });
+  assert.deepEqual(summarizeChannels([{ channel: 'email', status: 'failed' }]), { email: 'failed', whatsapp: null });
+});
+
+test('ERP sent flags are set once per newly delivered channel and never lowered', () => {
+  const whatsapp = { channel: 'whatsapp', status: 'sent' };
+  const email = { channel: 'email', status: 'pending' };
+  assert.deepEqual(erpFlagsToMark([whatsapp, email]), { sentEmail: false, sentWhatsapp: true });
+
+  whatsapp.erpMarked = { sentEmail: false, sentWhatsapp: true, at: new Date() };
+  assert.equal(erpFlagsToMark([whatsapp, email]), null);
+
+  email.status = 'sent';
+  assert.deepEqual(erpFlagsToMark([whatsapp, email]), { sentEmail: true, sentWhatsapp: true });
+  assert.equal(erpFlagsToMark([{ channel: 'email', status: 'failed' }]), null);
+});
+
+test('messages awaiting approval or rejected cannot be resent', () => {
+  assert.match(resendRefusal({ status: 'awaiting-approval' }), /approve/);
+  assert.match(resendRefusal({ status: 'rejected' }), /rejected/);
+  for (const status of ['sent', 'failed', 'pending']) {
+    assert.equal(resendRefusal({ status }), null, status);
+  }
+});
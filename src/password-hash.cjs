@@ -0,0 +1,180 @@
+/**
+ * Password hashing and login lockout shared by the ESM routes (voice-note users) and the
+ * CommonJS Contractor PO routers (contractors). Kept as .cjs so both module systems load it.
+ *
+ * - Stored passwords are bcrypt hashes. Records still holding plaintext are accepted once
+ *   and re-hashed on that successful login (needsUpgrade).
+ * - After MAX_FAILED_LOGINS wrong passwords in a row the account is locked for LOCKOUT_MS.
+ */
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+
+const BCRYPT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 6;
+const MAX_FAILED_LOGINS = Number(process.env.AUTH_MAX_FAILED_LOGINS) || 5;
+const LOCKOUT_MS = (Number(process.env.AUTH_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+function isHashed(stored) {
+  return /^\$2[aby]\$\d{2}\$/.test(String(stored || ''));
+}
+
+async function hashPassword(plain) {
+  return bcrypt.hash(String(plain), BCRYPT_ROUNDS);
+}
+
+function plaintextEquals(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * @returns {Promise<{ ok: boolean, needsUpgrade: boolean }>}
+ */
+async function verifyPassword(plain, stored) {
+  const storedStr = stored != null ? String(stored) : '';
+  if (!storedStr || plain == null || plain === '') {
+    return { ok: false, needsUpgrade: false };
+  }
+  if (isHashed(storedStr)) {
+    return { ok: await bcrypt.compare(String(plain), storedStr), needsUpgrade: false };
+  }
+  // Legacy plaintext record (contractor passwords were stored trimmed)
+  const ok = plaintextEquals(String(plain), storedStr.trim());
+  return { ok, needsUpgrade: ok };
+}
+
+/**
+ * @returns {string|null} error message when the new password is not acceptable
+ */
+function validateNewPassword(plain) {
+  if (typeof plain !== 'string' || plain.trim().length === 0) {
+    return 'Password is required';
+  }
+  if (plain.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  return null;
+}
+
+function isLockedOut(account, now = new Date()) {
+  return !!(account && account.lockedUntil && new Date(account.lockedUntil) > now);
+}
+
+/**
+ * Update pipeline to apply after a wrong password: `Model.updateOne({ _id }, failedLoginUpdate())`.
+ * The count is incremented by the server, so concurrent wrong guesses each count; the failure that
+ * reaches MAX_FAILED_LOGINS locks the account and the count restarts once that lock has expired.
+ */
+function failedLoginUpdate(now = new Date()) {
+  const lockExpired = {
+    $and: [{ $ne: [{ $ifNull: ['$lockedUntil', null] }, null] }, { $lte: ['$lockedUntil', now] }]
+  };
+  return [
+    {
+      $set: {
+        failedLoginCount: { $add: [{ $cond: [lockExpired, 0, { $ifNull: ['$failedLoginCount', 0] }] }, 1] },
+        lockedUntil: { $cond: [lockExpired, null, { $ifNull: ['$lockedUntil', null] }] }
+      }
+    },
+    {
+      $set: {
+        lockedUntil: {
+          $cond: [
+            { $and: [{ $gte: ['$failedLoginCount', MAX_FAILED_LOGINS] }, { $eq: ['$lockedUntil', null] }] },
+            new Date(now.getTime() + LOCKOUT_MS),
+            '$lockedUntil'
+          ]
+        }
+      }
+    }
+  ];
+}
+
+/**
+ * Filter for the successful-login update: matches only while the account is not locked, so a right
+ * password checked alongside the guesses that locked the account is refused too (matchedCount 0).
+ */
+function unlockedFilter(id, now = new Date()) {
+  return { _id: id, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] };
+}
+
+/**
+ * Update to apply after a correct password (clears lockout, re-hashes legacy plaintext).
+ */
+async function successfulLoginUpdate(plain, needsUpgrade) {
+  const update = { failedLoginCount: 0, lockedUntil: null, lastLoginAt: new Date() };
+  if (needsUpgrade) {
+    update.password = await hashPassword(plain);
+    update.passwordChangedAt = new Date();
+  }
+  return update;
+}
+
+/**
+ * In-memory lockout for a secret that has no account record (the admin PIN). A client is refused for
+ * lockoutMs after maxFailures wrong guesses, and every client is after maxTotalFailures, so guessing
+ * from many addresses does not help. Failures older than lockoutMs are forgotten.
+ */
+function createAttemptLimiter({
+  maxFailures = MAX_FAILED_LOGINS,
+  maxTotalFailures = MAX_FAILED_LOGINS * 4,
+  lockoutMs = LOCKOUT_MS
+} = {}) {
+  const clients = new Map();
+  const all = { failures: 0, since: 0, lockedUntil: 0 };
+
+  function current(entry, now) {
+    if (entry.lockedUntil && entry.lockedUntil <= now) Object.assign(entry, { failures: 0, since: 0, lockedUntil: 0 });
+    if (entry.since && now - entry.since > lockoutMs) Object.assign(entry, { failures: 0, since: 0 });
+    return entry;
+  }
+
+  function record(entry, limit, now) {
+    if (!entry.failures) entry.since = now;
+    entry.failures += 1;
+    if (entry.failures >= limit) entry.lockedUntil = now + lockoutMs;
+  }
+
+  return {
+    /** @returns {number} ms until the client may guess again, 0 when it may now */
+    lockedFor(key, now = Date.now()) {
+      const client = clients.get(key);
+      const until = Math.max(current(all, now).lockedUntil, client ? current(client, now).lockedUntil : 0);
+      return Math.max(0, until - now);
+    },
+    fail(key, now = Date.now()) {
+      if (!clients.has(key)) clients.set(key, { failures: 0, since: 0, lockedUntil: 0 });
+      record(current(clients.get(key), now), maxFailures, now);
+      record(current(all, now), maxTotalFailures, now);
+      if (clients.size > 1000) {
+        for (const [k, entry] of clients) if (!current(entry, now).failures && !entry.lockedUntil) clients.delete(k);
+      }
+    },
+    succeed(key) {
+      clients.delete(key);
+      Object.assign(all, { failures: 0, since: 0, lockedUntil: 0 });
+    }
+  };
+}
+
+/** Six digit numeric password, as contractors have always been issued. */
+function generateTemporaryPassword() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+module.exports = {
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MS,
+  isHashed,
+  hashPassword,
+  plaintextEquals,
+  verifyPassword,
+  validateNewPassword,
+  isLockedOut,
+  failedLoginUpdate,
+  unlockedFilter,
+  successfulLoginUpdate,
+  generateTemporaryPassword,
+  createAttemptLimiter
+};
@@ -0,0 +1,85 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import * as passwords from './password-hash.cjs';
+
+test('verifies bcrypt hashes', async () => {
+  const hash = await passwords.hashPassword('482913');
+  assert.equal(passwords.isHashed(hash), true);
+  assert.deepEqual(await passwords.verifyPassword('482913', hash), { ok: true, needsUpgrade: false });
+  assert.equal((await passwords.verifyPassword('482914', hash)).ok, false);
+});
+
+test('accepts legacy plaintext once and flags it for re-hashing', async () => {
+  assert.deepEqual(await passwords.verifyPassword('482913', ' 482913 '), { ok: true, needsUpgrade: true });
+  assert.deepEqual(await passwords.verifyPassword('000000', '482913'), { ok: false, needsUpgrade: false });
+  assert.equal((await passwords.verifyPassword('', '')).ok, false);
+  const update = await passwords.successfulLoginUpdate('482913', true);
+  assert.equal(passwords.isHashed(update.password), true);
+  assert.equal(update.failedLoginCount, 0);
+});
+
+// Evaluates the aggregation operators failedLoginUpdate uses, one stage after the other, as the server does
+function applyPipeline(doc, pipeline) {
+  const evaluate = (expr, d) => {
+    if (typeof expr === 'string' && expr.startsWith('$')) return d[expr.slice(1)];
+    if (!expr || typeof expr !== 'object' || expr instanceof Date) return expr;
+    const [[op, args]] = Object.entries(expr);
+    const v = (args.map ? args : [args]).map(a => evaluate(a, d));
+    const t = (x) => (x instanceof Date ? x.getTime() : x);
+    switch (op) {
+      case '$add': return v[0] + v[1];
+      case '$cond': return v[0] ? v[1] : v[2];
+      case '$ifNull': return v[0] ?? v[1];
+      case '$and': return v.every(Boolean);
+      case '$eq': return t(v[0] ?? null) === t(v[1]);
+      case '$ne': return t(v[0] ?? null) !== t(v[1]);
+      case '$gte': return t(v[0]) >= t(v[1]);
+      case '$lte': return t(v[0]) <= t(v[1]);
+      default: throw new Error(`unsupported ${op}`);
+    }
+  };
+  return pipeline.reduce((d, stage) => ({
+    ...d, ...Object.fromEntries(Object.entries(stage.$set).map(([k, e]) => [k, evaluate(e, d)]))
+  }), doc);
+}
+
+test('every concurrent wrong password counts and the last allowed one locks the account', () => {
+  const now = new Date('2026-01-01T00:00:00Z');
+  // Wrong guesses sent together were all read with failedLoginCount 0; the server applies them one by one
+  let account = { failedLoginCount: 0 };
+  for (let i = 0; i < passwords.MAX_FAILED_LOGINS + 3; i++) {
+    account = applyPipeline(account, passwords.failedLoginUpdate(now));
+    if (i === passwords.MAX_FAILED_LOGINS - 2) assert.equal(account.lockedUntil, null);
+  }
+  assert.equal(account.failedLoginCount, passwords.MAX_FAILED_LOGINS + 3);
+  assert.equal(account.lockedUntil.getTime(), now.getTime() + passwords.LOCKOUT_MS);
+  assert.equal(passwords.isLockedOut(account, now), true);
+
+  // After the lock has expired the count starts again
+  const later = new Date(now.getTime() + passwords.LOCKOUT_MS + 1);
+  assert.equal(passwords.isLockedOut(account, later), false);
+  account = applyPipeline(account, passwords.failedLoginUpdate(later));
+  assert.deepEqual([account.failedLoginCount, account.lockedUntil], [1, null]);
+
+  assert.deepEqual(passwords.unlockedFilter('u1', now), { _id: 'u1', $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] });
+});
+
+test('attempt limiter locks a client, then every client, until the lockout passes', () => {
+  const limiter = passwords.createAttemptLimiter({ maxFailures: 3, maxTotalFailures: 5, lockoutMs: 60000 });
+  const t0 = 1_000_000;
+  for (let i = 0; i < 3; i++) limiter.fail('10.0.0.1', t0);
+  assert.equal(limiter.lockedFor('10.0.0.1', t0), 60000);
+  assert.equal(limiter.lockedFor('10.0.0.2', t0), 0);
+  // Guesses spread over addresses lock everyone
+  limiter.fail('10.0.0.2', t0);
+  limiter.fail('10.0.0.3', t0);
+  assert.equal(limiter.lockedFor('10.0.0.4', t0 + 1000), 59000);
+  assert.equal(limiter.lockedFor('10.0.0.1', t0 + 60000), 0);
+  // Old failures are forgotten
+  limiter.fail('10.0.0.5', t0 + 60000);
+  limiter.fail('10.0.0.5', t0 + 60000);
+  limiter.fail('10.0.0.5', t0 + 130000);
+  assert.equal(limiter.lockedFor('10.0.0.5', t0 + 130000), 0);
+  assert.equal(passwords.plaintextEquals('482913', '482913'), true);
+  assert.equal(passwords.plaintextEquals('482913', '48291'), false);
+});
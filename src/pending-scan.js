@@ -0,0 +1,81 @@
+/**
+ * Shaping of the pending processes of a scanned job card (/processes/pending, /qr/scan-pending).
+ * - toPendingProcess(row): one GetPendingProcesses_ForMachineAndContent row in both the mobile app's
+ *   camelCase and the web app's PascalCase
+ * - pendingScanResult(jobCardContentNo, rows, machineId): job summary, pending processes and the
+ *   running production, preferring one running on the scanning machine
+ * - fallbackJobCardNumbers(matches, scanned): the job cards /qr/scan-pending tries when the decoded
+ *   text has nothing pending on the machine
+ */
+
+// Job cards tried by the scan fallback; each one is a procedure call
+export const SCAN_FALLBACK_LIMIT = 5;
+
+export function toPendingProcess(r) {
+  return {
+    // Mobile app expects camelCase
+    pwoNo: r.PWOno || r.PWONo,
+    pwoDate: r.PWODate,
+    client: r.Client,
+    jobName: r.JobName,
+    componentName: r.ComponentName ?? r.COmponentname,
+    formNo: r.FormNo,
+    scheduleQty: r.ScheduleQty,
+    qtyProduced: r.QtyProduced,
+    paperIssuedQty: r.PaperIssuedQty ?? null,
+    currentStatus: r.CurrentStatus ?? null,
+    jobcardContentNo: r.JobCardContentNo ?? r.jobcardcontentno,
+    jobBookingJobcardContentsId: parseInt(r.JobBookingJobCardContentsID) || 0,
+    processName: r.ProcessName,
+    processId: parseInt(r.ProcessID) || 0,
+    runningProductionID: r.RunningProductionID ? parseInt(r.RunningProductionID) : null,
+    runningMachineID: r.RunningMachineID ? parseInt(r.RunningMachineID) : null,
+    // Web app expects PascalCase
+    PWONo: r.PWOno || r.PWONo,
+    PWODate: r.PWODate,
+    Client: r.Client,
+    JobName: r.JobName,
+    ComponentName: r.ComponentName ?? r.COmponentname,
+    FormNo: r.FormNo,
+    ScheduleQty: r.ScheduleQty,
+    QtyProduced: r.QtyProduced,
+    PaperIssuedQty: r.PaperIssuedQty ?? null,
+    CurrentStatus: r.CurrentStatus ?? null,
+    JobCardContentNo: r.JobCardContentNo ?? r.jobcardcontentno,
+    JobBookingJobCardContentsID: parseInt(r.JobBookingJobCardContentsID) || 0,
+    ProcessName: r.ProcessName,
+    ProcessID: parseInt(r.ProcessID) || 0,
+    RunningProductionID: r.RunningProductionID ? parseInt(r.RunningProductionID) : null,
+    RunningMachineID: r.RunningMachineID ? parseInt(r.RunningMachineID) : null
+  };
+}
+
+// Job summary, pending processes and running production of one job card on the scanning machine
+export function pendingScanResult(jobCardContentNo, rows, machineId) {
+  const processes = rows.map(toPendingProcess);
+  const running = processes.find(p => p.runningProductionID && p.runningMachineID === machineId) ||
+    processes.find(p => p.runningProductionID);
+  const first = processes[0];
+  return {
+    jobCardContentNo,
+    job: first ? {
+      pwoNo: first.pwoNo,
+      pwoDate: first.pwoDate,
+      client: first.client,
+      jobName: first.jobName,
+      componentName: first.componentName,
+      formNo: first.formNo,
+      scheduleQty: first.scheduleQty,
+      qtyProduced: first.qtyProduced,
+      jobcardContentNo: first.jobcardContentNo
+    } : null,
+    processes,
+    runningProductionID: running?.runningProductionID ?? null,
+    runningMachineID: running?.runningMachineID ?? null
+  };
+}
+
+/** FindJobCardsByPartialNumber matches other than the scanned text, at most SCAN_FALLBACK_LIMIT, in match order. */
+export function fallbackJobCardNumbers(matches, jobCardContentNo) {
+  return matches.filter(n => n !== jobCardContentNo).slice(0, SCAN_FALLBACK_LIMIT);
+}
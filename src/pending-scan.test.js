@@ -0,0 +1,37 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { pendingScanResult, fallbackJobCardNumbers, SCAN_FALLBACK_LIMIT } from './pending-scan.js';
+
+const row = (fields) => ({
+  PWOno: 'PWO/1021', PWODate: '2026-10-15', Client: 'Acme Foods', JobName: 'Mono carton 250g', COmponentname: 'Outer',
+  FormNo: 1, ScheduleQty: 12000, QtyProduced: 4000, JobCardContentNo: 'J05123_1', JobBookingJobCardContentsID: '9001',
+  ...fields
+});
+
+test('a scan lists the pending processes and prefers a production running on the scanning machine', () => {
+  const rows = [
+    row({ ProcessName: 'Printing', ProcessID: '7', RunningProductionID: '501', RunningMachineID: '15' }),
+    row({ ProcessName: 'Lamination', ProcessID: '9', RunningProductionID: '502', RunningMachineID: '12' })
+  ];
+  const result = pendingScanResult('J05123_1', rows, 12);
+  assert.equal(result.jobCardContentNo, 'J05123_1');
+  assert.deepEqual(result.job, {
+    pwoNo: 'PWO/1021', pwoDate: '2026-10-15', client: 'Acme Foods', jobName: 'Mono carton 250g', componentName: 'Outer',
+    formNo: 1, scheduleQty: 12000, qtyProduced: 4000, jobcardContentNo: 'J05123_1'
+  });
+  assert.deepEqual(result.processes.map(p => [p.processId, p.ProcessName, p.jobBookingJobcardContentsId]), [[7, 'Printing', 9001], [9, 'Lamination', 9001]]);
+  assert.deepEqual([result.runningProductionID, result.runningMachineID], [502, 12]);
+
+  // Running elsewhere only: still reported
+  assert.equal(pendingScanResult('J05123_1', rows, 20).runningProductionID, 501);
+  assert.deepEqual(pendingScanResult('J05123_1', [], 12), {
+    jobCardContentNo: 'J05123_1', job: null, processes: [], runningProductionID: null, runningMachineID: null
+  });
+});
+
+test('the scan fallback tries at most SCAN_FALLBACK_LIMIT other job cards', () => {
+  assert.equal(SCAN_FALLBACK_LIMIT, 5);
+  const matches = ['J05123', 'J05123_1', 'J05123_2', 'J05123_3', 'J05123_4', 'J05123_5', 'J05123_6'];
+  assert.deepEqual(fallbackJobCardNumbers(matches, 'J05123'), ['J05123_1', 'J05123_2', 'J05123_3', 'J05123_4', 'J05123_5']);
+  assert.deepEqual(fallbackJobCardNumbers(['J05123'], 'J05123'), []);
+});
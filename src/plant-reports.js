@@ -0,0 +1,104 @@
+/**
+ * Per-plant report queries shared by the single-plant routes (routes.js, routes-google-sheet.js)
+ * and the cross-plant dashboard (routes-consolidated.js). Each function takes a plant key and
+ * returns rows; callers validate inputs and shape the response.
+ */
+import { getPool, sql } from './db.js';
+
+/** GetLatestMachineStatusPerMachine, one row per machine (columns as returned by the procedure). */
+export async function fetchLatestMachineStatus(database) {
+  const pool = await getPool(database);
+  const result = await pool.request().execute('GetLatestMachineStatusPerMachine');
+  return result.recordset || [];
+}
+
+/** GetInventorySummaryByGroup: item-wise stock movement (kg) by item group. Dates are YYYY-MM-DD. */
+export async function fetchInventoryByGroup(database, { fromDate, toDate }) {
+  const pool = await getPool(database);
+  const result = await pool.request()
+    .input('StartDate', sql.Date, fromDate)
+    .input('EndDate', sql.Date, toDate)
+    .execute('dbo.GetInventorySummaryByGroup');
+
+  return (result.recordset || []).map((row) => ({
+    itemGroup: row.ItemGroup ?? row.itemgroup ?? '',
+    itemId: row.ItemID ?? row.itemid ?? null,
+    itemName: row.ItemName ?? row.itemname ?? '',
+    quality: row.Quality ?? row.quality ?? '',
+    gsm: row.GSM ?? row.gsm ?? 0,
+    sizeW: row.SizeW ?? row.sizew ?? 0,
+    sizeL: row.SizeL ?? row.sizel ?? 0,
+    stockUnit: row.StockUnit ?? row.stockunit ?? '',
+    openingKg: row.Opening_KG ?? row.opening_kg ?? 0,
+    stockInKg: row.StockIn_KG ?? row.stockin_kg ?? 0,
+    stockOutKg: row.StockOut_KG ?? row.stockout_kg ?? 0,
+    closingKg: row.Closing_KG ?? row.closing_kg ?? 0
+  }));
+}
+
+/** GetClientWiseStockMovement: client-wise stock movement (kg). */
+export async function fetchClientwiseStock(database, { fromDate, toDate, companyId }) {
+  const pool = await getPool(database);
+  const result = await pool.request()
+    .input('StartDate', sql.Date, fromDate)
+    .input('EndDate', sql.Date, toDate)
+    .input('CompanyId', sql.Int, companyId)
+    .execute('dbo.GetClientWiseStockMovement');
+
+  return (result.recordset || []).map((row) => ({
+    clientName: row.ClientName ?? row.clientname ?? '',
+    clientId: row.ClientID ?? row.clientid ?? null,
+    itemGroupId: row.ItemGroupID ?? row.itemgroupid ?? null,
+    itemId: row.ItemID ?? row.itemid ?? null,
+    itemName: row.ItemName ?? row.itemname ?? '',
+    openingStockKg: row.OpeningStockKG ?? row.openingstockkg ?? 0,
+    receiptKg: row.ReceiptKG ?? row.receiptkg ?? 0,
+    issueKg: row.IssueKG ?? row.issuekg ?? 0,
+    closingStockKg: row.ClosingStockKG ?? row.closingstockkg ?? 0
+  }));
+}
+
+/** Completed dispatch vouchers (FinishGoodsTransactionMain, voucher -51) with their delivery amount. */
+export async function fetchCompletedDeliveryAmounts(database) {
+  const pool = await getPool(database);
+  const query = `
+    SELECT
+      FGM.FGTransactionID,
+      FGM.VoucherNo,
+      FGM.VoucherDate,
+      FGM.VehicleNo,
+      FGM.TransporterName,
+      LM.ledgername AS Clientname,
+      FGM.SealNo AS TransportType,
+      FGM.NetAmount AS DeliveryAmount
+    FROM FinishGoodsTransactionMain FGM
+    JOIN LedgerMaster LM ON FGM.LedgerID = LM.LedgerID
+    WHERE FGM.voucherid = -51
+      AND FGM.VoucherDate > '2026-03-24'
+      AND ISNULL(FGM.IsDeletedTransaction, 0) = 0
+      AND (
+            LOWER(LTRIM(RTRIM(ISNULL(FGM.SealNo, '')))) = 'local'
+            OR ISNULL(FGM.NetAmount, 0) > 0
+      )
+    ORDER BY FGM.VoucherDate DESC;
+  `;
+
+  const result = await pool.request().query(query);
+  return (result.recordset || []).map((row) => ({
+    fgTransactionId: row.FGTransactionID ?? row.fgtransactionid,
+    voucherNo: row.VoucherNo ?? row.voucherno ?? null,
+    voucherDate: row.VoucherDate ?? row.voucherdate ?? null,
+    vehicleNo: row.VehicleNo ?? row.vehicleno ?? null,
+    transporterName: row.TransporterName ?? row.transportername ?? null,
+    clientName: row.Clientname ?? row.clientname ?? null,
+    transportType: String(row.TransportType || row.transporttype || '').trim().toLowerCase() === 'non local' ? 'non local' : 'local',
+    deliveryAmount: row.DeliveryAmount ?? row.deliveryamount ?? null
+  }));
+}
+
+/** dbo.GetProcessOTIFv3 rows (columns as returned by the procedure). */
+export async function fetchProcessOtif(database) {
+  const pool = await getPool(database);
+  const result = await pool.request().execute('dbo.GetProcessOTIFv3');
+  return result.recordset ?? [];
+}
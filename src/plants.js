@@ -0,0 +1,149 @@
+/**
+ * Plant (site) registry. Each plant is one ERP database; routes take its key as `database`.
+ * The registry is read once from plants.json in the backend folder, or from PLANTS_FILE.
+ * Adding a site means adding an entry there and its DB_NAME_<KEY> variable, no code changes.
+ *
+ * Entry fields:
+ *   key          'KOL' — value of the `database` parameter (upper case)
+ *   name         'Kolkata' — display name
+ *   site         'KOLKATA' — site label used by the artwork tools and user mappings
+ *   sourceTag    'KOL_SQL' — __SourceDB tag of artwork pending rows (defaults to '<key>_SQL')
+ *   database     SQL database name, or
+ *   databaseEnv  variable holding it (default DB_NAME_<KEY>; DB_NAME is the last fallback)
+ *   timezone     IANA zone of the plant's ERP timestamps
+ *   companyId, branchId   defaults for procedures that take CompanyID / BranchID
+ *   mirrorConcernPersons  false to keep this plant out of concern-person mirroring
+ */
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DEFAULT_FILE = path.join(__dirname, '..', 'plants.json');
+
+function invalidRegistry(message) {
+  const err = new Error(`Plant registry: ${message}`);
+  err.code = 'INVALID_PLANT_REGISTRY';
+  return err;
+}
+
+/**
+ * Validates raw entries and fills defaults.
+ * @param {Array<Object>} entries
+ */
+export function createPlantRegistry(entries, env = process.env) {
+  if (!Array.isArray(entries) || entries.length === 0) {
+    throw invalidRegistry('expected a non-empty array of plants');
+  }
+  const plants = entries.map((entry, i) => {
+    const key = String(entry?.key || '').trim().toUpperCase();
+    if (!/^[A-Z0-9_]{2,16}$/.test(key)) {
+      throw invalidRegistry(`entry ${i} needs a key of 2-16 letters or digits`);
+    }
+    const companyId = entry.companyId ?? 2;
+    const branchId = entry.branchId ?? 0;
+    if (!Number.isInteger(companyId) || !Number.isInteger(branchId)) {
+      throw invalidRegistry(`${key}: companyId and branchId must be integers`);
+    }
+    const timezone = entry.timezone || 'Asia/Kolkata';
+    try {
+      new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    } catch (_) {
+      throw invalidRegistry(`${key}: unknown timezone ${timezone}`);
+    }
+    return Object.freeze({
+      key,
+      name: entry.name || key,
+      site: String(entry.site || entry.name || key).toUpperCase(),
+      sourceTag: entry.sourceTag || `${key}_SQL`,
+      database: entry.database || null,
+      databaseEnv: entry.databaseEnv || `DB_NAME_${key}`,
+      timezone,
+      companyId,
+      branchId,
+      mirrorConcernPersons: entry.mirrorConcernPersons !== false
+    });
+  });
+
+  const seen = new Set();
+  for (const plant of plants) {
+    for (const id of [plant.key, `site:${plant.site}`, `tag:${plant.sourceTag}`]) {
+      if (seen.has(id)) throw invalidRegistry(`duplicate ${id.replace(/^\w+:/, '')}`);
+      seen.add(id);
+    }
+  }
+
+  const byKey = new Map(plants.map(p => [p.key, p]));
+
+  function databaseName(plant) {
+    return plant.database || env[plant.databaseEnv] || env.DB_NAME || null;
+  }
+
+  return {
+    plants,
+    keys: plants.map(p => p.key),
+    get: (key) => byKey.get(String(key || '').trim().toUpperCase()) || null,
+    bySite: (site) => plants.find(p => p.site === String(site || '').trim().toUpperCase()) || null,
+    bySourceTag: (tag) => plants.find(p => p.sourceTag === tag) || null,
+    databaseName
+  };
+}
+
+function loadRegistry() {
+  const file = process.env.PLANTS_FILE ? path.resolve(process.env.PLANTS_FILE) : DEFAULT_FILE;
+  let entries;
+  try {
+    entries = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw invalidRegistry(`cannot read ${file}: ${err.message}`);
+  }
+  const registry = createPlantRegistry(entries);
+  console.log(`[PLANTS] Loaded ${registry.keys.join(', ')} from ${file}`);
+  return registry;
+}
+
+const registry = loadRegistry();
+
+function joinOr(values) {
+  return values.length > 1 ? `${values.slice(0, -1).join(', ')} or ${values[values.length - 1]}` : values.join('');
+}
+
+/** 'KOL or AHM' — plant keys for error messages. */
+export const PLANT_KEYS_TEXT = joinOr(registry.keys);
+
+/** Message for a missing or unknown `database` value. */
+export const INVALID_DATABASE_ERROR = `Invalid or missing database (must be ${PLANT_KEYS_TEXT})`;
+
+export function listPlants() {
+  return registry.plants;
+}
+
+export function plantKeys() {
+  return registry.keys;
+}
+
+export function getPlant(key) {
+  return registry.get(key);
+}
+
+/** Exact (already upper-cased) plant key check. */
+export function isPlantKey(key) {
+  return registry.keys.includes(key);
+}
+
+export function getPlantBySite(site) {
+  return registry.bySite(site);
+}
+
+export function getPlantBySourceTag(tag) {
+  return registry.bySourceTag(tag);
+}
+
+/** SQL database name configured for a plant key, or null. */
+export function getPlantDatabaseName(key) {
+  const plant = registry.get(key);
+  return plant ? registry.databaseName(plant) : null;
+}
@@ -0,0 +1,43 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPlantRegistry } from './plants.js';
+
+const entries = [
+  { key: 'KOL', name: 'Kolkata', sourceTag: 'KOL_SQL', databaseEnv: 'DB_NAME_KOL' },
+  { key: 'ahm', name: 'Ahmedabad', sourceTag: 'AMD_SQL' },
+  { key: 'PUN', name: 'Pune', database: 'IndusPune', timezone: 'Asia/Kolkata', companyId: 3, branchId: 1, mirrorConcernPersons: false }
+];
+
+test('fills defaults and resolves plants by key, site and source tag', () => {
+  const registry = createPlantRegistry(entries, {});
+  assert.deepEqual(registry.keys, ['KOL', 'AHM', 'PUN']);
+
+  const ahm = registry.get(' ahm ');
+  assert.equal(ahm.site, 'AHMEDABAD');
+  assert.equal(ahm.databaseEnv, 'DB_NAME_AHM');
+  assert.equal(ahm.companyId, 2);
+  assert.equal(ahm.mirrorConcernPersons, true);
+
+  assert.equal(registry.bySite('pune').key, 'PUN');
+  assert.equal(registry.bySourceTag('AMD_SQL').key, 'AHM');
+  assert.equal(registry.bySourceTag('PUN_SQL').mirrorConcernPersons, false);
+  assert.equal(registry.get('XYZ'), null);
+});
+
+test('database name comes from the entry, its env variable, then DB_NAME', () => {
+  const registry = createPlantRegistry(entries, { DB_NAME_KOL: 'IndusKol', DB_NAME: 'Fallback' });
+  const names = registry.plants.map(registry.databaseName);
+  assert.deepEqual(names, ['IndusKol', 'Fallback', 'IndusPune']);
+});
+
+test('rejects malformed registries', () => {
+  assert.throws(() => createPlantRegistry([]), { code: 'INVALID_PLANT_REGISTRY' });
+  assert.throws(() => createPlantRegistry([{ key: 'K' }]), /key of 2-16/);
+  assert.throws(() => createPlantRegistry([{ key: 'KOL', companyId: '2' }]), /must be integers/);
+  assert.throws(() => createPlantRegistry([{ key: 'KOL', timezone: 'Mars/Base' }]), /unknown timezone/);
+  assert.throws(() => createPlantRegistry([{ key: 'KOL' }, { key: 'kol' }]), /duplicate KOL/);
+  assert.throws(() => createPlantRegistry([
+    { key: 'KOL', site: 'EAST' },
+    { key: 'CAL', site: 'east' }
+  ]), /duplicate EAST/);
+});
@@ -0,0 +1,349 @@
+/**
+ * Durable background queue for /processes/start-async, /complete-async and /cancel-async.
+ * Jobs live in the MongoDB ProcessJobs collection so they survive restarts and deploys.
+ * A single in-process worker claims due jobs with a lease, runs the production procedure
+ * and retries transient MSSQL failures with exponential backoff. The final outcome of each job
+ * is audited (audit-trail.js) under the request that queued it.
+ */
+import os from 'os';
+import mongoose from 'mongoose';
+import { getPool } from './db.js';
+import ProcessJob from './models/ProcessJob.js';
+import { runProductionProc, findStartedProduction } from './production-procs.js';
+import { notifyProductionEvent } from './machine-floor-feed.js';
+import { recordAudit } from './audit-trail.js';
+
+const POLL_INTERVAL_MS = 2000;
+const LEASE_MS = 5 * 60 * 1000;           // procedures time out after 3 minutes
+const RETRY_BASE_DELAY_MS = 2000;
+const RETRY_MAX_DELAY_MS = 60000;
+const DEFAULT_MAX_ATTEMPTS = 5;
+const FINISHED_JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+// Driver-level codes (mssql/tedious) for connection loss and timeouts
+const TRANSIENT_ERROR_CODES = new Set([
+  'ETIMEOUT', 'ESOCKET', 'ECONNRESET', 'ECONNCLOSED', 'ECONNREFUSED', 'ENOTOPEN', 'EREQINPROG'
+]);
+// SQL Server error numbers: deadlock victim, lock timeout, Azure/failover throttling
+const TRANSIENT_SQL_NUMBERS = new Set([1205, 1222, 4060, 40197, 40501, 40613, 49918, 49919, 49920]);
+// Failures after which a start may or may not have committed
+const AMBIGUOUS_ERROR_CODES = new Set(['ETIMEOUT', 'ESOCKET', 'ECONNRESET', 'ECONNCLOSED']);
+
+const workerId = `${os.hostname()}:${process.pid}`;
+let jobIdCounter = Date.now();
+let pollTimer = null;
+let ticking = false;
+let stopped = true;
+
+// Helper to generate unique job ID
+function generateJobId() {
+  return `job_${jobIdCounter++}_${Math.random().toString(36).substr(2, 9)}`;
+}
+
+function errorCodeOf(err) {
+  return err?.code || err?.originalError?.code || err?.originalError?.info?.code || null;
+}
+
+export function isTransientSqlError(err) {
+  if (!err) return false;
+  const code = errorCodeOf(err);
+  if (code && TRANSIENT_ERROR_CODES.has(code)) return true;
+  const number = err.number ?? err.originalError?.info?.number;
+  if (number != null && TRANSIENT_SQL_NUMBERS.has(Number(number))) return true;
+  return /Failed to connect|Connection lost|connection is closed|Health check timeout/i.test(String(err.message || ''));
+}
+
+/**
+ * Exponential backoff with +/-20% jitter: 2s, 4s, 8s ... capped at 60s.
+ * @param {number} attempt - 1-based number of the attempt that just failed
+ */
+export function computeRetryDelayMs(attempt, random = Math.random) {
+  const exp = Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** Math.max(0, attempt - 1));
+  const jitter = exp * 0.2 * (random() * 2 - 1);
+  return Math.round(exp + jitter);
+}
+
+function isStoreReady() {
+  return mongoose.connection.readyState === 1;
+}
+
+/**
+ * Public view of a job for /jobs/:jobId/status.
+ */
+export function toJobStatus(job) {
+  return {
+    id: job.jobId,
+    type: job.type,
+    status: job.status,
+    result: job.result,
+    productionId: job.productionId,  // Include ProductionID for start jobs
+    statusWarning: job.statusWarning,
+    error: job.error,
+    idempotencyKey: job.idempotencyKey,
+    attemptCount: job.attemptCount,
+    maxAttempts: job.maxAttempts,
+    nextRunAt: job.status === 'pending' ? job.nextRunAt : undefined,
+    attempts: (job.attempts || []).map(a => ({
+      attempt: a.attempt,
+      outcome: a.outcome,
+      error: a.error,
+      errorCode: a.errorCode,
+      startedAt: a.startedAt,
+      finishedAt: a.finishedAt
+    })),
+    createdAt: job.createdAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt
+  };
+}
+
+/**
+ * Persists a job and nudges the worker. Idempotency keys are scoped to the database and job type:
+ * a key matching an existing job with the same payload returns that job instead of creating a new
+ * one; the same key with a different payload is an IDEMPOTENCY_KEY_CONFLICT.
+ * @param {{ auditContext?: Object }} job - auditContext: auditContext(req) of the queueing request
+ * @returns {Promise<{ job: Object, created: boolean }>}
+ */
+export async function enqueueProcessJob({ type, database, requestData, idempotencyKey, auditContext }) {
+  if (!isStoreReady()) {
+    const err = new Error('Job store is unavailable');
+    err.code = 'JOB_STORE_UNAVAILABLE';
+    throw err;
+  }
+
+  const key = idempotencyKey ? String(idempotencyKey).trim() : '';
+  const keyFilter = { database, type, idempotencyKey: key };
+  if (key) {
+    const existing = await ProcessJob.findOne(keyFilter).lean();
+    if (existing) {
+      assertSameRequest(existing, requestData);
+      return { job: existing, created: false };
+    }
+  }
+
+  try {
+    const job = await ProcessJob.create({
+      jobId: generateJobId(),
+      type,
+      database,
+      requestData,
+      ...(key ? { idempotencyKey: key } : {}),
+      auditContext,
+      maxAttempts: DEFAULT_MAX_ATTEMPTS,
+      nextRunAt: new Date()
+    });
+    console.log(`[JOB ${job.jobId}] Queued ${type} job`, { database, idempotencyKey: key || null });
+    setImmediate(() => runWorkerTick());
+    return { job: job.toObject(), created: true };
+  } catch (err) {
+    // Lost a race with a concurrent request carrying the same key
+    if (key && err?.code === 11000) {
+      const existing = await ProcessJob.findOne(keyFilter).lean();
+      if (existing) {
+        assertSameRequest(existing, requestData);
+        return { job: existing, created: false };
+      }
+    }
+    throw err;
+  }
+}
+
+function assertSameRequest(existing, requestData) {
+  if (JSON.stringify(existing.requestData) !== JSON.stringify(requestData)) {
+    const err = new Error('Idempotency key was already used for a different request');
+    err.code = 'IDEMPOTENCY_KEY_CONFLICT';
+    throw err;
+  }
+}
+
+export async function getProcessJob(jobId) {
+  if (!isStoreReady()) {
+    const err = new Error('Job store is unavailable');
+    err.code = 'JOB_STORE_UNAVAILABLE';
+    throw err;
+  }
+  return ProcessJob.findOne({ jobId }).lean();
+}
+
+/**
+ * Atomically claims the next due job: pending jobs whose backoff elapsed, or processing
+ * jobs whose lease expired (the previous worker died mid-attempt).
+ */
+async function claimNextJob() {
+  const now = new Date();
+  return ProcessJob.findOneAndUpdate(
+    {
+      $or: [
+        { status: 'pending', nextRunAt: { $lte: now } },
+        { status: 'processing', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'processing',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + LEASE_MS)
+      },
+      $inc: { attemptCount: 1 }
+    },
+    { sort: { nextRunAt: 1 }, new: true }
+  ).lean();
+}
+
+async function finishAttempt(job, outcome, fields, error) {
+  const attemptFields = {
+    'attempts.$[a].outcome': outcome,
+    'attempts.$[a].finishedAt': new Date()
+  };
+  if (error) {
+    attemptFields['attempts.$[a].error'] = error.message || String(error);
+    attemptFields['attempts.$[a].errorCode'] = errorCodeOf(error) || (error.number != null ? String(error.number) : undefined);
+  }
+  await ProcessJob.updateOne(
+    { jobId: job.jobId, lockedBy: workerId },
+    { $set: { ...fields, ...attemptFields }, $unset: { lockedBy: '', lockedUntil: '' } },
+    { arrayFilters: [{ 'a.attempt': job.attemptCount }] }
+  );
+}
+
+// Same keys as the synchronous routes' production.* records (routes.js auditProductionWrite)
+function auditJob(job, { productionId, statusWarning, error }) {
+  const { UserID, ProductionID, JobBookingJobCardContentsID, ProcessID, MachineID, ...values } = job.requestData;
+  const entityKeys = job.type === 'start'
+    ? { ProductionID: productionId ?? null, JobBookingJobCardContentsID, ProcessID, MachineID }
+    : { ProductionID };
+  recordAudit(null, {
+    action: `production.${job.type}`,
+    database: job.database,
+    entity: 'ProductionEntry',
+    entityKeys: { ...entityKeys, jobId: job.jobId },
+    newValues: statusWarning ? { ...values, statusWarning } : values,
+    outcome: error ? 'failure' : statusWarning ? 'no-change' : 'success',
+    error,
+    context: job.auditContext || { actor: { erpUserId: UserID } }
+  });
+}
+
+async function processClaimedJob(job) {
+  const attempt = job.attemptCount;
+  // A previous attempt that never recorded an outcome was cut off (restart or crash)
+  const interrupted = (job.attempts || []).some(a => a.outcome === 'running');
+  const previousAmbiguous = interrupted ||
+    (job.attempts || []).some(a => a.outcome === 'retry' && AMBIGUOUS_ERROR_CODES.has(a.errorCode));
+
+  await ProcessJob.updateOne(
+    { jobId: job.jobId },
+    {
+      $set: {
+        'attempts.$[r].outcome': 'failed',
+        'attempts.$[r].finishedAt': new Date(),
+        'attempts.$[r].error': 'Interrupted (worker restarted)',
+        ...(job.startedAt ? {} : { startedAt: new Date() })
+      }
+    },
+    { arrayFilters: [{ 'r.outcome': 'running' }] }
+  );
+  await ProcessJob.updateOne(
+    { jobId: job.jobId },
+    { $push: { attempts: { attempt, startedAt: new Date(), outcome: 'running' } } }
+  );
+
+  console.log(`[JOB ${job.jobId}] Attempt ${attempt}/${job.maxAttempts} for ${job.type}`, { database: job.database });
+
+  try {
+    const pool = await getPool(job.database);
+
+    // Never start twice: if an earlier attempt may have committed, reuse its ProductionID
+    if (job.type === 'start' && previousAmbiguous) {
+      const since = job.attempts?.[0]?.startedAt || job.createdAt;
+      const existingProductionId = await findStartedProduction(pool, job.requestData, new Date(since));
+      if (existingProductionId) {
+        console.log(`[JOB ${job.jobId}] ✅ Reconciled with existing ProductionID ${existingProductionId}`);
+        auditJob(job, { productionId: existingProductionId });
+        await finishAttempt(job, 'reconciled', {
+          status: 'completed',
+          productionId: existingProductionId,
+          result: [{ ProductionID: existingProductionId }],
+          completedAt: new Date(),
+          expiresAt: new Date(Date.now() + FINISHED_JOB_RETENTION_MS)
+        });
+        return;
+      }
+    }
+
+    const { recordset, productionId, statusWarning } = await runProductionProc(pool, job.type, job.requestData);
+    if (productionId) {
+      console.log(`[JOB ${job.jobId}] ✅ ProductionID returned: ${productionId}`);
+    }
+    console.log(`[JOB ${job.jobId}] ✅ ${job.type} operation completed successfully`);
+    notifyProductionEvent({
+      database: job.database,
+      type: job.type,
+      machineId: job.requestData.MachineID,
+      productionId: productionId ?? job.requestData.ProductionID
+    });
+
+    auditJob(job, { productionId, statusWarning });
+
+    await finishAttempt(job, 'succeeded', {
+      status: 'completed',
+      result: recordset,
+      productionId: productionId ?? undefined,
+      statusWarning,
+      error: null,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + FINISHED_JOB_RETENTION_MS)
+    });
+  } catch (error) {
+    const retryable = isTransientSqlError(error) && attempt < job.maxAttempts;
+    if (retryable) {
+      const delay = computeRetryDelayMs(attempt);
+      console.warn(`[JOB ${job.jobId}] Transient failure on attempt ${attempt}, retrying in ${delay}ms:`, error.message);
+      await finishAttempt(job, 'retry', {
+        status: 'pending',
+        error: error.message,
+        nextRunAt: new Date(Date.now() + delay)
+      }, error);
+      return;
+    }
+
+    console.error(`[JOB ${job.jobId}] Failed:`, error);
+    auditJob(job, { error });
+    await finishAttempt(job, 'failed', {
+      status: 'failed',
+      error: error.message,
+      completedAt: new Date(),
+      expiresAt: new Date(Date.now() + FINISHED_JOB_RETENTION_MS)
+    }, error);
+  }
+}
+
+async function runWorkerTick() {
+  if (stopped || ticking || !isStoreReady()) return;
+  ticking = true;
+  try {
+    let job;
+    while (!stopped && (job = await claimNextJob())) {
+      await processClaimedJob(job);
+    }
+  } catch (err) {
+    console.error('[JOB] Worker tick failed:', err);
+  } finally {
+    ticking = false;
+  }
+}
+
+export function startProcessJobWorker() {
+  if (!stopped) return;
+  stopped = false;
+  pollTimer = setInterval(runWorkerTick, POLL_INTERVAL_MS);
+  console.log(`[JOB] Process job worker started (${workerId})`);
+}
+
+export function stopProcessJobWorker() {
+  stopped = true;
+  if (pollTimer) {
+    clearInterval(pollTimer);
+    pollTimer = null;
+  }
+}
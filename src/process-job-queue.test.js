@@ -0,0 +1,84 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+import ProcessJob from './models/ProcessJob.js';
+import { isTransientSqlError, computeRetryDelayMs, enqueueProcessJob } from './process-job-queue.js';
+
+test('treats connection and timeout errors as transient', () => {
+  assert.equal(isTransientSqlError({ code: 'ETIMEOUT', message: 'Timeout: Request failed to complete' }), true);
+  assert.equal(isTransientSqlError({ code: 'ESOCKET', message: 'Connection lost' }), true);
+  assert.equal(isTransientSqlError({ number: 1205, message: 'Transaction was deadlocked' }), true);
+});
+
+test('does not retry business or syntax errors', () => {
+  assert.equal(isTransientSqlError({ code: 'EREQUEST', number: 50000, message: 'Machine already running' }), false);
+  assert.equal(isTransientSqlError(new Error('Invalid column name')), false);
+  assert.equal(isTransientSqlError(null), false);
+});
+
+test('backs off exponentially up to the cap', () => {
+  const noJitter = () => 0.5;
+  assert.equal(computeRetryDelayMs(1, noJitter), 2000);
+  assert.equal(computeRetryDelayMs(2, noJitter), 4000);
+  assert.equal(computeRetryDelayMs(4, noJitter), 16000);
+  assert.equal(computeRetryDelayMs(10, noJitter), 60000);
+});
+
+test('jitter stays within 20% of the base delay', () => {
+  assert.equal(computeRetryDelayMs(3, () => 0), 6400);
+  assert.equal(computeRetryDelayMs(3, () => 1), 9600);
+});
+
+// In-memory ProcessJobs with the unique (database, type, idempotencyKey) index
+function fakeJobStore(t) {
+  const jobs = [];
+  const matches = (filter) => (job) => Object.entries(filter).every(([k, v]) => job[k] === v);
+  Object.defineProperty(mongoose.connection, 'readyState', { value: 1, configurable: true });
+  t.after(() => delete mongoose.connection.readyState);
+  t.mock.method(ProcessJob, 'findOne', (filter) => ({ lean: async () => jobs.find(matches(filter)) || null }));
+  t.mock.method(ProcessJob, 'create', async (doc) => {
+    if (doc.idempotencyKey && jobs.some(matches({ database: doc.database, type: doc.type, idempotencyKey: doc.idempotencyKey }))) {
+      throw Object.assign(new Error('E11000 duplicate key'), { code: 11000 });
+    }
+    jobs.push(doc);
+    return { ...doc, toObject: () => doc };
+  });
+  return jobs;
+}
+
+test('a repeated idempotency key returns the existing job; a different payload is rejected', async (t) => {
+  const jobs = fakeJobStore(t);
+  const start = { type: 'start', database: 'KOL', requestData: { MachineID: 3 }, idempotencyKey: 'tab-1' };
+
+  const first = await enqueueProcessJob(start);
+  const again = await enqueueProcessJob({ ...start, idempotencyKey: ' tab-1 ' });
+  assert.equal(first.created, true);
+  assert.equal(again.created, false);
+  assert.equal(again.job.jobId, first.job.jobId);
+
+  await assert.rejects(enqueueProcessJob({ ...start, requestData: { MachineID: 4 } }), { code: 'IDEMPOTENCY_KEY_CONFLICT' });
+  assert.equal(jobs.length, 1);
+});
+
+test('idempotency keys are scoped to the database and job type', async (t) => {
+  const jobs = fakeJobStore(t);
+  const start = { type: 'start', database: 'KOL', requestData: { MachineID: 3 }, idempotencyKey: 'tab-1' };
+
+  await enqueueProcessJob(start);
+  assert.equal((await enqueueProcessJob({ ...start, database: 'AHM' })).created, true);
+  assert.equal((await enqueueProcessJob({ ...start, type: 'complete', requestData: { ProductionID: 9 } })).created, true);
+  assert.deepEqual(jobs.map(j => `${j.database}/${j.type}`), ['KOL/start', 'AHM/start', 'KOL/complete']);
+});
+
+test('a request that loses the insert race returns the job that won', async (t) => {
+  const jobs = fakeJobStore(t);
+  const start = { type: 'start', database: 'KOL', requestData: { MachineID: 3 }, idempotencyKey: 'tab-1' };
+  const winner = (await enqueueProcessJob(start)).job;
+
+  // The lookup ran before the winner was stored
+  ProcessJob.findOne.mock.mockImplementationOnce(() => ({ lean: async () => null }));
+  const { job, created } = await enqueueProcessJob(start);
+  assert.equal(created, false);
+  assert.equal(job.jobId, winner.jobId);
+  assert.equal(jobs.length, 1);
+});
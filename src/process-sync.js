@@ -0,0 +1,171 @@
+/**
+ * Pure helpers of the offline shop-floor sync (POST /processes/sync, routes-process-sync.js):
+ * event validation, replay order, and the links between a batch and the ProcessSyncEvents store.
+ * - Events replay in clientTimestamp order; events with the same timestamp keep the order given.
+ * - A complete/cancel may name its start by startEventId. It gets the ProductionID that start
+ *   created, whether the start is in this batch or an earlier one.
+ * - clientEventIds are unique per database. An id already stored as applied or rejected is
+ *   answered as a duplicate. An id stored as failed runs again.
+ */
+
+export const EVENT_TYPES = ['start', 'complete', 'cancel'];
+
+function toInt(value) {
+  const n = Number(value);
+  return Number.isInteger(n) ? n : null;
+}
+
+/**
+ * Validates one event and returns its normalized procedure params, or { error }.
+ * ProductionID is left null for complete/cancel events that reference a start.
+ */
+export function normalizeEvent(event) {
+  const clientEventId = event?.clientEventId != null ? String(event.clientEventId).trim() : '';
+  if (!clientEventId) {
+    return { error: 'clientEventId is required' };
+  }
+  const type = String(event.type || '').toLowerCase();
+  if (!EVENT_TYPES.includes(type)) {
+    return { clientEventId, error: 'type must be start, complete or cancel' };
+  }
+  const clientTimestamp = event.clientTimestamp ? new Date(event.clientTimestamp) : null;
+  if (!clientTimestamp || Number.isNaN(clientTimestamp.getTime())) {
+    return { clientEventId, type, error: 'clientTimestamp must be a valid date' };
+  }
+
+  const UserID = toInt(event.UserID);
+  if (UserID === null) {
+    return { clientEventId, type, error: 'UserID must be an integer' };
+  }
+
+  if (type === 'start') {
+    const params = {
+      UserID,
+      EmployeeID: toInt(event.EmployeeID),
+      ProcessID: toInt(event.ProcessID),
+      JobBookingJobCardContentsID: toInt(event.JobBookingJobCardContentsID),
+      MachineID: toInt(event.MachineID),
+      JobCardFormNo: (event.JobCardFormNo || '').toString().trim()
+    };
+    for (const key of ['EmployeeID', 'ProcessID', 'JobBookingJobCardContentsID', 'MachineID']) {
+      if (params[key] === null) {
+        return { clientEventId, type, error: `${key} must be an integer` };
+      }
+    }
+    if (!params.JobCardFormNo) {
+      return { clientEventId, type, error: 'JobCardFormNo is required' };
+    }
+    return { clientEventId, type, clientTimestamp, params };
+  }
+
+  const startEventId = event.startEventId != null ? String(event.startEventId).trim() : '';
+  const hasProductionId = event.ProductionID !== undefined && event.ProductionID !== null && event.ProductionID !== '';
+  const ProductionID = hasProductionId ? toInt(event.ProductionID) : null;
+  if (hasProductionId && ProductionID === null) {
+    return { clientEventId, type, error: 'ProductionID must be an integer' };
+  }
+  if (ProductionID === null && !startEventId) {
+    return { clientEventId, type, error: 'ProductionID or startEventId is required' };
+  }
+
+  const params = { UserID, ProductionID };
+  if (type === 'complete') {
+    params.ProductionQty = toInt(event.ProductionQty);
+    params.WastageQty = toInt(event.WastageQty);
+    if (params.ProductionQty === null) {
+      return { clientEventId, type, error: 'ProductionQty must be an integer' };
+    }
+    if (params.WastageQty === null) {
+      return { clientEventId, type, error: 'WastageQty must be an integer' };
+    }
+  }
+  return { clientEventId, type, clientTimestamp, params, startEventId: startEventId || null };
+}
+
+/** The first clientEventId sent twice in the batch, or null. */
+export function findBatchDuplicate(normalized) {
+  const seen = new Set();
+  for (const ev of normalized) {
+    if (!ev.clientEventId) continue;
+    if (seen.has(ev.clientEventId)) return ev.clientEventId;
+    seen.add(ev.clientEventId);
+  }
+  return null;
+}
+
+/**
+ * Indexes of the normalized events in replay order: oldest clientTimestamp first, ties in the
+ * order given. Invalid events have no timestamp and go first; they are only reported.
+ */
+export function replayOrder(normalized) {
+  const timeOf = (ev) => (ev.clientTimestamp ? ev.clientTimestamp.getTime() : -Infinity);
+  return normalized
+    .map((ev, index) => index)
+    .sort((a, b) => (timeOf(normalized[a]) - timeOf(normalized[b])) || a - b);
+}
+
+/** ProcessSyncEvents filter for the batch's events and the starts they reference. */
+export function storedEventsFilter(database, normalized) {
+  const ids = new Set();
+  normalized.forEach(ev => {
+    if (ev.clientEventId) ids.add(ev.clientEventId);
+    if (ev.startEventId) ids.add(ev.startEventId);
+  });
+  return { database, clientEventId: { $in: Array.from(ids) } };
+}
+
+/** clientEventId of each applied start -> ProductionID it created (null when it did not create one). */
+export function startedProductionsOf(storedDocs) {
+  return new Map(storedDocs
+    .filter(d => d.type === 'start' && d.status === 'applied')
+    .map(d => [d.clientEventId, d.productionId ?? null]));
+}
+
+export function storedToResult(doc, duplicate) {
+  return {
+    clientEventId: doc.clientEventId,
+    type: doc.type,
+    status: duplicate ? 'duplicate' : doc.status,
+    originalStatus: duplicate ? doc.status : undefined,
+    productionId: doc.productionId ?? null,
+    statusWarning: doc.statusWarning || undefined,
+    result: doc.result,
+    error: doc.error || undefined
+  };
+}
+
+/**
+ * What to do with one normalized event:
+ * - { result }: answer without running anything (invalid, duplicate or unlinked start)
+ * - { params, previous }: run the procedure with params; previous is the failed earlier attempt, if any
+ * @param {Map<string, Object>} stored - clientEventId -> ProcessSyncEvents document
+ * @param {Map<string, number|null>} startedProductions - see startedProductionsOf; the caller adds
+ *   the starts this batch applies
+ */
+export function planEvent(ev, { stored, startedProductions }) {
+  if (ev.error) {
+    return { result: { clientEventId: ev.clientEventId || null, type: ev.type || null, status: 'invalid', error: ev.error } };
+  }
+
+  const previous = stored.get(ev.clientEventId);
+  if (previous && previous.status !== 'failed') {
+    return { result: storedToResult(previous, true) };
+  }
+
+  const params = { ...ev.params };
+  if (ev.type !== 'start' && params.ProductionID === null) {
+    const linked = startedProductions.get(ev.startEventId);
+    if (!linked) {
+      return {
+        result: {
+          clientEventId: ev.clientEventId,
+          type: ev.type,
+          status: 'skipped',
+          error: `Start event ${ev.startEventId} has no ProductionID (not synced, failed or rejected)`
+        }
+      };
+    }
+    params.ProductionID = linked;
+  }
+  return { params, previous: previous || null };
+}
@@ -0,0 +1,88 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  normalizeEvent, findBatchDuplicate, replayOrder, storedEventsFilter, startedProductionsOf, planEvent
+} from './process-sync.js';
+
+const start = (fields) => ({
+  type: 'start', clientTimestamp: '2026-10-19T06:30:00+05:30', UserID: '4', EmployeeID: 12, ProcessID: 7,
+  JobBookingJobCardContentsID: 9001, MachineID: 3, JobCardFormNo: ' J05123_1 ', ...fields
+});
+const complete = (fields) => ({
+  type: 'complete', clientTimestamp: '2026-10-19T08:00:00+05:30', UserID: 4, ProductionQty: '1200', WastageQty: 30, ...fields
+});
+
+test('normalizes events and reports the first problem of each', () => {
+  const ev = normalizeEvent(start({ clientEventId: ' s-1 ' }));
+  assert.equal(ev.clientEventId, 's-1');
+  assert.equal(ev.clientTimestamp.toISOString(), '2026-10-19T01:00:00.000Z');
+  assert.deepEqual(ev.params, {
+    UserID: 4, EmployeeID: 12, ProcessID: 7, JobBookingJobCardContentsID: 9001, MachineID: 3, JobCardFormNo: 'J05123_1'
+  });
+
+  assert.deepEqual(normalizeEvent(complete({ clientEventId: 'c-1', startEventId: 's-1' })).params,
+    { UserID: 4, ProductionID: null, ProductionQty: 1200, WastageQty: 30 });
+  assert.equal(normalizeEvent(complete({ clientEventId: 'c-1', ProductionID: '77' })).params.ProductionID, 77);
+
+  assert.equal(normalizeEvent({ type: 'start' }).error, 'clientEventId is required');
+  assert.equal(normalizeEvent(start({ clientEventId: 'x', type: 'pause' })).error, 'type must be start, complete or cancel');
+  assert.equal(normalizeEvent(start({ clientEventId: 'x', clientTimestamp: 'yesterday' })).error, 'clientTimestamp must be a valid date');
+  assert.equal(normalizeEvent(start({ clientEventId: 'x', MachineID: 'M3' })).error, 'MachineID must be an integer');
+  assert.equal(normalizeEvent(complete({ clientEventId: 'x' })).error, 'ProductionID or startEventId is required');
+  assert.equal(normalizeEvent(complete({ clientEventId: 'x', ProductionID: 5, WastageQty: 'a few' })).error, 'WastageQty must be an integer');
+});
+
+test('replays by clientTimestamp, ties in the order sent', () => {
+  const normalized = [
+    complete({ clientEventId: 'c-1', startEventId: 's-1', clientTimestamp: '2026-10-19T08:00:00Z' }),
+    start({ clientEventId: 's-2', clientTimestamp: '2026-10-19T07:00:00Z' }),
+    start({ clientEventId: 's-1', clientTimestamp: '2026-10-19T06:00:00Z' }),
+    { type: 'start' },
+    { type: 'cancel', clientEventId: 'x-1', UserID: 4, ProductionID: 5, clientTimestamp: '2026-10-19T07:00:00Z' }
+  ].map(normalizeEvent);
+  assert.deepEqual(replayOrder(normalized).map(i => normalized[i].clientEventId ?? 'invalid'),
+    ['invalid', 's-1', 's-2', 'x-1', 'c-1']);
+});
+
+test('a complete is linked to the ProductionID its start created', () => {
+  const stored = new Map();
+  const startedProductions = startedProductionsOf([
+    { clientEventId: 's-old', type: 'start', status: 'applied', productionId: 501 },
+    { clientEventId: 's-refused', type: 'start', status: 'rejected' }
+  ]);
+  assert.deepEqual(planEvent(normalizeEvent(complete({ clientEventId: 'c-1', startEventId: 's-old' })), { stored, startedProductions }).params,
+    { UserID: 4, ProductionID: 501, ProductionQty: 1200, WastageQty: 30 });
+
+  // A start applied earlier in the same batch
+  startedProductions.set('s-new', 502);
+  assert.equal(planEvent(normalizeEvent(complete({ clientEventId: 'c-2', startEventId: 's-new' })), { stored, startedProductions }).params.ProductionID, 502);
+
+  for (const startEventId of ['s-refused', 's-unknown']) {
+    const { result } = planEvent(normalizeEvent(complete({ clientEventId: 'c-3', startEventId })), { stored, startedProductions });
+    assert.equal(result.status, 'skipped');
+    assert.match(result.error, new RegExp(`Start event ${startEventId} has no ProductionID`));
+  }
+});
+
+test('clientEventIds are deduplicated per database and within the batch', () => {
+  const normalized = [
+    start({ clientEventId: 's-1' }),
+    complete({ clientEventId: 'c-1', startEventId: 's-0' })
+  ].map(normalizeEvent);
+  assert.deepEqual(storedEventsFilter('AHM', normalized), { database: 'AHM', clientEventId: { $in: ['s-1', 'c-1', 's-0'] } });
+
+  assert.equal(findBatchDuplicate(normalized), null);
+  assert.equal(findBatchDuplicate([...normalized, normalizeEvent(start({ clientEventId: 's-1' }))]), 's-1');
+
+  const applied = { clientEventId: 's-1', type: 'start', status: 'applied', productionId: 501, createdAt: new Date() };
+  const { result } = planEvent(normalized[0], { stored: new Map([['s-1', applied]]), startedProductions: new Map() });
+  assert.equal(result.status, 'duplicate');
+  assert.equal(result.originalStatus, 'applied');
+  assert.equal(result.productionId, 501);
+
+  // A failed attempt runs again, with the earlier attempt for reconciliation
+  const failed = { ...applied, status: 'failed', productionId: undefined };
+  const plan = planEvent(normalized[0], { stored: new Map([['s-1', failed]]), startedProductions: new Map() });
+  assert.equal(plan.previous, failed);
+  assert.equal(plan.params.MachineID, 3);
+});
@@ -0,0 +1,117 @@
+/**
+ * Production stored procedure calls shared by the sync, async and batch process endpoints.
+ * - Production_Start_Manu_v2 (start) returns the new ProductionID
+ * - Production_End_Manu_v2 (complete)
+ * - Production_Cancel_Manu_v2 (cancel)
+ */
+import { sql } from './db.js';
+
+// Same timeout the /processes/* endpoints use for these procedures
+const PRODUCTION_PROC_TIMEOUT_MS = 180000;
+// ProductionEntry times are stored as IST wall-clock digits; the driver sends Dates as UTC.
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+/**
+ * Returns { message, statusValue } when the recordset carries only a single Status column
+ * (the procedures report business rule rejections this way), else null.
+ */
+export function checkStatusOnlyResponse(recordset) {
+  if (!Array.isArray(recordset) || recordset.length === 0) {
+    return null;
+  }
+
+  const firstRow = recordset[0];
+  const columns = Object.keys(firstRow);
+
+  // Check if there's only one column and it's named "Status" (case insensitive)
+  if (columns.length === 1) {
+    const columnName = columns[0];
+    if (columnName.toLowerCase() === 'status') {
+      return {
+        message: `Status: ${firstRow[columnName]}`,
+        statusValue: firstRow[columnName]
+      };
+    }
+  }
+
+  return null;
+}
+
+function extractProductionId(recordset) {
+  if (Array.isArray(recordset) && recordset.length > 0 && recordset[0].ProductionID) {
+    return Number(recordset[0].ProductionID);
+  }
+  return null;
+}
+
+/**
+ * Runs one production procedure.
+ * @param {import('mssql').ConnectionPool} pool
+ * @param {'start'|'complete'|'cancel'} type
+ * @param {Object} params - normalized integer params (JobCardFormNo is a string)
+ * @returns {Promise<{ recordset: Array, productionId: number|null, statusWarning: Object|null }>}
+ */
+export async function runProductionProc(pool, type, params) {
+  const request = pool.request();
+  request.timeout = PRODUCTION_PROC_TIMEOUT_MS;
+
+  let result;
+  if (type === 'start') {
+    result = await request
+      .input('UserID', sql.Int, params.UserID)
+      .input('EmployeeID', sql.Int, params.EmployeeID)
+      .input('ProcessID', sql.Int, params.ProcessID)
+      .input('JobBookingJobCardContentsID', sql.Int, params.JobBookingJobCardContentsID)
+      .input('MachineID', sql.Int, params.MachineID)
+      .input('JobCardFormNo', sql.NVarChar(255), params.JobCardFormNo)
+      .execute('dbo.Production_Start_Manu_v2');
+  } else if (type === 'complete') {
+    result = await request
+      .input('UserID', sql.Int, params.UserID)
+      .input('ProductionID', sql.Int, params.ProductionID)
+      .input('ProductionQty', sql.Int, params.ProductionQty)
+      .input('WastageQty', sql.Int, params.WastageQty)
+      .execute('dbo.Production_End_Manu_v2');
+  } else if (type === 'cancel') {
+    result = await request
+      .input('UserID', sql.Int, params.UserID)
+      .input('ProductionID', sql.Int, params.ProductionID)
+      .execute('dbo.Production_Cancel_Manu_v2');
+  } else {
+    throw new Error(`Unknown production procedure type: ${type}`);
+  }
+
+  const recordset = result.recordset || [];
+  return {
+    recordset,
+    productionId: type === 'start' ? extractProductionId(recordset) : null,
+    statusWarning: checkStatusOnlyResponse(recordset)
+  };
+}
+
+/**
+ * Looks for a production row created by an earlier start attempt whose outcome is unknown
+ * (e.g. the connection dropped after the procedure committed). Used so a retried start
+ * never creates a second ProductionID.
+ * @returns {Promise<number|null>} ProductionID or null when nothing was started
+ */
+export async function findStartedProduction(pool, params, since) {
+  const result = await pool.request()
+    .input('JobBookingJobCardContentsID', sql.Int, params.JobBookingJobCardContentsID)
+    .input('ProcessID', sql.Int, params.ProcessID)
+    .input('MachineID', sql.Int, params.MachineID)
+    .input('EmployeeID', sql.Int, params.EmployeeID)
+    .input('Since', sql.DateTime, new Date(since.getTime() + IST_OFFSET_MS))
+    .query(`
+      SELECT TOP 1 PE.ProductionID
+      FROM dbo.ProductionEntry PE
+      WHERE PE.JobBookingJobCardContentsID = @JobBookingJobCardContentsID
+        AND PE.ProcessID = @ProcessID
+        AND PE.MachineID = @MachineID
+        AND PE.EmployeeID = @EmployeeID
+        AND TRY_CONVERT(datetime, PE.FromTime) >= @Since
+      ORDER BY PE.ProductionID DESC
+    `);
+  const row = result.recordset?.[0];
+  return row?.ProductionID ? Number(row.ProductionID) : null;
+}
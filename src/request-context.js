@@ -0,0 +1,57 @@
+/**
+ * Per-request context carried through async calls (AsyncLocalStorage), so code deep in a
+ * request (loggers, audit records) can tag its output without threading req through.
+ * - requestContext: middleware; takes X-Request-ID from the caller or generates one and
+ *   echoes it in the X-Request-ID response header.
+ * - getRequestContext(): { requestId, user } for the current request, or null outside one.
+ * - getCurrentRequest(): the current Express req, or null outside one.
+ * - installConsoleRequestIds(): prefixes console output written during a request with
+ *   [req <id>], so platform logs can be grepped per request.
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+import crypto from 'crypto';
+
+const storage = new AsyncLocalStorage();
+
+// Accept caller IDs that are safe to echo into logs and headers
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+export function requestContext(req, res, next) {
+  const incoming = req.get('X-Request-ID');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  req.requestId = requestId;
+  res.set('X-Request-ID', requestId);
+  storage.run({ requestId, req }, next);
+}
+
+export function getRequestContext() {
+  const store = storage.getStore();
+  if (!store) return null;
+  // req.auth is filled in by authenticate after this middleware ran, so read it lazily
+  return {
+    requestId: store.requestId,
+    user: store.req?.auth?.sub ?? null
+  };
+}
+
+export function getCurrentRequest() {
+  return storage.getStore()?.req ?? null;
+}
+
+let consolePatched = false;
+
+export function installConsoleRequestIds() {
+  if (consolePatched) return;
+  consolePatched = true;
+  for (const method of ['log', 'info', 'warn', 'error', 'debug']) {
+    const original = console[method].bind(console);
+    console[method] = (...args) => {
+      const store = storage.getStore();
+      if (!store) return original(...args);
+      const tag = `[req ${store.requestId}]`;
+      // Keep printf-style format strings working by prefixing the first string argument
+      if (typeof args[0] === 'string') return original(`${tag} ${args[0]}`, ...args.slice(1));
+      return original(tag, ...args);
+    };
+  }
+}
@@ -0,0 +1,65 @@
+/**
+ * Audit trail API (admin only, see auth-policy.js)
+ * - GET /audit/events — newest first; filters: entity, entityKey + entityValue
+ *   (e.g. entityKey=ProductionID&entityValue=123), user (token sub/name or ERP UserID),
+ *   database, action, outcome, from, to (ISO dates), limit (max 500), before (cursor)
+ * - GET /audit/events/:id — one event
+ */
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { queryAuditEvents, getAuditEvent } from './audit-trail.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+function storeUnavailable(res) {
+  return res.status(503).json({ status: false, error: 'Audit store is unavailable' });
+}
+
+router.get('/audit/events', validate({
+  summary: 'Audit events, newest first',
+  query: v.object({
+    entity: v.string().optional(),
+    entityKey: v.string().optional().describe('Key name, e.g. ProductionID; used with entityValue'),
+    entityValue: v.string().optional(),
+    user: v.string().optional().describe('Token sub/name or ERP UserID'),
+    database: v.database().optional(),
+    action: v.string().optional(),
+    outcome: v.enum(['success', 'failure', 'no-change']).optional(),
+    from: v.string().optional().describe('ISO date'),
+    to: v.string().optional().describe('ISO date'),
+    before: v.string().optional().describe('nextCursor of the previous page'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 500')
+  })
+}), async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res);
+  try {
+    const { events, nextCursor } = await queryAuditEvents(req.valid.query);
+    return res.json({ status: true, count: events.length, nextCursor, events });
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[AUDIT] Query failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to query audit events' });
+  }
+});
+
+router.get('/audit/events/:id', validate({
+  summary: 'One audit event',
+  params: v.object({ id: v.string() })
+}), async (req, res) => {
+  if (mongoose.connection.readyState !== 1) return storeUnavailable(res);
+  try {
+    const event = await getAuditEvent(req.valid.params.id);
+    if (!event) {
+      return res.status(404).json({ status: false, error: 'Audit event not found' });
+    }
+    return res.json({ status: true, event });
+  } catch (err) {
+    console.error('[AUDIT] Lookup failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to load audit event' });
+  }
+});
+
+export default router;
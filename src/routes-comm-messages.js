@@ -0,0 +1,195 @@
+/**
+ * Outbound message log API (CRM, see auth-policy.js) for the intimations sent by
+ * /comm/first-intimation/send, /comm/material-readiness/send and /whatsapp/update-delivery-dates-and-send
+ * - GET /comm/messages — newest first; filters: orderBookingDetailsId, clientLedgerId, channel, kind,
+ *   status, sentBy, recipient, batchId, from, to (ISO dates), limit (max 500), before (cursor)
+ * - GET /comm/messages/:messageId — one message with its rendered body, every attempt and the
+ *   provider's responses
+ * - POST /comm/messages/:messageId/resend — sends the same text to the same recipient again as a
+ *   new message, with the credentials of the logged-in CRM user; admins may name another CRM user in
+ *   body: { username? } (default the original sender). Messages awaiting approval or rejected are not
+ *   resent (409)
+ * - POST /comm/messages/approve, /comm/messages/reject — decide on messages a scheduled run queued for
+ *   approval (intimation-scheduler.js); body: { messageIds } or { batchId }, reject also { reason? }
+ * - GET /comm/orders/:orderBookingDetailsId/thread — intimations sent for the order and the customer's
+ *   WhatsApp replies (inbound-messages.js), oldest first, with delivered/read receipts
+ * - GET /comm/inbound — customer replies newest first; filters: from, matched, clientLedgerId,
+ *   orderBookingDetailsId, limit (max 500), before (cursor)
+ */
+import { Router } from 'express';
+import {
+  queryMessages, getMessage, resendMessage, approveMessages, rejectMessages, MESSAGE_STATUSES
+} from './outbound-messages.js';
+import { TEMPLATE_KINDS } from './message-templates.js';
+import { getOrderThread, queryInbound } from './inbound-messages.js';
+import { validate, v } from './validation.js';
+import { ROLES } from './auth.js';
+
+const router = Router();
+
+function storeUnavailable(res) {
+  return res.status(503).json({ status: false, error: 'Message store is unavailable' });
+}
+
+const approvalSelection = {
+  messageIds: v.array(v.string({ minLength: 1 }), { minItems: 1 }).optional(),
+  batchId: v.string({ minLength: 1 }).optional().describe('Every message of the batch awaiting approval')
+};
+
+function missingSelection(res) {
+  return res.status(400).json({ status: false, error: 'messageIds or batchId is required' });
+}
+
+router.get('/comm/messages', validate({
+  summary: 'Outbound intimation messages, newest first',
+  query: v.object({
+    orderBookingDetailsId: v.id().optional(),
+    clientLedgerId: v.id().optional(),
+    channel: v.enum(['whatsapp', 'email']).optional(),
+    kind: v.enum(TEMPLATE_KINDS).optional(),
+    status: v.enum(MESSAGE_STATUSES).optional(),
+    sentBy: v.string().optional().describe('CRM username'),
+    recipient: v.string().optional().describe('Phone number (+91...) or email address list as sent'),
+    batchId: v.string().optional(),
+    from: v.string().optional().describe('ISO date'),
+    to: v.string().optional().describe('ISO date'),
+    before: v.string().optional().describe('nextCursor of the previous page'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 500')
+  })
+}), async (req, res) => {
+  try {
+    const { messages, nextCursor } = await queryMessages(req.valid.query);
+    return res.json({ status: true, count: messages.length, nextCursor, messages });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[OUTBOUND] Query failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to query messages' });
+  }
+});
+
+router.get('/comm/messages/:messageId', validate({
+  summary: 'One outbound message with its delivery attempts',
+  params: v.object({ messageId: v.string() })
+}), async (req, res) => {
+  try {
+    const message = await getMessage(req.valid.params.messageId);
+    if (!message) {
+      return res.status(404).json({ status: false, error: 'Message not found' });
+    }
+    return res.json({ status: true, message });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[OUTBOUND] Lookup failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to load message' });
+  }
+});
+
+router.post('/comm/messages/:messageId/resend', validate({
+  summary: 'Send a logged message again',
+  params: v.object({ messageId: v.string() }),
+  body: v.object({
+    username: v.string({ minLength: 1 }).optional().describe('Admins only: CRM user to send as; default the original sender')
+  })
+}), async (req, res) => {
+  const { username } = req.valid.body;
+  // A CRM user resends with their own credentials; only admins choose the sender
+  let sentBy = username;
+  if (req.auth?.role === ROLES.CRM) {
+    if (username && username.trim().toLowerCase() !== String(req.auth.name || '').toLowerCase()) {
+      return res.status(403).json({ status: false, error: `Logged in as ${req.auth.name}; cannot send as ${username.trim()}` });
+    }
+    sentBy = req.auth.name;
+  } else if (username && req.auth?.role !== ROLES.ADMIN) {
+    return res.status(403).json({ status: false, error: 'Only admins can choose the sender' });
+  }
+  try {
+    const message = await resendMessage(req.valid.params.messageId, { sentBy });
+    if (!message) {
+      return res.status(404).json({ status: false, error: 'Message not found' });
+    }
+    return res.json({ status: message.status !== 'failed', message });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    if (err.code === 'RESEND_NOT_ALLOWED') {
+      return res.status(409).json({ status: false, error: err.message });
+    }
+    console.error('[OUTBOUND] Resend failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to resend message' });
+  }
+});
+
+router.post('/comm/messages/approve', validate({
+  summary: 'Approve messages awaiting approval and send them',
+  body: v.object(approvalSelection)
+}), async (req, res) => {
+  const { messageIds, batchId } = req.valid.body;
+  if (!messageIds && !batchId) return missingSelection(res);
+  try {
+    const messages = await approveMessages({ messageIds, batchId }, req.auth?.name);
+    return res.json({ status: true, approved: messages.length, messages });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[OUTBOUND] Approve failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to approve messages' });
+  }
+});
+
+router.post('/comm/messages/reject', validate({
+  summary: 'Reject messages awaiting approval; they are not sent',
+  body: v.object({ ...approvalSelection, reason: v.string().optional() })
+}), async (req, res) => {
+  const { messageIds, batchId, reason } = req.valid.body;
+  if (!messageIds && !batchId) return missingSelection(res);
+  try {
+    const rejected = await rejectMessages({ messageIds, batchId }, req.auth?.name, reason);
+    return res.json({ status: true, rejected });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[OUTBOUND] Reject failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to reject messages' });
+  }
+});
+
+router.get('/comm/orders/:orderBookingDetailsId/thread', validate({
+  summary: 'Conversation with the customer about one order',
+  params: v.object({ orderBookingDetailsId: v.id() })
+}), async (req, res) => {
+  try {
+    const { orderBookingDetailsId } = req.valid.params;
+    const thread = await getOrderThread(orderBookingDetailsId);
+    return res.json({ status: true, orderBookingDetailsId, count: thread.length, thread });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[INBOUND] Thread failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to load conversation' });
+  }
+});
+
+router.get('/comm/inbound', validate({
+  summary: 'Customer WhatsApp replies, newest first',
+  query: v.object({
+    from: v.string().optional().describe('Phone number of the customer'),
+    matched: v.boolean().optional().describe('false: replies not matched to an intimation'),
+    clientLedgerId: v.id().optional(),
+    orderBookingDetailsId: v.id().optional(),
+    before: v.string().optional().describe('nextCursor of the previous page'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 500')
+  })
+}), async (req, res) => {
+  try {
+    const { messages, nextCursor } = await queryInbound(req.valid.query);
+    return res.json({ status: true, count: messages.length, nextCursor, messages });
+  } catch (err) {
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[INBOUND] Query failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to query replies' });
+  }
+});
+
+export default router;
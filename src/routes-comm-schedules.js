@@ -0,0 +1,238 @@
+/**
+ * Intimation scheduler API (CRM, see auth-policy.js); the sweeps themselves run in intimation-scheduler.js.
+ * - GET /comm/schedules — every schedule with its next and last run
+ * - POST /comm/schedules — new schedule; body: { name, kind, cron, sendAs, database?, enabled?, language?,
+ *   lookbackDays?, repeatAfterDays?, defaultMode? } (cron is evaluated in the plant's time zone)
+ * - PUT /comm/schedules/:scheduleId — change any of those fields except kind and database
+ * - DELETE /comm/schedules/:scheduleId
+ * - POST /comm/schedules/:scheduleId/run — run now; body: { dryRun?, force? } (dryRun only counts;
+ *   force also runs outside business hours)
+ * - GET /comm/schedules/runs — run history newest first; filters: scheduleId, limit (max 500), before (cursor)
+ * - GET /comm/holidays, POST /comm/holidays { date, name }, DELETE /comm/holidays/:date — no scheduled
+ *   intimations on these days
+ * - GET /comm/client-preferences, PUT /comm/client-preferences/:clientLedgerId { mode, kinds?, language?,
+ *   clientName? }, DELETE /comm/client-preferences/:clientLedgerId — auto send, approval first or off per
+ *   client, optionally per kind
+ */
+import { Router } from 'express';
+import {
+  listSchedules, createSchedule, updateSchedule, deleteSchedule, runScheduleNow, listRuns,
+  listHolidays, addHoliday, removeHoliday, listClientPreferences, setClientPreference, deleteClientPreference,
+  SCHEDULE_KINDS, CLIENT_MODES
+} from './intimation-scheduler.js';
+import { TEMPLATE_LANGUAGES } from './message-templates.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const LANGUAGES = Object.keys(TEMPLATE_LANGUAGES);
+
+const scheduleFields = {
+  name: v.string({ minLength: 1, maxLength: 100 }),
+  cron: v.string({ minLength: 1 }).describe('minute hour day month weekday, e.g. "30 10 * * 1-6"'),
+  sendAs: v.string({ minLength: 1 }).describe('CRM user whose WhatsApp/email credentials are used'),
+  enabled: v.boolean().optional(),
+  language: v.enum(LANGUAGES).optional().describe('Template language for clients without a preference'),
+  lookbackDays: v.integer({ min: 1, max: 365 }).optional().describe('Orders of the last n days'),
+  repeatAfterDays: v.integer({ min: 1, max: 90 }).optional()
+    .describe('delivery-followup: days before an order is followed up again; failed messages are retried after it'),
+  defaultMode: v.enum(CLIENT_MODES).optional().describe('For clients without a preference (default approval)')
+};
+
+function optionalFields(fields) {
+  return Object.fromEntries(Object.entries(fields).map(([key, schema]) => [key, schema.optional()]));
+}
+
+function storeUnavailable(res) {
+  return res.status(503).json({ status: false, error: 'Scheduler store is unavailable' });
+}
+
+function handleError(res, err, action) {
+  if (err.code === 'SCHEDULER_STORE_UNAVAILABLE') return storeUnavailable(res);
+  if (err.code === 'INVALID_CRON' || err.code === 'INVALID_FILTER') {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  if (err.code === 'SCHEDULE_RUNNING' || err.code === 'OUTSIDE_BUSINESS_HOURS') {
+    return res.status(409).json({ status: false, error: err.message });
+  }
+  console.error(`[SCHEDULER] ${action} failed:`, err);
+  return res.status(500).json({ status: false, error: `Failed to ${action.toLowerCase()}` });
+}
+
+router.get('/comm/schedules', validate({
+  summary: 'Intimation schedules'
+}), async (req, res) => {
+  try {
+    const schedules = await listSchedules();
+    return res.json({ status: true, schedules });
+  } catch (err) {
+    return handleError(res, err, 'List schedules');
+  }
+});
+
+router.post('/comm/schedules', validate({
+  summary: 'Create an intimation schedule',
+  body: v.object({
+    ...scheduleFields,
+    kind: v.enum(SCHEDULE_KINDS),
+    database: v.database().optional()
+  })
+}), async (req, res) => {
+  try {
+    const schedule = await createSchedule(req.valid.body, req.auth?.name);
+    return res.status(201).json({ status: true, schedule });
+  } catch (err) {
+    return handleError(res, err, 'Create schedule');
+  }
+});
+
+router.get('/comm/schedules/runs', validate({
+  summary: 'Intimation scheduler runs, newest first',
+  query: v.object({
+    scheduleId: v.string().optional(),
+    before: v.string().optional().describe('nextCursor of the previous page'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 500')
+  })
+}), async (req, res) => {
+  try {
+    const { runs, nextCursor } = await listRuns(req.valid.query);
+    return res.json({ status: true, count: runs.length, nextCursor, runs });
+  } catch (err) {
+    return handleError(res, err, 'List runs');
+  }
+});
+
+router.put('/comm/schedules/:scheduleId', validate({
+  summary: 'Change an intimation schedule',
+  params: v.object({ scheduleId: v.string() }),
+  body: v.object(optionalFields(scheduleFields))
+}), async (req, res) => {
+  try {
+    const schedule = await updateSchedule(req.valid.params.scheduleId, req.valid.body, req.auth?.name);
+    if (!schedule) {
+      return res.status(404).json({ status: false, error: 'Schedule not found' });
+    }
+    return res.json({ status: true, schedule });
+  } catch (err) {
+    return handleError(res, err, 'Update schedule');
+  }
+});
+
+router.delete('/comm/schedules/:scheduleId', validate({
+  summary: 'Delete an intimation schedule',
+  params: v.object({ scheduleId: v.string() })
+}), async (req, res) => {
+  try {
+    const deleted = await deleteSchedule(req.valid.params.scheduleId, req.auth?.name);
+    if (!deleted) {
+      return res.status(404).json({ status: false, error: 'Schedule not found' });
+    }
+    return res.json({ status: true });
+  } catch (err) {
+    return handleError(res, err, 'Delete schedule');
+  }
+});
+
+router.post('/comm/schedules/:scheduleId/run', validate({
+  summary: 'Run an intimation schedule now',
+  params: v.object({ scheduleId: v.string() }),
+  body: v.object({
+    dryRun: v.boolean().default(false).describe('Only count what would be sent'),
+    force: v.boolean().default(false).describe('Run outside business hours too')
+  })
+}), async (req, res) => {
+  try {
+    const run = await runScheduleNow(req.valid.params.scheduleId, { user: req.auth?.name, ...req.valid.body });
+    if (!run) {
+      return res.status(404).json({ status: false, error: 'Schedule not found' });
+    }
+    return res.json({ status: run.status === 'completed', run });
+  } catch (err) {
+    return handleError(res, err, 'Run schedule');
+  }
+});
+
+router.get('/comm/holidays', validate({
+  summary: 'Days without scheduled intimations'
+}), async (req, res) => {
+  try {
+    const holidays = await listHolidays();
+    return res.json({ status: true, holidays });
+  } catch (err) {
+    return handleError(res, err, 'List holidays');
+  }
+});
+
+router.post('/comm/holidays', validate({
+  summary: 'Add a holiday',
+  body: v.object({ date: v.date(), name: v.string({ minLength: 1, maxLength: 100 }) })
+}), async (req, res) => {
+  try {
+    const holiday = await addHoliday(req.valid.body.date, req.valid.body.name, req.auth?.name);
+    return res.json({ status: true, holiday });
+  } catch (err) {
+    return handleError(res, err, 'Add holiday');
+  }
+});
+
+router.delete('/comm/holidays/:date', validate({
+  summary: 'Remove a holiday',
+  params: v.object({ date: v.date() })
+}), async (req, res) => {
+  try {
+    const removed = await removeHoliday(req.valid.params.date);
+    if (!removed) {
+      return res.status(404).json({ status: false, error: 'Holiday not found' });
+    }
+    return res.json({ status: true });
+  } catch (err) {
+    return handleError(res, err, 'Remove holiday');
+  }
+});
+
+router.get('/comm/client-preferences', validate({
+  summary: 'Per-client intimation preferences'
+}), async (req, res) => {
+  try {
+    const preferences = await listClientPreferences();
+    return res.json({ status: true, preferences });
+  } catch (err) {
+    return handleError(res, err, 'List client preferences');
+  }
+});
+
+router.put('/comm/client-preferences/:clientLedgerId', validate({
+  summary: 'Set how scheduled intimations reach a client',
+  params: v.object({ clientLedgerId: v.id() }),
+  body: v.object({
+    mode: v.enum(CLIENT_MODES).describe('auto: send; approval: a CRM user approves first; off: never'),
+    kinds: v.object(Object.fromEntries(SCHEDULE_KINDS.map(kind => [kind, v.enum(CLIENT_MODES).optional()])))
+      .optional().describe('Mode per intimation kind, overriding mode'),
+    language: v.enum(LANGUAGES).optional(),
+    clientName: v.string().optional()
+  })
+}), async (req, res) => {
+  try {
+    const preference = await setClientPreference(req.valid.params.clientLedgerId, req.valid.body, req.auth?.name);
+    return res.json({ status: true, preference });
+  } catch (err) {
+    return handleError(res, err, 'Set client preference');
+  }
+});
+
+router.delete('/comm/client-preferences/:clientLedgerId', validate({
+  summary: 'Remove a client preference (the schedule default applies again)',
+  params: v.object({ clientLedgerId: v.id() })
+}), async (req, res) => {
+  try {
+    const removed = await deleteClientPreference(req.valid.params.clientLedgerId);
+    if (!removed) {
+      return res.status(404).json({ status: false, error: 'Preference not found' });
+    }
+    return res.json({ status: true });
+  } catch (err) {
+    return handleError(res, err, 'Remove client preference');
+  }
+});
+
+export default router;
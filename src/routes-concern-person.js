@@ -1,6 +1,9 @@
 import { Router } from 'express';
 import { getPool, sql } from './db.js';
 import mongoose from 'mongoose';
+import { getPlant, getPlantDatabaseName, listPlants } from './plants.js';
+import { validate, v } from './validation.js';
+import { recordAudit, captureBefore } from './audit-trail.js';
 
 const router = Router();
 let concernMongoConnPromise = null;
@@ -25,26 +28,40 @@ function resolveEnvValue(candidates) {
   return { value: '', key: null };
 }
 
-function normalizeDatabase(value) {
-  return String(value || '').trim().toUpperCase();
+// The client a concern person belongs to
+const clientFields = {
+  database: v.database(),
+  ledgerId: v.id(),
+  ledgerCodeString: v.string({ minLength: 1 })
+};
+
+// Other plants that keep a copy of the selected plant's concern persons (mirrorConcernPersons in plants.json)
+function getMirrorDatabases(database) {
+  if (!getPlant(database)?.mirrorConcernPersons) return [];
+  return listPlants()
+    .filter((plant) => plant.key !== database && plant.mirrorConcernPersons)
+    .map((plant) => plant.key);
 }
 
-function asRequiredString(value, fieldName, maxLen) {
-  const text = String(value ?? '').trim();
-  if (!text) {
-    throw new Error(`${fieldName} is required.`);
+// Each mirror plant has its own LedgerID for the client; match it by LedgerCodeString
+async function resolveMirrors(database, ledgerCodeString) {
+  const mirrors = [];
+  for (const mirrorDatabase of getMirrorDatabases(database)) {
+    const pool = await getPool(mirrorDatabase);
+    const expectedDbName = getPlantDatabaseName(mirrorDatabase);
+    const ledger = await getLedgerByCode(pool, ledgerCodeString, expectedDbName);
+    mirrors.push({ db: mirrorDatabase, pool, expectedDbName, ledger });
   }
-  return text.slice(0, maxLen);
+  return mirrors;
 }
 
-function getMirrorDatabase(database) {
-  return database === 'KOL' ? 'AHM' : 'KOL';
-}
-
-function getExpectedDbName(database) {
-  if (database === 'KOL') return process.env.DB_NAME_KOL || process.env.DB_NAME;
-  if (database === 'AHM') return process.env.DB_NAME_AHM;
-  return null;
+function mirrorLookupOf(mirror) {
+  return {
+    db: mirror.db,
+    found: Boolean(mirror.ledger),
+    ledgerId: mirror.ledger?.LedgerID ?? null,
+    clientname: mirror.ledger?.clientname ?? null
+  };
 }
 
 function resolveFinancialYear(now = new Date()) {
@@ -321,12 +338,12 @@ async function insertConcernPerson(pool, payload) {
   return insertResult.recordset?.[0]?.ConcernPersonID ?? null;
 }
 
-router.get('/concern-person/clients', async (req, res) => {
+router.get('/concern-person/clients', validate({
+  summary: 'Clients that can have concern persons',
+  query: v.object({ database: v.database() })
+}), async (req, res) => {
   try {
-    const database = normalizeDatabase(req.query.database);
-    if (database !== 'KOL' && database !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'database must be KOL or AHM.' });
-    }
+    const { database } = req.valid.query;
 
     const pool = await getPool(database);
     const result = await pool.request().query(`
@@ -355,66 +372,44 @@ router.get('/concern-person/clients', async (req, res) => {
   }
 });
 
-router.get('/concern-person/details', async (req, res) => {
+router.get('/concern-person/details', validate({
+  summary: 'Concern persons of a client in its plant and the mirror plants',
+  query: v.object(clientFields)
+}), async (req, res) => {
   try {
-    console.log('[concern-person/details] request', {
-      database: req.query.database,
-      ledgerId: req.query.ledgerId,
-      ledgerCodeString: req.query.ledgerCodeString
-    });
-
-    const database = normalizeDatabase(req.query.database);
-    if (database !== 'KOL' && database !== 'AHM') {
-      console.warn('[concern-person/details] invalid database', { database: req.query.database });
-      return res.status(400).json({ status: false, error: 'database must be KOL or AHM.' });
-    }
+    const { database, ledgerId, ledgerCodeString } = req.valid.query;
+    console.log('[concern-person/details] request', { database, ledgerId, ledgerCodeString });
 
-    const ledgerId = Number.parseInt(String(req.query.ledgerId ?? ''), 10);
-    if (Number.isNaN(ledgerId) || ledgerId <= 0) {
-      console.warn('[concern-person/details] invalid ledgerId', { ledgerId: req.query.ledgerId });
-      return res.status(400).json({ status: false, error: 'ledgerId is required and must be a positive integer.' });
-    }
-    const ledgerCodeString = String(req.query.ledgerCodeString ?? '').trim();
-    if (!ledgerCodeString) {
-      console.warn('[concern-person/details] missing ledgerCodeString');
-      return res.status(400).json({ status: false, error: 'ledgerCodeString is required.' });
-    }
-
-    const mirrorDatabase = getMirrorDatabase(database);
-    // Only mirror DB needs a LedgerMaster lookup — selected DB ledgerId comes directly from the dropdown
-    const mirrorPool = await getPool(mirrorDatabase);
+    // Only mirror DBs need a LedgerMaster lookup — selected DB ledgerId comes directly from the dropdown
     const pool = await getPool(database);
 
     console.log('[concern-person/details] inputs', {
       selectedDatabase: database,
-      mirrorDatabase,
+      mirrorDatabases: getMirrorDatabases(database),
       selectedLedgerId: ledgerId,
       ledgerCodeString
     });
 
-    // Mirror: find the LedgerID in the other DB by matching LedgerCodeString
-    const mirrorLedger = await getLedgerByCode(mirrorPool, ledgerCodeString, getExpectedDbName(mirrorDatabase));
+    // Mirrors: find the LedgerID in the other DBs by matching LedgerCodeString
+    const mirrors = await resolveMirrors(database, ledgerCodeString);
+    const mirrorLookups = mirrors.map(mirrorLookupOf);
 
-    console.log('[concern-person/details] mirror ledger resolved', {
-      mirrorDatabase,
-      mirrorFound: Boolean(mirrorLedger),
-      mirrorLedgerId: mirrorLedger?.LedgerID ?? null,
-      mirrorClientName: mirrorLedger?.clientname ?? null
-    });
+    console.log('[concern-person/details] mirror ledgers resolved', mirrorLookups);
 
     // Fetch concern persons from selected DB using the exact ledgerId from dropdown
-    const currentDbRows = await getConcernPersonsByLedger(pool, ledgerId, getExpectedDbName(database));
-    // Fetch concern persons from mirror DB using the mirror's own LedgerID
-    const mirrorDbRows = mirrorLedger
-      ? await getConcernPersonsByLedger(mirrorPool, mirrorLedger.LedgerID, getExpectedDbName(mirrorDatabase))
-      : [];
+    const currentDbRows = await getConcernPersonsByLedger(pool, ledgerId, getPlantDatabaseName(database));
+    // Fetch concern persons from each mirror DB using the mirror's own LedgerID
+    const mirrorDbRows = [];
+    for (const mirror of mirrors) {
+      if (!mirror.ledger) continue;
+      const rows = await getConcernPersonsByLedger(mirror.pool, mirror.ledger.LedgerID, mirror.expectedDbName);
+      mirrorDbRows.push(...rows.map((row) => ({ ...row, db: mirror.db })));
+    }
 
     console.log('[concern-person/details] concern rows count', {
       selectedDatabase: database,
       selectedLedgerId: ledgerId,
       selectedCount: currentDbRows.length,
-      mirrorDatabase,
-      mirrorLedgerId: mirrorLedger?.LedgerID ?? null,
       mirrorCount: mirrorDbRows.length
     });
 
@@ -425,15 +420,12 @@ router.get('/concern-person/details', async (req, res) => {
         ledgerId,
         ledgerCodeString
       },
-      mirrorLookup: {
-        db: mirrorDatabase,
-        found: Boolean(mirrorLedger),
-        ledgerId: mirrorLedger?.LedgerID ?? null,
-        clientname: mirrorLedger?.clientname ?? null
-      },
+      // mirrorLookup is the first mirror, kept for existing clients
+      mirrorLookup: mirrorLookups[0] || null,
+      mirrorLookups,
       concernPersons: [
         ...currentDbRows.map((row) => ({ ...row, db: database })),
-        ...mirrorDbRows.map((row) => ({ ...row, db: mirrorDatabase }))
+        ...mirrorDbRows
       ]
     });
   } catch (error) {
@@ -445,43 +437,39 @@ router.get('/concern-person/details', async (req, res) => {
   }
 });
 
-router.post('/concern-person', async (req, res) => {
+router.post('/concern-person', validate({
+  summary: 'Add a concern person to a client (and its mirror plants)',
+  body: v.object({
+    ...clientFields,
+    name: v.string({ minLength: 1 }).describe('At most 200 characters are kept'),
+    mobile: v.string({ minLength: 1 }).describe('At most 25 characters are kept'),
+    email: v.string({ minLength: 1 }).describe('At most 200 characters are kept'),
+    clientname: v.string().optional()
+  })
+}), async (req, res) => {
+  let audit = null;
   try {
-    const database = normalizeDatabase(req.body?.database);
-    if (database !== 'KOL' && database !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'database must be KOL or AHM.' });
-    }
-
-    const ledgerId = Number.parseInt(String(req.body?.ledgerId ?? ''), 10);
-    if (Number.isNaN(ledgerId) || ledgerId <= 0) {
-      return res.status(400).json({ status: false, error: 'ledgerId is required and must be a positive integer.' });
-    }
-
-    const name = asRequiredString(req.body?.name, 'name', 200);
-    const mobile = asRequiredString(req.body?.mobile, 'mobile', 25);
-    const email = asRequiredString(req.body?.email, 'email', 200);
-    const ledgerCodeString = String(req.body?.ledgerCodeString ?? '').trim();
-    if (!ledgerCodeString) {
-      return res.status(400).json({ status: false, error: 'ledgerCodeString is required.' });
-    }
-    const clientname = String(req.body?.clientname ?? '').trim() || null;
+    const { database, ledgerId, ledgerCodeString } = req.valid.body;
+    const name = req.valid.body.name.slice(0, 200);
+    const mobile = req.valid.body.mobile.slice(0, 25);
+    const email = req.valid.body.email.slice(0, 200);
+    const clientname = req.valid.body.clientname || null;
     const fYear = resolveFinancialYear();
 
     const pool = await getPool(database);
-    const mirrorDatabase = getMirrorDatabase(database);
-    const mirrorPool = await getPool(mirrorDatabase);
-    const selectedExpectedDbName = getExpectedDbName(database);
-    const mirrorExpectedDbName = getExpectedDbName(mirrorDatabase);
+    const selectedExpectedDbName = getPlantDatabaseName(database);
 
-    // Mirror: look up the other DB by LedgerCodeString to get that DB's own LedgerID
-    const mirrorLedger = await getLedgerByCode(mirrorPool, ledgerCodeString, mirrorExpectedDbName);
+    // Mirrors: look up the other DBs by LedgerCodeString to get each DB's own LedgerID
+    const mirrors = await resolveMirrors(database, ledgerCodeString);
 
     // Check existing records before saving to decide message template
     const existingPrimaryRows = await getConcernPersonsByLedger(pool, ledgerId, selectedExpectedDbName);
-    const existingMirrorRows = mirrorLedger
-      ? await getConcernPersonsByLedger(mirrorPool, mirrorLedger.LedgerID, mirrorExpectedDbName)
-      : [];
-    const existingCombinedCount = existingPrimaryRows.length + existingMirrorRows.length;
+    let existingCombinedCount = existingPrimaryRows.length;
+    for (const mirror of mirrors) {
+      if (!mirror.ledger) continue;
+      const rows = await getConcernPersonsByLedger(mirror.pool, mirror.ledger.LedgerID, mirror.expectedDbName);
+      existingCombinedCount += rows.length;
+    }
 
     const primaryDuplicate = await hasDuplicateEmail(pool, ledgerId, email, selectedExpectedDbName);
     if (primaryDuplicate) {
@@ -491,6 +479,13 @@ router.post('/concern-person', async (req, res) => {
       });
     }
 
+    audit = {
+      action: 'concern-person.create',
+      database,
+      entity: 'ConcernPersonMaster',
+      entityKeys: { LedgerID: ledgerId, LedgerCodeString: ledgerCodeString },
+      newValues: { Name: name, Mobile: mobile, Email: email, FYear: fYear }
+    };
     const primaryId = await insertConcernPerson(pool, {
       ledgerId,
       name,
@@ -500,49 +495,50 @@ router.post('/concern-person', async (req, res) => {
       expectedDbName: selectedExpectedDbName
     });
 
-    let mirrorLookup = {
-      db: mirrorDatabase,
-      found: false,
-      ledgerId: null,
-      clientname: null
-    };
-    let mirrorSave = {
-      status: 'skipped',
-      reason: 'mirror client not found',
-      concernPersonId: null
-    };
-
-    if (mirrorLedger) {
-      mirrorLookup = {
-        db: mirrorDatabase,
-        found: true,
-        ledgerId: mirrorLedger.LedgerID,
-        clientname: mirrorLedger.clientname || null
+    const mirrorSaves = [];
+    for (const mirror of mirrors) {
+      let mirrorSave = {
+        db: mirror.db,
+        status: 'skipped',
+        reason: 'mirror client not found',
+        concernPersonId: null
       };
 
-      const mirrorDuplicate = await hasDuplicateEmail(mirrorPool, mirrorLedger.LedgerID, email, mirrorExpectedDbName);
-      if (mirrorDuplicate) {
-        mirrorSave = {
-          status: 'skipped',
-          reason: 'duplicate email exists in mirror db',
-          concernPersonId: null
-        };
-      } else {
-        const mirrorId = await insertConcernPerson(mirrorPool, {
-          ledgerId: mirrorLedger.LedgerID,
-          name,
-          mobile,
-          email,
-          fYear,
-          expectedDbName: mirrorExpectedDbName
-        });
-        mirrorSave = {
-          status: 'saved',
-          reason: null,
-          concernPersonId: mirrorId
-        };
+      if (mirror.ledger) {
+        const mirrorDuplicate = await hasDuplicateEmail(mirror.pool, mirror.ledger.LedgerID, email, mirror.expectedDbName);
+        if (mirrorDuplicate) {
+          mirrorSave = {
+            db: mirror.db,
+            status: 'skipped',
+            reason: 'duplicate email exists in mirror db',
+            concernPersonId: null
+          };
+        } else {
+          const mirrorId = await insertConcernPerson(mirror.pool, {
+            ledgerId: mirror.ledger.LedgerID,
+            name,
+            mobile,
+            email,
+            fYear,
+            expectedDbName: mirror.expectedDbName
+          });
+          mirrorSave = {
+            db: mirror.db,
+            status: 'saved',
+            reason: null,
+            concernPersonId: mirrorId
+          };
+        }
       }
+      mirrorSaves.push(mirrorSave);
     }
+    const mirrorLookups = mirrors.map(mirrorLookupOf);
+    recordAudit(req, {
+      ...audit,
+      entityKeys: { ConcernPersonID: primaryId, ...audit.entityKeys },
+      newValues: { ...audit.newValues, mirrorSaves },
+      outcome: 'success'
+    });
 
     return res.status(201).json({
       status: true,
@@ -555,10 +551,14 @@ router.post('/concern-person', async (req, res) => {
         concernPersonId: primaryId
       },
       templateType: existingCombinedCount === 0 ? 'first' : 'existing',
-      mirrorLookup,
-      mirrorSave
+      // mirrorLookup / mirrorSave are the first mirror, kept for existing clients
+      mirrorLookup: mirrorLookups[0] || null,
+      mirrorSave: mirrorSaves[0] || null,
+      mirrorLookups,
+      mirrorSaves
     });
   } catch (error) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error });
     console.error('[concern-person] insert failed:', error);
     return res.status(500).json({
       status: false,
@@ -567,59 +567,60 @@ router.post('/concern-person', async (req, res) => {
   }
 });
 
-router.delete('/concern-person/:concernPersonId', async (req, res) => {
+router.delete('/concern-person/:concernPersonId', validate({
+  summary: 'Remove a concern person (and its copies in the mirror plants and the portal)',
+  params: v.object({ concernPersonId: v.id() }),
+  body: v.object({ ...clientFields, email: v.string({ minLength: 1, lowerCase: true }) })
+}), async (req, res) => {
+  let audit = null;
   try {
-    const concernPersonId = Number.parseInt(String(req.params.concernPersonId ?? ''), 10);
-    if (Number.isNaN(concernPersonId) || concernPersonId <= 0) {
-      return res.status(400).json({ status: false, error: 'concernPersonId must be a positive integer.' });
-    }
-
-    const database = normalizeDatabase(req.body?.database);
-    if (database !== 'KOL' && database !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'database must be KOL or AHM.' });
-    }
-
-    const ledgerId = Number.parseInt(String(req.body?.ledgerId ?? ''), 10);
-    if (Number.isNaN(ledgerId) || ledgerId <= 0) {
-      return res.status(400).json({ status: false, error: 'ledgerId is required and must be a positive integer.' });
-    }
-
-    const email = asRequiredString(req.body?.email, 'email', 200).toLowerCase();
-    const ledgerCodeString = asRequiredString(req.body?.ledgerCodeString, 'ledgerCodeString', 100);
+    const { concernPersonId } = req.valid.params;
+    const { database, ledgerId } = req.valid.body;
+    const email = req.valid.body.email.slice(0, 200);
+    const ledgerCodeString = req.valid.body.ledgerCodeString.slice(0, 100);
 
     const pool = await getPool(database);
-    const expectedDbName = getExpectedDbName(database);
-    const mirrorDatabase = getMirrorDatabase(database);
-    const mirrorPool = await getPool(mirrorDatabase);
-    const mirrorExpectedDbName = getExpectedDbName(mirrorDatabase);
+    const expectedDbName = getPlantDatabaseName(database);
 
+    const before = await captureBefore(async () => {
+      const rows = await getConcernPersonsByLedger(pool, ledgerId, expectedDbName);
+      return rows.find((row) => row.ConcernPersonID === concernPersonId) || null;
+    });
+    audit = {
+      action: 'concern-person.delete',
+      database,
+      entity: 'ConcernPersonMaster',
+      entityKeys: { ConcernPersonID: concernPersonId, LedgerID: ledgerId, LedgerCodeString: ledgerCodeString },
+      oldValues: before.values,
+      newValues: { IsDeleted: 1 },
+      captureError: before.captureError
+    };
     const sqlDelete = await softDeleteConcernPerson(pool, { concernPersonId, ledgerId, expectedDbName });
     if (!sqlDelete) {
+      recordAudit(req, { ...audit, outcome: 'no-change' });
       return res.status(404).json({
         status: false,
         error: 'Concerned person not found or already deleted.'
       });
     }
 
-    let mirrorDelete = {
-      db: mirrorDatabase,
-      foundClient: false,
-      deletedCount: 0
-    };
-
-    const mirrorLedger = await getLedgerByCode(mirrorPool, ledgerCodeString, mirrorExpectedDbName);
-    if (mirrorLedger?.LedgerID) {
-      const mirrorDeletedCount = await softDeleteConcernPersonByEmail(mirrorPool, {
-        ledgerId: mirrorLedger.LedgerID,
+    const mirrorDeletes = [];
+    for (const mirror of await resolveMirrors(database, ledgerCodeString)) {
+      if (!mirror.ledger?.LedgerID) {
+        mirrorDeletes.push({ db: mirror.db, foundClient: false, deletedCount: 0 });
+        continue;
+      }
+      const mirrorDeletedCount = await softDeleteConcernPersonByEmail(mirror.pool, {
+        ledgerId: mirror.ledger.LedgerID,
         email,
-        expectedDbName: mirrorExpectedDbName
+        expectedDbName: mirror.expectedDbName
       });
-      mirrorDelete = {
-        db: mirrorDatabase,
+      mirrorDeletes.push({
+        db: mirror.db,
         foundClient: true,
-        ledgerId: mirrorLedger.LedgerID,
+        ledgerId: mirror.ledger.LedgerID,
         deletedCount: mirrorDeletedCount
-      };
+      });
     }
 
     const concernMongo = await getConcernMongoConnection();
@@ -637,6 +638,16 @@ router.delete('/concern-person/:concernPersonId', async (req, res) => {
       tenantsDeleted: tenantsDeleteResult?.deletedCount || 0
     });
 
+    recordAudit(req, {
+      ...audit,
+      newValues: {
+        ...audit.newValues,
+        mirrorDeletes,
+        mongoDeleteUsersCount: usersDeleteResult?.deletedCount || 0,
+        mongoDeleteTenantsCount: tenantsDeleteResult?.deletedCount || 0
+      },
+      outcome: 'success'
+    });
     return res.json({
       status: true,
       sqlDelete: {
@@ -645,11 +656,14 @@ router.delete('/concern-person/:concernPersonId', async (req, res) => {
         ledgerId,
         deleted: true
       },
-      mirrorDelete,
+      // mirrorDelete is the first mirror, kept for existing clients
+      mirrorDelete: mirrorDeletes[0] || null,
+      mirrorDeletes,
       mongoDeleteUsersCount: usersDeleteResult?.deletedCount || 0,
       mongoDeleteTenantsCount: tenantsDeleteResult?.deletedCount || 0
     });
   } catch (error) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error });
     console.error('[concern-person] delete failed:', error);
     return res.status(500).json({
       status: false,
@@ -0,0 +1,123 @@
+/**
+ * Cross-plant dashboard API: the per-plant reports fanned out to every plant (plants.json) at once
+ * - GET /consolidated/machine-status — GetLatestMachineStatusPerMachine
+ * - GET /consolidated/inventory-summary/group?fromDate&toDate — stock movement by item group
+ * - GET /consolidated/inventory-summary/clientwise?fromDate&toDate[&companyId] — client-wise stock
+ *   (companyId defaults to each plant's companyId)
+ * - GET /consolidated/grn/completed-delivery-amount — completed dispatch vouchers
+ * - GET /consolidated/process-otif — GetProcessOTIFv3
+ * All accept ?plants=KOL,AHM to limit the plants (default: all).
+ *
+ * Response: { status, partial, generatedAt, plants: [{ plant, name, status: 'ok'|'error', totals | error,
+ *   durationMs }], totals, columns, records } — records carry a `plant` column. A plant that fails or
+ * times out (CONSOLIDATED_PLANT_TIMEOUT_MS) is reported in `plants` and the others are still returned;
+ * 503 only when no plant answered.
+ */
+import { Router } from 'express';
+import { listPlants } from './plants.js';
+import { fanOutToPlants, consolidate } from './consolidated.js';
+import {
+  fetchLatestMachineStatus,
+  fetchInventoryByGroup,
+  fetchClientwiseStock,
+  fetchCompletedDeliveryAmounts,
+  fetchProcessOtif
+} from './plant-reports.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const plantsFilter = v.array(v.database(), { commaSeparated: true, minItems: 1 })
+  .optional()
+  .describe('Comma-separated plant keys; default all plants');
+const dateRange = {
+  fromDate: v.date(),
+  toDate: v.date()
+};
+
+function selectedPlants(req) {
+  const keys = req.valid.query.plants;
+  return listPlants().filter((plant) => !keys || keys.includes(plant.key));
+}
+
+function checkDateRange(req, res) {
+  const { fromDate, toDate } = req.valid.query;
+  if (fromDate > toDate) {
+    res.status(400).json({ status: false, error: 'fromDate cannot be after toDate' });
+    return false;
+  }
+  return true;
+}
+
+async function sendConsolidated(req, res, { report, fetchPlant, totals }) {
+  const plants = selectedPlants(req);
+  try {
+    const results = await fanOutToPlants(plants, fetchPlant);
+    const body = consolidate(results, { totals });
+    console.log(`[CONSOLIDATED] ${report}`, {
+      plants: body.plants.map((p) => `${p.plant}:${p.status}`).join(','),
+      records: body.records.length
+    });
+    return res.status(body.status ? 200 : 503).json(body);
+  } catch (err) {
+    console.error(`[CONSOLIDATED] ${report} failed:`, err);
+    return res.status(500).json({ status: false, error: `Failed to build consolidated ${report}` });
+  }
+}
+
+router.get('/consolidated/machine-status', validate({
+  summary: 'Latest machine status across plants',
+  query: v.object({ plants: plantsFilter })
+}), (req, res) => sendConsolidated(req, res, {
+  report: 'machine-status',
+  fetchPlant: (plant) => fetchLatestMachineStatus(plant.key)
+}));
+
+router.get('/consolidated/inventory-summary/group', validate({
+  summary: 'Item-group stock movement across plants',
+  query: v.object({ ...dateRange, plants: plantsFilter })
+}), (req, res) => {
+  if (!checkDateRange(req, res)) return;
+  const { fromDate, toDate } = req.valid.query;
+  return sendConsolidated(req, res, {
+    report: 'inventory-summary/group',
+    fetchPlant: (plant) => fetchInventoryByGroup(plant.key, { fromDate, toDate }),
+    totals: { fields: ['openingKg', 'stockInKg', 'stockOutKg', 'closingKg'], groupBy: { byItemGroup: 'itemGroup' } }
+  });
+});
+
+router.get('/consolidated/inventory-summary/clientwise', validate({
+  summary: 'Client-wise stock movement across plants',
+  query: v.object({
+    ...dateRange,
+    companyId: v.id().optional().describe("Default: each plant's companyId from plants.json"),
+    plants: plantsFilter
+  })
+}), (req, res) => {
+  if (!checkDateRange(req, res)) return;
+  const { fromDate, toDate, companyId } = req.valid.query;
+  return sendConsolidated(req, res, {
+    report: 'inventory-summary/clientwise',
+    fetchPlant: (plant) => fetchClientwiseStock(plant.key, { fromDate, toDate, companyId: companyId ?? plant.companyId }),
+    totals: { fields: ['openingStockKg', 'receiptKg', 'issueKg', 'closingStockKg'] }
+  });
+});
+
+router.get('/consolidated/grn/completed-delivery-amount', validate({
+  summary: 'Completed dispatch vouchers and delivery amounts across plants',
+  query: v.object({ plants: plantsFilter })
+}), (req, res) => sendConsolidated(req, res, {
+  report: 'grn/completed-delivery-amount',
+  fetchPlant: (plant) => fetchCompletedDeliveryAmounts(plant.key),
+  totals: { fields: ['deliveryAmount'], groupBy: { byTransportType: 'transportType' } }
+}));
+
+router.get('/consolidated/process-otif', validate({
+  summary: 'Process OTIF rows across plants',
+  query: v.object({ plants: plantsFilter })
+}), (req, res) => sendConsolidated(req, res, {
+  report: 'process-otif',
+  fetchPlant: (plant) => fetchProcessOtif(plant.key)
+}));
+
+export default router;
@@ -0,0 +1,100 @@
+/**
+ * CRM user administration (admin, see auth-policy.js) for the WhatsApp / email intimation tool.
+ * - GET /admin/crm-users — every CRM user with plants, sender details and client portfolio
+ * - POST /admin/crm-users — new user; body: { username, password, displayName?, erpUsername?, plants?,
+ *   defaultPlant?, senderPhone?, signature?, clientLedgerIds?, allClients?, active? }
+ * - PUT /admin/crm-users/:username — change any of those fields (the seeded users log in once a password is set)
+ * - DELETE /admin/crm-users/:username
+ */
+import { Router } from 'express';
+import { listCrmUsers, createCrmUser, updateCrmUser, deleteCrmUser } from './crm-users.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const userFields = {
+  displayName: v.string({ maxLength: 100 }).optional(),
+  erpUsername: v.string({ minLength: 1 }).optional().describe('Name for comm_get_user_credentials (default username)'),
+  password: v.string({ minLength: 1, trim: false }).optional().describe('The login must send it'),
+  plants: v.array(v.database(), { minItems: 1 }).optional().describe('Default KOL'),
+  defaultPlant: v.database().optional(),
+  senderPhone: v.string().optional().describe('{{senderPhone}} in the message templates'),
+  signature: v.string({ maxLength: 200 }).optional().describe('{{senderName}} in the message templates'),
+  clientLedgerIds: v.array(v.id()).optional().describe('Client portfolio (ERP ClientLedgerID)'),
+  allClients: v.boolean().optional().describe('See every client instead of the portfolio'),
+  active: v.boolean().optional()
+};
+
+function handleError(res, err, action) {
+  if (err.code === 'CRM_STORE_UNAVAILABLE') {
+    return res.status(503).json({ status: false, error: 'CRM user store is unavailable' });
+  }
+  if (err.code === 'INVALID_CRM_USER') {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  if (err.code === 'CRM_USER_EXISTS') {
+    return res.status(409).json({ status: false, error: err.message });
+  }
+  console.error(`[CRM-USERS] ${action} failed:`, err);
+  return res.status(500).json({ status: false, error: `Failed to ${action.toLowerCase()}` });
+}
+
+router.get('/admin/crm-users', validate({
+  summary: 'CRM users of the intimation tool'
+}), async (req, res) => {
+  try {
+    const users = await listCrmUsers();
+    return res.json({ status: true, users });
+  } catch (err) {
+    return handleError(res, err, 'List CRM users');
+  }
+});
+
+router.post('/admin/crm-users', validate({
+  summary: 'Add a CRM user',
+  body: v.object({
+    username: v.string({ minLength: 1, maxLength: 100 }),
+    ...userFields,
+    password: v.string({ minLength: 1, trim: false }).describe('The login must send it; users without one cannot log in')
+  })
+}), async (req, res) => {
+  try {
+    const user = await createCrmUser(req.valid.body, req.auth?.name);
+    return res.status(201).json({ status: true, user });
+  } catch (err) {
+    return handleError(res, err, 'Create CRM user');
+  }
+});
+
+router.put('/admin/crm-users/:username', validate({
+  summary: 'Change a CRM user',
+  params: v.object({ username: v.string() }),
+  body: v.object(userFields)
+}), async (req, res) => {
+  try {
+    const user = await updateCrmUser(req.valid.params.username, req.valid.body, req.auth?.name);
+    if (!user) {
+      return res.status(404).json({ status: false, error: 'CRM user not found' });
+    }
+    return res.json({ status: true, user });
+  } catch (err) {
+    return handleError(res, err, 'Update CRM user');
+  }
+});
+
+router.delete('/admin/crm-users/:username', validate({
+  summary: 'Remove a CRM user',
+  params: v.object({ username: v.string() })
+}), async (req, res) => {
+  try {
+    const deleted = await deleteCrmUser(req.valid.params.username, req.auth?.name);
+    if (!deleted) {
+      return res.status(404).json({ status: false, error: 'CRM user not found' });
+    }
+    return res.json({ status: true });
+  } catch (err) {
+    return handleError(res, err, 'Delete CRM user');
+  }
+});
+
+export default router;
@@ -0,0 +1,198 @@
+/**
+ * Machine downtime API (downtime.js): operators say why a machine is idle.
+ * - GET /downtime/reasons — active reasons (?includeInactive=true for all)
+ * - POST /admin/downtime/reasons { code, label, planned?, active?, sortOrder? }, PUT /admin/downtime/reasons/:code
+ *   (admin) — the reason master; reasons are retired with active: false rather than deleted
+ * - POST /downtime/open { database, MachineID, reasonCode, UserID?, EmployeeID?, operatorName?, notes?, startedAt? }
+ *   — 409 with the open event when the machine already has one
+ * - POST /downtime/close { database, MachineID | eventId, reasonCode?, notes?, endedAt? } — 404 when nothing is open
+ * - GET /downtime/open?database=KOL&machineIds=12,15 — open events (all machines when machineIds is left out)
+ * - GET /downtime/events — history newest first; filters: machineId, reasonCode, open, from, to, limit, before (cursor)
+ * - GET /downtime/report?database=KOL&from=&to=&groupBy=machine,reason,shift,date — minutes per group
+ * Opening and closing refreshes the machine on the floor screens (machine-floor-feed.js).
+ */
+import { Router } from 'express';
+import {
+  listReasons, createReason, updateReason, openDowntime, closeDowntime, listOpenDowntime, queryDowntime,
+  downtimeReport, REPORT_GROUPS
+} from './downtime.js';
+import { notifyProductionEvent } from './machine-floor-feed.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const reasonFields = {
+  label: v.string({ minLength: 1, maxLength: 100 }),
+  planned: v.boolean().optional().describe('Planned stop: left out of the OEE availability loss'),
+  active: v.boolean().optional(),
+  sortOrder: v.integer().optional()
+};
+
+function handleError(res, err, action) {
+  if (err.code === 'DOWNTIME_STORE_UNAVAILABLE') {
+    return res.status(503).json({ status: false, error: 'Downtime store is unavailable' });
+  }
+  if (['INVALID_DOWNTIME', 'INVALID_DOWNTIME_REASON', 'UNKNOWN_DOWNTIME_REASON', 'INVALID_FILTER', 'INVALID_SHIFTS'].includes(err.code)) {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  if (err.code === 'DOWNTIME_ALREADY_OPEN') {
+    return res.status(409).json({ status: false, error: err.message, event: err.event });
+  }
+  if (err.code === 'DOWNTIME_REASON_EXISTS') {
+    return res.status(409).json({ status: false, error: err.message });
+  }
+  console.error(`[DOWNTIME] ${action} failed:`, err);
+  return res.status(500).json({ status: false, error: `Failed to ${action.toLowerCase()}` });
+}
+
+router.get('/downtime/reasons', validate({
+  summary: 'Downtime reasons',
+  query: v.object({ includeInactive: v.boolean().default(false) })
+}), async (req, res) => {
+  try {
+    const reasons = await listReasons(req.valid.query);
+    return res.json({ status: true, reasons });
+  } catch (err) {
+    return handleError(res, err, 'List downtime reasons');
+  }
+});
+
+router.post('/admin/downtime/reasons', validate({
+  summary: 'Add a downtime reason',
+  body: v.object({ code: v.string({ minLength: 1, maxLength: 50 }).describe('e.g. no-material'), ...reasonFields })
+}), async (req, res) => {
+  try {
+    const reason = await createReason(req.valid.body, req.auth?.name);
+    return res.status(201).json({ status: true, reason });
+  } catch (err) {
+    return handleError(res, err, 'Create downtime reason');
+  }
+});
+
+router.put('/admin/downtime/reasons/:code', validate({
+  summary: 'Change a downtime reason',
+  params: v.object({ code: v.string() }),
+  body: v.object({ ...reasonFields, label: reasonFields.label.optional() })
+}), async (req, res) => {
+  try {
+    const reason = await updateReason(req.valid.params.code, req.valid.body, req.auth?.name);
+    if (!reason) {
+      return res.status(404).json({ status: false, error: 'Downtime reason not found' });
+    }
+    return res.json({ status: true, reason });
+  } catch (err) {
+    return handleError(res, err, 'Update downtime reason');
+  }
+});
+
+router.post('/downtime/open', validate({
+  summary: 'Open a downtime event for a machine',
+  body: v.object({
+    database: v.database(),
+    MachineID: v.id(),
+    reasonCode: v.string({ minLength: 1 }),
+    UserID: v.integer().optional(),
+    EmployeeID: v.integer().optional(),
+    operatorName: v.string({ maxLength: 100 }).optional(),
+    notes: v.string({ maxLength: 1000 }).optional(),
+    startedAt: v.string().optional().describe('ISO time the machine stopped (default now)')
+  })
+}), async (req, res) => {
+  try {
+    const { database, MachineID, UserID, EmployeeID, operatorName, ...rest } = req.valid.body;
+    const event = await openDowntime({
+      ...rest,
+      database,
+      machineId: MachineID,
+      operator: { userId: UserID, employeeId: EmployeeID, name: operatorName }
+    }, req.auth?.name);
+    notifyProductionEvent({ database, type: 'downtime-open', machineId: MachineID });
+    return res.status(201).json({ status: true, event });
+  } catch (err) {
+    return handleError(res, err, 'Open downtime');
+  }
+});
+
+router.post('/downtime/close', validate({
+  summary: 'Close the open downtime event of a machine',
+  body: v.object({
+    database: v.database(),
+    MachineID: v.id().optional(),
+    eventId: v.string().optional(),
+    reasonCode: v.string({ minLength: 1 }).optional().describe('Corrects the reason'),
+    notes: v.string({ maxLength: 1000 }).optional(),
+    endedAt: v.string().optional().describe('ISO time the machine ran again (default now)')
+  })
+}), async (req, res) => {
+  const { database, MachineID, eventId, ...rest } = req.valid.body;
+  if (MachineID == null && !eventId) {
+    return res.status(400).json({ status: false, error: 'MachineID or eventId is required' });
+  }
+  try {
+    const event = await closeDowntime({ ...rest, database, machineId: MachineID, eventId }, req.auth?.name);
+    if (!event) {
+      return res.status(404).json({ status: false, error: 'No open downtime for the machine' });
+    }
+    notifyProductionEvent({ database, type: 'downtime-close', machineId: event.machineId });
+    return res.json({ status: true, event });
+  } catch (err) {
+    return handleError(res, err, 'Close downtime');
+  }
+});
+
+router.get('/downtime/open', validate({
+  summary: 'Open downtime events',
+  query: v.object({
+    database: v.database().default('KOL'),
+    machineIds: v.array(v.id(), { commaSeparated: true }).optional().describe('Comma-separated MachineIDs')
+  })
+}), async (req, res) => {
+  try {
+    const events = await listOpenDowntime(req.valid.query.database, req.valid.query.machineIds);
+    return res.json({ status: true, count: events.length, events });
+  } catch (err) {
+    return handleError(res, err, 'List open downtime');
+  }
+});
+
+router.get('/downtime/events', validate({
+  summary: 'Downtime events, newest first',
+  query: v.object({
+    database: v.database().default('KOL'),
+    machineId: v.id().optional(),
+    reasonCode: v.string().optional(),
+    open: v.boolean().optional(),
+    from: v.date().optional().describe('Started on or after (plant time zone)'),
+    to: v.date().optional().describe('Started on or before'),
+    before: v.string().optional().describe('nextCursor of the previous page'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 500')
+  })
+}), async (req, res) => {
+  try {
+    const { events, nextCursor } = await queryDowntime(req.valid.query);
+    return res.json({ status: true, count: events.length, nextCursor, events });
+  } catch (err) {
+    return handleError(res, err, 'List downtime');
+  }
+});
+
+router.get('/downtime/report', validate({
+  summary: 'Downtime minutes by machine, reason, shift and/or date',
+  query: v.object({
+    database: v.database().default('KOL'),
+    from: v.date(),
+    to: v.date(),
+    groupBy: v.array(v.enum(REPORT_GROUPS), { commaSeparated: true, minItems: 1 }).default(['machine', 'reason']),
+    machineId: v.id().optional(),
+    reasonCode: v.string().optional()
+  })
+}), async (req, res) => {
+  try {
+    const report = await downtimeReport(req.valid.query);
+    return res.json({ status: true, ...report });
+  } catch (err) {
+    return handleError(res, err, 'Build downtime report');
+  }
+});
+
+export default router;
@@ -1,24 +1,20 @@
 /**
  * Google Sheet Data API
  * Fetches data from MSSQL and returns 2D arrays suitable for Google Sheets.
- * All endpoints accept ?database=KOL|AHM (default: KOL).
+ * All endpoints accept ?database=<plant key> (see plants.json; default: KOL).
  */
 import { Router } from 'express';
 import { getPool } from './db.js';
 import sql from 'mssql';
+import { getPlant } from './plants.js';
+import { fetchProcessOtif } from './plant-reports.js';
+import { oeeReport, OEE_GROUPS } from './oee.js';
+import { zonedParts } from './cron.js';
+import { validate, v } from './validation.js';
 
 const router = Router();
 
-const DEFAULT_DATABASE = 'KOL';
-const ALLOWED_DATABASES = ['KOL', 'AHM'];
-
-function getDbFromQuery(req) {
-  const db = (req.query?.database || DEFAULT_DATABASE).toString().trim().toUpperCase();
-  if (!ALLOWED_DATABASES.includes(db)) {
-    return null;
-  }
-  return db;
-}
+const databaseQuery = v.object({ database: v.database().default('KOL') });
 
 /**
  * Converts a recordset (array of row objects) into a 2D array for Google Sheets.
@@ -40,11 +36,11 @@ function recordsetTo2DArray(recordset) {
  * Runs dbo.GetProcessOTIF with StartDate = 6 months ago, EndDate = yesterday.
  * Returns 2D array (headers + rows) for Google Sheets.
  */
-router.get('/google-sheet/process-otif', async (req, res) => {
-  const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
+router.get('/google-sheet/process-otif', validate({
+  summary: 'Process OTIF (dbo.GetProcessOTIFv3) as a 2D array',
+  query: databaseQuery
+}), async (req, res) => {
+  const db = req.valid.query.database;
 
   // const endDate = new Date();
   // endDate.setDate(endDate.getDate() - 1); // yesterday
@@ -61,12 +57,8 @@ router.get('/google-sheet/process-otif', async (req, res) => {
   // const endDateStr = formatDate(endDate);
 
   try {
-    const pool = await getPool(db);
-    const request = pool.request();
-    // request.input('StartDate', sql.VarChar(20), startDateStr);
-    // request.input('EndDate', sql.VarChar(20), endDateStr);
-    const result = await request.execute('dbo.GetProcessOTIFv3');
-    const recordset = result.recordset ?? [];
+    // fetchProcessOtif (plant-reports.js) runs dbo.GetProcessOTIFv3 without a date range
+    const recordset = await fetchProcessOtif(db);
     const data = recordsetTo2DArray(recordset);
     return res.json({ data });
   } catch (e) {
@@ -77,11 +69,11 @@ router.get('/google-sheet/process-otif', async (req, res) => {
 
 
 
-router.get('/google-sheet/process-otif2', async (req, res) => {
-  const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
+router.get('/google-sheet/process-otif2', validate({
+  summary: 'Process OTIF (dbo.GetProcessOTIFv2) as a 2D array',
+  query: databaseQuery
+}), async (req, res) => {
+  const db = req.valid.query.database;
 
   // const endDate = new Date();
   // endDate.setDate(endDate.getDate() - 1); // yesterday
@@ -118,16 +110,14 @@ router.get('/google-sheet/process-otif2', async (req, res) => {
  * Runs dbo.GetMachineScheduleData with @MachineID.
  * Returns 2D array (headers + rows) for Google Sheets.
  */
-router.get('/google-sheet/machine-schedule', async (req, res) => {
-  const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
-  const machineId = req.query?.machineId;
-  if (machineId === undefined || machineId === null || String(machineId).trim() === '') {
-    return res.status(400).json({ error: 'machineId is required' });
-  }
-  const machineIdStr = String(machineId).trim();
+router.get('/google-sheet/machine-schedule', validate({
+  summary: 'Machine schedule (dbo.GetMachineScheduleData) as a 2D array',
+  query: v.object({
+    database: v.database().default('KOL'),
+    machineId: v.string({ minLength: 1 }).describe('MachineID; non-numeric values are passed as text')
+  })
+}), async (req, res) => {
+  const { database: db, machineId: machineIdStr } = req.valid.query;
   const machineIdNum = parseInt(machineIdStr, 10);
   const isNumeric = !Number.isNaN(machineIdNum) && String(machineIdNum) === machineIdStr;
 
@@ -149,4 +139,60 @@ router.get('/google-sheet/machine-schedule', async (req, res) => {
   }
 });
 
+const OEE_SHEET_DAYS = 30;
+
+// Plant date `daysAgo` days before today, YYYY-MM-DD
+function plantDate(db, daysAgo) {
+  const p = zonedParts(new Date(), getPlant(db)?.timezone || 'Asia/Kolkata');
+  return new Date(Date.UTC(p.year, p.month - 1, p.day - daysAgo)).toISOString().slice(0, 10);
+}
+
+/**
+ * GET /api/google-sheet/oee?database=KOL&from=2026-09-01&to=2026-09-30&groupBy=date,machine
+ * OEE rows (oee.js) for the last 30 days up to today unless from/to are given.
+ * groupBy: machine, shift, date, process (default date,machine). Ratios are 0-1, blank when unknown.
+ */
+router.get('/google-sheet/oee', validate({
+  summary: 'OEE rows (oee.js) as a 2D array',
+  query: v.object({
+    database: v.database().default('KOL'),
+    from: v.date().optional().describe(`Default ${OEE_SHEET_DAYS - 1} days before today`),
+    to: v.date().optional().describe('Inclusive; default today'),
+    groupBy: v.array(v.enum(OEE_GROUPS), { commaSeparated: true }).default(['date', 'machine'])
+  })
+}), async (req, res) => {
+  const { database: db, groupBy } = req.valid.query;
+  const from = req.valid.query.from || plantDate(db, OEE_SHEET_DAYS - 1);
+  const to = req.valid.query.to || plantDate(db, 0);
+
+  try {
+    const { rows } = await oeeReport({ database: db, from, to, groupBy });
+    const recordset = rows.map(r => ({
+      ...(groupBy.includes('date') ? { Date: r.date } : {}),
+      ...(groupBy.includes('shift') ? { Shift: r.shift } : {}),
+      ...(groupBy.includes('machine') ? { MachineID: r.machineId, MachineName: r.machineName } : {}),
+      ...(groupBy.includes('process') ? { ProcessID: r.processId, ProcessName: r.processName } : {}),
+      PlannedMinutes: r.plannedMinutes,
+      RunMinutes: r.runMinutes,
+      PlannedDowntimeMinutes: r.plannedDowntimeMinutes,
+      UnplannedDowntimeMinutes: r.unplannedDowntimeMinutes,
+      TotalQty: r.totalQty,
+      GoodQty: r.goodQty,
+      RejectedQty: r.rejectedQty,
+      Availability: r.availability,
+      Performance: r.performance,
+      Quality: r.quality,
+      OEE: r.oee
+    }));
+    const data = recordsetTo2DArray(recordset);
+    return res.json({ data });
+  } catch (e) {
+    if (e.code === 'INVALID_FILTER') {
+      return res.status(400).json({ error: e.message });
+    }
+    console.error('[google-sheet] oee failed:', e);
+    return res.status(500).json({ error: e.message || 'Failed to fetch OEE' });
+  }
+});
+
 export default router;
@@ -2,6 +2,7 @@ import { Router } from 'express';
 import multer from 'multer';
 import OpenAI from 'openai';
 import { PDFParse } from 'pdf-parse';
+import { validate, v } from './validation.js';
 
 const router = Router();
 
@@ -146,9 +147,12 @@ async function compareInputsWithAI(clientText, jobCardText, internalJobCardJson)
   return JSON.parse(raw);
 }
 
-router.post('/job-card-compare/extract', upload.single('file'), async (req, res) => {
+router.post('/job-card-compare/extract', upload.single('file'), validate({
+  summary: 'Text of a client artwork/PO (text, or an image, PDF or text file in multipart field "file")',
+  body: v.object({ text: v.string().optional().describe('Used instead of the file') })
+}), async (req, res) => {
   try {
-    const textFromBody = normalizeText(req.body?.text);
+    const textFromBody = normalizeText(req.valid.body.text);
     if (textFromBody) {
       return res.json({ text: textFromBody, source: 'text' });
     }
@@ -179,12 +183,20 @@ router.post('/job-card-compare/extract', upload.single('file'), async (req, res)
   }
 });
 
-router.post('/job-card-compare/compare', async (req, res) => {
+router.post('/job-card-compare/compare', validate({
+  summary: 'AI comparison of client text with a job card',
+  description: 'Send jobCardText, or internalJobCardJson (the job card as returned by GET /job-card)',
+  body: v.object({
+    clientText: v.string({ minLength: 1 }),
+    jobCardText: v.string().optional(),
+    internalJobCardJson: v.object({}).optional()
+  })
+}), async (req, res) => {
   try {
-    const clientText = normalizeText(req.body?.clientText);
-    const jobCardText = normalizeText(req.body?.jobCardText);
-    const internalJobCardJson = req.body?.internalJobCardJson;
-    if (!clientText || (!jobCardText && !internalJobCardJson)) {
+    const clientText = normalizeText(req.valid.body.clientText);
+    const jobCardText = normalizeText(req.valid.body.jobCardText);
+    const { internalJobCardJson } = req.valid.body;
+    if (!jobCardText && !internalJobCardJson) {
       return res.status(400).json({ error: 'clientText and either jobCardText or internalJobCardJson are required.' });
     }
     const result = await compareInputsWithAI(clientText, jobCardText, internalJobCardJson);
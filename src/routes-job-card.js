@@ -1,10 +1,12 @@
 /**
  * Job Card API: packaging job card from ProductionWorkOrderPrint + ItemDetails, OperationDetails, AllocateMaterial, ToolAllocation, PaperFlow, RawMaterialQC.
+ * GET /job-card/labels prints the QR / barcode labels of the job card components (job-card-labels.js).
  * rawMaterialQCDetails: array from GetRawMaterialQC_ByJobBooking; each row has transactionDetailId, itemName, voucherNo, auditDate, remarks, overallStatus, qaStatus (OK if all OK/NA per transactionDetailId else Not OK), qaDate. Render below Paper Flow on print.
  */
 import { Router } from 'express';
 import { getPool } from './db.js';
 import sql from 'mssql';
+import { sendCachedLookup } from './lookup-cache.js';
 import {
   ItemDetailsQuery,
   OperationDetailsQuery,
@@ -15,11 +17,19 @@ import {
   GangJobPaperDetailsQuery,
   JobCardSearchQuery,
   SalesPersonsFilterQuery,
-  ClientNamesFilterQuery
+  ClientNamesFilterQuery,
+  JobNumberByContentNoQuery
 } from './job-card-queries.js';
+import { renderLabelPage, renderLabelsPdf, labelPageCount, LABEL_LAYOUTS, SYMBOLOGIES } from './job-card-labels.js';
+import { validate, v } from './validation.js';
 
 const router = Router();
 const COMPANY_ID = '2';
+const MAX_LABEL_COPIES = 100;
+const MAX_LABEL_PDF_PAGES = 50;
+const JOB_STATUSES = ['pending', 'completed', 'cancelled'];
+
+const databaseQuery = v.object({ database: v.database().default('KOL') });
 
 /** Tedious merges duplicate column names into arrays; normalize to a scalar. */
 function normalizeCell(val) {
@@ -121,18 +131,20 @@ function dedupeSizeString(s) {
 }
 
 /** GET /api/job-card/filters/sales-persons?database=KOL */
-router.get('/job-card/filters/sales-persons', async (req, res) => {
-  const { database } = req.query || {};
-  const db = (str(database) || 'KOL').toUpperCase();
-  if (db !== 'KOL' && db !== 'AHM') return res.status(400).json({ error: 'database must be KOL or AHM' });
+router.get('/job-card/filters/sales-persons', validate({
+  summary: 'Sales persons for the job card search filter',
+  query: databaseQuery
+}), async (req, res) => {
+  const db = req.valid.query.database;
   try {
-    const pool = await getPool(db);
-    const result = await pool.request().query(SalesPersonsFilterQuery);
-    const rows = (result.recordset || []).map(r => ({
-      ledgerName: str(get(r, 'LedgerName')),
-      ledgerID: get(r, 'LedgerID')
-    }));
-    return res.json(rows);
+    return await sendCachedLookup(req, res, { lookup: 'job-card/sales-persons', plant: db }, async () => {
+      const pool = await getPool(db);
+      const result = await pool.request().query(SalesPersonsFilterQuery);
+      return (result.recordset || []).map(r => ({
+        ledgerName: str(get(r, 'LedgerName')),
+        ledgerID: get(r, 'LedgerID')
+      }));
+    });
   } catch (e) {
     console.error('[job-card] sales-persons filter failed:', e);
     return res.status(500).json({ error: e.message || 'Failed' });
@@ -140,17 +152,19 @@ router.get('/job-card/filters/sales-persons', async (req, res) => {
 });
 
 /** GET /api/job-card/filters/client-names?database=KOL */
-router.get('/job-card/filters/client-names', async (req, res) => {
-  const { database } = req.query || {};
-  const db = (str(database) || 'KOL').toUpperCase();
-  if (db !== 'KOL' && db !== 'AHM') return res.status(400).json({ error: 'database must be KOL or AHM' });
+router.get('/job-card/filters/client-names', validate({
+  summary: 'Client names for the job card search filter',
+  query: databaseQuery
+}), async (req, res) => {
+  const db = req.valid.query.database;
   try {
-    const pool = await getPool(db);
-    const request = pool.request();
-    request.input('CompanyID', sql.NVarChar(10), COMPANY_ID);
-    const result = await request.query(ClientNamesFilterQuery);
-    const rows = (result.recordset || []).map(r => str(get(r, 'LedgerName'))).filter(Boolean);
-    return res.json(rows);
+    return await sendCachedLookup(req, res, { lookup: 'job-card/client-names', plant: db }, async () => {
+      const pool = await getPool(db);
+      const request = pool.request();
+      request.input('CompanyID', sql.NVarChar(10), COMPANY_ID);
+      const result = await request.query(ClientNamesFilterQuery);
+      return (result.recordset || []).map(r => str(get(r, 'LedgerName'))).filter(Boolean);
+    });
   } catch (e) {
     console.error('[job-card] client-names filter failed:', e);
     return res.status(500).json({ error: e.message || 'Failed' });
@@ -159,20 +173,26 @@ router.get('/job-card/filters/client-names', async (req, res) => {
 
 /** GET /api/job-card/search?jobBookingNo=&clientName=&salesPersonID=&fromJobDate=&toJobDate=&jobStatus=&database=KOL
  *  jobStatus filter: pending | completed | cancelled — matches SQL status Pending | Closed | Cancelled */
-router.get('/job-card/search', async (req, res) => {
-  const { jobBookingNo, clientName, salesPersonID, fromJobDate, toJobDate, jobStatus, database } = req.query || {};
-  const db = (str(database) || 'KOL').toUpperCase();
-  const normalizedJobStatus = str(jobStatus).toLowerCase();
-  if (normalizedJobStatus && !['pending', 'completed', 'cancelled'].includes(normalizedJobStatus)) {
-    return res.status(400).json({ error: 'jobStatus must be pending, completed (Closed), or cancelled' });
-  }
-  if (db !== 'KOL' && db !== 'AHM') return res.status(400).json({ error: 'database must be KOL or AHM' });
+router.get('/job-card/search', validate({
+  summary: 'Search job cards',
+  query: v.object({
+    database: v.database().default('KOL'),
+    jobBookingNo: v.string().optional(),
+    clientName: v.string().optional(),
+    salesPersonID: v.integer().optional(),
+    fromJobDate: v.string().optional(),
+    toJobDate: v.string().optional(),
+    jobStatus: v.enum(JOB_STATUSES, { lowerCase: true }).optional()
+      .describe('completed matches SQL status Closed')
+  })
+}), async (req, res) => {
+  const { jobBookingNo, clientName, salesPersonID, fromJobDate, toJobDate, jobStatus: normalizedJobStatus, database: db } = req.valid.query;
   try {
     const pool = await getPool(db);
     const request = pool.request();
-    request.input('JobBookingNo', sql.NVarChar(50), str(jobBookingNo) || null);
-    request.input('ClientName', sql.NVarChar(200), str(clientName) || null);
-    request.input('SalesPersonID', sql.Int, salesPersonID === '' || salesPersonID == null ? null : parseInt(salesPersonID, 10));
+    request.input('JobBookingNo', sql.NVarChar(50), jobBookingNo || null);
+    request.input('ClientName', sql.NVarChar(200), clientName || null);
+    request.input('SalesPersonID', sql.Int, salesPersonID ?? null);
     const fromDate = str(fromJobDate) ? new Date(fromJobDate) : null;
     const toDate = str(toJobDate) ? new Date(toJobDate) : null;
     request.input('FromJobDate', sql.Date, fromDate && !isNaN(fromDate.getTime()) ? fromDate : null);
@@ -233,15 +253,108 @@ router.get('/job-card/search', async (req, res) => {
   }
 });
 
-router.get('/job-card', async (req, res) => {
-  const { jobNumber, type, database } = req.query || {};
-  const jobNo = str(jobNumber);
-  const cardType = (str(type) || '').toLowerCase();
-  const db = (str(database) || 'KOL').toUpperCase();
+/** Labels of the job card components (one per JobBookingJobCardContentsID) in ProductionWorkOrderPrint rows;
+ *  a single row without the column is labelled as the whole job. */
+function labelsFromWorkOrder(rows, jobNo) {
+  const seen = new Set();
+  return rows
+    .filter((r) => {
+      const id = get(r, 'JobBookingJobCardContentsID');
+      if (id == null) return rows.length === 1;
+      if (seen.has(id)) return false;
+      seen.add(id);
+      return true;
+    })
+    .map((r) => ({
+      jobCardContentNo: str(get(r, 'JobCardContentNo')) || jobNo,
+      jobNumber: str(get(r, 'JobBookingNo')) || jobNo,
+      client: str(get(r, 'LedgerName')),
+      jobName: str(get(r, 'JobName')),
+      component: str(pickCol(r, 'PlanContName', 'ContentName')),
+      formNo: str(pickCol(r, 'FormNo', 'Forms', 'NoOfForms')),
+      quantity: str(pickCol(r, 'OrderQuantity', 'Quantity'))
+    }));
+}
+
+/** GET /api/job-card/labels?jobNumber=|jobCardContentNo=&database=KOL&layout=a4-2x7&format=pdf&symbology=qr&copies=1&startPosition=1&page=1
+ *  Print-ready labels of a job's components (or of one JobCardContentNo); see job-card-labels.js for the layouts.
+ *  format=png answers one page (page=, X-Page-Count header); startPosition skips used labels on an A4 sheet. */
+router.get('/job-card/labels', validate({
+  summary: 'QR / barcode labels of a job card',
+  description: 'One of jobNumber or jobCardContentNo is required.',
+  query: v.object({
+    database: v.database().default('KOL'),
+    jobNumber: v.string().optional(),
+    jobCardContentNo: v.string().optional(),
+    layout: v.enum(Object.keys(LABEL_LAYOUTS)).default('a4-2x7'),
+    format: v.enum(['pdf', 'png'], { lowerCase: true }).default('pdf'),
+    symbology: v.enum(SYMBOLOGIES, { lowerCase: true }).default('qr'),
+    copies: v.integer({ min: 1, max: MAX_LABEL_COPIES }).default(1),
+    startPosition: v.integer().default(1).describe('First free label on the A4 sheet'),
+    page: v.integer({ min: 1 }).default(1).describe('format=png only')
+  })
+}), async (req, res) => {
+  const {
+    database: db, jobNumber, jobCardContentNo: contentNo, layout: labelLayout, format: outputFormat,
+    symbology: code, copies: copyCount, startPosition: firstPosition, page: pageNo
+  } = req.valid.query;
+  if (!jobNumber && !contentNo) return res.status(400).json({ error: 'jobNumber or jobCardContentNo is required' });
+
+  try {
+    const pool = await getPool(db);
+    let jobNo = jobNumber;
+    if (!jobNo) {
+      const request = pool.request();
+      request.input('JobCardContentNo', sql.NVarChar(100), contentNo);
+      request.input('CompanyID', sql.NVarChar(10), COMPANY_ID);
+      const lookup = await request.query(JobNumberByContentNoQuery);
+      jobNo = str(get(lookup.recordset?.[0], 'JobBookingNo'));
+      if (!jobNo) return res.status(404).json({ error: `Job card ${contentNo} not found` });
+    }
+
+    const request = pool.request();
+    request.input('JobNumber', sql.NVarChar(100), jobNo);
+    const procResult = await request.query("EXEC dbo.ProductionWorkOrderPrint 1, @JobNumber, '2'");
+    const rows = procResult.recordset || [];
+    if (!rows.length) return res.status(404).json({ error: 'Job not found' });
+
+    let labels = labelsFromWorkOrder(rows, jobNo);
+    if (contentNo) labels = labels.filter((l) => l.jobCardContentNo.toUpperCase() === contentNo.toUpperCase());
+    if (!labels.length) return res.status(404).json({ error: `Job card ${contentNo} not found in job ${jobNo}` });
+    labels = labels.flatMap((l) => Array(copyCount).fill(l));
+    const options = { layout: labelLayout, symbology: code, startPosition: firstPosition };
+    const pageCount = labelPageCount(labels.length, options);
+    console.log('[job-card] labels', { jobNo, contentNo: contentNo || null, layout: labelLayout, format: outputFormat, labels: labels.length, pages: pageCount });
+    const fileName = `job-card-labels-${(contentNo || jobNo).replace(/[^A-Za-z0-9_-]+/g, '-')}`;
+    res.set('X-Page-Count', String(pageCount));
+    if (outputFormat === 'pdf') {
+      if (pageCount > MAX_LABEL_PDF_PAGES) {
+        return res.status(400).json({ error: `At most ${MAX_LABEL_PDF_PAGES} pages per PDF (${pageCount} requested); use fewer copies or format=png` });
+      }
+      const pdf = await renderLabelsPdf(labels, options);
+      res.set('Content-Disposition', `inline; filename="${fileName}.pdf"`);
+      return res.type('application/pdf').send(pdf);
+    }
+    if (pageNo > pageCount) return res.status(400).json({ error: `page must be between 1 and ${pageCount}` });
+    const image = await renderLabelPage(labels, { ...options, page: pageNo });
+    res.set('Content-Disposition', `inline; filename="${fileName}-${pageNo}.png"`);
+    return res.type('image/png').send(await image.getBuffer('image/png'));
+  } catch (e) {
+    if (e.code === 'INVALID_LABEL_REQUEST') return res.status(400).json({ error: e.message });
+    console.error('[job-card] labels failed:', e);
+    return res.status(500).json({ error: 'Failed to print labels', message: e.message || String(e) });
+  }
+});
 
-  if (!jobNo) return res.status(400).json({ error: 'jobNumber is required' });
-  if (cardType !== 'packaging' && cardType !== 'commercial') return res.status(400).json({ error: 'type must be packaging or commercial' });
-  if (db !== 'KOL' && db !== 'AHM') return res.status(400).json({ error: 'database must be KOL or AHM' });
+router.get('/job-card', validate({
+  summary: 'Packaging or commercial job card',
+  query: v.object({
+    database: v.database().default('KOL'),
+    jobNumber: v.string({ minLength: 1 }),
+    type: v.enum(['packaging', 'commercial'], { lowerCase: true })
+  })
+}), async (req, res) => {
+  const { jobNumber: jobNo, type: cardType, database: db } = req.valid.query;
 
   try {
     if (cardType === 'packaging' || cardType === 'commercial') {
@@ -0,0 +1,116 @@
+/**
+ * Log read API (admin only except the viewer page, see auth-policy.js)
+ * - GET /logs/viewer — log-viewer.html
+ * - GET /logs/channels — channels with their active and rotated files
+ * - GET /logs/:channel — newest first; filters: level (minimum), route (prefix), user,
+ *   productionId, requestId, q (message text), from, to (ISO times), limit (max 2000),
+ *   cursor (nextCursor of the previous page). format=ndjson streams one entry per line
+ *   and ends with a { nextCursor, scanned } line.
+ *   /logs/process-start and /logs/auth keep working as channels; their old `lines`
+ *   parameter is read as limit.
+ */
+import { Router } from 'express';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { listLogChannels, queryLogs } from './log-store.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Serve log viewer HTML page
+router.get('/logs/viewer', (req, res) => {
+  try {
+    const logViewerPath = path.join(__dirname, '..', 'log-viewer.html');
+    if (fs.existsSync(logViewerPath)) {
+      res.sendFile(logViewerPath);
+    } else {
+      res.status(404).send('Log viewer not found');
+    }
+  } catch (err) {
+    console.error('Error serving log viewer:', err);
+    res.status(500).send('Error loading log viewer');
+  }
+});
+
+router.get('/logs/channels', validate({
+  summary: 'Log channels with their active and rotated files'
+}), (req, res) => {
+  try {
+    return res.json({ status: true, channels: listLogChannels() });
+  } catch (err) {
+    console.error('[LOGS] Listing channels failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to list log channels' });
+  }
+});
+
+router.get('/logs/:channel', validate({
+  summary: 'Log entries of a channel, newest first',
+  params: v.object({ channel: v.string() }),
+  query: v.object({
+    level: v.enum(['debug', 'info', 'warn', 'error']).optional().describe('Minimum level'),
+    route: v.string().optional().describe('Route prefix'),
+    user: v.string().optional(),
+    productionId: v.string().optional(),
+    requestId: v.string().optional(),
+    q: v.string().optional().describe('Text in the message'),
+    from: v.string().optional().describe('ISO time'),
+    to: v.string().optional().describe('ISO time'),
+    limit: v.integer({ min: 1 }).optional().describe('At most 2000'),
+    lines: v.integer({ min: 1 }).optional().describe('Alias of limit'),
+    cursor: v.string().optional().describe('nextCursor of the previous page'),
+    format: v.enum(['json', 'ndjson']).default('json')
+  })
+}), async (req, res) => {
+  const filters = { ...req.valid.query };
+  if (filters.limit == null && filters.lines != null) filters.limit = filters.lines;
+
+  if (filters.format === 'ndjson') {
+    let started = false;
+    const start = () => {
+      if (started) return;
+      started = true;
+      res.set('Content-Type', 'application/x-ndjson');
+    };
+    try {
+      const { nextCursor, scanned } = await queryLogs(req.valid.params.channel, filters, (entry) => {
+        start();
+        res.write(JSON.stringify(entry) + '\n');
+      });
+      start();
+      res.end(JSON.stringify({ nextCursor, scanned }) + '\n');
+    } catch (err) {
+      if (started) {
+        console.error('[LOGS] Stream failed:', err);
+        return res.end(JSON.stringify({ error: 'Failed to read logs' }) + '\n');
+      }
+      if (err.code === 'INVALID_FILTER') {
+        return res.status(400).json({ status: false, error: err.message });
+      }
+      console.error('[LOGS] Query failed:', err);
+      return res.status(500).json({ status: false, error: 'Failed to read logs' });
+    }
+    return undefined;
+  }
+
+  try {
+    const { entries, nextCursor, scanned } = await queryLogs(req.valid.params.channel, filters);
+    return res.json({
+      status: true,
+      channel: req.valid.params.channel,
+      logs: entries,
+      count: entries.length,
+      nextCursor,
+      scanned
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_FILTER') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[LOGS] Query failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to read logs' });
+  }
+});
+
+export default router;
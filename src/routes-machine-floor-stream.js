@@ -0,0 +1,77 @@
+/**
+ * Machine Floor push API (Server-Sent Events)
+ * - GET /machine-floor/stream?database=KOL&machineIds=12,15 — snapshot, then deltas
+ * - GET /machine-floor/stream/stats — watched machines and subscriber counts
+ *
+ * Event stream:
+ *   event: snapshot     data: { MachineID, data, at }          (once per machine on connect)
+ *   event: delta        data: { MachineID, reason, changes, at } (start/complete/cancel/reverse/periodic)
+ *   event: feed-error   data: { MachineID, error }
+ * A comment line is sent every 15s so proxies keep the connection open.
+ */
+import { Router } from 'express';
+import { subscribeMachineFloor, getMachineFloorFeedStats } from './machine-floor-feed.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const MAX_MACHINES_PER_STREAM = 50;
+const HEARTBEAT_INTERVAL_MS = 15000;
+
+const machineIdList = v.array(v.id(), { commaSeparated: true, maxItems: MAX_MACHINES_PER_STREAM });
+
+router.get('/machine-floor/stream/stats', validate({
+  summary: 'Machines watched by the feed and their subscriber counts'
+}), (req, res) => {
+  return res.json({ status: true, watched: getMachineFloorFeedStats() });
+});
+
+router.get('/machine-floor/stream', validate({
+  summary: 'Server-Sent Events: machine floor snapshot, then deltas',
+  query: v.object({
+    database: v.database().default('KOL'),
+    machineIds: machineIdList.optional().describe('Comma-separated MachineIDs, e.g. 12,15'),
+    machineId: machineIdList.optional().describe('Alias of machineIds')
+  })
+}), async (req, res) => {
+  const { database: selectedDatabase } = req.valid.query;
+  const machineIds = Array.from(new Set(req.valid.query.machineIds || req.valid.query.machineId || []));
+  if (machineIds.length === 0) {
+    return res.status(400).json({ status: false, error: 'machineIds must list one or more positive integers' });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write('retry: 5000\n\n');
+
+  let closed = false;
+  const send = ({ event, data }) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  console.log(`[MACHINE-FLOOR-STREAM] Screen subscribed`, { database: selectedDatabase, machineIds, ip: req.ip });
+
+  const heartbeat = setInterval(() => {
+    if (!closed) res.write(': ping\n\n');
+  }, HEARTBEAT_INTERVAL_MS);
+
+  let unsubscribe = null;
+  req.on('close', () => {
+    closed = true;
+    clearInterval(heartbeat);
+    if (unsubscribe) unsubscribe();
+    console.log(`[MACHINE-FLOOR-STREAM] Screen disconnected`, { database: selectedDatabase, machineIds });
+  });
+
+  unsubscribe = await subscribeMachineFloor(selectedDatabase, machineIds, send);
+  // Client went away while the snapshot was loading
+  if (closed) unsubscribe();
+});
+
+export default router;
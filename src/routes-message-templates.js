@@ -0,0 +1,207 @@
+/**
+ * Message template API (CRM, see auth-policy.js) for the intimation texts in message-templates.js
+ * - GET /comm/templates — per kind and language, the template a send would use (usesFallback when the
+ *   language has no version of its own), plus the placeholders each kind accepts
+ * - GET /comm/templates/:kind/:language/versions — all saved versions, newest first
+ * - POST /comm/templates/:kind/:language — saves a new version; body: { whatsapp, emailSubject,
+ *   emailBody, orderLine, note?, activate? (default true) }
+ * - POST /comm/templates/:kind/:language/versions/:version/activate — makes an older version active again
+ * - POST /comm/templates/:kind/preview — renders the texts against real order rows without sending;
+ *   body: { language?, username?, items: [{ orderBookingDetailsId, readyForDispatchDate?, noOfCarton?,
+ *   qtyPerCarton?, newExpectedDeliveryDate? }], draft? (unsaved texts to try instead of the active ones) }
+ */
+import { Router } from 'express';
+import { getPool, sql } from './db.js';
+import { getSenderCredentials } from './comm-channels.js';
+import { findCrmUser, loginPlant, senderProfile, erpUsernameOf } from './crm-users.js';
+import {
+  TEMPLATE_KINDS,
+  TEMPLATE_LANGUAGES,
+  placeholdersFor,
+  validateTemplate,
+  renderIntimation,
+  getActiveTemplate,
+  listActiveTemplates,
+  listTemplateVersions,
+  saveTemplateVersion,
+  activateTemplateVersion
+} from './message-templates.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+// Procedure returning the order rows each kind is rendered from (same as the send routes)
+const DETAILS_PROCEDURE = {
+  'first-intimation': 'dbo.comm_first_intimation_details_by_ids',
+  'material-readiness': 'dbo.comm_pending_delivery_followup_by_ids',
+  'delivery-date-update': 'dbo.comm_pending_delivery_followup_by_ids',
+  'delivery-followup': 'dbo.comm_pending_delivery_followup_by_ids'
+};
+
+const kindParam = v.enum(TEMPLATE_KINDS);
+const languageParam = v.enum(Object.keys(TEMPLATE_LANGUAGES));
+
+const templateText = (description) => v.string({ minLength: 1, maxLength: 8000 }).describe(description);
+
+function storeUnavailable(res) {
+  return res.status(503).json({ status: false, error: 'Template store is unavailable' });
+}
+
+function authUser(req) {
+  return req.auth?.name || req.auth?.sub || 'unknown';
+}
+
+router.get('/comm/templates', validate({
+  summary: 'Active intimation templates per kind and language'
+}), async (req, res) => {
+  try {
+    const templates = await listActiveTemplates();
+    const placeholders = Object.fromEntries(TEMPLATE_KINDS.map((kind) => [kind, placeholdersFor(kind)]));
+    return res.json({ status: true, languages: TEMPLATE_LANGUAGES, placeholders, templates });
+  } catch (err) {
+    if (err.code === 'TEMPLATE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[TEMPLATES] List failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to list templates' });
+  }
+});
+
+router.get('/comm/templates/:kind/:language/versions', validate({
+  summary: 'Saved versions of one intimation template',
+  params: v.object({ kind: kindParam, language: languageParam })
+}), async (req, res) => {
+  try {
+    const { kind, language } = req.valid.params;
+    const versions = await listTemplateVersions(kind, language);
+    return res.json({ status: true, kind, language, count: versions.length, versions });
+  } catch (err) {
+    if (err.code === 'TEMPLATE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[TEMPLATES] Versions failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to list template versions' });
+  }
+});
+
+// Registered before /:kind/:language, which would otherwise take 'preview' as the language
+router.post('/comm/templates/:kind/preview', validate({
+  summary: 'Render an intimation template against real orders without sending',
+  params: v.object({ kind: kindParam }),
+  body: v.object({
+    language: languageParam.optional(),
+    username: v.string({ minLength: 1 }).optional().describe('CRM user whose name and phone to sign with'),
+    items: v.array(v.object({
+      orderBookingDetailsId: v.id(),
+      readyForDispatchDate: v.string().optional().describe('material-readiness'),
+      noOfCarton: v.number().optional().describe('material-readiness'),
+      qtyPerCarton: v.number().optional().describe('material-readiness'),
+      newExpectedDeliveryDate: v.date().optional().describe('delivery-date-update')
+    }), { minItems: 1, maxItems: 200 }),
+    draft: v.object({
+      whatsapp: v.string().optional(),
+      emailSubject: v.string().optional(),
+      emailBody: v.string().optional(),
+      orderLine: v.string().optional()
+    }).optional().describe('Unsaved texts; missing fields come from the active template')
+  })
+}), async (req, res) => {
+  try {
+    const { kind } = req.valid.params;
+    const { language, username, items, draft } = req.valid.body;
+
+    const active = await getActiveTemplate(kind, language);
+    const template = draft ? { ...active, ...draft, kind } : active;
+    if (draft) validateTemplate(kind, template);
+
+    const crmUser = username ? await findCrmUser(username) : null;
+    const pool = await getPool(crmUser ? loginPlant(crmUser) : 'KOL');
+    const creds = username ? await getSenderCredentials(pool, erpUsernameOf(crmUser, username)) : null;
+
+    const tvp = new sql.Table('dbo.IdList');
+    tvp.columns.add('Id', sql.Int, { nullable: false });
+    items.forEach((it) => tvp.rows.add(it.orderBookingDetailsId));
+    const result = await pool.request().input('Ids', tvp).execute(DETAILS_PROCEDURE[kind]);
+    const rows = result.recordset || [];
+
+    const readinessById = new Map(items.map((it) => [it.orderBookingDetailsId, {
+      readyForDispatchDate: it.readyForDispatchDate, noOfCarton: it.noOfCarton, qtyPerCarton: it.qtyPerCarton
+    }]));
+    const newDateById = new Map(items.filter((it) => it.newExpectedDeliveryDate)
+      .map((it) => [it.orderBookingDetailsId, it.newExpectedDeliveryDate]));
+
+    const byClient = new Map();
+    for (const r of rows) {
+      const ledgerId = Number(r.ClientLedgerID);
+      if (!byClient.has(ledgerId)) byClient.set(ledgerId, []);
+      byClient.get(ledgerId).push(r);
+    }
+
+    const context = {
+      ...senderProfile(crmUser, username || authUser(req), creds),
+      readinessById,
+      newDateById
+    };
+    const previews = [...byClient.entries()].map(([clientLedgerId, clientRows]) => ({
+      clientLedgerId,
+      orderBookingDetailsIds: clientRows.map((r) => Number(r.OrderBookingDetailsID)),
+      ...renderIntimation(template, clientRows, context)
+    }));
+
+    const found = new Set(rows.map((r) => Number(r.OrderBookingDetailsID)));
+    return res.json({
+      status: true,
+      template: { language: template.language, version: draft ? null : template.version, draft: Boolean(draft) },
+      previews,
+      notFound: items.map((it) => it.orderBookingDetailsId).filter((id) => !found.has(id))
+    });
+  } catch (err) {
+    if (err.code === 'INVALID_TEMPLATE') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[TEMPLATES] Preview failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to render preview' });
+  }
+});
+
+router.post('/comm/templates/:kind/:language', validate({
+  summary: 'Save a new version of an intimation template',
+  params: v.object({ kind: kindParam, language: languageParam }),
+  body: v.object({
+    whatsapp: templateText('WhatsApp text; must contain {{orderLines}}'),
+    emailSubject: templateText('Email subject'),
+    emailBody: templateText('Email body; must contain {{orderLines}}'),
+    orderLine: templateText('Format of one order within {{orderLines}}'),
+    note: v.string({ maxLength: 500 }).optional().describe('What changed'),
+    activate: v.boolean().optional().describe('Use this version for sending (default true)')
+  })
+}), async (req, res) => {
+  try {
+    const { kind, language } = req.valid.params;
+    const template = await saveTemplateVersion(kind, language, req.valid.body, authUser(req));
+    return res.status(201).json({ status: true, template });
+  } catch (err) {
+    if (err.code === 'TEMPLATE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    if (err.code === 'INVALID_TEMPLATE') {
+      return res.status(400).json({ status: false, error: err.message });
+    }
+    console.error('[TEMPLATES] Save failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to save template' });
+  }
+});
+
+router.post('/comm/templates/:kind/:language/versions/:version/activate', validate({
+  summary: 'Make a saved template version the active one',
+  params: v.object({ kind: kindParam, language: languageParam, version: v.id() })
+}), async (req, res) => {
+  try {
+    const { kind, language, version } = req.valid.params;
+    const template = await activateTemplateVersion(kind, language, version, authUser(req));
+    if (!template) {
+      return res.status(404).json({ status: false, error: 'Template version not found' });
+    }
+    return res.json({ status: true, template });
+  } catch (err) {
+    if (err.code === 'TEMPLATE_STORE_UNAVAILABLE') return storeUnavailable(res);
+    console.error('[TEMPLATES] Activate failed:', err);
+    return res.status(500).json({ status: false, error: 'Failed to activate template' });
+  }
+});
+
+export default router;
@@ -0,0 +1,59 @@
+/**
+ * OEE API (oee.js): availability x performance x quality from ProductionEntry, QC rejections and downtime.
+ * - GET /oee/report?database=KOL&from=&to=&groupBy=machine,shift,date,process&machineIds=12,15&processId=
+ *   — one row per group plus totals
+ * - GET /oee/trend?database=KOL&from=&to=&interval=day|week|shift&machineIds=&processId= — oldest first
+ * from/to are plant dates (to inclusive, at most 92 days). The Google Sheet variant is /google-sheet/oee.
+ */
+import { Router } from 'express';
+import { oeeReport, oeeTrend, OEE_GROUPS, TREND_INTERVALS } from './oee.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+const filterFields = {
+  database: v.database().default('KOL'),
+  from: v.date(),
+  to: v.date().describe('Inclusive'),
+  machineIds: v.array(v.id(), { commaSeparated: true }).optional()
+    .describe('Comma-separated MachineIDs; listed machines are reported even when idle'),
+  processId: v.id().optional()
+};
+
+function handleError(res, err, action) {
+  if (['INVALID_FILTER', 'INVALID_SHIFTS'].includes(err.code)) {
+    return res.status(400).json({ status: false, error: err.message });
+  }
+  console.error(`[OEE] ${action} failed:`, err);
+  return res.status(500).json({ status: false, error: `Failed to ${action.toLowerCase()}` });
+}
+
+router.get('/oee/report', validate({
+  summary: 'OEE by machine, shift, date and/or process',
+  query: v.object({
+    ...filterFields,
+    groupBy: v.array(v.enum(OEE_GROUPS), { commaSeparated: true }).default(['machine'])
+      .describe('Empty for the totals only')
+  })
+}), async (req, res) => {
+  try {
+    const report = await oeeReport(req.valid.query);
+    return res.json({ status: true, ...report });
+  } catch (err) {
+    return handleError(res, err, 'Build OEE report');
+  }
+});
+
+router.get('/oee/trend', validate({
+  summary: 'OEE per day, week or shift',
+  query: v.object({ ...filterFields, interval: v.enum(TREND_INTERVALS).default('day') })
+}), async (req, res) => {
+  try {
+    const trend = await oeeTrend(req.valid.query);
+    return res.json({ status: true, ...trend });
+  } catch (err) {
+    return handleError(res, err, 'Build OEE trend');
+  }
+});
+
+export default router;
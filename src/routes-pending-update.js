@@ -1,15 +1,17 @@
 import { Router } from 'express';
 import { getPool, sql } from './db.js';
 import { MongoClient, ObjectId } from 'mongodb';
+import { listPlants, getPlantBySourceTag } from './plants.js';
+import { recordAudit } from './audit-trail.js';
+import { validate, v } from './validation.js';
 
 // Update API for combined pending grid
 // Exposed as: POST /api/artwork/pending/update
 //
 // ENV USED (matches existing backend .env):
-//   DB_SERVER             - MSSQL server host (for both KOL and AHM)
+//   DB_SERVER             - MSSQL server host (for every plant)
 //   DB_PORT               - MSSQL port (optional)
-//   DB_NAME_KOL           - Kolkata DB name
-//   DB_NAME_AHM           - Ahmedabad DB name
+//   DB_NAME_<KEY>         - plant DB names (DB_NAME_KOL, DB_NAME_AHM, ...; see plants.js)
 //   DB_USER               - MSSQL user
 //   DB_PASSWORD           - MSSQL password
 //
@@ -112,7 +114,7 @@ async function displayNameToLedgerId(db, site, displayName) {
 
   console.log('displayNameToLedgerId####################################################', displayName, site);
   
-  const siteUpper = String(site).toUpperCase(); // KOLKATA or AHMEDABAD
+  const siteUpper = String(site).toUpperCase(); // plant site, e.g. KOLKATA
   const erpPath = `erp.${siteUpper}.ledgerId`;
   
   const user = await db
@@ -801,6 +803,10 @@ async function updateMongoRow(db, mongoId, mergedRow, updatedBy) {
   return r.modifiedCount;
 }
 
+
+// Per-item problems are reported in the response instead of failing the batch
+const batchBody = v.object({ items: v.array(v.object({}), { minItems: 1 }) });
+
 // ---------- GET /artwork/unordered/pending-ids (for MSSQL rows dropdown) ----------
 router.get('/artwork/unordered/pending-ids', async (req, res) => {
   try {
@@ -849,17 +855,15 @@ router.get('/artwork/link-dropdown-data', async (req, res) => {
       ORDER BY JobBookingNo DESC
     `;
 
-    const [kolResult, ahmResult] = await Promise.allSettled([
-      getPool('KOL').then((pool) => pool.request().query(query)),
-      getPool('AHM').then((pool) => pool.request().query(query)),
-    ]);
+    const results = await Promise.allSettled(
+      listPlants().map((plant) => getPool(plant.key).then((pool) => pool.request().query(query)))
+    );
 
     const allRows = [];
-    if (kolResult.status === 'fulfilled') {
-      allRows.push(...(kolResult.value?.recordset || []));
-    }
-    if (ahmResult.status === 'fulfilled') {
-      allRows.push(...(ahmResult.value?.recordset || []));
+    for (const result of results) {
+      if (result.status === 'fulfilled') {
+        allRows.push(...(result.value?.recordset || []));
+      }
     }
 
     const seen = new Set();
@@ -883,12 +887,12 @@ router.get('/artwork/link-dropdown-data', async (req, res) => {
 });
 
 // ---------- POST /artwork/unordered/cancel (cancel unordered when linked to MSSQL row) ----------
-router.post('/artwork/unordered/cancel', async (req, res) => {
+router.post('/artwork/unordered/cancel', validate({
+  summary: 'Cancel an unordered approval linked to an MSSQL row',
+  body: v.object({ mongoId: v.objectId(), tagedJobNo: v.string().optional() }),
+}), async (req, res) => {
   try {
-    const { mongoId, tagedJobNo } = req.body || {};
-    if (!mongoId || typeof mongoId !== 'string') {
-      return res.status(400).json({ ok: false, error: 'mongoId is required' });
-    }
+    const { mongoId, tagedJobNo } = req.valid.body;
     const db = await getMongoDb();
     const _id = new ObjectId(mongoId);
     const r = await db.collection('ArtworkUnordered').updateOne(
@@ -896,7 +900,7 @@ router.post('/artwork/unordered/cancel', async (req, res) => {
       {
         $set: {
           iscancelled: 1,
-          tagedJobNo: tagedJobNo ? String(tagedJobNo) : null,
+          tagedJobNo: tagedJobNo || null,
           updatedAt: new Date(),
         },
       }
@@ -912,12 +916,12 @@ router.post('/artwork/unordered/cancel', async (req, res) => {
 });
 
 // ---------- POST /artwork/unordered/tag-batch (batch tag from ordered rows — used by Prepress FMS Tag button) ----------
-router.post('/artwork/unordered/tag-batch', async (req, res) => {
+router.post('/artwork/unordered/tag-batch', validate({
+  summary: 'Tag unordered approvals with ordered job numbers',
+  body: batchBody,
+}), async (req, res) => {
   try {
-    const { items } = req.body || {};
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ ok: false, error: 'items must be a non-empty array' });
-    }
+    const { items } = req.valid.body;
     const db = await getMongoDb();
     let success = 0;
     const errors = [];
@@ -964,12 +968,12 @@ router.post('/artwork/unordered/tag-batch', async (req, res) => {
 });
 
 // ---------- POST /artwork/unordered/untag-batch (batch untag + reopen unordered approvals) ----------
-router.post('/artwork/unordered/untag-batch', async (req, res) => {
+router.post('/artwork/unordered/untag-batch', validate({
+  summary: 'Untag and reopen unordered approvals by mongoId or tagedJobNo',
+  body: batchBody,
+}), async (req, res) => {
   try {
-    const { items } = req.body || {};
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ ok: false, error: 'items must be a non-empty array' });
-    }
+    const { items } = req.valid.body;
 
     const db = await getMongoDb();
     let success = 0;
@@ -1023,11 +1027,20 @@ router.post('/artwork/unordered/untag-batch', async (req, res) => {
 });
 
 // ---------- endpoint ----------
-router.post('/artwork/pending/update', async (req, res) => {
+router.post('/artwork/pending/update', validate({
+  summary: 'Update a row of the combined pending grid',
+  description: '__MongoId is required for MONGO_UNORDERED, OrderBookingDetailsID for the plant SQL sources.',
+  body: v.object({
+    __SourceDB: v.enum(['MONGO_UNORDERED', ...listPlants().map((plant) => plant.sourceTag)]),
+    update: v.object({}).default(() => ({})),
+    OrderBookingDetailsID: v.id().optional(),
+  }),
+}), async (req, res) => {
+  let audit = null;
   try {
-    const payload = req.body || {};
-    const sourceDb = String(payload.__SourceDB || '').trim();
-    const update = payload.update || {};
+    const payload = req.valid.body;
+    const sourceDb = payload.__SourceDB;
+    const update = payload.update;
     const updatedBy = payload.updatedBy || payload.createdBy || 'Coordinator';
 
     // Log incoming API request
@@ -1038,8 +1051,6 @@ router.post('/artwork/pending/update', async (req, res) => {
     console.log(JSON.stringify(payload, null, 2));
     console.log('='.repeat(80) + '\n');
 
-    if (!sourceDb) throw new Error('__SourceDB is required in payload');
-
     const db = await getMongoDb();
 
     // Normalize incoming allowed fields - ONLY include fields that are actually in update
@@ -1086,7 +1097,7 @@ router.post('/artwork/pending/update', async (req, res) => {
     // ----- MONGO_UNORDERED -----
     if (sourceDb === 'MONGO_UNORDERED') {
       const mongoId = payload.__MongoId || payload.__MongoID || payload.mongoId;
-      if (!mongoId) throw new Error('__MongoId is required for MONGO_UNORDERED');
+      if (!mongoId) return res.status(400).json({ ok: false, error: '__MongoId is required for MONGO_UNORDERED' });
 
       // Convert displayNames to userKeys for MongoDB updates
       // Always look up displayName in user collection to get the corresponding _id
@@ -1202,23 +1213,29 @@ router.post('/artwork/pending/update', async (req, res) => {
       };
 
       const merged = applyRules(currentRow, incoming);
+      audit = {
+        action: 'artwork.pending-update',
+        database: sourceDb,
+        entity: 'ArtworkUnordered',
+        entityKeys: { _id: String(mongoId) },
+        oldValues: currentRow,
+        newValues: { ...merged, updatedBy }
+      };
       await updateMongoRow(db, mongoId, merged, updatedBy);
+      recordAudit(req, { ...audit, outcome: 'success' });
 
       return res.json({ ok: true, updated: 1, source: 'MONGO_UNORDERED', reload: true });
     }
 
-    // ----- MSSQL (KOL_SQL / AMD_SQL) -----
-    if (sourceDb !== 'KOL_SQL' && sourceDb !== 'AMD_SQL') {
-      throw new Error(`Unsupported __SourceDB: ${sourceDb}`);
+    // ----- MSSQL (plant sourceTag: KOL_SQL / AMD_SQL / ...) -----
+    const plant = getPlantBySourceTag(sourceDb);
+    const orderBookingDetailsId = payload.OrderBookingDetailsID;
+    if (!orderBookingDetailsId) {
+      return res.status(400).json({ ok: false, error: 'OrderBookingDetailsID is required for MSSQL update' });
     }
 
-    const orderBookingDetailsId = Number(payload.OrderBookingDetailsID);
-    if (!Number.isFinite(orderBookingDetailsId) || orderBookingDetailsId <= 0) {
-      throw new Error('OrderBookingDetailsID is required for MSSQL update');
-    }
-
-    const databaseKey = sourceDb === 'KOL_SQL' ? 'KOL' : 'AHM';
-    const site = sourceDb === 'KOL_SQL' ? 'KOLKATA' : 'AHMEDABAD';
+    const databaseKey = plant.key;
+    const site = plant.site;
 
     // Fetch current SQL row (so we can apply rules without needing full payload)
     const current = await fetchSqlCurrentRow(databaseKey, orderBookingDetailsId);
@@ -1334,12 +1351,26 @@ router.post('/artwork/pending/update', async (req, res) => {
     console.log('   PlateRemark:', merged.PlateRemark ?? 'NULL');
     console.log('='.repeat(80) + '\n');
 
+    audit = {
+      action: 'artwork.pending-update',
+      database: databaseKey,
+      entity: 'ArtworkProcessApproval',
+      entityKeys: { OrderBookingDetailsID: orderBookingDetailsId },
+      oldValues: current || null,
+      newValues: { ...merged, EmployeeID, ToolingPersonID, PlatePersonID, updatedBy }
+    };
     const outId = await upsertSqlRow(databaseKey, merged, {
       EmployeeID,
       ToolingPersonID,
       PlatePersonID,
     });
 
+    recordAudit(req, {
+      ...audit,
+      entityKeys: { ...audit.entityKeys, ArtworkProcessApprovalID: outId ?? null },
+      outcome: 'success'
+    });
+
     // Verify the update was saved by querying directly
     const pool = await getPool(databaseKey);
     const verifyQuery = `
@@ -1392,6 +1423,7 @@ router.post('/artwork/pending/update', async (req, res) => {
       updatedRow: updatedRow, // Return the full updated row
     });
   } catch (e) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: e });
     console.error('Error in POST /api/artwork/pending/update:', e);
     res.status(500).json({ ok: false, error: e.message });
   }
@@ -2,16 +2,18 @@ import { Router } from 'express';
 import { getPool, sql } from './db.js';
 import { MongoClient } from 'mongodb';
 import { insertUnorderedMinimal } from './unordered.js';
+import { listPlants, getPlantBySite } from './plants.js';
+import { sendCachedLookup } from './lookup-cache.js';
+import { validate, v } from './validation.js';
 
-// Combined pending API (Kolkata SQL + Ahmedabad SQL + Mongo ArtworkUnordered)
+// Combined pending API (SQL of every plant in plants.json + Mongo ArtworkUnordered)
 // Exposed as: GET /api/artwork/pending
 //
 // ENV USED (matches existing backend .env):
 //   PORT                  - main Express port (already used in server.js)
-//   DB_SERVER             - MSSQL server host (for both KOL and AHM)
+//   DB_SERVER             - MSSQL server host (for every plant)
 //   DB_PORT               - MSSQL port (optional)
-//   DB_NAME_KOL           - Kolkata DB name
-//   DB_NAME_AHM           - Ahmedabad DB name
+//   DB_NAME_<KEY>         - plant DB names (DB_NAME_KOL, DB_NAME_AHM, ...; see plants.js)
 //   DB_USER               - MSSQL user
 //   DB_PASSWORD           - MSSQL password
 //
@@ -28,6 +30,7 @@ const MONGO_URI =
   process.env.MONGODB_URI ||
   '';
 const MONGO_DB = process.env.MONGO_DB || 'artwork_portal';
+const ARTWORK_USERS_TTL_MS = 5 * 60 * 1000;
 
 let mongoClientPromise = null;
 
@@ -200,10 +203,61 @@ function attachTagJobsValue(row, taggedJobsMap) {
   return { ...row, TagJobs: token };
 }
 
+// ---------- plant sources ----------
+// ?source= takes plant keys (kol, ahm, ...), 'mongo' or 'all' (default), comma separated.
+// Every plant is listed; excluded ones get no rows.
+// ?source=kol,ahm,mongo; default every plant + Mongo
+const sourceQuery = v.object({
+  source: v.array(
+    v.enum([...listPlants().map((plant) => plant.key.toLowerCase()), 'mongo', 'all'], { lowerCase: true }),
+    { commaSeparated: true }
+  ).default(['all']).describe('Comma-separated plant keys and/or mongo'),
+});
+
+function parseSourceFilter(parts) {
+  const wantsAll = parts.length === 0 || parts.includes('all');
+  return {
+    plants: listPlants().map((plant) => ({
+      plant,
+      included: wantsAll || parts.includes(plant.key.toLowerCase()),
+    })),
+    includeMongo: wantsAll || parts.includes('mongo'),
+  };
+}
+
+function ledgerIdsOf(rows) {
+  return rows.flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
+}
+
+// UserMaster maps per plant key, each looked up under the plant's site
+async function loadPlantUserMaps(db, plantRows) {
+  const maps = await Promise.all(
+    plantRows.map(({ plant, rows }) => loadUserMaps(db, plant.site, ledgerIdsOf(rows)))
+  );
+  return new Map(plantRows.map(({ plant }, i) => [plant.key, maps[i]]));
+}
+
+function normalizePlantRows(rows, plant, userMaps, taggedJobsMap) {
+  return rows
+    .map((r) => attachSqlUserMapping(r, plant.site, userMaps.get(plant.key)))
+    .map((r) => attachTagJobsValue(r, taggedJobsMap));
+}
+
+// { kolkata: [ledgerId, ...], ahmedabad: [...] } — ids without a UserMaster user
+function unmappedLedgerIds(plantRows, userMaps) {
+  return Object.fromEntries(plantRows.map(({ plant, rows }) => {
+    const map = userMaps.get(plant.key);
+    return [
+      plant.name.toLowerCase(),
+      ledgerIdsOf(rows).filter((id) => id && !map.has(Number(id))).map(Number),
+    ];
+  }));
+}
+
 // ---------- ers ----------
 // Use existing pooled connections from db.js
 async function fetchSqlPending(databaseKey, sourceDb) {
-  const pool = await getPool(databaseKey); // e.g. 'KOL' or 'AHM'
+  const pool = await getPool(databaseKey); // plant key, e.g. 'KOL'
   const result = await pool.request().execute('GetArtworkApprovalPendingDetails');
   const rs = result.recordset || [];
   // console.log('********************rs', rs);
@@ -357,49 +411,33 @@ async function fetchMongoPending(db) {
 }
 
 // ---------- endpoint ----------
-router.get('/artwork/pending', async (req, res) => {
+router.get('/artwork/pending', validate({
+  summary: 'Pending artwork of every plant and Mongo ArtworkUnordered',
+  query: sourceQuery,
+}), async (req, res) => {
   try {
     const db = await getMongoDb();
     const taggedJobsMap = await loadTaggedJobsMap(db);
 
     // Optional source filter:
-    //   ?source=kol       -> only Kolkata SQL
-    //   ?source=ahm       -> only Ahmedabad SQL
+    //   ?source=kol       -> only the KOL plant's SQL (any plant key from plants.json)
     //   ?source=mongo     -> only Mongo ArtworkUnordered
     //   ?source=kol,ahm   -> KOL + AHM
-    //   (default / missing) -> all three
-    const sourceParam = (req.query.source || 'all').toString().toLowerCase();
-    const parts = sourceParam.split(',').map(s => s.trim()).filter(Boolean);
-    const wantsAll = parts.length === 0 || parts.includes('all');
-
-    const includeKOL = wantsAll || parts.includes('kol');
-    const includeAHM = wantsAll || parts.includes('ahm');
-    const includeMongo = wantsAll || parts.includes('mongo');
+    //   (default / missing) -> every plant + Mongo
+    const { plants, includeMongo } = parseSourceFilter(req.valid.query.source);
 
     // Fetch from selected sources in parallel
-    const [kolRows, amdRows, mongoRows] = await Promise.all([
-      includeKOL ? fetchSqlPending('KOL', 'KOL_SQL') : Promise.resolve([]),
-      includeAHM ? fetchSqlPending('AHM', 'AMD_SQL') : Promise.resolve([]),
+    const [sqlRows, mongoRows] = await Promise.all([
+      Promise.all(plants.map(({ plant, included }) => (
+        included ? fetchSqlPending(plant.key, plant.sourceTag) : Promise.resolve([])
+      ))),
       includeMongo ? fetchMongoPending(db) : Promise.resolve([]),
     ]);
+    const plantRows = plants.map(({ plant }, i) => ({ plant, rows: sqlRows[i] }));
 
-    // Build ledgerId sets for SQL mapping
-    const kolLedgerIds = kolRows.flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-    const amdLedgerIds = amdRows.flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-
-    // Load maps from UserMaster
-    const [kolMap, amdMap] = await Promise.all([
-      loadUserMaps(db, 'KOLKATA', kolLedgerIds),
-      loadUserMaps(db, 'AHMEDABAD', amdLedgerIds),
-    ]);
-
-    // Attach mapping to SQL rows
-    const kolNorm = kolRows
-      .map((r) => attachSqlUserMapping(r, 'KOLKATA', kolMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
-    const amdNorm = amdRows
-      .map((r) => attachSqlUserMapping(r, 'AHMEDABAD', amdMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
+    // Load maps from UserMaster and attach them to SQL rows
+    const userMaps = await loadPlantUserMaps(db, plantRows);
+    const sqlNorm = plantRows.flatMap(({ plant, rows }) => normalizePlantRows(rows, plant, userMaps, taggedJobsMap));
 
     // Mongo userKey -> displayName mapping
     const mongoUserKeys = mongoRows
@@ -409,16 +447,13 @@ router.get('/artwork/pending', async (req, res) => {
     const mongoNorm = mongoRows.map((r) => normalizeMongoRow(r, userKeyNameMap));
 
     // Combined
-    const combined = [...kolNorm, ...amdNorm, ...mongoNorm];
+    const combined = [...sqlNorm, ...mongoNorm];
 
     res.json({
       ok: true,
       count: combined.length,
       data: combined,
-      unmapped: {
-        kolkata: kolLedgerIds.filter((id) => id && !kolMap.has(Number(id))).map(Number),
-        ahmedabad: amdLedgerIds.filter((id) => id && !amdMap.has(Number(id))).map(Number),
-      },
+      unmapped: unmappedLedgerIds(plantRows, userMaps),
     });
   } catch (e) {
     console.error('Error in /api/artwork/pending:', e);
@@ -428,7 +463,7 @@ router.get('/artwork/pending', async (req, res) => {
 
 // ---------- Fetch SQL completed data ----------
 async function fetchSqlCompleted(databaseKey, sourceDb) {
-  const pool = await getPool(databaseKey); // e.g. 'KOL' or 'AHM'
+  const pool = await getPool(databaseKey); // plant key, e.g. 'KOL'
   const result = await pool.request().execute('GetArtworkApprovalCompletedDetails');
   const rs = result.recordset || [];
   
@@ -543,49 +578,33 @@ async function fetchMongoCompleted(db) {
 }
 
 // ---------- Completed endpoint ----------
-router.get('/artwork/completed', async (req, res) => {
+router.get('/artwork/completed', validate({
+  summary: 'Completed artwork of every plant and Mongo ArtworkUnordered',
+  query: sourceQuery,
+}), async (req, res) => {
   try {
     const db = await getMongoDb();
     const taggedJobsMap = await loadTaggedJobsMap(db);
 
     // Optional source filter (same as pending endpoint):
-    //   ?source=kol       -> only Kolkata SQL
-    //   ?source=ahm       -> only Ahmedabad SQL
+    //   ?source=kol       -> only the KOL plant's SQL (any plant key from plants.json)
     //   ?source=mongo     -> only Mongo ArtworkUnordered
     //   ?source=kol,ahm   -> KOL + AHM
-    //   (default / missing) -> all three
-    const sourceParam = (req.query.source || 'all').toString().toLowerCase();
-    const parts = sourceParam.split(',').map(s => s.trim()).filter(Boolean);
-    const wantsAll = parts.length === 0 || parts.includes('all');
-
-    const includeKOL = wantsAll || parts.includes('kol');
-    const includeAHM = wantsAll || parts.includes('ahm');
-    const includeMongo = wantsAll || parts.includes('mongo');
+    //   (default / missing) -> every plant + Mongo
+    const { plants, includeMongo } = parseSourceFilter(req.valid.query.source);
 
     // Fetch from selected sources in parallel
-    const [kolRows, amdRows, mongoRows] = await Promise.all([
-      includeKOL ? fetchSqlCompleted('KOL', 'KOL_SQL') : Promise.resolve([]),
-      includeAHM ? fetchSqlCompleted('AHM', 'AMD_SQL') : Promise.resolve([]),
+    const [sqlRows, mongoRows] = await Promise.all([
+      Promise.all(plants.map(({ plant, included }) => (
+        included ? fetchSqlCompleted(plant.key, plant.sourceTag) : Promise.resolve([])
+      ))),
       includeMongo ? fetchMongoCompleted(db) : Promise.resolve([]),
     ]);
+    const plantRows = plants.map(({ plant }, i) => ({ plant, rows: sqlRows[i] }));
 
-    // Build ledgerId sets for SQL mapping
-    const kolLedgerIds = kolRows.flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-    const amdLedgerIds = amdRows.flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-
-    // Load maps from UserMaster
-    const [kolMap, amdMap] = await Promise.all([
-      loadUserMaps(db, 'KOLKATA', kolLedgerIds),
-      loadUserMaps(db, 'AHMEDABAD', amdLedgerIds),
-    ]);
-
-    // Attach mapping to SQL rows
-    const kolNorm = kolRows
-      .map((r) => attachSqlUserMapping(r, 'KOLKATA', kolMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
-    const amdNorm = amdRows
-      .map((r) => attachSqlUserMapping(r, 'AHMEDABAD', amdMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
+    // Load maps from UserMaster and attach them to SQL rows
+    const userMaps = await loadPlantUserMaps(db, plantRows);
+    const sqlNorm = plantRows.flatMap(({ plant, rows }) => normalizePlantRows(rows, plant, userMaps, taggedJobsMap));
 
     // Mongo userKey -> displayName mapping
     const mongoUserKeys = mongoRows
@@ -595,16 +614,13 @@ router.get('/artwork/completed', async (req, res) => {
     const mongoNorm = mongoRows.map((r) => normalizeMongoRow(r, userKeyNameMap));
 
     // Combined
-    const combined = [...kolNorm, ...amdNorm, ...mongoNorm];
+    const combined = [...sqlNorm, ...mongoNorm];
 
     res.json({
       ok: true,
       count: combined.length,
       data: combined,
-      unmapped: {
-        kolkata: kolLedgerIds.filter((id) => id && !kolMap.has(Number(id))).map(Number),
-        ahmedabad: amdLedgerIds.filter((id) => id && !amdMap.has(Number(id))).map(Number),
-      },
+      unmapped: unmappedLedgerIds(plantRows, userMaps),
     });
   } catch (e) {
     console.error('Error in /api/artwork/completed:', e);
@@ -746,66 +762,39 @@ function toArtworkAllRow(row) {
   };
 }
 
-router.get('/artwork/all', async (req, res) => {
+router.get('/artwork/all', validate({
+  summary: 'Pending and completed artwork of every plant and Mongo ArtworkUnordered',
+  query: sourceQuery,
+}), async (req, res) => {
   try {
     const db = await getMongoDb();
 
-    const sourceParam = (req.query.source || 'all').toString().toLowerCase();
-    const parts = sourceParam.split(',').map((s) => s.trim()).filter(Boolean);
-    const wantsAll = parts.length === 0 || parts.includes('all');
-    const includeKOL = wantsAll || parts.includes('kol');
-    const includeAHM = wantsAll || parts.includes('ahm');
-    const includeMongo = wantsAll || parts.includes('mongo');
+    const { plants, includeMongo } = parseSourceFilter(req.valid.query.source);
 
     // Fetch sequentially to avoid connection pool race conditions and fluctuating counts:
-    // 1) Kolkata (indusdatabase), 2) AHM (indusdatabase2), 3) MongoDB
-    let kolPending = [];
-    let kolCompleted = [];
-    let amdPending = [];
-    let amdCompleted = [];
+    // each plant in registry order, then MongoDB
+    const pendingRows = [];
+    const completedRows = [];
     let mongoPending = [];
     let mongoCompleted = [];
 
-    if (includeKOL) {
-      kolPending = await fetchSqlPending('KOL', 'KOL_SQL');
-      kolCompleted = await fetchSqlCompleted('KOL', 'KOL_SQL');
-    }
-    if (includeAHM) {
-      amdPending = await fetchSqlPending('AHM', 'AMD_SQL');
-      amdCompleted = await fetchSqlCompleted('AHM', 'AMD_SQL');
+    for (const { plant, included } of plants) {
+      pendingRows.push({ plant, rows: included ? await fetchSqlPending(plant.key, plant.sourceTag) : [] });
+      completedRows.push({ plant, rows: included ? await fetchSqlCompleted(plant.key, plant.sourceTag) : [] });
     }
     if (includeMongo) {
       mongoPending = await fetchMongoPending(db);
       mongoCompleted = await fetchMongoCompleted(db);
     }
 
-    const kolLedgerIds = [
-      ...kolPending,
-      ...kolCompleted,
-    ].flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-    const amdLedgerIds = [
-      ...amdPending,
-      ...amdCompleted,
-    ].flatMap((r) => [r.EmployeeID, r.ToolingPersonID, r.PlatePersonID]);
-
-    const [kolMap, amdMap] = await Promise.all([
-      loadUserMaps(db, 'KOLKATA', kolLedgerIds),
-      loadUserMaps(db, 'AHMEDABAD', amdLedgerIds),
-    ]);
+    const userMaps = await loadPlantUserMaps(
+      db,
+      pendingRows.map(({ plant, rows }, i) => ({ plant, rows: [...rows, ...completedRows[i].rows] }))
+    );
 
     const taggedJobsMap = await loadTaggedJobsMap(db);
-    const kolPendingNorm = kolPending
-      .map((r) => attachSqlUserMapping(r, 'KOLKATA', kolMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
-    const amdPendingNorm = amdPending
-      .map((r) => attachSqlUserMapping(r, 'AHMEDABAD', amdMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
-    const kolCompletedNorm = kolCompleted
-      .map((r) => attachSqlUserMapping(r, 'KOLKATA', kolMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
-    const amdCompletedNorm = amdCompleted
-      .map((r) => attachSqlUserMapping(r, 'AHMEDABAD', amdMap))
-      .map((r) => attachTagJobsValue(r, taggedJobsMap));
+    const pendingNorm = pendingRows.flatMap(({ plant, rows }) => normalizePlantRows(rows, plant, userMaps, taggedJobsMap));
+    const completedNorm = completedRows.flatMap(({ plant, rows }) => normalizePlantRows(rows, plant, userMaps, taggedJobsMap));
 
     const mongoUserKeys = [
       ...mongoPending,
@@ -816,11 +805,9 @@ router.get('/artwork/all', async (req, res) => {
     const mongoCompletedNorm = mongoCompleted.map((r) => normalizeMongoRow(r, userKeyNameMap));
 
     const combined = [
-      ...kolPendingNorm,
-      ...amdPendingNorm,
+      ...pendingNorm,
       ...mongoPendingNorm,
-      ...kolCompletedNorm,
-      ...amdCompletedNorm,
+      ...completedNorm,
       ...mongoCompletedNorm,
     ];
 
@@ -847,21 +834,19 @@ router.get('/artwork/all', async (req, res) => {
 
 // Insert unordered entry (MongoDB only)
 // Exposed as: POST /api/artwork/unordered/insert
-router.post('/artwork/unordered/insert', async (req, res) => {
+router.post('/artwork/unordered/insert', validate({
+  summary: 'Add an unordered artwork entry',
+  body: v.object({
+    clientName: v.string({ minLength: 1 }),
+    jobName: v.string({ minLength: 1 }),
+  }),
+}), async (req, res) => {
   try {
-    const payload = req.body;
+    const payload = req.valid.body;
     
     console.log('📥 [API REQUEST] POST /api/artwork/unordered/insert');
     console.log('📋 [API] Incoming payload:', JSON.stringify(payload, null, 2));
 
-    // Validate required fields
-    if (!payload.clientName || !payload.jobName) {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'clientName and jobName are required' 
-      });
-    }
-
     // Call the insert function
     const result = await insertUnorderedMinimal(payload);
     
@@ -925,40 +910,50 @@ router.get('/artwork/unordered/next-token', async (req, res) => {
 });
 
 // Get users from MongoDB user collection
-// Exposed as: GET /api/artwork/users?site=KOLKATA or ?site=AHMEDABAD
-router.get('/artwork/users', async (req, res) => {
+// Exposed as: GET /api/artwork/users?site=KOLKATA (any plant site from plants.json; an unknown site is a 400)
+router.get('/artwork/users', validate({
+  summary: 'Active artwork portal users, optionally of one plant site',
+  query: v.object({
+    site: v.enum(listPlants().map(p => p.site).filter(Boolean), { upperCase: true }).optional().describe('Plant site, e.g. KOLKATA')
+  }),
+}), async (req, res) => {
   try {
-    const db = await getMongoDb();
-    const site = req.query.site?.toUpperCase(); // KOLKATA or AHMEDABAD
-    
-    // Build query: active users, optionally filtered by site
-    const query = { active: true };
-    
-    if (site === 'KOLKATA' || site === 'AHMEDABAD') {
-      // Filter by site: user must have this site in their sites array
-      query.sites = site;
-    }
-    
-    const users = await db
-      .collection('user')
-      .find(query, {
-        projection: { _id: 1, displayName: 1, sites: 1, erp: 1 }
-      })
-      .sort({ displayName: 1 })
-      .toArray();
-    
-    // Format response: return userKey, displayName, sites, and ERP data (with ledgerIds)
-    const userList = users.map(user => ({
-      userKey: user._id,
-      displayName: user.displayName,
-      sites: user.sites || [],
-      erp: user.erp || {} // Include ERP data with ledgerIds for SQL updates
-    }));
-    
-    res.json({
-      ok: true,
-      data: userList,
-      count: userList.length
+    const site = req.valid.query.site; // plant site, e.g. KOLKATA
+    const sitePlant = getPlantBySite(site);
+
+    // Cached per plant site; users are added by the ledger sync script, so keep the TTL short
+    await sendCachedLookup(req, res, { lookup: 'artwork/users', plant: sitePlant?.key, ttlMs: ARTWORK_USERS_TTL_MS }, async () => {
+      const db = await getMongoDb();
+
+      // Build query: active users, optionally filtered by site
+      const query = { active: true };
+
+      if (sitePlant) {
+        // Filter by site: user must have this site in their sites array
+        query.sites = site;
+      }
+
+      const users = await db
+        .collection('user')
+        .find(query, {
+          projection: { _id: 1, displayName: 1, sites: 1, erp: 1 }
+        })
+        .sort({ displayName: 1 })
+        .toArray();
+
+      // Format response: return userKey, displayName, sites, and ERP data (with ledgerIds)
+      const userList = users.map(user => ({
+        userKey: user._id,
+        displayName: user.displayName,
+        sites: user.sites || [],
+        erp: user.erp || {} // Include ERP data with ledgerIds for SQL updates
+      }));
+
+      return {
+        ok: true,
+        data: userList,
+        count: userList.length
+      };
     });
   } catch (e) {
     console.error('Error in /api/artwork/users:', e);
@@ -9,6 +9,7 @@ import OpenAI from 'openai';
 import { PDFParse } from 'pdf-parse';
 import { getPool, sql } from './db.js';
 import { assertReadOnlySelect } from './sql-guard.js';
+import { validate, v } from './validation.js';
 
 const router = Router();
 
@@ -342,13 +343,12 @@ async function extractHints(poText) {
   }
 }
 
-async function extractPoText(req) {
-  const textFromBody = normalizeText(req.body?.text);
+async function extractPoText(text, file) {
+  const textFromBody = normalizeText(text);
   if (textFromBody) {
     return { poText: textFromBody, source: 'text' };
   }
 
-  const file = req.file;
   if (!file || !file.buffer) {
     throw new Error('Provide text or upload a file.');
   }
@@ -532,19 +532,19 @@ async function scoreCandidates(poText, rows) {
   return enriched;
 }
 
-router.post('/po-product-match/search', upload.single('file'), async (req, res) => {
+router.post('/po-product-match/search', upload.single('file'), validate({
+  summary: 'Products matching a PO (text, or a PDF/image in multipart field "file")',
+  body: v.object({
+    database: v.database(),
+    topN: v.integer({ min: 1 }).default(DEFAULT_TOP_N).describe(`At most ${MAX_TOP_N}`),
+    text: v.string().optional().describe('PO text; used instead of the file')
+  })
+}), async (req, res) => {
   try {
-    const database = String(req.body?.database || '').toUpperCase();
-    if (database !== 'KOL' && database !== 'AHM') {
-      return res.status(400).json({ error: 'database is required and must be KOL or AHM.' });
-    }
-
-    const topNInput = Number(req.body?.topN);
-    const topN = Number.isFinite(topNInput) && topNInput > 0
-      ? Math.min(Math.floor(topNInput), MAX_TOP_N)
-      : DEFAULT_TOP_N;
+    const { database } = req.valid.body;
+    const topN = Math.min(req.valid.body.topN, MAX_TOP_N);
 
-    const { poText, source } = await extractPoText(req);
+    const { poText, source } = await extractPoText(req.valid.body.text, req.file);
     if (!poText) {
       return res.status(400).json({ error: 'PO text could not be extracted.' });
     }
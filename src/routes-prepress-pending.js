@@ -1,15 +1,16 @@
 import { Router } from 'express';
 import { getPool, sql } from './db.js';
 import { MongoClient, ObjectId } from 'mongodb';
+import { getPlant, getPlantBySourceTag, getPlantDatabaseName, listPlants } from './plants.js';
+import { validate, v } from './validation.js';
 
 // User-wise pending data API for Prepress FMS Tool
 // Exposed as: GET /api/prepress/pending?username=<username>
 //
 // ENV USED (matches existing backend .env):
-//   DB_SERVER             - MSSQL server host (for both KOL and AHM)
+//   DB_SERVER             - MSSQL server host (for every plant)
 //   DB_PORT               - MSSQL port (optional)
-//   DB_NAME_KOL           - Kolkata DB name
-//   DB_NAME_AHM           - Ahmedabad DB name
+//   DB_NAME_<KEY>         - plant DB names (DB_NAME_KOL, DB_NAME_AHM, ...; see plants.js)
 //   DB_USER               - MSSQL user
 //   DB_PASSWORD           - MSSQL password
 //
@@ -59,7 +60,7 @@ async function usernameToUserKey(db, username) {
 async function displayNameToLedgerId(db, site, displayName) {
   if (!displayName || typeof displayName !== 'string') return null;
   
-  const siteUpper = String(site).toUpperCase(); // KOLKATA or AHMEDABAD
+  const siteUpper = String(site).toUpperCase(); // plant site, e.g. KOLKATA
   const erpPath = `erp.${siteUpper}.ledgerId`;
   
   const user = await db
@@ -77,9 +78,9 @@ async function displayNameToLedgerId(db, site, displayName) {
 
 // ---------- Fetch SQL pending data using GetPendingArtworkWorklist procedure ----------
 async function fetchSqlPendingByUser(databaseKey, username, db) {
-  const pool = await getPool(databaseKey); // 'KOL' or 'AHM'
-  const site = databaseKey === 'KOL' ? 'KOLKATA' : 'AHMEDABAD';
-  const expectedDb = databaseKey === 'KOL' ? process.env.DB_NAME_KOL : process.env.DB_NAME_AHM;
+  const pool = await getPool(databaseKey); // plant key, e.g. 'KOL'
+  const { site, sourceTag } = getPlant(databaseKey);
+  const expectedDb = getPlantDatabaseName(databaseKey);
   
   // CRITICAL: Verify we're on the correct database before querying
   try {
@@ -169,7 +170,7 @@ async function fetchSqlPendingByUser(databaseKey, username, db) {
     return rowLedgerId === ledgerId;
   });
   
-  // Log detailed row count information for both KOL and AHM
+  // Log detailed row count information for the plant
   console.log(`[FETCH] ${databaseKey} - Row Count Summary:`);
   console.log(`  - Database: ${expectedDb} (${site})`);
   console.log(`  - Total rows from stored proc (ALL users): ${rs.length}`);
@@ -178,8 +179,8 @@ async function fetchSqlPendingByUser(databaseKey, username, db) {
   
   // Map filtered rows
   const mappedRows = filtered.map((r) => ({
-    __SourceDB: databaseKey === 'KOL' ? 'KOL_SQL' : 'AMD_SQL',
-    __Site: databaseKey === 'KOL' ? 'KOLKATA' : 'AHMEDABAD',
+    __SourceDB: sourceTag,
+    __Site: site,
     
 
     
@@ -230,7 +231,7 @@ function isDateInRange(dateValue, fromDate, toDate) {
 
 async function fetchSqlCompletedByUser(databaseKey, username, fromDate, toDate, db) {
   const pool = await getPool(databaseKey);
-  const site = databaseKey === 'KOL' ? 'KOLKATA' : 'AHMEDABAD';
+  const { site, sourceTag } = getPlant(databaseKey);
   const ledgerId = await displayNameToLedgerId(db, site, username);
 
   if (!ledgerId) {
@@ -246,7 +247,7 @@ async function fetchSqlCompletedByUser(databaseKey, username, fromDate, toDate,
   const rs = result.recordset || [];
 
   return rs.map((r) => ({
-    __SourceDB: databaseKey === 'KOL' ? 'KOL_SQL' : 'AMD_SQL',
+    __SourceDB: sourceTag,
     __Site: site,
     __MongoId: null,
     PONumber: r.PONumber ?? null,
@@ -581,64 +582,51 @@ async function fetchMongoPendingByUser(db, username) {
 }
 
 // ---------- endpoint ----------
-router.get('/prepress/pending', async (req, res) => {
+router.get('/prepress/pending', validate({
+  summary: 'Pending prepress operations of a user',
+  query: v.object({ username: v.string({ minLength: 1 }) }),
+}), async (req, res) => {
   try {
-    const username = req.query.username;
-    
-    if (!username || typeof username !== 'string' || username.trim() === '') {
-      return res.status(400).json({ 
-        ok: false, 
-        error: 'username query parameter is required' 
-      });
-    }
-    
-    const trimmedUsername = username.trim();
+    const trimmedUsername = req.valid.query.username;
     const db = await getMongoDb();
     
     // Fetch from sources sequentially to avoid connection pool race conditions
     // SQL databases are fetched one at a time to ensure proper database connection
     console.log('[FETCH] Starting sequential database queries to avoid connection pool issues...');
     
-    // Step 1: Fetch from KOL database first
-    console.log('[FETCH] Step 1/3: Fetching from KOL (Kolkata) database...');
-    const kolRows = await fetchSqlPendingByUser('KOL', trimmedUsername, db);
-    console.log('[FETCH] Step 1/3: KOL database query completed');
-    
-    // Step 2: Fetch from AHM database second
-    console.log('[FETCH] Step 2/3: Fetching from AHM (Ahmedabad) database...');
-    const ahmRows = await fetchSqlPendingByUser('AHM', trimmedUsername, db);
-    console.log('[FETCH] Step 2/3: AHM database query completed');
+    // Steps 1..n: each plant database in registry order, then MongoDB last
+    const plants = listPlants();
+    const steps = plants.length + 1;
+    const plantResults = [];
+    for (const [i, plant] of plants.entries()) {
+      console.log(`[FETCH] Step ${i + 1}/${steps}: Fetching from ${plant.key} (${plant.name}) database...`);
+      plantResults.push(await fetchSqlPendingByUser(plant.key, trimmedUsername, db));
+      console.log(`[FETCH] Step ${i + 1}/${steps}: ${plant.key} database query completed`);
+    }
     
-    // Step 3: Fetch from MongoDB third
-    console.log('[FETCH] Step 3/3: Fetching from MongoDB...');
+    console.log(`[FETCH] Step ${steps}/${steps}: Fetching from MongoDB...`);
     const mongoRows = await fetchMongoPendingByUser(db, trimmedUsername);
-    // console.log('[FETCH] Step 3/3: MongoDB query completed');
+    // console.log('[FETCH] MongoDB query completed');
     
     // console.log('[FETCH] All database queries completed sequentially');
     
-    // Extract total counts and filtered rows
-    const kolTotalCount = kolRows.totalCount || 0;
-    const ahmTotalCount = ahmRows.totalCount || 0;
-    const kolFilteredRows = kolRows.rows || [];
-    const ahmFilteredRows = ahmRows.rows || [];
+    // Filtered rows per plant (totalCount is every user's rows)
+    const sqlFilteredRows = plantResults.flatMap((result) => result.rows || []);
     
     // Log summary of TOTAL row counts from both databases (NOT filtered by user)
     // console.log(`[FETCH] ========== DATABASE ROW COUNT SUMMARY (ALL USERS, NOT FILTERED) ==========`);
-    // console.log(`[FETCH] KOL (Kolkata) - Total rows in database: ${kolTotalCount}`);
-    // console.log(`[FETCH] AHM (Ahmedabad) - Total rows in database: ${ahmTotalCount}`);
-    // console.log(`[FETCH] Total across both databases: ${kolTotalCount + ahmTotalCount} rows`);
+    // plantResults.forEach((result) => console.log(`[FETCH] ${result.databaseKey} - Total rows in database: ${result.totalCount}`));
     // console.log(`[FETCH] ============================================================`);
     
     // // Log summary of filtered row counts for the searched user
     // console.log(`[FETCH] ========== FILTERED ROW COUNT SUMMARY for "${trimmedUsername}" ==========`);
-    // console.log(`[FETCH] KOL (Kolkata) - Filtered rows: ${kolFilteredRows.length}`);
-    // console.log(`[FETCH] AHM (Ahmedabad) - Filtered rows: ${ahmFilteredRows.length}`);
+    // plantResults.forEach((result) => console.log(`[FETCH] ${result.databaseKey} - Filtered rows: ${result.rows.length}`));
     // console.log(`[FETCH] MongoDB - Filtered rows: ${mongoRows.length}`);
-    // console.log(`[FETCH] Total combined (filtered): ${kolFilteredRows.length + ahmFilteredRows.length + mongoRows.length} rows`);
+    // console.log(`[FETCH] Total combined (filtered): ${sqlFilteredRows.length + mongoRows.length} rows`);
     // console.log(`[FETCH] ============================================================`);
     
     // Combine all results
-    const combined = [...kolFilteredRows, ...ahmFilteredRows, ...mongoRows];
+    const combined = [...sqlFilteredRows, ...mongoRows];
     
     // Extract required output columns + metadata fields needed for updates
     const formattedData = combined.map((row) => ({
@@ -661,7 +649,7 @@ router.get('/prepress/pending', async (req, res) => {
       Status: row.Status,
       
       // Metadata fields needed for update operations
-      __SourceDB: row.__SourceDB,      // 'KOL_SQL', 'AMD_SQL', or 'MONGO_UNORDERED'
+      __SourceDB: row.__SourceDB,      // plant sourceTag ('KOL_SQL', 'AMD_SQL', ...) or 'MONGO_UNORDERED'
       __MongoId: row.__MongoId,        // MongoDB ObjectId as string (for MongoDB items)
       ID: row.ID,                      // SQL ID or MongoDB ID fallback
       ledgerid: row.ledgerid,          // SQL ledger ID (for SQL items)
@@ -709,25 +697,23 @@ router.get('/prepress/pending', async (req, res) => {
   }
 });
 
-router.get('/prepress/completed', async (req, res) => {
+router.get('/prepress/completed', validate({
+  summary: 'Prepress operations a user completed between two dates',
+  query: v.object({
+    username: v.string({ minLength: 1 }),
+    fromDate: v.date(),
+    toDate: v.date().describe('Inclusive'),
+  }),
+}), async (req, res) => {
   try {
-    const username = (req.query.username || '').toString().trim();
-    const fromDateRaw = (req.query.fromDate || '').toString().trim();
-    const toDateRaw = (req.query.toDate || '').toString().trim();
-
-    if (!username || !fromDateRaw || !toDateRaw) {
-      return res.status(400).json({
-        ok: false,
-        error: 'username, fromDate and toDate query parameters are required',
-      });
-    }
+    const { username, fromDate: fromDateRaw, toDate: toDateRaw } = req.valid.query;
 
     const fromDateStart = parseIsoDateOrNull(fromDateRaw);
     const toDateStart = parseIsoDateOrNull(toDateRaw);
     if (!fromDateStart || !toDateStart) {
       return res.status(400).json({
         ok: false,
-        error: 'fromDate and toDate must be in YYYY-MM-DD format',
+        error: 'fromDate and toDate must be valid dates',
       });
     }
 
@@ -744,11 +730,13 @@ router.get('/prepress/completed', async (req, res) => {
     }
 
     const db = await getMongoDb();
-    const kolRows = await fetchSqlCompletedByUser('KOL', username, fromDateStart, toDateStart, db);
-    const ahmRows = await fetchSqlCompletedByUser('AHM', username, fromDateStart, toDateStart, db);
+    const sqlRows = [];
+    for (const plant of listPlants()) {
+      sqlRows.push(...await fetchSqlCompletedByUser(plant.key, username, fromDateStart, toDateStart, db));
+    }
     const mongoRows = await fetchMongoCompletedByUser(db, username, fromDate, toDate);
 
-    const combined = [...kolRows, ...ahmRows, ...mongoRows];
+    const combined = [...sqlRows, ...mongoRows];
     const formattedData = combined.map((row) => ({
       PONumber: row.PONumber ?? null,
       PODate: row.PODate ?? null,
@@ -920,13 +908,13 @@ async function updateMongoArtworkProcessStatus(db, mongoId, operation, remark, l
 // ---------- Update Artwork Process Status ----------
 // POST /api/prepress/pending/update
 // Body: { items: [{ __SourceDB, ID (or __MongoId), Operation, ledgerid (optional for Mongo), Remark, Link }] }
-router.post('/prepress/pending/update', async (req, res) => {
+router.post('/prepress/pending/update', validate({
+  summary: 'Update the status of prepress operations',
+  description: 'Items are applied one by one; per-item failures are reported in the response.',
+  body: v.object({ items: v.array(v.object({}), { minItems: 1 }) }),
+}), async (req, res) => {
   try {
-    const { items = [] } = req.body || {};
-    
-    if (!Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ ok: false, error: 'items array is required and must not be empty' });
-    }
+    const { items } = req.valid.body;
     
     console.log('\n' + '='.repeat(80));
     console.log('📥 [API REQUEST] POST /api/prepress/pending/update');
@@ -1021,7 +1009,7 @@ router.post('/prepress/pending/update', async (req, res) => {
             result: result
           });
           
-        } else if (__SourceDB === 'KOL_SQL' || __SourceDB === 'AMD_SQL') {
+        } else if (getPlantBySourceTag(__SourceDB)) {
           // Handle SQL items
           if (!ID || !ledgerid) {
             errors.push({
@@ -1032,7 +1020,7 @@ router.post('/prepress/pending/update', async (req, res) => {
           }
           
           // Determine database key from __SourceDB
-          const databaseKey = __SourceDB === 'KOL_SQL' ? 'KOL' : 'AHM';
+          const databaseKey = getPlantBySourceTag(__SourceDB).key;
           
           // Get the appropriate database pool
           const pool = await getPool(databaseKey);
@@ -1,7 +1,7 @@
 /**
  * Previous Items By Client Tool API
  * - POST /previousitemsbyclient/search
- *   Body: { database: 'KOL'|'AHM', ledgerIds: number[], basis: 'O'|'D', topFilter: 'top50'|'top100'|'all6months' }
+ *   Body: { database: <plant key>, ledgerIds: number[], basis: 'O'|'D', topFilter: 'top50'|'top100'|'all6months' }
  *   Executes GetPackagingClientConsumption_withpaper_check.
  *   Expects: RS1 = period labels (Month6Label…Month1Label), RS(n-1) = SKU qty table, RS(n) = category table.
  *   SKU table includes columnDisplayNames mapping QtyMonth* → "Qty {Month label}" from RS1.
@@ -12,30 +12,25 @@ import { Router } from 'express';
 import { getPool } from './db.js';
 import sql from 'mssql';
 import OpenAI from 'openai';
+import { validate, v } from './validation.js';
 
 const router = Router();
 const openai = new OpenAI({
 	apiKey: process.env.OPENAI_API_KEY,
 });
 
-const TOP_FILTERS = new Set(['top50', 'top100', 'all6months']);
-const BASIS_VALUES = new Set(['O', 'D']);
-
-function normalizeDb(body = {}) {
-	const db = String(body.database || '').trim().toUpperCase();
-	return db === 'KOL' || db === 'AHM' ? db : null;
-}
-
-function parseLedgerIds(raw) {
-	if (!Array.isArray(raw)) return null;
-	const ids = [];
-	for (const x of raw) {
-		const n = typeof x === 'number' ? x : parseInt(String(x).trim(), 10);
-		if (!Number.isInteger(n) || n <= 0) return null;
-		ids.push(n);
-	}
-	return ids.length ? ids : null;
-}
+// Fields shared by /search and /analyze
+const searchFields = {
+	database: v.database(),
+	ledgerIds: v.array(v.id(), { minItems: 1 }),
+	basis: v.enum(['O', 'D'], { upperCase: true }).describe('O: order wise, D: delivery wise'),
+	topFilter: v.enum(['top50', 'top100', 'all6months'], { lowerCase: true })
+};
+const tableBody = v.object({
+	columns: v.array(v.string()).optional(),
+	rows: v.array(v.object({}), { minItems: 1 }),
+	columnDisplayNames: v.object({}).optional()
+});
 
 function rowLimitForTopFilter(topFilter) {
 	if (topFilter === 'top50') return 50;
@@ -102,30 +97,11 @@ function normalizeTableInput(table = {}) {
 /**
  * POST /api/previousitemsbyclient/search
  */
-router.post('/previousitemsbyclient/search', async (req, res) => {
-	const db = normalizeDb(req.body || {});
-	if (!db) {
-		return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-	}
-
-	const ledgerIds = parseLedgerIds(req.body?.ledgerIds);
-	if (!ledgerIds) {
-		return res.status(400).json({ status: false, error: 'ledgerIds must be a non-empty array of positive integers' });
-	}
-
-	let basis = String(req.body?.basis || '').trim().toUpperCase();
-	if (!BASIS_VALUES.has(basis)) {
-		return res.status(400).json({ status: false, error: 'basis must be O (order wise) or D (delivery wise)' });
-	}
-
-	const topFilter = String(req.body?.topFilter || '').trim().toLowerCase();
-	if (!TOP_FILTERS.has(topFilter)) {
-		return res.status(400).json({
-			status: false,
-			error: 'topFilter must be top50, top100, or all6months',
-		});
-	}
-
+router.post('/previousitemsbyclient/search', validate({
+	summary: 'SKU and category consumption of clients over the last six months',
+	body: v.object(searchFields)
+}), async (req, res) => {
+	const { database: db, ledgerIds, basis, topFilter } = req.valid.body;
 	const ledgerCsv = ledgerIds.join(',');
 	const limit = rowLimitForTopFilter(topFilter);
 
@@ -190,41 +166,24 @@ router.post('/previousitemsbyclient/search', async (req, res) => {
  *  leftTable: { columns, rows }, rightTable: { columns, rows }
  * }
  */
-router.post('/previousitemsbyclient/analyze', async (req, res) => {
+router.post('/previousitemsbyclient/analyze', validate({
+	summary: 'AI summary of the consumption tables returned by /search',
+	body: v.object({
+		...searchFields,
+		leftTable: tableBody.describe('SKU wise consumption table'),
+		rightTable: tableBody.describe('Category wise consumption table'),
+		clientNames: v.array(v.string()).default([])
+	})
+}), async (req, res) => {
 	try {
 		if (!process.env.OPENAI_API_KEY) {
 			return res.status(500).json({ status: false, error: 'OPENAI_API_KEY is not configured on server' });
 		}
 
-		const db = normalizeDb(req.body || {});
-		if (!db) {
-			return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-		}
-
-		const basis = String(req.body?.basis || '').trim().toUpperCase();
-		if (!BASIS_VALUES.has(basis)) {
-			return res.status(400).json({ status: false, error: 'basis must be O (order wise) or D (delivery wise)' });
-		}
-
-		const topFilter = String(req.body?.topFilter || '').trim().toLowerCase();
-		if (!TOP_FILTERS.has(topFilter)) {
-			return res.status(400).json({ status: false, error: 'topFilter must be top50, top100, or all6months' });
-		}
-
-		const ledgerIds = parseLedgerIds(req.body?.ledgerIds);
-		if (!ledgerIds) {
-			return res.status(400).json({ status: false, error: 'ledgerIds must be a non-empty array of positive integers' });
-		}
-
-		const leftTable = normalizeTableInput(req.body?.leftTable);
-		const rightTable = normalizeTableInput(req.body?.rightTable);
-		if (!leftTable.rows.length || !rightTable.rows.length) {
-			return res.status(400).json({ status: false, error: 'Both leftTable and rightTable must contain rows for analysis' });
-		}
-
-		const clientNames = Array.isArray(req.body?.clientNames)
-			? req.body.clientNames.map((x) => String(x)).filter(Boolean)
-			: [];
+		const { database: db, basis, topFilter, ledgerIds } = req.valid.body;
+		const leftTable = normalizeTableInput(req.valid.body.leftTable);
+		const rightTable = normalizeTableInput(req.valid.body.rightTable);
+		const clientNames = req.valid.body.clientNames.filter(Boolean);
 
 		const basisLabel = basis === 'O' ? 'Order wise' : 'Delivery wise';
 		const userPayload = {
@@ -0,0 +1,164 @@
+/**
+ * Offline shop-floor sync API
+ * - POST /processes/sync — replay a batch of start/complete/cancel events captured offline
+ *
+ * Body: {
+ *   database: plant key ('KOL', ...),
+ *   deviceId?: string,
+ *   events: [{
+ *     clientEventId: string,            // generated on the device, unique per event
+ *     type: 'start'|'complete'|'cancel',
+ *     clientTimestamp: ISO string,      // when the operator tapped the action
+ *     UserID, ...                       // same fields as /processes/start|complete|cancel
+ *     ProductionID?: number,            // complete/cancel: known ProductionID, or
+ *     startEventId?: string             // complete/cancel: clientEventId of the start event
+ *   }]
+ * }
+ *
+ * Events run in clientTimestamp order (ties in the order given) against the same stored procedures
+ * as the online endpoints. A complete/cancel may reference a start by startEventId (in this batch or
+ * an earlier one); it is linked to the ProductionID that start created. Already processed
+ * clientEventIds are answered from the ProcessSyncEvents store, so a re-sent batch is safe.
+ * The rules are in process-sync.js.
+ *
+ * Response: { status: true, results: [{ clientEventId, type, status, productionId?, ... }] }, one
+ * result per event in the order sent
+ * where status is applied | duplicate | rejected | failed | skipped | invalid.
+ */
+import { Router } from 'express';
+import mongoose from 'mongoose';
+import { getPool } from './db.js';
+import ProcessSyncEvent from './models/ProcessSyncEvent.js';
+import { runProductionProc, findStartedProduction } from './production-procs.js';
+import { notifyProductionEvent } from './machine-floor-feed.js';
+import { validate, v } from './validation.js';
+import { recordAudit, auditContext } from './audit-trail.js';
+import {
+  normalizeEvent, findBatchDuplicate, replayOrder, storedEventsFilter, startedProductionsOf, storedToResult, planEvent
+} from './process-sync.js';
+
+const router = Router();
+
+const MAX_EVENTS_PER_BATCH = 200;
+// Replayed event status -> audit outcome (as for the online endpoints' production.* records)
+const AUDIT_OUTCOMES = { applied: 'success', rejected: 'no-change', failed: 'failure' };
+
+/**
+ * POST /api/processes/sync
+ */
+router.post('/processes/sync', validate({
+  summary: 'Replay start/complete/cancel events captured offline',
+  // Events are checked one by one (normalizeEvent) so a bad event does not reject the batch
+  body: v.object({
+    database: v.database(),
+    deviceId: v.string().optional(),
+    events: v.array(
+      v.object({}).describe('clientEventId, type, clientTimestamp and the fields of /processes/start|complete|cancel'),
+      { minItems: 1, maxItems: MAX_EVENTS_PER_BATCH }
+    )
+  })
+}), async (req, res) => {
+  const { database: selectedDatabase, deviceId, events } = req.valid.body;
+  if (mongoose.connection.readyState !== 1) {
+    return res.status(503).json({ status: false, error: 'Sync store is unavailable, retry later' });
+  }
+
+  const normalized = events.map(normalizeEvent);
+  const duplicateId = findBatchDuplicate(normalized);
+  if (duplicateId) {
+    return res.status(400).json({ status: false, error: `Duplicate clientEventId in batch: ${duplicateId}` });
+  }
+
+  console.log('[SYNC-BATCH] Replaying events', { database: selectedDatabase, deviceId: deviceId || null, count: events.length });
+
+  try {
+    // Events already handled by an earlier (re-sent) batch, plus starts referenced from this one
+    const storedDocs = await ProcessSyncEvent.find(storedEventsFilter(selectedDatabase, normalized)).lean();
+    const stored = new Map(storedDocs.map(d => [d.clientEventId, d]));
+    const startedProductions = startedProductionsOf(storedDocs);
+
+    let pool = null;
+    const results = new Array(normalized.length);
+
+    for (const index of replayOrder(normalized)) {
+      const ev = normalized[index];
+      const plan = planEvent(ev, { stored, startedProductions });
+      if (plan.result) {
+        results[index] = plan.result;
+        continue;
+      }
+      const { params, previous } = plan;
+
+      const record = {
+        database: selectedDatabase,
+        clientEventId: ev.clientEventId,
+        deviceId: deviceId ? String(deviceId) : undefined,
+        type: ev.type,
+        clientTimestamp: ev.clientTimestamp,
+        requestData: params
+      };
+
+      try {
+        pool = pool || await getPool(selectedDatabase);
+
+        // A start that failed in an earlier batch may still have committed; reuse its ProductionID
+        const reconciledId = ev.type === 'start' && previous
+          ? await findStartedProduction(pool, params, new Date(previous.createdAt))
+          : null;
+
+        const { recordset, productionId, statusWarning } = reconciledId
+          ? { recordset: [{ ProductionID: reconciledId }], productionId: reconciledId, statusWarning: null }
+          : await runProductionProc(pool, ev.type, params);
+        // A Status-only row means the procedure refused the action
+        const rejected = !!statusWarning || (ev.type === 'start' && !productionId);
+        Object.assign(record, {
+          status: rejected ? 'rejected' : 'applied',
+          productionId: ev.type === 'start' ? (productionId ?? undefined) : params.ProductionID,
+          result: recordset,
+          statusWarning: statusWarning || undefined,
+          error: rejected ? (statusWarning?.message || 'No ProductionID returned') : undefined
+        });
+        if (ev.type === 'start' && !rejected) {
+          startedProductions.set(ev.clientEventId, productionId);
+        }
+        if (!rejected) {
+          notifyProductionEvent({ database: selectedDatabase, type: ev.type, machineId: params.MachineID, productionId: record.productionId });
+        }
+      } catch (err) {
+        console.error(`[SYNC-BATCH] ${ev.type} event ${ev.clientEventId} failed:`, err);
+        Object.assign(record, { status: 'failed', error: err.message || String(err) });
+      }
+      const context = auditContext(req);
+      recordAudit(req, {
+        action: `production.${ev.type}`,
+        database: selectedDatabase,
+        entity: 'ProductionEntry',
+        entityKeys: { ProductionID: record.productionId ?? null, clientEventId: ev.clientEventId },
+        newValues: { ...params, deviceId: record.deviceId, clientTimestamp: ev.clientTimestamp },
+        outcome: AUDIT_OUTCOMES[record.status],
+        error: record.error,
+        context: { ...context, actor: { ...context.actor, erpUserId: params.UserID } }
+      });
+
+      await ProcessSyncEvent.findOneAndUpdate(
+        { database: selectedDatabase, clientEventId: ev.clientEventId },
+        { $set: { ...record, processedAt: new Date() } },
+        { upsert: true }
+      );
+      results[index] = storedToResult(record, false);
+    }
+
+    const summary = results.reduce((acc, r) => {
+      acc[r.status] = (acc[r.status] || 0) + 1;
+      return acc;
+    }, {});
+    console.log('[SYNC-BATCH] Done', { database: selectedDatabase, deviceId: deviceId || null, summary });
+
+    return res.json({ status: true, results, summary });
+  } catch (err) {
+    console.error('[SYNC-BATCH] Batch failed:', err);
+    return res.status(500).json({ status: false, error: err.message || 'Internal server error' });
+  }
+});
+
+export default router;
@@ -1,6 +1,7 @@
 /**
  * Raw Material QC Tool API
  * - POST /raw-qc/grn-pending — list GRNs not yet QC'd (ItemTransactionMain, VoucherDate >= 2026-02-22)
+ * - POST|GET /raw-qc/item-types — item groups/types for the parameter screens (cached per plant)
  * - POST /raw-qc/inspection-parameters — get parameters for a GRN (ItemGroupParameters + ItemMaster standard values)
  * - POST /raw-qc/save-inspection — save QC (RawMaterialQCMain + RawMaterialQCDetail) with ValidationStatus
  * - POST /raw-qc/reports/inspector-performance — dashboard by user/date
@@ -12,15 +13,15 @@
 import { Router } from 'express';
 import { getPool } from './db.js';
 import sql from 'mssql';
+import { validate, v } from './validation.js';
+import { sendCachedLookup, invalidateLookup } from './lookup-cache.js';
+import { recordAudit, captureBefore } from './audit-trail.js';
 
 const router = Router();
 const GRN_VOUCHER_ID = -14;
 const PENDING_GRN_CUTOFF_DATE = '2026-03-23';
 
-function getDb(body = {}) {
-  const db = (body.database || '').toString().trim().toUpperCase();
-  return db === 'KOL' || db === 'AHM' ? db : null;
-}
+const databaseBody = v.object({ database: v.database() });
 
 /**
  * Parse standard value from ItemMaster.ItemDescription for a given parameter.
@@ -78,15 +79,15 @@ function computeValidationStatus(paramType, paramToleranceValue, actualValue, st
 
 /**
  * POST /api/raw-qc/grn-pending
- * Body: { database: 'KOL'|'AHM' }
+ * Body: { database: plant key }
  * Returns one row per item (per ItemTransactionDetail) for pending GRNs.
  * Each row: TransactionID, TransactionDetailID, VoucherDate, VoucherNo, Vendor (LedgerName), ItemName, ItemType, ReceiptQuantity.
  */
-router.post('/raw-qc/grn-pending', async (req, res) => {
-  const db = getDb(req.body || {});
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
+router.post('/raw-qc/grn-pending', validate({
+  summary: 'GRN lines not yet QC inspected',
+  body: databaseBody
+}), async (req, res) => {
+  const db = req.valid.body.database;
   try {
     const pool = await getPool(db);
     const result = await pool.request()
@@ -198,34 +199,44 @@ router.post('/raw-qc/grn-pending', async (req, res) => {
 /**
  * POST /api/raw-qc/item-types
  * Body: { database }
- * Returns distinct ItemGroupID and ItemType from ItemMaster for ItemGroupID IN (2, 14).
+ * GET /api/raw-qc/item-types?database=KOL — same list; lets browsers revalidate with If-None-Match (304)
+ * Returns distinct ItemGroupID and ItemType from ItemMaster for ItemGroupID IN (2, 14). Cached per plant (lookup-cache.js);
+ * the parameter routes below drop the plant's entry after a change.
  */
-router.post('/raw-qc/item-types', async (req, res) => {
-  const db = getDb(req.body || {});
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
+async function sendItemTypes(req, res, db) {
   try {
-    const pool = await getPool(db);
-    const result = await pool.request().query(`
-      SELECT DISTINCT ItemGroupID, ItemType
-      FROM ItemMaster
-      WHERE ItemGroupID IN (2, 14)
-        AND (IsDeleted = 0 OR IsDeleted IS NULL)
-        AND ItemType IS NOT NULL
-        AND LTRIM(RTRIM(ISNULL(ItemType, ''))) <> ''
-      ORDER BY ItemType, ItemGroupID
-    `);
-    const rows = (result.recordset || []).map(r => ({
-      itemGroupId: r.ItemGroupID ?? r.itemgroupid,
-      itemType: r.ItemType ?? r.itemtype ?? '',
-    }));
-    return res.json({ status: true, data: rows });
+    return await sendCachedLookup(req, res, { lookup: 'raw-qc/item-types', plant: db }, async () => {
+      const pool = await getPool(db);
+      const result = await pool.request().query(`
+        SELECT DISTINCT ItemGroupID, ItemType
+        FROM ItemMaster
+        WHERE ItemGroupID IN (2, 14)
+          AND (IsDeleted = 0 OR IsDeleted IS NULL)
+          AND ItemType IS NOT NULL
+          AND LTRIM(RTRIM(ISNULL(ItemType, ''))) <> ''
+        ORDER BY ItemType, ItemGroupID
+      `);
+      const rows = (result.recordset || []).map(r => ({
+        itemGroupId: r.ItemGroupID ?? r.itemgroupid,
+        itemType: r.ItemType ?? r.itemtype ?? '',
+      }));
+      return { status: true, data: rows };
+    });
   } catch (err) {
     console.error('[raw-qc] item-types error:', err);
     return res.status(500).json({ status: false, error: err.message || 'Failed to fetch item types' });
   }
-});
+}
+
+router.post('/raw-qc/item-types', validate({
+  summary: 'Item groups and types that have QC parameters',
+  body: databaseBody
+}), (req, res) => sendItemTypes(req, res, req.valid.body.database));
+
+router.get('/raw-qc/item-types', validate({
+  summary: 'Item groups and types that have QC parameters',
+  query: databaseBody
+}), (req, res) => sendItemTypes(req, res, req.valid.query.database));
 
 /**
  * POST /api/raw-qc/parameter
@@ -234,24 +245,17 @@ router.post('/raw-qc/item-types', async (req, res) => {
  * value: for value=null, for tolerance=number, for dropdown=selections joined by /
  * Inserts into ItemGroupParameters.
  */
-router.post('/raw-qc/parameter', async (req, res) => {
-  const { database, itemGroupId, parameter, type, value } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const igid = parseInt(itemGroupId, 10);
-  if (Number.isNaN(igid)) {
-    return res.status(400).json({ status: false, error: 'Valid itemGroupId is required' });
-  }
-  const paramName = (parameter || '').toString().trim();
-  if (!paramName) {
-    return res.status(400).json({ status: false, error: 'Parameter name is required' });
-  }
-  const typeVal = (type || '').toString().toLowerCase();
-  if (!['tolerance', 'value', 'dropdown'].includes(typeVal)) {
-    return res.status(400).json({ status: false, error: 'Type must be tolerance, value, or dropdown' });
-  }
+router.post('/raw-qc/parameter', validate({
+  summary: 'Add a QC parameter to an item group',
+  body: v.object({
+    database: v.database(),
+    itemGroupId: v.integer(),
+    parameter: v.string({ minLength: 1 }),
+    type: v.enum(['tolerance', 'value', 'dropdown'], { lowerCase: true }),
+    value: v.string().optional().describe('tolerance: a number; dropdown: choices joined by /')
+  })
+}), async (req, res) => {
+  const { database: db, itemGroupId: igid, parameter: paramName, type: typeVal, value } = req.valid.body;
   let valueToStore = null;
   if (typeVal === 'tolerance') {
     const num = parseFloat(value);
@@ -262,19 +266,31 @@ router.post('/raw-qc/parameter', async (req, res) => {
   } else if (typeVal === 'dropdown' && value != null && String(value).trim() !== '') {
     valueToStore = String(value).trim();
   }
+  const audit = {
+    action: 'raw-qc.add-parameter',
+    database: db,
+    entity: 'ItemGroupParameters',
+    entityKeys: { ItemGroupID: igid },
+    newValues: { Parameter: paramName, Type: typeVal, Value: valueToStore }
+  };
   try {
     const pool = await getPool(db);
-    await pool.request()
+    const result = await pool.request()
       .input('ItemGroupID', sql.Int, igid)
       .input('Parameter', sql.NVarChar(255), paramName)
       .input('Type', sql.NVarChar(50), typeVal)
       .input('Value', sql.NVarChar(500), valueToStore)
       .query(`
         INSERT INTO ItemGroupParameters (ItemGroupID, Parameter, Type, Value, IsDeleted, CreatedOn, ModifiedOn)
+        OUTPUT INSERTED.ID
         VALUES (@ItemGroupID, @Parameter, @Type, @Value, 0, GETDATE(), GETDATE())
       `);
+    const insertedId = result.recordset?.[0]?.ID ?? null;
+    recordAudit(req, { ...audit, entityKeys: { ID: insertedId, ...audit.entityKeys }, outcome: 'success' });
+    invalidateLookup('raw-qc/item-types', db);
     return res.json({ status: true, message: 'Parameter added successfully' });
   } catch (err) {
+    recordAudit(req, { ...audit, outcome: 'failure', error: err });
     console.error('[raw-qc] parameter insert error:', err);
     return res.status(500).json({ status: false, error: err.message || 'Failed to add parameter' });
   }
@@ -285,16 +301,11 @@ router.post('/raw-qc/parameter', async (req, res) => {
  * Body: { database, itemGroupId }
  * Returns all parameters (including soft-deleted) for the item group for the "Modify item group" UI.
  */
-router.post('/raw-qc/parameters-by-group', async (req, res) => {
-  const { database, itemGroupId } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const igid = parseInt(itemGroupId, 10);
-  if (Number.isNaN(igid)) {
-    return res.status(400).json({ status: false, error: 'Valid itemGroupId is required' });
-  }
+router.post('/raw-qc/parameters-by-group', validate({
+  summary: 'All parameters of an item group, including deleted ones',
+  body: v.object({ database: v.database(), itemGroupId: v.integer() })
+}), async (req, res) => {
+  const { database: db, itemGroupId: igid } = req.valid.body;
   try {
     const pool = await getPool(db);
     const result = await pool.request()
@@ -322,48 +333,75 @@ router.post('/raw-qc/parameters-by-group', async (req, res) => {
   }
 });
 
+// Current ItemGroupParameters row, for the audit trail
+async function parameterRow(pool, id) {
+  const result = await pool.request()
+    .input('ID', sql.Int, id)
+    .query('SELECT ID, ItemGroupID, Parameter, Type, Value, IsDeleted FROM ItemGroupParameters WHERE ID = @ID');
+  return result.recordset?.[0] || null;
+}
+
 /**
  * PATCH /api/raw-qc/parameter/:id
  * Body: { database, parameter?, type?, value? }
  */
-router.patch('/raw-qc/parameter/:id', async (req, res) => {
-  const { id } = req.params;
-  const { database, parameter, type, value } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const pid = parseInt(id, 10);
-  if (Number.isNaN(pid)) {
-    return res.status(400).json({ status: false, error: 'Valid parameter id is required' });
-  }
+router.patch('/raw-qc/parameter/:id', validate({
+  summary: 'Change a QC parameter',
+  params: v.object({ id: v.integer() }),
+  body: v.object({
+    database: v.database(),
+    parameter: v.string().optional(),
+    type: v.enum(['tolerance', 'value', 'dropdown'], { lowerCase: true }).optional(),
+    value: v.string().optional().describe('null clears the value')
+  })
+}), async (req, res) => {
+  const pid = req.valid.params.id;
+  const { database: db, parameter, type, value } = req.valid.body;
   const updates = [];
+  const newValues = {};
   const pool = await getPool(db);
   const request = pool.request().input('ID', sql.Int, pid);
-  if (parameter != null && String(parameter).trim() !== '') {
+  if (parameter) {
     updates.push('Parameter = @Parameter');
-    request.input('Parameter', sql.NVarChar(255), String(parameter).trim());
+    newValues.Parameter = parameter;
+    request.input('Parameter', sql.NVarChar(255), newValues.Parameter);
   }
-  if (type != null && ['tolerance', 'value', 'dropdown'].includes(String(type).toLowerCase())) {
+  if (type) {
     updates.push('Type = @Type');
-    request.input('Type', sql.NVarChar(50), String(type).toLowerCase());
+    newValues.Type = type;
+    request.input('Type', sql.NVarChar(50), newValues.Type);
   }
-  if (value !== undefined) {
+  if (value !== undefined || req.body?.value === null) {
     updates.push('Value = @Value');
-    request.input('Value', sql.NVarChar(500), value != null ? String(value).trim() : null);
+    newValues.Value = value ?? null;
+    request.input('Value', sql.NVarChar(500), newValues.Value);
   }
   if (updates.length === 0) {
     return res.status(400).json({ status: false, error: 'No fields to update' });
   }
   updates.push('ModifiedOn = GETDATE()');
+  let audit = null;
   try {
-    await request.query(`
+    const before = await captureBefore(() => parameterRow(pool, pid));
+    audit = {
+      action: 'raw-qc.update-parameter',
+      database: db,
+      entity: 'ItemGroupParameters',
+      entityKeys: { ID: pid },
+      oldValues: before.values,
+      newValues,
+      captureError: before.captureError
+    };
+    const result = await request.query(`
       UPDATE ItemGroupParameters
       SET ${updates.join(', ')}
       WHERE ID = @ID
     `);
+    recordAudit(req, { ...audit, outcome: result.rowsAffected?.[0] ? 'success' : 'no-change' });
+    invalidateLookup('raw-qc/item-types', db);
     return res.json({ status: true, message: 'Parameter updated successfully' });
   } catch (err) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
     console.error('[raw-qc] parameter update error:', err);
     return res.status(500).json({ status: false, error: err.message || 'Failed to update parameter' });
   }
@@ -374,28 +412,38 @@ router.patch('/raw-qc/parameter/:id', async (req, res) => {
  * Body: { database }
  * Soft-delete: set IsDeleted = 1.
  */
-router.post('/raw-qc/parameter/:id/delete', async (req, res) => {
-  const { id } = req.params;
-  const { database } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const pid = parseInt(id, 10);
-  if (Number.isNaN(pid)) {
-    return res.status(400).json({ status: false, error: 'Valid parameter id is required' });
-  }
+router.post('/raw-qc/parameter/:id/delete', validate({
+  summary: 'Soft-delete a QC parameter',
+  params: v.object({ id: v.integer() }),
+  body: databaseBody
+}), async (req, res) => {
+  const pid = req.valid.params.id;
+  const db = req.valid.body.database;
+  let audit = null;
   try {
     const pool = await getPool(db);
-    await pool.request()
+    const before = await captureBefore(() => parameterRow(pool, pid));
+    audit = {
+      action: 'raw-qc.delete-parameter',
+      database: db,
+      entity: 'ItemGroupParameters',
+      entityKeys: { ID: pid },
+      oldValues: before.values,
+      newValues: { IsDeleted: 1 },
+      captureError: before.captureError
+    };
+    const result = await pool.request()
       .input('ID', sql.Int, pid)
       .query(`
         UPDATE ItemGroupParameters
         SET IsDeleted = 1, ModifiedOn = GETDATE()
         WHERE ID = @ID
       `);
+    recordAudit(req, { ...audit, outcome: result.rowsAffected?.[0] ? 'success' : 'no-change' });
+    invalidateLookup('raw-qc/item-types', db);
     return res.json({ status: true, message: 'Parameter deleted successfully' });
   } catch (err) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
     console.error('[raw-qc] parameter delete error:', err);
     return res.status(500).json({ status: false, error: err.message || 'Failed to delete parameter' });
   }
@@ -407,20 +455,11 @@ router.post('/raw-qc/parameter/:id/delete', async (req, res) => {
  * Resolves ItemGroupID and ItemID from ItemTransactionDetail for the given (TransactionID, TransactionDetailID),
  * then returns parameters from ItemGroupParameters.
  */
-router.post('/raw-qc/inspection-parameters', async (req, res) => {
-  const { database, transactionId, transactionDetailId } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const tid = parseInt(transactionId, 10);
-  if (Number.isNaN(tid)) {
-    return res.status(400).json({ status: false, error: 'Valid transactionId is required' });
-  }
-  const detailId = transactionDetailId != null && transactionDetailId !== '' ? parseInt(transactionDetailId, 10) : null;
-  if (detailId == null || Number.isNaN(detailId)) {
-    return res.status(400).json({ status: false, error: 'Valid transactionDetailId is required' });
-  }
+router.post('/raw-qc/inspection-parameters', validate({
+  summary: 'QC parameters and standard values for a GRN line',
+  body: v.object({ database: v.database(), transactionId: v.integer(), transactionDetailId: v.integer() })
+}), async (req, res) => {
+  const { database: db, transactionId: tid, transactionDetailId: detailId } = req.valid.body;
   try {
     const pool = await getPool(db);
     const detailResult = await pool.request()
@@ -490,30 +529,35 @@ router.post('/raw-qc/inspection-parameters', async (req, res) => {
  * items: [{ parameterName, parameterId?, standardValue, actualValue, unit?, parameterOrder? }]
  * ValidationStatus: tolerance = Ok/Not Ok from standard±tolerance; dropdown = actualValue; value = NA
  */
-router.post('/raw-qc/save-inspection', async (req, res) => {
-  const { database, userId, transactionId, transactionDetailId, voucherNo, voucherDate, items } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const tid = parseInt(transactionId, 10);
-  const uid = parseInt(userId, 10);
-  const detailId = transactionDetailId != null && transactionDetailId !== '' ? parseInt(transactionDetailId, 10) : null;
-  if (Number.isNaN(tid)) {
-    return res.status(400).json({ status: false, error: 'Valid transactionId is required' });
-  }
-  if (detailId == null || Number.isNaN(detailId)) {
-    return res.status(400).json({ status: false, error: 'Valid transactionDetailId is required' });
-  }
-  if (Number.isNaN(uid)) {
-    return res.status(400).json({ status: false, error: 'Valid userId is required' });
-  }
-  if (!voucherNo || !voucherDate) {
-    return res.status(400).json({ status: false, error: 'voucherNo and voucherDate are required' });
-  }
-  if (!Array.isArray(items) || items.length === 0) {
-    return res.status(400).json({ status: false, error: 'items array is required and must not be empty' });
-  }
+router.post('/raw-qc/save-inspection', validate({
+  summary: 'Save a QC inspection for a GRN line',
+  body: v.object({
+    database: v.database(),
+    userId: v.integer(),
+    transactionId: v.integer(),
+    transactionDetailId: v.integer(),
+    voucherNo: v.string({ minLength: 1 }),
+    voucherDate: v.string({ minLength: 1 }),
+    items: v.array(v.object({
+      parameterName: v.string().optional(),
+      parameterId: v.integer().optional(),
+      standardValue: v.string().optional(),
+      actualValue: v.string().optional(),
+      unit: v.string().optional(),
+      parameterOrder: v.integer().optional()
+    }), { minItems: 1 })
+  })
+}), async (req, res) => {
+  const {
+    database: db, userId: uid, transactionId: tid, transactionDetailId: detailId, voucherNo, voucherDate, items
+  } = req.valid.body;
+  const audit = {
+    action: 'raw-qc.save-inspection',
+    database: db,
+    entity: 'RawMaterialQCMain',
+    entityKeys: { TransactionID: tid, TransactionDetailID: detailId },
+    newValues: { VoucherNo: voucherNo, VoucherDate: voucherDate, items }
+  };
   try {
     const pool = await getPool(db);
     const voucherDateVal = voucherDate instanceof Date ? voucherDate : new Date(voucherDate);
@@ -572,6 +616,7 @@ router.post('/raw-qc/save-inspection', async (req, res) => {
           `);
         paramList.push(...(paramRows.recordset || []));
       }
+      const savedDetails = [];
       const paramById = {};
       const paramByName = {};
       paramList.forEach((r) => {
@@ -595,6 +640,7 @@ router.post('/raw-qc/save-inspection', async (req, res) => {
           it.standardValue
         );
         const standardToSave = standardFromDesc != null ? String(standardFromDesc) : (it.standardValue != null ? String(it.standardValue) : null);
+        savedDetails.push({ ...it, standardValue: standardToSave, validationStatus });
 
         await transaction.request()
           .input('RawMaterialQCMainId', sql.Int, mainId)
@@ -611,6 +657,12 @@ router.post('/raw-qc/save-inspection', async (req, res) => {
           `);
       }
       await transaction.commit();
+      recordAudit(req, {
+        ...audit,
+        entityKeys: { Id: mainId, ...audit.entityKeys },
+        newValues: { ...audit.newValues, items: savedDetails },
+        outcome: 'success'
+      });
       return res.json({
         status: true,
         message: 'Inspection saved successfully',
@@ -622,6 +674,7 @@ router.post('/raw-qc/save-inspection', async (req, res) => {
       throw txErr;
     }
   } catch (err) {
+    recordAudit(req, { ...audit, outcome: 'failure', error: err });
     console.error('[raw-qc] save-inspection error:', err);
     return res.status(500).json({ status: false, error: err.message || 'Failed to save inspection' });
   }
@@ -632,15 +685,11 @@ router.post('/raw-qc/save-inspection', async (req, res) => {
  * Body: { database, startDate, endDate }
  * Returns count of QC per user per day from RawMaterialQCMain.
  */
-router.post('/raw-qc/reports/inspector-performance', async (req, res) => {
-  const { database, startDate, endDate } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  if (!startDate || !endDate) {
-    return res.status(400).json({ status: false, error: 'startDate and endDate are required' });
-  }
+router.post('/raw-qc/reports/inspector-performance', validate({
+  summary: 'QC inspections per inspector per day',
+  body: v.object({ database: v.database(), startDate: v.date(), endDate: v.date() })
+}), async (req, res) => {
+  const { database: db, startDate, endDate } = req.valid.body;
   const start = new Date(startDate);
   const end = new Date(endDate);
   if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
@@ -676,27 +725,24 @@ router.post('/raw-qc/reports/inspector-performance', async (req, res) => {
  * Returns QC entries for the given GRN: one row per RawMaterialQCDetail, joined with RawMaterialQCMain.
  * Columns: VoucherNo, TransactionDetailID, AuditDateTime, VoucherDate, ParameterName, StandardValue, ActualValue, ValidationStatus.
  */
-router.post('/raw-qc/reports/grn-entries', async (req, res) => {
-  const { database, voucherNo, transactionId } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  const byTid = transactionId != null && String(transactionId).trim() !== '';
-  const byVoucher = voucherNo != null && String(voucherNo).trim() !== '';
-  if (!byTid && !byVoucher) {
+router.post('/raw-qc/reports/grn-entries', validate({
+  summary: 'QC entries of a GRN, by voucher number or transaction id',
+  body: v.object({
+    database: v.database(),
+    voucherNo: v.string().optional(),
+    transactionId: v.integer().optional().describe('Used instead of voucherNo when both are sent')
+  })
+}), async (req, res) => {
+  const { database: db, voucherNo, transactionId } = req.valid.body;
+  if (transactionId == null && !voucherNo) {
     return res.status(400).json({ status: false, error: 'voucherNo or transactionId is required' });
   }
   try {
     const pool = await getPool(db);
     let result;
-    if (byTid) {
-      const tid = parseInt(transactionId, 10);
-      if (Number.isNaN(tid)) {
-        return res.status(400).json({ status: false, error: 'Valid transactionId is required' });
-      }
+    if (transactionId != null) {
       result = await pool.request()
-        .input('TransactionID', sql.Int, tid)
+        .input('TransactionID', sql.Int, transactionId)
         .query(`
           SELECT
             q.VoucherNo,
@@ -713,9 +759,8 @@ router.post('/raw-qc/reports/grn-entries', async (req, res) => {
           ORDER BY q.CreatedAt DESC, d.ParameterOrder, d.ParameterName
         `);
     } else {
-      const v = String(voucherNo).trim();
       result = await pool.request()
-        .input('VoucherNo', sql.NVarChar(100), v)
+        .input('VoucherNo', sql.NVarChar(100), voucherNo)
         .query(`
           SELECT
             q.VoucherNo,
@@ -748,23 +793,15 @@ router.post('/raw-qc/reports/grn-entries', async (req, res) => {
  * Body: { database, startDate, endDate, userId }
  * Drill-down: list of QC audits for the given user in date range.
  */
-router.post('/raw-qc/reports/audit-detail', async (req, res) => {
-  const { database, startDate, endDate, userId } = req.body || {};
-  const db = getDb({ database });
-  if (!db) {
-    return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-  }
-  if (!startDate || !endDate || userId == null) {
-    return res.status(400).json({ status: false, error: 'startDate, endDate and userId are required' });
-  }
-  const uid = parseInt(userId, 10);
-  if (Number.isNaN(uid)) {
-    return res.status(400).json({ status: false, error: 'Valid userId is required' });
-  }
+router.post('/raw-qc/reports/audit-detail', validate({
+  summary: 'QC inspections of one inspector in a date range',
+  body: v.object({ database: v.database(), startDate: v.date(), endDate: v.date(), userId: v.integer() })
+}), async (req, res) => {
+  const { database: db, startDate, endDate, userId: uid } = req.valid.body;
   const start = new Date(startDate);
   const end = new Date(endDate);
   if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
-    return res.status(400).json({ status: false, error: 'Invalid date format.' });
+    return res.status(400).json({ status: false, error: 'Invalid date format. Use YYYY-MM-DD.' });
   }
   try {
     const pool = await getPool(db);
@@ -1,17 +1,26 @@
 /**
  * Schedule Reorder API
- * - GET /schedule/machines — list machines for dropdown
+ * - GET /schedule/machines — list machines for dropdown (cached per plant, see lookup-cache.js)
  * - GET /schedule/machine/:machineId — schedule data (GetMachineScheduleData)
  * - POST /schedule/reorder — save new order (usp_UpdateMachineJobSequence)
- * All endpoints accept ?database=KOL|AHM (default: KOL).
+ * All endpoints accept ?database=<plant key> (plants.json, default: KOL); inputs are checked by the
+ * schemas passed to validate() (see validation.js).
  */
 import { Router } from 'express';
 import { getPool } from './db.js';
 import sql from 'mssql';
+import { recordAudit, captureBefore } from './audit-trail.js';
+import { validate, v } from './validation.js';
+import { sendCachedLookup } from './lookup-cache.js';
 
 const router = Router();
 const DEFAULT_DATABASE = 'KOL';
-const ALLOWED_DATABASES = ['KOL', 'AHM'];
+// Machine master changes only when a machine is commissioned or retired
+const MACHINES_TTL_MS = 30 * 60 * 1000;
+
+const databaseQuery = v.object({ database: v.database().optional() });
+const machineIdSchema = v.integer({ min: 0 });
+const jobIdList = v.array(v.integer(), { minItems: 1 });
 
 /**
  * SQL Server `datetime` columns carry no timezone. GetMachineScheduleData stores
@@ -48,43 +57,44 @@ function mapScheduleRowDatesToIstStrings(row) {
 }
 
 function getDbFromQuery(req) {
-  const db = (req.query?.database || req.body?.database || DEFAULT_DATABASE).toString().trim().toUpperCase();
-  return ALLOWED_DATABASES.includes(db) ? db : null;
+  return req.valid.query?.database || req.valid.body?.database || DEFAULT_DATABASE;
 }
 
 /**
  * GET /api/schedule/machines?database=KOL
  * Returns list of machines: [{ machineId, machineName, machineType }, ...]
  */
-router.get('/schedule/machines', async (req, res) => {
+router.get('/schedule/machines', validate({
+  summary: 'List machines for the schedule dropdown',
+  query: databaseQuery
+}), async (req, res) => {
   const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
   try {
-    const pool = await getPool(db);
-    const result = await pool.request().query(`
-      SELECT MachineID AS machineId, MachineName AS machineName, MachineType AS machineType
-      FROM dbo.MachineMaster
-      WHERE IsDeletedTransaction = 0
-      ORDER BY MachineName
-    `);
-    console.log('[schedule] machines result:', JSON.stringify(result.recordset));
-    const list = (result.recordset || []).map((r) => {
-      const keys = Object.keys(r);
-      const findVal = (name) => {
-        const k = keys.find((x) => x.toLowerCase() === name.toLowerCase());
-        const v = k != null ? r[k] : undefined;
-        return v != null ? String(v) : '';
-      };
-      return {
-        machineId: findVal('machineid'),
-        machineName: findVal('machinename'),
-        machineType: findVal('machinetype'),
-      };
+    return await sendCachedLookup(req, res, { lookup: 'schedule/machines', plant: db, ttlMs: MACHINES_TTL_MS }, async () => {
+      const pool = await getPool(db);
+      const result = await pool.request().query(`
+        SELECT MachineID AS machineId, MachineName AS machineName, MachineType AS machineType
+        FROM dbo.MachineMaster
+        WHERE IsDeletedTransaction = 0
+        ORDER BY MachineName
+      `);
+      console.log('[schedule] machines result:', JSON.stringify(result.recordset));
+      const list = (result.recordset || []).map((r) => {
+        const keys = Object.keys(r);
+        const findVal = (name) => {
+          const k = keys.find((x) => x.toLowerCase() === name.toLowerCase());
+          const v = k != null ? r[k] : undefined;
+          return v != null ? String(v) : '';
+        };
+        return {
+          machineId: findVal('machineid'),
+          machineName: findVal('machinename'),
+          machineType: findVal('machinetype'),
+        };
+      });
+      console.log('[schedule] machines sample:', JSON.stringify(list.slice(0, 2)));
+      return list;
     });
-    console.log('[schedule] machines sample:', JSON.stringify(list.slice(0, 2)));
-    return res.json(list);
   } catch (e) {
     console.error('[schedule] machines list failed:', e);
     return res.status(500).json({ error: e.message || 'Failed to fetch machines' });
@@ -97,16 +107,13 @@ router.get('/schedule/machines', async (req, res) => {
  * All columns from the stored procedure are returned; the frontend controls which to display.
  * Date/datetime columns are returned as strings (RFC 3339 with +05:30 IST), not UTC Z.
  */
-router.get('/schedule/machine/:machineId', async (req, res) => {
+router.get('/schedule/machine/:machineId', validate({
+  summary: 'Schedule rows for a machine (GetMachineScheduleData)',
+  params: v.object({ machineId: machineIdSchema }),
+  query: databaseQuery
+}), async (req, res) => {
   const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
-  const machineIdStr = String(req.params.machineId || '').trim();
-  const machineId = parseInt(machineIdStr, 10);
-  if (Number.isNaN(machineId) || machineId < 0) {
-    return res.status(400).json({ error: 'Valid machineId is required' });
-  }
+  const { machineId } = req.valid.params;
   try {
     const pool = await getPool(db);
     const result = await pool.request().input('MachineID', sql.Int, machineId).execute('dbo.GetMachineScheduleData');
@@ -129,36 +136,47 @@ router.get('/schedule/machine/:machineId', async (req, res) => {
 
 /**
  * POST /api/schedule/reorder
- * Body: { database?: 'KOL'|'AHM', machineId: number, orderedJobIds: number[] }
+ * Body: { database?: plant key, machineId: number, orderedJobIds: number[] }
  * Saves new order and runs Auto_Schedule_Refresh via usp_UpdateMachineJobSequence.
  */
-router.post('/schedule/reorder', async (req, res) => {
+router.post('/schedule/reorder', validate({
+  summary: 'Save a new job order for a machine and refresh the schedule',
+  query: databaseQuery,
+  body: v.object({
+    database: v.database().optional(),
+    machineId: machineIdSchema,
+    orderedJobIds: jobIdList.describe('Job ids in their new order')
+  })
+}), async (req, res) => {
   const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
-  const { machineId, orderedJobIds } = req.body || {};
-  const mid = parseInt(machineId, 10);
-  if (Number.isNaN(mid) || mid < 0) {
-    return res.status(400).json({ error: 'Valid machineId is required' });
-  }
-  if (!Array.isArray(orderedJobIds) || orderedJobIds.length === 0) {
-    return res.status(400).json({ error: 'orderedJobIds must be a non-empty array' });
-  }
-  const ids = orderedJobIds.map((id) => parseInt(id, 10)).filter((n) => !Number.isNaN(n));
-  if (ids.length !== orderedJobIds.length) {
-    return res.status(400).json({ error: 'All orderedJobIds must be numbers' });
-  }
+  const { machineId: mid, orderedJobIds: ids } = req.valid.body;
   const orderedJson = JSON.stringify(ids.map((id, idx) => ({ id, pos: idx + 1 })));
+  let audit = null;
   try {
     const pool = await getPool(db);
+    // Previous order as the schedule screen saw it
+    const before = await captureBefore(async () => {
+      const current = await pool.request().input('MachineID', sql.Int, mid).execute('dbo.GetMachineScheduleData');
+      return (current.recordset || []).map(mapScheduleRowDatesToIstStrings);
+    });
+    audit = {
+      action: 'schedule.reorder',
+      database: db,
+      entity: 'MachineJobSequence',
+      entityKeys: { MachineID: mid },
+      oldValues: before.values,
+      newValues: { orderedJobIds: ids },
+      captureError: before.captureError
+    };
     await pool
       .request()
       .input('MachineID', sql.Int, mid)
       .input('OrderedJobsJSON', sql.NVarChar(sql.MAX), orderedJson)
       .execute('dbo.usp_UpdateMachineJobSequence');
+    recordAudit(req, { ...audit, outcome: 'success' });
     return res.json({ success: true });
   } catch (e) {
+    if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: e });
     console.error('[schedule] reorder failed:', e);
     return res.status(500).json({ error: e.message || 'Failed to save order' });
   }
@@ -166,14 +184,15 @@ router.post('/schedule/reorder', async (req, res) => {
 
 /**
  * POST /api/schedule/refresh
- * Body: { database?: 'KOL'|'AHM' }
+ * Body: { database?: plant key }
  * Runs Auto_Schedule_Refresh.
  */
-router.post('/schedule/refresh', async (req, res) => {
+router.post('/schedule/refresh', validate({
+  summary: 'Run Auto_Schedule_Refresh',
+  query: databaseQuery,
+  body: v.object({ database: v.database().optional() })
+}), async (req, res) => {
   const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
   try {
     const pool = await getPool(db);
     await pool.request().execute('dbo.Auto_Schedule_Refresh');
@@ -186,34 +205,33 @@ router.post('/schedule/refresh', async (req, res) => {
 
 /**
  * POST /api/schedule/change-machine
- * Body: { database?: 'KOL'|'AHM', sourceMachineId: number, targetMachineId: number, jobIds: number[] }
+ * Body: { database?: plant key, sourceMachineId: number, targetMachineId: number, jobIds: number[] }
  * Moves jobs from one machine to another and runs Auto_Schedule_Refresh.
  */
-router.post('/schedule/change-machine', async (req, res) => {
+router.post('/schedule/change-machine', validate({
+  summary: 'Move jobs to another machine and refresh the schedule',
+  query: databaseQuery,
+  body: v.object({
+    database: v.database().optional(),
+    sourceMachineId: machineIdSchema,
+    targetMachineId: machineIdSchema,
+    jobIds: jobIdList
+  })
+}), async (req, res) => {
   const db = getDbFromQuery(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
-  const { sourceMachineId, targetMachineId, jobIds } = req.body || {};
-  const src = parseInt(sourceMachineId, 10);
-  const tgt = parseInt(targetMachineId, 10);
-  if (Number.isNaN(src) || src < 0) {
-    return res.status(400).json({ error: 'Valid sourceMachineId is required' });
-  }
-  if (Number.isNaN(tgt) || tgt < 0) {
-    return res.status(400).json({ error: 'Valid targetMachineId is required' });
-  }
+  const { sourceMachineId: src, targetMachineId: tgt, jobIds: ids } = req.valid.body;
   if (src === tgt) {
-    return res.status(400).json({ error: 'sourceMachineId and targetMachineId must differ' });
-  }
-  if (!Array.isArray(jobIds) || jobIds.length === 0) {
-    return res.status(400).json({ error: 'jobIds must be a non-empty array' });
-  }
-  const ids = jobIds.map((id) => parseInt(id, 10)).filter((n) => !Number.isNaN(n));
-  if (ids.length !== jobIds.length) {
-    return res.status(400).json({ error: 'All jobIds must be numbers' });
+    return res.status(400).json({ status: false, error: 'sourceMachineId and targetMachineId must differ' });
   }
   const jobIdsJson = JSON.stringify(ids);
+  const audit = {
+    action: 'schedule.change-machine',
+    database: db,
+    entity: 'MachineJobSequence',
+    entityKeys: { JobIDs: ids },
+    oldValues: { MachineID: src },
+    newValues: { MachineID: tgt }
+  };
   try {
     const pool = await getPool(db);
     await pool
@@ -222,8 +240,10 @@ router.post('/schedule/change-machine', async (req, res) => {
       .input('TargetMachineID', sql.Int, tgt)
       .input('JobIdsJSON', sql.NVarChar(sql.MAX), jobIdsJson)
       .execute('dbo.usp_ChangeJobMachine');
+    recordAudit(req, { ...audit, outcome: 'success' });
     return res.json({ success: true });
   } catch (e) {
+    recordAudit(req, { ...audit, outcome: 'failure', error: e });
     console.error('[schedule] change-machine failed:', e);
     return res.status(500).json({ error: e.message || 'Failed to change machine' });
   }
@@ -2,7 +2,7 @@
  * Shipment ETA Tool API
  * - POST /shipment-eta/upload — multipart Excel file; extracts columns and stores in ShipmentETA
  * - GET  /shipment-eta/list   — list all rows from ShipmentETA
- * Query/body: database=KOL|AHM (default KOL).
+ * Query/body: database=<plant key> (see plants.json; default KOL).
  * Excel columns: Container Number (If Ocean Shipment), Destination Port,
  *   Destination Arrival Original Planned Date (ETA), Destination Arrival Planned Date (ETA), Link
  */
@@ -10,10 +10,11 @@ import { Router } from 'express';
 import multer from 'multer';
 import { getPool } from './db.js';
 import * as XLSX from 'xlsx';
+import { validate, v } from './validation.js';
 
 const router = Router();
 const DEFAULT_DATABASE = 'KOL';
-const ALLOWED_DATABASES = ['KOL', 'AHM'];
+const databaseField = v.object({ database: v.database().optional() });
 
 const upload = multer({
   storage: multer.memoryStorage(),
@@ -30,8 +31,7 @@ const upload = multer({
 });
 
 function getDbFromReq(req) {
-  const db = (req.query?.database || req.body?.database || DEFAULT_DATABASE).toString().trim().toUpperCase();
-  return ALLOWED_DATABASES.includes(db) ? db : null;
+  return req.valid.query.database || req.valid.body?.database || DEFAULT_DATABASE;
 }
 
 // Possible Excel header variations (trimmed, lowercased for match)
@@ -68,11 +68,12 @@ function toStr(val) {
  * POST /api/shipment-eta/upload
  * multipart: file (Excel), database (optional)
  */
-router.post('/shipment-eta/upload', upload.single('file'), async (req, res) => {
+router.post('/shipment-eta/upload', upload.single('file'), validate({
+  summary: 'Import container ETAs from an Excel file (multipart field "file")',
+  query: databaseField,
+  body: databaseField
+}), async (req, res) => {
   const db = getDbFromReq(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
   if (!req.file || !req.file.buffer) {
     return res.status(400).json({ error: 'No Excel file uploaded. Use field name "file".' });
   }
@@ -139,11 +140,11 @@ router.post('/shipment-eta/upload', upload.single('file'), async (req, res) => {
 /**
  * GET /api/shipment-eta/list?database=KOL
  */
-router.get('/shipment-eta/list', async (req, res) => {
+router.get('/shipment-eta/list', validate({
+  summary: 'Imported container ETAs, newest first',
+  query: databaseField
+}), async (req, res) => {
   const db = getDbFromReq(req);
-  if (!db) {
-    return res.status(400).json({ error: 'database must be KOL or AHM' });
-  }
   console.log('[shipment-eta] GET /list database=', db);
   try {
     const pool = await getPool(db);
@@ -0,0 +1,89 @@
+/**
+ * Inbound WhatsApp webhook (public, see auth-policy.js; checked against WHATSAPP_WEBHOOK_TOKEN).
+ * - POST /whatsapp/webhook/:provider — provider callbacks (maytapi, cloud-api, sandbox): customer
+ *   replies and delivery/read receipts, recorded by inbound-messages.js. The provider's webhook URL
+ *   carries ?token=<WHATSAPP_WEBHOOK_TOKEN> (or the X-Webhook-Token header); Cloud API calls are also
+ *   accepted with a valid X-Hub-Signature-256 when WHATSAPP_CLOUD_APP_SECRET is set.
+ * - GET /whatsapp/webhook/:provider — Cloud API subscription check (hub.verify_token = WHATSAPP_WEBHOOK_TOKEN)
+ */
+import crypto from 'crypto';
+import { Router } from 'express';
+import { findProvider } from './messaging-providers.js';
+import { recordWebhookEvents } from './inbound-messages.js';
+import { validate, v } from './validation.js';
+
+const router = Router();
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function hasValidSignature(req) {
+  const secret = process.env.WHATSAPP_CLOUD_APP_SECRET;
+  const signature = req.get('x-hub-signature-256');
+  if (!secret || !signature || !req.rawBody) return false;
+  const expected = 'sha256=' + crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+  return safeEqual(signature, expected);
+}
+
+function isAuthorized(req, providerName) {
+  const token = process.env.WHATSAPP_WEBHOOK_TOKEN;
+  const given = req.valid.query.token || req.get('x-webhook-token');
+  if (token && given && safeEqual(given, token)) return true;
+  return providerName === 'cloud-api' && hasValidSignature(req);
+}
+
+router.get('/whatsapp/webhook/:provider', validate({
+  summary: 'WhatsApp Cloud API webhook verification',
+  params: v.object({ provider: v.string() }),
+  query: v.object({
+    'hub.mode': v.string().optional(),
+    'hub.verify_token': v.string({ trim: false }).optional(),
+    'hub.challenge': v.string().optional()
+  })
+}), (req, res) => {
+  const token = process.env.WHATSAPP_WEBHOOK_TOKEN;
+  const query = req.valid.query;
+  if (token && query['hub.mode'] === 'subscribe' && safeEqual(query['hub.verify_token'] || '', token)) {
+    return res.type('text/plain').send(query['hub.challenge'] || '');
+  }
+  return res.status(403).json({ status: false, error: 'Verification failed' });
+});
+
+router.post('/whatsapp/webhook/:provider', validate({
+  summary: 'WhatsApp provider callback: customer replies and delivery receipts',
+  params: v.object({ provider: v.string() }),
+  query: v.object({ token: v.string({ trim: false }).optional().describe('WHATSAPP_WEBHOOK_TOKEN, or send it as x-webhook-token') }),
+  body: v.object({}).optional().describe('Provider payload, read by the provider adapter')
+}), async (req, res) => {
+  const providerName = req.valid.params.provider.toLowerCase();
+  const provider = findProvider('whatsapp', providerName);
+  if (!provider?.parseWebhook) {
+    return res.status(404).json({ status: false, error: `Unknown WhatsApp provider ${providerName}` });
+  }
+  if (!process.env.WHATSAPP_WEBHOOK_TOKEN && !process.env.WHATSAPP_CLOUD_APP_SECRET) {
+    console.error('[INBOUND] Webhook called but WHATSAPP_WEBHOOK_TOKEN is not set');
+    return res.status(503).json({ status: false, error: 'Webhook is not configured' });
+  }
+  if (!isAuthorized(req, providerName)) {
+    console.warn(`[INBOUND] Rejected ${providerName} webhook call from ${req.ip}`);
+    return res.status(401).json({ status: false, error: 'Invalid webhook token' });
+  }
+
+  try {
+    const events = provider.parseWebhook(req.valid.body || {});
+    const received = events.length ? await recordWebhookEvents(providerName, events) : {};
+    return res.json({ status: true, received });
+  } catch (err) {
+    // Non-2xx makes the provider deliver the callback again later
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') {
+      return res.status(503).json({ status: false, error: 'Message store is unavailable' });
+    }
+    console.error(`[INBOUND] ${providerName} webhook failed:`, err);
+    return res.status(500).json({ status: false, error: 'Failed to record webhook' });
+  }
+});
+
+export default router;
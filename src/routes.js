@@ -1,14 +1,10 @@
 import { Router } from 'express';
-import axios from "axios";
-import nodemailer from "nodemailer";
 import { getPool, sql, clearPoolCache } from './db.js';
 import multer from 'multer';
-import QrCode from 'qrcode-reader';
 import * as jimp from 'jimp';
 const { Jimp } = jimp;
 import fs from 'fs';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
@@ -28,6 +24,24 @@ import JobOpsMaster from './models/JobOpsMaster.js';
 import ContractorWD from './models/ContractorWD.js';
 import Bill from './models/Bill.js';
 import Series from './models/Series.js';
+import { checkStatusOnlyResponse as _checkStatusOnlyResponse } from './production-procs.js';
+import { enqueueProcessJob, getProcessJob, toJobStatus } from './process-job-queue.js';
+import { normalizeMachineFloorRow, notifyProductionEvent, machineDowntimeField } from './machine-floor-feed.js';
+import { signAuthToken, ROLES } from './auth.js';
+import * as passwords from './password-hash.cjs';
+import { recordAudit, captureBefore, auditContext } from './audit-trail.js';
+import { createChannelLogger } from './log-store.js';
+import { validate, v } from './validation.js';
+import { listPlants, getPlantDatabaseName } from './plants.js';
+import { fetchLatestMachineStatus, fetchInventoryByGroup, fetchClientwiseStock, fetchCompletedDeliveryAmounts } from './plant-reports.js';
+import { lookupCache, invalidateLookup, sendCachedLookup } from './lookup-cache.js';
+import { decodeImage, EXPECTATIONS } from './barcode-decoder.js';
+import { toPendingProcess, pendingScanResult, fallbackJobCardNumbers } from './pending-scan.js';
+import { getSenderCredentials } from './comm-channels.js';
+import { groupRowsByClient, buildClientGroup } from './intimations.js';
+import { queueMessages, deliverMessages, summarizeChannels, toMessageSummary } from './outbound-messages.js';
+import { getActiveTemplate, TEMPLATE_LANGUAGES, DEFAULT_LANGUAGE } from './message-templates.js';
+import { authenticateCrmUser, findCrmUser, loginPlant, scopeRowsToPortfolio, senderProfile, erpUsernameOf } from './crm-users.js';
 
 
 const router = Router();
@@ -84,245 +98,32 @@ router.get('/debug-routes', (req, res) => {
   res.json({ routes: routes.filter(r => r.path.includes('jobs')) });
 });
 
-// ============================================
-// In-Memory Job Processing System
-// ============================================
-
-// In-memory job storage
-const jobs = new Map();
-let jobIdCounter = Date.now();
-
-// Helper to generate unique job ID
-function generateJobId() {
-  return `job_${jobIdCounter++}_${Math.random().toString(36).substr(2, 9)}`;
+// mailSent / whatsappSent in the intimation results ('Queued' while a retry is pending)
+function sentLabel(channelStatus) {
+  if (channelStatus === "sent") return "Yes";
+  if (channelStatus === "pending") return "Queued";
+  return "No";
 }
 
-function normalizeINPhone(mobile) {
-    const raw = String(mobile || "").replace(/[^\d]/g, "");
-    if (!raw) return null;
-    if (raw.startsWith("91") && raw.length === 12) return `+${raw}`;
-    if (raw.length === 10) return `+91${raw}`;
-    if (raw.length >= 11) return `+${raw}`;
-    return null;
-  }
-  
-  function splitCsv(str) {
-    return String(str || "").split(",").map(s => s.trim()).filter(Boolean);
-  }
-  
-  function fmtDate(d) {
-    if (!d) return "";
-    const dt = new Date(d);
-    if (Number.isNaN(dt.getTime())) return String(d);
-    return dt.toLocaleDateString("en-GB");
-  }
-  
-  function buildOrderLines(rows) {
-    return rows.map(r => {
-      return [
-        `• Item: ${r["Job Name"]}`,
-        `  Qty: ${r["Order Qty"]}`,
-        `  Job No: ${r["Job Card No"] || ""}`,
-        `  Committed Delivery: ${fmtDate(r["Final Delivery Date"])}`
-      ].join("\n");
-    }).join("\n\n");
-  }
-
-async function sendWhatsAppMaytapi({ productId, phoneId, apiKey, toNumber, text }) {
-  const url = `https://api.maytapi.com/api/${productId}/${phoneId}/sendMessage`;
-  const payload = { to_number: toNumber, type: "text", message: text };
-
-  console.log("message", payload.message);
-
-  console.log('[WHATSAPP] Sending message:', {
-    url,
-    toNumber,
-    productId,
-    phoneId,
-    apiKeyPreview: apiKey ? `${apiKey.substring(0, 8)}...` : 'MISSING',
-    textPreview: text ? text.substring(0, 50) + '...' : 'EMPTY'
-  });
-
-  try {
-    const response = await axios.post(url, payload, {
-      headers: {
-        "Content-Type": "application/json",
-        "x-maytapi-key": apiKey
-      },
-      timeout: 20000
-    });
-
-    console.log('[WHATSAPP] Response:', {
-      status: response.status,
-      statusText: response.statusText,
-      data: response.data
-    });
-
-    return response;
-  } catch (err) {
-    console.error('[WHATSAPP] Request failed:', {
-      status: err.response?.status,
-      statusText: err.response?.statusText,
-      data: err.response?.data,
-      message: err.message
-    });
+// language of the intimation texts (message-templates.js)
+const languageField = v.enum(Object.keys(TEMPLATE_LANGUAGES)).default(DEFAULT_LANGUAGE);
+
+// CRM user (crm-users.js), sender and plant of an intimation request: the token's for a CRM session,
+// else the username sent in the body (admins, AUTH_MODE=monitor) on the user's default plant.
+// A CRM session cannot send as another user (SENDER_MISMATCH): username is the sender whose
+// WhatsApp/SMTP credentials are used and who is recorded as sentBy.
+async function crmSession(req, username) {
+  const isCrm = req.auth?.role === ROLES.CRM;
+  if (isCrm && username && String(username).trim().toLowerCase() !== String(req.auth.name || "").toLowerCase()) {
+    const err = new Error(`Logged in as ${req.auth.name}; cannot send as ${String(username).trim()}`);
+    err.code = "SENDER_MISMATCH";
     throw err;
   }
+  const crmUser = await findCrmUser(isCrm ? req.auth.name : username);
+  const database = isCrm && req.auth.database ? req.auth.database : (crmUser ? loginPlant(crmUser) : "KOL");
+  return { crmUser, database, username: isCrm ? (crmUser?.username || req.auth.name) : username };
 }
 
-async function sendEmailSMTP({ creds, to, subject, text }) {
-  const port = Number(creds.SMTPServerPort);
-  const transporter = nodemailer.createTransport({
-    host: creds.SMTPServer,
-    port: port,
-    secure: port === 465,  // Only use secure for port 465
-    auth: creds.SMTPAuthenticate
-      ? { user: creds.SMTPUserName, pass: creds.SMTPUserPassword }
-      : undefined,
-    tls: {
-      rejectUnauthorized: false  // Allow self-signed certs
-    }
-  });
-
-  const fromEmail = creds.EmailID || creds.SMTPUserName;
-
-  return transporter.sendMail({
-    from: fromEmail,
-    to,
-    subject,
-    text
-  });
-}
-
-// Background worker function
-async function processJobInBackground(jobId, jobType, requestData, database) {
-  try {
-    console.log(`[JOB ${jobId}] Starting ${jobType} operation`);
-    
-    // Update job status to processing
-    if (jobs.has(jobId)) {
-      jobs.get(jobId).status = 'processing';
-      jobs.get(jobId).startedAt = new Date();
-    }
-
-    const pool = await getPool(database);
-    const request = pool.request();
-    request.timeout = 180000; // 3 minutes
-
-    let result;
-    let productionId;
-    
-    // Execute based on job type
-    if (jobType === 'start') {
-      console.log(`\n${'='.repeat(80)}`);
-      console.log(`[JOB ${jobId}] CALLING START PROCEDURE`);
-      console.log(`Procedure: dbo.Production_Start_Manu_v2`);
-      console.log(`Parameters:`);
-      console.log(`  - UserID: ${requestData.UserID} (${typeof requestData.UserID})`);
-      console.log(`  - EmployeeID: ${requestData.EmployeeID} (${typeof requestData.EmployeeID})`);
-      console.log(`  - ProcessID: ${requestData.ProcessID} (${typeof requestData.ProcessID})`);
-      console.log(`  - JobBookingJobCardContentsID: ${requestData.JobBookingJobCardContentsID} (${typeof requestData.JobBookingJobCardContentsID})`);
-      console.log(`  - MachineID: ${requestData.MachineID} (${typeof requestData.MachineID})`);
-      console.log(`  - JobCardFormNo: ${requestData.JobCardFormNo} (${typeof requestData.JobCardFormNo})`);
-      console.log(`Database: ${database}`);
-      console.log(`${'='.repeat(80)}\n`);
-      
-      result = await request
-        .input('UserID', sql.Int, requestData.UserID)
-        .input('EmployeeID', sql.Int, requestData.EmployeeID)
-        .input('ProcessID', sql.Int, requestData.ProcessID)
-        .input('JobBookingJobCardContentsID', sql.Int, requestData.JobBookingJobCardContentsID)
-        .input('MachineID', sql.Int, requestData.MachineID)
-        .input('JobCardFormNo', sql.NVarChar(255), requestData.JobCardFormNo)
-        .execute('dbo.Production_Start_Manu_v2');
-      
-      // Extract ProductionID from the result
-      if (result.recordset && result.recordset.length > 0 && result.recordset[0].ProductionID) {
-        productionId = result.recordset[0].ProductionID;
-        console.log(`[JOB ${jobId}] ✅ ProductionID returned: ${productionId}`);
-      }
-    } 
-    else if (jobType === 'complete') {
-      console.log(`\n${'='.repeat(80)}`);
-      console.log(`[JOB ${jobId}] CALLING COMPLETE PROCEDURE`);
-      console.log(`Procedure: dbo.Production_End_Manu_v2`);
-      console.log(`Parameters:`);
-      console.log(`  - UserID: ${requestData.UserID} (${typeof requestData.UserID})`);
-      console.log(`  - ProductionID: ${requestData.ProductionID} (${typeof requestData.ProductionID})`);
-      console.log(`  - ProductionQty: ${requestData.ProductionQty} (${typeof requestData.ProductionQty})`);
-      console.log(`  - WastageQty: ${requestData.WastageQty} (${typeof requestData.WastageQty})`);
-      console.log(`Database: ${database}`);
-      console.log(`${'='.repeat(80)}\n`);
-      
-      result = await request
-        .input('UserID', sql.Int, requestData.UserID)
-        .input('ProductionID', sql.Int, requestData.ProductionID)
-        .input('ProductionQty', sql.Int, requestData.ProductionQty)
-        .input('WastageQty', sql.Int, requestData.WastageQty)
-        .execute('dbo.Production_End_Manu_v2');
-    }
-    else if (jobType === 'cancel') {
-      console.log(`\n${'='.repeat(80)}`);
-      console.log(`[JOB ${jobId}] CALLING CANCEL PROCEDURE`);
-      console.log(`Procedure: dbo.Production_Cancel_Manu_v2`);
-      console.log(`Parameters:`);
-      console.log(`  - UserID: ${requestData.UserID} (${typeof requestData.UserID})`);
-      console.log(`  - ProductionID: ${requestData.ProductionID} (${typeof requestData.ProductionID})`);
-      console.log(`Database: ${database}`);
-      console.log(`${'='.repeat(80)}\n`);
-      
-      result = await request
-        .input('UserID', sql.Int, requestData.UserID)
-        .input('ProductionID', sql.Int, requestData.ProductionID)
-        .execute('dbo.Production_Cancel_Manu_v2');
-    }
-
-    console.log(`[JOB ${jobId}] ✅ ${jobType} operation completed successfully`);
-
-    // Check for status warnings
-    const statusWarning = _checkStatusOnlyResponse(result.recordset);
-
-    // Update job as completed
-    if (jobs.has(jobId)) {
-      jobs.get(jobId).status = 'completed';
-      jobs.get(jobId).result = result.recordset || [];
-      jobs.get(jobId).productionId = productionId; // Store ProductionID for start jobs
-      jobs.get(jobId).statusWarning = statusWarning;
-      jobs.get(jobId).completedAt = new Date();
-    }
-
-    // Auto-delete job after 5 minutes to prevent memory leaks
-    setTimeout(() => {
-      if (jobs.has(jobId)) {
-        console.log(`[JOB ${jobId}] Auto-deleting completed job`);
-        jobs.delete(jobId);
-      }
-    }, 300000);
-
-  } catch (error) {
-    console.error(`[JOB ${jobId}] Failed:`, error);
-    
-    // Update job as failed
-    if (jobs.has(jobId)) {
-      jobs.get(jobId).status = 'failed';
-      jobs.get(jobId).error = error.message;
-      jobs.get(jobId).completedAt = new Date();
-    }
-
-    // Auto-delete failed job after 5 minutes
-    setTimeout(() => {
-      if (jobs.has(jobId)) {
-        console.log(`[JOB ${jobId}] Auto-deleting failed job`);
-        jobs.delete(jobId);
-      }
-    }, 300000);
-  }
-}
-
-// ============================================
-// End of Job Processing System
-// ============================================
-
 // Configure multer for file uploads
 const upload = multer({
 	storage: multer.memoryStorage(),
@@ -346,143 +147,40 @@ const upload = multer({
 	}
 });
 
-// ---- Simple file logger for QR endpoints ----
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-const logsDir = path.join(__dirname, '..', 'logs');
-const qrLogFile = path.join(logsDir, 'qr.log');
-const processStartLogFile = path.join(logsDir, 'process-start.log');
-const authLogFile = path.join(logsDir, 'auth.log');
-
-function ensureLogsDir() {
-	try {
-		if (!fs.existsSync(logsDir)) {
-			fs.mkdirSync(logsDir, { recursive: true });
-		}
-	} catch (e) {
-		// Best effort; don't crash the app on logging failure
-		console.error('Failed to create logs directory:', e);
-	}
-}
-
-function logQr(message, extra = {}) {
-	try {
-		ensureLogsDir();
-		const timestamp = new Date().toISOString();
-		const entry = {
-			ts: timestamp,
-			message,
-			...extra,
-		};
-		fs.appendFileSync(qrLogFile, JSON.stringify(entry) + '\n');
-	} catch (e) {
-		console.error('Failed to write QR log entry:', e);
-	}
-}
-
-function logProcessStart(message, extra = {}) {
-    try {
-        ensureLogsDir();
-        const timestamp = new Date().toISOString();
-        const entry = {
-            ts: timestamp,
-            message,
-            ...extra,
-        };
-        fs.appendFileSync(processStartLogFile, JSON.stringify(entry) + '\n');
-    } catch (e) {
-        console.error('Failed to write process-start log entry:', e);
-    }
-}
-
-function logAuth(message, extra = {}) {
-    try {
-        ensureLogsDir();
-        const timestamp = new Date().toISOString();
-        const entry = {
-            ts: timestamp,
-            message,
-            ...extra,
-        };
-        fs.appendFileSync(authLogFile, JSON.stringify(entry) + '\n');
-    } catch (e) {
-        console.error('Failed to write auth log entry:', e);
-    }
-}
-
-// Helper function to check if result contains only Status column
-
+// ---- Structured log channels (logs/<channel>.log, see log-store.js) ----
+const logQr = createChannelLogger('qr');
+const logProcessStart = createChannelLogger('process-start');
+const logAuth = createChannelLogger('auth');
 
+const databaseQuery = v.object({ database: v.database() });
 
 
-/* ---- Build readiness order lines (each order may have its own cartons/qty/date) ---- */
-function buildReadinessLines(rows, readinessByObdId) {
-  return rows.map(r => {
-    const id = Number(r.OrderBookingDetailsID);
-    const rd = readinessByObdId.get(id); // must exist
-
-    return [
-      `• Item: ${r["JobName"] || ""}`,
-      `  Qty: ${r["Order Qty"]}`,
-      `  Job No: ${r["JobCard Num"] || ""}`,
-      `  Ready Date: ${fmtDate(rd.readyForDispatchDate)}`,
-      `  Cartons: ${rd.noOfCarton}`,
-      `  Qty/Carton: ${rd.qtyPerCarton}`
-    ].join("\n");
-  }).join("\n\n");
-}
-
-
-function _checkStatusOnlyResponse(recordset) {
-    if (!Array.isArray(recordset) || recordset.length === 0) {
-        return null;
-    }
-    
-    const firstRow = recordset[0];
-    const columns = Object.keys(firstRow);
-    
-    // Check if there's only one column and it's named "Status" (case insensitive)
-    if (columns.length === 1) {
-        const columnName = columns[0];
-        if (columnName.toLowerCase() === 'status') {
-            return {
-                message: `Status: ${firstRow[columnName]}`,
-                statusValue: firstRow[columnName]
-            };
-        }
-    }
-    
-    return null;
-}
-
-
-router.post("/comm/first-intimation/send", async (req, res) => {
+router.post("/comm/first-intimation/send", validate({
+    summary: "Send the first intimation of orders to their clients",
+    body: v.object({
+      username: v.string({ minLength: 1 }).describe("Sender; a CRM session can only send as itself"),
+      orderBookingDetailsIds: v.array(v.id(), { minItems: 1 }),
+      language: languageField
+    })
+  }), async (req, res) => {
     try {
-      const { username, orderBookingDetailsIds } = req.body || {};
+      const { username, orderBookingDetailsIds, language } = req.valid.body;
   
-      if (!username || !Array.isArray(orderBookingDetailsIds) || orderBookingDetailsIds.length === 0) {
-        return res.status(400).json({ ok: false, message: "username and orderBookingDetailsIds[] required" });
-      }
-  
-      const pool = await getPool('KOL');
+      const { crmUser, database, username: sender } = await crmSession(req, username);
+      const pool = await getPool(database);
   
       // 1) get credentials
-      const credReq = pool.request();
-      credReq.input("Username", sql.NVarChar(100), username);
-      const credRes = await credReq.execute("dbo.comm_get_user_credentials");
-  
-      const creds = credRes.recordset?.[0];
+      const creds = await getSenderCredentials(pool, erpUsernameOf(crmUser, sender));
       if (!creds) {
         return res.status(400).json({ ok: false, message: "Credentials not found" });
       }
   
-      const senderName = username;
-      const senderPhone = creds.ContactNo || "";
+      const { senderName, senderPhone } = senderProfile(crmUser, sender, creds);
   
       // 2) TVP
       const tvp = new sql.Table("dbo.IdList");
       tvp.columns.add("Id", sql.Int, { nullable: false });
-      orderBookingDetailsIds.forEach(id => tvp.rows.add(Number(id)));
+      orderBookingDetailsIds.forEach(id => tvp.rows.add(id));
   
       // 3) fetch pending details
       const detReq = pool.request();
@@ -494,143 +192,66 @@ router.post("/comm/first-intimation/send", async (req, res) => {
         return res.json({ ok: true, message: "No pending items found." });
       }
   
-      // 4) group by client
-      const byClient = new Map();
-      for (const r of rows) {
-        if (!byClient.has(r.ClientLedgerID)) byClient.set(r.ClientLedgerID, []);
-        byClient.get(r.ClientLedgerID).push(r);
-      }
-  
-      const results = [];
-  
-      for (const [ledgerId, clientRows] of byClient.entries()) {
-        const clientName = clientRows[0]["Client Name"];
-        const contactName =
-          (clientRows[0]["Contact Person"] || "").split(",")[0] || clientName;
-  
-        const orderLines = buildOrderLines(clientRows);
-  
-        const whatsappText =
-  `Dear ${contactName},
-  
-Warm greetings from CDC Printers Pvt Ltd 😊
-  
-Your order(s) have been planned in our system. Details below:
-  
-  ${orderLines}
-  
-—
-${senderName}
-Customer Relationship Manager
-CDC Printers Pvt Ltd
-${senderPhone}`;
-  
-        const emailSubject = `Order Planned & Delivery Commitment | ${clientName}`;
-        const emailBody =
-  `Dear ${contactName},
-  
-  Warm greetings from CDC Printers Pvt Ltd.
-  
-  Your order(s) have been planned in our system. Details below:
-  
-  ${orderLines}
-  
-  Regards,
-  ${senderName}
-  Customer Relationship Manager
-  CDC Printers Pvt Ltd
-  ${senderPhone}`;
+      // 4) one message group per client
+      const template = await getActiveTemplate("first-intimation", language);
+      const groups = [...groupRowsByClient(rows).entries()].map(([ledgerId, clientRows]) =>
+        buildClientGroup("first-intimation", ledgerId, clientRows, { template, senderName, senderPhone }));
   
-        const emailList = splitCsv(clientRows[0]["Concern Email"]);
-        const mobileList = splitCsv(clientRows[0]["Concern Mobile No"])
-          .map(normalizeINPhone)
-          .filter(Boolean);
-  
-        let sentEmail = false;
-        let sentWhatsapp = false;
-  
-        if (mobileList.length) {
-          for (const to of mobileList) {
-            try {
-              await sendWhatsAppMaytapi({
-                productId: creds.ProductID,
-                phoneId: creds.PhoneID,
-                apiKey: creds.ApiKey,
-                toNumber: to,
-                text: whatsappText
-              });
-              sentWhatsapp = true;
-            } catch (waErr) {
-              console.error('[WHATSAPP ERROR]', waErr.message);
-              throw waErr;
-            }
-          }
-        }
-  
-        if (emailList.length) {
-          try {
-            console.log('[EMAIL] SMTP Config:', {
-              host: creds.SMTPServer,
-              port: creds.SMTPServerPort,
-              secure: Number(creds.SMTPServerPort) === 465
-            });
-            await sendEmailSMTP({
-              creds,
-              to: emailList.join(","),
-              subject: emailSubject,
-              text: emailBody
-            });
-            sentEmail = true;
-          } catch (emailErr) {
-            console.error('[EMAIL ERROR]', emailErr.message);
-            throw emailErr;
-          }
-        }
-  
-        if (sentEmail || sentWhatsapp) {
-          const tvpClient = new sql.Table("dbo.IdList");
-          tvpClient.columns.add("Id", sql.Int, { nullable: false });
-          clientRows.forEach(r => tvpClient.rows.add(r.OrderBookingDetailsID));
+      // 5) log every message, then try to deliver; failures stay queued for retry (outbound-messages.js)
+      const { batchId, groupIds, messages: queued } = await queueMessages({
+        kind: "first-intimation",
+        database,
+        sentBy: sender,
+        template: { language: template.language, version: template.version },
+        groups
+      });
+      const messages = await deliverMessages(queued.map(m => m.messageId));
   
-          const markReq = pool.request();
-          markReq.input("OrderBookingDetailsIds", tvpClient);
-          markReq.input("SentEmail", sql.Bit, sentEmail ? 1 : 0);
-          markReq.input("SentWhatsapp", sql.Bit, sentWhatsapp ? 1 : 0);
-          markReq.input("SentByUser", sql.NVarChar(100), username);
-          await markReq.execute("dbo.comm_mark_first_intimation_sent");
-        }
+      const results = [];
+      groups.forEach((group, i) => {
+        const sent = summarizeChannels(messages.filter(m => m.groupId === groupIds[i]));
   
         // Add per-job details to results
-        clientRows.forEach(row => {
+        group.rows.forEach(row => {
           results.push({
             orderBookingDetailsID: row.OrderBookingDetailsID,
             jobCardNo: row["Job Card No"] || row["JobCardNo"] || '',
             orderQty: row["Order Qty"] || row["OrderQty"] || '',
-            clientName: row["Client Name"] || row["ClientName"] || clientName,
+            clientName: row["Client Name"] || row["ClientName"] || group.clientName,
             jobName: row["Job Name"] || row["JobName"] || '',
             finalDeliveryDate: row["Final Delivery Date"] || row["FinalDeliveryDate"] || '',
             contactPerson: row["Contact Person"] || row["ContactPerson"] || '',
-            mailSent: sentEmail ? 'Yes' : 'No',
-            whatsappSent: sentWhatsapp ? 'Yes' : 'No'
+            mailSent: sentLabel(sent.email),
+            whatsappSent: sentLabel(sent.whatsapp)
           });
         });
-      }
+      });
   
-      res.json({ ok: true, results });
+      res.json({ ok: true, batchId, results, messages: messages.map(toMessageSummary) });
     } catch (err) {
+      if (CRM_ERROR_STATUS[err.code]) {
+        return res.status(CRM_ERROR_STATUS[err.code]).json({ ok: false, message: err.message });
+      }
+      if (err.code === 'MESSAGE_STORE_UNAVAILABLE') {
+        return res.status(503).json({ ok: false, message: err.message });
+      }
       res.status(500).json({ ok: false, message: err.message });
     }
   });
 
 
 /* ---- Route ---- */
-router.post("/comm/material-readiness/send", async (req, res) => {
+router.post("/comm/material-readiness/send", validate({
+  summary: "Send material readiness of orders to their clients",
+  description: "Every item needs readyForDispatchDate, noOfCarton and qtyPerCarton; the missing ones are listed in a 400.",
+  body: v.object({
+    username: v.string({ minLength: 1 }).describe("Sender; a CRM session can only send as itself"),
+    items: v.array(v.object({ orderBookingDetailsId: v.id() }), { minItems: 1 }),
+    language: languageField
+  })
+}), async (req, res) => {
   try {
-    const { username, items } = req.body || {};
-
-    if (!username || !Array.isArray(items) || items.length === 0) {
-      return res.status(400).json({ ok: false, message: "username and items[] are required" });
-    }
+    const { username, items, language } = req.valid.body;
 
     // 1) Build readiness map from FRONTEND payload ONLY
     const readinessByObdId = new Map();
@@ -638,10 +259,7 @@ router.post("/comm/material-readiness/send", async (req, res) => {
     const missing = [];
 
     for (const it of items) {
-      const id = Number(it.orderBookingDetailsId);
-      if (!id) {
-        return res.status(400).json({ ok: false, message: "Invalid orderBookingDetailsId in items[]" });
-      }
+      const id = it.orderBookingDetailsId;
 
       const readyForDispatchDate = it.readyForDispatchDate;
       const noOfCarton = Number(it.noOfCarton || 0);
@@ -663,18 +281,14 @@ router.post("/comm/material-readiness/send", async (req, res) => {
       });
     }
 
-    const pool = await getPool('KOL');
+    const { crmUser, database, username: sender } = await crmSession(req, username);
+    const pool = await getPool(database);
 
     // 2) Get sender credentials
-    const credRes = await pool.request()
-      .input("Username", sql.NVarChar(100), username)
-      .execute("dbo.comm_get_user_credentials");
-
-    const creds = credRes.recordset?.[0];
+    const creds = await getSenderCredentials(pool, erpUsernameOf(crmUser, sender));
     if (!creds) return res.status(400).json({ ok: false, message: "Credentials not found" });
 
-    const senderName = username;
-    const senderPhone = creds.ContactNo || "";
+    const { senderName, senderPhone } = senderProfile(crmUser, sender, creds);
 
     // 3) Fetch ONLY selected rows from DB (fast + safe)
     const tvp = new sql.Table("dbo.IdList");
@@ -704,158 +318,67 @@ router.post("/comm/material-readiness/send", async (req, res) => {
       });
     }
 
-    // 5) Group by client ledger → 1 message per client
-    const byClient = new Map();
-    for (const r of rows) {
-      const ledgerId = Number(r.ClientLedgerID);
-      if (!byClient.has(ledgerId)) byClient.set(ledgerId, []);
-      byClient.get(ledgerId).push(r);
-    }
-
-    const results = [];
+    // 5) Group by client ledger → 1 message per client (recipients already filtered by flags in SQL proc)
+    const template = await getActiveTemplate("material-readiness", language);
+    const groups = [];
 
-    for (const [clientLedgerId, clientRowsRaw] of byClient.entries()) {
+    for (const [clientLedgerId, clientRowsRaw] of groupRowsByClient(rows).entries()) {
       // safety: only rows we have payload for
       const clientRows = clientRowsRaw.filter(r => readinessByObdId.has(Number(r.OrderBookingDetailsID)));
       if (!clientRows.length) continue;
 
-      // message header info
-      const clientName = clientRows[0]["Client Name"] || "";
-      const contactName = (clientRows[0]["Contact Person"] || "").split(",")[0].trim() || clientName;
-
-      const readinessLines = buildReadinessLines(clientRows, readinessByObdId);
-
-      const whatsappMessage =
-`Dear ${contactName},
-
-Warm greetings from CDC Printers Pvt Ltd 😊
-
-Your material is ready and planned for dispatch as per details below:
-
-${readinessLines}
-
-For any coordination required, please reply here.
-
-—
-${senderName}
-Customer Relationship Manager
-CDC Printers Pvt Ltd
-${senderPhone}`.trim();
-
-      const emailSubject = `Material Ready for Dispatch | ${clientName}`;
-      const emailBody =
-`Dear ${contactName},
-
-Warm greetings from CDC Printers Pvt Ltd.
-
-Your material is ready and planned for dispatch as per details below:
-
-${readinessLines}
-
-For any coordination required, please reply to this email.
-
-Regards,
-${senderName}
-Customer Relationship Manager
-CDC Printers Pvt Ltd
-${senderPhone}`.trim();
-
-      // recipients (already filtered by flags in SQL proc)
-      const emailList = splitCsv(clientRows[0]["Contact Email"]);
-      const mobileList = splitCsv(clientRows[0]["Contact phone"])
-        .map(normalizeINPhone)
-        .filter(Boolean);
-
-      let sentEmail = false;
-      let sentWhatsapp = false;
-      const errors = [];
-
-      // WhatsApp
-      if (mobileList.length && creds.ProductID && creds.ApiKey && creds.PhoneID) {
-        for (const to of mobileList) {
-          try {
-            await sendWhatsAppMaytapi({
-              productId: creds.ProductID,
-              phoneId: creds.PhoneID,
-              apiKey: creds.ApiKey,
-              toNumber: to,
-              text: whatsappMessage
-            });
-            sentWhatsapp = true;
-          } catch (e) {
-            errors.push({ channel: "whatsapp", to, error: e?.response?.data || e.message });
-          }
-        }
-      }
-
-      // Email
-      if (emailList.length && creds.SMTPServer && creds.SMTPUserName && creds.SMTPUserPassword) {
-        try {
-          await sendEmailSMTP({
-            creds,
-            to: emailList.join(","),
-            subject: emailSubject,
-            text: emailBody
-          });
-          sentEmail = true;
-        } catch (e) {
-          errors.push({ channel: "email", to: emailList, error: e?.response?.data || e.message });
-        }
-      }
+      groups.push(buildClientGroup("material-readiness", clientLedgerId, clientRows, {
+        template, senderName, senderPhone, creds, requireCredentials: true, readinessById: readinessByObdId
+      }));
+    }
 
-      // 6) Update DispatchSchedule for each order (values differ per order)
-      if (sentEmail || sentWhatsapp) {
-        for (const r of clientRows) {
-          const id = Number(r.OrderBookingDetailsID);
-          const rd = readinessByObdId.get(id);
-
-          const tvpOne = new sql.Table("dbo.IdList");
-          tvpOne.columns.add("Id", sql.Int, { nullable: false });
-          tvpOne.rows.add(id);
-
-          await pool.request()
-            .input("OrderBookingDetailsIds", tvpOne)
-            .input("ReadyForDispatchDate", sql.DateTime, new Date(rd.readyForDispatchDate))
-            .input("NoOfCarton", sql.Int, rd.noOfCarton)
-            .input("QtyPerCarton", sql.Int, rd.qtyPerCarton)
-            .input("SentEmail", sql.Bit, sentEmail ? 1 : 0)
-            .input("SentWhatsapp", sql.Bit, sentWhatsapp ? 1 : 0)
-            .execute("dbo.comm_mark_readiness_message_sent");
-        }
-      }
+    // 6) log every message, then try to deliver; failures stay queued for retry (outbound-messages.js)
+    const { batchId, groupIds, messages: queued } = await queueMessages({
+      kind: "material-readiness",
+      database,
+      sentBy: sender,
+      template: { language: template.language, version: template.version },
+      groups
+    });
+    const messages = await deliverMessages(queued.map(m => m.messageId));
 
-      results.push({
-        clientLedgerId,
-        clientName,
-        orderCount: clientRows.length,
-        sentEmail,
-        sentWhatsapp,
-        errors
-      });
-    }
+    const results = groups.map((group, i) => {
+      const groupMessages = messages.filter(m => m.groupId === groupIds[i]);
+      const sent = summarizeChannels(groupMessages);
+      return {
+        clientLedgerId: group.clientLedgerId,
+        clientName: group.clientName,
+        orderCount: group.orderBookingDetailsIds.length,
+        sentEmail: sent.email === "sent",
+        sentWhatsapp: sent.whatsapp === "sent",
+        queued: groupMessages.some(m => m.status === "pending"),
+        errors: groupMessages
+          .filter(m => m.status !== "sent" && m.lastError)
+          .map(m => ({ channel: m.channel, to: m.recipient, status: m.status, error: m.lastError }))
+      };
+    });
 
-    return res.json({ ok: true, results });
+    return res.json({ ok: true, batchId, results, messages: messages.map(toMessageSummary) });
   } catch (err) {
+    if (CRM_ERROR_STATUS[err.code]) {
+      return res.status(CRM_ERROR_STATUS[err.code]).json({ ok: false, message: err.message });
+    }
+    if (err.code === 'MESSAGE_STORE_UNAVAILABLE') {
+      return res.status(503).json({ ok: false, message: err.message });
+    }
     return res.status(500).json({ ok: false, message: err.message });
   }
 });
 
-router.get('/auth/login', async (req, res) => {
+// The username is the only input, so the machine-user token is limited to the machine app routes
+// (MACHINE_APP_ROLES in auth-policy.js)
+router.get('/auth/login', validate({
+	summary: 'Machine user login: the machines of an ERP user',
+	query: v.object({ username: v.string({ minLength: 1 }), database: v.database() })
+}), async (req, res) => {
 	try {
-		const { username, database } = req.query || {};
-        logAuth('Login request received', { route: '/auth/login', ip: req.ip, rawQuery: req.query });
-		if (!username || username.trim() === '') {
-            logAuth('Login rejected - missing username', { route: '/auth/login' });
-			return res.status(400).json({ status: false, error: 'Missing username' });
-		}
-
-		const trimmedUsername = username.trim();
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            logAuth('Login rejected - invalid database', { database });
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-        logAuth('Login params normalized', { username: trimmedUsername, databaseParam: database ?? null, selectedDatabase });
+		const { username: trimmedUsername, database: selectedDatabase } = req.valid.query;
+        logAuth('Login request received', { route: '/auth/login', ip: req.ip, username: trimmedUsername, selectedDatabase });
 
 	console.log(`Login attempt - Username: ${trimmedUsername}, Database: ${selectedDatabase}`);
         logAuth('Attempting to get DB pool', { selectedDatabase });
@@ -966,7 +489,14 @@ router.get('/auth/login', async (req, res) => {
 		const userId = first.UserID ?? first.userid ?? first.userId ?? null;
 		const ledgerId = first.LedgerID ?? first.ledgerid ?? first.ledgerID ?? null;
         logAuth('Login success', { selectedDatabase, username: trimmedUsername, userId, ledgerId, machinesCount: machines.length, currentDb });
-        return res.json({ status: true, userId, ledgerId, machines, selectedDatabase, currentDb });
+        const token = signAuthToken({
+            role: ROLES.MACHINE_USER,
+            sub: userId ?? trimmedUsername,
+            name: trimmedUsername,
+            database: selectedDatabase,
+            ledgerId
+        });
+        return res.json({ status: true, token, userId, ledgerId, machines, selectedDatabase, currentDb });
 	} catch (err) {
 		console.error('DB login error:', err);
         logAuth('Login failed', { route: '/auth/login', ip: req.ip, error: String(err), stack: err?.stack });
@@ -974,18 +504,36 @@ router.get('/auth/login', async (req, res) => {
 	}
 });
 
-/** Hardcoded app PIN for CDC Web admin username (case-insensitive "admin"). */
-const CDC_WEB_ADMIN_APP_PIN = '020796';
+// Wrong PINs lock the caller out (and every caller after repeated guesses from many addresses)
+const adminPinAttempts = passwords.createAttemptLimiter();
 
-router.post('/auth/admin-pin', async (req, res) => {
+/** App PIN for CDC Web admin username (case-insensitive "admin"); set ADMIN_APP_PIN in .env. */
+router.post('/auth/admin-pin', validate({
+	summary: 'Admin login with the app PIN',
+	body: v.object({ pin: v.string().optional() })
+}), async (req, res) => {
 	try {
-		const pin = req.body?.pin != null ? String(req.body.pin).trim() : '';
-		if (pin === CDC_WEB_ADMIN_APP_PIN) {
+		const configuredPin = (process.env.ADMIN_APP_PIN || '').trim();
+		if (!configuredPin) {
+			logAuth('Admin PIN rejected - ADMIN_APP_PIN not configured', { route: '/auth/admin-pin', ip: req.ip });
+			return res.status(503).json({ status: false, error: 'Admin login is not configured on the server' });
+		}
+		const lockedFor = adminPinAttempts.lockedFor(req.ip);
+		if (lockedFor > 0) {
+			logAuth('Admin PIN refused - locked out', { route: '/auth/admin-pin', ip: req.ip, lockedForMs: lockedFor });
+			res.set('Retry-After', String(Math.ceil(lockedFor / 1000)));
+			return res.status(429).json({ status: false, error: 'Too many wrong PINs. Try again later.' });
+		}
+		const pin = req.valid.body.pin || '';
+		if (pin && passwords.plaintextEquals(pin, configuredPin)) {
+			adminPinAttempts.succeed(req.ip);
 			logAuth('Admin PIN verified', { route: '/auth/admin-pin', ip: req.ip });
-			return res.json({ status: true });
+			const token = signAuthToken({ role: ROLES.ADMIN, sub: 'admin', name: 'admin' });
+			return res.json({ status: true, token });
 		}
+		adminPinAttempts.fail(req.ip);
 		logAuth('Admin PIN rejected', { route: '/auth/admin-pin', ip: req.ip });
-		return res.json({ status: false, error: 'Invalid PIN. Login denied.' });
+		return res.status(401).json({ status: false, error: 'Invalid PIN. Login denied.' });
 	} catch (err) {
 		console.error('Admin PIN error:', err);
 		return res.status(500).json({ status: false, error: 'Internal server error' });
@@ -1025,30 +573,36 @@ router.post('/auth/logout', async (req, res) => {
 });
 
 // Create new user for voice note tool
-router.post('/voice-note-tool/users', async (req, res) => {
-	try {
-		const { username, password } = req.body;
+const voiceNoteCredentials = v.object({
+	username: v.string({ minLength: 1, lowerCase: true }),
+	password: v.string({ minLength: 1, trim: false })
+});
 
-		if (!username || !password) {
-			return res.status(400).json({ error: 'Username and password are required' });
-		}
+router.post('/voice-note-tool/users', validate({
+	summary: 'Create a voice note tool user',
+	body: voiceNoteCredentials
+}), async (req, res) => {
+	try {
+		const { username, password } = req.valid.body;
 
-		if (username.trim().length === 0 || password.trim().length === 0) {
-			return res.status(400).json({ error: 'Username and password cannot be empty' });
+		const invalidPassword = passwords.validateNewPassword(password);
+		if (invalidPassword) {
+			return res.status(400).json({ error: invalidPassword });
 		}
 
 		const VoiceNoteUser = await getVoiceNoteUserModel();
 
 		// Check if user already exists
-		const existingUser = await VoiceNoteUser.findOne({ username: username.toLowerCase().trim() });
+		const existingUser = await VoiceNoteUser.findOne({ username });
 		if (existingUser) {
 			return res.status(400).json({ error: 'Username already exists' });
 		}
 
-		// Create new user (password stored as plain text as per requirement)
+		// Create new user (bcrypt hash only)
 		const newUser = new VoiceNoteUser({
-			username: username.toLowerCase().trim(),
-			password: password // Storing as plain text
+			username,
+			password: await passwords.hashPassword(password),
+			passwordChangedAt: new Date()
 		});
 
 		await newUser.save();
@@ -1068,39 +622,55 @@ router.post('/voice-note-tool/users', async (req, res) => {
 });
 
 // Login for voice note tool (username and password)
-router.post('/auth/login-voice-note', async (req, res) => {
+router.post('/auth/login-voice-note', validate({
+	summary: 'Voice note tool login',
+	body: voiceNoteCredentials
+}), async (req, res) => {
 	try {
-		const { username, password } = req.body;
-
-		if (!username || !password) {
-			return res.status(400).json({ error: 'Username and password are required' });
-		}
+		const { username, password } = req.valid.body;
 
 		const VoiceNoteUser = await getVoiceNoteUserModel();
 
 		// Find user by username
-		const user = await VoiceNoteUser.findOne({ username: username.toLowerCase().trim() });
+		const user = await VoiceNoteUser.findOne({ username });
 
 		if (!user) {
 			return res.status(401).json({ error: 'Invalid username or password' });
 		}
 
-		// Compare passwords (plain text comparison as per requirement)
-		if (user.password !== password) {
+		if (passwords.isLockedOut(user)) {
+			return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later or ask an admin to reset the password.' });
+		}
+
+		const { ok, needsUpgrade } = await passwords.verifyPassword(password, user.password);
+		if (!ok) {
+			await VoiceNoteUser.updateOne({ _id: user._id }, passwords.failedLoginUpdate());
 			return res.status(401).json({ error: 'Invalid username or password' });
 		}
 
-		// Generate JWT token
-		const token = jwt.sign(
-			{ username: user.username, tool: 'voice-note' },
-			process.env.JWT_SECRET || 'your-secret-key',
-			{ expiresIn: '24h' }
+		// Clears the failure counter and re-hashes a legacy plaintext password; no match when wrong
+		// guesses made at the same time locked the account
+		const { matchedCount } = await VoiceNoteUser.updateOne(
+			passwords.unlockedFilter(user._id),
+			{ $set: await passwords.successfulLoginUpdate(password, needsUpgrade) }
 		);
+		if (!matchedCount) {
+			return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later or ask an admin to reset the password.' });
+		}
+
+		// Generate JWT token
+		const token = signAuthToken({
+			role: ROLES.VOICE_NOTE,
+			sub: user._id.toString(),
+			username: user.username,
+			tool: 'voice-note'
+		});
 
 		res.json({
 			token,
 			username: user.username, // Return DB username (lowercase)
-			userId: user._id.toString() // Return user ID
+			userId: user._id.toString(), // Return user ID
+			mustChangePassword: !!user.mustChangePassword
 		});
 	} catch (error) {
 		console.error('Voice note login error:', error);
@@ -1108,28 +678,146 @@ router.post('/auth/login-voice-note', async (req, res) => {
 	}
 });
 
-router.get('/processes/pending', async (req, res) => {
+// Voice note user changes own password (requires voice-note token)
+router.post('/auth/voice-note/change-password', validate({
+	summary: 'Voice note user changes their own password',
+	body: v.object({
+		currentPassword: v.string({ minLength: 1, trim: false }),
+		newPassword: v.string({ minLength: 1, trim: false })
+	})
+}), async (req, res) => {
 	try {
-		const { MachineID, jobcardcontentno, UserID, isManualEntry, database } = req.query || {};
-		const machineIdNum = Number(MachineID);
-		const userIdNum = Number(UserID);
-		const isManualEntryMode = isManualEntry === 'true';
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-		
-		if (!Number.isInteger(machineIdNum)) {
-			return res.status(400).json({ status: false, error: 'MachineID must be an integer' });
+		const { currentPassword, newPassword } = req.valid.body;
+		if (req.auth?.role !== ROLES.VOICE_NOTE) {
+			return res.status(403).json({ error: 'Only voice note users can change their password here' });
+		}
+
+		const invalidPassword = passwords.validateNewPassword(newPassword);
+		if (invalidPassword) {
+			return res.status(400).json({ error: invalidPassword });
+		}
+
+		const VoiceNoteUser = await getVoiceNoteUserModel();
+		const user = await VoiceNoteUser.findById(req.auth.sub);
+		if (!user) {
+			return res.status(404).json({ error: 'User not found' });
+		}
+		if (passwords.isLockedOut(user)) {
+			return res.status(423).json({ error: 'Account locked after repeated failed logins. Try again later.' });
 		}
-		if (!Number.isInteger(userIdNum)) {
-			return res.status(400).json({ status: false, error: 'UserID must be an integer' });
+
+		const { ok } = await passwords.verifyPassword(currentPassword, user.password);
+		if (!ok) {
+			await VoiceNoteUser.updateOne({ _id: user._id }, passwords.failedLoginUpdate());
+			return res.status(401).json({ error: 'Current password is incorrect' });
+		}
+
+		await VoiceNoteUser.updateOne(
+			{ _id: user._id },
+			{
+				$set: {
+					password: await passwords.hashPassword(newPassword),
+					passwordChangedAt: new Date(),
+					mustChangePassword: false,
+					failedLoginCount: 0,
+					lockedUntil: null
+				}
+			}
+		);
+		res.json({ message: 'Password changed successfully' });
+	} catch (error) {
+		console.error('Voice note change password error:', error);
+		res.status(500).json({ error: 'Server error while changing password' });
+	}
+});
+
+// Admin password reset for a voice note user; sets the given password or generates one (returned once)
+router.post('/voice-note-tool/users/:username/reset-password', validate({
+	summary: 'Reset the password of a voice note user',
+	description: 'Without newPassword a temporary password is generated and returned once.',
+	params: v.object({ username: v.string({ minLength: 1, lowerCase: true }) }),
+	body: v.object({ newPassword: v.string({ trim: false }).optional() })
+}), async (req, res) => {
+	try {
+		const requested = req.valid.body.newPassword;
+		const newPassword = requested || passwords.generateTemporaryPassword();
+		const invalidPassword = passwords.validateNewPassword(newPassword);
+		if (invalidPassword) {
+			return res.status(400).json({ error: invalidPassword });
 		}
-		if (!jobcardcontentno || jobcardcontentno.trim() === '') {
-			return res.status(400).json({ status: false, error: 'Missing jobcardcontentno' });
+
+		const VoiceNoteUser = await getVoiceNoteUserModel();
+		const user = await VoiceNoteUser.findOneAndUpdate(
+			{ username: req.valid.params.username },
+			{
+				password: await passwords.hashPassword(newPassword),
+				passwordChangedAt: new Date(),
+				mustChangePassword: true,
+				failedLoginCount: 0,
+				lockedUntil: null
+			},
+			{ new: true }
+		);
+		if (!user) {
+			return res.status(404).json({ error: 'User not found' });
 		}
 
-		const trimmedJobCardContentNo = jobcardcontentno.trim();
+		logAuth('Voice note password reset', { route: '/voice-note-tool/users/:username/reset-password', username: user.username, by: req.auth?.sub || null });
+		res.json({
+			message: 'Password reset successfully',
+			username: user.username,
+			...(requested ? {} : { password: newPassword })
+		});
+	} catch (error) {
+		console.error('Voice note password reset error:', error);
+		res.status(500).json({ error: 'Server error while resetting password' });
+	}
+});
+
+// Job card number of a dbo.FindJobCardsByPartialNumber row (the column name differs between plants)
+function jobCardNumberOf(row) {
+	return row.JobCardContentNo ||
+		row.jobcardcontentno ||
+		row.JobCardNumber ||
+		row.Number ||
+		row.JobCardNo ||
+		row.jobcardno;
+}
+
+async function fetchPendingProcessRows(pool, { userId, machineId, jobCardContentNo }) {
+	const result = await pool.request()
+		.input('UserID', sql.Int, userId)
+		.input('MachineID', sql.Int, machineId)
+		.input('JobCardContentNo', sql.NVarChar(255), jobCardContentNo)
+		.execute('dbo.GetPendingProcesses_ForMachineAndContent');
+	return result.recordset || [];
+}
+
+async function findJobCardNumbers(pool, numberPart) {
+	const result = await pool.request()
+		.input('NumberPart', sql.NVarChar(255), numberPart)
+		.execute('dbo.FindJobCardsByPartialNumber');
+	return [...new Set(result.recordset.map(jobCardNumberOf).filter(Boolean).map(String))];
+}
+
+router.get('/processes/pending', validate({
+	summary: 'Pending processes for a job card on a machine',
+	query: v.object({
+		MachineID: v.integer(),
+		UserID: v.integer(),
+		jobcardcontentno: v.string({ minLength: 1 }),
+		isManualEntry: v.boolean().default(false),
+		database: v.database()
+	})
+}), async (req, res) => {
+	try {
+		const {
+			MachineID: machineIdNum,
+			UserID: userIdNum,
+			jobcardcontentno: trimmedJobCardContentNo,
+			isManualEntry: isManualEntryMode,
+			database: selectedDatabase
+		} = req.valid.query;
 
 		const pool = await getPool(selectedDatabase);
 		let result;
@@ -1137,45 +825,29 @@ router.get('/processes/pending', async (req, res) => {
 		if (isManualEntryMode) {
 			// Two-step process for manual entry:
 			// 1. First, find job card numbers that match the partial input
-			const jobCardSearchResult = await pool.request()
-				.input('NumberPart', sql.NVarChar(255), trimmedJobCardContentNo)
-				.execute('dbo.FindJobCardsByPartialNumber');
-      console.log('[PENDING] jobCardSearchResult:', JSON.stringify(jobCardSearchResult.recordset));
+			const jobCardNumbers = await findJobCardNumbers(pool, trimmedJobCardContentNo);
+      console.log('[PENDING] jobCardNumbers:', JSON.stringify(jobCardNumbers));
 			
-			if (jobCardSearchResult.recordset.length === 0) {
+			if (jobCardNumbers.length === 0) {
 				return res.json({ status: false, error: 'No job cards found matching the partial number' });
 			}
 			
 			// 2. Collect processes from all matching job card numbers
 			let allProcesses = [];
 			
-			for (const jobCardRow of jobCardSearchResult.recordset) {
-				// Try different possible column names for the job card content number
-				const jobCardNumber = jobCardRow.JobCardContentNo || 
-									  jobCardRow.jobcardcontentno ||
-									  jobCardRow.JobCardNumber ||
-									  jobCardRow.Number ||
-									  jobCardRow.JobCardNo ||
-									  jobCardRow.jobcardno;
-				
-				if (jobCardNumber) {
-					try {
-						// Search for processes using this job card number
-						const processResult = await pool.request()
-							.input('UserID', sql.Int, userIdNum)
-							.input('MachineID', sql.Int, machineIdNum)
-							.input('JobCardContentNo', sql.NVarChar(255), jobCardNumber.toString())
-							.execute('dbo.GetPendingProcesses_ForMachineAndContent');
-						console.log('[PENDING2] processResult:', JSON.stringify(processResult.recordset));
+			for (const jobCardNumber of jobCardNumbers) {
+				try {
+					// Search for processes using this job card number
+					const processRows = await fetchPendingProcessRows(pool, {
+						userId: userIdNum, machineId: machineIdNum, jobCardContentNo: jobCardNumber
+					});
+					console.log('[PENDING2] processResult:', JSON.stringify(processRows));
             console.log('[PENDING2] machineIdNum, jobCardNumber:', machineIdNum, jobCardNumber);
-						// Add processes from this job card to our collection
-						if (processResult.recordset && processResult.recordset.length > 0) {
-							allProcesses = allProcesses.concat(processResult.recordset);
-						}
-					} catch (processErr) {
-						// Log error but continue with other job cards
-						console.error(`Error fetching processes for job card ${jobCardNumber}:`, processErr);
-					}
+					// Add processes from this job card to our collection
+					allProcesses = allProcesses.concat(processRows);
+				} catch (processErr) {
+					// Log error but continue with other job cards
+					console.error(`Error fetching processes for job card ${jobCardNumber}:`, processErr);
 				}
 			}
 			
@@ -1183,11 +855,11 @@ router.get('/processes/pending', async (req, res) => {
 			result = { recordset: allProcesses };
 		} else {
 			// Use original stored procedure for QR code scanning
-			result = await pool.request()
-				.input('UserID', sql.Int, userIdNum)
-				.input('MachineID', sql.Int, machineIdNum)
-				.input('JobCardContentNo', sql.NVarChar(255), trimmedJobCardContentNo)
-				.execute('dbo.GetPendingProcesses_ForMachineAndContent');
+			result = {
+				recordset: await fetchPendingProcessRows(pool, {
+					userId: userIdNum, machineId: machineIdNum, jobCardContentNo: trimmedJobCardContentNo
+				})
+			};
         console.log('[PENDING3] result:', JSON.stringify(result.recordset));
 
 		}
@@ -1198,42 +870,7 @@ router.get('/processes/pending', async (req, res) => {
 			//console.log('[DEBUG] First process row data:', result.recordset[0]);
 		}
 
-		const processes = result.recordset.map(r => ({
-			// Mobile app expects camelCase
-			pwoNo: r.PWOno || r.PWONo,
-			pwoDate: r.PWODate,
-			client: r.Client,
-			jobName: r.JobName,
-			componentName: r.ComponentName ?? r.COmponentname,
-			formNo: r.FormNo,
-			scheduleQty: r.ScheduleQty,
-			qtyProduced: r.QtyProduced,
-			paperIssuedQty: r.PaperIssuedQty ?? null,
-			currentStatus: r.CurrentStatus ?? null,
-			jobcardContentNo: r.JobCardContentNo ?? r.jobcardcontentno,
-			jobBookingJobcardContentsId: parseInt(r.JobBookingJobCardContentsID) || 0,
-			processName: r.ProcessName,
-			processId: parseInt(r.ProcessID) || 0,
-			runningProductionID: r.RunningProductionID ? parseInt(r.RunningProductionID) : null,
-			runningMachineID: r.RunningMachineID ? parseInt(r.RunningMachineID) : null,
-			// Web app expects PascalCase
-			PWONo: r.PWOno || r.PWONo,
-			PWODate: r.PWODate,
-			Client: r.Client,
-			JobName: r.JobName,
-			ComponentName: r.ComponentName ?? r.COmponentname,
-			FormNo: r.FormNo,
-			ScheduleQty: r.ScheduleQty,
-			QtyProduced: r.QtyProduced,
-			PaperIssuedQty: r.PaperIssuedQty ?? null,
-			CurrentStatus: r.CurrentStatus ?? null,
-			JobCardContentNo: r.JobCardContentNo ?? r.jobcardcontentno,
-			JobBookingJobCardContentsID: parseInt(r.JobBookingJobCardContentsID) || 0,
-			ProcessName: r.ProcessName,
-			ProcessID: parseInt(r.ProcessID) || 0,
-			RunningProductionID: r.RunningProductionID ? parseInt(r.RunningProductionID) : null,
-			RunningMachineID: r.RunningMachineID ? parseInt(r.RunningMachineID) : null
-		}));
+		const processes = result.recordset.map(toPendingProcess);
 
 		if (processes.length === 0) {
 			return res.json({ status: false });
@@ -1245,40 +882,63 @@ router.get('/processes/pending', async (req, res) => {
 	}
 });
 
-router.post('/processes/start', async (req, res) => {
-    try {
-        // Log raw incoming payload for traceability
-        //console.log('[START] /api/processes/start called with body:', req.body);
-        logProcessStart('Start process called', { route: '/processes/start', ip: req.ip, body: req.body });
-
-        const { UserID, EmployeeID, ProcessID, JobBookingJobCardContentsID, MachineID, JobCardFormNo, database } = req.body || {};
+// Audit record for the synchronous production writes; a Status-only reply means the
+// procedure declined the action, so it is recorded as no-change.
+function auditProductionWrite(req, { type, database, entityKeys, newValues, recordset, error }) {
+    const statusWarning = error ? null : _checkStatusOnlyResponse(recordset);
+    recordAudit(req, {
+        action: `production.${type}`,
+        database,
+        entity: 'ProductionEntry',
+        entityKeys,
+        newValues: statusWarning ? { ...newValues, statusWarning } : newValues,
+        outcome: error ? 'failure' : statusWarning ? 'no-change' : 'success',
+        error
+    });
+}
 
-        const userIdNum = Number(UserID);
-        const employeeIdNum = Number(EmployeeID);
-        const processIdNum = Number(ProcessID);
-        const jobBookingIdNum = Number(JobBookingJobCardContentsID);
-        const machineIdNum = Number(MachineID);
-        const jobCardFormNoStr = (JobCardFormNo || '').toString().trim();
-        const selectedDatabase = database || 'KOL'; // Default to KOL
+// Request bodies shared by the synchronous and queued (-async) process routes
+const processStartBody = v.object({
+    UserID: v.integer(),
+    EmployeeID: v.integer(),
+    ProcessID: v.integer(),
+    JobBookingJobCardContentsID: v.integer(),
+    MachineID: v.integer(),
+    JobCardFormNo: v.string({ minLength: 1 }),
+    database: v.database().default('KOL')
+});
+const processCompleteBody = v.object({
+    UserID: v.integer(),
+    ProductionID: v.integer(),
+    ProductionQty: v.integer(),
+    WastageQty: v.integer(),
+    database: v.database()
+});
+const processCancelBody = v.object({
+    UserID: v.integer(),
+    ProductionID: v.integer(),
+    database: v.database()
+});
 
-        if (!Number.isInteger(userIdNum)) {
-            return res.status(400).json({ status: false, error: 'UserID must be an integer' });
-        }
-        if (!Number.isInteger(employeeIdNum)) {
-            return res.status(400).json({ status: false, error: 'EmployeeID must be an integer' });
-        }
-        if (!Number.isInteger(processIdNum)) {
-            return res.status(400).json({ status: false, error: 'ProcessID must be an integer' });
-        }
-        if (!Number.isInteger(jobBookingIdNum)) {
-            return res.status(400).json({ status: false, error: 'JobBookingJobCardContentsID must be an integer' });
-        }
-        if (!Number.isInteger(machineIdNum)) {
-            return res.status(400).json({ status: false, error: 'MachineID must be an integer' });
-        }
-        if (!jobCardFormNoStr) {
-            return res.status(400).json({ status: false, error: 'JobCardFormNo is required' });
-        }
+router.post('/processes/start', validate({
+    summary: 'Start a process on a machine (Production_Start_Manu_v2)',
+    body: processStartBody
+}), async (req, res) => {
+    let audit = null;
+    try {
+        // Log raw incoming payload for traceability
+        //console.log('[START] /api/processes/start called with body:', req.body);
+        logProcessStart('Start process called', { route: '/processes/start', ip: req.ip, body: req.body });
+
+        const {
+            UserID: userIdNum,
+            EmployeeID: employeeIdNum,
+            ProcessID: processIdNum,
+            JobBookingJobCardContentsID: jobBookingIdNum,
+            MachineID: machineIdNum,
+            JobCardFormNo: jobCardFormNoStr,
+            database: selectedDatabase
+        } = req.valid.body;
 
         // Log normalized parameters after basic coercion
         logProcessStart('Normalized start params', {
@@ -1324,6 +984,13 @@ router.post('/processes/start', async (req, res) => {
         console.log(`Database: ${selectedDatabase}`);
         console.log(`${'='.repeat(80)}\n`);
 
+        audit = {
+            type: 'start',
+            database: selectedDatabase,
+            entityKeys: { JobBookingJobCardContentsID: jobBookingIdNum, ProcessID: processIdNum, MachineID: machineIdNum },
+            newValues: { EmployeeID: employeeIdNum, JobCardFormNo: jobCardFormNoStr }
+        };
+
         const request = pool.request();
         request.timeout = 180000; // Set timeout to 3 minutes (180 seconds) for start operations
         const result = await request
@@ -1355,6 +1022,15 @@ router.post('/processes/start', async (req, res) => {
             rowsAffected: result.rowsAffected
         });
         
+        auditProductionWrite(req, {
+            ...audit,
+            entityKeys: { ProductionID: productionId, ...audit.entityKeys },
+            recordset: result.recordset
+        });
+        if (productionId) {
+            notifyProductionEvent({ database: selectedDatabase, type: 'start', machineId: machineIdNum, productionId });
+        }
+
         // Check if result contains only Status column
         const statusWarning = _checkStatusOnlyResponse(result.recordset);
         if (statusWarning) {
@@ -1378,68 +1054,75 @@ router.post('/processes/start', async (req, res) => {
             productionId: productionId
         });
     } catch (err) {
+        if (audit) auditProductionWrite(req, { ...audit, error: err });
         console.error('Start process error:', err);
         logProcessStart('Start process failed', { route: '/processes/start', ip: req.ip, error: String(err) });
         return res.status(500).json({ status: false, error: 'Internal server error' });
     }
 });
 
-// QR Code processing endpoint
-router.post('/qr/process', upload.single('qrImage'), async (req, res) => {
+// Jimp image of the multipart upload or of base64 `imageData` in the JSON body; null when none was sent
+async function readRequestImage(req) {
+	if (req.file) return Jimp.read(req.file.buffer);
+	const { imageData } = req.valid.body;
+	if (!imageData) return null;
+	// Remove data URL prefix if present
+	const base64Data = String(imageData).replace(/^data:image\/[a-z]+;base64,/, '');
+	return Jimp.read(Buffer.from(base64Data, 'base64'));
+}
+
+// Job card QR of the request (barcode-decoder.js); { httpStatus, error } when the image is missing or unreadable
+async function decodeJobCardImage(req, route, missingError) {
+	let image;
 	try {
-		if (!req.file) {
-			logQr('No image provided to /qr/process', { route: '/qr/process', ip: req.ip });
-			return res.status(400).json({ 
-				status: false, 
-				error: 'No image file provided' 
-			});
-		}
+		image = await readRequestImage(req);
+	} catch (e) {
+		logQr('Failed to read image with Jimp', { route, error: String(e) });
+		return { httpStatus: 400, error: req.file ? 'Invalid image file' : 'Invalid image data' };
+	}
+	if (!image) {
+		logQr(`No image provided to ${route}`, { route, ip: req.ip });
+		return { httpStatus: 400, error: missingError };
+	}
+	return decodeImage(image, { expect: 'job-card' });
+}
 
-		// Process the uploaded image with Jimp
-		let image;
-		try {
-			image = await Jimp.read(req.file.buffer);
-		} catch (e) {
-			logQr('Failed to read image with Jimp', { error: String(e) });
-			return res.status(400).json({ status: false, error: 'Invalid image file' });
-		}
-		
-		// Create QR code reader
-		const qr = new QrCode();
-		
-		// Convert image to format that qrcode-reader can process
-		const imageData = {
-			data: new Uint8ClampedArray(image.bitmap.data),
-			width: image.bitmap.width,
-			height: image.bitmap.height
-		};
+// Job card QR scan; the picked code is the one matching the job card pattern
+async function handleJobCardScan(req, res, route) {
+	const decoded = await decodeJobCardImage(req, route,
+		route === '/qr/process' ? 'No image file provided' : 'No image data provided');
+	if (decoded.httpStatus) {
+		return res.status(decoded.httpStatus).json({ status: false, error: decoded.error });
+	}
 
-		// Process QR code
-		const qrResult = await new Promise((resolve, reject) => {
-			qr.callback = (err, value) => {
-				if (err) {
-					reject(err);
-				} else {
-					resolve(value);
-				}
-			};
-			qr.decode(imageData);
+	const { codes, code, matched, passes } = decoded;
+	if (!code) {
+		logQr('No QR code found in image', { route, passes: passes.length });
+		return res.json({
+			status: false,
+			error: 'No QR code found in the image',
+			codes
 		});
+	}
 
-		if (qrResult && qrResult.result) {
-			logQr('QR decoded successfully', { route: '/qr/process' });
-			return res.json({ 
-				status: true, 
-				jobCardContentNo: qrResult.result.trim()
-			});
-		} else {
-			logQr('No QR code found in image', { route: '/qr/process' });
-			return res.json({ 
-				status: false, 
-				error: 'No QR code found in the image' 
-			});
-		}
+	logQr('QR decoded successfully', { route, format: code.format, matched, pass: code.pass, found: codes.length });
+	return res.json({
+		status: true,
+		jobCardContentNo: code.text,
+		format: code.format,
+		matched,
+		codes
+	});
+}
 
+// QR Code processing endpoint
+router.post('/qr/process', upload.single('qrImage'), validate({
+	summary: 'Decode the job card QR of an uploaded image',
+	description: 'Multipart qrImage, or base64 imageData in the body.',
+	body: v.object({ imageData: v.string().optional() })
+}), async (req, res) => {
+	try {
+		return await handleJobCardScan(req, res, '/qr/process');
 	} catch (err) {
 		console.error('QR processing error:', err);
 		logQr('Unhandled error in /qr/process', { error: String(err), stack: err?.stack });
@@ -1451,106 +1134,146 @@ router.post('/qr/process', upload.single('qrImage'), async (req, res) => {
 });
 
 // QR Code processing endpoint for base64 data (for camera captures)
-router.post('/qr/process-base64', async (req, res) => {
+router.post('/qr/process-base64', validate({
+	summary: 'Decode the job card QR of a base64 camera capture',
+	body: v.object({ imageData: v.string({ minLength: 1 }).describe('Base64 image, optionally a data URL') })
+}), async (req, res) => {
 	try {
-		const { imageData } = req.body;
-		
-		if (!imageData) {
-			logQr('No imageData provided to /qr/process-base64', { route: '/qr/process-base64', ip: req.ip });
-			return res.status(400).json({ 
-				status: false, 
-				error: 'No image data provided' 
+		return await handleJobCardScan(req, res, '/qr/process-base64');
+	} catch (err) {
+		console.error('QR processing error:', err);
+		logQr('Unhandled error in /qr/process-base64', { error: String(err), stack: err?.stack });
+		return res.status(500).json({ 
+			status: false, 
+			error: 'Failed to process QR code' 
+		});
+	}
+});
+
+// QR scan straight to the pending processes (/qr/process + /processes/pending in one call). When the
+// decoded text has nothing pending on the machine, the job cards FindJobCardsByPartialNumber matches
+// for it are returned as `candidates` with their own pending processes.
+router.post('/qr/scan-pending', upload.single('qrImage'), validate({
+	summary: 'Decode a job card QR and list its pending processes on a machine',
+	body: v.object({
+		MachineID: v.integer(),
+		UserID: v.integer(),
+		database: v.database(),
+		imageData: v.string().optional().describe('Base64 image when no multipart qrImage is sent')
+	})
+}), async (req, res) => {
+	const route = '/qr/scan-pending';
+	try {
+		const { MachineID: machineId, UserID: userId, database } = req.valid.body;
+		const startedAt = Date.now();
+		const decoded = await decodeJobCardImage(req, route, 'No image provided (multipart qrImage or imageData)');
+		if (decoded.httpStatus) {
+			return res.status(decoded.httpStatus).json({ status: false, error: decoded.error });
+		}
+		const { codes, code, matched, passes } = decoded;
+		const decodeMs = Date.now() - startedAt;
+		if (!code) {
+			logQr('No QR code found in image', { route, passes: passes.length, decodeMs });
+			return res.json({ status: false, error: 'No QR code found in the image', codes });
+		}
+
+		const pool = await getPool(database);
+		const jobCardContentNo = code.text;
+		const rows = await fetchPendingProcessRows(pool, { userId, machineId, jobCardContentNo });
+		if (rows.length) {
+			const result = pendingScanResult(jobCardContentNo, rows, machineId);
+			logQr('Scan resolved to pending processes', {
+				route, machineId, jobCardContentNo, processes: rows.length, running: result.runningProductionID,
+				decodeMs, totalMs: Date.now() - startedAt
 			});
+			return res.json({ status: true, format: code.format, matched, ...result, codes });
+		}
+
+		const candidates = [];
+		const numbers = fallbackJobCardNumbers(await findJobCardNumbers(pool, jobCardContentNo), jobCardContentNo);
+		for (const number of numbers) {
+			const candidateRows = await fetchPendingProcessRows(pool, { userId, machineId, jobCardContentNo: number });
+			if (candidateRows.length) candidates.push(pendingScanResult(number, candidateRows, machineId));
 		}
+		logQr('Scan has no pending processes', {
+			route, machineId, jobCardContentNo, matched, fallbackJobCards: numbers.length, candidates: candidates.length,
+			decodeMs, totalMs: Date.now() - startedAt
+		});
+		return res.json({
+			status: false,
+			error: `No pending processes for ${jobCardContentNo} on this machine`,
+			jobCardContentNo,
+			format: code.format,
+			matched,
+			candidates,
+			codes
+		});
+	} catch (err) {
+		console.error('QR scan error:', err);
+		logQr(`Unhandled error in ${route}`, { error: String(err), stack: err?.stack });
+		return res.status(500).json({ status: false, error: 'Failed to process QR scan' });
+	}
+});
 
-		// Remove data URL prefix if present
-		const base64Data = imageData.replace(/^data:image\/[a-z]+;base64,/, '');
-		const buffer = Buffer.from(base64Data, 'base64');
+// Every QR / 1D code in an image (multipart `image` or JSON `imageData`); expect=carton picks the
+// numeric carton barcode for /grn/initiate and /gpn/save-finish-goods
+const expectField = v.enum(EXPECTATIONS).optional().describe('Code to pick; default any');
 
-		// Process the image with Jimp
+router.post('/barcode/decode', upload.single('image'), validate({
+	summary: 'Decode every QR / 1D code of an image',
+	description: 'Multipart image, or base64 imageData in the body. expect may be sent in the query or the body.',
+	query: v.object({ expect: expectField }),
+	body: v.object({ expect: expectField, imageData: v.string().optional() })
+}), async (req, res) => {
+	try {
+		const expect = req.valid.query.expect || req.valid.body.expect || 'any';
 		let image;
 		try {
-			image = await Jimp.read(buffer);
+			image = await readRequestImage(req);
 		} catch (e) {
-			logQr('Failed to read base64 image with Jimp', { error: String(e) });
-			return res.status(400).json({ status: false, error: 'Invalid image data' });
+			logQr('Failed to read image with Jimp', { route: '/barcode/decode', error: String(e) });
+			return res.status(400).json({ status: false, error: 'Invalid image' });
 		}
-		
-		// Create QR code reader
-		const qr = new QrCode();
-		
-		// Convert image to format that qrcode-reader can process
-		const imageDataObj = {
-			data: new Uint8ClampedArray(image.bitmap.data),
-			width: image.bitmap.width,
-			height: image.bitmap.height
-		};
-
-		// Process QR code
-		const qrResult = await new Promise((resolve, reject) => {
-			qr.callback = (err, value) => {
-				if (err) {
-					reject(err);
-				} else {
-					resolve(value);
-				}
-			};
-			qr.decode(imageDataObj);
-		});
-
-		if (qrResult && qrResult.result) {
-			logQr('QR decoded successfully (base64)', { route: '/qr/process-base64' });
-			return res.json({ 
-				status: true, 
-				jobCardContentNo: qrResult.result.trim()
-			});
-		} else {
-			logQr('No QR code found in base64 image', { route: '/qr/process-base64' });
-			return res.json({ 
-				status: false, 
-				error: 'No QR code found in the image' 
-			});
+		if (!image) {
+			return res.status(400).json({ status: false, error: 'No image provided (multipart image or imageData)' });
 		}
 
-	} catch (err) {
-		console.error('QR processing error:', err);
-		logQr('Unhandled error in /qr/process-base64', { error: String(err), stack: err?.stack });
-		return res.status(500).json({ 
-			status: false, 
-			error: 'Failed to process QR code' 
+		const { codes, code, matched, passes } = decodeImage(image, { expect });
+		logQr(code ? 'Barcode decoded' : 'No barcode found in image', {
+			route: '/barcode/decode', expect, found: codes.length, matched, passes: passes.length
+		});
+		return res.json({
+			status: codes.length > 0,
+			...(codes.length ? {} : { error: 'No barcode or QR code found in the image' }),
+			code,
+			matched,
+			codes,
+			passes
 		});
+	} catch (err) {
+		console.error('Barcode decoding error:', err);
+		logQr('Unhandled error in /barcode/decode', { error: String(err), stack: err?.stack });
+		return res.status(500).json({ status: false, error: 'Failed to decode image' });
 	}
 });
 
 // Complete production endpoint
-router.post('/processes/complete', async (req, res) => {
+router.post('/processes/complete', validate({
+    summary: 'Complete a running production entry (Production_End_Manu_v2)',
+    body: processCompleteBody
+}), async (req, res) => {
+    let audit = null;
     try {
         //console.log('[COMPLETE] /api/processes/complete called with body:', req.body);
         logProcessStart('Complete process called', { route: '/processes/complete', ip: req.ip, body: req.body });
 
-        const { UserID, ProductionID, ProductionQty, WastageQty, database } = req.body || {};
-
-        const userIdNum = Number(UserID);
-        const productionIdNum = Number(ProductionID);
-        const productionQtyNum = Number(ProductionQty);
-        const wastageQtyNum = Number(WastageQty);
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        if (!Number.isInteger(userIdNum)) {
-            return res.status(400).json({ status: false, error: 'UserID must be an integer' });
-        }
-        if (!Number.isInteger(productionIdNum)) {
-            return res.status(400).json({ status: false, error: 'ProductionID must be an integer' });
-        }
-        if (!Number.isInteger(productionQtyNum)) {
-            return res.status(400).json({ status: false, error: 'ProductionQty must be an integer' });
-        }
-        if (!Number.isInteger(wastageQtyNum)) {
-            return res.status(400).json({ status: false, error: 'WastageQty must be an integer' });
-        }
+        const {
+            UserID: userIdNum,
+            ProductionID: productionIdNum,
+            ProductionQty: productionQtyNum,
+            WastageQty: wastageQtyNum,
+            database: selectedDatabase
+        } = req.valid.body;
 
         logProcessStart('Normalized complete params', {
             route: '/processes/complete',
@@ -1600,6 +1323,13 @@ router.post('/processes/complete', async (req, res) => {
         console.log(`Database: ${selectedDatabase}`);
         console.log(`${'='.repeat(80)}\n`);
 
+        audit = {
+            type: 'complete',
+            database: selectedDatabase,
+            entityKeys: { ProductionID: productionIdNum },
+            newValues: { ProductionQty: productionQtyNum, WastageQty: wastageQtyNum }
+        };
+
         const request = pool.request();
         request.timeout = 180000; // Set timeout to 3 minutes (180 seconds) for complete operations
         const result = await request
@@ -1623,6 +1353,9 @@ router.post('/processes/complete', async (req, res) => {
             rowsAffected: result.rowsAffected
         });
         
+        auditProductionWrite(req, { ...audit, recordset: result.recordset });
+        notifyProductionEvent({ database: selectedDatabase, type: 'complete', productionId: productionIdNum });
+
         // Check if result contains only Status column
         const statusWarning = _checkStatusOnlyResponse(result.recordset);
         if (statusWarning) {
@@ -1641,6 +1374,7 @@ router.post('/processes/complete', async (req, res) => {
         
         return res.json({ status: true, result: result.recordset || [] });
     } catch (err) {
+        if (audit) auditProductionWrite(req, { ...audit, error: err });
         console.error('Complete process error:', err);
         logProcessStart('Complete process failed', { route: '/processes/complete', ip: req.ip, error: String(err) });
         return res.status(500).json({ status: false, error: 'Internal server error' });
@@ -1648,26 +1382,16 @@ router.post('/processes/complete', async (req, res) => {
 });
 
 // Cancel production endpoint
-router.post('/processes/cancel', async (req, res) => {
+router.post('/processes/cancel', validate({
+    summary: 'Cancel a running production entry (Production_Cancel_Manu_v2)',
+    body: processCancelBody
+}), async (req, res) => {
+    let audit = null;
     try {
         //console.log('[CANCEL] /api/processes/cancel called with body:', req.body);
         logProcessStart('Cancel process called', { route: '/processes/cancel', ip: req.ip, body: req.body });
 
-        const { UserID, ProductionID, database } = req.body || {};
-
-        const userIdNum = Number(UserID);
-        const productionIdNum = Number(ProductionID);
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        if (!Number.isInteger(userIdNum)) {
-            return res.status(400).json({ status: false, error: 'UserID must be an integer' });
-        }
-        if (!Number.isInteger(productionIdNum)) {
-            return res.status(400).json({ status: false, error: 'ProductionID must be an integer' });
-        }
+        const { UserID: userIdNum, ProductionID: productionIdNum, database: selectedDatabase } = req.valid.body;
 
         logProcessStart('Normalized cancel params', {
             route: '/processes/cancel',
@@ -1700,6 +1424,13 @@ router.post('/processes/cancel', async (req, res) => {
         console.log(`Database: ${selectedDatabase}`);
         console.log(`${'='.repeat(80)}\n`);
 
+        audit = {
+            type: 'cancel',
+            database: selectedDatabase,
+            entityKeys: { ProductionID: productionIdNum },
+            newValues: { cancelled: true }
+        };
+
         const request = pool.request();
         request.timeout = 180000; // Set timeout to 3 minutes (180 seconds) for cancel operations
         const result = await request
@@ -1721,6 +1452,9 @@ router.post('/processes/cancel', async (req, res) => {
             rowsAffected: result.rowsAffected
         });
         
+        auditProductionWrite(req, { ...audit, recordset: result.recordset });
+        notifyProductionEvent({ database: selectedDatabase, type: 'cancel', productionId: productionIdNum });
+
         // Check if result contains only Status column
         const statusWarning = _checkStatusOnlyResponse(result.recordset);
         if (statusWarning) {
@@ -1739,6 +1473,7 @@ router.post('/processes/cancel', async (req, res) => {
         
         return res.json({ status: true, result: result.recordset || [] });
     } catch (err) {
+        if (audit) auditProductionWrite(req, { ...audit, error: err });
         console.error('Cancel process error:', err);
         logProcessStart('Cancel process failed', { route: '/processes/cancel', ip: req.ip, error: String(err) });
         return res.status(500).json({ status: false, error: 'Internal server error' });
@@ -1746,23 +1481,17 @@ router.post('/processes/cancel', async (req, res) => {
 });
 
 // Production history search by job card content (partial text, min 4 chars in UI; API enforces min 1 non-empty)
-router.get('/production/search-by-job-card', async (req, res) => {
+router.get('/production/search-by-job-card', validate({
+	summary: 'Find production entries by job card content number',
+	query: v.object({
+		searchText: v.string({ minLength: 4 }),
+		database: v.database(),
+		companyId: v.integer().default(2),
+		branchId: v.integer().default(0)
+	})
+}), async (req, res) => {
 	try {
-		const { searchText, database, companyId, branchId } = req.query || {};
-		const selectedDatabase = (database || '').toUpperCase();
-		if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-			return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-		}
-
-		const text = (searchText != null ? String(searchText) : '').trim();
-		if (text.length < 4) {
-			return res.status(400).json({ status: false, error: 'Search text must be at least 4 characters' });
-		}
-
-		const companyParsed = Number(companyId);
-		const branchParsed = Number(branchId);
-		const companyIdNum = Number.isInteger(companyParsed) ? companyParsed : 2;
-		const branchIdNum = Number.isInteger(branchParsed) ? branchParsed : 0;
+		const { searchText: text, database: selectedDatabase, companyId: companyIdNum, branchId: branchIdNum } = req.valid.query;
 
 		const pool = await getPool(selectedDatabase);
 		const result = await pool.request()
@@ -1780,29 +1509,47 @@ router.get('/production/search-by-job-card', async (req, res) => {
 
 const PRODUCTION_REVERSE_SUCCESS = 'Success: Reversed';
 
-router.post('/production/reverse', async (req, res) => {
+router.post('/production/reverse', validate({
+	summary: 'Reverse a production entry',
+	body: v.object({
+		UserID: v.integer(),
+		ProductionID: v.integer(),
+		database: v.database(),
+		companyId: v.integer().default(2),
+		branchId: v.integer().default(0)
+	})
+}), async (req, res) => {
+	let audit = null;
 	try {
-		const { UserID, ProductionID, database, companyId, branchId } = req.body || {};
-		const selectedDatabase = (database || '').toUpperCase();
-		if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-			return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-		}
-
-		const userIdNum = Number(UserID);
-		const productionIdNum = Number(ProductionID);
-		if (!Number.isInteger(userIdNum)) {
-			return res.status(400).json({ status: false, error: 'UserID must be an integer' });
-		}
-		if (!Number.isInteger(productionIdNum)) {
-			return res.status(400).json({ status: false, error: 'ProductionID must be an integer' });
-		}
-
-		const companyParsed = Number(companyId);
-		const branchParsed = Number(branchId);
-		const companyIdNum = Number.isInteger(companyParsed) ? companyParsed : 2;
-		const branchIdNum = Number.isInteger(branchParsed) ? branchParsed : 0;
+		const {
+			UserID: userIdNum,
+			ProductionID: productionIdNum,
+			database: selectedDatabase,
+			companyId: companyIdNum,
+			branchId: branchIdNum
+		} = req.valid.body;
 
 		const pool = await getPool(selectedDatabase);
+		const before = await captureBefore(async () => {
+			const entry = await pool.request()
+				.input('ProductionID', sql.Int, productionIdNum)
+				.query(`
+					SELECT ProductionID, JobBookingJobCardContentsID, ProcessID, MachineID, EmployeeID,
+					       FromTime, ToTime, ProductionQuantity
+					FROM dbo.ProductionEntry
+					WHERE ProductionID = @ProductionID
+				`);
+			return entry.recordset?.[0] || null;
+		});
+		audit = {
+			action: 'production.reverse',
+			database: selectedDatabase,
+			entity: 'ProductionEntry',
+			entityKeys: { ProductionID: productionIdNum },
+			oldValues: before.values,
+			captureError: before.captureError
+		};
+
 		const result = await pool.request()
 			.input('UserID', sql.Int, userIdNum)
 			.input('ProductionID', sql.Int, productionIdNum)
@@ -1820,6 +1567,14 @@ router.post('/production/reverse', async (req, res) => {
 					: '';
 
 		const reversed = statusText === PRODUCTION_REVERSE_SUCCESS;
+		recordAudit(req, {
+			...audit,
+			newValues: { reversed, spStatus: statusText || null },
+			outcome: reversed ? 'success' : 'no-change'
+		});
+		if (reversed) {
+			notifyProductionEvent({ database: selectedDatabase, type: 'reverse', productionId: productionIdNum });
+		}
 
 		return res.json({
 			status: true,
@@ -1827,6 +1582,7 @@ router.post('/production/reverse', async (req, res) => {
 			spStatus: statusText || 'No status returned from procedure',
 		});
 	} catch (err) {
+		if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
 		console.error('Production reverse error:', err);
 		return res.status(500).json({ status: false, error: err.message || 'Internal server error' });
 	}
@@ -1835,54 +1591,62 @@ router.post('/production/reverse', async (req, res) => {
 // ============================================
 // Async Process Endpoints (Background Jobs)
 // ============================================
+// Jobs are persisted in MongoDB (see process-job-queue.js) and survive restarts.
+// Clients may send an Idempotency-Key header (or idempotencyKey in the body); re-posting
+// with the same key (per database and job type) returns the original job instead of queueing a second one.
 
-// Start Process Async
-router.post('/processes/start-async', async (req, res) => {
-  try {
-    const { UserID, EmployeeID, ProcessID, JobBookingJobCardContentsID, MachineID, JobCardFormNo, database } = req.body || {};
-    
-    // Validate database
-    const selectedDatabase = (database || '').toUpperCase();
-    if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+function getIdempotencyKey(req) {
+  const key = req.get('Idempotency-Key') || req.valid.body.idempotencyKey;
+  return key ? String(key).trim().slice(0, 200) : '';
+}
 
-    // Validate required fields
-    if (!Number.isInteger(Number(UserID)) || !Number.isInteger(Number(EmployeeID)) || 
-        !Number.isInteger(Number(ProcessID)) || !Number.isInteger(Number(JobBookingJobCardContentsID)) ||
-        !Number.isInteger(Number(MachineID)) || !JobCardFormNo) {
-      return res.status(400).json({ status: false, error: 'Missing or invalid required fields' });
-    }
+// Body of a queued route: the body of its synchronous route plus the optional idempotency key
+function queuedBody(body) {
+  return v.object({ ...body.shape, idempotencyKey: v.string().optional().describe('Used when no Idempotency-Key header is sent') });
+}
 
-    const jobId = generateJobId();
-    
-    // Store job in memory
-    jobs.set(jobId, {
-      id: jobId,
-      type: 'start',
-      status: 'pending',
-      requestData: {
-        UserID: Number(UserID),
-        EmployeeID: Number(EmployeeID),
-        ProcessID: Number(ProcessID),
-        JobBookingJobCardContentsID: Number(JobBookingJobCardContentsID),
-        MachineID: Number(MachineID),
-        JobCardFormNo: String(JobCardFormNo)
-      },
-      createdAt: new Date()
+async function queueProcessJob(req, res, type, requestData, database) {
+  try {
+    const { job, created } = await enqueueProcessJob({
+      type,
+      database,
+      requestData,
+      idempotencyKey: getIdempotencyKey(req),
+      auditContext: auditContext(req)
     });
 
-    console.log(`[JOB ${jobId}] Created start process job`);
-
-    // Start background processing (non-blocking)
-    setImmediate(() => processJobInBackground(jobId, 'start', jobs.get(jobId).requestData, selectedDatabase));
+    if (!created) {
+      console.log(`[JOB ${job.jobId}] Returning existing job for idempotency key`);
+    }
 
     // Return immediately
     return res.json({
       status: true,
-      jobId: jobId,
-      message: 'Job created. Processing in background...'
+      jobId: job.jobId,
+      duplicate: !created,
+      message: created ? 'Job created. Processing in background...' : 'Job already exists for this idempotency key'
     });
+  } catch (err) {
+    if (err.code === 'IDEMPOTENCY_KEY_CONFLICT') {
+      return res.status(409).json({ status: false, error: err.message });
+    }
+    if (err.code === 'JOB_STORE_UNAVAILABLE') {
+      return res.status(503).json({ status: false, error: err.message });
+    }
+    throw err;
+  }
+}
+
+// Start Process Async
+router.post('/processes/start-async', validate({
+  summary: 'Queue a process start; poll GET /jobs/:jobId/status',
+  body: queuedBody(processStartBody)
+}), async (req, res) => {
+  try {
+    const { UserID, EmployeeID, ProcessID, JobBookingJobCardContentsID, MachineID, JobCardFormNo, database } = req.valid.body;
+    return await queueProcessJob(req, res, 'start', {
+      UserID, EmployeeID, ProcessID, JobBookingJobCardContentsID, MachineID, JobCardFormNo
+    }, database);
 
   } catch (err) {
     console.error('Start async error:', err);
@@ -1891,54 +1655,15 @@ router.post('/processes/start-async', async (req, res) => {
 });
 
 // Complete Process Async
-router.post('/processes/complete-async', async (req, res) => {
+router.post('/processes/complete-async', validate({
+  summary: 'Queue a process completion; poll GET /jobs/:jobId/status',
+  body: queuedBody(processCompleteBody)
+}), async (req, res) => {
   try {
-    const { UserID, ProductionID, ProductionQty, WastageQty, database } = req.body || {};
-    
-    // Validate database
-    const selectedDatabase = (database || '').toUpperCase();
-    if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
-
-    // Validate required fields
-    if (!Number.isInteger(Number(UserID)) || !Number.isInteger(Number(ProductionID)) || 
-        !Number.isInteger(Number(ProductionQty)) || !Number.isInteger(Number(WastageQty))) {
-      return res.status(400).json({ status: false, error: 'Missing or invalid required fields' });
-    }
-
-    const jobId = generateJobId();
-    
-    console.log(`[JOB ${jobId}] Creating complete job with params:`, {
-      UserID: Number(UserID),
-      ProductionID: Number(ProductionID),
-      ProductionQty: Number(ProductionQty),
-      WastageQty: Number(WastageQty),
-      database: selectedDatabase
-    });
-    
-    jobs.set(jobId, {
-      id: jobId,
-      type: 'complete',
-      status: 'pending',
-      requestData: {
-        UserID: Number(UserID),
-        ProductionID: Number(ProductionID),
-        ProductionQty: Number(ProductionQty),
-        WastageQty: Number(WastageQty)
-      },
-      createdAt: new Date()
-    });
-
-    console.log(`[JOB ${jobId}] Created complete process job`);
-
-    setImmediate(() => processJobInBackground(jobId, 'complete', jobs.get(jobId).requestData, selectedDatabase));
-
-    return res.json({
-      status: true,
-      jobId: jobId,
-      message: 'Job created. Processing in background...'
-    });
+    const { UserID, ProductionID, ProductionQty, WastageQty, database } = req.valid.body;
+    return await queueProcessJob(req, res, 'complete', {
+      UserID, ProductionID, ProductionQty, WastageQty
+    }, database);
 
   } catch (err) {
     console.error('Complete async error:', err);
@@ -1947,186 +1672,64 @@ router.post('/processes/complete-async', async (req, res) => {
 });
 
 // Cancel Process Async
-router.post('/processes/cancel-async', async (req, res) => {
+router.post('/processes/cancel-async', validate({
+  summary: 'Queue a process cancellation; poll GET /jobs/:jobId/status',
+  body: queuedBody(processCancelBody)
+}), async (req, res) => {
   try {
-    const { UserID, ProductionID, database } = req.body || {};
-    
-    // Validate database
-    const selectedDatabase = (database || '').toUpperCase();
-    if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-      return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { UserID, ProductionID, database } = req.valid.body;
+    return await queueProcessJob(req, res, 'cancel', { UserID, ProductionID }, database);
 
-    // Validate required fields
-    if (!Number.isInteger(Number(UserID)) || !Number.isInteger(Number(ProductionID))) {
-      return res.status(400).json({ status: false, error: 'Missing or invalid required fields' });
-    }
+  } catch (err) {
+    console.error('Cancel async error:', err);
+    return res.status(500).json({ status: false, error: 'Internal server error' });
+  }
+});
 
-    const jobId = generateJobId();
-    
-    console.log(`[JOB ${jobId}] Creating cancel job with params:`, {
-      UserID: Number(UserID),
-      ProductionID: Number(ProductionID),
-      database: selectedDatabase
-    });
-    
-    jobs.set(jobId, {
-      id: jobId,
-      type: 'cancel',
-      status: 'pending',
-      requestData: {
-        UserID: Number(UserID),
-        ProductionID: Number(ProductionID)
-      },
-      createdAt: new Date()
-    });
+// Check Job Status (includes attempt history)
+router.get('/jobs/:jobId/status', validate({
+  summary: 'Status and attempt history of a queued process job',
+  params: v.object({ jobId: v.string({ minLength: 1 }) })
+}), async (req, res) => {
+  const { jobId } = req.valid.params;
 
-    console.log(`[JOB ${jobId}] Created cancel process job`);
+  try {
+    const job = await getProcessJob(jobId);
+    if (!job) {
+      return res.status(404).json({
+        status: false,
+        error: 'Job not found or expired'
+      });
+    }
 
-    setImmediate(() => processJobInBackground(jobId, 'cancel', jobs.get(jobId).requestData, selectedDatabase));
+    // Log job status with ProductionID if available
+    if (job.productionId) {
+      console.log(`[JOB ${jobId}] Status polled - ProductionID: ${job.productionId}, Status: ${job.status}`);
+    }
 
     return res.json({
       status: true,
-      jobId: jobId,
-      message: 'Job created. Processing in background...'
+      job: toJobStatus(job)
     });
-
   } catch (err) {
-    console.error('Cancel async error:', err);
+    if (err.code === 'JOB_STORE_UNAVAILABLE') {
+      return res.status(503).json({ status: false, error: err.message });
+    }
+    console.error('Job status error:', err);
     return res.status(500).json({ status: false, error: 'Internal server error' });
   }
 });
 
-// Check Job Status
-router.get('/jobs/:jobId/status', (req, res) => {
-  const { jobId } = req.params;
-  
-  if (!jobs.has(jobId)) {
-    return res.status(404).json({
-      status: false,
-      error: 'Job not found or expired'
-    });
-  }
-
-  const job = jobs.get(jobId);
-  
-  // Log job status with ProductionID if available
-  if (job.productionId) {
-    console.log(`[JOB ${jobId}] Status polled - ProductionID: ${job.productionId}, Status: ${job.status}`);
-  }
-  
-  return res.json({
-    status: true,
-    job: {
-      id: job.id,
-      type: job.type,
-      status: job.status,
-      result: job.result,
-      productionId: job.productionId,  // Include ProductionID for start jobs
-      statusWarning: job.statusWarning,
-      error: job.error,
-      createdAt: job.createdAt,
-      startedAt: job.startedAt,
-      completedAt: job.completedAt
-    }
-  });
-});
-
 // ============================================
 // End of Async Process Endpoints
 // ============================================
 
-// Log viewer endpoint for debugging and monitoring
-router.get('/logs/process-start', async (req, res) => {
-    try {
-        const { lines = 50 } = req.query;
-        const maxLines = Math.min(parseInt(lines) || 50, 1000); // Limit to 1000 lines max
-        
-        if (!fs.existsSync(processStartLogFile)) {
-            return res.json({ 
-                status: true, 
-                logs: [], 
-                message: 'No log file found' 
-            });
-        }
-        
-        const fileContent = fs.readFileSync(processStartLogFile, 'utf8');
-        const allLines = fileContent.trim().split('\n').filter(line => line.trim());
-        
-        // Get the last N lines
-        const recentLines = allLines.slice(-maxLines);
-        
-        // Parse JSON logs
-        const parsedLogs = recentLines.map(line => {
-            try {
-                return JSON.parse(line);
-            } catch (e) {
-                return { raw: line, parseError: true };
-            }
-        });
-        
-        return res.json({
-            status: true,
-            logs: parsedLogs,
-            totalLines: allLines.length,
-            displayedLines: parsedLogs.length
-        });
-    } catch (err) {
-        console.error('Error reading process logs:', err);
-        return res.status(500).json({ 
-            status: false, 
-            error: 'Failed to read logs' 
-        });
-    }
-});
-
-// Serve log viewer HTML page
-router.get('/logs/viewer', (req, res) => {
-    try {
-        const logViewerPath = path.join(__dirname, '..', 'log-viewer.html');
-        if (fs.existsSync(logViewerPath)) {
-            res.sendFile(logViewerPath);
-        } else {
-            res.status(404).send('Log viewer not found');
-        }
-    } catch (err) {
-        console.error('Error serving log viewer:', err);
-        res.status(500).send('Error loading log viewer');
-    }
-});
-
-// Auth logs endpoint (to inspect login flow)
-router.get('/logs/auth', async (req, res) => {
-    try {
-        const { lines = 200 } = req.query;
-        const maxLines = Math.min(parseInt(lines) || 200, 2000);
-
-        if (!fs.existsSync(authLogFile)) {
-            return res.json({ status: true, logs: [], message: 'No auth log file found' });
-        }
-
-        const fileContent = fs.readFileSync(authLogFile, 'utf8');
-        const allLines = fileContent.trim().split('\n').filter(line => line.trim());
-        const recentLines = allLines.slice(-maxLines);
-        const parsedLogs = recentLines.map(line => {
-            try {
-                return JSON.parse(line);
-            } catch (e) {
-                return { raw: line, parseError: true };
-            }
-        });
-        return res.json({ status: true, logs: parsedLogs, totalLines: allLines.length, displayedLines: parsedLogs.length });
-    } catch (err) {
-        console.error('Error reading auth logs:', err);
-        return res.status(500).json({ status: false, error: 'Failed to read auth logs' });
-    }
-});
-
 // Clear database pool cache endpoint
 router.post('/admin/clear-db-cache', async (req, res) => {
     try {
         const { closeAllPools } = await import('./db.js');
         await closeAllPools();
+        lookupCache.clear();
         console.log('[ADMIN] Database pool cache cleared');
         logAuth('Database pool cache cleared', { route: '/admin/clear-db-cache', ip: req.ip });
         return res.json({ status: true, message: 'Database pool cache cleared successfully' });
@@ -2137,13 +1740,35 @@ router.post('/admin/clear-db-cache', async (req, res) => {
     }
 });
 
+// Lookup cache (lookup-cache.js): entries with age/TTL, and invalidation after master data
+// (ledgers, machines, item types, artwork users) was edited in the ERP or by a sync script.
+// Writes made through this service invalidate their own lookups.
+router.get('/admin/lookup-cache', (req, res) => {
+    return res.json({ status: true, cache: lookupCache.stats() });
+});
+
+router.post('/admin/lookup-cache/invalidate', validate({
+    summary: 'Drop cached lookups (all, one lookup, or one lookup for one plant)',
+    body: v.object({
+        lookup: v.string({ minLength: 1 }).optional().describe('e.g. grn/transporters; omit to clear every lookup'),
+        database: v.database().optional()
+    })
+}), (req, res) => {
+    const { lookup, database } = req.valid.body;
+    if (database && !lookup) {
+        return res.status(400).json({ status: false, error: 'database requires lookup' });
+    }
+    const removed = lookup ? invalidateLookup(lookup, database) : lookupCache.clear();
+    logAuth('Lookup cache invalidated', { route: '/admin/lookup-cache/invalidate', ip: req.ip, lookup: lookup || null, database: database || null, removed });
+    return res.json({ status: true, removed });
+});
+
 // Diagnostic endpoint to check environment variables
 router.get('/admin/env-check', (req, res) => {
     try {
         const envInfo = {
             DB_NAME: process.env.DB_NAME || null,
-            DB_NAME_KOL: process.env.DB_NAME_KOL || null,
-            DB_NAME_AHM: process.env.DB_NAME_AHM || null,
+            plants: listPlants().map(p => ({ key: p.key, [p.databaseEnv]: process.env[p.databaseEnv] || null, database: getPlantDatabaseName(p.key) })),
             DB_SERVER: process.env.DB_SERVER || null,
             DB_USER: process.env.DB_USER || null,
             NODE_ENV: process.env.NODE_ENV || null,
@@ -2158,24 +1783,18 @@ router.get('/admin/env-check', (req, res) => {
     }
 });
 
+// Carton barcode scanned by an ERP user, for the GRN / GPN barcode procedures
+const barcodeFields = { barcode: v.integer(), database: v.database(), userId: v.id() };
+// CompanyID / BranchID of the GPN and delivery note procedures
+const companyBranchFields = { companyId: v.id().default(2), branchId: v.integer().default(0) };
+
 // GRN: Initiate Challan by Barcode
-router.post('/grn/initiate', async (req, res) => {
+router.post('/grn/initiate', validate({
+    summary: 'Check a carton barcode before saving a delivery note',
+    body: v.object(barcodeFields)
+}), async (req, res) => {
     try {
-        const { barcode, database, userId } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
+        const { barcode: barcodeNum, database: selectedDatabase, userId: userIdNum } = req.valid.body;
 
         const pool = await getPool(selectedDatabase);
 
@@ -2208,35 +1827,54 @@ router.post('/grn/initiate', async (req, res) => {
     }
 });
 
+// Audit record for the GRN/GPN barcode procedures; a "Fail: ..." status means the procedure
+// declined the change, so it is recorded as no-change with that status.
+function auditBarcodeProcedure(req, audit, { statusText, fgTransactionId, result }) {
+    const text = String(statusText || '');
+    const declined = text.toLowerCase().startsWith('fail');
+    recordAudit(req, {
+        ...audit,
+        entityKeys: fgTransactionId ? { ...audit.entityKeys, FGTransactionID: fgTransactionId } : audit.entityKeys,
+        newValues: { ...audit.newValues, result },
+        outcome: declined ? 'no-change' : 'success',
+        error: declined ? text : undefined
+    });
+}
+
 // GRN: Save Delivery Note
-router.post('/grn/save-delivery-note', async (req, res) => {
+router.post('/grn/save-delivery-note', validate({
+    summary: 'Start a delivery note with the first carton barcode',
+    body: v.object({
+        ...barcodeFields,
+        clientName: v.string({ minLength: 1 }),
+        modeOfTransport: v.string({ minLength: 1 }),
+        containerNumber: v.string({ minLength: 1 }),
+        sealNumber: v.string({ minLength: 1 }),
+        transporterName: v.string({ minLength: 1 }),
+        transporterLedgerId: v.id(),
+        vehicleNumber: v.string({ minLength: 1 })
+    })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { barcode, database, userId, clientName, modeOfTransport, containerNumber, sealNumber, transporterName, transporterLedgerId, vehicleNumber } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-
-        // Validate required fields
-        if (!clientName || !modeOfTransport || !containerNumber || !sealNumber || !transporterName || !vehicleNumber) {
-            return res.status(400).json({ status: false, error: 'All fields are mandatory' });
-        }
-
-        const transporterIdNum = Number(transporterLedgerId);
-        if (!Number.isInteger(transporterIdNum) || transporterIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing transporterLedgerId' });
-        }
+        const {
+            barcode: barcodeNum, database: selectedDatabase, userId: userIdNum, clientName, modeOfTransport,
+            containerNumber, sealNumber, transporterName, transporterLedgerId: transporterIdNum, vehicleNumber
+        } = req.valid.body;
 
+        audit = {
+            action: 'grn.save-delivery-note',
+            database: selectedDatabase,
+            entity: 'DeliveryNote',
+            entityKeys: { BarcodeNo: barcodeNum },
+            newValues: {
+                TransporterLedgerID: transporterIdNum,
+                ModeOfTransport: modeOfTransport,
+                VehicleNo: vehicleNumber,
+                ContainerNo: containerNumber,
+                SealNo: sealNumber
+            }
+        };
         const pool = await getPool(selectedDatabase);
         const result = await pool.request()
             .input('BarcodeNo', sql.Int, barcodeNum)
@@ -2265,6 +1903,7 @@ router.post('/grn/save-delivery-note', async (req, res) => {
 
         // Handle known failure from SP (e.g., "Fail: Barcode already dispatched")
         const statusTextLower = (normalized.statusText || '').toString().toLowerCase();
+        auditBarcodeProcedure(req, audit, { statusText: normalized.statusText, fgTransactionId: normalized.transactionId, result: normalized });
         if (statusTextLower.startsWith('fail')) {
             let msg = normalized.statusText || 'Operation failed';
             if (statusTextLower.includes('barcode already dispatched')) {
@@ -2289,32 +1928,28 @@ router.post('/grn/save-delivery-note', async (req, res) => {
             sp: normalized
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('GRN save delivery note error:', err);
         return res.status(500).json({ status: false, error: 'Failed to save delivery note' });
     }
 });
 
 // GRN: Update Delivery Note (append line items)
-router.post('/grn/update-delivery-note', async (req, res) => {
+router.post('/grn/update-delivery-note', validate({
+    summary: 'Add a carton barcode to a delivery note',
+    body: v.object({ ...barcodeFields, fgTransactionId: v.id() })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { barcode, database, userId, fgTransactionId } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-        const fgIdNum = Number(fgTransactionId);
-        if (!Number.isInteger(fgIdNum) || fgIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing FGTransactionID' });
-        }
+        const { barcode: barcodeNum, database: selectedDatabase, userId: userIdNum, fgTransactionId: fgIdNum } = req.valid.body;
 
+        audit = {
+            action: 'grn.update-delivery-note',
+            database: selectedDatabase,
+            entity: 'DeliveryNote',
+            entityKeys: { FGTransactionID: fgIdNum, BarcodeNo: barcodeNum },
+            newValues: null
+        };
         const pool = await getPool(selectedDatabase);
         const result = await pool.request()
             .input('BarcodeNo', sql.Int, barcodeNum)
@@ -2339,46 +1974,37 @@ router.post('/grn/update-delivery-note', async (req, res) => {
 
         // Fail handling
         const statusTextLower = (normalized.statusText || '').toString().toLowerCase();
+        auditBarcodeProcedure(req, audit, { statusText: normalized.statusText, fgTransactionId: normalized.transactionId, result: normalized });
         if (statusTextLower.startsWith('fail')) {
             return res.json({ status: false, error: normalized.statusText || 'Operation failed', sp: normalized });
         }
 
         return res.json({ status: true, sp: normalized });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('GRN update delivery note error:', err);
         return res.status(500).json({ status: false, error: 'Failed to update delivery note' });
     }
 });
 
 // GRN: Delete Delivery Note entry for a barcode
-router.post('/grn/delete-delivery-note', async (req, res) => {
+router.post('/grn/delete-delivery-note', validate({
+    summary: 'Remove a carton barcode from its delivery note',
+    body: v.object({ ...barcodeFields, ...companyBranchFields })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { barcode, database, userId, companyId = 2, branchId = 0 } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-
-        const companyIdNum = Number(companyId);
-        if (!Number.isInteger(companyIdNum) || companyIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid companyId' });
-        }
-
-        const branchIdNum = Number(branchId);
-        if (!Number.isInteger(branchIdNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid branchId' });
-        }
+        const {
+            barcode: barcodeNum, database: selectedDatabase, userId: userIdNum, companyId: companyIdNum, branchId: branchIdNum
+        } = req.valid.body;
 
+        audit = {
+            action: 'grn.delete-delivery-note',
+            database: selectedDatabase,
+            entity: 'DeliveryNote',
+            entityKeys: { BarcodeNo: barcodeNum },
+            newValues: null
+        };
         const pool = await getPool(selectedDatabase);
         const result = await pool.request()
             .input('BarcodeNo', sql.Int, barcodeNum)
@@ -2391,6 +2017,7 @@ router.post('/grn/delete-delivery-note', async (req, res) => {
         const first = rows[0] || {};
         const statusText = first.Status || first.status || '';
 
+        auditBarcodeProcedure(req, audit, { statusText, result: first });
         if (typeof statusText === 'string' && statusText.toLowerCase().startsWith('fail')) {
             return res.json({ status: false, error: statusText || 'Failed to delete delivery note', sp: first });
         }
@@ -2401,26 +2028,28 @@ router.post('/grn/delete-delivery-note', async (req, res) => {
             sp: first
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('GRN delete delivery note error:', err);
         return res.status(500).json({ status: false, error: 'Failed to delete delivery note' });
     }
 });
 
 // GRN: List Transporters for dropdown
-router.get('/grn/transporters', async (req, res) => {
+router.get('/grn/transporters', validate({
+    summary: 'Transporter ledgers for the delivery note dropdown',
+    query: v.object({ database: v.database() })
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-        const pool = await getPool(selectedDatabase);
-        const result = await pool.request().query("SELECT ledgerid, ledgername FROM ledgermaster WHERE ledgertype LIKE 'trans%' AND ISNULL(IsDeletedTransaction, 0) = 0");
-        const rows = (result.recordset || []).map(r => ({
-            ledgerId: r.ledgerid,
-            ledgerName: r.ledgername
-        }));
-        return res.json({ status: true, transporters: rows });
+        const selectedDatabase = req.valid.query.database;
+        return await sendCachedLookup(req, res, { lookup: 'grn/transporters', plant: selectedDatabase }, async () => {
+            const pool = await getPool(selectedDatabase);
+            const result = await pool.request().query("SELECT ledgerid, ledgername FROM ledgermaster WHERE ledgertype LIKE 'trans%' AND ISNULL(IsDeletedTransaction, 0) = 0");
+            const rows = (result.recordset || []).map(r => ({
+                ledgerId: r.ledgerid,
+                ledgerName: r.ledgername
+            }));
+            return { status: true, transporters: rows };
+        });
     } catch (err) {
         console.error('GRN transporters error:', err);
         return res.status(500).json({ status: false, error: 'Failed to fetch transporters' });
@@ -2428,13 +2057,12 @@ router.get('/grn/transporters', async (req, res) => {
 });
 
 // GRN: Pending vouchers for delivery amount entry
-router.get('/grn/pending-delivery-amount', async (req, res) => {
+router.get('/grn/pending-delivery-amount', validate({
+    summary: 'Dispatched vouchers still without a delivery amount',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
+        const selectedDatabase = req.valid.query.database;
 
         const pool = await getPool(selectedDatabase);
         const columnCheck = await pool.request().query(`
@@ -2512,48 +2140,14 @@ router.get('/grn/pending-delivery-amount', async (req, res) => {
 });
 
 // GRN: Completed vouchers for delivery amount view
-router.get('/grn/completed-delivery-amount', async (req, res) => {
+router.get('/grn/completed-delivery-amount', validate({
+    summary: 'Vouchers with a delivery amount',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const pool = await getPool(selectedDatabase);
-        const query = `
-            SELECT
-                FGM.FGTransactionID,
-                FGM.VoucherNo,
-                FGM.VoucherDate,
-                FGM.VehicleNo,
-                FGM.TransporterName,
-                LM.ledgername AS Clientname,
-                FGM.SealNo AS TransportType,
-                FGM.NetAmount AS DeliveryAmount
-            FROM FinishGoodsTransactionMain FGM
-            JOIN LedgerMaster LM ON FGM.LedgerID = LM.LedgerID
-            WHERE FGM.voucherid = -51
-              AND FGM.VoucherDate > '2026-03-24'
-              AND ISNULL(FGM.IsDeletedTransaction, 0) = 0
-              AND (
-                    LOWER(LTRIM(RTRIM(ISNULL(FGM.SealNo, '')))) = 'local'
-                    OR ISNULL(FGM.NetAmount, 0) > 0
-              )
-            ORDER BY FGM.VoucherDate DESC;
-        `;
+        const selectedDatabase = req.valid.query.database;
 
-        const result = await pool.request().query(query);
-        const records = (result.recordset || []).map((row) => ({
-            fgTransactionId: row.FGTransactionID ?? row.fgtransactionid,
-            voucherNo: row.VoucherNo ?? row.voucherno ?? null,
-            voucherDate: row.VoucherDate ?? row.voucherdate ?? null,
-            vehicleNo: row.VehicleNo ?? row.vehicleno ?? null,
-            transporterName: row.TransporterName ?? row.transportername ?? null,
-            clientName: row.Clientname ?? row.clientname ?? null,
-            transportType: String(row.TransportType || row.transporttype || '').trim().toLowerCase() === 'non local' ? 'non local' : 'local',
-            deliveryAmount: row.DeliveryAmount ?? row.deliveryamount ?? null
-        }));
+        const records = await fetchCompletedDeliveryAmounts(selectedDatabase);
 
         return res.json({ status: true, records });
     } catch (err) {
@@ -2563,13 +2157,12 @@ router.get('/grn/completed-delivery-amount', async (req, res) => {
 });
 
 // GRN: Pending purchase orders where GRN is not fully delivered
-router.get('/grn/pending-po-not-fully-delivered', async (req, res) => {
+router.get('/grn/pending-po-not-fully-delivered', validate({
+    summary: 'Purchase order lines not fully received',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
+        const selectedDatabase = req.valid.query.database;
 
         const pool = await getPool(selectedDatabase);
         const query = `
@@ -2676,30 +2269,21 @@ router.get('/grn/pending-po-not-fully-delivered', async (req, res) => {
 });
 
 // GRN: Update expected delivery date for pending PO row
-router.post('/grn/pending-po-expected-delivery-date', async (req, res) => {
+router.post('/grn/pending-po-expected-delivery-date', validate({
+    summary: 'Change the expected delivery date of a pending purchase order line',
+    body: v.object({
+        database: v.database(),
+        poTransactionId: v.id(),
+        itemId: v.id(),
+        itemCode: v.string({ minLength: 1 }),
+        newExpectedDeliveryDate: v.date()
+    })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { database, poTransactionId, itemId, itemCode, newExpectedDeliveryDate } = req.body || {};
-        const selectedDatabase = String(database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        const safeExpectedDate = String(newExpectedDeliveryDate || '').trim();
-        if (!dateRegex.test(safeExpectedDate)) {
-            return res.status(400).json({ status: false, error: 'Invalid newExpectedDeliveryDate. Expected YYYY-MM-DD.' });
-        }
-
-        const txId = Number(poTransactionId || 0);
-        const itmId = Number(itemId || 0);
-        const safeItemCode = String(itemCode || '').trim();
-
-        if (!(Number.isInteger(txId) && txId > 0) || !(Number.isInteger(itmId) && itmId > 0)) {
-            return res.status(400).json({ status: false, error: 'Missing row identifiers. Provide poTransactionId and itemId.' });
-        }
-        if (!safeItemCode) {
-            return res.status(400).json({ status: false, error: 'Missing itemCode.' });
-        }
+        const {
+            database: selectedDatabase, poTransactionId: txId, itemId: itmId, itemCode: safeItemCode, newExpectedDeliveryDate: safeExpectedDate
+        } = req.valid.body;
 
         const pool = await getPool(selectedDatabase);
 
@@ -2760,6 +2344,15 @@ router.post('/grn/pending-po-expected-delivery-date', async (req, res) => {
             return res.status(400).json({ status: false, error: 'Expected delivery date can only be updated for rows with pending quantity.' });
         }
 
+        audit = {
+            action: 'grn.po-expected-delivery-date',
+            database: selectedDatabase,
+            entity: 'ItemTransactionDetail',
+            entityKeys: { TransactionID: txId, ItemID: itmId, ItemCode: safeItemCode, PONumber: targetRow.PONumber ?? null },
+            oldValues: { ExpectedDeliveryDate: targetRow.ExpectedDeliveryDate ?? null },
+            newValues: { ExpectedDeliveryDate: safeExpectedDate }
+        };
+
         const updateRequest = pool.request()
             .input('POTransactionID', sql.Int, txId)
             .input('ItemID', sql.Int, itmId)
@@ -2784,8 +2377,10 @@ router.post('/grn/pending-po-expected-delivery-date', async (req, res) => {
         `);
 
         if (!(updateResult.rowsAffected || []).some((count) => count > 0)) {
+            recordAudit(req, { ...audit, outcome: 'no-change' });
             return res.status(400).json({ status: false, error: 'No rows updated. Please refresh and try again.' });
         }
+        recordAudit(req, { ...audit, outcome: 'success' });
 
         return res.json({
             status: true,
@@ -2799,50 +2394,27 @@ router.post('/grn/pending-po-expected-delivery-date', async (req, res) => {
             }
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('GRN pending PO expected delivery date update error:', err);
         return res.status(500).json({ status: false, error: 'Failed to update expected delivery date' });
     }
 });
 
 // Inventory Summary Tool: itemwise by item group
-router.get('/inventory-summary/group', async (req, res) => {
-    try {
-        const { database, fromDate, toDate } = req.query || {};
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
+// Stock movement period of the inventory summary tool
+const inventoryPeriodFields = { database: v.database(), fromDate: v.date(), toDate: v.date().describe('Inclusive') };
 
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        const safeFromDate = String(fromDate || '').trim();
-        const safeToDate = String(toDate || '').trim();
-        if (!dateRegex.test(safeFromDate) || !dateRegex.test(safeToDate)) {
-            return res.status(400).json({ status: false, error: 'Invalid fromDate/toDate. Expected YYYY-MM-DD.' });
-        }
+router.get('/inventory-summary/group', validate({
+    summary: 'Itemwise stock movement by item group',
+    query: v.object(inventoryPeriodFields)
+}), async (req, res) => {
+    try {
+        const { database: selectedDatabase, fromDate: safeFromDate, toDate: safeToDate } = req.valid.query;
         if (safeFromDate > safeToDate) {
             return res.status(400).json({ status: false, error: 'fromDate cannot be after toDate' });
         }
 
-        const pool = await getPool(selectedDatabase);
-        const result = await pool.request()
-            .input('StartDate', sql.Date, safeFromDate)
-            .input('EndDate', sql.Date, safeToDate)
-            .execute('dbo.GetInventorySummaryByGroup');
-
-        const records = (result.recordset || []).map((row) => ({
-            itemGroup: row.ItemGroup ?? row.itemgroup ?? '',
-            itemId: row.ItemID ?? row.itemid ?? null,
-            itemName: row.ItemName ?? row.itemname ?? '',
-            quality: row.Quality ?? row.quality ?? '',
-            gsm: row.GSM ?? row.gsm ?? 0,
-            sizeW: row.SizeW ?? row.sizew ?? 0,
-            sizeL: row.SizeL ?? row.sizel ?? 0,
-            stockUnit: row.StockUnit ?? row.stockunit ?? '',
-            openingKg: row.Opening_KG ?? row.opening_kg ?? 0,
-            stockInKg: row.StockIn_KG ?? row.stockin_kg ?? 0,
-            stockOutKg: row.StockOut_KG ?? row.stockout_kg ?? 0,
-            closingKg: row.Closing_KG ?? row.closing_kg ?? 0
-        }));
+        const records = await fetchInventoryByGroup(selectedDatabase, { fromDate: safeFromDate, toDate: safeToDate });
 
         return res.json({ status: true, records });
     } catch (err) {
@@ -2852,47 +2424,21 @@ router.get('/inventory-summary/group', async (req, res) => {
 });
 
 // Inventory Summary Tool: clientwise stock movement
-router.get('/inventory-summary/clientwise', async (req, res) => {
+router.get('/inventory-summary/clientwise', validate({
+    summary: 'Clientwise stock movement',
+    query: v.object({ ...inventoryPeriodFields, companyId: v.id().default(2) })
+}), async (req, res) => {
     try {
-        const { database, fromDate, toDate, companyId } = req.query || {};
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        const safeFromDate = String(fromDate || '').trim();
-        const safeToDate = String(toDate || '').trim();
-        if (!dateRegex.test(safeFromDate) || !dateRegex.test(safeToDate)) {
-            return res.status(400).json({ status: false, error: 'Invalid fromDate/toDate. Expected YYYY-MM-DD.' });
-        }
+        const { database: selectedDatabase, fromDate: safeFromDate, toDate: safeToDate, companyId: companyIdNum } = req.valid.query;
         if (safeFromDate > safeToDate) {
             return res.status(400).json({ status: false, error: 'fromDate cannot be after toDate' });
         }
 
-        const companyIdNum = Number(companyId || 2);
-        if (!Number.isInteger(companyIdNum) || companyIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid companyId' });
-        }
-
-        const pool = await getPool(selectedDatabase);
-        const result = await pool.request()
-            .input('StartDate', sql.Date, safeFromDate)
-            .input('EndDate', sql.Date, safeToDate)
-            .input('CompanyId', sql.Int, companyIdNum)
-            .execute('dbo.GetClientWiseStockMovement');
-
-        const records = (result.recordset || []).map((row) => ({
-            clientName: row.ClientName ?? row.clientname ?? '',
-            clientId: row.ClientID ?? row.clientid ?? null,
-            itemGroupId: row.ItemGroupID ?? row.itemgroupid ?? null,
-            itemId: row.ItemID ?? row.itemid ?? null,
-            itemName: row.ItemName ?? row.itemname ?? '',
-            openingStockKg: row.OpeningStockKG ?? row.openingstockkg ?? 0,
-            receiptKg: row.ReceiptKG ?? row.receiptkg ?? 0,
-            issueKg: row.IssueKG ?? row.issuekg ?? 0,
-            closingStockKg: row.ClosingStockKG ?? row.closingstockkg ?? 0
-        }));
+        const records = await fetchClientwiseStock(selectedDatabase, {
+            fromDate: safeFromDate,
+            toDate: safeToDate,
+            companyId: companyIdNum
+        });
 
         return res.json({ status: true, records });
     } catch (err) {
@@ -2902,13 +2448,12 @@ router.get('/inventory-summary/clientwise', async (req, res) => {
 });
 
 // Inventory Summary Tool: Top 200 PO records where ClientID is null/0
-router.get('/inventory-summary/po-no-client-top200', async (req, res) => {
+router.get('/inventory-summary/po-no-client-top200', validate({
+    summary: 'Stock lines without a client (dbo.GetUntaggedClientStock)',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
+        const selectedDatabase = req.valid.query.database;
 
         const pool = await getPool(selectedDatabase);
         const result = await pool.request().execute('dbo.GetUntaggedClientStock');
@@ -2936,13 +2481,12 @@ router.get('/inventory-summary/po-no-client-top200', async (req, res) => {
 });
 
 // Inventory Summary Tool: all tab summary
-router.get('/inventory-summary/all-tab-summary', async (req, res) => {
+router.get('/inventory-summary/all-tab-summary', validate({
+    summary: 'Totals of every inventory summary tab',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
+        const selectedDatabase = req.valid.query.database;
 
         const pool = await getPool(selectedDatabase);
         const result = await pool.request().query(`
@@ -2990,31 +2534,32 @@ router.get('/inventory-summary/all-tab-summary', async (req, res) => {
 });
 
 // Inventory Summary Tool: client list for dropdown
-router.get('/inventory-summary/client-names', async (req, res) => {
+router.get('/inventory-summary/client-names', validate({
+    summary: 'Client ledgers for tagging untagged stock',
+    query: databaseQuery
+}), async (req, res) => {
     try {
-        const { database } = req.query || {};
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const pool = await getPool(selectedDatabase);
-        const result = await pool.request().query(`
-            SELECT DISTINCT
-                ledgername AS LedgerName,
-                ledgerid   AS LedgerID
-            FROM ledgermaster
-            WHERE (ledgertype = 'Sundry Debtors' OR ledgertype = 'Clients')
-              AND ISNULL(IsDeletedTransaction, 0) = 0
-            ORDER BY ledgername;
-        `);
+        const selectedDatabase = req.valid.query.database;
+
+        return await sendCachedLookup(req, res, { lookup: 'inventory-summary/client-names', plant: selectedDatabase }, async () => {
+            const pool = await getPool(selectedDatabase);
+            const result = await pool.request().query(`
+                SELECT DISTINCT
+                    ledgername AS LedgerName,
+                    ledgerid   AS LedgerID
+                FROM ledgermaster
+                WHERE (ledgertype = 'Sundry Debtors' OR ledgertype = 'Clients')
+                  AND ISNULL(IsDeletedTransaction, 0) = 0
+                ORDER BY ledgername;
+            `);
 
-        const clients = (result.recordset || []).map((row) => ({
-            ledgerId: row.LedgerID ?? row.ledgerid ?? null,
-            ledgerName: row.LedgerName ?? row.ledgername ?? ''
-        }));
+            const clients = (result.recordset || []).map((row) => ({
+                ledgerId: row.LedgerID ?? row.ledgerid ?? null,
+                ledgerName: row.LedgerName ?? row.ledgername ?? ''
+            }));
 
-        return res.json({ status: true, clients });
+            return { status: true, clients };
+        });
     } catch (err) {
         console.error('Inventory summary client-names error:', err);
         return res.status(500).json({ status: false, error: 'Failed to fetch client names' });
@@ -3022,40 +2567,34 @@ router.get('/inventory-summary/client-names', async (req, res) => {
 });
 
 // Inventory Summary Tool: update PO detail ClientID from UI
-router.post('/inventory-summary/po-noclient-update-client', async (req, res) => {
+router.post('/inventory-summary/po-noclient-update-client', validate({
+    summary: 'Tag an untagged stock line with a client',
+    description: 'poTransactionId is required for sourceType PO, sourceTransactionId for any other source.',
+    body: v.object({
+        database: v.database(),
+        itemId: v.id(),
+        newClientId: v.id(),
+        sourceType: v.string({ upperCase: true }).default('PO'),
+        poTransactionId: v.id().optional(),
+        sourceTransactionId: v.id().optional()
+    })
+}), async (req, res) => {
+    let audit = null;
     try {
         const {
-            database,
-            poTransactionId,
-            itemId,
-            newClientId,
-            sourceType,
-            sourceTransactionId
-        } = req.body || {};
-
-        const selectedDatabase = String(database || '').trim().toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const normalizedSourceType = String(sourceType || 'PO').trim().toUpperCase();
+            database: selectedDatabase,
+            poTransactionId: poTransactionIdNum,
+            itemId: itemIdNum,
+            newClientId: newClientIdNum,
+            sourceType: normalizedSourceType,
+            sourceTransactionId: sourceTransactionIdNum
+        } = req.valid.body;
         const isPoSource = normalizedSourceType === 'PO';
 
-        const poTransactionIdNum = Number(poTransactionId);
-        if (isPoSource && (!Number.isInteger(poTransactionIdNum) || poTransactionIdNum <= 0)) {
+        if (isPoSource && !poTransactionIdNum) {
             return res.status(400).json({ status: false, error: 'Invalid poTransactionId' });
         }
-
-        const itemIdNum = Number(itemId);
-        if (!Number.isInteger(itemIdNum) || itemIdNum <= 0) return res.status(400).json({ status: false, error: 'Invalid itemId' });
-
-        const newClientIdNum = Number(newClientId);
-        if (!Number.isInteger(newClientIdNum) || newClientIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid newClientId' });
-        }
-
-        const sourceTransactionIdNum = Number(sourceTransactionId);
-        if (!isPoSource && (!Number.isInteger(sourceTransactionIdNum) || sourceTransactionIdNum <= 0)) {
+        if (!isPoSource && !sourceTransactionIdNum) {
             return res.status(400).json({ status: false, error: 'Invalid sourceTransactionId' });
         }
 
@@ -3067,6 +2606,30 @@ router.post('/inventory-summary/po-noclient-update-client', async (req, res) =>
         console.log('sourceTransactionId', sourceTransactionIdNum);
         console.log('sourceType', normalizedSourceType);
 
+        const targetTransactionId = isPoSource ? poTransactionIdNum : sourceTransactionIdNum;
+        const before = await captureBefore(async () => {
+            const current = await pool.request()
+                .input('TransactionID', sql.Int, targetTransactionId)
+                .input('ItemID', sql.Int, itemIdNum)
+                .query(`
+                    SELECT d.TransactionID, d.ItemID, d.ClientID
+                    FROM dbo.ItemTransactionDetail d
+                    WHERE d.TransactionID = @TransactionID
+                      AND d.ItemID = @ItemID
+                      AND ISNULL(d.IsDeletedTransaction, 0) = 0
+                `);
+            return current.recordset || [];
+        });
+        audit = {
+            action: 'inventory-summary.update-client',
+            database: selectedDatabase,
+            entity: 'ItemTransactionDetail',
+            entityKeys: { TransactionID: targetTransactionId, ItemID: itemIdNum, SourceType: normalizedSourceType },
+            oldValues: before.values,
+            newValues: { ClientID: newClientIdNum },
+            captureError: before.captureError
+        };
+
         const updateResult = await pool.request()
             .input('POTransactionID', sql.Int, poTransactionIdNum)
             .input('SourceType', sql.VarChar(20), normalizedSourceType)
@@ -3096,36 +2659,31 @@ router.post('/inventory-summary/po-noclient-update-client', async (req, res) =>
                 END
             `);
 
-        
+        const rowsAffected = updateResult?.rowsAffected?.[0] ?? updateResult?.rowsAffected ?? null;
+        recordAudit(req, { ...audit, outcome: rowsAffected ? 'success' : 'no-change' });
+        if (rowsAffected) invalidateLookup('inventory-summary/client-names', selectedDatabase);
 
         return res.json({
             status: true,
-            rowsAffected: updateResult?.rowsAffected?.[0] ?? updateResult?.rowsAffected ?? null
+            rowsAffected
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('PO no-client update error:', err);
         return res.status(500).json({ status: false, error: 'Failed to update PO client' });
     }
 });
 
 // GRN: Save delivery amount entries
-router.post('/grn/save-delivery-amount', async (req, res) => {
+router.post('/grn/save-delivery-amount', validate({
+    summary: 'Save transport type and delivery amount of dispatched vouchers',
+    description: 'Entries without a valid fgTransactionId are skipped.',
+    body: v.object({ database: v.database(), userId: v.id(), entries: v.array(v.object({}), { minItems: 1 }) })
+}), async (req, res) => {
     let transaction = null;
+    let audit = null;
     try {
-        const { database, userId, entries } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-
-        if (!Array.isArray(entries) || entries.length === 0) {
-            return res.status(400).json({ status: false, error: 'No entries provided' });
-        }
+        const { database: selectedDatabase, userId: userIdNum, entries } = req.valid.body;
 
         const pool = await getPool(selectedDatabase);
         const columnCheck = await pool.request().query(`
@@ -3142,6 +2700,32 @@ router.post('/grn/save-delivery-amount', async (req, res) => {
             });
         }
 
+        const auditIds = entries
+            .map((item) => Number(item?.fgTransactionId))
+            .filter((id) => Number.isInteger(id) && id > 0);
+        const before = await captureBefore(async () => {
+            if (auditIds.length === 0) return [];
+            const columns = ['FGTransactionID', hasSealNo && 'SealNo', hasNetAmount && 'NetAmount'].filter(Boolean);
+            const current = await pool.request()
+                .input('Ids', sql.NVarChar(sql.MAX), JSON.stringify(auditIds))
+                .query(`
+                    SELECT ${columns.join(', ')}
+                    FROM FinishGoodsTransactionMain
+                    WHERE FGTransactionID IN (SELECT CAST(value AS INT) FROM OPENJSON(@Ids))
+                `);
+            return current.recordset || [];
+        });
+        const auditChanges = [];
+        audit = {
+            action: 'grn.save-delivery-amount',
+            database: selectedDatabase,
+            entity: 'FinishGoodsTransactionMain',
+            entityKeys: { FGTransactionID: auditIds },
+            oldValues: before.values,
+            newValues: auditChanges,
+            captureError: before.captureError
+        };
+
         transaction = new sql.Transaction(pool);
         await transaction.begin();
         let updatedCount = 0;
@@ -3218,13 +2802,18 @@ router.post('/grn/save-delivery-amount', async (req, res) => {
                   AND (fgtd.IsDeleted IS NULL OR fgtd.IsDeleted = 0);
             `);
             updatedCount += 1;
+            auditChanges.push({
+                FGTransactionID: fgTransactionId,
+                ...(hasSealNo && transportType === 'local' ? { SealNo: transportType } : {}),
+                ...(hasNetAmount ? { NetAmount: transportType === 'non local' ? deliveryAmount : 0 } : {})
+            });
         }
 
         // Bulk fallback update on save click:
         // 1) Set NetAmount = 20000 for non-SEA rows where NetAmount is 0
         // 2) Recompute detail-level cft/totalcft for the same FGTransactionIDs with DeliveryCost = 20000
         const bulkRequest = new sql.Request(transaction);
-        await bulkRequest.query(`
+        const bulkResult = await bulkRequest.query(`
             DECLARE @Target TABLE (
                 FGTransactionID INT PRIMARY KEY
             );
@@ -3265,32 +2854,37 @@ router.post('/grn/save-delivery-amount', async (req, res) => {
                 ON fgtd.FGTransactionDetailID = cte.FGTransactionDetailID
             WHERE (fgtd.IsDeletedTransaction IS NULL OR fgtd.IsDeletedTransaction = 0)
               AND (fgtd.IsDeleted IS NULL OR fgtd.IsDeleted = 0);
+
+            SELECT FGTransactionID FROM @Target;
         `);
 
         await transaction.commit();
+        const defaultedIds = (bulkResult.recordset || []).map((r) => r.FGTransactionID);
+        recordAudit(req, {
+            ...audit,
+            newValues: defaultedIds.length
+                ? [...auditChanges, { FGTransactionID: defaultedIds, NetAmount: 20000, reason: 'bulk SEA default' }]
+                : auditChanges,
+            outcome: updatedCount > 0 || defaultedIds.length > 0 ? 'success' : 'no-change'
+        });
         return res.json({ status: true, updatedCount });
     } catch (err) {
         if (transaction) {
             try { await transaction.rollback(); } catch (_) {}
         }
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('GRN save delivery amount error:', err);
         return res.status(500).json({ status: false, error: err?.message || 'Failed to save delivery amount entries' });
     }
 });
 
 // GRN: Barcode status lookup across Packing Slip, GPN, and Delivery Note
-router.post('/grn/barcode-status', async (req, res) => {
+router.post('/grn/barcode-status', validate({
+    summary: 'Packing slip, GPN and delivery note events of a carton barcode',
+    body: v.object({ barcode: v.integer(), database: v.database() })
+}), async (req, res) => {
     try {
-        const { barcode, database } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
+        const { barcode: barcodeNum, database: selectedDatabase } = req.valid.body;
 
         console.log(`[BARCODE STATUS] Lookup requested for barcode ${barcodeNum} (${selectedDatabase})`);
 
@@ -3355,40 +2949,25 @@ router.post('/grn/barcode-status', async (req, res) => {
 });
 
 // GPN Portal - Save Finish Goods by Barcode
-router.post('/gpn/save-finish-goods', async (req, res) => {
+router.post('/gpn/save-finish-goods', validate({
+    summary: 'Add a carton barcode to a finish goods (GPN) voucher',
+    description: 'status=update adds to the voucher fgTransactionId; new starts one.',
+    body: v.object({
+        ...barcodeFields,
+        ...companyBranchFields,
+        status: v.string({ minLength: 1 }).default('new'),
+        fgTransactionId: v.id().optional()
+    })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { barcode, database, userId, companyId = 2, branchId = 0, status = 'new', fgTransactionId } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-
-        const companyIdNum = Number(companyId);
-        if (!Number.isInteger(companyIdNum) || companyIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid companyId' });
-        }
-
-        const branchIdNum = Number(branchId);
-        if (!Number.isInteger(branchIdNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid branchId' });
-        }
+        const {
+            barcode: barcodeNum, database: selectedDatabase, userId: userIdNum, companyId: companyIdNum, branchId: branchIdNum, status, fgTransactionId
+        } = req.valid.body;
 
         // For update status, FGTransactionID is required
-        if (status === 'update') {
-            const fgIdNum = Number(fgTransactionId);
-            if (!Number.isInteger(fgIdNum) || fgIdNum <= 0) {
-                return res.status(400).json({ status: false, error: 'Invalid or missing FGTransactionID for update status' });
-            }
+        if (status === 'update' && !fgTransactionId) {
+            return res.status(400).json({ status: false, error: 'Invalid or missing FGTransactionID for update status' });
         }
 
         console.log(`[GPN] Calling SaveFinishGoodsByBarcode_Manu_v2`);
@@ -3402,6 +2981,13 @@ router.post('/gpn/save-finish-goods', async (req, res) => {
         }
         console.log(`  - Database: ${selectedDatabase}`);
 
+        audit = {
+            action: 'gpn.save-finish-goods',
+            database: selectedDatabase,
+            entity: 'FinishGoods',
+            entityKeys: { BarcodeNo: barcodeNum, ...(fgTransactionId ? { FGTransactionID: fgTransactionId } : {}) },
+            newValues: { Status: status }
+        };
         const pool = await getPool(selectedDatabase);
         const request = pool.request()
             .input('BarcodeNo', sql.Int, barcodeNum)
@@ -3412,7 +2998,7 @@ router.post('/gpn/save-finish-goods', async (req, res) => {
 
         // Only add FGTransactionID parameter if it's provided (for update status)
         if (fgTransactionId) {
-            request.input('FGTransactionID', sql.Int, Number(fgTransactionId));
+            request.input('FGTransactionID', sql.Int, fgTransactionId);
         }
 
         const result = await request.execute('dbo.SaveFinishGoodsByBarcode_Manu_v2');
@@ -3441,6 +3027,11 @@ router.post('/gpn/save-finish-goods', async (req, res) => {
         const first = rows[0] || {};
         const statusText = first.Status || first.status || '';
         
+        auditBarcodeProcedure(req, audit, {
+            statusText,
+            fgTransactionId: first.FGTransactionID || first.fgtransactionid || first.FGTransactionId,
+            result: first
+        });
         if (typeof statusText === 'string' && statusText.toLowerCase().startsWith('fail')) {
             console.log(`[GPN] Procedure returned failure: ${statusText}`);
             return res.json({
@@ -3456,6 +3047,7 @@ router.post('/gpn/save-finish-goods', async (req, res) => {
             data: first
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('[GPN] Error saving finish goods:', err);
         return res.status(500).json({ 
             status: false, 
@@ -3465,33 +3057,15 @@ router.post('/gpn/save-finish-goods', async (req, res) => {
 });
 
 // GPN Portal - Delete Finish Goods entry for a barcode
-router.post('/gpn/delete-finish-goods', async (req, res) => {
+router.post('/gpn/delete-finish-goods', validate({
+    summary: 'Remove a carton barcode from its finish goods (GPN) voucher',
+    body: v.object({ ...barcodeFields, ...companyBranchFields })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { barcode, database, userId, companyId = 2, branchId = 0 } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ status: false, error: 'Invalid or missing database (must be KOL or AHM)' });
-        }
-
-        const barcodeNum = Number(barcode);
-        if (!Number.isFinite(barcodeNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing barcode' });
-        }
-
-        const userIdNum = Number(userId);
-        if (!Number.isInteger(userIdNum) || userIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid or missing userId' });
-        }
-
-        const companyIdNum = Number(companyId);
-        if (!Number.isInteger(companyIdNum) || companyIdNum <= 0) {
-            return res.status(400).json({ status: false, error: 'Invalid companyId' });
-        }
-
-        const branchIdNum = Number(branchId);
-        if (!Number.isInteger(branchIdNum)) {
-            return res.status(400).json({ status: false, error: 'Invalid branchId' });
-        }
+        const {
+            barcode: barcodeNum, database: selectedDatabase, userId: userIdNum, companyId: companyIdNum, branchId: branchIdNum
+        } = req.valid.body;
 
         console.log(`[GPN DELETE] Calling DeleteFinishGoodsByBarcode_Manu`);
         console.log(`  - BarcodeNo: ${barcodeNum}`);
@@ -3500,6 +3074,13 @@ router.post('/gpn/delete-finish-goods', async (req, res) => {
         console.log(`  - BranchID: ${branchIdNum}`);
         console.log(`  - Database: ${selectedDatabase}`);
 
+        audit = {
+            action: 'gpn.delete-finish-goods',
+            database: selectedDatabase,
+            entity: 'FinishGoods',
+            entityKeys: { BarcodeNo: barcodeNum },
+            newValues: null
+        };
         const pool = await getPool(selectedDatabase);
         const result = await pool.request()
             .input('BarcodeNo', sql.Int, barcodeNum)
@@ -3512,6 +3093,7 @@ router.post('/gpn/delete-finish-goods', async (req, res) => {
         const first = rows[0] || {};
         const statusText = first.Status || first.status || '';
 
+        auditBarcodeProcedure(req, audit, { statusText, result: first });
         if (typeof statusText === 'string' && statusText.toLowerCase().startsWith('fail')) {
             console.log(`[GPN DELETE] Procedure returned failure: ${statusText}`);
             return res.json({
@@ -3528,6 +3110,7 @@ router.post('/gpn/delete-finish-goods', async (req, res) => {
             sp: first
         });
     } catch (err) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error: err });
         console.error('[GPN DELETE] Error deleting finish goods:', err);
         return res.status(500).json({
             status: false,
@@ -3537,26 +3120,14 @@ router.post('/gpn/delete-finish-goods', async (req, res) => {
 });
 
 // Get machine floor screen data for a specific machine
-router.get('/machine-floor/:machineId', async (req, res) => {
+router.get('/machine-floor/:machineId', validate({
+    summary: 'Floor screen data of a machine (GetMachineFloorScreenData)',
+    params: v.object({ machineId: v.id() }),
+    query: v.object({ database: v.database().default('KOL') })
+}), async (req, res) => {
     try {
-        const { machineId } = req.params;
-        const { database = 'KOL' } = req.query || {};
-
-        const machineIdNum = Number(machineId);
-        if (!Number.isInteger(machineIdNum) || machineIdNum <= 0) {
-            return res.status(400).json({
-                status: false,
-                error: 'machineId must be a positive integer'
-            });
-        }
-
-        const selectedDatabase = (database || '').toUpperCase();
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({
-                status: false,
-                error: 'Invalid or missing database (must be KOL or AHM)'
-            });
-        }
+        const machineIdNum = req.valid.params.machineId;
+        const selectedDatabase = req.valid.query.database;
 
         console.log(`[MACHINE-FLOOR] Fetching screen data for MachineID ${machineIdNum} (${selectedDatabase})`);
 
@@ -3576,40 +3147,9 @@ router.get('/machine-floor/:machineId', async (req, res) => {
             });
         }
 
-        const normalizeBoolean = (value) => {
-            if (typeof value === 'boolean') return value;
-            if (typeof value === 'number') return value === 1;
-            if (typeof value === 'string') {
-                const trimmed = value.trim().toLowerCase();
-                return trimmed === '1' || trimmed === 'true' || trimmed === 'yes';
-            }
-            return false;
-        };
-
         const normalized = {
-            MachineID: raw.MachineID ?? raw.machineid ?? machineIdNum,
-            MachineName: raw.MachineName ?? raw.machinename ?? null,
-            MachineStatus: raw.MachineStatus ?? raw.machinestatus ?? null,
-            IsRunning: normalizeBoolean(raw.IsRunning ?? raw.isrunning),
-            CurrentJobNumber: raw.CurrentJobNumber ?? raw.currentjobnumber ?? null,
-            CurrentJobName: raw.CurrentJobName ?? raw.currentjobname ?? null,
-            CurrentJobStartedAt: raw.CurrentJobStartedAt ?? raw.currentjobstartedat ?? null,
-            RunningSinceMinutes: raw.RunningSinceMinutes ?? raw.runningsinceminutes ?? null,
-            PlanQty: raw.PlanQty ?? raw.planqty ?? null,
-            ProducedQty: raw.ProducedQty ?? raw.producedqty ?? null,
-            RemainingQty: raw.RemainingQty ?? raw.remainingqty ?? null,
-            MachineSpeedUPM: raw.MachineSpeedUPM ?? raw.machinespeedupm ?? null,
-            ChangeOverMinutes: raw.ChangeOverMinutes ?? raw.changeoverminutes ?? null,
-            TargetMinutesToFinish: raw.TargetMinutesToFinish ?? raw.targetminutestofinish ?? null,
-            TargetFinishAt: raw.TargetFinishAt ?? raw.targetfinishat ?? null,
-            IsBehindSchedule: normalizeBoolean(raw.IsBehindSchedule ?? raw.isbehindschedule),
-            StatusColor: raw.StatusColor ?? raw.statuscolor ?? null,
-            LastCompletedJobNumber: raw.LastCompletedJobNumber ?? raw.lastcompletedjobnumber ?? null,
-            LastCompletedJobName: raw.LastCompletedJobName ?? raw.lastcompletedjobname ?? null,
-            LastCompletedAt: raw.LastCompletedAt ?? raw.lastcompletedat ?? null,
-            IdleSinceMinutes: raw.IdleSinceMinutes ?? raw.idlesinceminutes ?? null,
-            BacklogJobsOnMachine: raw.BacklogJobsOnMachine ?? raw.backlogjobsonmachine ?? null,
-            BacklogJobsForProcess: raw.BacklogJobsForProcess ?? raw.backlogjobsforprocess ?? null
+            ...normalizeMachineFloorRow(raw, machineIdNum),
+            Downtime: await machineDowntimeField(selectedDatabase, machineIdNum)
         };
 
         return res.json({
@@ -3627,37 +3167,28 @@ router.get('/machine-floor/:machineId', async (req, res) => {
 });
 
 // Get latest machine status per machine
-router.post('/machine-status/latest', async (req, res) => {
+router.post('/machine-status/latest', validate({
+    summary: 'Latest status of every machine',
+    body: v.object({ database: v.database() })
+}), async (req, res) => {
     try {
-        const { database } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ 
-                status: false, 
-                error: 'Invalid or missing database (must be KOL or AHM)' 
-            });
-        }
+        const selectedDatabase = req.valid.body.database;
 
         console.log(`[MACHINE-STATUS] Getting latest machine status for database: ${selectedDatabase}`);
         
-        const pool = await getPool(selectedDatabase);
-        
-        // Execute the stored procedure
-        const result = await pool.request()
-            .execute('GetLatestMachineStatusPerMachine');
+        const records = await fetchLatestMachineStatus(selectedDatabase);
         
-        console.log(`[MACHINE-STATUS] Query completed. Records found: ${result.recordset?.length || 0}`);
+        console.log(`[MACHINE-STATUS] Query completed. Records found: ${records.length}`);
         
         // Log first record for debugging
-        if (result.recordset && result.recordset.length > 0) {
-            console.log('[MACHINE-STATUS] First record columns:', Object.keys(result.recordset[0]));
-            console.log('[MACHINE-STATUS] First record data:', result.recordset[0]);
+        if (records.length > 0) {
+            console.log('[MACHINE-STATUS] First record columns:', Object.keys(records[0]));
+            console.log('[MACHINE-STATUS] First record data:', records[0]);
         }
         
         return res.json({
             status: true,
-            data: result.recordset || [],
+            data: records,
             message: 'Machine statuses retrieved successfully'
         });
     } catch (error) {
@@ -3670,25 +3201,15 @@ router.post('/machine-status/latest', async (req, res) => {
 });
 
 // Get Process Inspection Template for QC Audit
-router.post('/qc/inspection-template', async (req, res) => {
+router.post('/qc/inspection-template', validate({
+    summary: 'QC inspection template of a process',
+    body: v.object({
+        processId: v.id().describe('ProcessID from the latest machine status'),
+        database: v.database()
+    })
+}), async (req, res) => {
     try {
-        const { processId, database } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ 
-                status: false, 
-                error: 'Invalid or missing database (must be KOL or AHM)' 
-            });
-        }
-
-        // Use the ProcessID from the request (from GetLatestMachineStatusPerMachine output)
-        if (!processId) {
-            return res.status(400).json({
-                status: false,
-                error: 'ProcessID is required'
-            });
-        }
+        const { processId, database: selectedDatabase } = req.valid.body;
         
         console.log(`[QC-INSPECTION] Getting inspection template for ProcessID: ${processId}, Database: ${selectedDatabase}`);
         
@@ -3751,25 +3272,21 @@ router.post('/qc/inspection-template', async (req, res) => {
 });
 
 // Save Process Inspection (QC Audit)
-router.post('/qc/save-inspection', async (req, res) => {
+router.post('/qc/save-inspection', validate({
+    summary: 'Save a QC process inspection (SaveProcessInspection)',
+    body: v.object({
+        database: v.database(),
+        userId: v.id(),
+        productionId: v.id(),
+        processId: v.id(),
+        jobBookingJobCardContentsId: v.id(),
+        jobBookingId: v.id(),
+        items: v.array(v.object({})).describe('Inspection template items with their results')
+    })
+}), async (req, res) => {
+    let audit = null;
     try {
-        const { userId, productionId, processId, jobBookingJobCardContentsId, jobBookingId, items, database } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-        
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({ 
-                status: false, 
-                error: 'Invalid or missing database (must be KOL or AHM)' 
-            });
-        }
-        
-        // Validate required fields
-        if (!userId || !productionId || !processId || !jobBookingJobCardContentsId || !jobBookingId || !items) {
-            return res.status(400).json({
-                status: false,
-                error: 'Missing required fields: userId, productionId, processId, jobBookingJobCardContentsId, jobBookingId, items'
-            });
-        }
+        const { userId, productionId, processId, jobBookingJobCardContentsId, jobBookingId, items, database: selectedDatabase } = req.valid.body;
         
         // Build the inspection JSON
         const inspectionJson = {
@@ -3783,6 +3300,13 @@ router.post('/qc/save-inspection', async (req, res) => {
         console.log(`[QC-SAVE] Saving inspection for UserID: ${userId}, ProductionID: ${productionId}, ProcessID: ${processId}`);
         console.log('[QC-SAVE] Inspection JSON:', JSON.stringify(inspectionJson, null, 2));
         
+        audit = {
+            action: 'qc.save-inspection',
+            database: selectedDatabase,
+            entity: 'ProcessInspection',
+            entityKeys: { ProductionID: productionId, ProcessID: processId },
+            newValues: inspectionJson
+        };
         const pool = await getPool(selectedDatabase);
         
         // Execute the stored procedure
@@ -3797,6 +3321,7 @@ router.post('/qc/save-inspection', async (req, res) => {
         const returnVal = result.returnValue;
         if (returnVal !== undefined && returnVal !== null && returnVal !== 0) {
             console.log('[QC-SAVE] Stored procedure returned failure code:', returnVal);
+            recordAudit(req, { ...audit, outcome: 'no-change', error: `Return code ${returnVal}` });
             return res.status(400).json({
                 status: false,
                 error: 'Database returned failure (code ' + returnVal + '). Inspection was not saved.'
@@ -3813,6 +3338,7 @@ router.post('/qc/save-inspection', async (req, res) => {
             if (success === 0 || success === false || status === 'failure' || status === 'error' || status === 'failed') {
                 const failureMessage = (msg && String(msg).trim()) || ('Database returned failure (code ' + (returnVal ?? 'N/A') + ').');
                 console.log('[QC-SAVE] Stored procedure indicated failure:', failureMessage);
+                recordAudit(req, { ...audit, outcome: 'no-change', error: failureMessage });
                 return res.status(400).json({
                     status: false,
                     error: failureMessage
@@ -3823,6 +3349,11 @@ router.post('/qc/save-inspection', async (req, res) => {
         // Extract voucher number from SP result (SaveProcessInspection returns column: voucherNo)
         const voucherNumber = firstRow && (firstRow.voucherNo ?? firstRow.VoucherNo ?? firstRow.VoucherNumber ?? firstRow.VoucherNum ?? firstRow.VoucherCode ?? firstRow.Voucher ?? firstRow.voucherNumber ?? firstRow.voucherNum ?? firstRow.voucherCode ?? firstRow.voucher);
         
+        recordAudit(req, {
+            ...audit,
+            entityKeys: { ...audit.entityKeys, ...(voucherNumber != null ? { VoucherNo: String(voucherNumber) } : {}) },
+            outcome: 'success'
+        });
         console.log('[QC-SAVE] Inspection saved successfully', voucherNumber != null ? ', Voucher: ' + voucherNumber : '');
         
         return res.json({
@@ -3832,6 +3363,7 @@ router.post('/qc/save-inspection', async (req, res) => {
             result: recordset
         });
     } catch (error) {
+        if (audit) recordAudit(req, { ...audit, outcome: 'failure', error });
         console.error('[QC-SAVE] Error saving inspection:', error);
         return res.status(500).json({
             status: false,
@@ -3841,24 +3373,15 @@ router.post('/qc/save-inspection', async (req, res) => {
 });
 
 // QC Inspector Daily Performance Dashboard
-router.post('/reports/qc-inspector-performance', async (req, res) => {
-    try {
-        const { startDate, endDate, database } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({
-                status: false,
-                error: 'Invalid or missing database (must be KOL or AHM)'
-            });
-        }
+// Report period of the QC reports
+const qcReportFields = { database: v.database(), startDate: v.date(), endDate: v.date().describe('Inclusive') };
 
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                status: false,
-                error: 'Start date and end date are required'
-            });
-        }
+router.post('/reports/qc-inspector-performance', validate({
+    summary: 'Daily QC inspector performance',
+    body: v.object(qcReportFields)
+}), async (req, res) => {
+    try {
+        const { startDate, endDate, database: selectedDatabase } = req.valid.body;
 
         const parsedStart = new Date(startDate);
         const parsedEnd = new Date(endDate);
@@ -3929,32 +3452,12 @@ ORDER BY
     JC.JobBookingNo;
 `;
 
-router.post('/reports/qc-inspector-audit-detail', async (req, res) => {
+router.post('/reports/qc-inspector-audit-detail', validate({
+    summary: 'QC audits of one inspector',
+    body: v.object({ ...qcReportFields, userId: v.integer({ min: 0 }) })
+}), async (req, res) => {
     try {
-        const { startDate, endDate, database, userId } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({
-                status: false,
-                error: 'Invalid or missing database (must be KOL or AHM)'
-            });
-        }
-
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                status: false,
-                error: 'Start date and end date are required'
-            });
-        }
-
-        const userIdNum = userId != null && userId !== '' ? parseInt(userId, 10) : NaN;
-        if (!Number.isInteger(userIdNum) || userIdNum < 0) {
-            return res.status(400).json({
-                status: false,
-                error: 'Valid user ID is required'
-            });
-        }
+        const { startDate, endDate, database: selectedDatabase, userId: userIdNum } = req.valid.body;
 
         const parsedStart = new Date(startDate);
         const parsedEnd = new Date(endDate);
@@ -4109,33 +3612,16 @@ ORDER BY
     UserName;
 `;
 
-router.post('/reports/qc-job-card-entries', async (req, res) => {
+router.post('/reports/qc-job-card-entries', validate({
+    summary: 'QC entries of a job card by process or by user',
+    body: v.object({
+        database: v.database(),
+        jobBookingNo: v.string({ pattern: /^\d{4}$/, patternMessage: 'must be exactly 4 digits' }),
+        viewMode: v.enum(['process', 'user'], { lowerCase: true }).default('process')
+    })
+}), async (req, res) => {
     try {
-        const { database, jobBookingNo, viewMode } = req.body || {};
-        const selectedDatabase = (database || '').toUpperCase();
-
-        if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-            return res.status(400).json({
-                status: false,
-                error: 'Invalid or missing database (must be KOL or AHM)'
-            });
-        }
-
-        const trimmedJobNo = typeof jobBookingNo === 'string' ? jobBookingNo.trim() : '';
-        if (!trimmedJobNo) {
-            return res.status(400).json({
-                status: false,
-                error: 'Job card number (JobBookingNo) is required'
-            });
-        }
-        if (!/^\d{4}$/.test(trimmedJobNo)) {
-            return res.status(400).json({
-                status: false,
-                error: 'Job card number must be exactly 4 digits'
-            });
-        }
-
-        const selectedViewMode = String(viewMode || 'process').toLowerCase() === 'user' ? 'user' : 'process';
+        const { database: selectedDatabase, jobBookingNo: trimmedJobNo, viewMode: selectedViewMode } = req.valid.body;
 
         console.log(`[QC-JOB-CARD] Fetching ${selectedViewMode} entries for JobBookingNo: ${trimmedJobNo}, database: ${selectedDatabase}`);
 
@@ -4166,30 +3652,42 @@ router.post('/reports/qc-job-card-entries', async (req, res) => {
 // WhatsApp Messaging Routes
 // ============================================
 
-// Login endpoint for WhatsApp Web UI
-router.post('/whatsapp/login', async (req, res) => {
+// Status for a failed CRM login or session lookup (crm-users.js)
+const CRM_ERROR_STATUS = {
+    INVALID_PASSWORD: 401,
+    PASSWORD_NOT_SET: 403,
+    PLANT_NOT_ALLOWED: 403,
+    SENDER_MISMATCH: 403,
+    ACCOUNT_LOCKED: 423,
+    CRM_STORE_UNAVAILABLE: 503
+};
+
+// Login endpoint for WhatsApp Web UI; CRM users are managed under /admin/crm-users
+router.post('/whatsapp/login', validate({
+    summary: 'CRM user login for the WhatsApp Web UI',
+    body: v.object({
+        username: v.string({ minLength: 1 }),
+        password: v.string({ minLength: 1, trim: false }),
+        database: v.database().optional().describe("Default: the user's default plant")
+    })
+}), async (req, res) => {
     try {
-        const { username } = req.body;
-
-        if (!username || typeof username !== 'string' || username.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Username is required'
-            });
-        }
+        const { username, password, database } = req.valid.body;
 
-        const trimmedUsername = username.trim();
-
-        // Validate username is one of the allowed values
-        if (trimmedUsername !== 'Sourav' && trimmedUsername !== 'Swarnali') {
-            return res.status(400).json({
+        let crmUser;
+        let selectedDatabase;
+        try {
+            crmUser = await authenticateCrmUser(username, password);
+            selectedDatabase = loginPlant(crmUser, database);
+        } catch (authError) {
+            if (!CRM_ERROR_STATUS[authError.code]) throw authError;
+            console.warn('[WHATSAPP-LOGIN] Login rejected', { username, reason: authError.code });
+            return res.status(CRM_ERROR_STATUS[authError.code]).json({
                 status: false,
-                error: 'Invalid username'
+                error: authError.message
             });
         }
-
-        // WhatsApp app uses Kolkata (KOL) database only
-        const selectedDatabase = 'KOL';
+        const trimmedUsername = crmUser.username;
         
         console.log(`[WHATSAPP-LOGIN] Attempting login for user: ${trimmedUsername}, Database: ${selectedDatabase}`);
 
@@ -4198,16 +3696,17 @@ router.post('/whatsapp/login', async (req, res) => {
         // Call the stored procedure comm_get_user_credentials
         // The procedure takes username as input and has an inout parameter
         // Try with dbo schema first, fallback to no schema if needed
+        const erpUsername = erpUsernameOf(crmUser, trimmedUsername);
         let result;
         try {
             result = await pool.request()
-                .input('username', sql.NVarChar(255), trimmedUsername)
+                .input('username', sql.NVarChar(255), erpUsername)
                 .execute('dbo.comm_get_user_credentials');
         } catch (schemaError) {
             // If dbo schema fails, try without schema prefix
             console.log('[WHATSAPP-LOGIN] Trying without dbo schema prefix');
             result = await pool.request()
-                .input('username', sql.NVarChar(255), trimmedUsername)
+                .input('username', sql.NVarChar(255), erpUsername)
                 .execute('comm_get_user_credentials');
         }
 
@@ -4260,17 +3759,37 @@ router.post('/whatsapp/login', async (req, res) => {
                 }
             }
 
+            // Only the clients of the user's portfolio
+            const pendingRows = scopeRowsToPortfolio(crmUser, pendingData.recordset || []);
+
             console.log('[WHATSAPP-LOGIN] Pending first intimation data fetched', {
                 recordCount: pendingData.recordset?.length || 0,
+                portfolioCount: pendingRows.length,
                 hasRecordset: !!pendingData.recordset,
-                sampleRecord: pendingData.recordset?.[0] || null
+                sampleRecord: pendingRows[0] || null
             });
             
+            const token = signAuthToken({
+                role: ROLES.CRM,
+                sub: trimmedUsername,
+                name: trimmedUsername,
+                database: selectedDatabase
+            });
+
             return res.json({
                 status: true,
                 message: 'Login successful',
+                token,
                 username: trimmedUsername,
-                pendingData: pendingData.recordset || [],
+                user: {
+                    displayName: crmUser.displayName || trimmedUsername,
+                    database: selectedDatabase,
+                    plants: crmUser.plants,
+                    allClients: Boolean(crmUser.allClients),
+                    clientCount: (crmUser.clientLedgerIds || []).length,
+                    ...senderProfile(crmUser, trimmedUsername, result.recordset[0])
+                },
+                pendingData: pendingRows,
                 dateRange: {
                     startDate,
                     endDate
@@ -4297,23 +3816,16 @@ router.post('/whatsapp/login', async (req, res) => {
 });
 
 // Second intimation endpoint for WhatsApp Web UI
-router.post('/whatsapp/second-intimation', async (req, res) => {
+router.post('/whatsapp/second-intimation', validate({
+    summary: 'Orders pending delivery for the second intimation',
+    body: v.object({
+        username: v.string({ minLength: 1 }),
+        startDate: v.date(),
+        endDate: v.date().describe('Inclusive')
+    })
+}), async (req, res) => {
     try {
-        const { username, startDate, endDate } = req.body;
-
-        if (!username || typeof username !== 'string' || username.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Username is required'
-            });
-        }
-
-        if (!startDate || !endDate) {
-            return res.status(400).json({
-                status: false,
-                error: 'Start date and end date are required'
-            });
-        }
+        const { username, startDate, endDate } = req.valid.body;
 
         const today = new Date();
             const fourmonthsago = new Date();
@@ -4323,8 +3835,22 @@ router.post('/whatsapp/second-intimation', async (req, res) => {
             //endDate = today.toISOString().split('T')[0];
             const startDate2 = fourmonthsago.toISOString().split('T')[0];
 
-        const trimmedUsername = username.trim();
-        const selectedDatabase = 'KOL';
+        const trimmedUsername = username;
+        let session;
+        try {
+            session = await crmSession(req, trimmedUsername);
+        } catch (sessionError) {
+            if (!CRM_ERROR_STATUS[sessionError.code]) throw sessionError;
+            return res.status(CRM_ERROR_STATUS[sessionError.code]).json({ status: false, error: sessionError.message });
+        }
+        // Admins without a CRM user of their own see every client
+        if (!session.crmUser && req.auth?.role !== ROLES.ADMIN) {
+            return res.status(400).json({
+                status: false,
+                error: 'Invalid username'
+            });
+        }
+        const selectedDatabase = session.database;
         
         console.log(`[WHATSAPP-2ND-INTIMATION] Fetching data for user: ${trimmedUsername}, Database: ${selectedDatabase}, Date range: ${startDate} to ${endDate}`);
 
@@ -4353,17 +3879,20 @@ router.post('/whatsapp/second-intimation', async (req, res) => {
             }
         }
 
+        const pendingRows = scopeRowsToPortfolio(session.crmUser, pendingData.recordset || []);
+
         console.log('[WHATSAPP-2ND-INTIMATION] Pending delivery followup data fetched', {
             recordCount: pendingData.recordset?.length || 0,
+            portfolioCount: pendingRows.length,
             hasRecordset: !!pendingData.recordset,
-            sampleRecord: pendingData.recordset?.[0] || null
+            sampleRecord: pendingRows[0] || null
         });
         
         return res.json({
             status: true,
             message: 'Second intimation data fetched successfully',
             username: trimmedUsername,
-            pendingData: pendingData.recordset || [],
+            pendingData: pendingRows,
             dateRange: {
                 startDate,
                 endDate
@@ -4379,34 +3908,19 @@ router.post('/whatsapp/second-intimation', async (req, res) => {
 });
 
 // Send WhatsApp message endpoint
-router.post('/whatsapp/send-message', async (req, res) => {
+router.post('/whatsapp/send-message', validate({
+    summary: 'Send a WhatsApp message to a phone number',
+    body: v.object({
+        username: v.string({ minLength: 1 }),
+        phoneNumber: v.string({ minLength: 1 }).describe('Without a country code +91 is assumed'),
+        message: v.string({ minLength: 1 })
+    })
+}), async (req, res) => {
     try {
-        const { username, phoneNumber, message } = req.body;
-
-        // Validation
-        if (!username || typeof username !== 'string' || username.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Username is required'
-            });
-        }
-
-        if (!phoneNumber || typeof phoneNumber !== 'string' || phoneNumber.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Phone number is required'
-            });
-        }
-
-        if (!message || typeof message !== 'string' || message.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Message is required'
-            });
-        }
+        const { username, phoneNumber, message } = req.valid.body;
 
         // Format phone number (remove spaces, ensure it starts with +)
-        let formattedPhone = phoneNumber.trim().replace(/\s+/g, '');
+        let formattedPhone = phoneNumber.replace(/\s+/g, '');
         if (!formattedPhone.startsWith('+')) {
             // If no country code, assume default (you can customize this)
             formattedPhone = '+91' + formattedPhone; // Default to India (+91)
@@ -4424,7 +3938,7 @@ router.post('/whatsapp/send-message', async (req, res) => {
             message: 'Message sent successfully',
             data: {
                 phoneNumber: formattedPhone,
-                message: message.trim(),
+                message,
                 sentAt: new Date().toISOString()
             }
         });
@@ -4438,43 +3952,17 @@ router.post('/whatsapp/send-message', async (req, res) => {
 });
 
 // Update expected delivery date endpoint
-router.post('/whatsapp/update-delivery-date', async (req, res) => {
-    try {
-        const { username, orderBookingDetailsID, newExpectedDeliveryDate } = req.body;
-
-        // Validation
-        if (!username || typeof username !== 'string' || username.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Username is required'
-            });
-        }
-
-        if (!orderBookingDetailsID || typeof orderBookingDetailsID !== 'number') {
-            return res.status(400).json({
-                status: false,
-                error: 'OrderBookingDetailsID is required and must be a number'
-            });
-        }
-
-        if (!newExpectedDeliveryDate || typeof newExpectedDeliveryDate !== 'string') {
-            return res.status(400).json({
-                status: false,
-                error: 'NewExpectedDeliveryDate is required'
-            });
-        }
+// Order line and its new expected delivery date
+const deliveryDateFields = { orderBookingDetailsID: v.id(), newExpectedDeliveryDate: v.date() };
 
-        // Validate date format (YYYY-MM-DD)
-        const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-        if (!dateRegex.test(newExpectedDeliveryDate)) {
-            return res.status(400).json({
-                status: false,
-                error: 'Invalid date format. Expected YYYY-MM-DD'
-            });
-        }
+router.post('/whatsapp/update-delivery-date', validate({
+    summary: 'Change the expected delivery date of an order line',
+    body: v.object({ username: v.string({ minLength: 1 }), ...deliveryDateFields })
+}), async (req, res) => {
+    try {
+        const { username, orderBookingDetailsID, newExpectedDeliveryDate } = req.valid.body;
 
-        // WhatsApp app uses Kolkata (KOL) database only
-        const selectedDatabase = 'KOL';
+        const { database: selectedDatabase } = await crmSession(req, username);
         
         console.log('[WHATSAPP-UPDATE-DATE] Updating delivery date', {
             username,
@@ -4509,6 +3997,9 @@ router.post('/whatsapp/update-delivery-date', async (req, res) => {
             }
         });
     } catch (error) {
+        if (CRM_ERROR_STATUS[error.code]) {
+            return res.status(CRM_ERROR_STATUS[error.code]).json({ status: false, error: error.message });
+        }
         console.error('[WHATSAPP-UPDATE-DATE] Error:', error);
         return res.status(500).json({
             status: false,
@@ -4518,57 +4009,22 @@ router.post('/whatsapp/update-delivery-date', async (req, res) => {
 });
 
 // Update delivery dates and send WhatsApp message (2nd intimation - delivery date update)
-router.post('/whatsapp/update-delivery-dates-and-send', async (req, res) => {
+router.post('/whatsapp/update-delivery-dates-and-send', validate({
+    summary: 'Change expected delivery dates and send the new dates to the clients',
+    body: v.object({
+        username: v.string({ minLength: 1 }),
+        items: v.array(v.object(deliveryDateFields), { minItems: 1 }),
+        language: languageField
+    })
+}), async (req, res) => {
     try {
-        const { username, items } = req.body || {};
-
-        // Validation
-        if (!username || typeof username !== 'string' || username.trim() === '') {
-            return res.status(400).json({
-                status: false,
-                error: 'Username is required'
-            });
-        }
-
-        if (!Array.isArray(items) || items.length === 0) {
-            return res.status(400).json({
-                status: false,
-                error: 'Items array is required and must not be empty'
-            });
-        }
-
-        // Validate each item
-        for (const item of items) {
-            if (!item.orderBookingDetailsID || typeof item.orderBookingDetailsID !== 'number') {
-                return res.status(400).json({
-                    status: false,
-                    error: 'Each item must have orderBookingDetailsID (number)'
-                });
-            }
-            if (!item.newExpectedDeliveryDate || typeof item.newExpectedDeliveryDate !== 'string') {
-                return res.status(400).json({
-                    status: false,
-                    error: 'Each item must have newExpectedDeliveryDate (string)'
-                });
-            }
-            // Validate date format (YYYY-MM-DD)
-            const dateRegex = /^\d{4}-\d{2}-\d{2}$/;
-            if (!dateRegex.test(item.newExpectedDeliveryDate)) {
-                return res.status(400).json({
-                    status: false,
-                    error: 'Invalid date format. Expected YYYY-MM-DD'
-                });
-            }
-        }
+        const { username, items, language } = req.valid.body;
 
-        const pool = await getPool('KOL');
+        const { crmUser, database, username: sender } = await crmSession(req, username);
+        const pool = await getPool(database);
 
         // 1) Get credentials
-        const credReq = pool.request();
-        credReq.input("Username", sql.NVarChar(100), username);
-        const credRes = await credReq.execute("dbo.comm_get_user_credentials");
-
-        const creds = credRes.recordset?.[0];
+        const creds = await getSenderCredentials(pool, erpUsernameOf(crmUser, sender));
         if (!creds) {
             return res.status(400).json({
                 status: false,
@@ -4576,8 +4032,7 @@ router.post('/whatsapp/update-delivery-dates-and-send', async (req, res) => {
             });
         }
 
-        const senderName = username;
-        const senderPhone = creds.ContactNo || "";
+        const { senderName, senderPhone } = senderProfile(crmUser, sender, creds);
 
         // 2) Create map of new delivery dates by orderBookingDetailsID
         const dateUpdatesMap = new Map();
@@ -4632,137 +4087,30 @@ router.post('/whatsapp/update-delivery-dates-and-send', async (req, res) => {
         });
 
         // 6) Group by client
-        const byClient = new Map();
-        for (const r of rows) {
-            if (!byClient.has(r.ClientLedgerID)) byClient.set(r.ClientLedgerID, []);
-            byClient.get(r.ClientLedgerID).push(r);
-        }
+        const byClient = groupRowsByClient(rows);
 
         const results = [];
 
-        // Helper function to build order lines with updated delivery dates
-        // Access columns by their position: 3rd column = Job Number, 5th column = Job Name
-        function buildOrderLinesWithUpdatedDates(rows) {
-            if (rows.length === 0) return "";
-            
-            // Get column names in order from the first row
-            const firstRow = rows[0];
-            const columnNames = Object.keys(firstRow);
-            
-            // 3rd column (index 2) = Job Number, 5th column (index 4) = Job Name
-            const jobNumberColumnIndex = 2; // 3rd column (0-based index)
-            const jobNameColumnIndex = 4;   // 5th column (0-based index)
-            
-            // Find Order Qty column (try to find it by name since position may vary)
-            let orderQtyColumnName = null;
-            for (const key of columnNames) {
-                const keyLower = key.toLowerCase();
-                if ((keyLower.includes('order') && keyLower.includes('qty')) ||
-                    key === 'Order Qty' || key === 'OrderQty') {
-                    orderQtyColumnName = key;
-                    break;
-                }
-            }
-            
-            return rows.map(r => {
-                // Use the updated date from our map
-                const updatedDate = dateUpdatesMap.get(Number(r.OrderBookingDetailsID)) || r["Committed Delivery Date"] || r["CommittedDeliveryDate"] || r["Final Delivery Date"] || r.FinalDeliveryDate;
-                
-                // Access by column position (3rd and 5th columns)
-                const jobNumber = (columnNames[jobNumberColumnIndex] && r[columnNames[jobNumberColumnIndex]]) ? String(r[columnNames[jobNumberColumnIndex]]) : "";
-                const jobName = (columnNames[jobNameColumnIndex] && r[columnNames[jobNameColumnIndex]]) ? String(r[columnNames[jobNameColumnIndex]]) : "";
-                const orderQty = orderQtyColumnName ? (r[orderQtyColumnName] ? String(r[orderQtyColumnName]) : "") : "";
-                
-                return [
-                    `• Item: ${jobName}`,
-                    `  Qty: ${orderQty}`,
-                    `  Job No: ${jobNumber}`,
-                    `  Updated Committed Delivery: ${fmtDate(updatedDate)}`
-                ].join("\n");
-            }).join("\n\n");
-        }
+        // 7) Render the messages for each client (the template's orderLine shows the new dates)
+        const template = await getActiveTemplate('delivery-date-update', language);
+        const groups = [...byClient.entries()].map(([ledgerId, clientRows]) =>
+            buildClientGroup('delivery-date-update', ledgerId, clientRows, {
+                template, senderName, senderPhone, creds, requireCredentials: true, newDateById: dateUpdatesMap
+            }));
 
-        // 7) Send messages for each client
-        for (const [ledgerId, clientRows] of byClient.entries()) {
-            // Use field names from comm_pending_delivery_followup_by_ids (same as material-readiness endpoint)
-            const clientName = clientRows[0]["Client Name"] || clientRows[0]["ClientName"] || "";
-            const contactPerson = clientRows[0]["Contact Person"] || clientRows[0]["ContactPerson"] || "";
-            const contactName = (contactPerson.split(",")[0] || clientName).trim();
-
-            const orderLines = buildOrderLinesWithUpdatedDates(clientRows);
-
-            const whatsappText = `Dear ${contactName},
-
-Warm greetings from CDC Printers Pvt Ltd 😊
-
-We regret to inform you that due to unforeseen circumstances, we will not be able to deliver the below jobs within the committed timeframe. Please find the updated committed delivery dates below:
-
-  ${orderLines}
-
-—
-${senderName}
-Customer Relationship Manager
-CDC Printers Pvt Ltd
-${senderPhone}`;
-
-            const emailSubject = `Updated Delivery Schedule | ${clientName}`;
-            const emailBody = `Dear ${contactName},
-
-Warm greetings from CDC Printers Pvt Ltd.
-
-We regret to inform you that due to unforeseen circumstances, we will not be able to deliver the below jobs within the committed timeframe. Please find the updated committed delivery dates below:
-
-  ${orderLines}
-
-Regards,
-${senderName}
-Customer Relationship Manager
-CDC Printers Pvt Ltd
-${senderPhone}`;
-
-            // For 2nd intimation (comm_pending_delivery_followup_by_ids), use "Contact Email" and "Contact phone" like material-readiness endpoint
-            const emailList = splitCsv(clientRows[0]["Contact Email"] || clientRows[0]["ContactEmail"] || clientRows[0]["Concern Email"] || clientRows[0]["ConcernEmail"] || "");
-            const mobileList = splitCsv(clientRows[0]["Contact phone"] || clientRows[0]["Contactphone"] || clientRows[0]["Concern Mobile No"] || clientRows[0]["ConcernMobileNo"] || "")
-                .map(normalizeINPhone)
-                .filter(Boolean);
-
-            let sentEmail = false;
-            let sentWhatsapp = false;
-
-            // Send WhatsApp messages
-            if (mobileList.length && creds.ProductID && creds.ApiKey && creds.PhoneID) {
-                for (const to of mobileList) {
-                    try {
-                        await sendWhatsAppMaytapi({
-                            productId: creds.ProductID,
-                            phoneId: creds.PhoneID,
-                            apiKey: creds.ApiKey,
-                            toNumber: to,
-                            text: whatsappText
-                        });
-                        sentWhatsapp = true;
-                    } catch (waErr) {
-                        console.error('[WHATSAPP ERROR]', waErr.message);
-                        throw waErr;
-                    }
-                }
-            }
+        // 8) Log every message, then try to deliver; failures stay queued for retry (outbound-messages.js)
+        const { batchId, groupIds, messages: queued } = await queueMessages({
+            kind: 'delivery-date-update',
+            database,
+            sentBy: sender,
+            template: { language: template.language, version: template.version },
+            groups
+        });
+        const messages = await deliverMessages(queued.map(m => m.messageId));
 
-            // Send Email
-            if (emailList.length && creds.SMTPServer && creds.SMTPUserName && creds.SMTPUserPassword) {
-                try {
-                    await sendEmailSMTP({
-                        creds,
-                        to: emailList.join(","),
-                        subject: emailSubject,
-                        text: emailBody
-                    });
-                    sentEmail = true;
-                } catch (emailErr) {
-                    console.error('[EMAIL ERROR]', emailErr.message);
-                    throw emailErr;
-                }
-            }
+        for (const [i, clientRows] of [...byClient.values()].entries()) {
+            const clientName = groups[i].clientName;
+            const sent = summarizeChannels(messages.filter(m => m.groupId === groupIds[i]));
 
             // Add per-job details to results
             // Get column names in order from the first row
@@ -4798,8 +4146,8 @@ ${senderPhone}`;
                     jobName: jobName,
                     finalDeliveryDate: updatedDate || '',
                     contactPerson: row["Contact Person"] || row["ContactPerson"] || '',
-                    mailSent: sentEmail ? 'Yes' : 'No',
-                    whatsappSent: sentWhatsapp ? 'Yes' : 'No'
+                    mailSent: sentLabel(sent.email),
+                    whatsappSent: sentLabel(sent.whatsapp)
                 });
             });
         }
@@ -4807,9 +4155,17 @@ ${senderPhone}`;
         return res.json({
             status: true,
             message: 'Delivery dates updated and messages sent successfully',
-            results: results
+            batchId,
+            results: results,
+            messages: messages.map(toMessageSummary)
         });
     } catch (error) {
+        if (CRM_ERROR_STATUS[error.code]) {
+            return res.status(CRM_ERROR_STATUS[error.code]).json({ status: false, error: error.message });
+        }
+        if (error.code === 'MESSAGE_STORE_UNAVAILABLE') {
+            return res.status(503).json({ status: false, error: error.message });
+        }
         console.error('[WHATSAPP-UPDATE-DATES-SEND] Error:', error);
         return res.status(500).json({
             status: false,
@@ -5034,7 +4390,7 @@ router.post('/auth/login', async (req, res) => {
 
     const token = jwt.sign(
       { userId: user.userId, id: user._id },
-      process.env.JWT_SECRET || 'your-secret-key',
+      process.env.JWT_SECRET,
       { expiresIn: '24h' }
     );
 
@@ -5084,6 +4440,13 @@ router.post('/auth/register', async (req, res) => {
 });
 */
 
+const jobNumberParams = v.object({ jobNumber: v.string({ minLength: 1 }) });
+// Typeahead: the ERP search needs at least 4 characters of the job number
+const jobNumberPartParams = v.object({ jobNumberPart: v.string({ minLength: 4 }) });
+const objectIdParams = v.object({ id: v.objectId() });
+const billNumberParams = v.object({ billNumber: v.string({ minLength: 1 }) });
+const OPERATION_TYPES = ['1:1', '1*x', '1/x'];
+
 // Jobs routes
 router.get('/jobs', async (req, res) => {
   try {
@@ -5095,9 +4458,12 @@ router.get('/jobs', async (req, res) => {
   }
 });
 
-router.get('/jobs/search/:jobNumber', async (req, res) => {
+router.get('/jobs/search/:jobNumber', validate({
+  summary: 'Job operations and contractor work for a job number',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
+    const { jobNumber } = req.valid.params;
 
     const jobOpsMaster = await JobOpsMaster.findOne({ jobId: jobNumber }).lean();
 
@@ -5229,19 +4595,18 @@ router.get('/jobs/search/:jobNumber', async (req, res) => {
 // IMPORTANT: Specific routes must come before the general /jobs/:id route
 // Search job numbers from MSSQL (when 4+ digits entered)
 // This route MUST come before /jobs/:id to avoid route matching conflicts
-router.get('/jobs/search-numbers/:jobNumberPart', async (req, res) => {
+router.get('/jobs/search-numbers/:jobNumberPart', validate({
+  summary: 'Job numbers containing the typed part',
+  params: jobNumberPartParams
+}), async (req, res) => {
   console.log('✅ [ROUTE] /jobs/search-numbers/:jobNumberPart route hit!');
   console.log('✅ [ROUTE] Request params:', req.params);
   console.log('✅ [ROUTE] Request URL:', req.url);
   console.log('✅ [ROUTE] Request path:', req.path);
   try {
-    const { jobNumberPart } = req.params;
+    const { jobNumberPart } = req.valid.params;
     console.log('🔍 [BACKEND] /jobs/search-numbers called with jobNumberPart:', jobNumberPart);
 
-    if (!jobNumberPart || jobNumberPart.length < 4) {
-      return res.status(400).json({ error: 'Job number part must be at least 4 characters' });
-    }
-
     const connectionStartTime = Date.now();
     const pool = await getConnection();
     const connectionTime = Date.now() - connectionStartTime;
@@ -5340,11 +4705,15 @@ router.get('/jobs/items-for-color', async (req, res) => {
 
 // Restrict :id to valid Mongo ObjectId strings to prevent route conflicts
 // with other /jobs/* endpoints (e.g. /jobs/possible-completed-jobs).
-router.get('/jobs/:id', async (req, res, next) => {
+router.get('/jobs/:id', validate({
+  summary: 'One job with its operations',
+  description: 'An id that is not an ObjectId answers 404.',
+  params: v.object({ id: v.string() })
+}), async (req, res, next) => {
   try {
     // Avoid route conflict: allow later route `/jobs/possible-completed-jobs`
     // to handle this request instead of attempting `Job.findById()`.
-    const { id } = req.params || {};
+    const { id } = req.valid.params;
     if (id === 'possible-completed-jobs') {
       return next();
     }
@@ -5373,13 +4742,19 @@ router.get('/jobs/:id', async (req, res, next) => {
   }
 });
 
-router.post('/jobs', async (req, res) => {
+router.post('/jobs', validate({
+  summary: 'Create a job',
+  body: v.object({
+    jobNumber: v.string({ minLength: 1 }),
+    clientName: v.string({ minLength: 1 }),
+    jobTitle: v.string({ minLength: 1 }),
+    qty: v.number({ min: 1 }),
+    productCat: v.string().default(''),
+    unitPrice: v.number({ min: 0 }).default(0)
+  })
+}), async (req, res) => {
   try {
-    const { jobNumber, clientName, jobTitle, qty, productCat, unitPrice } = req.body;
-
-    if (!jobNumber || !clientName || !jobTitle || !qty) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { jobNumber, clientName, jobTitle, qty, productCat, unitPrice } = req.valid.body;
 
     const existingJob = await Job.findOne({ jobNumber });
     if (existingJob) {
@@ -5391,8 +4766,8 @@ router.post('/jobs', async (req, res) => {
       clientName,
       jobTitle,
       qty,
-      productCat: productCat || '',
-      unitPrice: unitPrice || 0
+      productCat,
+      unitPrice
     });
 
     await job.save();
@@ -5403,10 +4778,14 @@ router.post('/jobs', async (req, res) => {
   }
 });
 
-router.post('/jobs/:jobId/operations', async (req, res) => {
+router.post('/jobs/:jobId/operations', validate({
+  summary: 'Add operations to a job',
+  params: v.object({ jobId: v.objectId() }),
+  body: v.object({ operations: v.array(v.object({})) })
+}), async (req, res) => {
   try {
-    const { jobId } = req.params;
-    const { operations } = req.body;
+    const { jobId } = req.valid.params;
+    const { operations } = req.valid.body;
 
     const job = await Job.findById(jobId);
     if (!job) {
@@ -5442,7 +4821,18 @@ router.post('/jobs/:jobId/operations', async (req, res) => {
   }
 });
 
-router.post('/jobs/jobopsmaster', async (req, res) => {
+router.post('/jobs/jobopsmaster', validate({
+  summary: 'Add operations to a job in JobopsMaster',
+  body: v.object({
+    jobNumber: v.string({ minLength: 1 }),
+    operations: v.array(v.object({}), { minItems: 1 }),
+    qty: v.number({ min: 0 }).default(0).describe('Total job quantity'),
+    clientName: v.string().optional(),
+    jobTitle: v.string().optional(),
+    segmentName: v.string().optional(),
+    unitPrice: v.number({ min: 0 }).optional()
+  })
+}), async (req, res) => {
   try {
     const {
       jobNumber,
@@ -5452,11 +4842,7 @@ router.post('/jobs/jobopsmaster', async (req, res) => {
       jobTitle,
       segmentName,
       unitPrice
-    } = req.body;
-
-    if (!jobNumber || !operations || !Array.isArray(operations) || operations.length === 0) {
-      return res.status(400).json({ error: 'Job number and at least one operation are required' });
-    }
+    } = req.valid.body;
 
     // totalQty in JobopsMaster should be the qty from UI
     const totalQty = Number(qty || 0);
@@ -5691,18 +5077,22 @@ router.get('/summary', async (req, res) => {
   }
 });
 
-router.get('/summary/chart', async (req, res) => {
+router.get('/summary/chart', validate({
+  summary: 'Contractor billing chart for a month, quarter or year',
+  query: v.object({
+    filterType: v.enum(['month', 'quarter', 'year'], { lowerCase: true }).default('year'),
+    year: v.integer({ min: 2000, max: 2100 }).optional().describe('Defaults to the current year'),
+    month: v.integer({ min: 1, max: 12 }).optional().describe('Defaults to the current month'),
+    quarter: v.integer({ min: 1, max: 4 }).optional().describe('Defaults to the current quarter')
+  })
+}), async (req, res) => {
   try {
-    const filterType = String(req.query.filterType || 'year').toLowerCase();
-    const allowed = new Set(['month', 'quarter', 'year']);
-    if (!allowed.has(filterType)) {
-      return res.status(400).json({ error: 'Invalid filterType. Use month, quarter, or year.' });
-    }
+    const { filterType, year, month, quarter } = req.valid.query;
 
     const now = new Date();
-    const selectedYear = Number(req.query.year || now.getUTCFullYear());
-    const selectedMonth = Number(req.query.month || (now.getUTCMonth() + 1));
-    const selectedQuarter = Number(req.query.quarter || (Math.floor(now.getUTCMonth() / 3) + 1));
+    const selectedYear = year ?? now.getUTCFullYear();
+    const selectedMonth = month ?? (now.getUTCMonth() + 1);
+    const selectedQuarter = quarter ?? (Math.floor(now.getUTCMonth() / 3) + 1);
 
     const start = new Date(Date.UTC(selectedYear, 0, 1));
     const end = new Date(Date.UTC(selectedYear + 1, 0, 1));
@@ -5775,13 +5165,12 @@ router.get('/jobs/jobopsmaster/jobnumbers', async (req, res) => {
   }
 });
 
-router.get('/jobs/details/:jobNumber', async (req, res) => {
+router.get('/jobs/details/:jobNumber', validate({
+  summary: 'ERP job details for the contractor PO form',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     const connectionStartTime = Date.now();
     const pool = await getConnection();
@@ -5817,31 +5206,20 @@ router.get('/jobs/details/:jobNumber', async (req, res) => {
   }
 });
 
-function getCompletionSelectedDatabase(req, { allowBody = false } = {}) {
-  const rawValue = allowBody
-    ? (req.body?.database ?? req.query?.database)
-    : req.query?.database;
-
-  const selectedDatabase = String(rawValue || 'KOL').trim().toUpperCase();
-  if (selectedDatabase !== 'KOL' && selectedDatabase !== 'AHM') {
-    return null;
-  }
-  return selectedDatabase;
-}
+// The job completion app sends the plant as ?database= (POSTs may send it in the body); KOL when omitted
+const completionQuery = v.object({ database: v.database().default('KOL') });
+const completionBody = v.object({ database: v.database().optional() });
 
 // Get job details for completion app (with isclose and jobcloseddate)
 // Uses direct SQL query instead of stored procedure
-router.get('/jobs/details-completion/:jobNumber', async (req, res) => {
+router.get('/jobs/details-completion/:jobNumber', validate({
+  summary: 'Job close status for the job completion app',
+  params: jobNumberParams,
+  query: completionQuery
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req);
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { jobNumber } = req.valid.params;
+    const selectedDatabase = req.valid.query.database;
 
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
@@ -5890,12 +5268,12 @@ router.get('/jobs/details-completion/:jobNumber', async (req, res) => {
 });
 
 // Possible completed jobs - used by Job Completion UI table
-router.get('/jobs/possible-completed-jobs', async (req, res) => {
+router.get('/jobs/possible-completed-jobs', validate({
+  summary: 'Open jobs whose dispatches cover the order quantity',
+  query: completionQuery
+}), async (req, res) => {
   try {
-    const selectedDatabase = getCompletionSelectedDatabase(req);
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const selectedDatabase = req.valid.query.database;
     const pool = await getPool(selectedDatabase);
 
     const query = `
@@ -5985,19 +5363,16 @@ router.get('/jobs/possible-completed-jobs', async (req, res) => {
 });
 
 // Search job numbers for completion app (uses same stored procedure as Contractor PO System)
-router.get('/jobs/search-numbers-completion/:jobNumberPart', async (req, res) => {
+router.get('/jobs/search-numbers-completion/:jobNumberPart', validate({
+  summary: 'Job numbers containing the typed part, for the job completion app',
+  params: jobNumberPartParams,
+  query: completionQuery
+}), async (req, res) => {
   try {
-    const { jobNumberPart } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req);
+    const { jobNumberPart } = req.valid.params;
+    const selectedDatabase = req.valid.query.database;
     console.log('🔍 [BACKEND] /jobs/search-numbers-completion called with jobNumberPart:', jobNumberPart);
 
-    if (!jobNumberPart || jobNumberPart.length < 4) {
-      return res.status(400).json({ error: 'Job number part must be at least 4 characters' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
-
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
     const connectionTime = Date.now() - connectionStartTime;
@@ -6034,17 +5409,15 @@ router.get('/jobs/search-numbers-completion/:jobNumberPart', async (req, res) =>
 });
 
 // Complete job - close job in jobbookingjobcard table
-router.post('/jobs/complete/:jobNumber', async (req, res) => {
+router.post('/jobs/complete/:jobNumber', validate({
+  summary: 'Close a job',
+  params: jobNumberParams,
+  query: completionQuery,
+  body: completionBody
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req, { allowBody: true });
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { jobNumber } = req.valid.params;
+    const selectedDatabase = req.valid.body.database ?? req.valid.query.database;
 
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
@@ -6089,17 +5462,15 @@ router.post('/jobs/complete/:jobNumber', async (req, res) => {
 });
 
 // Reopen job - set isclose = 0 and clear close fields in jobbookingjobcard table
-router.post('/jobs/reopen/:jobNumber', async (req, res) => {
+router.post('/jobs/reopen/:jobNumber', validate({
+  summary: 'Reopen a closed job',
+  params: jobNumberParams,
+  query: completionQuery,
+  body: completionBody
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req, { allowBody: true });
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { jobNumber } = req.valid.params;
+    const selectedDatabase = req.valid.body.database ?? req.valid.query.database;
 
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
@@ -6157,16 +5528,19 @@ router.get('/operations/categories', async (req, res) => {
   }
 });
 
-router.get('/operations', async (req, res) => {
+router.get('/operations', validate({
+  summary: 'Operations, optionally by name or category',
+  query: v.object({ search: v.string().optional(), category: v.string().optional() })
+}), async (req, res) => {
   try {
-    const { search, category } = req.query;
+    const { search, category } = req.valid.query;
     let query = { isdeleted: 0 };
 
     if (search) {
       query.opsName = { $regex: search, $options: 'i' };
     }
-    if (category != null && String(category).trim() !== '') {
-      query.categories = String(category).trim();
+    if (category) {
+      query.categories = category;
     }
 
     const operations = await Operation.find(query).sort({ opsName: 1 });
@@ -6177,9 +5551,12 @@ router.get('/operations', async (req, res) => {
   }
 });
 
-router.get('/operations/:id', async (req, res) => {
+router.get('/operations/:id', validate({
+  summary: 'One operation',
+  params: objectIdParams
+}), async (req, res) => {
   try {
-    const operation = await Operation.findById(req.params.id);
+    const operation = await Operation.findById(req.valid.params.id);
     if (!operation) {
       return res.status(404).json({ error: 'Operation not found' });
     }
@@ -6190,22 +5567,17 @@ router.get('/operations/:id', async (req, res) => {
   }
 });
 
-router.post('/operations', async (req, res) => {
+router.post('/operations', validate({
+  summary: 'Create an operation',
+  body: v.object({
+    opsName: v.string({ minLength: 1 }),
+    type: v.enum(OPERATION_TYPES),
+    ratePerUnit: v.number({ min: 0 })
+  })
+}), async (req, res) => {
   try {
-    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.body;
-
-    if (!opsName || !type) {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    if (ratePerUnit === undefined || ratePerUnit === null || ratePerUnit === '') {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    const ratePerUnitNum = parseFloat(Number(ratePerUnit).toFixed(4));
-    if (isNaN(ratePerUnitNum) || ratePerUnitNum < 0) {
-      return res.status(400).json({ error: 'Rate/unit must be a valid number greater than or equal to 0' });
-    }
+    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.valid.body;
+    const ratePerUnitNum = parseFloat(ratePerUnit.toFixed(4));
 
     const existingOp = await Operation.findOne({ opsName, isdeleted: 0 });
     if (existingOp) {
@@ -6234,22 +5606,18 @@ router.post('/operations', async (req, res) => {
   }
 });
 
-router.put('/operations/:id', async (req, res) => {
+router.put('/operations/:id', validate({
+  summary: 'Update an operation',
+  params: objectIdParams,
+  body: v.object({
+    opsName: v.string({ minLength: 1 }),
+    type: v.enum(OPERATION_TYPES),
+    ratePerUnit: v.number({ min: 0 })
+  })
+}), async (req, res) => {
   try {
-    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.body;
-    
-    if (!opsName || !type) {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    if (ratePerUnit === undefined || ratePerUnit === null || ratePerUnit === '') {
-      return res.status(400).json({ error: 'Operation name, type, and rate/unit are required' });
-    }
-
-    const ratePerUnitNum = parseFloat(Number(ratePerUnit).toFixed(4));
-    if (isNaN(ratePerUnitNum) || ratePerUnitNum < 0) {
-      return res.status(400).json({ error: 'Rate/unit must be a valid number greater than or equal to 0' });
-    }
+    const { opsName, type, ratePerUnit, categories: categoriesBody } = req.valid.body;
+    const ratePerUnitNum = parseFloat(ratePerUnit.toFixed(4));
 
     const updateFields = { opsName, type, ratePerUnit: ratePerUnitNum };
     if (categoriesBody !== undefined) {
@@ -6261,7 +5629,7 @@ router.put('/operations/:id', async (req, res) => {
     }
     
     const operation = await Operation.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       updateFields,
       { new: true, runValidators: true }
     );
@@ -6277,10 +5645,13 @@ router.put('/operations/:id', async (req, res) => {
   }
 });
 
-router.delete('/operations/:id', async (req, res) => {
+router.delete('/operations/:id', validate({
+  summary: 'Delete an operation',
+  params: objectIdParams
+}), async (req, res) => {
   try {
     const operation = await Operation.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       { isdeleted: 1 },
       { new: true }
     );
@@ -6295,9 +5666,12 @@ router.delete('/operations/:id', async (req, res) => {
 });
 
 // Work routes
-router.get('/work/pending/jobopsmaster/:jobNumber', async (req, res) => {
+router.get('/work/pending/jobopsmaster/:jobNumber', validate({
+  summary: 'Operations of a job with quantity still pending',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
+    const { jobNumber } = req.valid.params;
 
     // Find job in JobOpsMaster
     const jobOpsMaster = await JobOpsMaster.findOne({ jobId: jobNumber }).lean();
@@ -6369,9 +5743,12 @@ router.get('/work/pending/jobopsmaster/:jobNumber', async (req, res) => {
   }
 });
 
-router.get('/work/pending/:contractor/:jobNumber', async (req, res) => {
+router.get('/work/pending/:contractor/:jobNumber', validate({
+  summary: 'Pending quantity of a job for one contractor',
+  params: v.object({ contractor: v.string({ minLength: 1 }), jobNumber: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { contractor, jobNumber } = req.params;
+    const { contractor, jobNumber } = req.valid.params;
 
     const job = await Job.findOne({ jobNumber });
     if (!job) {
@@ -6405,13 +5782,16 @@ router.get('/work/pending/:contractor/:jobNumber', async (req, res) => {
   }
 });
 
-router.post('/work/update/jobopsmaster', async (req, res) => {
+router.post('/work/update/jobopsmaster', validate({
+  summary: 'Record contractor work against JobopsMaster',
+  body: v.object({
+    contractorId: v.string({ minLength: 1 }),
+    jobNumber: v.string({ minLength: 1 }),
+    operations: v.array(v.object({}))
+  })
+}), async (req, res) => {
   try {
-    const { contractorId, jobNumber, operations } = req.body;
-
-    if (!contractorId || !jobNumber || !operations || !Array.isArray(operations)) {
-      return res.status(400).json({ error: 'Missing required fields: contractorId, jobNumber, and operations are required' });
-    }
+    const { contractorId, jobNumber, operations } = req.valid.body;
 
     // Find job in JobOpsMaster
     const jobOpsMaster = await JobOpsMaster.findOne({ jobId: jobNumber });
@@ -6580,13 +5960,16 @@ router.post('/work/update/jobopsmaster', async (req, res) => {
   }
 });
 
-router.post('/work/update', async (req, res) => {
+router.post('/work/update', validate({
+  summary: 'Record contractor work against job operations',
+  body: v.object({
+    contractor: v.string({ minLength: 1 }),
+    jobNumber: v.string({ minLength: 1 }),
+    operations: v.array(v.object({}))
+  })
+}), async (req, res) => {
   try {
-    const { contractor, jobNumber, operations } = req.body;
-
-    if (!contractor || !jobNumber || !operations || !Array.isArray(operations)) {
-      return res.status(400).json({ error: 'Missing required fields' });
-    }
+    const { contractor, jobNumber, operations } = req.valid.body;
 
     const job = await Job.findOne({ jobNumber });
     if (!job) {
@@ -6646,13 +6029,12 @@ router.get('/contractors', async (req, res) => {
   }
 });
 
-router.post('/contractors', async (req, res) => {
+router.post('/contractors', validate({
+  summary: 'Create a contractor',
+  body: v.object({ name: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
+    const { name } = req.valid.body;
 
     let contractorId;
     let existingContractor;
@@ -6665,7 +6047,7 @@ router.post('/contractors', async (req, res) => {
 
     const contractor = new Contractor({
       contractorId,
-      name: name.trim(),
+      name,
       creationDate: new Date(),
       isdeleted: 0
     });
@@ -6681,17 +6063,17 @@ router.post('/contractors', async (req, res) => {
   }
 });
 
-router.put('/contractors/:id', async (req, res) => {
+router.put('/contractors/:id', validate({
+  summary: 'Rename a contractor',
+  params: objectIdParams,
+  body: v.object({ name: v.string({ minLength: 1 }) })
+}), async (req, res) => {
   try {
-    const { name } = req.body;
-
-    if (!name || !name.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
+    const { name } = req.valid.body;
 
     const contractor = await Contractor.findByIdAndUpdate(
-      req.params.id,
-      { name: name.trim() },
+      req.valid.params.id,
+      { name },
       { new: true, runValidators: true }
     );
 
@@ -6706,10 +6088,13 @@ router.put('/contractors/:id', async (req, res) => {
   }
 });
 
-router.delete('/contractors/:id', async (req, res) => {
+router.delete('/contractors/:id', validate({
+  summary: 'Delete a contractor',
+  params: objectIdParams
+}), async (req, res) => {
   try {
     const contractor = await Contractor.findByIdAndUpdate(
-      req.params.id,
+      req.valid.params.id,
       { isdeleted: 1 },
       { new: true }
     );
@@ -6759,9 +6144,12 @@ router.get('/bills', async (req, res) => {
   }
 });
 
-router.get('/bills/:billNumber', async (req, res) => {
+router.get('/bills/:billNumber', validate({
+  summary: 'One bill',
+  params: billNumberParams
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
+    const { billNumber } = req.valid.params;
     const bill = await Bill.findOne({ billNumber });
     
     if (!bill) {
@@ -6775,66 +6163,24 @@ router.get('/bills/:billNumber', async (req, res) => {
   }
 });
 
-router.post('/bills', async (req, res) => {
+router.post('/bills', validate({
+  summary: 'Create a contractor bill',
+  body: v.object({
+    contractorName: v.string({ minLength: 1 }),
+    jobs: v.array(v.object({
+      jobNumber: v.string({ minLength: 1 }),
+      ops: v.array(v.object({
+        opsName: v.string({ minLength: 1 }),
+        qtyBook: v.number({ min: 0 }),
+        rate: v.number({ min: 0 }),
+        qtyCompleted: v.number({ min: 0 }),
+        totalValue: v.number({ min: 0 })
+      }), { minItems: 1 })
+    }), { minItems: 1 })
+  })
+}), async (req, res) => {
   try {
-    const { contractorName, jobs } = req.body;
-
-    if (!contractorName || !contractorName.trim()) {
-      return res.status(400).json({ error: 'Contractor name is required' });
-    }
-
-    if (!jobs || !Array.isArray(jobs) || jobs.length === 0) {
-      return res.status(400).json({ error: 'At least one job is required' });
-    }
-
-    for (const job of jobs) {
-      if (!job.jobNumber || !job.jobNumber.trim()) {
-        return res.status(400).json({ error: 'Each job must have a job number' });
-      }
-      if (!job.ops || !Array.isArray(job.ops) || job.ops.length === 0) {
-        return res.status(400).json({ error: 'Each job must have at least one operation' });
-      }
-
-      for (const op of job.ops) {
-        if (!op.opsName || !op.opsName.trim()) {
-          return res.status(400).json({ 
-            error: 'Each operation must have an operation name (opsName)' 
-          });
-        }
-        if (
-          op.qtyBook === undefined || 
-          op.rate === undefined || 
-          op.qtyCompleted === undefined || 
-          op.totalValue === undefined
-        ) {
-          return res.status(400).json({ 
-            error: 'Each operation must have qtyBook, rate, qtyCompleted, and totalValue' 
-          });
-        }
-
-        if (
-          isNaN(Number(op.qtyBook)) || 
-          isNaN(Number(op.rate)) || 
-          isNaN(Number(op.qtyCompleted)) || 
-          isNaN(Number(op.totalValue))
-        ) {
-          return res.status(400).json({ 
-            error: 'All operation fields must be valid numbers' 
-          });
-        }
-
-        if (
-          Number(op.qtyBook) < 0 || 
-          Number(op.rate) < 0 || 
-          Number(op.qtyCompleted) < 0 || 
-          Number(op.totalValue) < 0
-        ) {
-          return res.status(400).json({ 
-            error: 'All operation values must be non-negative' 
-          });
-        }
-      }
-    }
+    const { contractorName, jobs } = req.valid.body;
 
     // Generate bill number
     const billNumber = await generateNextBillNumber();
@@ -6872,7 +6218,7 @@ router.post('/bills', async (req, res) => {
     // Create bill (include clientName and jobTitle per job for display/print)
     const bill = new Bill({
       billNumber,
-      contractorName: contractorName.trim(),
+      contractorName,
       jobs: jobs.map(job => ({
         jobNumber: job.jobNumber,
         clientName: (job.clientName != null && String(job.clientName).trim()) ? String(job.clientName).trim() : '',
@@ -6890,7 +6236,7 @@ router.post('/bills', async (req, res) => {
           }
           
           return {
-            opsName: op.opsName.trim(),
+            opsName: op.opsName,
             qtyBook: qtyBookToSave,
             rate: Number(op.rate),
             qtyCompleted: Number(op.qtyCompleted),
@@ -6912,10 +6258,17 @@ router.post('/bills', async (req, res) => {
 });
 
 // Generic bill update (kept for compatibility, but does NOT touch JobopsMaster/Contractor_WD)
-router.put('/bills/:billNumber', async (req, res) => {
+router.put('/bills/:billNumber', validate({
+  summary: 'Replace the contractor or jobs of a bill',
+  params: billNumberParams,
+  body: v.object({
+    contractorName: v.string({ minLength: 1 }).optional(),
+    jobs: v.array(v.object({ jobNumber: v.string({ minLength: 1 }), ops: v.array(v.object({})) }), { minItems: 1 }).optional()
+  })
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
-    const { contractorName, jobs } = req.body;
+    const { billNumber } = req.valid.params;
+    const { contractorName, jobs } = req.valid.body;
 
     const bill = await Bill.findOne({ billNumber });
     if (!bill) {
@@ -6923,17 +6276,10 @@ router.put('/bills/:billNumber', async (req, res) => {
     }
 
     if (contractorName !== undefined) {
-      if (!contractorName || !contractorName.trim()) {
-        return res.status(400).json({ error: 'Contractor name cannot be empty' });
-      }
-      bill.contractorName = contractorName.trim();
+      bill.contractorName = contractorName;
     }
 
     if (jobs !== undefined) {
-      if (!Array.isArray(jobs) || jobs.length === 0) {
-        return res.status(400).json({ error: 'At least one job is required' });
-      }
-
       bill.jobs = jobs.map(job => ({
         jobNumber: job.jobNumber,
         ops: job.ops.map(op => ({
@@ -6956,24 +6302,19 @@ router.put('/bills/:billNumber', async (req, res) => {
 
 // Edit unpaid bill: allow only qtyCompleted changes and row/job deletion.
 // This endpoint also keeps JobopsMaster.pendingOpsQty and Contractor_WD.opsDone in sync.
-router.put('/bills/:billNumber/edit-qty', async (req, res) => {
+router.put('/bills/:billNumber/edit-qty', validate({
+  summary: 'Edit completed quantities of an unpaid bill',
+  params: billNumberParams,
+  body: v.object({
+    contractorId: v.string({ minLength: 1 }),
+    changes: v.array(v.object({}), { minItems: 1 })
+  })
+}), async (req, res) => {
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
-    const { billNumber } = req.params;
-    const { contractorId, changes } = req.body;
-
-    if (!contractorId || !String(contractorId).trim()) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ error: 'contractorId is required' });
-    }
-
-    if (!Array.isArray(changes) || changes.length === 0) {
-      await session.abortTransaction();
-      session.endSession();
-      return res.status(400).json({ error: 'At least one change is required' });
-    }
+    const { billNumber } = req.valid.params;
+    const { contractorId, changes } = req.valid.body;
 
     // Load existing bill within the transaction
     const bill = await Bill.findOne({ billNumber }).session(session);
@@ -7234,10 +6575,14 @@ router.put('/bills/:billNumber/edit-qty', async (req, res) => {
   }
 });
 
-router.patch('/bills/:billNumber/pay', async (req, res) => {
+router.patch('/bills/:billNumber/pay', validate({
+  summary: 'Mark a bill paid',
+  params: billNumberParams,
+  body: v.object({ roomRent: v.number({ min: 0 }).default(0) })
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
-    const { roomRent } = req.body;
+    const { billNumber } = req.valid.params;
+    const { roomRent } = req.valid.body;
 
     const bill = await Bill.findOne({ billNumber });
     
@@ -7247,16 +6592,7 @@ router.patch('/bills/:billNumber/pay', async (req, res) => {
     
     bill.paymentStatus = 'Yes';
     bill.paymentDate = new Date();
-
-    if (roomRent !== undefined && roomRent !== null) {
-      const rentValue = Number(roomRent);
-      if (isNaN(rentValue) || rentValue < 0) {
-        return res.status(400).json({ error: 'roomRent must be a non-negative number' });
-      }
-      bill.roomRent = rentValue;
-    } else {
-      bill.roomRent = 0;
-    }
+    bill.roomRent = roomRent;
     
     await bill.save();
     res.json(bill);
@@ -7266,9 +6602,12 @@ router.patch('/bills/:billNumber/pay', async (req, res) => {
   }
 });
 
-router.delete('/bills/:billNumber', async (req, res) => {
+router.delete('/bills/:billNumber', validate({
+  summary: 'Delete a bill and return its quantities to pending',
+  params: billNumberParams
+}), async (req, res) => {
   try {
-    const { billNumber } = req.params;
+    const { billNumber } = req.valid.params;
     const bill = await Bill.findOne({
       billNumber,
       $or: [
@@ -7380,16 +6719,14 @@ router.delete('/bills/:billNumber', async (req, res) => {
 
 // Series routes
 // Create a new series (save job numbers)
-router.post('/series', async (req, res) => {
+router.post('/series', validate({
+  summary: 'Group job numbers into a series',
+  body: v.object({ jobNumbers: v.array(v.string(), { minItems: 1 }) })
+}), async (req, res) => {
   try {
-    const { jobNumbers } = req.body;
+    const { jobNumbers } = req.valid.body;
 
-    if (!jobNumbers || !Array.isArray(jobNumbers) || jobNumbers.length === 0) {
-      return res.status(400).json({ error: 'Job numbers array is required and must not be empty' });
-    }
-
-    // Validate that all job numbers are strings
-    const validJobNumbers = jobNumbers.filter(jn => typeof jn === 'string' && jn.trim() !== '').sort();
+    const validJobNumbers = jobNumbers.filter(Boolean).sort();
     
     if (validJobNumbers.length === 0) {
       return res.status(400).json({ error: 'At least one valid job number is required' });
@@ -7453,13 +6790,12 @@ router.get('/series', async (req, res) => {
 });
 
 // Search series by job number
-router.get('/series/search/:jobNumber', async (req, res) => {
+router.get('/series/search/:jobNumber', validate({
+  summary: 'Latest series containing a job number',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     // Find all series that contain this job number
     const series = await Series.find({
@@ -7488,9 +6824,12 @@ router.get('/series/search/:jobNumber', async (req, res) => {
 });
 
 // Get a specific series by ID
-router.get('/series/:id', async (req, res) => {
+router.get('/series/:id', validate({
+  summary: 'One series',
+  params: objectIdParams
+}), async (req, res) => {
   try {
-    const series = await Series.findById(req.params.id);
+    const series = await Series.findById(req.valid.params.id);
     if (!series) {
       return res.status(404).json({ error: 'Series not found' });
     }
@@ -7506,13 +6845,12 @@ router.get('/series/:id', async (req, res) => {
 // ============================================
 
 // Get job color details for update job card app (returns PlanContName list)
-router.get('/jobs/color-details/:jobNumber', async (req, res) => {
+router.get('/jobs/color-details/:jobNumber', validate({
+  summary: 'Colours of each content of a job',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     const connectionStartTime = Date.now();
     const pool = await getConnection();
@@ -7605,7 +6943,10 @@ router.get('/jobs/color-details/:jobNumber', async (req, res) => {
 
 // Get items from itemmaster for color dropdown
 // Save color changes for update job card app
-router.post('/jobs/save-color-changes', async (req, res) => {
+router.post('/jobs/save-color-changes', validate({
+  summary: 'Save colour changes of a job',
+  body: v.object({ Contents: v.array(v.object({}), { minItems: 1 }) })
+}), async (req, res) => {
   console.log('\n🔔 [BACKEND] ========================================');
   console.log('🔔 [BACKEND] POST /jobs/save-color-changes - REQUEST RECEIVED');
   console.log('🔔 [BACKEND] ========================================');
@@ -7616,17 +6957,10 @@ router.post('/jobs/save-color-changes', async (req, res) => {
   console.log('🔔 [BACKEND] Request body keys:', Object.keys(req.body || {}));
   
   try {
-    const colorData = req.body;
+    const colorData = req.valid.body;
     
     console.log('🔔 [BACKEND] Parsed colorData:', colorData);
 
-    if (!colorData || !colorData.Contents || !Array.isArray(colorData.Contents) || colorData.Contents.length === 0) {
-      console.error('❌ [BACKEND] Invalid color data format');
-      console.error('❌ [BACKEND] colorData:', colorData);
-      console.error('❌ [BACKEND] Contents:', colorData?.Contents);
-      return res.status(400).json({ error: 'Invalid color data format' });
-    }
-
     // Log the received JSON object with clear formatting
     console.log('\n========================================');
     console.log('💾 [BACKEND] SAVE COLOR CHANGES REQUEST');
@@ -7661,6 +6995,32 @@ router.post('/jobs/save-color-changes', async (req, res) => {
     
     // Convert content to JSON string (format matches the procedure's expected input)
     const contentJson = JSON.stringify(selectedContent);
+
+    // Colors currently on the job card for this content, for the audit trail
+    const before = await captureBefore(async () => {
+      if (!colorData.JobNumber) return null;
+      const current = await pool.request()
+        .input('JobNumber', sql.NVarChar(255), String(colorData.JobNumber))
+        .execute('usp_GetJobColorDetails_JSON');
+      const firstRow = current.recordset?.[0];
+      const raw = firstRow ? firstRow[Object.keys(firstRow)[0]] : null;
+      const parsed = typeof raw === 'string' ? JSON.parse(raw) : raw;
+      const contents = parsed?.Contents || [];
+      return contents.find(c => c.PlanContName === selectedContent.PlanContName) || null;
+    });
+    const audit = {
+      action: 'jobs.save-color-changes',
+      database: 'KOL',
+      entity: 'JobCardColorDetails',
+      entityKeys: {
+        JobNumber: colorData.JobNumber ?? null,
+        JobBookingID: colorData.JobBookingID ?? null,
+        PlanContName: selectedContent.PlanContName ?? null
+      },
+      oldValues: before.values,
+      newValues: selectedContent,
+      captureError: before.captureError
+    };
     
     console.log(`\n🔄 [BACKEND] Processing selected content: ${selectedContent.PlanContName}`);
     console.log(`📋 [BACKEND] Content JSON:`, contentJson);
@@ -7676,6 +7036,7 @@ router.post('/jobs/save-color-changes', async (req, res) => {
         .execute('dbo.usp_ReplaceJobCardColorDetails_ByContents_JSON');
       
       console.log(`✅ [BACKEND] Stored procedure executed successfully for: ${selectedContent.PlanContName}`);
+      recordAudit(req, { ...audit, outcome: 'success' });
       
       res.json({ 
         success: true, 
@@ -7684,6 +7045,7 @@ router.post('/jobs/save-color-changes', async (req, res) => {
       });
     } catch (spError) {
       console.error(`❌ [BACKEND] Error executing stored procedure for ${selectedContent.PlanContName}:`, spError);
+      recordAudit(req, { ...audit, outcome: 'failure', error: spError });
       console.error(`❌ [BACKEND] Error details:`, spError.message);
       console.error(`❌ [BACKEND] Error stack:`, spError.stack);
       
@@ -7701,13 +7063,12 @@ router.post('/jobs/save-color-changes', async (req, res) => {
 });
 
 // Get job details for update job card app (with ClientName, JobName, OrderQuantity, PODate)
-router.get('/jobs/details-update/:jobNumber', async (req, res) => {
+router.get('/jobs/details-update/:jobNumber', validate({
+  summary: 'Job details for the update job card app',
+  params: jobNumberParams
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
+    const { jobNumber } = req.valid.params;
 
     const connectionStartTime = Date.now();
     const pool = await getConnection();
@@ -7780,17 +7141,14 @@ router.get('/jobs/details-update/:jobNumber', async (req, res) => {
 
 // Get job details for completion app (with isclose and jobcloseddate)
 // Uses direct SQL query instead of stored procedure
-router.get('/jobs/details-completion/:jobNumber', async (req, res) => {
+router.get('/jobs/details-completion/:jobNumber', validate({
+  summary: 'Job close status for the job completion app',
+  params: jobNumberParams,
+  query: completionQuery
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req);
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { jobNumber } = req.valid.params;
+    const selectedDatabase = req.valid.query.database;
 
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
@@ -7833,19 +7191,16 @@ router.get('/jobs/details-completion/:jobNumber', async (req, res) => {
 });
 
 // Search job numbers for completion app (uses same stored procedure as Contractor PO System)
-router.get('/jobs/search-numbers-completion/:jobNumberPart', async (req, res) => {
+router.get('/jobs/search-numbers-completion/:jobNumberPart', validate({
+  summary: 'Job numbers containing the typed part, for the job completion app',
+  params: jobNumberPartParams,
+  query: completionQuery
+}), async (req, res) => {
   try {
-    const { jobNumberPart } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req);
+    const { jobNumberPart } = req.valid.params;
+    const selectedDatabase = req.valid.query.database;
     console.log('🔍 [BACKEND] /jobs/search-numbers-completion called with jobNumberPart:', jobNumberPart);
 
-    if (!jobNumberPart || jobNumberPart.length < 4) {
-      return res.status(400).json({ error: 'Job number part must be at least 4 characters' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
-
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
     const connectionTime = Date.now() - connectionStartTime;
@@ -7882,17 +7237,15 @@ router.get('/jobs/search-numbers-completion/:jobNumberPart', async (req, res) =>
 });
 
 // Complete job - close job in jobbookingjobcard table
-router.post('/jobs/complete/:jobNumber', async (req, res) => {
+router.post('/jobs/complete/:jobNumber', validate({
+  summary: 'Close a job',
+  params: jobNumberParams,
+  query: completionQuery,
+  body: completionBody
+}), async (req, res) => {
   try {
-    const { jobNumber } = req.params;
-    const selectedDatabase = getCompletionSelectedDatabase(req, { allowBody: true });
-
-    if (!jobNumber) {
-      return res.status(400).json({ error: 'Job number is required' });
-    }
-    if (!selectedDatabase) {
-      return res.status(400).json({ error: 'Invalid or missing database (must be KOL or AHM)' });
-    }
+    const { jobNumber } = req.valid.params;
+    const selectedDatabase = req.valid.body.database ?? req.valid.query.database;
 
     const connectionStartTime = Date.now();
     const pool = await getPool(selectedDatabase);
@@ -7941,19 +7294,25 @@ router.post('/jobs/complete/:jobNumber', async (req, res) => {
 // ============================================
 
 // Create a new voice note
-router.post('/voice-notes', async (req, res) => {
+router.post('/voice-notes', validate({
+	summary: 'Create a voice note for a department',
+	body: v.object({
+		jobNumber: v.string({ minLength: 1 }),
+		toDepartment: v.string({ minLength: 1 }),
+		createdBy: v.string({ minLength: 1 }),
+		voiceNote: v.string().default(''),
+		audioBlob: v.string().optional().describe('Base64'),
+		audioMimeType: v.string().optional()
+	})
+}), async (req, res) => {
 	try {
-		const { jobNumber, toDepartment, voiceNote, audioBlob, audioMimeType, createdBy } = req.body;
-
-		if (!jobNumber || !toDepartment || !createdBy) {
-			return res.status(400).json({ error: 'Missing required fields (jobNumber, toDepartment, createdBy)' });
-		}
+		const { jobNumber, toDepartment, voiceNote, audioBlob, audioMimeType, createdBy } = req.valid.body;
 
 		const VoiceNote = await getVoiceNoteModel();
 		const newVoiceNote = new VoiceNote({
 			jobNumber,
 			toDepartment,
-			voiceNote: voiceNote || '',
+			voiceNote,
 			audioBlob: audioBlob ? Buffer.from(audioBlob, 'base64') : undefined,
 			audioMimeType,
 			createdBy
@@ -7967,6 +7326,8 @@ router.post('/voice-notes', async (req, res) => {
 	}
 });
 
+const voiceNoteJobParams = v.object({ jobNumber: v.string({ minLength: 1 }) });
+
 // Get all voice notes
 router.get('/voice-notes', async (req, res) => {
 	try {
@@ -7980,9 +7341,12 @@ router.get('/voice-notes', async (req, res) => {
 });
 
 // Get voice notes by job number
-router.get('/voice-notes/job/:jobNumber', async (req, res) => {
+router.get('/voice-notes/job/:jobNumber', validate({
+	summary: 'Voice notes of a job',
+	params: voiceNoteJobParams
+}), async (req, res) => {
 	try {
-		const { jobNumber } = req.params;
+		const { jobNumber } = req.valid.params;
 		const VoiceNote = await getVoiceNoteModel();
 		const voiceNotes = await VoiceNote.find({ jobNumber }).sort({ createdAt: -1 });
 		res.json(voiceNotes);
@@ -7993,9 +7357,12 @@ router.get('/voice-notes/job/:jobNumber', async (req, res) => {
 });
 
 // Get voice notes by department
-router.get('/voice-notes/department/:department', async (req, res) => {
+router.get('/voice-notes/department/:department', validate({
+	summary: 'Voice notes sent to a department',
+	params: v.object({ department: v.string({ minLength: 1 }) })
+}), async (req, res) => {
 	try {
-		const { department } = req.params;
+		const { department } = req.valid.params;
 		const VoiceNote = await getVoiceNoteModel();
 		const voiceNotes = await VoiceNote.find({ toDepartment: department }).sort({ createdAt: -1 });
 		res.json(voiceNotes);
@@ -8010,13 +7377,21 @@ router.get('/voice-notes/department/:department', async (req, res) => {
 // ============================================
 
 // Save audio to audio collection
-router.post('/voice-note-tool/audio', async (req, res) => {
+router.post('/voice-note-tool/audio', validate({
+	summary: 'Upload a recording for a job',
+	body: v.object({
+		jobNumber: v.string({ minLength: 1 }),
+		toDepartment: v.string({ minLength: 1 }),
+		audioBlob: v.string({ minLength: 1 }).describe('Base64'),
+		audioMimeType: v.string({ minLength: 1 }),
+		createdBy: v.string({ minLength: 1 }),
+		summary: v.string().optional(),
+		userId: v.string().optional(),
+		audioId: v.string().optional().describe('Generated when omitted')
+	})
+}), async (req, res) => {
 	try {
-		const { jobNumber, toDepartment, audioBlob, audioMimeType, createdBy, summary, userId, audioId } = req.body;
-
-		if (!jobNumber || !toDepartment || !audioBlob || !audioMimeType || !createdBy) {
-			return res.status(400).json({ error: 'Missing required fields (jobNumber, toDepartment, audioBlob, audioMimeType, createdBy)' });
-		}
+		const { jobNumber, toDepartment, audioBlob, audioMimeType, createdBy, summary, userId, audioId } = req.valid.body;
 
 		const Audio = await getAudioModel();
 
@@ -8152,10 +7527,14 @@ router.post('/voice-note-tool/audio', async (req, res) => {
 });
 
 // Get all audio files for a job number
-router.get('/voice-note-tool/audio/job/:jobNumber', async (req, res) => {
+router.get('/voice-note-tool/audio/job/:jobNumber', validate({
+	summary: 'Recordings of a job for one user',
+	params: voiceNoteJobParams,
+	query: v.object({ userId: v.string().optional(), username: v.string().optional().describe('Fallback when userId has no recordings') })
+}), async (req, res) => {
 	try {
-		const { jobNumber } = req.params;
-		const { userId, username } = req.query; // userId is primary, username is fallback
+		const { jobNumber } = req.valid.params;
+		const { userId, username } = req.valid.query; // userId is primary, username is fallback
 		
 		const Audio = await getAudioModel();
 		let audioDoc = null;
@@ -8248,7 +7627,11 @@ router.get('/voice-note-tool/audio/job/:jobNumber', async (req, res) => {
 
 // Get all audio files for a job number (all users, with full details including summary)
 // Using regex pattern to handle job numbers with slashes (e.g., "J02011/25-26")
-router.get(/^\/voice-note-tool\/audio\/job\/(.+)\/all$/, async (req, res) => {
+router.get(/^\/voice-note-tool\/audio\/job\/(.+)\/all$/, validate({
+	// Documented path; the regex lets the job number contain slashes
+	path: '/voice-note-tool/audio/job/:jobNumber/all',
+	summary: 'All audio recordings for a job number'
+}), async (req, res) => {
 	try {
 		// Extract job number from the path (handles slashes, underscores, hyphens like "J02011/25-26_ABC")
 		// The regex captures everything between /job/ and /all
@@ -8312,22 +7695,14 @@ router.get(/^\/voice-note-tool\/audio\/job\/(.+)\/all$/, async (req, res) => {
 });
 
 // Get audio files with summaries for multiple job numbers
-router.post('/voice-note-tool/audio/jobs/batch', async (req, res) => {
+router.post('/voice-note-tool/audio/jobs/batch', validate({
+	summary: 'Recordings of several jobs',
+	body: v.object({ jobNumbers: v.array(v.string()) })
+}), async (req, res) => {
 	try {
-		const { jobNumbers } = req.body;
-
-		if (!jobNumbers || !Array.isArray(jobNumbers)) {
-			return res.status(400).json({ error: 'jobNumbers must be an array' });
-		}
-
-		if (jobNumbers.length === 0) {
-			return res.json([]);
-		}
+		const { jobNumbers } = req.valid.body;
 
-		// Trim and filter out empty strings
-		const validJobNumbers = jobNumbers
-			.map(jn => typeof jn === 'string' ? jn.trim() : String(jn).trim())
-			.filter(jn => jn.length > 0);
+		const validJobNumbers = jobNumbers.filter(Boolean);
 
 		if (validJobNumbers.length === 0) {
 			return res.json([]);
@@ -8397,9 +7772,12 @@ router.post('/voice-note-tool/audio/jobs/batch', async (req, res) => {
 });
 
 // Get a specific audio file (with blob)
-router.get('/voice-note-tool/audio/:id', async (req, res) => {
+router.get('/voice-note-tool/audio/:id', validate({
+	summary: 'One recording with its audio',
+	params: v.object({ id: v.objectId() })
+}), async (req, res) => {
 	try {
-		const { id } = req.params;
+		const { id } = req.valid.params;
 		const Audio = await getAudioModel();
 		
 		// Find document containing the recording with this ID
@@ -8438,9 +7816,12 @@ router.get('/voice-note-tool/audio/:id', async (req, res) => {
 });
 
 // Delete a specific audio recording
-router.delete('/voice-note-tool/audio/:recordingId', async (req, res) => {
+router.delete('/voice-note-tool/audio/:recordingId', validate({
+	summary: 'Delete a recording',
+	params: v.object({ recordingId: v.objectId() })
+}), async (req, res) => {
 	try {
-		const { recordingId } = req.params;
+		const { recordingId } = req.valid.params;
 		const Audio = await getAudioModel();
 		
 		// Find document containing the recording
@@ -8468,13 +7849,16 @@ router.delete('/voice-note-tool/audio/:recordingId', async (req, res) => {
 });
 
 // Analyze audio with OpenAI (transcription + summary)
-router.post('/voice-note-tool/analyze-audio', async (req, res) => {
+router.post('/voice-note-tool/analyze-audio', validate({
+	summary: 'Transcribe and summarize a recording',
+	body: v.object({
+		audioBlob: v.string({ minLength: 1 }).describe('Base64'),
+		audioMimeType: v.string({ minLength: 1 }),
+		toDepartment: v.string({ minLength: 1 })
+	})
+}), async (req, res) => {
 	try {
-		const { audioBlob, audioMimeType, toDepartment } = req.body;
-
-		if (!audioBlob || !audioMimeType || !toDepartment) {
-			return res.status(400).json({ error: 'Missing required fields (audioBlob, audioMimeType, toDepartment)' });
-		}
+		const { audioBlob, audioMimeType, toDepartment } = req.valid.body;
 
 		// Convert base64 to buffer
 		const audioBuffer = Buffer.from(audioBlob, 'base64');
@@ -8593,7 +7977,28 @@ Please analyze this transcription, detect its language, and provide the summary
 // ============================================
 
 // Create new prepress FMS entry
-router.post('/prepress-fms', async (req, res) => {
+const PREPRESS_FMS_TYPES = ['packaging', 'commercial'];
+const NEW_REVISED = ['new', 'revised'];
+const prepressFmsParams = v.object({ id: v.objectId() });
+
+router.post('/prepress-fms', validate({
+	summary: 'Create a prepress FMS entry',
+	description: 'itemName is required for packaging entries, fileDetails for commercial ones.',
+	body: v.object({
+		type: v.enum(PREPRESS_FMS_TYPES),
+		clientName: v.string({ minLength: 1 }),
+		executive: v.string({ minLength: 1 }),
+		category: v.string({ minLength: 1 }),
+		newRevised: v.enum(NEW_REVISED),
+		prepressPerson: v.string({ minLength: 1 }),
+		remarks: v.string().default(''),
+		softcopyRequired: v.boolean().default(false),
+		hardcopyRequired: v.boolean().default(false),
+		itemName: v.string().optional(),
+		fileDetails: v.string().optional(),
+		createdBy: v.string().optional()
+	})
+}), async (req, res) => {
 	try {
 		const {
 			type,
@@ -8610,38 +8015,14 @@ router.post('/prepress-fms', async (req, res) => {
 			itemName, // packaging only
 			fileDetails, // commercial only
 			createdBy
-		} = req.body;
-
-		if (!type || !['packaging', 'commercial'].includes(type)) {
-			return res.status(400).json({ error: 'Type is required and must be "packaging" or "commercial"' });
-		}
-
-		// Validate shared required fields
-		if (!clientName || !clientName.trim()) {
-			return res.status(400).json({ error: 'Client name is required' });
-		}
-		if (!executive || !executive.trim()) {
-			return res.status(400).json({ error: 'Executive is required' });
-		}
-		if (!category || !category.trim()) {
-			return res.status(400).json({ error: 'Category is required' });
-		}
-		if (!newRevised || !['new', 'revised'].includes(newRevised)) {
-			return res.status(400).json({ error: 'New/Revised is required and must be "new" or "revised"' });
-		}
-		if (!prepressPerson || !prepressPerson.trim()) {
-			return res.status(400).json({ error: 'Prepress person is required' });
-		}
+		} = req.valid.body;
 
 		// Validate type-specific fields
-		if (type === 'packaging') {
-			if (!itemName || !itemName.trim()) {
-				return res.status(400).json({ error: 'Item name is required for packaging type' });
-			}
-		} else if (type === 'commercial') {
-			if (!fileDetails || !fileDetails.trim()) {
-				return res.status(400).json({ error: 'File Details is required for commercial type' });
-			}
+		if (type === 'packaging' && !itemName) {
+			return res.status(400).json({ error: 'Item name is required for packaging type' });
+		}
+		if (type === 'commercial' && !fileDetails) {
+			return res.status(400).json({ error: 'File Details is required for commercial type' });
 		}
 
 		const PrepressFMS = await getPrepressFMSModel();
@@ -8649,22 +8030,22 @@ router.post('/prepress-fms', async (req, res) => {
 		// Build entry data - shared fields use same names
 		const entryData = {
 			type,
-			clientName: clientName?.trim() || '',
-			executive: executive?.trim() || '',
-			category: category?.trim() || '',
-			remarks: remarks?.trim() || '',
-			newRevised: newRevised || '',
-			prepressPerson: prepressPerson?.trim() || '',
-			softcopyRequired: softcopyRequired === true || softcopyRequired === 'true',
-			hardcopyRequired: hardcopyRequired === true || hardcopyRequired === 'true',
-			createdBy: createdBy?.trim() || 'admin',
+			clientName,
+			executive,
+			category,
+			remarks,
+			newRevised,
+			prepressPerson,
+			softcopyRequired,
+			hardcopyRequired,
+			createdBy: createdBy || 'admin',
 		};
 
 		// Add type-specific fields
 		if (type === 'packaging') {
-			entryData.itemName = itemName?.trim() || '';
+			entryData.itemName = itemName;
 		} else if (type === 'commercial') {
-			entryData.fileDetails = fileDetails?.trim() || '';
+			entryData.fileDetails = fileDetails;
 		}
 
 		const prepressEntry = new PrepressFMS(entryData);
@@ -8684,14 +8065,23 @@ router.post('/prepress-fms', async (req, res) => {
 });
 
 // Get all prepress FMS entries (with optional filters)
-router.get('/prepress-fms', async (req, res) => {
+router.get('/prepress-fms', validate({
+	summary: 'Prepress FMS entries, newest first (at most 1000)',
+	query: v.object({
+		type: v.enum(PREPRESS_FMS_TYPES).optional(),
+		clientName: v.string().optional(),
+		prepressPerson: v.string().optional(),
+		startDate: v.date().optional(),
+		endDate: v.date().optional()
+	})
+}), async (req, res) => {
 	try {
-		const { type, clientName, client, prepressPerson, startDate, endDate } = req.query;
+		const { type, clientName, prepressPerson, startDate, endDate } = req.valid.query;
 
 		const PrepressFMS = await getPrepressFMSModel();
 		const query = {};
 
-		if (type && ['packaging', 'commercial'].includes(type)) {
+		if (type) {
 			query.type = type;
 		}
 
@@ -8729,9 +8119,12 @@ router.get('/prepress-fms', async (req, res) => {
 });
 
 // Get single prepress FMS entry by ID
-router.get('/prepress-fms/:id', async (req, res) => {
+router.get('/prepress-fms/:id', validate({
+	summary: 'One prepress FMS entry',
+	params: prepressFmsParams
+}), async (req, res) => {
 	try {
-		const { id } = req.params;
+		const { id } = req.valid.params;
 
 		const PrepressFMS = await getPrepressFMSModel();
 		const entry = await PrepressFMS.findById(id);
@@ -8748,10 +8141,18 @@ router.get('/prepress-fms/:id', async (req, res) => {
 });
 
 // Update prepress FMS entry
-router.put('/prepress-fms/:id', async (req, res) => {
+router.put('/prepress-fms/:id', validate({
+	summary: 'Update a prepress FMS entry',
+	params: prepressFmsParams,
+	body: v.object({
+		newRevised: v.enum(NEW_REVISED).optional(),
+		softcopyRequired: v.boolean().optional(),
+		hardcopyRequired: v.boolean().optional()
+	})
+}), async (req, res) => {
 	try {
-		const { id } = req.params;
-		const updateData = req.body;
+		const { id } = req.valid.params;
+		const updateData = req.valid.body;
 
 		const PrepressFMS = await getPrepressFMSModel();
 		const entry = await PrepressFMS.findById(id);
@@ -8767,8 +8168,8 @@ router.put('/prepress-fms/:id', async (req, res) => {
 		if (updateData.remarks !== undefined) entry.remarks = updateData.remarks?.trim() || '';
 		if (updateData.newRevised !== undefined) entry.newRevised = updateData.newRevised;
 		if (updateData.prepressPerson !== undefined) entry.prepressPerson = updateData.prepressPerson?.trim() || '';
-		if (updateData.softcopyRequired !== undefined) entry.softcopyRequired = updateData.softcopyRequired === true || updateData.softcopyRequired === 'true';
-		if (updateData.hardcopyRequired !== undefined) entry.hardcopyRequired = updateData.hardcopyRequired === true || updateData.hardcopyRequired === 'true';
+		if (updateData.softcopyRequired !== undefined) entry.softcopyRequired = updateData.softcopyRequired;
+		if (updateData.hardcopyRequired !== undefined) entry.hardcopyRequired = updateData.hardcopyRequired;
 		
 		// Update type-specific fields
 		if (updateData.itemName !== undefined) entry.itemName = updateData.itemName?.trim() || '';
@@ -8787,9 +8188,12 @@ router.put('/prepress-fms/:id', async (req, res) => {
 });
 
 // Delete prepress FMS entry
-router.delete('/prepress-fms/:id', async (req, res) => {
+router.delete('/prepress-fms/:id', validate({
+	summary: 'Delete a prepress FMS entry',
+	params: prepressFmsParams
+}), async (req, res) => {
 	try {
-		const { id } = req.params;
+		const { id } = req.valid.params;
 
 		const PrepressFMS = await getPrepressFMSModel();
 		const entry = await PrepressFMS.findByIdAndDelete(id);
@@ -18,8 +18,29 @@ import rawQcRoutes from './routes-raw-qc.js';
 import shipmentEtaRoutes from './routes-shipment-eta.js';
 import concernPersonRoutes from './routes-concern-person.js';
 import previousItemsByClientRoutes from './routes-previous-items-by-client.js';
-import { closeAllPools } from './db.js';
+import processSyncRoutes from './routes-process-sync.js';
+import machineFloorStreamRoutes from './routes-machine-floor-stream.js';
+import auditRoutes from './routes-audit.js';
+import logsRoutes from './routes-logs.js';
+import consolidatedRoutes from './routes-consolidated.js';
+import commMessagesRoutes from './routes-comm-messages.js';
+import messageTemplatesRoutes from './routes-message-templates.js';
+import whatsappWebhookRoutes from './routes-whatsapp-webhook.js';
+import commSchedulesRoutes from './routes-comm-schedules.js';
+import crmUsersRoutes from './routes-crm-users.js';
+import downtimeRoutes from './routes-downtime.js';
+import oeeRoutes from './routes-oee.js';
+import { closeAllPools, startPoolHealthMonitor, stopPoolHealthMonitor, deepHealthHandler, databaseUnavailableResponses } from './db.js';
 import { closeVoiceNotesConnection } from './db-voice-notes.js';
+import { startProcessJobWorker, stopProcessJobWorker } from './process-job-queue.js';
+import { startOutboundMessageWorker, stopOutboundMessageWorker } from './outbound-messages.js';
+import { startIntimationScheduler, stopIntimationScheduler } from './intimation-scheduler.js';
+import { getProvider } from './messaging-providers.js';
+import { authenticate, authorizeByPolicy, getAuthMode } from './auth.js';
+import { ROUTE_POLICY } from './auth-policy.js';
+import { requestContext, installConsoleRequestIds } from './request-context.js';
+import { httpMetrics, metricsHandler } from './metrics.js';
+import { openApiHandler, apiDocsPage } from './openapi.js';
 
 dotenv.config();
 
@@ -34,21 +55,44 @@ const port = process.env.PORT || 3001;
 // Enable CORS for all routes
 app.use(cors({
 	origin: true, // Allow all origins for development
-	credentials: true
+	credentials: true,
+	exposedHeaders: ['X-Request-ID']
 }));
 
-app.use(express.json({ limit: '50mb' }));
+// Webhook signatures are computed over the exact bytes received (routes-whatsapp-webhook.js)
+app.use(express.json({
+	limit: '50mb',
+	verify: (req, res, buf) => {
+		if (req.originalUrl.startsWith('/api/whatsapp/webhook/')) req.rawBody = buf;
+	}
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-// Simple console request logger for visibility
-app.use((req, res, next) => {
-	const start = Date.now();
-	//console.log(`[REQ] ${req.method} ${req.originalUrl}`);
-	res.on('finish', () => {
-		const ms = Date.now() - start;
-		//console.log(`[RES] ${req.method} ${req.originalUrl} -> ${res.statusCode} (${ms}ms)`);
-	});
-	next();
-});
+// Correlation ID (X-Request-ID) for every request, echoed in the response and tagged on its
+// console lines and log channel entries; after the body parsers so the async context survives them
+installConsoleRequestIds();
+app.use(requestContext);
+// A route whose plant database is unreachable (circuit breaker open, see db.js) answers 503
+app.use(databaseUnavailableResponses);
+// Per-route latency and error counts, exposed in Prometheus format on GET /metrics
+app.use(httpMetrics);
+app.get('/metrics', metricsHandler);
+// Authentication: every login flow issues a JWT; ROUTE_POLICY decides which roles reach which /api routes
+if (!process.env.JWT_SECRET) {
+	console.error('❌ JWT_SECRET is not set; refusing to start (tokens could not be signed or verified)');
+	process.exit(1);
+}
+console.log(`[AUTH] Route policy mode: ${getAuthMode()}`);
+// Customer WhatsApp/email go through the provider selected per environment (sandbox on staging/local)
+for (const channel of ['whatsapp', 'email']) {
+	try {
+		console.log(`[MESSAGING] ${channel} provider: ${getProvider(channel).name}`);
+	} catch (err) {
+		console.error(`❌ [MESSAGING] ${err.message}; ${channel} messages will fail until it is fixed`);
+	}
+}
+app.use(authenticate);
+app.use(authorizeByPolicy(ROUTE_POLICY));
+
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/contractor-po-system';
 
@@ -61,50 +105,88 @@ mongoose.connect(MONGODB_URI)
 		// Don't exit, let it retry - MongoDB features will retry when needed
 	});
 
-app.use('/api', routes);
-app.use('/api', pendingRoutes);
-app.use('/api', pendingUpdateRoutes);
-app.use('/api', prepressPendingRoutes);
-app.use('/api', jobCardRoutes);
-app.use('/api', jobCardCompareRoutes);
-app.use('/api', poProductMatchRoutes);
-app.use('/api', googleSheetRoutes);
-app.use('/api', scheduleRoutes);
-app.use('/api', rawQcRoutes);
-app.use('/api', shipmentEtaRoutes);
-app.use('/api', concernPersonRoutes);
-app.use('/api', previousItemsByClientRoutes);
-
-// Contractor PO System routes (loaded as CommonJS via createRequire)
-// Keep Contractor PO under a dedicated prefix to avoid collisions with shared /api routes.
-app.use('/api/contractor-po/auth',        require('./contractor-po/routes/auth.js'));
-app.use('/api/contractor-po/jobs',        require('./contractor-po/routes/jobs.js'));
-app.use('/api/contractor-po/operations',  require('./contractor-po/routes/operations.js'));
-app.use('/api/contractor-po/work',        require('./contractor-po/routes/work.js'));
-app.use('/api/contractor-po/contractors', require('./contractor-po/routes/contractors.js'));
-app.use('/api/contractor-po/bills',       require('./contractor-po/routes/bills.js'));
-app.use('/api/contractor-po/series',      require('./contractor-po/routes/series.js'));
-
-// Legacy mounts retained for backward compatibility.
-app.use('/api/auth',        require('./contractor-po/routes/auth.js'));
-app.use('/api/jobs',        require('./contractor-po/routes/jobs.js'));
-app.use('/api/operations',  require('./contractor-po/routes/operations.js'));
-app.use('/api/work',        require('./contractor-po/routes/work.js'));
-app.use('/api/contractors', require('./contractor-po/routes/contractors.js'));
-app.use('/api/bills',       require('./contractor-po/routes/bills.js'));
-app.use('/api/series',      require('./contractor-po/routes/series.js'));
+// Every router under /api, in mount order; the same list feeds the OpenAPI document
+const apiMounts = [
+	// Before the main router so /machine-floor/stream is not taken by /machine-floor/:machineId
+	{ path: '/api', router: machineFloorStreamRoutes },
+	{ path: '/api', router: routes },
+	{ path: '/api', router: pendingRoutes },
+	{ path: '/api', router: pendingUpdateRoutes },
+	{ path: '/api', router: prepressPendingRoutes },
+	{ path: '/api', router: jobCardRoutes },
+	{ path: '/api', router: jobCardCompareRoutes },
+	{ path: '/api', router: poProductMatchRoutes },
+	{ path: '/api', router: googleSheetRoutes },
+	{ path: '/api', router: scheduleRoutes },
+	{ path: '/api', router: rawQcRoutes },
+	{ path: '/api', router: shipmentEtaRoutes },
+	{ path: '/api', router: concernPersonRoutes },
+	{ path: '/api', router: previousItemsByClientRoutes },
+	{ path: '/api', router: processSyncRoutes },
+	{ path: '/api', router: auditRoutes },
+	{ path: '/api', router: logsRoutes },
+	{ path: '/api', router: consolidatedRoutes },
+	{ path: '/api', router: commMessagesRoutes },
+	{ path: '/api', router: messageTemplatesRoutes },
+	{ path: '/api', router: whatsappWebhookRoutes },
+	{ path: '/api', router: commSchedulesRoutes },
+	{ path: '/api', router: crmUsersRoutes },
+	{ path: '/api', router: downtimeRoutes },
+	{ path: '/api', router: oeeRoutes },
+
+	// Contractor PO System routes (loaded as CommonJS via createRequire)
+	// Keep Contractor PO under a dedicated prefix to avoid collisions with shared /api routes.
+	{ path: '/api/contractor-po/auth',        router: require('./contractor-po/routes/auth.js') },
+	{ path: '/api/contractor-po/jobs',        router: require('./contractor-po/routes/jobs.js') },
+	{ path: '/api/contractor-po/operations',  router: require('./contractor-po/routes/operations.js') },
+	{ path: '/api/contractor-po/work',        router: require('./contractor-po/routes/work.js') },
+	{ path: '/api/contractor-po/contractors', router: require('./contractor-po/routes/contractors.js') },
+	{ path: '/api/contractor-po/bills',       router: require('./contractor-po/routes/bills.js') },
+	{ path: '/api/contractor-po/series',      router: require('./contractor-po/routes/series.js') },
+
+	// Legacy mounts retained for backward compatibility (marked deprecated in the API docs).
+	{ path: '/api/auth',        router: require('./contractor-po/routes/auth.js'), legacy: true },
+	{ path: '/api/jobs',        router: require('./contractor-po/routes/jobs.js'), legacy: true },
+	{ path: '/api/operations',  router: require('./contractor-po/routes/operations.js'), legacy: true },
+	{ path: '/api/work',        router: require('./contractor-po/routes/work.js'), legacy: true },
+	{ path: '/api/contractors', router: require('./contractor-po/routes/contractors.js'), legacy: true },
+	{ path: '/api/bills',       router: require('./contractor-po/routes/bills.js'), legacy: true },
+	{ path: '/api/series',      router: require('./contractor-po/routes/series.js'), legacy: true }
+];
+
+// OpenAPI 3 document and docs viewer, generated from apiMounts
+app.get('/api/openapi.json', openApiHandler({ mounts: apiMounts, policy: ROUTE_POLICY }));
+app.get('/api/docs', apiDocsPage);
+
+for (const mount of apiMounts) {
+	app.use(mount.path, mount.router);
+}
 
 app.get('/health', (req, res) => {
 	res.json({ status: 'ok' });
 });
+// Per-plant pool stats, latency and circuit breaker state
+app.get('/health/deep', deepHealthHandler);
 
 const server = app.listen(port, () => {
 	console.log(`Server running on port ${port}`);
+	// Resume queued /processes/*-async jobs (including ones interrupted by a restart)
+	startProcessJobWorker();
+	// Retries customer intimations that could not be delivered yet
+	startOutboundMessageWorker();
+	// Scheduled first intimation / follow-up / readiness sweeps
+	startIntimationScheduler();
+	// Checks cached SQL pools in the background instead of on every getPool call
+	startPoolHealthMonitor();
 });
 
 // Graceful shutdown
 process.on('SIGINT', async () => {
 	console.log('Received SIGINT, shutting down gracefully...');
+	stopProcessJobWorker();
+	stopOutboundMessageWorker();
+	stopIntimationScheduler();
+	stopPoolHealthMonitor();
 	await closeAllPools();
 	await closeVoiceNotesConnection();
 	await mongoose.connection.close();
@@ -116,6 +198,10 @@ process.on('SIGINT', async () => {
 
 process.on('SIGTERM', async () => {
 	console.log('Received SIGTERM, shutting down gracefully...');
+	stopProcessJobWorker();
+	stopOutboundMessageWorker();
+	stopIntimationScheduler();
+	stopPoolHealthMonitor();
 	await closeAllPools();
 	await closeVoiceNotesConnection();
 	await mongoose.connection.close();
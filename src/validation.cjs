@@ -0,0 +1,279 @@
+/**
+ * Declarative request validation.
+ *
+ *   router.post('/schedule/reorder', validate({
+ *     summary: 'Save a new job order for a machine',
+ *     body: v.object({ machineId: v.integer({ min: 0 }), orderedJobIds: v.array(v.integer(), { minItems: 1 }) })
+ *   }), handler)
+ *
+ * - Values are coerced (numeric strings to numbers, 'true'/'false' to booleans, database
+ *   names to upper case), defaults are applied, and the result is set on
+ *   req.valid = { body, query, params }. req.body / req.query are left as sent.
+ * - Failures answer 400 with one envelope for every route:
+ *   { status: false, error: '<first problem>', errors: [{ in, path, message }] }
+ * - The spec is kept on the middleware (apiSchema) and each schema converts to JSON Schema
+ *   (toJSONSchema), so route documentation can be generated from the same declarations.
+ *
+ * Kept as .cjs so the CommonJS Contractor PO routers load it too. The ESM routes import
+ * validation.js, which adds the plant-registry builder v.database().
+ */
+
+class Schema {
+  constructor(type, options = {}) {
+    this.type = type;
+    this.options = options;
+    this.isOptional = false;
+    this.defaultValue = undefined;
+    this.description = options.description;
+  }
+
+  optional() {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    copy.isOptional = true;
+    return copy;
+  }
+
+  default(value) {
+    const copy = this.optional();
+    copy.defaultValue = value;
+    return copy;
+  }
+
+  describe(text) {
+    const copy = Object.assign(Object.create(Object.getPrototypeOf(this)), this);
+    copy.description = text;
+    return copy;
+  }
+
+  /**
+   * @returns {{ value: any, errors: Array<{ path: string, message: string }> }}
+   */
+  parse(raw, path = '') {
+    const missing = raw === undefined || raw === null || (raw === '' && this.type !== 'string');
+    if (missing) {
+      if (this.defaultValue !== undefined) {
+        return { value: typeof this.defaultValue === 'function' ? this.defaultValue() : this.defaultValue, errors: [] };
+      }
+      if (this.isOptional) return { value: undefined, errors: [] };
+      return { value: undefined, errors: [{ path, message: 'is required' }] };
+    }
+    return this.check(raw, path);
+  }
+
+  baseJSONSchema() {
+    const out = {};
+    if (this.description) out.description = this.description;
+    if (this.defaultValue !== undefined && typeof this.defaultValue !== 'function') out.default = this.defaultValue;
+    return out;
+  }
+}
+
+class StringSchema extends Schema {
+  check(raw, path) {
+    if (typeof raw !== 'string' && typeof raw !== 'number') {
+      return { value: undefined, errors: [{ path, message: 'must be a string' }] };
+    }
+    const { trim = true, minLength, maxLength, pattern, enum: values, upperCase, lowerCase } = this.options;
+    let value = String(raw);
+    if (trim) value = value.trim();
+    if (upperCase) value = value.toUpperCase();
+    if (lowerCase) value = value.toLowerCase();
+    if (minLength != null && value.length < minLength) {
+      return { value, errors: [{ path, message: minLength === 1 ? 'must not be empty' : `must be at least ${minLength} characters` }] };
+    }
+    if (maxLength != null && value.length > maxLength) {
+      return { value, errors: [{ path, message: `must be at most ${maxLength} characters` }] };
+    }
+    if (pattern && !pattern.test(value)) {
+      return { value, errors: [{ path, message: this.options.patternMessage || `must match ${pattern}` }] };
+    }
+    if (values && !values.includes(value)) {
+      return { value, errors: [{ path, message: `must be one of ${values.join(', ')}` }] };
+    }
+    return { value, errors: [] };
+  }
+
+  toJSONSchema() {
+    const { minLength, maxLength, pattern, enum: values, format } = this.options;
+    return {
+      type: 'string',
+      ...(format ? { format } : {}),
+      ...(values ? { enum: values } : {}),
+      ...(minLength != null ? { minLength } : {}),
+      ...(maxLength != null ? { maxLength } : {}),
+      ...(pattern && !format ? { pattern: pattern.source } : {}),
+      ...this.baseJSONSchema()
+    };
+  }
+}
+
+class NumberSchema extends Schema {
+  check(raw, path) {
+    const value = typeof raw === 'string' ? Number(raw.trim()) : raw;
+    if (typeof value !== 'number' || !Number.isFinite(value)) {
+      return { value: undefined, errors: [{ path, message: this.type === 'integer' ? 'must be an integer' : 'must be a number' }] };
+    }
+    if (this.type === 'integer' && !Number.isInteger(value)) {
+      return { value: undefined, errors: [{ path, message: 'must be an integer' }] };
+    }
+    const { min, max } = this.options;
+    if (min != null && value < min) return { value, errors: [{ path, message: `must be at least ${min}` }] };
+    if (max != null && value > max) return { value, errors: [{ path, message: `must be at most ${max}` }] };
+    return { value, errors: [] };
+  }
+
+  toJSONSchema() {
+    const { min, max } = this.options;
+    return {
+      type: this.type,
+      ...(min != null ? { minimum: min } : {}),
+      ...(max != null ? { maximum: max } : {}),
+      ...this.baseJSONSchema()
+    };
+  }
+}
+
+class BooleanSchema extends Schema {
+  check(raw, path) {
+    if (typeof raw === 'boolean') return { value: raw, errors: [] };
+    const s = String(raw).trim().toLowerCase();
+    if (s === 'true' || s === '1') return { value: true, errors: [] };
+    if (s === 'false' || s === '0') return { value: false, errors: [] };
+    return { value: undefined, errors: [{ path, message: 'must be true or false' }] };
+  }
+
+  toJSONSchema() {
+    return { type: 'boolean', ...this.baseJSONSchema() };
+  }
+}
+
+class ArraySchema extends Schema {
+  constructor(items, options) {
+    super('array', options);
+    this.items = items;
+  }
+
+  check(raw, path) {
+    // Query strings send lists as "1,2,3"
+    const list = Array.isArray(raw) ? raw : (typeof raw === 'string' && this.options.commaSeparated ? raw.split(',').filter(s => s.trim() !== '') : null);
+    if (!list) return { value: undefined, errors: [{ path, message: 'must be an array' }] };
+    const { minItems, maxItems } = this.options;
+    if (minItems != null && list.length < minItems) {
+      return { value: list, errors: [{ path, message: minItems === 1 ? 'must be a non-empty array' : `must have at least ${minItems} items` }] };
+    }
+    if (maxItems != null && list.length > maxItems) {
+      return { value: list, errors: [{ path, message: `must have at most ${maxItems} items` }] };
+    }
+    const value = [];
+    const errors = [];
+    list.forEach((item, i) => {
+      const r = this.items.parse(item, `${path}[${i}]`);
+      value.push(r.value);
+      errors.push(...r.errors);
+    });
+    return { value, errors };
+  }
+
+  toJSONSchema() {
+    const { minItems, maxItems } = this.options;
+    return {
+      type: 'array',
+      items: this.items.toJSONSchema(),
+      ...(minItems != null ? { minItems } : {}),
+      ...(maxItems != null ? { maxItems } : {}),
+      ...this.baseJSONSchema()
+    };
+  }
+}
+
+class ObjectSchema extends Schema {
+  constructor(shape, options) {
+    super('object', options);
+    this.shape = shape;
+  }
+
+  check(raw, path) {
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+      return { value: undefined, errors: [{ path, message: 'must be an object' }] };
+    }
+    // Unknown keys are kept: clients send extra fields the handlers ignore
+    const value = { ...raw };
+    const errors = [];
+    for (const [key, schema] of Object.entries(this.shape)) {
+      const r = schema.parse(raw[key], path ? `${path}.${key}` : key);
+      if (r.value === undefined) delete value[key];
+      else value[key] = r.value;
+      errors.push(...r.errors);
+    }
+    return { value, errors };
+  }
+
+  toJSONSchema() {
+    const properties = {};
+    const required = [];
+    for (const [key, schema] of Object.entries(this.shape)) {
+      properties[key] = schema.toJSONSchema();
+      if (!schema.isOptional) required.push(key);
+    }
+    return {
+      type: 'object',
+      properties,
+      ...(required.length ? { required } : {}),
+      ...this.baseJSONSchema()
+    };
+  }
+}
+
+/** Schema builders. */
+const v = {
+  string: (options) => new StringSchema('string', options),
+  integer: (options) => new NumberSchema('integer', options),
+  number: (options) => new NumberSchema('number', options),
+  boolean: (options) => new BooleanSchema('boolean', options),
+  array: (items, options) => new ArraySchema(items, options),
+  object: (shape, options) => new ObjectSchema(shape, options),
+  enum: (values, options) => new StringSchema('string', { ...options, enum: values }),
+  /** YYYY-MM-DD */
+  date: (options) => new StringSchema('string', {
+    ...options, format: 'date', pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'must be a date (YYYY-MM-DD)'
+  }),
+  /** Positive integer id, e.g. ProductionID, MachineID */
+  id: (options) => new NumberSchema('integer', { min: 1, ...options }),
+  /** Mongo ObjectId: 24 hex characters */
+  objectId: (options) => new StringSchema('string', {
+    ...options, pattern: /^[0-9a-f]{24}$/i, patternMessage: 'must be a Mongo ObjectId'
+  })
+};
+
+const LOCATIONS = ['params', 'query', 'body'];
+
+/**
+ * @param {{ summary?: string, description?: string, tags?: string[], path?: string,
+ *   params?: ObjectSchema, query?: ObjectSchema, body?: ObjectSchema }} spec
+ *   path: documented path for routes registered with a RegExp (see openapi.js)
+ */
+function validate(spec) {
+  const middleware = (req, res, next) => {
+    const valid = {};
+    const errors = [];
+    for (const location of LOCATIONS) {
+      const schema = spec[location];
+      if (!schema) continue;
+      const r = schema.parse(req[location] ?? {}, '');
+      valid[location] = r.value ?? {};
+      errors.push(...r.errors.map(e => ({ in: location, path: e.path, message: e.message })));
+    }
+    if (errors.length) {
+      const first = errors[0];
+      const error = first.path ? `${first.path} ${first.message}` : `${first.in} ${first.message}`;
+      console.log(`[VALIDATION] ${req.method} ${req.originalUrl} rejected: ${error}`);
+      return res.status(400).json({ status: false, error, errors });
+    }
+    req.valid = valid;
+    return next();
+  };
+  middleware.apiSchema = spec;
+  return middleware;
+}
+
+module.exports = { v, validate };
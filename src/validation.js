@@ -0,0 +1,16 @@
+/**
+ * Request validation for the ESM routes: validate() and the v builders of validation.cjs, plus
+ * v.database() for plant keys from the plant registry (plants.js, which is ESM only).
+ */
+import { v as builders, validate } from './validation.cjs';
+import { plantKeys } from './plants.js';
+
+export const v = {
+  ...builders,
+  /** Plant database key from the plant registry, case-insensitive */
+  database: (options) => builders.string({
+    ...options, upperCase: true, enum: plantKeys(), description: `Plant database: ${plantKeys().join(', ')}`
+  })
+};
+
+export { validate };
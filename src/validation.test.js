@@ -0,0 +1,90 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { validate, v } from './validation.js';
+
+function run(middleware, req) {
+  let response = null;
+  let nextCalled = false;
+  const res = {
+    statusCode: 200,
+    status(code) { this.statusCode = code; return this; },
+    json(body) { response = { status: this.statusCode, body }; return this; }
+  };
+  middleware(Object.assign(req, { method: 'POST', originalUrl: '/test' }), res, () => { nextCalled = true; });
+  return { response, nextCalled };
+}
+
+test('coerces values, applies defaults and keeps unknown keys', () => {
+  const schema = v.object({
+    UserID: v.integer(),
+    database: v.database().default('KOL'),
+    isManualEntry: v.boolean().default(false),
+    ids: v.array(v.id(), { commaSeparated: true })
+  });
+  const r = schema.parse({ UserID: '17', ids: '3,4', extra: 'x' });
+  assert.deepEqual(r.errors, []);
+  assert.deepEqual(r.value, { UserID: 17, database: 'KOL', isManualEntry: false, ids: [3, 4], extra: 'x' });
+
+  assert.equal(schema.parse({ UserID: 1, ids: [1], database: 'ahm' }).value.database, 'AHM');
+});
+
+test('collects every problem with its path', () => {
+  const schema = v.object({
+    machineId: v.integer({ min: 0 }),
+    jobIds: v.array(v.integer(), { minItems: 1 }),
+    database: v.database()
+  });
+  const r = schema.parse({ machineId: 'x', jobIds: [1, 'two'], database: 'BOM' });
+  assert.deepEqual(r.errors, [
+    { path: 'machineId', message: 'must be an integer' },
+    { path: 'jobIds[1]', message: 'must be an integer' },
+    { path: 'database', message: 'must be one of KOL, AHM' }
+  ]);
+  assert.deepEqual(v.object({ d: v.date() }).parse({ d: '01/02/2026' }).errors,
+    [{ path: 'd', message: 'must be a date (YYYY-MM-DD)' }]);
+  assert.deepEqual(v.object({ id: v.objectId() }).parse({ id: 'possible-completed-jobs' }).errors,
+    [{ path: 'id', message: 'must be a Mongo ObjectId' }]);
+});
+
+test('middleware answers 400 with one envelope or sets req.valid', () => {
+  const middleware = validate({
+    query: v.object({ database: v.database() }),
+    body: v.object({ ProductionID: v.integer() })
+  });
+
+  const failed = run(middleware, { query: {}, body: { ProductionID: '1.5' } });
+  assert.equal(failed.nextCalled, false);
+  assert.equal(failed.response.status, 400);
+  assert.deepEqual(failed.response.body, {
+    status: false,
+    error: 'database is required',
+    errors: [
+      { in: 'query', path: 'database', message: 'is required' },
+      { in: 'body', path: 'ProductionID', message: 'must be an integer' }
+    ]
+  });
+
+  const req = { query: { database: 'kol' }, body: { ProductionID: '9' } };
+  const ok = run(middleware, req);
+  assert.equal(ok.nextCalled, true);
+  assert.deepEqual(req.valid, { query: { database: 'KOL' }, body: { ProductionID: 9 } });
+});
+
+test('schemas convert to JSON Schema', () => {
+  const middleware = validate({
+    body: v.object({
+      machineId: v.integer({ min: 0 }),
+      orderedJobIds: v.array(v.integer(), { minItems: 1 }).describe('New order'),
+      database: v.database().optional()
+    })
+  });
+  assert.deepEqual(middleware.apiSchema.body.toJSONSchema(), {
+    type: 'object',
+    properties: {
+      machineId: { type: 'integer', minimum: 0 },
+      orderedJobIds: { type: 'array', items: { type: 'integer' }, minItems: 1, description: 'New order' },
+      database: { type: 'string', enum: ['KOL', 'AHM'], description: 'Plant database: KOL, AHM' }
+    },
+    required: ['machineId', 'orderedJobIds']
+  });
+});